@@ -0,0 +1,213 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          adaptiveUtils.test.js
+//  Description:   Unit tests for adaptive practice selection:
+//                 question history, difficulty targeting and
+//                 weighted question picking.
+//
+//  Dependencies:  adaptiveUtils
+//                 questionUtils
+//                 analyticsConfig
+//
+////////////////////////////////////////////////////////////////
+
+const {
+        summarizeQuestionHistory,
+        computeTargetDifficulty,
+        buildTopicProfile,
+        selectAdaptiveQuestions,
+      } = require('../utils/adaptiveUtils');
+const { createSeededRandom } = require('../utils/questionUtils');
+const {
+        ADAPTIVE_MIN_TARGET_DIFFICULTY,
+        ADAPTIVE_MAX_TARGET_DIFFICULTY,
+        ADAPTIVE_MASTERY_COOLDOWN_DAYS,
+      } = require('../../shared/analyticsConfig');
+
+const NOW = new Date('2026-03-01T12:00:00Z');
+const daysAgo = (days) => new Date(NOW.getTime() - days * 24 * 60 * 60 * 1000);
+
+let nextId = 1;
+const mockQuestion = ({ subcategory = 'Arrays', type = 'Multiple Choice' } = {}) => ({
+  ID:              nextId++,
+  SUBCATEGORY:     subcategory,
+  TYPE:            type,
+  POINTS_POSSIBLE: '2.00',
+});
+
+// Response row as returned by the adaptive route query
+const mockResponse = (question, correct, when = daysAgo(1)) => ({
+  PROBLEM_ID:      question.ID,
+  DATETIME:        when,
+  POINTS_EARNED:   correct ? '2.00' : '0.00',
+  POINTS_POSSIBLE: '2.00',
+  ELAPSED_TIME:    30,
+  TYPE:            question.TYPE,
+  SUBCATEGORY:     question.SUBCATEGORY,
+});
+
+describe("Adaptive Utils", () => {
+
+  describe("summarizeQuestionHistory Tests", () => {
+
+    test("should mark a recent correct streak as mastered", () => {
+      const question = mockQuestion();
+      const summary = summarizeQuestionHistory([
+        mockResponse(question, false, daysAgo(3)),
+        mockResponse(question, true,  daysAgo(2)),
+        mockResponse(question, true,  daysAgo(1)),
+      ], NOW);
+
+      expect(summary.get(question.ID)).toEqual({ missed: false, mastered: true });
+    });
+
+    test("should keep a question missed until the streak is rebuilt", () => {
+      const question = mockQuestion();
+      const summary = summarizeQuestionHistory([
+        mockResponse(question, true,  daysAgo(3)),
+        mockResponse(question, false, daysAgo(2)),
+        mockResponse(question, true,  daysAgo(1)),
+      ], NOW);
+
+      expect(summary.get(question.ID)).toEqual({ missed: true, mastered: false });
+    });
+
+    test("should bring mastered questions back after the cooldown", () => {
+      const question = mockQuestion();
+      const longAgo = ADAPTIVE_MASTERY_COOLDOWN_DAYS + 1;
+      const summary = summarizeQuestionHistory([
+        mockResponse(question, true, daysAgo(longAgo + 1)),
+        mockResponse(question, true, daysAgo(longAgo)),
+      ], NOW);
+
+      expect(summary.get(question.ID).mastered).toBe(false);
+    });
+  });
+
+  describe("computeTargetDifficulty Tests", () => {
+
+    test("should start new students on the easiest types", () => {
+      expect(computeTargetDifficulty([])).toBe(ADAPTIVE_MIN_TARGET_DIFFICULTY);
+    });
+
+    test("should rise with recent accuracy", () => {
+      expect(computeTargetDifficulty([1, 1, 1])).toBe(ADAPTIVE_MAX_TARGET_DIFFICULTY);
+      expect(computeTargetDifficulty([0.5, 0.5])).toBeGreaterThan(computeTargetDifficulty([0, 0.5]));
+    });
+  });
+
+  describe("buildTopicProfile Tests", () => {
+
+    test("should key subcategories by the question, not the submitted topic", () => {
+      const question = mockQuestion({ subcategory: 'Input/Output' });
+      const profile = buildTopicProfile([{ ...mockResponse(question, true), TOPIC: 'whatever' }]);
+
+      expect(Object.keys(profile)).toEqual(['InputOutput']);
+      expect(profile.InputOutput.responseCount).toBe(1);
+    });
+
+    test("should rate a failing subcategory weaker than a passing one", () => {
+      const weak = mockQuestion({ subcategory: 'Loops' });
+      const strong = mockQuestion({ subcategory: 'Arrays' });
+      const profile = buildTopicProfile([mockResponse(weak, false), mockResponse(strong, true)]);
+
+      expect(profile.Loops.weakness).toBeGreaterThan(profile.Arrays.weakness);
+      expect(profile.Loops.targetDifficulty).toBeLessThan(profile.Arrays.targetDifficulty);
+    });
+  });
+
+  describe("selectAdaptiveQuestions Tests", () => {
+
+    test("should skip recently mastered questions", () => {
+      const mastered = mockQuestion();
+      const other = mockQuestion();
+      const responses = [mockResponse(mastered, true, daysAgo(2)), mockResponse(mastered, true, daysAgo(1))];
+
+      const { questions } = selectAdaptiveQuestions([mastered, other], responses, {
+        count: 5, random: createSeededRandom(1), now: NOW,
+      });
+
+      expect(questions.map(q => q.ID)).toEqual([other.ID]);
+    });
+
+    test("should favor weak subcategories and missed questions", () => {
+      const weakMissed = Array.from({ length: 5 }, () => mockQuestion({ subcategory: 'Loops' }));
+      const strong = Array.from({ length: 5 }, () => mockQuestion({ subcategory: 'Arrays' }));
+      const strongAnswered = mockQuestion({ subcategory: 'Arrays' });
+      const responses = [
+        ...weakMissed.map(q => mockResponse(q, false)),
+        mockResponse(strongAnswered, true),
+      ];
+
+      let weakPicks = 0;
+      for (let seed = 0; seed < 50; seed++)
+      {
+        const { questions } = selectAdaptiveQuestions([...weakMissed, ...strong], responses, {
+          count: 1, random: createSeededRandom(seed), now: NOW,
+        });
+        if (questions[0].SUBCATEGORY === 'Loops') weakPicks++;
+      }
+
+      expect(weakPicks).toBeGreaterThan(40);
+    });
+
+    test("should target harder types as the student improves", () => {
+      const easy = mockQuestion({ subcategory: 'Trees', type: 'Multiple Choice' });
+      const hard = mockQuestion({ subcategory: 'Trees', type: 'Drag and Drop' });
+      const history = Array.from({ length: 5 }, () => mockQuestion({ subcategory: 'Trees', type: 'Ranked Choice' }));
+
+      const countFirst = (correct) => {
+        const responses = history.map(q => mockResponse(q, correct, daysAgo(10)));
+        let hardFirst = 0;
+        for (let seed = 0; seed < 100; seed++)
+        {
+          const { questions } = selectAdaptiveQuestions([easy, hard], responses, {
+            count: 2, random: createSeededRandom(seed), now: NOW,
+          });
+          if (questions[0].ID === hard.ID) hardFirst++;
+        }
+        return hardFirst;
+      };
+
+      expect(countFirst(true)).toBeGreaterThan(countFirst(false));
+    });
+
+    test("should include at most one programming question, none when not allowed", () => {
+      const pool = [
+        ...Array.from({ length: 3 }, () => mockQuestion({ type: 'Programming' })),
+        ...Array.from({ length: 3 }, () => mockQuestion()),
+      ];
+
+      const allowed = selectAdaptiveQuestions(pool, [], { count: 6, random: createSeededRandom(1), now: NOW });
+      expect(allowed.questions.filter(q => q.TYPE === 'Programming')).toHaveLength(1);
+
+      const blocked = selectAdaptiveQuestions(pool, [], { count: 6, random: createSeededRandom(1), allowProgramming: false, now: NOW });
+      expect(blocked.questions.filter(q => q.TYPE === 'Programming')).toHaveLength(0);
+    });
+
+    test("should reproduce the same set from the same seed", () => {
+      const pool = Array.from({ length: 10 }, (_, i) => mockQuestion({ subcategory: i % 2 ? 'Loops' : 'Arrays' }));
+
+      const first = selectAdaptiveQuestions(pool, [], { count: 4, random: createSeededRandom('abc'), now: NOW });
+      const second = selectAdaptiveQuestions(pool, [], { count: 4, random: createSeededRandom('abc'), now: NOW });
+
+      expect(second.questions).toEqual(first.questions);
+      expect(second.focus).toEqual(first.focus);
+    });
+
+    test("should report focus subcategories weakest first", () => {
+      const weak = mockQuestion({ subcategory: 'Loops' });
+      const strong = mockQuestion({ subcategory: 'Arrays' });
+
+      const { focus } = selectAdaptiveQuestions([weak, strong], [mockResponse(weak, false), mockResponse(strong, true)], {
+        count: 2, random: createSeededRandom(1), now: NOW,
+      });
+
+      expect(focus.map(topic => topic.subcategory)).toEqual(['Loops', 'Arrays']);
+      expect(focus[0]).toEqual(expect.objectContaining({ responseCount: 1, targetDifficulty: ADAPTIVE_MIN_TARGET_DIFFICULTY }));
+    });
+  });
+});
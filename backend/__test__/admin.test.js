@@ -22,6 +22,7 @@ const { app, pool } = require("../server");
 const { TEST_USER,
         verifyTestDatabase,
         insertQuestion,
+        insertResponse,
         getAuthToken,
         insertUser,
         insertGuildWithOwner,
@@ -169,11 +170,11 @@ describe("Admin Routes", () => {
 
     test("POST /api/admin/createquestion creates a question", async () => {
       const question = {
-        type: 'type',
+        type: 'Fill in the Blanks',
         author_exam_id: 'author',
-        section: 'sec',
-        category: 'cat',
-        subcategory: 'sub',
+        section: 'A',
+        category: 'Introductory Programming',
+        subcategory: 'Loops',
         points_possible: 1.0,
         question_text: 'alias',
         owner_id: null,
@@ -333,6 +334,187 @@ describe("Admin Routes", () => {
       expect(res.body.published.length).toBeGreaterThanOrEqual(2);
     });
     
+    test("GET /api/admin/problems/:id/purge reports what a purge would delete", async () => {
+      const studentId = await insertUser({ username: 'purgestudent', email: 'purgestudent@test.com' });
+      const questionId = await insertQuestion("MCQ", [], { isPublished: true });
+      await insertResponse(studentId, questionId, { pointsEarned: 2, pointsPossible: 2, isCorrect: true });
+      await insertResponse(studentId, questionId, { pointsEarned: 0, pointsPossible: 2 });
+
+      const res = await request(app)
+        .get(`/api/admin/problems/${questionId}/purge`)
+        .set("Authorization", `Bearer ${token}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toMatchObject({
+        questionId,
+        status: 'published',
+        canPurge: false,
+        lost: { responses: 2, students: 1, pointsEarned: 2, mockTestSessions: 0 },
+      });
+    });
+
+    test("DELETE /api/admin/problems/:id/purge only deletes retired questions", async () => {
+      const studentId = await insertUser({ username: 'purgedstudent', email: 'purgedstudent@test.com' });
+      const questionId = await insertQuestion("MCQ", [], { isPublished: true });
+      await insertResponse(studentId, questionId, { pointsEarned: 1 });
+
+      const early = await request(app)
+        .delete(`/api/admin/problems/${questionId}/purge`)
+        .set("Authorization", `Bearer ${token}`);
+      expect(early.statusCode).toBe(400);
+      expect(early.body.message).toBe("Retire the question before purging it");
+
+      await request(app)
+        .delete(`/api/admin/problems/${questionId}`)
+        .set("Authorization", `Bearer ${token}`);
+      const res = await request(app)
+        .delete(`/api/admin/problems/${questionId}/purge`)
+        .set("Authorization", `Bearer ${token}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.lost).toMatchObject({ responses: 1, students: 1, reviewEvents: 1 });
+      const [questions] = await pool.query('SELECT ID FROM Question WHERE ID = ?', [questionId]);
+      expect(questions).toHaveLength(0);
+      const [responses] = await pool.query('SELECT ID FROM Response WHERE PROBLEM_ID = ?', [questionId]);
+      expect(responses).toHaveLength(0);
+    });
+
+    test("DELETE /api/admin/problems/:id/purge rejects professor JWT", async () => {
+      const profToken = jwt.sign(
+        { userId: 999, role: 'professor', verified: true },
+        process.env.JWT_SECRET,
+        { expiresIn: '1h' }
+      );
+
+      const res = await request(app)
+        .delete("/api/admin/problems/1/purge")
+        .set("Authorization", `Bearer ${profToken}`);
+
+      expect(res.statusCode).toBe(401);
+    });
+
+    // regrade tests
+    test("GET /api/admin/problems/:id/regrade reports changes without applying them", async () => {
+      const studentId = await insertUser({ username: 'regradestudent', email: 'regradestudent@test.com' });
+      const questionId = await insertQuestion("Multiple Choice", [{ text: 'A', isCorrect: true }, { text: 'B' }]);
+      const responseId = await insertResponse(studentId, questionId, { pointsEarned: 0, pointsPossible: 2 });
+      await pool.query('UPDATE Response SET USER_ANSWER = ? WHERE ID = ?', ['{"type":"MultipleChoice","selected":"A"}', responseId]);
+
+      const res = await request(app)
+        .get(`/api/admin/problems/${questionId}/regrade`)
+        .set("Authorization", `Bearer ${token}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toMatchObject({
+        questionId,
+        responses: 1,
+        changed: 1,
+        nowCorrect: 1,
+        pointsChange: 2,
+        students: [{ userId: studentId, username: 'regradestudent', pointsChange: 2 }],
+      });
+      const [[response]] = await pool.query('SELECT ISCORRECT FROM Response WHERE ID = ?', [responseId]);
+      expect(response.ISCORRECT).toBe(0);
+    });
+
+    test("POST /api/admin/problems/:id/regrade updates responses, exp and coins, and notifies the student", async () => {
+      const studentId = await insertUser({ username: 'regradedstudent', email: 'regradedstudent@test.com', lifetimeExp: 100, coins: 10 });
+      const questionId = await insertQuestion("Multiple Choice", [{ text: 'A', isCorrect: true }, { text: 'B' }]);
+      const responseId = await insertResponse(studentId, questionId, { pointsEarned: 0, pointsPossible: 2 });
+      await pool.query('UPDATE Response SET USER_ANSWER = ? WHERE ID = ?', ['{"type":"MultipleChoice","selected":"A"}', responseId]);
+
+      const res = await request(app)
+        .post(`/api/admin/problems/${questionId}/regrade`)
+        .set("Authorization", `Bearer ${token}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toMatchObject({ message: 'Responses regraded', changed: 1, expChange: 20, coinsChange: 4 });
+      expect(notifyUserEvent).toHaveBeenCalledWith(expect.stringContaining(`Question ID ${questionId} regraded`));
+
+      const [[response]] = await pool.query('SELECT ISCORRECT, POINTS_EARNED FROM Response WHERE ID = ?', [responseId]);
+      expect(response.ISCORRECT).toBe(1);
+      expect(Number(response.POINTS_EARNED)).toBe(2);
+      const [[user]] = await pool.query('SELECT LIFETIME_EXP, COINS FROM User WHERE ID = ?', [studentId]);
+      expect(Number(user.LIFETIME_EXP)).toBe(120);
+      expect(Number(user.COINS)).toBe(14);
+
+      // The student sees the regrade once
+      const studentToken = jwt.sign({ userId: studentId }, process.env.JWT_SECRET, { expiresIn: '1h' });
+      const notices = await request(app)
+        .get('/api/progress/regrades')
+        .set("Authorization", `Bearer ${studentToken}`);
+      expect(notices.statusCode).toBe(200);
+      expect(notices.body.totalUnseen).toBe(1);
+      expect(notices.body.notices[0]).toMatchObject({ questionId, wasCorrect: false, isCorrect: true, expChange: 20, coinsChange: 4 });
+
+      const seen = await request(app)
+        .post('/api/progress/regrades/seen')
+        .set("Authorization", `Bearer ${studentToken}`)
+        .send({ ids: [notices.body.notices[0].id] });
+      expect(seen.body.marked).toBe(1);
+
+      const again = await request(app)
+        .post(`/api/admin/problems/${questionId}/regrade`)
+        .set("Authorization", `Bearer ${token}`);
+      expect(again.body).toMatchObject({ message: 'No responses changed', changed: 0 });
+      const after = await request(app)
+        .get('/api/progress/regrades')
+        .set("Authorization", `Bearer ${studentToken}`);
+      expect(after.body.notices).toHaveLength(0);
+    });
+
+    test("POST /api/admin/problems/:id/regrade only takes back the exp awarded and the coins left", async () => {
+      const studentId = await insertUser({ username: 'cappedstudent', email: 'cappedstudent@test.com', lifetimeExp: 100, coins: 3 });
+      const questionId = await insertQuestion("Multiple Choice", [{ text: 'A', isCorrect: true }, { text: 'B' }]);
+      const responseId = await insertResponse(studentId, questionId, { pointsEarned: 2, pointsPossible: 2, isCorrect: true });
+      // Answered near the daily exp cap, so only 5 of the 20 exp was awarded
+      await pool.query(
+        'UPDATE Response SET USER_ANSWER = ?, EXP_AWARDED = 5 WHERE ID = ?',
+        ['{"type":"MultipleChoice","selected":"B"}', responseId]
+      );
+
+      const res = await request(app)
+        .post(`/api/admin/problems/${questionId}/regrade`)
+        .set("Authorization", `Bearer ${token}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toMatchObject({ changed: 1, pointsChange: -2, expChange: -5, coinsChange: -3 });
+      const [[user]] = await pool.query('SELECT LIFETIME_EXP, COINS FROM User WHERE ID = ?', [studentId]);
+      expect(Number(user.LIFETIME_EXP)).toBe(95);
+      expect(Number(user.COINS)).toBe(0);
+      const [[adjustment]] = await pool.query('SELECT EXP_CHANGE, COINS_CHANGE FROM RegradeAdjustment WHERE RESPONSE_ID = ?', [responseId]);
+      expect(adjustment).toEqual({ EXP_CHANGE: -5, COINS_CHANGE: -3 });
+      const [[response]] = await pool.query('SELECT EXP_AWARDED FROM Response WHERE ID = ?', [responseId]);
+      expect(response.EXP_AWARDED).toBe(0);
+    });
+
+    test("POST /api/admin/problems/:id/regrade rejects Programming questions", async () => {
+      const questionId = await insertQuestion("Programming");
+
+      const res = await request(app)
+        .post(`/api/admin/problems/${questionId}/regrade`)
+        .set("Authorization", `Bearer ${token}`);
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    test("GET /api/admin/problems/:id/regrade rejects another professor's question", async () => {
+      const ownerId = await insertUser({ username: 'regradeowner', email: 'regradeowner@test.com', isProf: true, verified: true });
+      const otherId = await insertUser({ username: 'regradeother', email: 'regradeother@test.com', isProf: true, verified: true });
+      const questionId = await insertQuestion("Multiple Choice", [{ text: 'A', isCorrect: true }], { ownerId });
+      const profToken = jwt.sign(
+        { userId: otherId, role: 'professor', verified: true },
+        process.env.JWT_SECRET,
+        { expiresIn: '1h' }
+      );
+
+      const res = await request(app)
+        .get(`/api/admin/problems/${questionId}/regrade`)
+        .set("Authorization", `Bearer ${profToken}`);
+
+      expect(res.statusCode).toBe(403);
+    });
+
     // store item tests
     test('POST /api/admin/store/createitem creates a store item', async () => {
       const res = await request(app)
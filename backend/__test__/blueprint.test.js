@@ -0,0 +1,221 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          blueprint.test.js
+//  Description:   Integration tests for mock test blueprints:
+//                 /api/admin/blueprints CRUD,
+//                 GET  /api/test/blueprints,
+//                 GET  /api/test/mocktest with a seed,
+//                 POST /api/test/sessions with a blueprint.
+//
+//  Dependencies:  supertest
+//                 mysql2 connection pool (server.js)
+//                 testHelpers
+//
+////////////////////////////////////////////////////////////////
+
+const request = require('supertest');
+const { app, pool } = require('../server');
+const { TEST_USER,
+        TEST_PROF,
+        getAuthToken,
+        getProfAuthToken,
+        verifyTestDatabase,
+        insertQuestion,
+      } = require('./testHelpers');
+
+let token;
+let profToken;
+const adminToken = process.env.ADMIN_KEY;
+
+const MC_ANSWERS = [
+  { text: 'Right', isCorrect: true  },
+  { text: 'Wrong', isCorrect: false },
+];
+
+const BLUEPRINT = {
+  name:             'Section A Drill',
+  description:      'Three section A questions',
+  timeLimitMinutes: 15,
+  rules:            [{ section: 'A', count: 3 }],
+  typeQuotas:       { 'Programming': { max: 0 } },
+};
+
+/**
+ * Creates a blueprint through the admin routes
+ */
+const createBlueprint = (body = BLUEPRINT, authToken = adminToken) => request(app)
+  .post('/api/admin/blueprints')
+  .set('Authorization', `Bearer ${authToken}`)
+  .send(body);
+
+beforeAll(async () => {
+  await verifyTestDatabase(pool);
+  await pool.query('DELETE FROM User WHERE EMAIL IN (?)', [[TEST_USER.email, TEST_PROF.email]]);
+  token = await getAuthToken();
+  profToken = await getProfAuthToken();
+});
+
+afterEach(async () => {
+  await pool.query('DELETE FROM Response');
+  await pool.query('DELETE FROM MockTestSession');
+  await pool.query('DELETE FROM TestBlueprint');
+  await pool.query('DELETE FROM AnswerText');
+  await pool.query('DELETE FROM Question');
+});
+
+afterAll(async () => {
+  await pool.query('DELETE FROM User WHERE EMAIL IN (?)', [[TEST_USER.email, TEST_PROF.email]]);
+  try
+  {
+    await pool.end();
+  }
+  catch (err)
+  {
+    console.error('Error closing pool in blueprint.test.js:', err);
+  }
+});
+
+describe('/api/admin/blueprints', () => {
+
+  test('401 - requires auth', async () => {
+    const res = await request(app).get('/api/admin/blueprints');
+    expect(res.statusCode).toBe(401);
+  });
+
+  test('403 - students cannot create blueprints', async () => {
+    const res = await createBlueprint(BLUEPRINT, token);
+    expect(res.statusCode).toBe(403);
+  });
+
+  test('201 - admin creates a blueprint', async () => {
+    const res = await createBlueprint();
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.blueprint).toMatchObject({ name: 'Section A Drill', timeLimitMinutes: 15, questionCount: 3, ownerId: null });
+
+    const get = await request(app)
+      .get(`/api/admin/blueprints/${res.body.blueprint.id}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(get.statusCode).toBe(200);
+    expect(get.body.blueprint.rules).toEqual(res.body.blueprint.rules);
+  });
+
+  test('400 - invalid rules', async () => {
+    const res = await createBlueprint({ ...BLUEPRINT, rules: [{ section: 'A', count: 0 }] });
+    expect(res.statusCode).toBe(400);
+  });
+
+  test('409 - duplicate name', async () => {
+    await createBlueprint();
+    const res = await createBlueprint();
+    expect(res.statusCode).toBe(409);
+  });
+
+  test("403 - professor cannot edit another owner's blueprint", async () => {
+    const created = await createBlueprint();
+
+    const res = await request(app)
+      .put(`/api/admin/blueprints/${created.body.blueprint.id}`)
+      .set('Authorization', `Bearer ${profToken}`)
+      .send({ ...BLUEPRINT, timeLimitMinutes: 20 });
+
+    expect(res.statusCode).toBe(403);
+  });
+
+  test('200 - professor updates and deletes their own blueprint', async () => {
+    const created = await createBlueprint(BLUEPRINT, profToken);
+    const id = created.body.blueprint.id;
+
+    const updated = await request(app)
+      .put(`/api/admin/blueprints/${id}`)
+      .set('Authorization', `Bearer ${profToken}`)
+      .send({ ...BLUEPRINT, timeLimitMinutes: 20 });
+    expect(updated.statusCode).toBe(200);
+    expect(updated.body.blueprint.timeLimitMinutes).toBe(20);
+
+    const deleted = await request(app)
+      .delete(`/api/admin/blueprints/${id}`)
+      .set('Authorization', `Bearer ${profToken}`);
+    expect(deleted.statusCode).toBe(200);
+
+    const [rows] = await pool.query('SELECT ID FROM TestBlueprint WHERE ID = ?', [id]);
+    expect(rows).toHaveLength(0);
+  });
+
+  test('404 - unknown blueprint', async () => {
+    const res = await request(app)
+      .get('/api/admin/blueprints/999999')
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(res.statusCode).toBe(404);
+  });
+});
+
+describe('GET /api/test/blueprints', () => {
+
+  test('200 - students can list blueprints', async () => {
+    await createBlueprint();
+
+    const res = await request(app)
+      .get('/api/test/blueprints')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.blueprints.map(b => b.name)).toContain('Section A Drill');
+  });
+});
+
+describe('GET /api/test/mocktest', () => {
+
+  test('200 - the same seed returns the same questions', async () => {
+    for (let i = 0; i < 8; i++)
+    {
+      await insertQuestion('Multiple Choice', MC_ANSWERS);
+    }
+    const created = await createBlueprint();
+    const url = `/api/test/mocktest?blueprintId=${created.body.blueprint.id}&seed=practice`;
+
+    const first = await request(app).get(url).set('Authorization', `Bearer ${token}`);
+    const second = await request(app).get(url).set('Authorization', `Bearer ${token}`);
+
+    expect(first.statusCode).toBe(200);
+    expect(first.body.total).toBe(3);
+    expect(first.body.seed).toBe('practice');
+    expect(second.body.questions.map(q => q.ID)).toEqual(first.body.questions.map(q => q.ID));
+  });
+});
+
+describe('POST /api/test/sessions with a blueprint', () => {
+
+  test('201 - uses the blueprint counts and time limit', async () => {
+    for (let i = 0; i < 5; i++)
+    {
+      await insertQuestion('Multiple Choice', MC_ANSWERS);
+    }
+    await insertQuestion('Programming', []);
+    const created = await createBlueprint();
+
+    const res = await request(app)
+      .post('/api/test/sessions')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ blueprintId: created.body.blueprint.id, seed: 'abc' });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.blueprintId).toBe(created.body.blueprint.id);
+    expect(res.body.seed).toBe('abc');
+    expect(res.body.questions).toHaveLength(3);
+    expect(res.body.questions.every(q => q.TYPE !== 'Programming')).toBe(true);
+    expect(new Date(res.body.deadline) - new Date(res.body.startedAt)).toBe(15 * 60 * 1000);
+  });
+
+  test('404 - unknown blueprint', async () => {
+    const res = await request(app)
+      .post('/api/test/sessions')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ blueprintId: 999999 });
+
+    expect(res.statusCode).toBe(404);
+  });
+});
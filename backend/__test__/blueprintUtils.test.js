@@ -0,0 +1,151 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          blueprintUtils.test.js
+//  Description:   Unit tests for mock test blueprint validation
+//                 and blueprint-driven question selection.
+//
+//  Dependencies:  blueprintUtils
+//                 questionUtils
+//
+////////////////////////////////////////////////////////////////
+
+const {
+        DEFAULT_BLUEPRINT,
+        parseBlueprint,
+        toBlueprint,
+        selectBlueprintQuestions,
+      } = require('../utils/blueprintUtils');
+const { createSeededRandom } = require('../utils/questionUtils');
+
+let nextId = 1;
+const mockQuestion = ({ section = 'A', category = 'Introductory Programming', subcategory = 'Arrays', type = 'Multiple Choice', points = 2 } = {}) => ({
+  ID:              nextId++,
+  SECTION:         section,
+  CATEGORY:        category,
+  SUBCATEGORY:     subcategory,
+  TYPE:            type,
+  POINTS_POSSIBLE: points.toFixed(2),
+});
+
+const validInput = () => ({
+  name:             'Midterm Practice',
+  description:      'Sections A and B',
+  timeLimitMinutes: 45,
+  targetPoints:     20,
+  rules:            [{ section: 'A', count: 3 }, { subcategory: 'Input/Output', count: 2 }],
+  typeQuotas:       { 'Programming': { max: 1 } },
+});
+
+describe("Blueprint Utils", () => {
+
+  describe("parseBlueprint Tests", () => {
+
+    test("should normalize a valid blueprint", () => {
+      const blueprint = parseBlueprint(validInput(), 'test');
+
+      expect(blueprint.name).toBe('Midterm Practice');
+      expect(blueprint.rules).toEqual([
+        { section: 'A',  category: null, subcategory: null,          count: 3 },
+        { section: null, category: null, subcategory: 'InputOutput', count: 2 },
+      ]);
+      expect(blueprint.typeQuotas).toEqual({ 'Programming': { min: 0, max: 1 } });
+    });
+
+    test("should reject missing name, rules or time limit", () => {
+      expect(() => parseBlueprint({ ...validInput(), name: ' ' }, 'test')).toThrow(expect.objectContaining({ statusCode: 400 }));
+      expect(() => parseBlueprint({ ...validInput(), rules: [] }, 'test')).toThrow(expect.objectContaining({ statusCode: 400 }));
+      expect(() => parseBlueprint({ ...validInput(), timeLimitMinutes: 1 }, 'test')).toThrow(expect.objectContaining({ statusCode: 400 }));
+    });
+
+    test("should reject rules asking for too many questions", () => {
+      const input = { ...validInput(), rules: [{ section: 'A', count: 30 }, { section: 'B', count: 30 }] };
+      expect(() => parseBlueprint(input, 'test')).toThrow(expect.objectContaining({ statusCode: 400 }));
+    });
+
+    test("should reject unknown types and inverted quotas", () => {
+      expect(() => parseBlueprint({ ...validInput(), typeQuotas: { 'Essay': { max: 1 } } }, 'test'))
+        .toThrow(expect.objectContaining({ statusCode: 400 }));
+      expect(() => parseBlueprint({ ...validInput(), typeQuotas: { 'Programming': { min: 2, max: 1 } } }, 'test'))
+        .toThrow(expect.objectContaining({ statusCode: 400 }));
+    });
+  });
+
+  describe("toBlueprint Tests", () => {
+
+    test("should parse JSON columns and sum question count", () => {
+      const blueprint = toBlueprint({
+        ID: 3, NAME: 'Final', DESCRIPTION: null, TIME_LIMIT_MINUTES: 60, TARGET_POINTS: '25.00',
+        RULES: '[{"section":"A","count":4},{"section":"B","count":2}]', TYPE_QUOTAS: '{}', OWNER_ID: 7,
+      });
+
+      expect(blueprint).toMatchObject({ id: 3, targetPoints: 25, questionCount: 6, ownerId: 7 });
+      expect(blueprint.rules).toHaveLength(2);
+    });
+  });
+
+  describe("selectBlueprintQuestions Tests", () => {
+
+    const questions = [
+      ...['A', 'B', 'C', 'D'].flatMap(section =>
+        Array.from({ length: 5 }, () => mockQuestion({ section }))
+      ),
+      mockQuestion({ section: 'A', type: 'Programming' }),
+      mockQuestion({ section: 'B', type: 'Programming' }),
+    ];
+
+    test("should pick each rule's count from matching questions", () => {
+      const picked = selectBlueprintQuestions(questions, DEFAULT_BLUEPRINT, createSeededRandom('seed'));
+
+      expect(picked).toHaveLength(12);
+      ['A', 'B', 'C', 'D'].forEach(section => {
+        expect(picked.filter(q => q.SECTION === section)).toHaveLength(3);
+      });
+      expect(new Set(picked.map(q => q.ID)).size).toBe(12);
+    });
+
+    test("should reproduce the same questions from the same seed", () => {
+      const first = selectBlueprintQuestions(questions, DEFAULT_BLUEPRINT, createSeededRandom('seed'));
+      const second = selectBlueprintQuestions(questions, DEFAULT_BLUEPRINT, createSeededRandom('seed'));
+
+      expect(second.map(q => q.ID)).toEqual(first.map(q => q.ID));
+    });
+
+    test("should respect type maximums and the programming limit", () => {
+      const blueprint = { ...DEFAULT_BLUEPRINT, typeQuotas: { 'Programming': { min: 2, max: 2 } } };
+
+      const picked = selectBlueprintQuestions(questions, blueprint, createSeededRandom(1));
+      expect(picked.filter(q => q.TYPE === 'Programming')).toHaveLength(2);
+
+      const limited = selectBlueprintQuestions(questions, blueprint, createSeededRandom(1), { allowProgramming: false });
+      expect(limited.filter(q => q.TYPE === 'Programming')).toHaveLength(0);
+    });
+
+    test("should match on category and normalized subcategory", () => {
+      const pool = [
+        mockQuestion({ subcategory: 'Input/Output' }),
+        mockQuestion({ subcategory: 'InputOutput' }),
+        mockQuestion({ subcategory: 'Loops' }),
+      ];
+      const blueprint = { ...DEFAULT_BLUEPRINT, rules: [{ section: null, category: 'Introductory Programming', subcategory: 'InputOutput', count: 5 }] };
+
+      const picked = selectBlueprintQuestions(pool, blueprint, createSeededRandom(1));
+      expect(picked).toHaveLength(2);
+      expect(picked.every(q => q.SUBCATEGORY !== 'Loops')).toBe(true);
+    });
+
+    test("should come closer to the target points than a single draw", () => {
+      const pool = [
+        ...Array.from({ length: 10 }, () => mockQuestion({ points: 1 })),
+        ...Array.from({ length: 10 }, () => mockQuestion({ points: 5 })),
+      ];
+      const blueprint = { ...DEFAULT_BLUEPRINT, targetPoints: 20, rules: [{ section: 'A', category: null, subcategory: null, count: 4 }] };
+
+      const picked = selectBlueprintQuestions(pool, blueprint, createSeededRandom('target'));
+      const points = picked.reduce((sum, q) => sum + parseFloat(q.POINTS_POSSIBLE), 0);
+      expect(points).toBe(20);
+    });
+  });
+});
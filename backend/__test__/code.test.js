@@ -5,6 +5,7 @@
 //  Author(s):     Daniel Landsman
 //  File:          code.test.js
 //  Description:   Unit tests for Judge0-supported coding problems
+//                 and the background code jobs that grade them
 //
 //  Dependencies:  supertest
 //                 mysql2 connection pool (server.js)
@@ -38,6 +39,43 @@ jest.mock('../services/judge0Service', () => {
 let token;
 let testUserId;
 
+/**
+ * Polls a code job until it finishes
+ * @param   {string} jobId
+ * @returns {Promise<Object>} Finished job from GET /api/code/jobs/:id
+ */
+const waitForJob = async (jobId) => {
+  for (let attempt = 0; attempt < 50; attempt++)
+  {
+    const jobRes = await request(app)
+      .get(`/api/code/jobs/${jobId}`)
+      .set("Authorization", `Bearer ${token}`);
+    expect(jobRes.statusCode).toBe(200);
+
+    if (jobRes.body.status === "completed" || jobRes.body.status === "failed")
+    {
+      return jobRes.body;
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error(`Code job ${jobId} never finished`);
+};
+
+/**
+ * Submits code and waits for its job to finish
+ * @param   {Object} body - POST /api/code/submitCode body
+ * @returns {Promise<Object>} Finished job
+ */
+const submitAndWait = async (body) => {
+  const submitRes = await request(app)
+    .post("/api/code/submitCode")
+    .set("Authorization", `Bearer ${token}`)
+    .send(body);
+  expect(submitRes.statusCode).toBe(202);
+
+  return waitForJob(submitRes.body.jobId);
+};
+
 // Test setup/teardown
 beforeAll(async () => {
   // Extra database safety check
@@ -242,6 +280,30 @@ describe("POST /api/code/submitCode", () => {
       expect(res.statusCode).toBe(404);
       expect(res.body.message).toBe("Programming question not found.");
     });
+
+    test("should reject a retired problem outside a session", async () => {
+      await pool.query("UPDATE Question SET REVIEW_STATUS = 'retired', IS_PUBLISHED = 0 WHERE ID = ?", [testProblemId]);
+      try
+      {
+        const res = await request(app)
+          .post("/api/code/submitCode")
+          .set("Authorization", `Bearer ${token}`)
+          .send({
+            problemId: testProblemId,
+            code: "print('Hello World')",
+            languageId: judge0Service.LANGUAGE_IDS.PYTHON,
+            isTestRun: false
+          });
+
+        expect(res.statusCode).toBe(404);
+        expect(res.body.message).toBe("Programming question not found.");
+        expect(judge0Service.submitBatch).not.toHaveBeenCalled();
+      }
+      finally
+      {
+        await pool.query("UPDATE Question SET REVIEW_STATUS = 'draft', IS_PUBLISHED = 1 WHERE ID = ?", [testProblemId]);
+      }
+    });
   });
 
   // Code executed successfully, may be right or wrong
@@ -259,25 +321,22 @@ describe("POST /api/code/submitCode", () => {
         memory: 3296
       });
 
-      const res = await request(app)
-        .post("/api/code/submitCode")
-        .set("Authorization", `Bearer ${token}`)
-        .send({
-          problemId: testProblemId,
-          code: "print('Hello World')",
-          languageId: judge0Service.LANGUAGE_IDS.PYTHON,
-          isTestRun: false
-        });
+      const job = await submitAndWait({
+        problemId: testProblemId,
+        code: "print('Hello World')",
+        languageId: judge0Service.LANGUAGE_IDS.PYTHON,
+        isTestRun: false
+      });
 
-      expect(res.statusCode).toBe(200);
-      expect(res.body.success).toBe(true);
-      expect(res.body.isTestRun).toBe(false);
-      expect(res.body.allPassed).toBe(true);
-      expect(res.body.passedTests).toBe(1);
-      expect(res.body.totalTests).toBe(1);
-      expect(res.body.pointsEarned).toBe(10.00);
-      expect(res.body.testResults).toHaveLength(1);
-      expect(res.body.testResults[0].passed).toBe(true);
+      expect(job.status).toBe("completed");
+      expect(job.result.success).toBe(true);
+      expect(job.result.isTestRun).toBe(false);
+      expect(job.result.allPassed).toBe(true);
+      expect(job.result.passedTests).toBe(1);
+      expect(job.result.totalTests).toBe(1);
+      expect(job.result.pointsEarned).toBe(10.00);
+      expect(job.result.testResults).toHaveLength(1);
+      expect(job.result.testResults[0].passed).toBe(true);
     });
       
     test("should detect wrong output", async () => {
@@ -292,25 +351,22 @@ describe("POST /api/code/submitCode", () => {
         memory: 3552
       });
 
-      const res = await request(app)
-        .post("/api/code/submitCode")
-        .set("Authorization", `Bearer ${token}`)
-        .send({
-          problemId: testProblemId,
-          code: "print('Goodbye World')",
-          languageId: judge0Service.LANGUAGE_IDS.PYTHON,
-          isTestRun: false
-        });
+      const job = await submitAndWait({
+        problemId: testProblemId,
+        code: "print('Goodbye World')",
+        languageId: judge0Service.LANGUAGE_IDS.PYTHON,
+        isTestRun: false
+      });
 
-      expect(res.statusCode).toBe(200);
-      expect(res.body.success).toBe(true);
-      expect(res.body.isTestRun).toBe(false);
-      expect(res.body.allPassed).toBe(false);
-      expect(res.body.passedTests).toBe(0);
-      expect(res.body.pointsEarned).toBe(0.00);
-      expect(res.body.testResults[0].passed).toBe(false);
-      expect(res.body.testResults[0].expectedOutput).toBe("Hello World");
-      expect(res.body.testResults[0].actualOutput).toBe("Goodbye World");
+      expect(job.status).toBe("completed");
+      expect(job.result.success).toBe(true);
+      expect(job.result.isTestRun).toBe(false);
+      expect(job.result.allPassed).toBe(false);
+      expect(job.result.passedTests).toBe(0);
+      expect(job.result.pointsEarned).toBe(0.00);
+      expect(job.result.testResults[0].passed).toBe(false);
+      expect(job.result.testResults[0].expectedOutput).toBe("Hello World");
+      expect(job.result.testResults[0].actualOutput).toBe("Goodbye World");
     });
 
     test("should save submission to database", async () => {
@@ -322,15 +378,12 @@ describe("POST /api/code/submitCode", () => {
         memory: 3000
       });
 
-      const res = await request(app)
-        .post("/api/code/submitCode")
-        .set("Authorization", `Bearer ${token}`)
-        .send({
-          problemId: testProblemId,
-          code: "print('Hello World')",
-          languageId: judge0Service.LANGUAGE_IDS.PYTHON,
-          isTestRun: false
-        });
+      const job = await submitAndWait({
+        problemId: testProblemId,
+        code: "print('Hello World')",
+        languageId: judge0Service.LANGUAGE_IDS.PYTHON,
+        isTestRun: false
+      });
 
       // Check database
       const [responses] = await pool.query(
@@ -346,7 +399,7 @@ describe("POST /api/code/submitCode", () => {
       expect(responses[0].ISCORRECT).toBe(1); // All tests passed
       expect(responses[0].POINTS_EARNED).toBe('10.00');
       expect(responses[0].POINTS_POSSIBLE).toBe('10.00');
-      expect(res.body.isTestRun).toBe(false);
+      expect(job.result.isTestRun).toBe(false);
     });
 
     test("should serialize answer as JSON in Response.USER_ANSWER", async () => {
@@ -358,15 +411,12 @@ describe("POST /api/code/submitCode", () => {
         memory: 3000
       });
 
-      await request(app)
-        .post("/api/code/submitCode")
-        .set("Authorization", `Bearer ${token}`)
-        .send({
-          problemId:  testProblemId,
-          code:       "print('Hello World')",
-          languageId: judge0Service.LANGUAGE_IDS.PYTHON,
-          isTestRun:  false
-        });
+      await submitAndWait({
+        problemId:  testProblemId,
+        code:       "print('Hello World')",
+        languageId: judge0Service.LANGUAGE_IDS.PYTHON,
+        isTestRun:  false
+      });
 
       const [responses] = await pool.query(
         'SELECT USER_ANSWER FROM Response WHERE USERID = ? AND PROBLEM_ID = ? ORDER BY ID DESC LIMIT 1',
@@ -397,15 +447,12 @@ describe("POST /api/code/submitCode", () => {
           memory: 3000
         });
 
-        await request(app)
-          .post("/api/code/submitCode")
-          .set("Authorization", `Bearer ${token}`)
-          .send({
-            problemId:  testProblemId,
-            code:       "print('Hello World')",
-            languageId: languageId,
-            isTestRun:  false
-          });
+        await submitAndWait({
+          problemId:  testProblemId,
+          code:       "print('Hello World')",
+          languageId: languageId,
+          isTestRun:  false
+        });
 
         const [responses] = await pool.query(
           'SELECT USER_ANSWER FROM Response WHERE USERID = ? AND PROBLEM_ID = ? ORDER BY ID DESC LIMIT 1',
@@ -436,22 +483,19 @@ describe("POST /api/code/submitCode", () => {
         memory: null
       });
 
-      const res = await request(app)
-        .post("/api/code/submitCode")
-        .set("Authorization", `Bearer ${token}`)
-        .send({
-          problemId: testProblemId,
-          code: "print('Hello'",
-          languageId: judge0Service.LANGUAGE_IDS.PYTHON,
-          isTestRun: false
-        });
+      const job = await submitAndWait({
+        problemId: testProblemId,
+        code: "print('Hello'",
+        languageId: judge0Service.LANGUAGE_IDS.PYTHON,
+        isTestRun: false
+      });
 
-      expect(res.statusCode).toBe(200);
-      expect(res.body.success).toBe(false);
-      expect(res.body.isTestRun).toBe(false);
-      expect(res.body.status).toBe("Compilation Error");
-      expect(res.body.error).toContain("SyntaxError");
-      expect(res.body.message).toBe("Your code failed to execute. Please check for errors.");
+      expect(job.status).toBe("completed");
+      expect(job.result.success).toBe(false);
+      expect(job.result.isTestRun).toBe(false);
+      expect(job.result.status).toBe("Compilation Error");
+      expect(job.result.error).toContain("SyntaxError");
+      expect(job.result.message).toBe("Your code failed to execute. Please check for errors.");
 
       // Should still be saved to database
       const [responses] = await pool.query(
@@ -476,21 +520,18 @@ describe("POST /api/code/submitCode", () => {
         memory: null
       });
 
-      const res = await request(app)
-        .post("/api/code/submitCode")
-        .set("Authorization", `Bearer ${token}`)
-        .send({
-          problemId: testProblemId,
-          code: "x = 1/0",
-          languageId: judge0Service.LANGUAGE_IDS.PYTHON,
-          isTestRun: false
-        });
+      const job = await submitAndWait({
+        problemId: testProblemId,
+        code: "x = 1/0",
+        languageId: judge0Service.LANGUAGE_IDS.PYTHON,
+        isTestRun: false
+      });
 
-      expect(res.statusCode).toBe(200);
-      expect(res.body.success).toBe(false);
-      expect(res.body.isTestRun).toBe(false);
-      expect(res.body.status).toBe("Runtime Error (NZEC)");
-      expect(res.body.error).toContain("ZeroDivisionError");
+      expect(job.status).toBe("completed");
+      expect(job.result.success).toBe(false);
+      expect(job.result.isTestRun).toBe(false);
+      expect(job.result.status).toBe("Runtime Error (NZEC)");
+      expect(job.result.error).toContain("ZeroDivisionError");
 
       // Should still be saved to database
       const [responses] = await pool.query(
@@ -502,25 +543,23 @@ describe("POST /api/code/submitCode", () => {
       expect(responses[0].POINTS_EARNED).toBe('0.00');
     });
 
-    test("should handle Judge0 service failures", async () => {
+    test("should fail the job without saving when Judge0 is unavailable", async () => {
 
       // Mock Judge0 server error response
       judge0Service.submitBatch.mockRejectedValue(
         new AppError("Judge0 API unavailable", 502, "Code submission failed.")
       );
 
-      const res = await request(app)
-        .post("/api/code/submitCode")
-        .set("Authorization", `Bearer ${token}`)
-        .send({
-          problemId: testProblemId,
-          code: "print('Hello')",
-          languageId: judge0Service.LANGUAGE_IDS.PYTHON,
-          isTestRun: false
-        });
+      const job = await submitAndWait({
+        problemId: testProblemId,
+        code: "print('Hello')",
+        languageId: judge0Service.LANGUAGE_IDS.PYTHON,
+        isTestRun: false
+      });
 
-      expect(res.statusCode).toBe(502);
-      expect(res.body.message).toBe("Code submission failed.");
+      expect(job.status).toBe("failed");
+      expect(job.result).toBeNull();
+      expect(job.error).toEqual({ statusCode: 502, message: "Code submission failed." });
 
       // Should NOT be saved to database
       const [responses] = await pool.query(
@@ -601,23 +640,20 @@ describe("POST /api/code/submitCode", () => {
           memory: 3000
         });
 
-      const res = await request(app)
-        .post("/api/code/submitCode")
-        .set("Authorization", `Bearer ${token}`)
-        .send({
-          problemId: multiTestProblemId,
-          code: "def is_prime(n): ...",
-          languageId: judge0Service.LANGUAGE_IDS.PYTHON,
-          isTestRun: false
-        });
+      const job = await submitAndWait({
+        problemId: multiTestProblemId,
+        code: "def is_prime(n): ...",
+        languageId: judge0Service.LANGUAGE_IDS.PYTHON,
+        isTestRun: false
+      });
 
-      expect(res.statusCode).toBe(200);
-      expect(res.body.success).toBe(true);
-      expect(res.body.allPassed).toBe(true);
-      expect(res.body.passedTests).toBe(5);
-      expect(res.body.totalTests).toBe(5);
-      expect(res.body.pointsEarned).toBe(10.00);
-      expect(res.body.testResults).toHaveLength(5);
+      expect(job.status).toBe("completed");
+      expect(job.result.success).toBe(true);
+      expect(job.result.allPassed).toBe(true);
+      expect(job.result.passedTests).toBe(5);
+      expect(job.result.totalTests).toBe(5);
+      expect(job.result.pointsEarned).toBe(10.00);
+      expect(job.result.testResults).toHaveLength(5);
     });
 
     test("should award partial credit when some tests fail", async () => {
@@ -658,29 +694,26 @@ describe("POST /api/code/submitCode", () => {
           memory: 3000
         });
 
-      const res = await request(app)
-        .post("/api/code/submitCode")
-        .set("Authorization", `Bearer ${token}`)
-        .send({
-          problemId: multiTestProblemId,
-          code: "def is_prime(n): ...",
-          languageId: judge0Service.LANGUAGE_IDS.PYTHON,
-          isTestRun: false
-        });
+      const job = await submitAndWait({
+        problemId: multiTestProblemId,
+        code: "def is_prime(n): ...",
+        languageId: judge0Service.LANGUAGE_IDS.PYTHON,
+        isTestRun: false
+      });
 
-      expect(res.statusCode).toBe(200);
-      expect(res.body.success).toBe(true);
-      expect(res.body.allPassed).toBe(false);
-      expect(res.body.passedTests).toBe(3);
-      expect(res.body.totalTests).toBe(5);
-      expect(res.body.pointsEarned).toBe(6.00); // 3/5 * 10 = 6
+      expect(job.status).toBe("completed");
+      expect(job.result.success).toBe(true);
+      expect(job.result.allPassed).toBe(false);
+      expect(job.result.passedTests).toBe(3);
+      expect(job.result.totalTests).toBe(5);
+      expect(job.result.pointsEarned).toBe(6.00); // 3/5 * 10 = 6
       
       // Check individual test results
-      expect(res.body.testResults[0].passed).toBe(true);
-      expect(res.body.testResults[1].passed).toBe(true);
-      expect(res.body.testResults[2].passed).toBe(false);
-      expect(res.body.testResults[3].passed).toBe(true);
-      expect(res.body.testResults[4].passed).toBe(false);
+      expect(job.result.testResults[0].passed).toBe(true);
+      expect(job.result.testResults[1].passed).toBe(true);
+      expect(job.result.testResults[2].passed).toBe(false);
+      expect(job.result.testResults[3].passed).toBe(true);
+      expect(job.result.testResults[4].passed).toBe(false);
     });
 
     test("should award zero points when all tests fail", async () => {
@@ -694,22 +727,248 @@ describe("POST /api/code/submitCode", () => {
         memory: 3000
       });
 
+      const job = await submitAndWait({
+        problemId: multiTestProblemId,
+        code: "def is_prime(n): return 'Wrong'",
+        languageId: judge0Service.LANGUAGE_IDS.PYTHON,
+        isTestRun: false
+      });
+
+      expect(job.status).toBe("completed");
+      expect(job.result.success).toBe(true);
+      expect(job.result.allPassed).toBe(false);
+      expect(job.result.passedTests).toBe(0);
+      expect(job.result.totalTests).toBe(5);
+      expect(job.result.pointsEarned).toBe(0.00);
+    });
+  });
+
+  // Hidden cases, weights, and comparison modes
+  describe("Test Case Option Tests", () => {
+    let optionsProblemId;
+
+    beforeAll(async () => {
+      const [problemResult] = await pool.query(
+        `INSERT INTO Question (QUESTION_TEXT, TYPE, CATEGORY, SUBCATEGORY, POINTS_POSSIBLE)
+         VALUES (?, 'Programming', 'Math', 'Division', 10.00)`,
+        ['Print the first number divided by the second']
+      );
+      optionsProblemId = problemResult.insertId;
+
+      // Hidden case first, so test runs must skip past it to the sample
+      await pool.query(
+        `INSERT INTO TestCase (QUESTION_ID, INPUT, EXPECTED_OUTPUT, IS_HIDDEN, WEIGHT, COMPARISON_MODE, FLOAT_TOLERANCE) VALUES
+         (?, '22 7', '3.142857', 1, 3.00, 'float', 0.0001),
+         (?, '1 2',  '0.5',      0, 1.00, 'float', NULL)`,
+        [optionsProblemId, optionsProblemId]
+      );
+    });
+
+    afterAll(async () => {
+      await pool.query('DELETE FROM TestCase WHERE QUESTION_ID = ?', [optionsProblemId]);
+      await pool.query('DELETE FROM Question WHERE ID = ?', [optionsProblemId]);
+    });
+
+    test("should not send hidden test case input or output back", async () => {
+      judge0Service.submitBatch.mockResolvedValue(["token-hidden", "token-sample"]);
+      judge0Service.pollSubmission
+        .mockResolvedValueOnce({
+          status: { id: judge0Service.STATUS_IDS.ACCEPTED, description: "Accepted" },
+          stdout: "3.1428571",
+          time: "0.010",
+          memory: 3000
+        })
+        .mockResolvedValueOnce({
+          status: { id: judge0Service.STATUS_IDS.ACCEPTED, description: "Accepted" },
+          stdout: "0.50",
+          time: "0.010",
+          memory: 3000
+        });
+
+      const job = await submitAndWait({
+        problemId: optionsProblemId,
+        code: "a, b = map(int, input().split())\nprint(a / b)",
+        languageId: judge0Service.LANGUAGE_IDS.PYTHON,
+        isTestRun: false
+      });
+
+      expect(job.status).toBe("completed");
+      expect(job.result.allPassed).toBe(true);
+
+      const [hiddenResult, sampleResult] = job.result.testResults;
+      expect(hiddenResult.hidden).toBe(true);
+      expect(hiddenResult.input).toBeNull();
+      expect(hiddenResult.expectedOutput).toBeNull();
+      expect(hiddenResult.actualOutput).toBeNull();
+      expect(sampleResult.hidden).toBe(false);
+      expect(sampleResult.input).toBe("1 2");
+      expect(JSON.stringify(job)).not.toContain("22 7");
+
+      // The runner only runs the code, output is compared by the grader
+      expect(judge0Service.submitBatch.mock.calls[0][2].every(tc => tc.EXPECTED_OUTPUT === null)).toBe(true);
+    });
+
+    test("should award points by test case weight", async () => {
+      judge0Service.submitBatch.mockResolvedValue(["token-hidden", "token-sample"]);
+      judge0Service.pollSubmission
+        .mockResolvedValueOnce({
+          status: { id: judge0Service.STATUS_IDS.ACCEPTED, description: "Accepted" },
+          stdout: "3",
+          time: "0.010",
+          memory: 3000
+        })
+        .mockResolvedValueOnce({
+          status: { id: judge0Service.STATUS_IDS.ACCEPTED, description: "Accepted" },
+          stdout: "0.5",
+          time: "0.010",
+          memory: 3000
+        });
+
+      const job = await submitAndWait({
+        problemId: optionsProblemId,
+        code: "a, b = map(int, input().split())\nprint(a // b)",
+        languageId: judge0Service.LANGUAGE_IDS.PYTHON,
+        isTestRun: false
+      });
+
+      expect(job.result.passedTests).toBe(1);
+      expect(job.result.pointsEarned).toBe(2.5); // 1 of 4 weight * 10
+      expect(job.result.testResults[0].status).toBe("Wrong Answer");
+
+      // History shows the cases passed, the points alone would say 0.25 of 2
+      const [responses] = await pool.query(
+        'SELECT USER_ANSWER FROM Response WHERE USERID = ? AND PROBLEM_ID = ? ORDER BY ID DESC LIMIT 1',
+        [testUserId, optionsProblemId]
+      );
+      const stored = JSON.parse(responses[0].USER_ANSWER);
+      expect(stored.passedTests).toBe(1);
+      expect(stored.totalTests).toBe(2);
+    });
+
+    test("should hide stderr from a hidden test case that crashes", async () => {
+      judge0Service.submitBatch.mockResolvedValue(["token-hidden", "token-sample"]);
+      judge0Service.pollSubmission
+        .mockResolvedValueOnce({
+          status: { id: judge0Service.STATUS_IDS.RUNTIME_ERROR_NZEC, description: "Runtime Error (NZEC)" },
+          stdout: null,
+          stderr: "ValueError: 22 7",
+          time: "0.010",
+          memory: 3000
+        })
+        .mockResolvedValueOnce({
+          status: { id: judge0Service.STATUS_IDS.ACCEPTED, description: "Accepted" },
+          stdout: "0.5",
+          time: "0.010",
+          memory: 3000
+        });
+
+      const job = await submitAndWait({
+        problemId: optionsProblemId,
+        code: "raise ValueError(input())",
+        languageId: judge0Service.LANGUAGE_IDS.PYTHON,
+        isTestRun: false
+      });
+
+      expect(job.result.success).toBe(false);
+      expect(job.result.error).toBe("Your code failed on a hidden test case.");
+    });
+
+    test("should only test run against sample test cases", async () => {
+      judge0Service.submitBatch.mockResolvedValue(["token-sample"]);
+      judge0Service.pollSubmission.mockResolvedValue({
+        status: { id: judge0Service.STATUS_IDS.ACCEPTED, description: "Accepted" },
+        stdout: "0.5",
+        time: "0.010",
+        memory: 3000
+      });
+
+      await submitAndWait({
+        problemId: optionsProblemId,
+        code: "a, b = map(int, input().split())\nprint(a / b)",
+        languageId: judge0Service.LANGUAGE_IDS.PYTHON,
+        isTestRun: true
+      });
+
+      const runnerCases = judge0Service.submitBatch.mock.calls[0][2];
+      expect(runnerCases).toHaveLength(1);
+      expect(runnerCases[0].INPUT).toBe("1 2");
+    });
+  });
+
+  // Function-signature problems, run inside a hidden harness
+  describe("Function Signature Tests", () => {
+    let functionProblemId;
+    const harness = "#include <stdio.h>\n{{STUDENT_CODE}}\nint main(void) { int n; scanf(\"%d\", &n); printf(\"%d\\n\", twice(n)); return 0; }";
+    const studentCode = "int twice(int n) { return 2 * n; }";
+
+    beforeAll(async () => {
+      const [problemResult] = await pool.query(
+        `INSERT INTO Question (QUESTION_TEXT, TYPE, CATEGORY, SUBCATEGORY, POINTS_POSSIBLE)
+         VALUES (?, 'Programming', 'Basics', 'Functions', 10.00)`,
+        ['Write int twice(int n), which returns n doubled']
+      );
+      functionProblemId = problemResult.insertId;
+
+      await pool.query(
+        `INSERT INTO TestCase (QUESTION_ID, INPUT, EXPECTED_OUTPUT) VALUES (?, '21', '42')`,
+        [functionProblemId]
+      );
+      await pool.query(
+        `INSERT INTO CodeTemplate (QUESTION_ID, LANGUAGE_ID, FUNCTION_SIGNATURE, STARTER_CODE, HARNESS)
+         VALUES (?, ?, 'int twice(int n)', 'int twice(int n)\n{\n}', ?)`,
+        [functionProblemId, judge0Service.LANGUAGE_IDS.C, harness]
+      );
+    });
+
+    afterAll(async () => {
+      await pool.query('DELETE FROM CodeTemplate WHERE QUESTION_ID = ?', [functionProblemId]);
+      await pool.query('DELETE FROM TestCase WHERE QUESTION_ID = ?', [functionProblemId]);
+      await pool.query('DELETE FROM Question WHERE ID = ?', [functionProblemId]);
+    });
+
+    test("should run the student's function inside the harness", async () => {
+      judge0Service.submitBatch.mockResolvedValue(["token-harness"]);
+      judge0Service.pollSubmission.mockResolvedValue({
+        status: { id: judge0Service.STATUS_IDS.ACCEPTED, description: "Accepted" },
+        stdout: "42",
+        time: "0.005",
+        memory: 1000
+      });
+
+      const job = await submitAndWait({
+        problemId: functionProblemId,
+        code: studentCode,
+        languageId: judge0Service.LANGUAGE_IDS.C,
+        isTestRun: false
+      });
+
+      expect(job.result.allPassed).toBe(true);
+
+      const submittedCode = judge0Service.submitBatch.mock.calls[0][0];
+      expect(submittedCode).toContain(`#include <stdio.h>\n${studentCode}\nint main(void)`);
+
+      // Only the student's own code is saved as their answer
+      const [[response]] = await pool.query(
+        'SELECT USER_ANSWER FROM Response WHERE USERID = ? AND PROBLEM_ID = ?',
+        [testUserId, functionProblemId]
+      );
+      expect(JSON.parse(response.USER_ANSWER).code).toBe(studentCode);
+    });
+
+    test("should reject languages without a harness", async () => {
       const res = await request(app)
         .post("/api/code/submitCode")
         .set("Authorization", `Bearer ${token}`)
         .send({
-          problemId: multiTestProblemId,
-          code: "def is_prime(n): return 'Wrong'",
+          problemId: functionProblemId,
+          code: "def twice(n): return 2 * n",
           languageId: judge0Service.LANGUAGE_IDS.PYTHON,
           isTestRun: false
         });
 
-      expect(res.statusCode).toBe(200);
-      expect(res.body.success).toBe(true);
-      expect(res.body.allPassed).toBe(false);
-      expect(res.body.passedTests).toBe(0);
-      expect(res.body.totalTests).toBe(5);
-      expect(res.body.pointsEarned).toBe(0.00);
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe("This question can't be answered in that language.");
+      expect(judge0Service.submitBatch).not.toHaveBeenCalled();
     });
   });
 
@@ -755,19 +1014,16 @@ describe("POST /api/code/submitCode", () => {
         memory: 4096
       });
 
-      const res = await request(app)
-        .post("/api/code/submitCode")
-        .set("Authorization", `Bearer ${token}`)
-        .send({
-          problemId: testProblemId,
-          code: code,
-          languageId: languageId,
-          isTestRun: false
-        });
+      const job = await submitAndWait({
+        problemId: testProblemId,
+        code: code,
+        languageId: languageId,
+        isTestRun: false
+      });
 
-      expect(res.statusCode).toBe(200);
-      expect(res.body.success).toBe(true);
-      expect(res.body.allPassed).toBe(true);
+      expect(job.status).toBe("completed");
+      expect(job.result.success).toBe(true);
+      expect(job.result.allPassed).toBe(true);
     });
   });
 
@@ -785,26 +1041,23 @@ describe("POST /api/code/submitCode", () => {
         memory: 3296
       });
 
-      const res = await request(app)
-        .post("/api/code/submitCode")
-        .set("Authorization", `Bearer ${token}`)
-        .send({
-          problemId: testProblemId,
-          code: "print('Hello World')",
-          languageId: judge0Service.LANGUAGE_IDS.PYTHON,
-          isTestRun: true
-        });
+      const job = await submitAndWait({
+        problemId: testProblemId,
+        code: "print('Hello World')",
+        languageId: judge0Service.LANGUAGE_IDS.PYTHON,
+        isTestRun: true
+      });
 
-      expect(res.statusCode).toBe(200);
-      expect(res.body.success).toBe(true);
-      expect(res.body.isTestRun).toBe(true);
-      expect(res.body.stdout).toBe("Hello World");
-      expect(res.body.status).toBe("Accepted");
+      expect(job.status).toBe("completed");
+      expect(job.result.success).toBe(true);
+      expect(job.result.isTestRun).toBe(true);
+      expect(job.result.stdout).toBe("Hello World");
+      expect(job.result.status).toBe("Accepted");
 
       // Should NOT have grading fields
-      expect(res.body.allPassed).toBeUndefined();
-      expect(res.body.pointsEarned).toBeUndefined();
-      expect(res.body.testResults).toBeUndefined();
+      expect(job.result.allPassed).toBeUndefined();
+      expect(job.result.pointsEarned).toBeUndefined();
+      expect(job.result.testResults).toBeUndefined();
 
       // Should NOT have saved a Response
       const [responses] = await pool.query(
@@ -824,15 +1077,12 @@ describe("POST /api/code/submitCode", () => {
         memory: 3296
       });
 
-      await request(app)
-        .post("/api/code/submitCode")
-        .set("Authorization", `Bearer ${token}`)
-        .send({
-          problemId: testProblemId,
-          code: "print('Hello World')",
-          languageId: judge0Service.LANGUAGE_IDS.PYTHON,
-          isTestRun: true
-        });
+      await submitAndWait({
+        problemId: testProblemId,
+        code: "print('Hello World')",
+        languageId: judge0Service.LANGUAGE_IDS.PYTHON,
+        isTestRun: true
+      });
 
       const [testRuns] = await pool.query(
         'SELECT * FROM TestRun WHERE USERID = ? AND QUESTION_ID = ?',
@@ -851,15 +1101,12 @@ describe("POST /api/code/submitCode", () => {
         memory: 3296
       });
 
-      await request(app)
-        .post("/api/code/submitCode")
-        .set("Authorization", `Bearer ${token}`)
-        .send({
-          problemId: testProblemId,
-          code: "print('Hello World')",
-          languageId: judge0Service.LANGUAGE_IDS.PYTHON,
-          isTestRun: true
-        });
+      await submitAndWait({
+        problemId: testProblemId,
+        code: "print('Hello World')",
+        languageId: judge0Service.LANGUAGE_IDS.PYTHON,
+        isTestRun: true
+      });
 
       // submitBatch should have only been called with 1 test case
       expect(judge0Service.submitBatch).toHaveBeenCalledWith(
@@ -881,15 +1128,12 @@ describe("POST /api/code/submitCode", () => {
       });
 
       // Do a test run
-      await request(app)
-        .post("/api/code/submitCode")
-        .set("Authorization", `Bearer ${token}`)
-        .send({
-          problemId: testProblemId,
-          code: "print('Hello World')",
-          languageId: judge0Service.LANGUAGE_IDS.PYTHON,
-          isTestRun: true
-        });
+      await submitAndWait({
+        problemId: testProblemId,
+        code: "print('Hello World')",
+        languageId: judge0Service.LANGUAGE_IDS.PYTHON,
+        isTestRun: true
+      });
 
       // Test run should not save response,
       // therefore won't count toward MAX_SUBMISSIONS_PER_DAY
@@ -912,15 +1156,12 @@ describe("POST /api/code/submitCode", () => {
       });
 
       // Do an actual submission
-      await request(app)
-        .post("/api/code/submitCode")
-        .set("Authorization", `Bearer ${token}`)
-        .send({
-          problemId: testProblemId,
-          code: "print('Hello World')",
-          languageId: judge0Service.LANGUAGE_IDS.PYTHON,
-          isTestRun: false
-        });
+      await submitAndWait({
+        problemId: testProblemId,
+        code: "print('Hello World')",
+        languageId: judge0Service.LANGUAGE_IDS.PYTHON,
+        isTestRun: false
+      });
 
       // Actual submission should not save test run,
       // therefore won't count toward MAX_TEST_RUNS_PER_PROBLEM
@@ -973,19 +1214,16 @@ describe("POST /api/code/submitCode", () => {
         memory: null
       });
 
-      const res = await request(app)
-        .post("/api/code/submitCode")
-        .set("Authorization", `Bearer ${token}`)
-        .send({
-          problemId: testProblemId,
-          code: "print('Hello'",
-          languageId: judge0Service.LANGUAGE_IDS.PYTHON,
-          isTestRun: true
-        });
+      const job = await submitAndWait({
+        problemId: testProblemId,
+        code: "print('Hello'",
+        languageId: judge0Service.LANGUAGE_IDS.PYTHON,
+        isTestRun: true
+      });
 
-      expect(res.statusCode).toBe(200);
-      expect(res.body.success).toBe(false);
-      expect(res.body.isTestRun).toBe(true);
+      expect(job.status).toBe("completed");
+      expect(job.result.success).toBe(false);
+      expect(job.result.isTestRun).toBe(true);
 
       // Should still be saved to database
       const [testRuns] = await pool.query(
@@ -1010,4 +1248,178 @@ describe("POST /api/code/submitCode", () => {
       expect(res.body.message).toBe("Missing required fields.");
     });
   });
+
+  // Submissions run as background jobs
+  describe("Code Job Tests", () => {
+
+    const ACCEPTED_RESULT = {
+      status: { id: judge0Service.STATUS_IDS.ACCEPTED, description: "Accepted" },
+      stdout: "Hello World",
+      stderr: null,
+      time: "0.008",
+      memory: 3296
+    };
+
+    const submission = {
+      code: "print('Hello World')",
+      languageId: judge0Service.LANGUAGE_IDS.PYTHON,
+      isTestRun: false
+    };
+
+    test("should respond with a job ID right away", async () => {
+      judge0Service.submitBatch.mockResolvedValue(["mock-token-job"]);
+      judge0Service.pollSubmission.mockResolvedValue(ACCEPTED_RESULT);
+
+      const res = await request(app)
+        .post("/api/code/submitCode")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ ...submission, problemId: testProblemId });
+
+      expect(res.statusCode).toBe(202);
+      expect(typeof res.body.jobId).toBe("string");
+      expect(res.body.isTestRun).toBe(false);
+      expect(res.body.totalTests).toBe(1);
+
+      // Let it finish before cleanup
+      await waitForJob(res.body.jobId);
+    });
+
+    test("should record progress for each test case", async () => {
+      judge0Service.submitBatch.mockResolvedValue(["mock-token-progress"]);
+      judge0Service.pollSubmission.mockResolvedValue(ACCEPTED_RESULT);
+
+      const job = await submitAndWait({ ...submission, problemId: testProblemId });
+
+      expect(job.status).toBe("completed");
+      expect(job.testResults).toEqual([{ passed: true, status: "Accepted" }]);
+    });
+
+    test("should reject a second submission while the first is running", async () => {
+      let finishPoll;
+      judge0Service.submitBatch.mockResolvedValue(["mock-token-slow"]);
+      judge0Service.pollSubmission.mockReturnValue(new Promise(resolve => { finishPoll = resolve; }));
+
+      const first = await request(app)
+        .post("/api/code/submitCode")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ ...submission, problemId: testProblemId });
+      expect(first.statusCode).toBe(202);
+
+      const second = await request(app)
+        .post("/api/code/submitCode")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ ...submission, problemId: testProblemId });
+      expect(second.statusCode).toBe(409);
+      expect(second.body.message).toBe("Your code for this question is still running.");
+
+      finishPoll(ACCEPTED_RESULT);
+      const job = await waitForJob(first.body.jobId);
+      expect(job.status).toBe("completed");
+    });
+
+    test("should stream job updates as Server-Sent Events", async () => {
+      judge0Service.submitBatch.mockResolvedValue(["mock-token-sse"]);
+      judge0Service.pollSubmission.mockResolvedValue(ACCEPTED_RESULT);
+
+      const job = await submitAndWait({ ...submission, problemId: testProblemId });
+
+      const res = await request(app)
+        .get(`/api/code/jobs/${job.id}/events`)
+        .set("Authorization", `Bearer ${token}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.headers["content-type"]).toMatch(/text\/event-stream/);
+      expect(res.text).toContain("event: done");
+      expect(res.text).toContain('"status":"completed"');
+    });
+
+    test("should finalize a mock test only once its running job is graded", async () => {
+      let finishPoll;
+      judge0Service.submitBatch.mockResolvedValue(["mock-token-session"]);
+      judge0Service.pollSubmission.mockReturnValue(new Promise(resolve => { finishPoll = resolve; }));
+
+      const [session] = await pool.query(
+        `INSERT INTO MockTestSession (USER_ID, QUESTION_IDS, STARTED_AT, DEADLINE)
+         VALUES (?, ?, NOW(), DATE_ADD(NOW(), INTERVAL 1 HOUR))`,
+        [testUserId, JSON.stringify([testProblemId])]
+      );
+      const sessionId = session.insertId;
+
+      try
+      {
+        const submitRes = await request(app)
+          .post("/api/code/submitCode")
+          .set("Authorization", `Bearer ${token}`)
+          .send({ ...submission, problemId: testProblemId, sessionId });
+        expect(submitRes.statusCode).toBe(202);
+
+        const finalizing = request(app)
+          .post(`/api/test/sessions/${sessionId}/finalize`)
+          .set("Authorization", `Bearer ${token}`)
+          .then(res => res);
+
+        finishPoll(ACCEPTED_RESULT);
+        const finalizeRes = await finalizing;
+        expect(finalizeRes.statusCode).toBe(200);
+
+        const [[stored]] = await pool.query('SELECT POINTS_EARNED FROM MockTestSession WHERE ID = ?', [sessionId]);
+        expect(Number(stored.POINTS_EARNED)).toBe(10);
+      }
+      finally
+      {
+        await pool.query('DELETE FROM MockTestSession WHERE ID = ?', [sessionId]);
+      }
+    });
+
+    test("should not save a job that finishes after its mock test was finalized", async () => {
+      let finishPoll;
+      judge0Service.submitBatch.mockResolvedValue(["mock-token-late"]);
+      judge0Service.pollSubmission.mockReturnValue(new Promise(resolve => { finishPoll = resolve; }));
+
+      const [session] = await pool.query(
+        `INSERT INTO MockTestSession (USER_ID, QUESTION_IDS, STARTED_AT, DEADLINE)
+         VALUES (?, ?, NOW(), DATE_ADD(NOW(), INTERVAL 1 HOUR))`,
+        [testUserId, JSON.stringify([testProblemId])]
+      );
+      const sessionId = session.insertId;
+
+      try
+      {
+        const submitRes = await request(app)
+          .post("/api/code/submitCode")
+          .set("Authorization", `Bearer ${token}`)
+          .send({ ...submission, problemId: testProblemId, sessionId });
+        expect(submitRes.statusCode).toBe(202);
+
+        // Finalized while the code is still running
+        await pool.query('UPDATE MockTestSession SET FINALIZED_AT = NOW(), POINTS_EARNED = 0 WHERE ID = ?', [sessionId]);
+
+        finishPoll(ACCEPTED_RESULT);
+        const job = await waitForJob(submitRes.body.jobId);
+        expect(job.status).toBe("failed");
+        expect(job.error.statusCode).toBe(409);
+
+        const [[{ count }]] = await pool.query('SELECT COUNT(*) AS count FROM Response WHERE USERID = ?', [testUserId]);
+        expect(count).toBe(0);
+      }
+      finally
+      {
+        await pool.query('DELETE FROM MockTestSession WHERE ID = ?', [sessionId]);
+      }
+    });
+
+    test("should 404 on unknown jobs", async () => {
+      const res = await request(app)
+        .get("/api/code/jobs/not-a-job")
+        .set("Authorization", `Bearer ${token}`);
+
+      expect(res.statusCode).toBe(404);
+      expect(res.body.message).toBe("Code job not found.");
+    });
+
+    test("should require auth to read a job", async () => {
+      const res = await request(app).get("/api/code/jobs/not-a-job");
+      expect(res.statusCode).toBe(401);
+    });
+  });
 });
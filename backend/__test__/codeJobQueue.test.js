@@ -0,0 +1,101 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          codeJobQueue.test.js
+//  Description:   Unit tests for the in-memory code job queue:
+//                 waiting on a user's running jobs, and running
+//                 a job through the queue for its result.
+//
+//  Dependencies:  codeJobQueue
+//
+////////////////////////////////////////////////////////////////
+
+const {
+        JOB_STATUSES,
+        enqueueJob,
+        runQueuedJob,
+        getJob,
+        countActiveJobs,
+        waitForActiveJobs,
+      } = require('../services/codeJobQueue');
+
+/**
+ * Work that only finishes when told to
+ * @returns {{ work: Function, finish: Function }}
+ */
+const heldWork = () => {
+  let finish;
+  const done = new Promise(resolve => { finish = resolve; });
+  return { work: () => done, finish };
+};
+
+const details = (fields = {}) => ({ userId: 1, problemId: 10, isTestRun: false, totalTests: 1, ...fields });
+
+describe("Code Job Queue", () => {
+
+  describe("waitForActiveJobs Tests", () => {
+
+    test("should resolve right away without matching jobs", async () => {
+      await expect(waitForActiveJobs(99, { problemId: 10 })).resolves.toBeDefined();
+    });
+
+    test("should wait for the user's running jobs to finish", async () => {
+      const held = heldWork();
+      const job = enqueueJob(details({ userId: 2 }), held.work);
+      let waited = false;
+      const waiting = waitForActiveJobs(2, { problemId: 10, isTestRun: false }).then(() => { waited = true; });
+
+      await new Promise(resolve => setImmediate(resolve));
+      expect(waited).toBe(false);
+
+      held.finish({ ok: true });
+      await waiting;
+      expect(getJob(job.id, 2).status).toBe(JOB_STATUSES.COMPLETED);
+      expect(countActiveJobs(2)).toBe(0);
+    });
+
+    test("should not wait for other problems' or other users' jobs", async () => {
+      const otherProblem = heldWork();
+      const otherUser = heldWork();
+      enqueueJob(details({ userId: 3, problemId: 11 }), otherProblem.work);
+      enqueueJob(details({ userId: 4 }), otherUser.work);
+
+      await waitForActiveJobs(3, { problemId: 10 });
+
+      otherProblem.finish({});
+      otherUser.finish({});
+      await waitForActiveJobs(3);
+      await waitForActiveJobs(4);
+    });
+  });
+
+  describe("runQueuedJob Tests", () => {
+
+    test("should resolve with what the work returned", async () => {
+      const result = await runQueuedJob(details({ userId: 5 }), async () => ({ passed: 2 }));
+
+      expect(result).toEqual({ passed: 2 });
+      expect(countActiveJobs(5)).toBe(0);
+    });
+
+    test("should reject with the work's error and fail the job", async () => {
+      const err = Object.assign(new Error('Runner down'), { statusCode: 503, userMessage: 'Code runner unavailable' });
+
+      await expect(runQueuedJob(details({ userId: 6 }), async () => { throw err; })).rejects.toBe(err);
+      expect(countActiveJobs(6)).toBe(0);
+    });
+
+    test("should count as an active job while it runs", async () => {
+      const held = heldWork();
+      const running = runQueuedJob(details({ userId: 7, isTestRun: true }), held.work);
+
+      expect(countActiveJobs(7, { problemId: 10 })).toBe(1);
+      expect(countActiveJobs(7, { isTestRun: false })).toBe(0);
+
+      held.finish('output');
+      await expect(running).resolves.toBe('output');
+    });
+  });
+});
@@ -0,0 +1,73 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          codeTemplateUtils.test.js
+//  Description:   Unit tests for code template validation and
+//                 harness wrapping.
+//
+//  Dependencies:  codeTemplateUtils
+//                 judge0Ids
+//
+////////////////////////////////////////////////////////////////
+
+const { HARNESS_PLACEHOLDER, parseCodeTemplates, wrapWithHarness } = require('../utils/codeTemplateUtils');
+const { LANGUAGE_IDS } = require('../services/codeRunners/judge0Ids');
+
+const C_HARNESS = `#include <stdio.h>\n${HARNESS_PLACEHOLDER}\nint main(void) { printf("%d\\n", twice(21)); return 0; }`;
+
+describe("Code Template Utils", () => {
+
+  describe("parseCodeTemplates Tests", () => {
+
+    test("should normalize valid templates", () => {
+      const templates = parseCodeTemplates([
+        { language_id: LANGUAGE_IDS.C, function_signature: 'int twice(int n)', starter_code: 'int twice(int n)\n{\n}', harness: C_HARNESS },
+        { language_id: String(LANGUAGE_IDS.PYTHON), starter_code: '' },
+      ], 'test');
+
+      expect(templates).toEqual([
+        { languageId: LANGUAGE_IDS.C, functionSignature: 'int twice(int n)', starterCode: 'int twice(int n)\n{\n}', harness: C_HARNESS },
+        { languageId: LANGUAGE_IDS.PYTHON, functionSignature: null, starterCode: null, harness: null },
+      ]);
+    });
+
+    test("should reject unsupported and duplicate languages", () => {
+      expect(() => parseCodeTemplates([{ language_id: 999 }], 'test')).toThrow(expect.objectContaining({ statusCode: 400, userMessage: 'Unsupported programming language.' }));
+      expect(() => parseCodeTemplates([
+        { language_id: LANGUAGE_IDS.JAVA },
+        { language_id: LANGUAGE_IDS.JAVA },
+      ], 'test')).toThrow(expect.objectContaining({ userMessage: 'Only one code template per language' }));
+    });
+
+    test("should reject a harness without the placeholder", () => {
+      expect(() => parseCodeTemplates([
+        { language_id: LANGUAGE_IDS.C, harness: 'int main(void) { return 0; }' },
+      ], 'test')).toThrow(expect.objectContaining({ statusCode: 400 }));
+    });
+
+    test("should reject templates that aren't an array of strings", () => {
+      expect(() => parseCodeTemplates({ language_id: LANGUAGE_IDS.C }, 'test')).toThrow(expect.objectContaining({ userMessage: 'Invalid code templates' }));
+      expect(() => parseCodeTemplates([{ language_id: LANGUAGE_IDS.C, starter_code: 42 }], 'test')).toThrow(expect.objectContaining({ userMessage: 'Invalid code templates' }));
+    });
+  });
+
+  describe("wrapWithHarness Tests", () => {
+
+    test("should put the student's code where the placeholder is", () => {
+      const wrapped = wrapWithHarness('int twice(int n) { return 2 * n; }', C_HARNESS);
+
+      expect(wrapped).toContain('#include <stdio.h>\nint twice(int n) { return 2 * n; }\nint main(void)');
+      expect(wrapped).not.toContain(HARNESS_PLACEHOLDER);
+    });
+
+    test("should leave $ patterns in the student's code alone", () => {
+      expect(wrapWithHarness("s = '$&$1'", `${HARNESS_PLACEHOLDER}\nprint(s)`)).toBe("s = '$&$1'\nprint(s)");
+    });
+
+    test("should run code as is without a harness", () => {
+      expect(wrapWithHarness('print(1)', null)).toBe('print(1)');
+    });
+  });
+});
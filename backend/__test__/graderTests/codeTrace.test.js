@@ -0,0 +1,100 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          codeTrace.test.js
+//  Description:   Unit tests for code trace grader.
+//
+//  Dependencies:  codeTrace grader
+//
+////////////////////////////////////////////////////////////////
+
+const { toTraceLines, gradeCodeTrace } = require('../../services/graders/codeTrace');
+
+describe("Code Trace Grader", () => {
+
+  const mockAnswers = [
+    { TEXT: '0\n1\n4\n9\n', IS_CORRECT_ANSWER: 1 },
+  ];
+
+  describe("Whitespace Normalization", () => {
+
+    test("should collapse spaces and drop blank lines around the output", () => {
+      expect(toTraceLines('\n  a   b \t c  \r\n\n d\n\n')).toEqual(['a b c', '', 'd']);
+    });
+
+    test("should read empty output as no lines", () => {
+      expect(toTraceLines('')).toEqual([]);
+      expect(toTraceLines(null)).toEqual([]);
+    });
+  });
+
+  describe("Correct Answer Tests", () => {
+
+    test("should return 1.0 for the exact output", () => {
+      const result = gradeCodeTrace('0\n1\n4\n9', mockAnswers);
+
+      expect(result.normalizedScore).toBe(1.0);
+      expect(result.feedback).toBe('Correct!');
+    });
+
+    test("should ignore whitespace differences within and around lines", () => {
+      const result = gradeCodeTrace('\r\n0 \r\n  1\r\n4\r\n9   \r\n\r\n', mockAnswers);
+
+      expect(result.normalizedScore).toBe(1.0);
+    });
+
+    test("should be graded against the closest accepted output", () => {
+      const result = gradeCodeTrace('x = 1', [
+        { TEXT: 'x=1', IS_CORRECT_ANSWER: 1 },
+        { TEXT: 'x = 1', IS_CORRECT_ANSWER: 1 },
+      ]);
+
+      expect(result.normalizedScore).toBe(1.0);
+    });
+  });
+
+  describe("Partial Credit Tests", () => {
+
+    test("should give credit for each correct line", () => {
+      const result = gradeCodeTrace('0\n1\n5\n9', mockAnswers);
+
+      expect(result.normalizedScore).toBe(0.75);
+      expect(result.feedback).toContain('3 of 4 lines correct');
+      expect(result.feedback).toContain('0\n1\n4\n9');
+    });
+
+    test("should not fail every line after a missing one", () => {
+      const result = gradeCodeTrace('0\n4\n9', mockAnswers);
+
+      expect(result.normalizedScore).toBe(0.75);
+    });
+
+    test("should take off for extra lines", () => {
+      const result = gradeCodeTrace('0\n1\n4\n9\n16\n25\n36\n49', mockAnswers);
+
+      expect(result.normalizedScore).toBe(0.5);
+    });
+
+    test("should be case sensitive", () => {
+      const result = gradeCodeTrace('True', [{ TEXT: 'true', IS_CORRECT_ANSWER: 1 }]);
+
+      expect(result.normalizedScore).toBe(0.0);
+      expect(result.feedback).toBe('Incorrect. The expected output is:\ntrue');
+    });
+  });
+
+  describe("Edge Cases", () => {
+
+    test("should return 0.0 for empty or missing output", () => {
+      expect(gradeCodeTrace('', mockAnswers).normalizedScore).toBe(0.0);
+      expect(gradeCodeTrace(null, mockAnswers).normalizedScore).toBe(0.0);
+      expect(gradeCodeTrace(['0'], mockAnswers).normalizedScore).toBe(0.0);
+    });
+
+    test("should throw if no expected output exists", () => {
+      expect(() => gradeCodeTrace('0', [])).toThrow('No expected output found in database');
+    });
+  });
+});
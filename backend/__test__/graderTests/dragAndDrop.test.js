@@ -135,4 +135,28 @@ describe("Drag and Drop Grader", () => {
       }).toThrow('No drag and drop mappings found in database');
     });
   });
+
+  describe("Negative Marking Tests", () => {
+
+    test("should take off the penalty for each item placed incorrectly", () => {
+      const userPlacements = {
+        'System.out.println();': 'Java',
+        'console.log();': 'JavaScript',
+        'print()': 'Java'
+      };
+
+      // (2 correct - 1 incorrect) / 3 mappings
+      expect(gradeDragAndDrop(userPlacements, mockMappings, { scoring: 'negative', penalty: 1 }).normalizedScore).toBeCloseTo(1 / 3);
+      // (2 correct - 0.5 * 1 incorrect) / 3 mappings
+      expect(gradeDragAndDrop(userPlacements, mockMappings, { scoring: 'negative', penalty: 0.5 }).normalizedScore).toBeCloseTo(0.5);
+    });
+
+    test("should not take anything off for items left unplaced or go below 0", () => {
+      const userPlacements = { 'System.out.println();': 'Java' };
+      expect(gradeDragAndDrop(userPlacements, mockMappings, { scoring: 'negative', penalty: 1 }).normalizedScore).toBeCloseTo(1 / 3);
+
+      const wrong = { 'System.out.println();': 'Python', 'print()': 'Java' };
+      expect(gradeDragAndDrop(wrong, mockMappings, { scoring: 'negative', penalty: 1 }).normalizedScore).toBe(0.0);
+    });
+  });
 });
@@ -10,7 +10,7 @@
 //
 ////////////////////////////////////////////////////////////////
 
-const { gradeFillInTheBlanks } = require('../../services/graders/fillInTheBlanks');
+const { gradeFillInTheBlanks, readBlanks } = require('../../services/graders/fillInTheBlanks');
 
 describe("Fill-In-The-Blanks Grader", () => {
   
@@ -97,4 +97,116 @@ describe("Fill-In-The-Blanks Grader", () => {
       }).toThrow('No acceptable answers found in database');
     });
   });
+
+  describe("Multiple Blank Tests", () => {
+
+    const blanks = readBlanks([
+      { id: 'link' },
+      { id: 'head', matchMode: 'case-sensitive', weight: 2 },
+      { id: 'size', matchMode: 'regex' },
+    ]);
+    const blankAnswers = [
+      { TEXT: 'node', IS_CORRECT_ANSWER: 1, BLANK_ID: 'link' },
+      { TEXT: 'newNode', IS_CORRECT_ANSWER: 1, BLANK_ID: 'link' },
+      { TEXT: 'head = node', IS_CORRECT_ANSWER: 1, BLANK_ID: 'head' },
+      { TEXT: 'size\\s*(\\+\\+|\\+= *1)', IS_CORRECT_ANSWER: 1, BLANK_ID: 'size' },
+    ];
+
+    test("should return 1.0 when every blank is correct", () => {
+      const result = gradeFillInTheBlanks({ link: ' NewNode ', head: 'head  =  node', size: 'size += 1' }, blankAnswers, blanks);
+
+      expect(result.normalizedScore).toBe(1.0);
+      expect(result.feedback).toBe('Correct!');
+      expect(result.blanks).toEqual([
+        { id: 'link', score: 1 },
+        { id: 'head', score: 1 },
+        { id: 'size', score: 1 },
+      ]);
+    });
+
+    test("should weight each blank's score", () => {
+      const result = gradeFillInTheBlanks({ link: 'node', head: 'Head = node', size: 'size++' }, blankAnswers, blanks);
+
+      expect(result.normalizedScore).toBe(0.5);
+      expect(result.blanks[1]).toEqual({ id: 'head', score: 0 });
+      expect(result.feedback).toBe('2 of 3 blanks correct. The correct answers are: blank 2: head = node');
+    });
+
+    test("should only match regex blanks against the whole answer", () => {
+      const result = gradeFillInTheBlanks({ size: 'size++; size--' }, blankAnswers, blanks);
+
+      expect(result.blanks[2].score).toBe(0);
+      expect(result.feedback).toContain('blank 3: a match for /size\\s*(\\+\\+|\\+= *1)/');
+    });
+
+    test("should give fuzzy blanks partial credit", () => {
+      const fuzzy = readBlanks([{ id: 'city', matchMode: 'fuzzy' }]);
+      const result = gradeFillInTheBlanks({ city: 'Pari' }, [{ TEXT: 'Paris', BLANK_ID: 'city' }], fuzzy);
+
+      expect(result.normalizedScore).toBeGreaterThan(0);
+      expect(result.normalizedScore).toBeLessThan(1);
+    });
+
+    test("should score missing blanks and non-object answers as 0", () => {
+      expect(gradeFillInTheBlanks({ link: 'node' }, blankAnswers, blanks).normalizedScore).toBe(0.25);
+
+      const result = gradeFillInTheBlanks('node', blankAnswers, blanks);
+      expect(result.normalizedScore).toBe(0);
+      expect(result.feedback).toMatch(/^Incorrect\. The correct answers are: blank 1: node; /);
+    });
+
+    test("should throw error if a blank has no acceptable answers", () => {
+      expect(() => {
+        gradeFillInTheBlanks({ link: 'node' }, blankAnswers.slice(0, 3), blanks);
+      }).toThrow('No acceptable answers found in database for blank "size"');
+    });
+  });
+
+  describe("readBlanks Tests", () => {
+
+    test("should read stored JSON with defaults", () => {
+      expect(readBlanks('[{"id":" link ","weight":"3"}]')).toEqual([{ id: 'link', matchMode: 'exact', weight: 3 }]);
+    });
+
+    test("should return null for single blank questions", () => {
+      expect(readBlanks(null)).toBeNull();
+      expect(readBlanks('')).toBeNull();
+      expect(readBlanks([])).toBeNull();
+    });
+
+    test("should leave bad values for the validator", () => {
+      expect(readBlanks('not json')).toEqual([{ id: '', matchMode: 'exact', weight: 1 }]);
+      expect(readBlanks([{ id: 'a', weight: 'abc' }])[0].weight).toBeNaN();
+    });
+  });
+
+  describe("Grading Policy Tests", () => {
+
+    test("should give no credit for fuzzy matches under the threshold", () => {
+      // 'Pari' is 0.8 like 'paris'
+      expect(gradeFillInTheBlanks('Pari', mockAnswers, null, { fuzzyThreshold: 0.9 }).normalizedScore).toBe(0);
+      expect(gradeFillInTheBlanks('Pari', mockAnswers, null, { fuzzyThreshold: 0.5 }).normalizedScore).toBeCloseTo(0.8);
+      expect(gradeFillInTheBlanks('Paris', mockAnswers, null, { fuzzyThreshold: 1 }).normalizedScore).toBe(1.0);
+
+      const fuzzy = readBlanks([{ id: 'city', matchMode: 'fuzzy' }]);
+      expect(gradeFillInTheBlanks({ city: 'Pari' }, [{ TEXT: 'Paris', BLANK_ID: 'city' }], fuzzy, { fuzzyThreshold: 0.9 }).normalizedScore).toBe(0);
+    });
+
+    test("should take off the penalty times the weight of each wrong blank", () => {
+      const blanks = readBlanks([{ id: 'link' }, { id: 'head', weight: 2 }, { id: 'size' }]);
+      const blankAnswers = [
+        { TEXT: 'node', BLANK_ID: 'link' },
+        { TEXT: 'head', BLANK_ID: 'head' },
+        { TEXT: 'size', BLANK_ID: 'size' },
+      ];
+      const answer = { link: 'node', head: 'xyz', size: 'size' };
+
+      // (1 + 1 - 1 * 2) / 4
+      expect(gradeFillInTheBlanks(answer, blankAnswers, blanks, { scoring: 'negative', penalty: 1 }).normalizedScore).toBe(0);
+      // (1 + 1 - 0.5 * 2) / 4
+      expect(gradeFillInTheBlanks(answer, blankAnswers, blanks, { scoring: 'negative', penalty: 0.5 }).normalizedScore).toBe(0.25);
+      // Empty blanks cost nothing
+      expect(gradeFillInTheBlanks({ link: 'node', head: '  ' }, blankAnswers, blanks, { scoring: 'negative', penalty: 1 }).normalizedScore).toBe(0.25);
+    });
+  });
 });
@@ -0,0 +1,101 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          gradingPolicy.test.js
+//  Description:   Unit tests for reading grading policies and
+//                 grading questions with them.
+//
+//  Dependencies:  gradingPolicy
+//                 gradingController
+//
+////////////////////////////////////////////////////////////////
+
+const { readGradingPolicy, resolveGradingPolicy } = require('../../services/graders/gradingPolicy');
+const { gradeQuestion } = require('../../controllers/gradingController');
+
+describe("Grading Policies", () => {
+
+  describe("readGradingPolicy Tests", () => {
+
+    test("should read nothing as no policy", () => {
+      expect(readGradingPolicy(null)).toBeNull();
+      expect(readGradingPolicy(undefined)).toBeNull();
+      expect(readGradingPolicy('')).toBeNull();
+    });
+
+    test("should read objects and JSON, leaving out settings as null", () => {
+      expect(readGradingPolicy({ scoring: 'negative', penalty: '0.5' })).toEqual({
+        scoring: 'negative', penalty: 0.5, fuzzyThreshold: null, rankingMetric: null,
+      });
+      expect(readGradingPolicy('{"fuzzyThreshold":0.8}')).toEqual({
+        scoring: null, penalty: null, fuzzyThreshold: 0.8, rankingMetric: null,
+      });
+    });
+
+    test("should read anything else as its scoring mode", () => {
+      expect(readGradingPolicy('all-or-nothing').scoring).toBe('all-or-nothing');
+      expect(readGradingPolicy(5).scoring).toBe('5');
+      expect(readGradingPolicy({ penalty: 'abc' }).penalty).toBeNaN();
+    });
+  });
+
+  describe("resolveGradingPolicy Tests", () => {
+
+    test("should fill in each type's defaults", () => {
+      expect(resolveGradingPolicy('Select All That Apply')).toEqual({
+        scoring: 'negative', penalty: 1, fuzzyThreshold: 0, rankingMetric: 'kendall',
+      });
+      expect(resolveGradingPolicy('Drag and Drop', readGradingPolicy({ penalty: 0.5 }))).toEqual({
+        scoring: 'partial', penalty: 0.5, fuzzyThreshold: 0, rankingMetric: 'kendall',
+      });
+    });
+
+    test("should grade unknown values like the defaults", () => {
+      expect(resolveGradingPolicy('Ranked Choice', readGradingPolicy({ scoring: 'curve', penalty: 'abc', rankingMetric: 'hamming' }))).toEqual({
+        scoring: 'partial', penalty: 1, fuzzyThreshold: 0, rankingMetric: 'kendall',
+      });
+    });
+  });
+
+  describe("gradeQuestion Tests", () => {
+
+    const sataAnswers = [
+      { TEXT: 'Python', IS_CORRECT_ANSWER: 1 },
+      { TEXT: 'JavaScript', IS_CORRECT_ANSWER: 1 },
+      { TEXT: 'HTML', IS_CORRECT_ANSWER: 0 },
+    ];
+
+    test("should use the question's policy", () => {
+      const result = gradeQuestion(1, 'Select All That Apply', ['Python', 'HTML'], sataAnswers, 10, {
+        gradingPolicy: readGradingPolicy({ penalty: 0.5 }),
+      });
+
+      // (1 correct chosen - 0.5 * 1 incorrect chosen) / 2 correct answers
+      expect(result.pointsEarned).toBe(2.5);
+    });
+
+    test("should give no credit for a partly correct answer with all-or-nothing scoring", () => {
+      const gradingPolicy = readGradingPolicy('all-or-nothing');
+      const partly = gradeQuestion(1, 'Select All That Apply', ['Python'], sataAnswers, 10, { gradingPolicy });
+
+      expect(partly.isCorrect).toBe(false);
+      expect(partly.pointsEarned).toBe(0);
+      expect(partly.feedback).toContain('only gives credit for a fully correct answer');
+
+      const fully = gradeQuestion(1, 'Select All That Apply', ['Python', 'JavaScript'], sataAnswers, 10, { gradingPolicy });
+      expect(fully.isCorrect).toBe(true);
+      expect(fully.pointsEarned).toBe(10);
+    });
+
+    test("should leave wrong answers' feedback alone with all-or-nothing scoring", () => {
+      const result = gradeQuestion(1, 'Select All That Apply', ['HTML'], sataAnswers, 10, {
+        gradingPolicy: readGradingPolicy('all-or-nothing'),
+      });
+
+      expect(result.pointsEarned).toBe(0);
+      expect(result.feedback).not.toContain('only gives credit');
+    });
+  });
+});
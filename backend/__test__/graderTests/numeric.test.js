@@ -0,0 +1,215 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          numeric.test.js
+//  Description:   Unit tests for numeric grader.
+//
+//  Dependencies:  numeric grader
+//
+////////////////////////////////////////////////////////////////
+
+const { parseNumber, readNumericAnswer, readNumericSettings, gradeNumeric } = require('../../services/graders/numeric');
+
+describe("Numeric Grader", () => {
+
+  const mockAnswers = [
+    { TEXT: '1024', IS_CORRECT_ANSWER: 1 },
+  ];
+
+  describe("Number Parsing", () => {
+
+    test("should read decimal numbers", () => {
+      expect(parseNumber('42')).toBe(42);
+      expect(parseNumber(' -3.5 ')).toBe(-3.5);
+      expect(parseNumber('.5')).toBe(0.5);
+      expect(parseNumber('1e3')).toBe(1000);
+      expect(parseNumber('1,024')).toBe(1024);
+      expect(parseNumber('1_000_000')).toBe(1000000);
+    });
+
+    test("should read hex, binary and octal numbers", () => {
+      expect(parseNumber('0x400')).toBe(1024);
+      expect(parseNumber('0XfF')).toBe(255);
+      expect(parseNumber('0b1010')).toBe(10);
+      expect(parseNumber('-0b11')).toBe(-3);
+      expect(parseNumber('0o17')).toBe(15);
+      expect(parseNumber('0b1111_0000')).toBe(240);
+    });
+
+    test("should return null for text that isn't a number", () => {
+      expect(parseNumber('')).toBeNull();
+      expect(parseNumber('abc')).toBeNull();
+      expect(parseNumber('0b102')).toBeNull();
+      expect(parseNumber('1,02')).toBeNull();
+      expect(parseNumber('1.2.3')).toBeNull();
+      expect(parseNumber(null)).toBeNull();
+    });
+
+    test("should read a unit after the number", () => {
+      expect(readNumericAnswer('12 ms')).toEqual({ value: 12, unit: 'ms' });
+      expect(readNumericAnswer('40%')).toEqual({ value: 40, unit: '%' });
+      expect(readNumericAnswer('12')).toEqual({ value: 12, unit: null });
+      expect(readNumericAnswer('3 comparisons', 'Comparisons')).toEqual({ value: 3, unit: 'Comparisons' });
+      expect(readNumericAnswer('ms 12')).toBeNull();
+    });
+  });
+
+  describe("Settings", () => {
+
+    test("should fill in left out settings", () => {
+      expect(readNumericSettings('{"tolerance":0.5}')).toEqual({
+        tolerance:     0.5,
+        toleranceType: 'absolute',
+        unit:          null,
+        creditBands:   [],
+      });
+    });
+
+    test("should return null when there are no settings", () => {
+      expect(readNumericSettings(null)).toBeNull();
+      expect(readNumericSettings(undefined)).toBeNull();
+      expect(readNumericSettings('')).toBeNull();
+    });
+
+    test("should keep bad values for validation to report", () => {
+      expect(readNumericSettings('not json').tolerance).toBeNaN();
+      expect(readNumericSettings({ tolerance: 'abc', unit: '  ' })).toMatchObject({ tolerance: NaN, unit: null });
+    });
+  });
+
+  describe("Correct Answer Tests", () => {
+
+    test("should return 1.0 for the exact number", () => {
+      const result = gradeNumeric('1024', mockAnswers);
+
+      expect(result.normalizedScore).toBe(1.0);
+      expect(result.feedback).toBe('Correct!');
+    });
+
+    test("should accept the number written another way", () => {
+      expect(gradeNumeric('0x400', mockAnswers).normalizedScore).toBe(1.0);
+      expect(gradeNumeric('0b10000000000', mockAnswers).normalizedScore).toBe(1.0);
+      expect(gradeNumeric('1,024', mockAnswers).normalizedScore).toBe(1.0);
+      expect(gradeNumeric('1.024e3', mockAnswers).normalizedScore).toBe(1.0);
+    });
+
+    test("should accept answers within an absolute tolerance", () => {
+      const answers = [{ TEXT: '3.14', IS_CORRECT_ANSWER: 1 }];
+      const settings = { tolerance: 0.01, toleranceType: 'absolute' };
+
+      expect(gradeNumeric('3.15', answers, settings).normalizedScore).toBe(1.0);
+      expect(gradeNumeric('3.13', answers, settings).normalizedScore).toBe(1.0);
+      expect(gradeNumeric('3.16', answers, settings).normalizedScore).toBe(0.0);
+    });
+
+    test("should accept answers within a relative tolerance", () => {
+      const settings = { tolerance: 0.05, toleranceType: 'relative' };
+
+      expect(gradeNumeric('1000', mockAnswers, settings).normalizedScore).toBe(1.0);
+      expect(gradeNumeric('970', mockAnswers, settings).normalizedScore).toBe(0.0);
+    });
+
+    test("should use an absolute tolerance when the correct answer is 0", () => {
+      const answers = [{ TEXT: '0', IS_CORRECT_ANSWER: 1 }];
+      const settings = { tolerance: 0.1, toleranceType: 'relative' };
+
+      expect(gradeNumeric('0.05', answers, settings).normalizedScore).toBe(1.0);
+    });
+
+    test("should be graded against the closest correct answer", () => {
+      const result = gradeNumeric('-2', [
+        { TEXT: '2', IS_CORRECT_ANSWER: 1 },
+        { TEXT: '-2', IS_CORRECT_ANSWER: 1 },
+      ]);
+
+      expect(result.normalizedScore).toBe(1.0);
+    });
+  });
+
+  describe("Partial Credit Tests", () => {
+
+    const settings = {
+      tolerance:   0,
+      creditBands: [{ tolerance: 10, credit: 0.5 }, { tolerance: 2, credit: 0.8 }],
+    };
+
+    test("should give the best credit band the answer falls in", () => {
+      const result = gradeNumeric('1023', mockAnswers, settings);
+
+      expect(result.normalizedScore).toBe(0.8);
+      expect(result.feedback).toBe('Close! The correct answer is: 1024');
+    });
+
+    test("should give a wider band's credit further off", () => {
+      expect(gradeNumeric('1030', mockAnswers, settings).normalizedScore).toBe(0.5);
+    });
+
+    test("should give no credit outside every band", () => {
+      const result = gradeNumeric('1100', mockAnswers, settings);
+
+      expect(result.normalizedScore).toBe(0.0);
+      expect(result.feedback).toBe('Incorrect. The correct answer is: 1024');
+    });
+
+    test("should give no credit for a near miss without bands", () => {
+      expect(gradeNumeric('1023', mockAnswers).normalizedScore).toBe(0.0);
+    });
+  });
+
+  describe("Unit Tests", () => {
+
+    const settings = { unit: 'ms' };
+    const answers = [{ TEXT: '12', IS_CORRECT_ANSWER: 1 }];
+
+    test("should accept the answer with or without the unit", () => {
+      expect(gradeNumeric('12', answers, settings).normalizedScore).toBe(1.0);
+      expect(gradeNumeric('12 ms', answers, settings).normalizedScore).toBe(1.0);
+      expect(gradeNumeric('12MS', answers, settings).normalizedScore).toBe(1.0);
+    });
+
+    test("should mark an answer in another unit wrong", () => {
+      const result = gradeNumeric('12 s', answers, settings);
+
+      expect(result.normalizedScore).toBe(0.0);
+      expect(result.feedback).toBe('Incorrect. The answer should be in ms. The correct answer is: 12 ms');
+    });
+
+    test("should ignore words after the number when the question has no unit", () => {
+      expect(gradeNumeric('1024 bytes', mockAnswers).normalizedScore).toBe(1.0);
+    });
+  });
+
+  describe("Incorrect Answer Tests", () => {
+
+    test("should say when the answer isn't a number", () => {
+      const result = gradeNumeric('about a thousand', mockAnswers);
+
+      expect(result.normalizedScore).toBe(0.0);
+      expect(result.feedback).toBe('Incorrect. "about a thousand" isn\'t a number. The correct answer is: 1024');
+    });
+
+    test("should return 0.0 for an empty answer", () => {
+      const result = gradeNumeric('', mockAnswers);
+
+      expect(result.normalizedScore).toBe(0.0);
+      expect(result.feedback).toBe('Incorrect. The correct answer is: 1024');
+    });
+
+    test("should not give Levenshtein style credit for a near miss", () => {
+      expect(gradeNumeric('1025', mockAnswers).normalizedScore).toBe(0.0);
+    });
+  });
+
+  describe("Error Handling Tests", () => {
+
+    test("should throw when there are no correct answers", () => {
+      expect(() => gradeNumeric('1', [])).toThrow('No correct answer found in database');
+    });
+
+    test("should throw when no correct answer is a number", () => {
+      expect(() => gradeNumeric('1', [{ TEXT: 'abc', IS_CORRECT_ANSWER: 1 }])).toThrow('No correct answer in database is a number');
+    });
+  });
+});
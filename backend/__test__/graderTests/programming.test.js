@@ -0,0 +1,134 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          programming.test.js
+//  Description:   Unit tests for programming question grader.
+//
+//  Dependencies:  programming grader
+//                 judge0Ids
+//
+////////////////////////////////////////////////////////////////
+
+const { COMPARISON_MODES, checkOutput, gradeCodeSubmission } = require('../../services/graders/programming');
+const { STATUS_IDS } = require('../../services/codeRunners/judge0Ids');
+
+/**
+ * Judge0 result for code that ran and printed stdout
+ */
+const ran = (stdout) => ({
+  status: { id: STATUS_IDS.ACCEPTED, description: 'Accepted' },
+  stdout,
+  stderr: null,
+  compile_output: null,
+  time: '0.010',
+  memory: 3000
+});
+
+describe("Programming Grader", () => {
+
+  describe("checkOutput Tests", () => {
+
+    test("should compare exact output ignoring surrounding whitespace", () => {
+      expect(checkOutput("Hello World\n", "Hello World")).toBe(true);
+      expect(checkOutput("Hello  World", "Hello World", COMPARISON_MODES.EXACT)).toBe(false);
+      expect(checkOutput(null, "")).toBe(true);
+    });
+
+    test("should ignore whitespace between tokens in whitespace mode", () => {
+      expect(checkOutput("1  2\n3\r\n", "1 2 3", COMPARISON_MODES.WHITESPACE)).toBe(true);
+      expect(checkOutput("1 2", "1 2 3", COMPARISON_MODES.WHITESPACE)).toBe(false);
+      expect(checkOutput("12 3", "1 2 3", COMPARISON_MODES.WHITESPACE)).toBe(false);
+    });
+
+    test("should compare numbers within tolerance in float mode", () => {
+      expect(checkOutput("3.14159", "3.1416", COMPARISON_MODES.FLOAT, 0.001)).toBe(true);
+      expect(checkOutput("3.1", "3.1416", COMPARISON_MODES.FLOAT, 0.001)).toBe(false);
+      expect(checkOutput("area 0.3333333", "area 0.33333333", COMPARISON_MODES.FLOAT)).toBe(true);
+      expect(checkOutput("perimeter 0.3333333", "area 0.3333333", COMPARISON_MODES.FLOAT)).toBe(false);
+    });
+
+    test("should scale float tolerance for large values", () => {
+      expect(checkOutput("1000000.5", "1000000", COMPARISON_MODES.FLOAT, 1e-6)).toBe(true);
+      expect(checkOutput("1000002", "1000000", COMPARISON_MODES.FLOAT, 1e-6)).toBe(false);
+    });
+
+    test("should accept lines in any order in unordered mode", () => {
+      expect(checkOutput("b\na\nc\n", "a\nb\nc", COMPARISON_MODES.UNORDERED)).toBe(true);
+      expect(checkOutput("a\na\nb", "a\nb\nb", COMPARISON_MODES.UNORDERED)).toBe(false);
+      expect(checkOutput("a\nb", "a\nb\nc", COMPARISON_MODES.UNORDERED)).toBe(false);
+    });
+
+    test("should match the whole output in regex mode", () => {
+      expect(checkOutput("Took 12 ms\n", "Took \\d+ ms", COMPARISON_MODES.REGEX)).toBe(true);
+      expect(checkOutput("Took 12 ms, done", "Took \\d+ ms", COMPARISON_MODES.REGEX)).toBe(false);
+      expect(checkOutput("yes", "yes|no", COMPARISON_MODES.REGEX)).toBe(true);
+    });
+
+    test("should fail invalid regex patterns instead of throwing", () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      expect(checkOutput("anything", "(unclosed", COMPARISON_MODES.REGEX)).toBe(false);
+      console.error.mockRestore();
+    });
+  });
+
+  describe("gradeCodeSubmission Tests", () => {
+
+    const testCases = [
+      { ID: 1, INPUT: '2',  EXPECTED_OUTPUT: 'True',  IS_HIDDEN: 0, WEIGHT: '1.00', COMPARISON_MODE: 'exact' },
+      { ID: 2, INPUT: '4',  EXPECTED_OUTPUT: 'False', IS_HIDDEN: 0, WEIGHT: '1.00', COMPARISON_MODE: 'exact' },
+      { ID: 3, INPUT: '97', EXPECTED_OUTPUT: 'True',  IS_HIDDEN: 1, WEIGHT: '2.00', COMPARISON_MODE: 'exact' },
+    ];
+
+    test("should score by test case weight", () => {
+      const result = gradeCodeSubmission([ran('True'), ran('True'), ran('True')], testCases, 10);
+
+      expect(result.passedTests).toBe(2);
+      expect(result.allPassed).toBe(false);
+      expect(result.normalizedScore).toBe(0.75);
+      expect(result.pointsEarned).toBe(7.5);
+    });
+
+    test("should weigh every case equally by default", () => {
+      const unweighted = testCases.map(({ ID, INPUT, EXPECTED_OUTPUT }) => ({ ID, INPUT, EXPECTED_OUTPUT }));
+      const result = gradeCodeSubmission([ran('True'), ran('False'), ran('False')], unweighted, 9);
+
+      expect(result.pointsEarned).toBe(6);
+    });
+
+    test("should never return hidden test case input or output", () => {
+      const result = gradeCodeSubmission([ran('True'), ran('False'), ran('False')], testCases, 10);
+      const hiddenResult = result.testResults[2];
+
+      expect(hiddenResult).toMatchObject({ hidden: true, weight: 2, passed: false, status: 'Wrong Answer' });
+      expect(hiddenResult.input).toBeNull();
+      expect(hiddenResult.expectedOutput).toBeNull();
+      expect(hiddenResult.actualOutput).toBeNull();
+      expect(result.testResults[0]).toMatchObject({ hidden: false, input: '2', expectedOutput: 'True', actualOutput: 'True' });
+    });
+
+    test("should withhold stderr but not compile errors from hidden cases", () => {
+      const crashed = {
+        ...ran(''),
+        status: { id: STATUS_IDS.RUNTIME_ERROR_NZEC, description: 'Runtime Error (NZEC)' },
+        stderr: 'ValueError: 97'
+      };
+      const failedCompile = {
+        ...ran(''),
+        status: { id: STATUS_IDS.COMPILATION_ERROR, description: 'Compilation Error' },
+        compile_output: 'error: expected ;'
+      };
+
+      expect(gradeCodeSubmission([ran('True'), ran('False'), crashed], testCases, 10).testResults[2].error).toBeNull();
+      expect(gradeCodeSubmission([ran('True'), ran('False'), failedCompile], testCases, 10).testResults[2].error)
+        .toBe('error: expected ;');
+    });
+
+    test("should use each case's comparison mode", () => {
+      const floatCases = [{ ID: 1, INPUT: '', EXPECTED_OUTPUT: '0.5', COMPARISON_MODE: 'float', FLOAT_TOLERANCE: 0.01 }];
+
+      expect(gradeCodeSubmission([ran('0.501')], floatCases, 5).allPassed).toBe(true);
+    });
+  });
+});
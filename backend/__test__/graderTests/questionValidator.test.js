@@ -0,0 +1,275 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          questionValidator.test.js
+//  Description:   Unit tests for the per-type question
+//                 structure rules.
+//
+//  Dependencies:  questionValidator
+//                 numeric grader
+//                 fillInTheBlanks grader
+//                 gradingPolicy
+//
+////////////////////////////////////////////////////////////////
+
+const {
+  answersFromRows,
+  answersFromRequest,
+  testCasesFromRows,
+  readTraceCode,
+  validateQuestionStructure,
+  formatValidationError,
+} = require('../../services/graders/questionValidator');
+const { readNumericSettings } = require('../../services/graders/numeric');
+const { readBlanks } = require('../../services/graders/fillInTheBlanks');
+const { readGradingPolicy } = require('../../services/graders/gradingPolicy');
+
+describe("Question Validator", () => {
+
+  const answer = (text, isCorrect = false, extra = {}) => ({ text, isCorrect, rank: null, placement: null, ...extra });
+  const check = (type, answers, more = {}) => validateQuestionStructure({ type, answers, ...more });
+
+  describe("Per-type Rules", () => {
+
+    test("should accept valid questions of every type", () => {
+      expect(check('Multiple Choice', [answer('a', true), answer('b')])).toEqual([]);
+      expect(check('Select All That Apply', [answer('a', true), answer('b', true), answer('c')])).toEqual([]);
+      expect(check('Fill in the Blanks', [answer('four', true)])).toEqual([]);
+      expect(check('Numeric', [answer('0x400', true)], { numericSettings: readNumericSettings({ tolerance: 1, unit: 'B' }) })).toEqual([]);
+      expect(check('Ranked Choice', [answer('a', true, { rank: 1 }), answer('b', true, { rank: 2 })])).toEqual([]);
+      expect(check('Drag and Drop', [answer('a', true, { placement: 'Zone' })])).toEqual([]);
+      expect(check('Code Trace', [answer('6', true)], { traceCode: 'print(1 + 5)', traceLanguageId: 71 })).toEqual([]);
+      expect(check('Programming', [], { testCases: testCasesFromRows([{ INPUT: '1', EXPECTED_OUTPUT: '1' }]) })).toEqual([]);
+    });
+
+    test("should block grading a Multiple Choice question with no correct answer", () => {
+      expect(check('Multiple Choice', [answer('a'), answer('b')])).toEqual([
+        { field: 'answers', message: 'Multiple Choice needs exactly 1 correct answer, found 0', blocksGrading: true },
+      ]);
+    });
+
+    test("should only flag extra correct answers as an authoring error", () => {
+      const errors = check('Multiple Choice', [answer('a', true), answer('b', true)]);
+
+      expect(errors).toHaveLength(1);
+      expect(errors[0].blocksGrading).toBe(false);
+    });
+
+    test("should flag duplicate ranks and unranked answers", () => {
+      const errors = check('Ranked Choice', [answer('a', true, { rank: 1 }), answer('b', true, { rank: 1 }), answer('c', true)]);
+
+      expect(errors.map(error => error.field)).toEqual(['answers[2].rank', 'answers']);
+    });
+
+    test("should block grading a Ranked Choice answer left out of the order", () => {
+      const errors = check('Ranked Choice', [answer('a', true, { rank: 1 }), answer('b', false, { rank: 2 })]);
+
+      expect(errors).toEqual([expect.objectContaining({ field: 'answers[1].isCorrect', blocksGrading: true })]);
+    });
+
+    test("should block grading Drag and Drop items with no placement", () => {
+      const errors = check('Drag and Drop', [answer('a', true, { placement: 'Zone' }), answer('b', true)]);
+
+      expect(errors).toEqual([{ field: 'answers[1].placement', message: 'Drag and Drop items need a placement', blocksGrading: true }]);
+    });
+
+    test("should only check Programming test cases when they're given", () => {
+      expect(check('Programming', [])).toEqual([]);
+      expect(check('Programming', [], { testCases: [] })).toEqual([
+        { field: 'testCases', message: 'Programming needs at least 1 test case', blocksGrading: true },
+      ]);
+    });
+
+    test("should block grading a Code Trace question with no expected output", () => {
+      expect(check('Code Trace', [])).toEqual([
+        { field: 'answers', message: 'Code Trace needs the expected output as a correct answer', blocksGrading: true },
+      ]);
+    });
+
+    test("should only check Code Trace code when it's given", () => {
+      expect(check('Code Trace', [answer('6', true)])).toEqual([]);
+      expect(check('Code Trace', [answer('6', true)], readTraceCode('  ', 71))).toEqual([
+        { field: 'traceCode', message: 'Code Trace needs code to trace', blocksGrading: false },
+        { field: 'traceLanguageId', message: 'unsupported language (none)', blocksGrading: false },
+      ]);
+      expect(check('Code Trace', [answer('6', true)], { traceCode: 'print(6)', traceLanguageId: 1 })).toEqual([
+        { field: 'traceLanguageId', message: 'unsupported language 1', blocksGrading: false },
+      ]);
+    });
+
+    test("should flag code to trace on other types", () => {
+      expect(check('Fill in the Blanks', [answer('6', true)], { traceCode: 'print(6)', traceLanguageId: 71 })).toEqual([
+        { field: 'traceCode', message: 'Only Code Trace questions can have code to trace', blocksGrading: false },
+      ]);
+    });
+
+    test("should block grading a Numeric question whose answer isn't a number", () => {
+      expect(check('Numeric', [answer('about 5', true)])).toEqual([
+        { field: 'answers[0].text', message: 'must be a number, like 42, -3.5, 1e6, 0x2A or 0b101010', blocksGrading: true },
+      ]);
+      expect(check('Numeric', [])).toEqual([
+        { field: 'answers', message: 'Numeric needs at least 1 correct answer', blocksGrading: true },
+      ]);
+    });
+
+    test("should leave template placeholders in Numeric answers to the template check", () => {
+      expect(check('Numeric', [answer('{{ n * 2 }}', true)])).toEqual([]);
+    });
+
+    test("should flag bad numeric settings", () => {
+      const numericSettings = readNumericSettings({
+        tolerance:     -1,
+        toleranceType: 'percent',
+        creditBands:   [{ tolerance: 5, credit: 0.5 }, { tolerance: 5, credit: 1 }],
+      });
+
+      expect(check('Numeric', [answer('5', true)], { numericSettings }).map(formatValidationError)).toEqual([
+        'tolerance must be 0 or more',
+        'unknown toleranceType "percent"',
+        'creditBands[1]: credit must be between 0 and 1',
+      ]);
+      expect(check('Numeric', [answer('5', true)], { numericSettings: readNumericSettings({ tolerance: 2, creditBands: [{ tolerance: 1, credit: 0.5 }] }) }))
+        .toEqual([{ field: 'creditBands[0].tolerance', message: 'tolerance must be more than the full credit tolerance', blocksGrading: false }]);
+    });
+
+    test("should flag numeric settings on other types", () => {
+      expect(check('Fill in the Blanks', [answer('6', true)], { numericSettings: readNumericSettings({ tolerance: 1 }) })).toEqual([
+        { field: 'numericSettings', message: 'Only Numeric questions can have numeric settings', blocksGrading: false },
+      ]);
+    });
+
+    describe("Fill in the Blanks with blanks", () => {
+
+      const blanks = readBlanks([{ id: 'link', matchMode: 'case-sensitive' }, { id: 'size', matchMode: 'regex', weight: 2 }]);
+      const answers = [answer('node', true, { blank: 'link' }), answer('size\\s*\\+\\+', true, { blank: 'size' })];
+      const questionText = 'prev.next = [[link]]; [[size]];';
+
+      test("should accept blanks that are each marked and answered", () => {
+        expect(check('Fill in the Blanks', answers, { blanks, questionText })).toEqual([]);
+      });
+
+      test("should block grading a blank with no accepted answer", () => {
+        expect(check('Fill in the Blanks', [answers[0]], { blanks, questionText })).toEqual([
+          { field: 'blanks[1].id', message: 'blank "size" needs at least 1 accepted answer', blocksGrading: true },
+        ]);
+      });
+
+      test("should flag blanks missing from the question text and markers with no blank", () => {
+        expect(check('Fill in the Blanks', answers, { blanks, questionText: 'prev.next = [[link]]; [[count]];' }).map(formatValidationError)).toEqual([
+          'blanks[1]: put [[size]] in the question text where the blank goes',
+          '[[count]] in the question text isn\'t one of the blanks',
+        ]);
+        expect(check('Fill in the Blanks', answers, { blanks })).toEqual([]);
+      });
+
+      test("should flag bad blank IDs, match modes and weights", () => {
+        const bad = readBlanks([{ id: '1st' }, { id: 'a', matchMode: 'glob', weight: 0 }, { id: 'a' }]);
+        expect(check('Fill in the Blanks', [answer('x', true, { blank: 'a' })], { blanks: bad }).map(formatValidationError)).toEqual([
+          'blanks[0]: id must start with a letter and be at most 32 letters, digits, _ or -',
+          'blanks[0]: blank "1st" needs at least 1 accepted answer',
+          'blanks[1]: unknown matchMode "glob"',
+          'blanks[1]: weight must be more than 0 and at most 100',
+          'blanks[2]: id "a" is already used by another blank',
+        ]);
+      });
+
+      test("should flag answers for no blank and block grading invalid regex answers", () => {
+        const loose = [...answers, answer('next', true), answer('(', true, { blank: 'size' })];
+        expect(check('Fill in the Blanks', loose, { blanks, questionText })).toEqual([
+          { field: 'answers[2].blank', message: 'pick the blank this answer is for', blocksGrading: false },
+          expect.objectContaining({ field: 'answers[3].text', blocksGrading: true }),
+        ]);
+      });
+
+      test("should flag blanks on other types", () => {
+        expect(check('Multiple Choice', [answer('a', true), answer('b')], { blanks })).toEqual([
+          { field: 'blanks', message: 'Only Fill in the Blanks questions can have blanks', blocksGrading: false },
+        ]);
+      });
+    });
+
+    test("should reject unknown types", () => {
+      expect(check('MCQ', [])).toEqual([{ field: 'type', message: 'Unknown question type "MCQ"', blocksGrading: true }]);
+    });
+  });
+
+  describe("Converters", () => {
+
+    test("should read AnswerText rows", () => {
+      expect(answersFromRows([{ TEXT: 'a', IS_CORRECT_ANSWER: 1, RANK: 2, PLACEMENT: '  ' }]))
+        .toEqual([{ text: 'a', isCorrect: true, rank: 2, placement: null, blank: null }]);
+      expect(answersFromRows([{ TEXT: 'a', IS_CORRECT_ANSWER: 1, RANK: null, PLACEMENT: null, BLANK_ID: 'link ' }])[0].blank)
+        .toBe('link');
+    });
+
+    test("should read the parallel arrays from create and edit requests", () => {
+      expect(answersFromRequest(['a', 'b'], [1, '0'], [1, 2], ['Zone ', '']))
+        .toEqual([
+          { text: 'a', isCorrect: true, rank: 1, placement: 'Zone', blank: null },
+          { text: 'b', isCorrect: false, rank: 2, placement: null, blank: null },
+        ]);
+      expect(answersFromRequest(['a', 'b'], [1, 1], [null, null], [null, null], ['head', '']).map(answer => answer.blank))
+        .toEqual(['head', null]);
+    });
+
+    test("should read Code Trace code, dropping the language of blank code", () => {
+      expect(readTraceCode('print(1)\n', '71')).toEqual({ traceCode: 'print(1)\n', traceLanguageId: 71 });
+      expect(readTraceCode('', 71)).toEqual({ traceCode: null, traceLanguageId: null });
+      expect(readTraceCode(undefined, undefined)).toEqual({ traceCode: null, traceLanguageId: null });
+    });
+
+    test("should format item errors with their position", () => {
+      expect(formatValidationError({ field: 'answers[1].placement', message: 'Drag and Drop items need a placement' }))
+        .toBe('answers[1]: Drag and Drop items need a placement');
+      expect(formatValidationError({ field: 'answers', message: 'Fill in the Blanks needs at least 1 accepted answer' }))
+        .toBe('Fill in the Blanks needs at least 1 accepted answer');
+    });
+  });
+
+  describe("Grading Policies", () => {
+
+    const mc = [answer('a', true), answer('b')];
+    const sata = [answer('a', true), answer('b')];
+    const policy = raw => readGradingPolicy(raw);
+
+    test("should accept policies that fit the question type", () => {
+      expect(check('Select All That Apply', sata, { gradingPolicy: policy({ scoring: 'negative', penalty: 0.5 }) })).toEqual([]);
+      expect(check('Select All That Apply', sata, { gradingPolicy: policy({ penalty: 0.25 }) })).toEqual([]);
+      expect(check('Multiple Choice', mc, { gradingPolicy: policy({ scoring: 'all-or-nothing' }) })).toEqual([]);
+      expect(check('Fill in the Blanks', [answer('Paris', true)], { gradingPolicy: policy({ fuzzyThreshold: 0.75 }) })).toEqual([]);
+    });
+
+    test("should flag unknown scoring, metrics and bad numbers without blocking grading", () => {
+      const errors = check('Ranked Choice', [answer('a', true, { rank: 1 }), answer('b', true, { rank: 2 })], {
+        gradingPolicy: policy({ scoring: 'bell-curve', penalty: 2, fuzzyThreshold: -1, rankingMetric: 'hamming' }),
+      });
+
+      expect(errors.map(formatValidationError)).toEqual([
+        'unknown scoring "bell-curve"',
+        'penalty must be more than 0 and at most 1',
+        'fuzzyThreshold must be between 0 and 1',
+        'unknown rankingMetric "hamming"',
+      ]);
+      expect(errors.every(error => !error.blocksGrading)).toBe(true);
+    });
+
+    test("should flag settings that don't apply to the question type", () => {
+      expect(check('Multiple Choice', mc, { gradingPolicy: policy({ scoring: 'negative', fuzzyThreshold: 0.5, rankingMetric: 'spearman' }) }).map(error => error.field)).toEqual([
+        'gradingPolicy.scoring',
+        'gradingPolicy.fuzzyThreshold',
+        'gradingPolicy.rankingMetric',
+      ]);
+      expect(check('Fill in the Blanks', [answer('Paris', true)], { blanks: null, gradingPolicy: policy({ scoring: 'negative' }) }).map(error => error.field))
+        .toEqual(['gradingPolicy.scoring']);
+      expect(check('Drag and Drop', [answer('a', true, { placement: 'x' })], { gradingPolicy: policy({ penalty: 0.5 }) })).toEqual([
+        { field: 'gradingPolicy.penalty', message: 'penalty only applies to negative marking', blocksGrading: false },
+      ]);
+    });
+
+    test("should flag any policy on Programming questions", () => {
+      expect(check('Programming', [], { testCases: [], gradingPolicy: policy('partial') }).map(error => error.field)).toContain('gradingPolicy');
+    });
+  });
+});
@@ -76,4 +76,24 @@ describe("Ranked Choice Grader", () => {
       expect(result.feedback).toContain('0%');
     });
   });
+
+  describe("Spearman Distance Tests", () => {
+
+    const spearman = { rankingMetric: 'spearman' };
+
+    test("should return 1.0 for perfect ranking", () => {
+      expect(gradeRankedChoice(['First', 'Second', 'Third', 'Fourth'], mockAnswers, spearman).normalizedScore).toBe(1.0);
+    });
+
+    test("should score by squared distance from each item's place", () => {
+      // Swap last two items, squared distance 1 + 1 = 2 out of max 20 (4 * 15 / 3)
+      expect(gradeRankedChoice(['First', 'Second', 'Fourth', 'Third'], mockAnswers, spearman).normalizedScore).toBeCloseTo(0.9);
+      // First moved to the end, squared distance 9 + 1 + 1 + 1 = 12 out of 20
+      expect(gradeRankedChoice(['Second', 'Third', 'Fourth', 'First'], mockAnswers, spearman).normalizedScore).toBeCloseTo(0.4);
+    });
+
+    test("should return 0.0 for completely reversed ranking", () => {
+      expect(gradeRankedChoice(['Fourth', 'Third', 'Second', 'First'], mockAnswers, spearman).normalizedScore).toBe(0.0);
+    });
+  });
 });
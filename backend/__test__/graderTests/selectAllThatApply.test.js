@@ -95,4 +95,24 @@ describe("Select-All-That-Apply Grader", () => {
       expect(result.normalizedScore).toBe(0.0);
     });
   });
+
+  describe("Grading Policy Tests", () => {
+
+    test("should take off the penalty for each incorrect selection", () => {
+      const result = gradeSelectAllThatApply(['Python', 'JavaScript', 'HTML'], mockAnswers, { scoring: 'negative', penalty: 0.5 });
+
+      // (2 correct chosen - 0.5 * 1 incorrect chosen) / 2 correct answers = 0.75
+      expect(result.normalizedScore).toBe(0.75);
+    });
+
+    test("should give credit for each option picked or left alone correctly with partial credit", () => {
+      const partial = { scoring: 'partial' };
+
+      // (1 correct chosen + 1 incorrect left alone) / 4 options = 0.5
+      expect(gradeSelectAllThatApply(['Python', 'HTML'], mockAnswers, partial).normalizedScore).toBe(0.5);
+      // (2 correct chosen + 0 incorrect left alone) / 4 options = 0.5
+      expect(gradeSelectAllThatApply(['Python', 'JavaScript', 'HTML', 'CSS'], mockAnswers, partial).normalizedScore).toBe(0.5);
+      expect(gradeSelectAllThatApply(['Python', 'JavaScript'], mockAnswers, partial).normalizedScore).toBe(1.0);
+    });
+  });
 });
@@ -0,0 +1,150 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          localRunner.test.js
+//  Description:   Unit tests for the local subprocess code
+//                 runner. Run tests are skipped when python3
+//                 or gcc isn't installed.
+//
+//  Dependencies:  localRunner
+//                 judge0Ids
+//
+////////////////////////////////////////////////////////////////
+
+const { spawnSync } = require('child_process');
+const { createLocalRunner, normalizeOutput, getRunStatus } = require('../services/codeRunners/localRunner');
+const { LANGUAGE_IDS, STATUS_IDS } = require('../services/codeRunners/judge0Ids');
+
+const LIMITS = {
+  CPU_TIME_LIMIT_S:   2,
+  WALL_TIME_LIMIT_MS: 3000,
+  COMPILE_TIME_MS:    20000,
+  MEMORY_LIMIT_KB:    256000,
+  MAX_FILE_SIZE_KB:   1024,
+  MAX_OUTPUT_BYTES:   4096,
+};
+
+const hasCommand = (command) => spawnSync('/bin/sh', ['-c', 'command -v "$0"', command]).status === 0;
+const describeIf = (condition) => (condition ? describe : describe.skip);
+
+const FINISHED_RUN = { exitCode: 0, signal: null, timedOut: false, outputExceeded: false, stdout: '3\n' };
+
+/**
+ * Runs code against test cases and waits for every result
+ */
+const runAll = async (runner, code, languageId, testCases) => {
+  const tokens = await runner.submitBatch(code, languageId, testCases);
+  return Promise.all(tokens.map(token => runner.pollSubmission(token)));
+};
+
+describe("Local Runner", () => {
+
+  describe("normalizeOutput Tests", () => {
+
+    test("should ignore trailing whitespace and blank lines", () => {
+      expect(normalizeOutput("1 2  \r\n3\n\n")).toBe("1 2\n3");
+      expect(normalizeOutput(null)).toBe("");
+    });
+
+    test("should keep leading whitespace", () => {
+      expect(normalizeOutput("  indented")).toBe("  indented");
+    });
+  });
+
+  describe("getRunStatus Tests", () => {
+
+    test("should accept matching output and reject the rest", () => {
+      expect(getRunStatus(FINISHED_RUN, "3")).toBe(STATUS_IDS.ACCEPTED);
+      expect(getRunStatus(FINISHED_RUN, "4")).toBe(STATUS_IDS.WRONG_ANSWER);
+      expect(getRunStatus(FINISHED_RUN, "")).toBe(STATUS_IDS.ACCEPTED);
+    });
+
+    test("should map limits, signals and exit codes to Judge0 statuses", () => {
+      expect(getRunStatus({ ...FINISHED_RUN, timedOut: true, signal: 'SIGKILL' }, "3")).toBe(STATUS_IDS.TIME_LIMIT_EXCEEDED);
+      expect(getRunStatus({ ...FINISHED_RUN, signal: 'SIGXCPU' }, "3")).toBe(STATUS_IDS.TIME_LIMIT_EXCEEDED);
+      expect(getRunStatus({ ...FINISHED_RUN, outputExceeded: true }, "3")).toBe(STATUS_IDS.RUNTIME_ERROR_SIGXFSZ);
+      expect(getRunStatus({ ...FINISHED_RUN, signal: 'SIGSEGV' }, "3")).toBe(STATUS_IDS.RUNTIME_ERROR_SIGSEGV);
+      expect(getRunStatus({ ...FINISHED_RUN, exitCode: 1 }, "3")).toBe(STATUS_IDS.RUNTIME_ERROR_NZEC);
+    });
+  });
+
+  describeIf(hasCommand('python3'))("Python Runs", () => {
+    const runner = createLocalRunner(LIMITS);
+
+    test("should grade each test case against its expected output", async () => {
+      const results = await runAll(runner, "a, b = map(int, input().split())\nprint(a + b)", LANGUAGE_IDS.PYTHON, [
+        { INPUT: "1 2", EXPECTED_OUTPUT: "3" },
+        { INPUT: "2 2", EXPECTED_OUTPUT: "5" },
+      ]);
+
+      expect(results.map(r => r.status.id)).toEqual([STATUS_IDS.ACCEPTED, STATUS_IDS.WRONG_ANSWER]);
+      expect(results[0].stdout).toBe("3\n");
+    });
+
+    test("should report runtime errors with stderr", async () => {
+      const [result] = await runAll(runner, "raise ValueError('boom')", LANGUAGE_IDS.PYTHON, [
+        { INPUT: "", EXPECTED_OUTPUT: "" },
+      ]);
+
+      expect(result.status.id).toBe(STATUS_IDS.RUNTIME_ERROR_NZEC);
+      expect(result.stderr).toMatch(/ValueError: boom/);
+    });
+
+    test("should stop code that runs too long", async () => {
+      const [result] = await runAll(runner, "while True: pass", LANGUAGE_IDS.PYTHON, [
+        { INPUT: "", EXPECTED_OUTPUT: "" },
+      ]);
+
+      expect(result.status.id).toBe(STATUS_IDS.TIME_LIMIT_EXCEEDED);
+    }, 10000);
+
+    test("should stop code that prints too much", async () => {
+      const [result] = await runAll(runner, "while True: print('x' * 100)", LANGUAGE_IDS.PYTHON, [
+        { INPUT: "", EXPECTED_OUTPUT: "" },
+      ]);
+
+      expect(result.status.id).toBe(STATUS_IDS.RUNTIME_ERROR_SIGXFSZ);
+    }, 10000);
+
+    test("should not pass the server's environment to user code", async () => {
+      process.env.KW_RUNNER_TEST_SECRET = 'hunter2';
+      const [result] = await runAll(runner, "import os\nprint(os.environ.get('KW_RUNNER_TEST_SECRET'))", LANGUAGE_IDS.PYTHON, [
+        { INPUT: "", EXPECTED_OUTPUT: "None" },
+      ]);
+      delete process.env.KW_RUNNER_TEST_SECRET;
+
+      expect(result.status.id).toBe(STATUS_IDS.ACCEPTED);
+    });
+  });
+
+  describeIf(hasCommand('gcc'))("C Runs", () => {
+    const runner = createLocalRunner(LIMITS);
+
+    test("should compile once and run every test case", async () => {
+      const code = '#include <stdio.h>\nint main(void) { int n; scanf("%d", &n); printf("%d\\n", n * 2); return 0; }';
+      const results = await runAll(runner, code, LANGUAGE_IDS.C, [
+        { INPUT: "2", EXPECTED_OUTPUT: "4" },
+        { INPUT: "5", EXPECTED_OUTPUT: "10" },
+      ]);
+
+      expect(results.every(r => r.status.id === STATUS_IDS.ACCEPTED)).toBe(true);
+    }, 30000);
+
+    test("should report compilation errors for every test case", async () => {
+      const results = await runAll(runner, "int main(void) { return missing; }", LANGUAGE_IDS.C, [
+        { INPUT: "", EXPECTED_OUTPUT: "" },
+        { INPUT: "", EXPECTED_OUTPUT: "" },
+      ]);
+
+      expect(results.map(r => r.status.id)).toEqual([STATUS_IDS.COMPILATION_ERROR, STATUS_IDS.COMPILATION_ERROR]);
+      expect(results[0].compile_output).toMatch(/missing/);
+    }, 30000);
+  });
+
+  test("should reject unknown languages", async () => {
+    const runner = createLocalRunner(LIMITS);
+    await expect(runner.submitBatch("print(1)", 999, [])).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
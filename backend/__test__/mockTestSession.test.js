@@ -0,0 +1,357 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          mockTestSession.test.js
+//  Description:   Integration tests for mock test session routes:
+//                 POST /api/test/sessions
+//                 GET  /api/test/sessions/:id
+//                 POST /api/test/sessions/:id/answers
+//                 POST /api/test/sessions/:id/finalize
+//                 POST /api/test/submit, for session questions
+//
+//  Dependencies:  supertest
+//                 mysql2 connection pool (server.js)
+//                 testHelpers
+//
+////////////////////////////////////////////////////////////////
+
+const request = require('supertest');
+const { app, pool } = require('../server');
+const { TEST_USER,
+        TEST_PROF,
+        getAuthToken,
+        getProfAuthToken,
+        verifyTestDatabase,
+        insertQuestion,
+      } = require('./testHelpers');
+
+let token;
+let profToken;
+
+const MC_ANSWERS = [
+  { text: 'Right', isCorrect: true  },
+  { text: 'Wrong', isCorrect: false },
+];
+
+/**
+ * Starts a session as the test user
+ */
+const startSession = (body, authToken = token) => request(app)
+  .post('/api/test/sessions')
+  .set('Authorization', `Bearer ${authToken}`)
+  .send(body);
+
+/**
+ * Submits an answer against a session as the test user
+ */
+const answer = (sessionId, problemId, userAnswer, extra = {}) => request(app)
+  .post(`/api/test/sessions/${sessionId}/answers`)
+  .set('Authorization', `Bearer ${token}`)
+  .send({ problem_id: problemId, userAnswer, ...extra });
+
+/**
+ * Submits an answer outside of any session as the test user
+ */
+const submitOutsideSession = (problemId, userAnswer) => request(app)
+  .post('/api/test/submit')
+  .set('Authorization', `Bearer ${token}`)
+  .send({ problem_id: problemId, userAnswer, category: 'Introductory Programming', topic: 'Arrays' });
+
+/**
+ * Finalizes a session as the test user
+ */
+const finalize = (sessionId) => request(app)
+  .post(`/api/test/sessions/${sessionId}/finalize`)
+  .set('Authorization', `Bearer ${token}`);
+
+beforeAll(async () => {
+  await verifyTestDatabase(pool);
+  await pool.query('DELETE FROM User WHERE EMAIL IN (?)', [[TEST_USER.email, TEST_PROF.email]]);
+  token = await getAuthToken();
+  profToken = await getProfAuthToken();
+});
+
+afterEach(async () => {
+  await pool.query('DELETE FROM Response');
+  await pool.query('DELETE FROM MockTestSession');
+  await pool.query('DELETE FROM AnswerText');
+  await pool.query('DELETE FROM Question');
+});
+
+afterAll(async () => {
+  await pool.query('DELETE FROM User WHERE EMAIL IN (?)', [[TEST_USER.email, TEST_PROF.email]]);
+  try
+  {
+    await pool.end();
+  }
+  catch (err)
+  {
+    console.error('Error closing pool in mockTestSession.test.js:', err);
+  }
+});
+
+describe('POST /api/test/sessions', () => {
+
+  test('401 - requires auth', async () => {
+    const res = await request(app).post('/api/test/sessions').send({ topics: ['Arrays'] });
+    expect(res.statusCode).toBe(401);
+  });
+
+  test('400 - no topics selected', async () => {
+    const res = await startSession({ topics: [] });
+    expect(res.statusCode).toBe(400);
+  });
+
+  test('404 - no published questions for topics', async () => {
+    await insertQuestion('Multiple Choice', MC_ANSWERS, { isPublished: false });
+    const res = await startSession({ topics: ['Arrays'] });
+    expect(res.statusCode).toBe(404);
+  });
+
+  test('201 - records questions, start time and deadline', async () => {
+    for (let i = 0; i < 5; i++)
+    {
+      await insertQuestion('Multiple Choice', MC_ANSWERS);
+    }
+
+    const res = await startSession({ topics: ['Arrays'], questionCount: 3, timeLimitMinutes: 10 });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.questions).toHaveLength(3);
+    expect(res.body.isFinalized).toBe(false);
+    expect(res.body.result).toBeNull();
+    expect(new Date(res.body.deadline) - new Date(res.body.startedAt)).toBe(10 * 60 * 1000);
+
+    const [[session]] = await pool.query('SELECT * FROM MockTestSession WHERE ID = ?', [res.body.sessionId]);
+    expect(session.QUESTION_IDS).toEqual(res.body.questions.map(q => q.ID));
+  });
+
+  test('201 - does not expose the answer key', async () => {
+    await insertQuestion('Multiple Choice', MC_ANSWERS);
+
+    const res = await startSession({ topics: ['Arrays'] });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.questions[0].answers).toBeUndefined();
+    expect(JSON.stringify(res.body)).not.toMatch(/IS_CORRECT_ANSWER/);
+  });
+
+  test('201 - covers every selected topic before repeating one', async () => {
+    for (let i = 0; i < 3; i++)
+    {
+      await insertQuestion('Multiple Choice', MC_ANSWERS, { subcategory: 'Arrays' });
+      await insertQuestion('Multiple Choice', MC_ANSWERS, { subcategory: 'Loops' });
+    }
+
+    const res = await startSession({ topics: ['Arrays', 'Loops'], questionCount: 2 });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.questions.map(q => q.SUBCATEGORY).sort()).toEqual(['Arrays', 'Loops']);
+  });
+
+  test('201 - includes at most one programming question', async () => {
+    await insertQuestion('Programming');
+    await insertQuestion('Programming');
+    await insertQuestion('Multiple Choice', MC_ANSWERS);
+
+    const res = await startSession({ topics: ['Arrays'], questionCount: 3 });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.questions.filter(q => q.TYPE === 'Programming')).toHaveLength(1);
+  });
+});
+
+describe('GET /api/test/sessions/:id', () => {
+
+  test('400 - invalid session ID', async () => {
+    const res = await request(app)
+      .get('/api/test/sessions/abc')
+      .set('Authorization', `Bearer ${token}`);
+    expect(res.statusCode).toBe(400);
+  });
+
+  test("404 - another user's session", async () => {
+    await insertQuestion('Multiple Choice', MC_ANSWERS);
+    const started = await startSession({ topics: ['Arrays'] }, profToken);
+
+    const res = await request(app)
+      .get(`/api/test/sessions/${started.body.sessionId}`)
+      .set('Authorization', `Bearer ${token}`);
+    expect(res.statusCode).toBe(404);
+  });
+
+  test('200 - lists answered questions', async () => {
+    const questionId = await insertQuestion('Multiple Choice', MC_ANSWERS);
+    const started = await startSession({ topics: ['Arrays'] });
+    await answer(started.body.sessionId, questionId, 'Right');
+
+    const res = await request(app)
+      .get(`/api/test/sessions/${started.body.sessionId}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.answeredQuestionIds).toEqual([questionId]);
+  });
+});
+
+describe('POST /api/test/sessions/:id/answers', () => {
+
+  test('201 - grades answer and measures elapsed time on the server', async () => {
+    const questionId = await insertQuestion('Multiple Choice', MC_ANSWERS);
+    const started = await startSession({ topics: ['Arrays'] });
+
+    const res = await answer(started.body.sessionId, questionId, 'Right', { elapsedTime: 9999 });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.isCorrect).toBe(true);
+
+    const [[stored]] = await pool.query('SELECT SESSION_ID, ELAPSED_TIME, TOPIC FROM Response');
+    expect(stored.SESSION_ID).toBe(started.body.sessionId);
+    expect(stored.ELAPSED_TIME).toBeLessThan(9999);
+    expect(stored.TOPIC).toBe('Arrays');
+  });
+
+  test('400 - question not part of the session', async () => {
+    await insertQuestion('Multiple Choice', MC_ANSWERS, { subcategory: 'Arrays' });
+    const otherId = await insertQuestion('Multiple Choice', MC_ANSWERS, { subcategory: 'Loops' });
+    const started = await startSession({ topics: ['Arrays'] });
+
+    const res = await answer(started.body.sessionId, otherId, 'Right');
+    expect(res.statusCode).toBe(400);
+  });
+
+  test('409 - question already answered', async () => {
+    const questionId = await insertQuestion('Multiple Choice', MC_ANSWERS);
+    const started = await startSession({ topics: ['Arrays'] });
+
+    await answer(started.body.sessionId, questionId, 'Wrong');
+    const res = await answer(started.body.sessionId, questionId, 'Right');
+
+    expect(res.statusCode).toBe(409);
+    const [[{ count }]] = await pool.query('SELECT COUNT(*) AS count FROM Response');
+    expect(count).toBe(1);
+  });
+
+  test('403 - deadline passed', async () => {
+    const questionId = await insertQuestion('Multiple Choice', MC_ANSWERS);
+    const started = await startSession({ topics: ['Arrays'] });
+    await pool.query(
+      'UPDATE MockTestSession SET DEADLINE = DATE_SUB(NOW(), INTERVAL 1 MINUTE) WHERE ID = ?',
+      [started.body.sessionId]
+    );
+
+    const res = await answer(started.body.sessionId, questionId, 'Right');
+    expect(res.statusCode).toBe(403);
+  });
+
+  test('409 - session already finalized', async () => {
+    const questionId = await insertQuestion('Multiple Choice', MC_ANSWERS);
+    const started = await startSession({ topics: ['Arrays'] });
+    await finalize(started.body.sessionId);
+
+    const res = await answer(started.body.sessionId, questionId, 'Right');
+    expect(res.statusCode).toBe(409);
+  });
+});
+
+describe('POST /api/test/sessions/:id/finalize', () => {
+
+  test('200 - scores answered and unanswered questions', async () => {
+    const rightId = await insertQuestion('Multiple Choice', MC_ANSWERS, { points: 2 });
+    const wrongId = await insertQuestion('Multiple Choice', MC_ANSWERS, { points: 2 });
+    await insertQuestion('Multiple Choice', MC_ANSWERS, { points: 2, subcategory: 'Loops' });
+    const started = await startSession({ topics: ['Arrays', 'Loops'] });
+
+    await answer(started.body.sessionId, rightId, 'Right');
+    await answer(started.body.sessionId, wrongId, 'Wrong');
+    const res = await finalize(started.body.sessionId);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.isFinalized).toBe(true);
+    expect(res.body.result).toMatchObject({
+      completionReason:  'completed',
+      totalQuestions:    3,
+      answeredQuestions: 2,
+      correctQuestions:  1,
+      pointsEarned:      2,
+      pointsPossible:    6,
+    });
+    expect(res.body.result.subcategories.Arrays).toMatchObject({ correct: 1, answered: 2, total: 2 });
+    expect(res.body.result.subcategories.Loops).toMatchObject({ correct: 0, answered: 0, total: 1 });
+
+    const [[session]] = await pool.query('SELECT * FROM MockTestSession WHERE ID = ?', [started.body.sessionId]);
+    expect(session.FINALIZED_AT).not.toBeNull();
+    expect(parseFloat(session.POINTS_EARNED)).toBe(2);
+    expect(parseFloat(session.POINTS_POSSIBLE)).toBe(6);
+  });
+
+  test('200 - finalizing twice returns the same result', async () => {
+    const questionId = await insertQuestion('Multiple Choice', MC_ANSWERS);
+    const started = await startSession({ topics: ['Arrays'] });
+    await answer(started.body.sessionId, questionId, 'Right');
+
+    const first = await finalize(started.body.sessionId);
+    const second = await finalize(started.body.sessionId);
+
+    expect(second.statusCode).toBe(200);
+    expect(second.body.result).toEqual(first.body.result);
+  });
+
+  test('200 - late finalize reports time limit', async () => {
+    await insertQuestion('Multiple Choice', MC_ANSWERS);
+    const started = await startSession({ topics: ['Arrays'] });
+    await pool.query(
+      'UPDATE MockTestSession SET DEADLINE = DATE_SUB(NOW(), INTERVAL 1 MINUTE) WHERE ID = ?',
+      [started.body.sessionId]
+    );
+
+    const res = await finalize(started.body.sessionId);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.result.completionReason).toBe('time_limit');
+    expect(res.body.result.answeredQuestions).toBe(0);
+  });
+});
+
+describe('POST /api/test/submit during a session', () => {
+
+  test('409 - question in an open session is only answered through the session', async () => {
+    const questionId = await insertQuestion('Multiple Choice', MC_ANSWERS);
+    await pool.query('UPDATE Question SET EXPLANATION = ? WHERE ID = ?', ['The answer is Right', questionId]);
+    const started = await startSession({ topics: ['Arrays'] });
+
+    const res = await submitOutsideSession(questionId, 'Wrong');
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.explanation).toBeUndefined();
+    const [[{ count }]] = await pool.query('SELECT COUNT(*) AS count FROM Response');
+    expect(count).toBe(0);
+
+    // The session still takes the answer
+    const inSession = await answer(started.body.sessionId, questionId, 'Right');
+    expect(inSession.statusCode).toBe(201);
+  });
+
+  test('201 - question can be practiced again once the session is finalized', async () => {
+    const questionId = await insertQuestion('Multiple Choice', MC_ANSWERS);
+    const started = await startSession({ topics: ['Arrays'] });
+    await finalize(started.body.sessionId);
+
+    const res = await submitOutsideSession(questionId, 'Right');
+    expect(res.statusCode).toBe(201);
+  });
+
+  test('201 - question can be practiced again once the deadline passes', async () => {
+    const questionId = await insertQuestion('Multiple Choice', MC_ANSWERS);
+    const started = await startSession({ topics: ['Arrays'] });
+    await pool.query(
+      'UPDATE MockTestSession SET DEADLINE = DATE_SUB(NOW(), INTERVAL 1 MINUTE) WHERE ID = ?',
+      [started.body.sessionId]
+    );
+
+    const res = await submitOutsideSession(questionId, 'Right');
+    expect(res.statusCode).toBe(201);
+  });
+});
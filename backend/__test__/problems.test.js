@@ -9,6 +9,7 @@
 //                 GET /api/problems
 //
 //  Dependencies:  supertest
+//                 jsonwebtoken
 //                 mysql2 connection pool (server.js)
 //                 testHelpers
 //                 paginationConfig
@@ -16,12 +17,14 @@
 ////////////////////////////////////////////////////////////////
 
 const request = require('supertest');
+const jwt = require('jsonwebtoken');
 const { app, pool } = require('../server');
 const {
   verifyTestDatabase,
   getAuthToken,
   getProfAuthToken,
   insertQuestion,
+  insertResponse,
   insertUser,
 } = require('./testHelpers');
 const { PAGE_SIZES } = require('../config/paginationConfig');
@@ -103,7 +106,7 @@ describe('GET /api/problems/:id', () => {
   test('200 - returns published question with answers attached', async () => {
     const res = await request(app)
       .get(`/api/problems/${publishedQuestionId}`)
-      .set('Authorization', `Bearer ${studentToken}`);
+      .set('Authorization', `Bearer ${profToken}`);
 
     expect(res.status).toBe(200);
     expect(res.body).toHaveProperty('ID', publishedQuestionId);
@@ -128,6 +131,49 @@ describe('GET /api/problems/:id', () => {
     expect(res.status).toBe(200);
   });
 
+  test('200 - student gets no answer key for a question they haven\'t answered', async () => {
+    const res = await request(app)
+      .get(`/api/problems/${publishedQuestionId}`)
+      .set('Authorization', `Bearer ${studentToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.answers).toBeUndefined();
+    expect(res.body.options).toHaveLength(1);
+    expect(JSON.stringify(res.body)).not.toContain('IS_CORRECT_ANSWER');
+  });
+
+  test('200 - student gets the answer key once they\'ve answered, outside a running mock test', async () => {
+    const questionId = await insertQuestion('Multiple Choice', [makeAnswer('A')], {
+      points: 2, isPublished: true, subcategory: SUB_ARRAYS,
+    });
+    const userId = jwt.decode(studentToken).userId;
+    await insertResponse(userId, questionId);
+
+    const [session] = await pool.query(
+      `INSERT INTO MockTestSession (USER_ID, QUESTION_IDS, STARTED_AT, DEADLINE)
+       VALUES (?, ?, NOW(), DATE_ADD(NOW(), INTERVAL 1 HOUR))`,
+      [userId, JSON.stringify([questionId])]
+    );
+    try
+    {
+      const during = await request(app)
+        .get(`/api/problems/${questionId}`)
+        .set('Authorization', `Bearer ${studentToken}`);
+      expect(during.status).toBe(200);
+      expect(during.body.answers).toBeUndefined();
+    }
+    finally
+    {
+      await pool.query('DELETE FROM MockTestSession WHERE ID = ?', [session.insertId]);
+    }
+
+    const after = await request(app)
+      .get(`/api/problems/${questionId}`)
+      .set('Authorization', `Bearer ${studentToken}`);
+    expect(after.status).toBe(200);
+    expect(after.body.answers[0]).toHaveProperty('IS_CORRECT_ANSWER');
+  });
+
   test('404 - draft question is not returned', async () => {
     const res = await request(app)
       .get(`/api/problems/${draftQuestionId}`)
@@ -136,6 +182,24 @@ describe('GET /api/problems/:id', () => {
     expect(res.status).toBe(404);
   });
 
+  test('200 - retired question is only returned to students who answered it', async () => {
+    const retiredQuestionId = await insertQuestion('Multiple Choice', [makeAnswer('C')], {
+      points: 2, isPublished: false, subcategory: SUB_ARRAYS,
+    });
+    await pool.query("UPDATE Question SET REVIEW_STATUS = 'retired' WHERE ID = ?", [retiredQuestionId]);
+
+    const before = await request(app)
+      .get(`/api/problems/${retiredQuestionId}`)
+      .set('Authorization', `Bearer ${studentToken}`);
+    expect(before.status).toBe(404);
+
+    await insertResponse(jwt.decode(studentToken).userId, retiredQuestionId);
+    const after = await request(app)
+      .get(`/api/problems/${retiredQuestionId}`)
+      .set('Authorization', `Bearer ${studentToken}`);
+    expect(after.status).toBe(200);
+  });
+
   test('404 - question does not exist', async () => {
     const res = await request(app)
       .get('/api/problems/999999')
@@ -19,7 +19,7 @@ const request = require('supertest');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const { app, pool } = require('../server');
-const { verifyTestDatabase, insertQuestion } = require('./testHelpers');
+const { verifyTestDatabase, insertQuestion, insertResponse } = require('./testHelpers');
 
 // Mock Discord webhook
 const { notifyUserEvent } = require('../services/discordWebhook');
@@ -353,15 +353,15 @@ describe("Admin Routes - Professor Access", () => {
       .send({
         type: "Multiple Choice",
         author_exam_id: "KnightWise",
-        section: "DSN",
-        category: "Programming",
-        subcategory: "Python",
+        section: "A",
+        category: "Introductory Programming",
+        subcategory: "Loops",
         points_possible: 5.0,
         question_text: "What is Python's print function?",
         owner_id: 9999, // should be overridden to profId, can't be spoofed
         is_published: true,
         answer_text: ["printf", "put", "println", "print"],
-        answer_correctness: [1, 2, 3, 4],
+        answer_correctness: [1, 0, 0, 0],
         answer_rank: [1, 2, 3, 4],
         answer_placement: ['a', 'b', 'c', 'd'],
       });
@@ -371,9 +371,9 @@ describe("Admin Routes - Professor Access", () => {
     expect(res.statusCode).toBe(201);
     expect(res.body.message).toBe("Question added");
 
-    // Expect Discord notification
+    // Expect Discord notification, professors' questions start as drafts
     expect(notifyUserEvent).toHaveBeenCalledWith(
-      expect.stringContaining("New question published")
+      expect.stringContaining("New question saved as draft")
     );
 
     const [questions] = await pool.query(
@@ -390,9 +390,9 @@ describe("Admin Routes - Professor Access", () => {
       .send({
         type: "Multiple Choice",
         author_exam_id: "KnightWise",
-        section: "DSN",
-        category: "Programming",
-        subcategory: "Python",
+        section: "A",
+        category: "Introductory Programming",
+        subcategory: "Loops",
         points_possible: 5.0,
         question_text: "What is Python's print function?",
         owner_id: 1,
@@ -418,9 +418,9 @@ describe("Admin Routes - Professor Access", () => {
       .send({
         type: "Multiple Choice",
         author_exam_id: "KnightWise",
-        section: "DSN",
-        category: "Programming",
-        subcategory: "Python",
+        section: "A",
+        category: "Introductory Programming",
+        subcategory: "Loops",
         points_possible: 5.0,
         question_text: "What is Python's print function?",
         owner_id: 1,
@@ -447,9 +447,9 @@ describe("Admin Routes - Professor Access", () => {
       .send({
         type: "Multiple Choice",
         author_exam_id: "KnightWise",
-        section: "DSN",
-        category: "Programming",
-        subcategory: "Python",
+        section: "A",
+        category: "Introductory Programming",
+        subcategory: "Loops",
         points_possible: 5.0,
         question_text: "What is Python's print function?",
         owner_id: 1,
@@ -509,23 +509,47 @@ describe("Admin Routes - Professor Access", () => {
     expect(res.statusCode).toBe(401);
   });
 
-  test("DELETE problems/:id - professor can delete own question", async () => {
+  test("DELETE problems/:id - professor retires own question and keeps its responses", async () => {
     const { profId, token } = await insertProf(pool, "deleteprof", "delete@ucf.edu", 1);
-
-    const [result] = await pool.query(
-      'INSERT INTO Question (TYPE, SECTION, CATEGORY, SUBCATEGORY, QUESTION_TEXT, IS_PUBLISHED, OWNER_ID) VALUES (?, ?, ?, ?, ?, 0, ?)',
-      ["MCQ", "DSN", "Programming", "Python", "To be deleted", profId]
-    );
+    const questionId = await insertQuestion("Multiple Choice", [{ text: "3", isCorrect: true }, { text: "4" }], { ownerId: profId });
+    await insertResponse(profId, questionId, { pointsEarned: 1, isCorrect: true });
 
     const res = await request(app)
-      .delete(`/api/admin/problems/${result.insertId}`)
+      .delete(`/api/admin/problems/${questionId}`)
       .set("Authorization", `Bearer ${token}`);
 
     expect(res.statusCode).toBe(200);
-    expect(res.body.message).toBe("Question deleted successfully");
+    expect(res.body).toEqual({ message: "Question retired", status: "retired" });
+
+    const [[question]] = await pool.query('SELECT IS_PUBLISHED, REVIEW_STATUS FROM Question WHERE ID = ?', [questionId]);
+    expect(question).toEqual({ IS_PUBLISHED: 0, REVIEW_STATUS: "retired" });
+    const [responses] = await pool.query('SELECT ID FROM Response WHERE PROBLEM_ID = ?', [questionId]);
+    expect(responses).toHaveLength(1);
+
+    const again = await request(app)
+      .delete(`/api/admin/problems/${questionId}`)
+      .set("Authorization", `Bearer ${token}`);
+    expect(again.statusCode).toBe(400);
+    expect(again.body.message).toBe("Question already retired");
+  });
+
+  test("DELETE problems/:id - retired questions move from drafts to the retired list", async () => {
+    const { profId, token } = await insertProf(pool, "archiveprof", "archive@ucf.edu", 1);
+    const questionId = await insertQuestion("MCQ", [], { isPublished: false, ownerId: profId });
+
+    await request(app)
+      .delete(`/api/admin/problems/${questionId}`)
+      .set("Authorization", `Bearer ${token}`);
 
-    const [questions] = await pool.query('SELECT * FROM Question WHERE ID = ?', [result.insertId]);
-    expect(questions.length).toBe(0);
+    const drafts = await request(app)
+      .get("/api/admin/drafts")
+      .set("Authorization", `Bearer ${token}`);
+    const retired = await request(app)
+      .get("/api/admin/retired")
+      .set("Authorization", `Bearer ${token}`);
+
+    expect(drafts.body.drafts).toEqual([]);
+    expect(retired.body.retired.map(question => question.ID)).toEqual([questionId]);
   });
 
   test("DELETE problems/:id - professor cannot delete another professor's question", async () => {
@@ -534,7 +558,7 @@ describe("Admin Routes - Professor Access", () => {
 
     const [result] = await pool.query(
       'INSERT INTO Question (TYPE, SECTION, CATEGORY, SUBCATEGORY, QUESTION_TEXT, IS_PUBLISHED, OWNER_ID) VALUES (?, ?, ?, ?, ?, 0, ?)',
-      ["MCQ", "DSN", "Programming", "Python", "Owner question", profId]
+      ["MCQ", "A", "Introductory Programming", "Loops", "Owner question", profId]
     );
 
     const res = await request(app)
@@ -557,9 +581,9 @@ describe("Admin Routes - Draft/Publish", () => {
       .send({
         type: "Multiple Choice",
         author_exam_id: "KnightWise",
-        section: "DSN",
-        category: "Programming",
-        subcategory: "Python",
+        section: "A",
+        category: "Introductory Programming",
+        subcategory: "Loops",
         points_possible: 5.0,
         question_text: "What is 2 + 2?",
         is_published: false,
@@ -578,7 +602,7 @@ describe("Admin Routes - Draft/Publish", () => {
     expect(questions[0].IS_PUBLISHED).toBe(0);
   });
 
-  test("createquestion - creates as published when IS_PUBLISHED is true", async () => {
+  test("createquestion - professor question is a draft even when IS_PUBLISHED is true", async () => {
     const { token } = await insertProf(pool, "publishprof", "publish@ucf.edu", 1);
 
     const res = await request(app)
@@ -587,9 +611,9 @@ describe("Admin Routes - Draft/Publish", () => {
       .send({
         type: "Multiple Choice",
         author_exam_id: "KnightWise",
-        section: "DSN",
-        category: "Programming",
-        subcategory: "Python",
+        section: "A",
+        category: "Introductory Programming",
+        subcategory: "Loops",
         points_possible: 5.0,
         question_text: "What is 2 + 2?",
         is_published: true,
@@ -602,10 +626,10 @@ describe("Admin Routes - Draft/Publish", () => {
     expect(res.statusCode).toBe(201);
 
     const [questions] = await pool.query(
-      'SELECT IS_PUBLISHED FROM Question WHERE ID = ?',
+      'SELECT IS_PUBLISHED, REVIEW_STATUS FROM Question WHERE ID = ?',
       [res.body.questionId]
     );
-    expect(questions[0].IS_PUBLISHED).toBe(1);
+    expect(questions[0]).toEqual({ IS_PUBLISHED: 0, REVIEW_STATUS: "draft" });
   });
 
   test("createquestion - fails if IS_PUBLISHED not provided", async () => {
@@ -617,9 +641,9 @@ describe("Admin Routes - Draft/Publish", () => {
       .send({
         type: "Multiple Choice",
         author_exam_id: "KnightWise",
-        section: "DSN",
-        category: "Programming",
-        subcategory: "Python",
+        section: "A",
+        category: "Introductory Programming",
+        subcategory: "Loops",
         points_possible: 5.0,
         question_text: "What is 2 + 2?",
         answer_text: ["4", "3"],
@@ -638,11 +662,11 @@ describe("Admin Routes - Draft/Publish", () => {
     // Insert one draft for each professor
     await pool.query(
       'INSERT INTO Question (TYPE, SECTION, CATEGORY, SUBCATEGORY, QUESTION_TEXT, IS_PUBLISHED, OWNER_ID) VALUES (?, ?, ?, ?, ?, 0, ?)',
-      ["MCQ", "DSN", "Programming", "Python", "My draft", profId]
+      ["MCQ", "A", "Introductory Programming", "Loops", "My draft", profId]
     );
     await pool.query(
       'INSERT INTO Question (TYPE, SECTION, CATEGORY, SUBCATEGORY, QUESTION_TEXT, IS_PUBLISHED, OWNER_ID) VALUES (?, ?, ?, ?, ?, 0, ?)',
-      ["MCQ", "DSN", "Programming", "Python", "Other draft", otherId]
+      ["MCQ", "A", "Introductory Programming", "Loops", "Other draft", otherId]
     );
 
     const res = await request(app)
@@ -659,7 +683,7 @@ describe("Admin Routes - Draft/Publish", () => {
 
     await pool.query(
       'INSERT INTO Question (TYPE, SECTION, CATEGORY, SUBCATEGORY, QUESTION_TEXT, IS_PUBLISHED, OWNER_ID) VALUES (?, ?, ?, ?, ?, 1, ?)',
-      ["MCQ", "DSN", "Programming", "Python", "Published question", profId]
+      ["MCQ", "A", "Introductory Programming", "Loops", "Published question", profId]
     );
 
     const res = await request(app)
@@ -675,7 +699,7 @@ describe("Admin Routes - Draft/Publish", () => {
 
     const [result] = await pool.query(
       'INSERT INTO Question (TYPE, AUTHOR_EXAM_ID, SECTION, CATEGORY, SUBCATEGORY, POINTS_POSSIBLE, QUESTION_TEXT, IS_PUBLISHED, OWNER_ID) VALUES (?, ?, ?, ?, ?, ?, ?, 0, ?)',
-      ["MCQ", "KnightWise", "DSN", "Programming", "Python", 5.0, "Original text", profId]
+      ["MCQ", "KnightWise", "A", "Introductory Programming", "Loops", 5.0, "Original text", profId]
     );
     const questionId = result.insertId;
 
@@ -685,9 +709,9 @@ describe("Admin Routes - Draft/Publish", () => {
       .send({
         type: "Multiple Choice",
         author_exam_id: "KnightWise",
-        section: "DSN",
-        category: "Programming",
-        subcategory: "Python",
+        section: "A",
+        category: "Introductory Programming",
+        subcategory: "Loops",
         points_possible: 5.0,
         question_text: "Updated text",
         answer_text: ["4", "3"],
@@ -709,7 +733,7 @@ describe("Admin Routes - Draft/Publish", () => {
     // Start off as published
     const [result] = await pool.query(
       'INSERT INTO Question (TYPE, AUTHOR_EXAM_ID, SECTION, CATEGORY, SUBCATEGORY, POINTS_POSSIBLE, QUESTION_TEXT, IS_PUBLISHED, OWNER_ID) VALUES (?, ?, ?, ?, ?, ?, ?, 1, ?)',
-      ["MCQ", "KnightWise", "DSN", "Programming", "Python", 5.0, "Published question", profId]
+      ["MCQ", "KnightWise", "A", "Introductory Programming", "Loops", 5.0, "Published question", profId]
     );
     const questionId = result.insertId;
 
@@ -719,9 +743,9 @@ describe("Admin Routes - Draft/Publish", () => {
       .send({
         type: "Multiple Choice",
         author_exam_id: "KnightWise",
-        section: "DSN",
-        category: "Programming",
-        subcategory: "Python",
+        section: "A",
+        category: "Introductory Programming",
+        subcategory: "Loops",
         points_possible: 5.0,
         question_text: "Updated text",
         answer_text: ["4", "3"],
@@ -742,7 +766,7 @@ describe("Admin Routes - Draft/Publish", () => {
     // Insert draft question for ownerprof
     const [result] = await pool.query(
       'INSERT INTO Question (TYPE, AUTHOR_EXAM_ID, SECTION, CATEGORY, SUBCATEGORY, POINTS_POSSIBLE, QUESTION_TEXT, IS_PUBLISHED, OWNER_ID) VALUES (?, ?, ?, ?, ?, ?, ?, 0, ?)',
-      ["MCQ", "KnightWise", "DSN", "Programming", "Python", 5.0, "Owner question", profId]
+      ["MCQ", "KnightWise", "A", "Introductory Programming", "Loops", 5.0, "Owner question", profId]
     );
     const questionId = result.insertId;
 
@@ -753,26 +777,39 @@ describe("Admin Routes - Draft/Publish", () => {
       .send({
         type: "Multiple Choice",
         author_exam_id: "KnightWise",
-        section: "DSN",
-        category: "Programming",
-        subcategory: "Python",
+        section: "A",
+        category: "Introductory Programming",
+        subcategory: "Loops",
         points_possible: 5.0,
         question_text: "Hacked text",
-        answer_text: ["4"],
-        answer_correctness: [1],
-        answer_rank: [1],
-        answer_placement: ["a"],
+        answer_text: ["4", "3"],
+        answer_correctness: [1, 0],
+        answer_rank: [1, 2],
+        answer_placement: ["a", "b"],
       });
 
     expect(res.statusCode).toBe(403);
   });
 
-  test("publish - professor can publish own draft", async () => {
+  test("publish - professor cannot publish own draft before it is approved", async () => {
+    const { profId, token } = await insertProf(pool, "unreviewedprof", "unreviewed@ucf.edu", 1);
+    const questionId = await insertQuestion("MCQ", [], { isPublished: false, ownerId: profId });
+
+    const res = await request(app)
+      .post(`/api/admin/problems/${questionId}/publish`)
+      .set("Authorization", `Bearer ${token}`);
+
+    expect(res.statusCode).toBe(400);
+    const [questions] = await pool.query('SELECT IS_PUBLISHED FROM Question WHERE ID = ?', [questionId]);
+    expect(questions[0].IS_PUBLISHED).toBe(0);
+  });
+
+  test("publish - professor can publish own approved question", async () => {
     const { profId, token } = await insertProf(pool, "pubprof", "pub@ucf.edu", 1);
 
     const [result] = await pool.query(
-      'INSERT INTO Question (TYPE, SECTION, CATEGORY, SUBCATEGORY, QUESTION_TEXT, IS_PUBLISHED, OWNER_ID) VALUES (?, ?, ?, ?, ?, 0, ?)',
-      ["MCQ", "DSN", "Programming", "Python", "Draft question", profId]
+      'INSERT INTO Question (TYPE, SECTION, CATEGORY, SUBCATEGORY, QUESTION_TEXT, IS_PUBLISHED, REVIEW_STATUS, OWNER_ID) VALUES (?, ?, ?, ?, ?, 0, ?, ?)',
+      ["MCQ", "A", "Introductory Programming", "Loops", "Draft question", "approved", profId]
     );
     const questionId = result.insertId;
 
@@ -793,7 +830,7 @@ describe("Admin Routes - Draft/Publish", () => {
     // Insert question as published
     const [result] = await pool.query(
       'INSERT INTO Question (TYPE, SECTION, CATEGORY, SUBCATEGORY, QUESTION_TEXT, IS_PUBLISHED, OWNER_ID) VALUES (?, ?, ?, ?, ?, 1, ?)',
-      ["MCQ", "DSN", "Programming", "Python", "Already published", profId]
+      ["MCQ", "A", "Introductory Programming", "Loops", "Already published", profId]
     );
 
     const res = await request(app)
@@ -811,7 +848,7 @@ describe("Admin Routes - Draft/Publish", () => {
     // Insert draft question for ownerprof2
     const [result] = await pool.query(
       'INSERT INTO Question (TYPE, SECTION, CATEGORY, SUBCATEGORY, QUESTION_TEXT, IS_PUBLISHED, OWNER_ID) VALUES (?, ?, ?, ?, ?, 0, ?)',
-      ["MCQ", "DSN", "Programming", "Python", "Owner draft", profId]
+      ["MCQ", "A", "Introductory Programming", "Loops", "Owner draft", profId]
     );
 
     // Attacker tries to publish it
@@ -873,3 +910,494 @@ describe("Admin Routes - Draft/Publish", () => {
     expect(res.statusCode).toBe(401);
   });
 });
+
+describe("Admin Routes - Question Bank Import/Export", () => {
+
+  const bundleQuestion = {
+    type: "Multiple Choice",
+    section: "A",
+    category: "Introductory Programming",
+    subcategory: "Loops",
+    pointsPossible: 5,
+    questionText: "How many times does for (i = 0; i < 3; i++) run?",
+    answers: [
+      { text: "3", isCorrect: true },
+      { text: "4", isCorrect: false },
+    ],
+  };
+  const bundle = (questions) => ({ format: "knightwise-question-bank", version: 1, questions });
+
+  test("import - creates every question as a draft owned by the professor", async () => {
+    const { profId, token } = await insertProf(pool, "importprof", "import@ucf.edu", 1);
+
+    const res = await request(app)
+      .post("/api/admin/questions/import?owner_id=999")
+      .set("Authorization", `Bearer ${token}`)
+      .send(bundle([bundleQuestion, { ...bundleQuestion, questionText: "Second question" }]));
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.questionIds).toHaveLength(2);
+
+    const [rows] = await pool.query('SELECT OWNER_ID, IS_PUBLISHED FROM Question WHERE ID IN (?)', [res.body.questionIds]);
+    expect(rows).toEqual([
+      expect.objectContaining({ OWNER_ID: profId, IS_PUBLISHED: 0 }),
+      expect.objectContaining({ OWNER_ID: profId, IS_PUBLISHED: 0 }),
+    ]);
+    const [answers] = await pool.query('SELECT * FROM AnswerText WHERE QUESTION_ID = ?', [res.body.questionIds[0]]);
+    expect(answers).toHaveLength(2);
+  });
+
+  test("import - reports errors per question and imports nothing", async () => {
+    const { token } = await insertProf(pool, "badimportprof", "badimport@ucf.edu", 1);
+
+    const res = await request(app)
+      .post("/api/admin/questions/import")
+      .set("Authorization", `Bearer ${token}`)
+      .send(bundle([bundleQuestion, { ...bundleQuestion, answers: [{ text: "3", isCorrect: true }] }]));
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.errors).toEqual([{ index: 1, errors: ["Multiple Choice needs at least 2 answers"] }]);
+
+    const [rows] = await pool.query('SELECT ID FROM Question');
+    expect(rows).toHaveLength(0);
+  });
+
+  test("import - reads GIFT with defaults from the query", async () => {
+    const { token } = await insertProf(pool, "giftprof", "gift@ucf.edu", 1);
+
+    const res = await request(app)
+      .post("/api/admin/questions/import?format=gift&section=A&category=Introductory%20Programming&subcategory=Loops&points_possible=2")
+      .set("Authorization", `Bearer ${token}`)
+      .set("Content-Type", "text/plain")
+      .send("::Loops:: A while loop checks its condition {=before ~after} each iteration.");
+
+    expect(res.statusCode).toBe(201);
+    const [[question]] = await pool.query('SELECT TYPE, SUBCATEGORY, POINTS_POSSIBLE FROM Question WHERE ID = ?', [res.body.questionIds[0]]);
+    expect(question).toMatchObject({ TYPE: "Multiple Choice", SUBCATEGORY: "Loops", POINTS_POSSIBLE: "2.00" });
+  });
+
+  test("import - doesn't read the body before the user is authorized", async () => {
+    const res = await request(app)
+      .post("/api/admin/questions/import")
+      .set("Content-Type", "application/json")
+      .send("{ not json");
+
+    expect(res.statusCode).toBe(401);
+  });
+
+  test("export - professor only exports their own questions", async () => {
+    const { profId, token } = await insertProf(pool, "exportprof", "export@ucf.edu", 1);
+    const { profId: otherId } = await insertProf(pool, "otherexportprof", "otherexport@ucf.edu", 1);
+    const ownId = await insertQuestion("Multiple Choice", [{ text: "3", isCorrect: true }, { text: "4" }], { ownerId: profId });
+    const otherQuestionId = await insertQuestion("Multiple Choice", [{ text: "3", isCorrect: true }], { ownerId: otherId });
+
+    const res = await request(app)
+      .get("/api/admin/questions/export")
+      .set("Authorization", `Bearer ${token}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers["content-disposition"]).toMatch(/attachment/);
+    expect(res.body.questions).toHaveLength(1);
+    expect(res.body.questions[0].answers).toHaveLength(2);
+
+    const forbidden = await request(app)
+      .get(`/api/admin/questions/export?ids=${ownId},${otherQuestionId}`)
+      .set("Authorization", `Bearer ${token}`);
+
+    expect(forbidden.statusCode).toBe(404);
+  });
+
+  test("export - exported bundle imports back", async () => {
+    const { token } = await insertProf(pool, "roundtripprof", "roundtrip@ucf.edu", 1);
+    const imported = await request(app)
+      .post("/api/admin/questions/import")
+      .set("Authorization", `Bearer ${token}`)
+      .send(bundle([bundleQuestion]));
+
+    const exported = await request(app)
+      .get(`/api/admin/questions/export?ids=${imported.body.questionIds[0]}`)
+      .set("Authorization", `Bearer ${token}`);
+    const reimported = await request(app)
+      .post("/api/admin/questions/import")
+      .set("Authorization", `Bearer ${token}`)
+      .send(exported.body);
+
+    expect(reimported.statusCode).toBe(201);
+    expect(exported.body.questions[0]).toMatchObject({ ...bundleQuestion, answers: [
+      expect.objectContaining({ text: "3", isCorrect: true }),
+      expect.objectContaining({ text: "4", isCorrect: false }),
+    ] });
+  });
+});
+
+describe("Admin Routes - Question Versions", () => {
+
+  const editBody = (questionText) => ({
+    type: "Multiple Choice",
+    author_exam_id: "KnightWise",
+    section: "A",
+    category: "Simple Data Structures",
+    subcategory: "Arrays",
+    points_possible: 2,
+    question_text: questionText,
+    answer_text: ["4", "3"],
+    answer_correctness: [1, 0],
+    answer_rank: [0, 0],
+    answer_placement: ["", ""],
+  });
+
+  const editQuestion = (questionId, token, questionText) => request(app)
+    .put(`/api/admin/problems/${questionId}`)
+    .set("Authorization", `Bearer ${token}`)
+    .send(editBody(questionText));
+
+  test("PUT problems/:id - first edit keeps the old content as a baseline version", async () => {
+    const { profId, token } = await insertProf(pool, "versionprof", "version@ucf.edu", 1);
+    const questionId = await insertQuestion("Multiple Choice", [{ text: "3", isCorrect: true }, { text: "4" }], { ownerId: profId });
+    await insertResponse(profId, questionId);
+
+    const res = await editQuestion(questionId, token, "Updated text");
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.version).toBe(2);
+
+    const list = await request(app)
+      .get(`/api/admin/problems/${questionId}/versions`)
+      .set("Authorization", `Bearer ${token}`);
+
+    expect(list.statusCode).toBe(200);
+    expect(list.body.currentVersion).toBe(2);
+    expect(list.body.versions).toEqual([
+      expect.objectContaining({ version: 2, changeType: "edit", editedBy: { id: profId, username: "versionprof" }, responseCount: 0 }),
+      expect.objectContaining({ version: 1, changeType: "baseline", editedBy: null, responseCount: 1 }),
+    ]);
+  });
+
+  test("versions/:version - returns the content as it was", async () => {
+    const { profId, token } = await insertProf(pool, "snapshotprof", "snapshot@ucf.edu", 1);
+    const questionId = await insertQuestion("Multiple Choice", [{ text: "3", isCorrect: true }, { text: "4" }], { ownerId: profId });
+    await editQuestion(questionId, token, "Updated text");
+
+    const res = await request(app)
+      .get(`/api/admin/problems/${questionId}/versions/1`)
+      .set("Authorization", `Bearer ${token}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.snapshot).toMatchObject({ questionText: "Test question", answers: [
+      expect.objectContaining({ text: "3", isCorrect: true }),
+      expect.objectContaining({ text: "4", isCorrect: false }),
+    ] });
+
+    const missing = await request(app)
+      .get(`/api/admin/problems/${questionId}/versions/9`)
+      .set("Authorization", `Bearer ${token}`);
+    expect(missing.statusCode).toBe(404);
+  });
+
+  test("versions/diff - lists changed fields and answers", async () => {
+    const { profId, token } = await insertProf(pool, "diffprof", "diff@ucf.edu", 1);
+    const questionId = await insertQuestion("Multiple Choice", [{ text: "3", isCorrect: true }, { text: "4" }], { ownerId: profId });
+    await editQuestion(questionId, token, "Updated text");
+
+    const res = await request(app)
+      .get(`/api/admin/problems/${questionId}/versions/diff?from=1`)
+      .set("Authorization", `Bearer ${token}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({ from: 1, to: 2 });
+    expect(res.body.diff.changed).toBe(true);
+    expect(res.body.diff.fields).toEqual(expect.arrayContaining([
+      { field: "questionText", from: "Test question", to: "Updated text" },
+    ]));
+    expect(res.body.diff.answers.added).toEqual([expect.objectContaining({ text: "4", isCorrect: true })]);
+  });
+
+  test("rollback - restores old content as a new version and unpublishes", async () => {
+    const { profId, token } = await insertProf(pool, "rollbackprof", "rollback@ucf.edu", 1);
+    const questionId = await insertQuestion("Multiple Choice", [{ text: "3", isCorrect: true }, { text: "4" }], { ownerId: profId });
+    await editQuestion(questionId, token, "Updated text");
+    await pool.query('UPDATE Question SET IS_PUBLISHED = 1 WHERE ID = ?', [questionId]);
+
+    const res = await request(app)
+      .post(`/api/admin/problems/${questionId}/rollback`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ version: 1 });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.version).toBe(3);
+
+    const [[question]] = await pool.query('SELECT QUESTION_TEXT, IS_PUBLISHED, CURRENT_VERSION FROM Question WHERE ID = ?', [questionId]);
+    expect(question).toEqual({ QUESTION_TEXT: "Test question", IS_PUBLISHED: 0, CURRENT_VERSION: 3 });
+    const [answers] = await pool.query('SELECT `TEXT` FROM AnswerText WHERE QUESTION_ID = ? AND IS_CORRECT_ANSWER = 1', [questionId]);
+    expect(answers).toEqual([{ TEXT: "3" }]);
+    const [[version]] = await pool.query('SELECT CHANGE_TYPE, SOURCE_VERSION FROM QuestionVersion WHERE QUESTION_ID = ? AND VERSION = 3', [questionId]);
+    expect(version).toEqual({ CHANGE_TYPE: "rollback", SOURCE_VERSION: 1 });
+
+    const again = await request(app)
+      .post(`/api/admin/problems/${questionId}/rollback`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ version: 3 });
+    expect(again.statusCode).toBe(400);
+  });
+
+  test("versions - professor cannot view or roll back another professor's question", async () => {
+    const { profId } = await insertProf(pool, "versionowner", "versionowner@ucf.edu", 1);
+    const { token: otherToken } = await insertProf(pool, "versionother", "versionother@ucf.edu", 1);
+    const questionId = await insertQuestion("Multiple Choice", [{ text: "3", isCorrect: true }, { text: "4" }], { ownerId: profId });
+
+    const list = await request(app)
+      .get(`/api/admin/problems/${questionId}/versions`)
+      .set("Authorization", `Bearer ${otherToken}`);
+    const rollback = await request(app)
+      .post(`/api/admin/problems/${questionId}/rollback`)
+      .set("Authorization", `Bearer ${otherToken}`)
+      .send({ version: 1 });
+
+    expect(list.statusCode).toBe(403);
+    expect(rollback.statusCode).toBe(403);
+  });
+});
+
+describe("Admin Routes - Review Workflow", () => {
+
+  const review = (questionId, token, action, comment) => request(app)
+    .post(`/api/admin/problems/${questionId}/review`)
+    .set("Authorization", `Bearer ${token}`)
+    .send({ action, comment });
+
+  test("review - draft goes through review to published and retired", async () => {
+    const { profId, token } = await insertProf(pool, "authorprof", "author@ucf.edu", 1);
+    const { token: reviewerToken } = await insertProf(pool, "reviewerprof", "reviewer@ucf.edu", 1);
+    const questionId = await insertQuestion("Multiple Choice", [{ text: "3", isCorrect: true }, { text: "4" }], { isPublished: false, ownerId: profId });
+
+    expect((await review(questionId, token, "submit")).body.status).toBe("in_review");
+
+    const changes = await review(questionId, reviewerToken, "request_changes", "Add a distractor");
+    expect(changes.body.status).toBe("changes_requested");
+
+    expect((await review(questionId, token, "submit")).statusCode).toBe(200);
+    expect((await review(questionId, reviewerToken, "approve")).body.status).toBe("approved");
+    expect((await review(questionId, token, "publish")).body.status).toBe("published");
+
+    const [[published]] = await pool.query('SELECT IS_PUBLISHED, REVIEW_STATUS FROM Question WHERE ID = ?', [questionId]);
+    expect(published).toEqual({ IS_PUBLISHED: 1, REVIEW_STATUS: "published" });
+    expect(notifyUserEvent).toHaveBeenCalledWith(expect.stringContaining(`Question ID ${questionId} approved by professor`));
+
+    expect((await review(questionId, token, "retire")).body.status).toBe("retired");
+    const [[retired]] = await pool.query('SELECT IS_PUBLISHED FROM Question WHERE ID = ?', [questionId]);
+    expect(retired.IS_PUBLISHED).toBe(0);
+
+    const thread = await request(app)
+      .get(`/api/admin/problems/${questionId}/review`)
+      .set("Authorization", `Bearer ${token}`);
+    expect(thread.statusCode).toBe(200);
+    expect(thread.body.status).toBe("retired");
+    expect(thread.body.availableActions).toEqual(["reopen"]);
+    expect(thread.body.thread.map(event => event.action))
+      .toEqual(["submit", "request_changes", "submit", "approve", "publish", "retire"]);
+    expect(thread.body.thread[1]).toMatchObject({ comment: "Add a distractor", actor: { username: "reviewerprof" } });
+  });
+
+  test("review - professors can't review their own questions", async () => {
+    const { profId, token } = await insertProf(pool, "selfreviewprof", "selfreview@ucf.edu", 1);
+    const questionId = await insertQuestion("MCQ", [], { isPublished: false, ownerId: profId });
+    await review(questionId, token, "submit");
+
+    const res = await review(questionId, token, "approve");
+
+    expect(res.statusCode).toBe(403);
+  });
+
+  test("review - requesting changes needs a comment", async () => {
+    const { profId, token } = await insertProf(pool, "nocommentprof", "nocomment@ucf.edu", 1);
+    const { token: reviewerToken } = await insertProf(pool, "nocommentreviewer", "nocommentreviewer@ucf.edu", 1);
+    const questionId = await insertQuestion("MCQ", [], { isPublished: false, ownerId: profId });
+    await review(questionId, token, "submit");
+
+    const res = await review(questionId, reviewerToken, "request_changes", "  ");
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe("A comment is required");
+  });
+
+  test("review - editing sends the question back to draft", async () => {
+    const { profId, token } = await insertProf(pool, "editreviewprof", "editreview@ucf.edu", 1);
+    const { token: reviewerToken } = await insertProf(pool, "editreviewer", "editreviewer@ucf.edu", 1);
+    const questionId = await insertQuestion("Multiple Choice", [{ text: "3", isCorrect: true }, { text: "4" }], { isPublished: false, ownerId: profId });
+    await review(questionId, token, "submit");
+    await review(questionId, reviewerToken, "approve");
+
+    await request(app)
+      .put(`/api/admin/problems/${questionId}`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({
+        type: "Multiple Choice",
+        author_exam_id: "KnightWise",
+        section: "A",
+        category: "Simple Data Structures",
+        subcategory: "Arrays",
+        points_possible: 2,
+        question_text: "Changed after approval",
+        answer_text: ["3", "4"],
+        answer_correctness: [1, 0],
+        answer_rank: [0, 0],
+        answer_placement: ["", ""],
+      });
+
+    const [[question]] = await pool.query('SELECT REVIEW_STATUS FROM Question WHERE ID = ?', [questionId]);
+    expect(question.REVIEW_STATUS).toBe("draft");
+    const publish = await review(questionId, token, "publish");
+    expect(publish.statusCode).toBe(400);
+  });
+
+  test("reviews - queue shows other professors' submissions only", async () => {
+    const { profId, token } = await insertProf(pool, "queueprof", "queue@ucf.edu", 1);
+    const { profId: otherId, token: otherToken } = await insertProf(pool, "queueother", "queueother@ucf.edu", 1);
+    const ownId = await insertQuestion("MCQ", [], { isPublished: false, ownerId: profId });
+    const otherQuestionId = await insertQuestion("MCQ", [], { isPublished: false, ownerId: otherId });
+    await review(ownId, token, "submit");
+    await review(otherQuestionId, otherToken, "submit");
+
+    const res = await request(app)
+      .get("/api/admin/reviews")
+      .set("Authorization", `Bearer ${token}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.questions.map(question => question.ID)).toEqual([otherQuestionId]);
+    expect(res.body.questions[0].OWNER_USERNAME).toBe("queueother");
+  });
+
+  test("review comments - reviewers reply in threads, drafts stay private", async () => {
+    const { profId, token } = await insertProf(pool, "threadprof", "thread@ucf.edu", 1);
+    const { token: reviewerToken } = await insertProf(pool, "threadreviewer", "threadreviewer@ucf.edu", 1);
+    const questionId = await insertQuestion("MCQ", [], { isPublished: false, ownerId: profId });
+
+    const hidden = await request(app)
+      .post(`/api/admin/problems/${questionId}/review/comments`)
+      .set("Authorization", `Bearer ${reviewerToken}`)
+      .send({ comment: "Can I see this?" });
+    expect(hidden.statusCode).toBe(403);
+
+    await review(questionId, token, "submit", "Ready for a look");
+    const thread = await request(app)
+      .get(`/api/admin/problems/${questionId}/review`)
+      .set("Authorization", `Bearer ${reviewerToken}`);
+    const submitId = thread.body.thread[0].id;
+
+    const reply = await request(app)
+      .post(`/api/admin/problems/${questionId}/review/comments`)
+      .set("Authorization", `Bearer ${reviewerToken}`)
+      .send({ comment: "Looks close", parentId: submitId });
+    expect(reply.statusCode).toBe(201);
+
+    const updated = await request(app)
+      .get(`/api/admin/problems/${questionId}/review`)
+      .set("Authorization", `Bearer ${token}`);
+    expect(updated.body.thread).toHaveLength(1);
+    expect(updated.body.thread[0]).toMatchObject({
+      comment: "Ready for a look",
+      replies: [expect.objectContaining({ action: "comment", comment: "Looks close" })],
+    });
+  });
+});
+
+describe("Admin Routes - Preview Grading", () => {
+
+  test("preview-grade - grades a sample answer without saving a response", async () => {
+    const { profId, token } = await insertProf(pool, "previewprof", "preview@ucf.edu", 1);
+    const questionId = await insertQuestion("Multiple Choice", [{ text: "3", isCorrect: true }, { text: "4" }], { isPublished: false, ownerId: profId });
+
+    const res = await request(app)
+      .post(`/api/admin/problems/${questionId}/preview-grade`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ answer: "3" });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({ questionId, isCorrect: true, normalizedScore: 1 });
+    expect(res.body.pointsEarned).toBe(res.body.pointsPossible);
+    expect(typeof res.body.feedback).toBe("string");
+
+    const [[{ total }]] = await pool.query('SELECT COUNT(*) AS total FROM Response WHERE PROBLEM_ID = ?', [questionId]);
+    expect(total).toBe(0);
+  });
+
+  test("preview-grade - other professors can't preview a draft", async () => {
+    const { profId } = await insertProf(pool, "previewowner", "previewowner@ucf.edu", 1);
+    const { token: otherToken } = await insertProf(pool, "previewother", "previewother@ucf.edu", 1);
+    const questionId = await insertQuestion("Multiple Choice", [{ text: "3", isCorrect: true }], { isPublished: false, ownerId: profId });
+
+    const res = await request(app)
+      .post(`/api/admin/problems/${questionId}/preview-grade`)
+      .set("Authorization", `Bearer ${otherToken}`)
+      .send({ answer: "3" });
+
+    expect(res.statusCode).toBe(403);
+  });
+});
+
+describe("Admin Routes - Question Validation", () => {
+
+  const questionBody = (type, answers) => ({
+    type,
+    author_exam_id: "KnightWise",
+    section: "A",
+    category: "Simple Data Structures",
+    subcategory: "Arrays",
+    points_possible: 2,
+    question_text: "Validated question",
+    is_published: 0,
+    answer_text: answers.map(answer => answer.text),
+    answer_correctness: answers.map(answer => (answer.isCorrect ? 1 : 0)),
+    answer_rank: answers.map((answer, index) => index + 1),
+    answer_placement: answers.map(answer => answer.placement ?? ""),
+  });
+
+  test("createquestion - rejects a Multiple Choice question with no correct answer", async () => {
+    const { token } = await insertProf(pool, "invalidmcprof", "invalidmc@ucf.edu", 1);
+
+    const res = await request(app)
+      .post("/api/admin/createquestion")
+      .set("Authorization", `Bearer ${token}`)
+      .send(questionBody("Multiple Choice", [{ text: "3" }, { text: "4" }]));
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.errors).toEqual([
+      { field: "answers", message: "Multiple Choice needs exactly 1 correct answer, found 0", blocksGrading: true },
+    ]);
+    const [[{ total }]] = await pool.query("SELECT COUNT(*) AS total FROM Question WHERE QUESTION_TEXT = 'Validated question'");
+    expect(total).toBe(0);
+  });
+
+  test("PUT problems/:id - rejects Drag and Drop items with no placement", async () => {
+    const { profId, token } = await insertProf(pool, "invaliddndprof", "invaliddnd@ucf.edu", 1);
+    const questionId = await insertQuestion("Drag and Drop", [{ text: "int", isCorrect: true, placement: "Types" }], { ownerId: profId });
+
+    const res = await request(app)
+      .put(`/api/admin/problems/${questionId}`)
+      .set("Authorization", `Bearer ${token}`)
+      .send(questionBody("Drag and Drop", [{ text: "int", isCorrect: true, placement: "Types" }, { text: "for", isCorrect: true }]));
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.errors.map(error => error.field)).toEqual(["answers[1].placement"]);
+  });
+
+  test("consistency scan - lists the professor's invalid questions", async () => {
+    const { profId, token } = await insertProf(pool, "scanprof", "scan@ucf.edu", 1);
+    const { profId: otherId } = await insertProf(pool, "scanother", "scanother@ucf.edu", 1);
+    await insertQuestion("Multiple Choice", [{ text: "3", isCorrect: true }, { text: "4" }], { ownerId: profId });
+    const brokenId = await insertQuestion("Ranked Choice", [{ text: "a", rank: 1, isCorrect: true }, { text: "b", rank: 1, isCorrect: true }], { ownerId: profId });
+    await insertQuestion("Fill in the Blanks", [], { ownerId: otherId });
+
+    const res = await request(app)
+      .get("/api/admin/questions/consistency")
+      .set("Authorization", `Bearer ${token}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({ scanned: 2, invalid: 1, ungradable: 0 });
+    expect(res.body.questions[0]).toMatchObject({
+      questionId: brokenId,
+      blocksGrading: false,
+      errors: [expect.objectContaining({ message: "Ranked Choice ranks must all be different" })],
+    });
+  });
+});
@@ -0,0 +1,89 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          questionAssetUtils.test.js
+//  Description:   Unit tests for checking, naming and storing
+//                 images uploaded for question text.
+//
+//  Dependencies:  questionAssetUtils
+//                 fs, os, path
+//
+////////////////////////////////////////////////////////////////
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  detectImageType,
+  toAssetFileName,
+  isAssetFileName,
+  toAssetUrl,
+  writeAssetFile,
+} = require('../utils/questionAssetUtils');
+
+const PNG  = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0x00, 0x01]);
+const JPEG = Buffer.from([0xFF, 0xD8, 0xFF, 0xE0, 0x00]);
+const WEBP = Buffer.from('RIFF\x10\x00\x00\x00WEBPVP8 ', 'latin1');
+
+describe("Question Asset Utils", () => {
+
+  describe("detectImageType Tests", () => {
+
+    test("should identify allowed images by their leading bytes", () => {
+      expect(detectImageType(PNG).extension).toBe('png');
+      expect(detectImageType(JPEG).extension).toBe('jpg');
+      expect(detectImageType(Buffer.from('GIF89a', 'latin1')).extension).toBe('gif');
+      expect(detectImageType(WEBP).mimeType).toBe('image/webp');
+    });
+
+    test("should reject anything else", () => {
+      expect(detectImageType(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"></svg>'))).toBeNull();
+      expect(detectImageType(Buffer.from('RIFF\x10\x00\x00\x00WAVE', 'latin1'))).toBeNull();
+      expect(detectImageType(Buffer.from([0x89, 0x50]))).toBeNull();
+      expect(detectImageType('not a buffer')).toBeNull();
+    });
+  });
+
+  describe("File name Tests", () => {
+
+    test("should name files by content hash and extension", () => {
+      const fileName = toAssetFileName(PNG, detectImageType(PNG));
+
+      expect(fileName).toMatch(/^[0-9a-f]{64}\.png$/);
+      expect(toAssetFileName(Buffer.from(PNG), detectImageType(PNG))).toBe(fileName);
+      expect(isAssetFileName(fileName)).toBe(true);
+      expect(toAssetUrl(fileName)).toBe(`/api/assets/${fileName}`);
+    });
+
+    test("should only accept stored file names", () => {
+      expect(isAssetFileName('../schema.sql')).toBe(false);
+      expect(isAssetFileName(`${'a'.repeat(64)}.svg`)).toBe(false);
+      expect(isAssetFileName(`${'A'.repeat(64)}.png`)).toBe(false);
+      expect(isAssetFileName(undefined)).toBe(false);
+    });
+  });
+
+  describe("writeAssetFile Tests", () => {
+
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'kw-assets-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test("should write a file once", async () => {
+      const fileName = toAssetFileName(PNG, detectImageType(PNG));
+      const nested = path.join(directory, 'question-assets');
+
+      expect(await writeAssetFile(PNG, fileName, nested)).toBe(true);
+      expect(await writeAssetFile(PNG, fileName, nested)).toBe(false);
+      expect(fs.readFileSync(path.join(nested, fileName))).toEqual(PNG);
+    });
+  });
+});
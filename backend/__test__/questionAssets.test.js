@@ -0,0 +1,127 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          questionAssets.test.js
+//  Description:   Integration tests for question images:
+//                 POST /api/admin/assets,
+//                 GET  /api/assets/:fileName.
+//
+//  Dependencies:  supertest
+//                 mysql2 connection pool (server.js)
+//                 testHelpers
+//                 fs, os, path
+//
+////////////////////////////////////////////////////////////////
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep uploads out of the real asset folder, set before the config is loaded
+const assetDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kw-assets-'));
+process.env.QUESTION_ASSET_DIR = assetDir;
+
+const request = require('supertest');
+const { app, pool } = require('../server');
+const { verifyTestDatabase, getAuthToken, getProfAuthToken } = require('./testHelpers');
+
+// Mock Discord webhook
+jest.mock('../services/discordWebhook', () => ({
+  sendNotification: jest.fn().mockResolvedValue(true),
+  notifyUserEvent: jest.fn().mockResolvedValue(true),
+  notifyError: jest.fn().mockResolvedValue(true),
+}));
+
+const PNG = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0x00, 0x00, 0x00, 0x0D]);
+
+let studentToken;
+let profToken;
+
+/**
+ * Uploads a file as the given user
+ */
+const upload = (token, body, contentType = 'image/png') => request(app)
+  .post('/api/admin/assets')
+  .set('Authorization', `Bearer ${token}`)
+  .set('Content-Type', contentType)
+  .send(body);
+
+beforeAll(async () => {
+  await verifyTestDatabase(pool);
+  await pool.query('DELETE FROM User');
+
+  studentToken = await getAuthToken();
+  profToken    = await getProfAuthToken();
+});
+
+afterEach(async () => {
+  await pool.query('DELETE FROM QuestionAsset');
+});
+
+afterAll(async () => {
+  await pool.query('DELETE FROM User');
+  fs.rmSync(assetDir, { recursive: true, force: true });
+  try
+  {
+    await pool.end();
+  }
+  catch (err)
+  {
+    console.error('Error closing pool in questionAssets.test.js:', err);
+  }
+});
+
+describe('POST /api/admin/assets', () => {
+
+  test('201 - stores an image once and returns its URL', async () => {
+    const first  = await upload(profToken, PNG);
+    const second = await upload(profToken, PNG);
+
+    expect(first.statusCode).toBe(201);
+    expect(first.body).toMatchObject({ mimeType: 'image/png', sizeBytes: PNG.length });
+    expect(first.body.url).toBe(`/api/assets/${first.body.fileName}`);
+    expect(second.body.fileName).toBe(first.body.fileName);
+
+    const [rows] = await pool.query('SELECT * FROM QuestionAsset');
+    expect(rows).toHaveLength(1);
+    expect(fs.existsSync(path.join(assetDir, first.body.fileName))).toBe(true);
+  });
+
+  test('415 - file content must be an allowed image', async () => {
+    const res = await upload(profToken, Buffer.from('<svg onload="alert(1)"></svg>'));
+    expect(res.statusCode).toBe(415);
+  });
+
+  test('400 - no file', async () => {
+    const res = await upload(profToken, '', 'application/json');
+    expect(res.statusCode).toBe(400);
+  });
+
+  test('403 - students cannot upload', async () => {
+    const res = await upload(studentToken, PNG);
+    expect(res.statusCode).toBe(403);
+  });
+});
+
+describe('GET /api/assets/:fileName', () => {
+
+  test('200 - serves an uploaded image without auth', async () => {
+    const { body } = await upload(profToken, PNG);
+
+    const res = await request(app).get(body.url);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toBe('image/png');
+    expect(res.headers['x-content-type-options']).toBe('nosniff');
+  });
+
+  test('404 - unknown or invalid name', async () => {
+    for (const fileName of [`${'0'.repeat(64)}.png`, '..%2Fserver.js'])
+    {
+      const res = await request(app).get(`/api/assets/${fileName}`);
+      expect(res.statusCode).toBe(404);
+    }
+  });
+});
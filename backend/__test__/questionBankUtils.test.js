@@ -0,0 +1,351 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          questionBankUtils.test.js
+//  Description:   Unit tests for question bank import validation
+//                 and the QTI 2.1 and GIFT converters.
+//
+//  Dependencies:  questionBankUtils
+//                 qti, gift question formats
+//                 questionBankConfig
+//
+////////////////////////////////////////////////////////////////
+
+const { normalizeBundleQuestion, validateImportQuestions, readBundle } = require('../utils/questionBankUtils');
+const { toQtiPackage, toQtiItem, fromQti } = require('../services/questionFormats/qti');
+const { toGift, fromGift } = require('../services/questionFormats/gift');
+const { BUNDLE_FORMAT, MAX_IMPORT_QUESTIONS } = require('../config/questionBankConfig');
+
+const base = {
+  section: 'Data Structures',
+  category: 'Trees: Graphs & More',
+  subcategory: 'Binary Search Trees',
+  authorExamId: 'DS-2025-01',
+  pointsPossible: 5,
+};
+
+// One valid question of every type except Programming, which neither QTI nor GIFT can carry
+const sampleQuestions = [
+  { ...base, type: 'Multiple Choice', questionText: 'Which is {balanced} = true?', answers: [
+    { text: 'AVL <tree>', isCorrect: true, rank: null, placement: null },
+    { text: 'Linked list ~ chain', isCorrect: false, rank: null, placement: null },
+  ] },
+  { ...base, type: 'Select All That Apply', questionText: 'Pick the O(log n) operations', answers: [
+    { text: 'Search', isCorrect: true, rank: null, placement: null },
+    { text: 'Insert', isCorrect: true, rank: null, placement: null },
+    { text: 'Print all', isCorrect: false, rank: null, placement: null },
+  ] },
+  { ...base, type: 'Ranked Choice', questionText: 'Order by height', answers: [
+    { text: 'Root', isCorrect: true, rank: 2, placement: null },
+    { text: 'Leaf', isCorrect: true, rank: 1, placement: null },
+  ] },
+  { ...base, type: 'Fill in the Blanks', questionText: 'A tree with n nodes has ___ edges', answers: [
+    { text: 'n-1', isCorrect: true, rank: null, placement: null },
+    { text: 'n - 1', isCorrect: true, rank: null, placement: null },
+  ] },
+  { ...base, type: 'Drag and Drop', questionText: 'Match the traversal', answers: [
+    { text: 'Left, Root, Right', isCorrect: true, rank: null, placement: 'Inorder' },
+    { text: 'Root, Left, Right', isCorrect: true, rank: null, placement: 'Preorder' },
+  ] },
+  { ...base, type: 'Numeric', questionText: 'How many bytes are in a KiB?', answers: [
+    { text: '1024', isCorrect: true, rank: null, placement: null },
+  ] },
+];
+
+// Several blanks, which only the JSON bundle and GIFT keep
+const blanksQuestion = {
+  ...base,
+  type: 'Fill in the Blanks',
+  questionText: 'node.next = [[next]]; [[link]] = node;',
+  blanks: [{ id: 'next', matchMode: 'exact', weight: 1 }, { id: 'link', matchMode: 'case-sensitive', weight: 2 }],
+  answers: [
+    { text: 'head', isCorrect: true, rank: null, placement: null, blank: 'next' },
+    { text: 'head', isCorrect: true, rank: null, placement: null, blank: 'link' },
+  ],
+};
+
+/**
+ * Reduces a converted question to the fields every format keeps
+ */
+const comparable = (question) => ({
+  type: question.type,
+  questionText: question.questionText,
+  answers: question.answers.map(({ text, isCorrect, rank, placement }) => ({ text, isCorrect, rank, placement })),
+});
+
+describe("Question Bank Utils", () => {
+
+  describe("normalizeBundleQuestion Tests", () => {
+
+    test("should accept a valid question of every type", () => {
+      for (const question of sampleQuestions)
+      {
+        expect(normalizeBundleQuestion(question).errors).toEqual([]);
+      }
+    });
+
+    test("should report every missing field", () => {
+      const { errors } = normalizeBundleQuestion({ type: 'Essay', pointsPossible: 0 });
+
+      expect(errors).toEqual(expect.arrayContaining([
+        'Unknown question type "Essay"',
+        'section is required',
+        'category is required',
+        'subcategory is required',
+        'questionText is required',
+        expect.stringContaining('pointsPossible'),
+      ]));
+    });
+
+    test("should fill missing fields from defaults", () => {
+      const { question, errors } = normalizeBundleQuestion(
+        { type: 'Fill in the Blanks', questionText: '2 + 2 = ?', answers: [{ text: '4', isCorrect: true }] },
+        { section: 'Math', category: 'Arithmetic', subcategory: 'Addition', pointsPossible: '2' }
+      );
+
+      expect(errors).toEqual([]);
+      expect(question).toMatchObject({ section: 'Math', category: 'Arithmetic', subcategory: 'Addition', pointsPossible: 2 });
+    });
+
+    test("should keep the explanation, hints and answer rationales", () => {
+      const { question, errors } = normalizeBundleQuestion({
+        ...sampleQuestions[0],
+        explanation: ' Worked solution ',
+        hints: ['Start small', 'Then generalize'],
+        answers: sampleQuestions[0].answers.map((answer, index) => (index === 0 ? { ...answer, rationale: 'Because' } : answer)),
+      });
+
+      expect(errors).toEqual([]);
+      expect(question.explanation).toBe('Worked solution');
+      expect(question.hints).toEqual(['Start small', 'Then generalize']);
+      expect(question.answers[0].rationale).toBe('Because');
+      expect(question.answers[1]).not.toHaveProperty('rationale');
+      expect(normalizeBundleQuestion({ ...sampleQuestions[0], hints: [''] }).errors).toEqual(['Hint 1 is empty']);
+    });
+
+    test("should keep a template, and check it against the question", () => {
+      const template = { variables: [{ name: 'n', type: 'int', min: 1, max: 9 }] };
+      const templated = { ...base, type: 'Fill in the Blanks', questionText: 'What is {{ n }} + 1?', answers: [{ text: '{{ n + 1 }}', isCorrect: true }] };
+
+      const { question, errors } = normalizeBundleQuestion({ ...templated, template });
+      expect(errors).toEqual([]);
+      expect(question.template).toEqual({ variables: [{ name: 'n', type: 'int', min: 1, max: 9, step: 1 }] });
+      expect(normalizeBundleQuestion(templated).question.template).toBeNull();
+
+      expect(normalizeBundleQuestion({ ...templated, questionText: '{{ m }}', template }).errors)
+        .toEqual([expect.stringMatching(/^template: \{\{ m \}\}: Unknown variable "m"/)]);
+      expect(normalizeBundleQuestion({ ...templated, template: { variables: 'n' } }).errors)
+        .toEqual(['template: template must be an object with a variables list']);
+    });
+
+    test("should apply the grader rules for each type", () => {
+      const check = (question) => normalizeBundleQuestion({ ...base, questionText: 'Q', ...question }).errors;
+
+      expect(check({ type: 'Multiple Choice', answers: [{ text: 'a', isCorrect: true }, { text: 'b', isCorrect: true }] }))
+        .toEqual(['Multiple Choice needs exactly 1 correct answer, found 2']);
+      expect(check({ type: 'Select All That Apply', answers: [{ text: 'a' }, { text: 'b' }] }))
+        .toEqual(['Select All That Apply needs at least 1 correct answer']);
+      expect(check({ type: 'Ranked Choice', answers: [{ text: 'a', rank: 1 }, { text: 'b', rank: 1 }] }))
+        .toEqual(['Ranked Choice ranks must all be different']);
+      expect(check({ type: 'Drag and Drop', answers: [{ text: 'a', isCorrect: true }] }))
+        .toEqual(['answers[0]: Drag and Drop items need a placement']);
+      expect(check({ type: 'Fill in the Blanks', answers: [{ text: 'a' }], testCases: [{ expectedOutput: '1' }] }))
+        .toEqual(['Only Programming questions can have test cases or code templates', 'Fill in the Blanks needs at least 1 accepted answer']);
+    });
+
+    test("should keep blanks and which blank each answer is for", () => {
+      const { question, errors } = normalizeBundleQuestion(blanksQuestion);
+
+      expect(errors).toEqual([]);
+      expect(question.blanks).toEqual(blanksQuestion.blanks);
+      expect(question.answers.map(answer => answer.blank)).toEqual(['next', 'link']);
+      expect(normalizeBundleQuestion({ ...blanksQuestion, answers: blanksQuestion.answers.slice(0, 1) }).errors)
+        .toEqual(['blanks[1]: blank "link" needs at least 1 accepted answer']);
+    });
+
+    test("should keep the grading policy and check it", () => {
+      const gradingPolicy = { scoring: 'negative', penalty: 0.5, fuzzyThreshold: null, rankingMetric: null };
+      const { question, errors } = normalizeBundleQuestion({ ...blanksQuestion, gradingPolicy });
+
+      expect(errors).toEqual([]);
+      expect(question.gradingPolicy).toEqual(gradingPolicy);
+      expect(normalizeBundleQuestion({ ...blanksQuestion, gradingPolicy: { rankingMetric: 'spearman' } }).errors)
+        .toEqual(['only Ranked Choice questions have a ranking metric']);
+    });
+
+    test("should check programming test cases and templates", () => {
+      const { errors } = normalizeBundleQuestion({
+        ...base,
+        type: 'Programming',
+        questionText: 'Print the sum',
+        testCases: [
+          { input: '1 2', expectedOutput: '(3', isHidden: true, comparisonMode: 'regex' },
+          { input: '2 2', isHidden: true, weight: 0, comparisonMode: 'fuzzy' },
+        ],
+        codeTemplates: [{ languageId: 71, harness: 'print(solve())' }],
+      });
+
+      expect(errors).toEqual(expect.arrayContaining([
+        expect.stringMatching(/^codeTemplates: /),
+        'Programming needs at least 1 sample (not hidden) test case for test runs',
+        expect.stringMatching(/^testCases\[0\]: invalid regex/),
+        'testCases[1]: expectedOutput is required',
+        expect.stringMatching(/^testCases\[1\]: weight/),
+        'testCases[1]: unknown comparisonMode "fuzzy"',
+      ]));
+    });
+  });
+
+  describe("validateImportQuestions Tests", () => {
+
+    test("should report errors by row and keep the valid questions", () => {
+      const { questions, rowErrors } = validateImportQuestions([
+        sampleQuestions[0],
+        { ...sampleQuestions[1], questionText: '' },
+        { conversionError: 'Unclosed ::title::' },
+      ]);
+
+      expect(questions).toHaveLength(1);
+      expect(rowErrors).toEqual([
+        { index: 1, errors: ['questionText is required'] },
+        { index: 2, errors: ['Unclosed ::title::'] },
+      ]);
+    });
+
+    test("should reject empty and oversized imports", () => {
+      expect(() => validateImportQuestions([])).toThrow(expect.objectContaining({ statusCode: 400 }));
+      expect(() => validateImportQuestions(new Array(MAX_IMPORT_QUESTIONS + 1).fill(sampleQuestions[0])))
+        .toThrow(expect.objectContaining({ statusCode: 400 }));
+    });
+
+    test("should only read bundles of a known format and version", () => {
+      expect(readBundle({ format: BUNDLE_FORMAT, version: 1, questions: sampleQuestions })).toBe(sampleQuestions);
+      expect(() => readBundle({ questions: [] })).toThrow(expect.objectContaining({ statusCode: 400 }));
+      expect(() => readBundle({ format: BUNDLE_FORMAT, version: 99, questions: [] })).toThrow(expect.objectContaining({ statusCode: 400 }));
+    });
+  });
+
+  describe("QTI Tests", () => {
+
+    test("should round trip every type through a QTI package", () => {
+      const imported = fromQti(toQtiPackage(sampleQuestions));
+      const { questions, rowErrors } = validateImportQuestions(imported);
+
+      expect(rowErrors).toEqual([]);
+      expect(questions.map(comparable)).toEqual(sampleQuestions.map(comparable));
+      expect(questions[0]).toMatchObject({ section: base.section, category: base.category, subcategory: base.subcategory, pointsPossible: 5 });
+    });
+
+    test("should read a single item file", () => {
+      const xml = toQtiItem(sampleQuestions[0], 'item1');
+
+      const [imported] = fromQti(Buffer.from(xml));
+
+      expect(comparable(normalizeBundleQuestion(imported).question)).toEqual(comparable(sampleQuestions[0]));
+    });
+
+    test("should write one text entry per blank", () => {
+      const xml = toQtiItem(blanksQuestion, 'item1');
+
+      expect(xml).toContain('<responseDeclaration identifier="RESPONSE_next"');
+      expect(xml).toContain('<responseDeclaration identifier="RESPONSE_link"');
+      expect(xml).toContain('<textEntryInteraction responseIdentifier="RESPONSE_link"');
+      expect(xml).not.toContain('[[');
+    });
+
+    test("should report items it can't read by row", () => {
+      expect(fromQti(Buffer.from('<assessmentItem><itemBody>'))[0].conversionError).toMatch(/invalid XML/);
+      expect(fromQti(Buffer.from('<assessmentItem><itemBody><p>Hi</p></itemBody></assessmentItem>'))[0].conversionError)
+        .toMatch(/No supported QTI interaction/);
+    });
+  });
+
+  describe("GIFT Tests", () => {
+
+    test("should round trip every type through GIFT", () => {
+      const { questions, rowErrors } = validateImportQuestions(fromGift(toGift(sampleQuestions)));
+
+      expect(rowErrors).toEqual([]);
+      expect(questions.map(comparable)).toEqual(sampleQuestions.map(comparable));
+      expect(questions[0]).toMatchObject({ ...base });
+    });
+
+    test("should keep blanks in the metadata", () => {
+      const { questions, rowErrors } = validateImportQuestions(fromGift(toGift([blanksQuestion])));
+
+      expect(rowErrors).toEqual([]);
+      expect(questions[0].blanks).toEqual(blanksQuestion.blanks);
+      expect(questions[0].answers.map(answer => answer.blank)).toEqual(['next', 'link']);
+      expect(questions[0]).not.toHaveProperty('answerBlanks');
+    });
+
+    test("should keep the grading policy in the metadata", () => {
+      const gradingPolicy = { scoring: 'all-or-nothing', penalty: null, fuzzyThreshold: 0.8, rankingMetric: null };
+      const { questions, rowErrors } = validateImportQuestions(fromGift(toGift([{ ...blanksQuestion, gradingPolicy }])));
+
+      expect(rowErrors).toEqual([]);
+      expect(questions[0].gradingPolicy).toEqual(gradingPolicy);
+    });
+
+    test("should read plain Moodle GIFT without KnightWise metadata", () => {
+      const imported = fromGift([
+        '$CATEGORY: $course$/Algorithms/Sorting',
+        '// Exported from Moodle',
+        '::Q1::[html]<p>Is 2 &lt; 3?</p>{T}',
+        '',
+        '::Q2:: Quicksort is {=divide and conquer =divide-and-conquer#Right!}.',
+        '',
+        '::Q3:: 1 + 1 = {#2}',
+      ].join('\n'));
+
+      expect(imported[0]).toMatchObject({
+        type: 'Multiple Choice',
+        category: 'Algorithms',
+        subcategory: 'Sorting',
+        questionText: 'Is 2 < 3?',
+        answers: [{ text: 'True', isCorrect: true }, { text: 'False', isCorrect: false }],
+      });
+      expect(imported[1]).toMatchObject({
+        type: 'Fill in the Blanks',
+        questionText: 'Quicksort is _____ .',
+        answers: [{ text: 'divide and conquer', isCorrect: true }, { text: 'divide-and-conquer', isCorrect: true }],
+      });
+      expect(imported[2]).toMatchObject({
+        type: 'Numeric',
+        answers: [{ text: '2', isCorrect: true }],
+        numericSettings: { tolerance: 0, toleranceType: 'absolute', unit: null, creditBands: [] },
+      });
+    });
+
+    test("should read GIFT numerical answers as Numeric settings", () => {
+      const [range, bands, unreadable] = fromGift([
+        '::R:: Pick a number {#5..7}',
+        '',
+        '::B:: Pi {#=3.14:0.01#Yes =%50%3.14:0.1 =%25%22:1}',
+        '',
+        '::X:: Huh {#=%50%3:1}',
+      ].join('\n'));
+
+      expect(range).toMatchObject({ answers: [{ text: '6', isCorrect: true }], numericSettings: { tolerance: 1 } });
+      expect(bands.numericSettings).toEqual({
+        tolerance:     0.01,
+        toleranceType: 'absolute',
+        unit:          null,
+        creditBands:   [{ tolerance: 0.1, credit: 0.5 }],
+      });
+      expect(unreadable.conversionError).toBe('Numeric GIFT question has no full credit answer');
+    });
+
+    test("should write relative tolerances as absolute and keep the settings in the metadata", () => {
+      const numericSettings = { tolerance: 0.01, toleranceType: 'relative', unit: 'bytes', creditBands: [{ tolerance: 0.1, credit: 0.5 }] };
+      const gift = toGift([{ ...sampleQuestions[5], numericSettings }]);
+
+      expect(gift).toContain('{#\n\t=1024:10.24\n\t=%50%1024:102.4\n}');
+      const { questions, rowErrors } = validateImportQuestions(fromGift(gift));
+      expect(rowErrors).toEqual([]);
+      expect(questions[0].numericSettings).toEqual(numericSettings);
+    });
+  });
+});
@@ -0,0 +1,99 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          questionHintUtils.test.js
+//  Description:   Unit tests for validating explanations, hints
+//                 and answer rationales, and for the hint penalty.
+//
+//  Dependencies:  questionHintUtils
+//                 questionHintConfig
+//                 currencyConfig
+//
+////////////////////////////////////////////////////////////////
+
+const {
+  readExplanation,
+  readHints,
+  parseHints,
+  parseRationales,
+  getHintPenalty,
+  applyHintPenalty,
+} = require('../utils/questionHintUtils');
+const { MAX_HINTS_PER_QUESTION, MAX_EXPLANATION_LENGTH } = require('../config/questionHintConfig');
+const { HINT_PENALTY_SHARE } = require('../../shared/currencyConfig');
+
+describe("Question Hint Utils", () => {
+
+  describe("readExplanation Tests", () => {
+
+    test("should trim, and treat blank or missing as none", () => {
+      expect(readExplanation('  Use the recurrence.  ')).toEqual({ explanation: 'Use the recurrence.', errors: [] });
+      expect(readExplanation('   ')).toEqual({ explanation: null, errors: [] });
+      expect(readExplanation(undefined)).toEqual({ explanation: null, errors: [] });
+    });
+
+    test("should report non-text and overly long explanations", () => {
+      expect(readExplanation(42).errors).toEqual(['explanation must be text']);
+      expect(readExplanation('x'.repeat(MAX_EXPLANATION_LENGTH + 1)).errors).toHaveLength(1);
+    });
+  });
+
+  describe("readHints Tests", () => {
+
+    test("should keep hints in order, trimmed", () => {
+      expect(readHints([' First ', 'Second'])).toEqual({ hints: ['First', 'Second'], errors: [] });
+      expect(readHints(null)).toEqual({ hints: [], errors: [] });
+    });
+
+    test("should report empty hints, non-arrays and too many hints", () => {
+      expect(readHints('hint').errors).toEqual(['hints must be an array']);
+      expect(readHints(['ok', '  ', 7]).errors).toEqual(['Hint 2 is empty', 'Hint 3 is empty']);
+
+      const tooMany = Array.from({ length: MAX_HINTS_PER_QUESTION + 1 }, (_, index) => `Hint ${index}`);
+      expect(readHints(tooMany).errors).toEqual([`A question can have at most ${MAX_HINTS_PER_QUESTION} hints`]);
+    });
+
+    test("parseHints should throw a 400 with the reasons", () => {
+      expect(() => parseHints([''], 'test')).toThrow(expect.objectContaining({ statusCode: 400 }));
+    });
+  });
+
+  describe("parseRationales Tests", () => {
+
+    test("should return null when not sent", () => {
+      expect(parseRationales(undefined, 3, 'test')).toBeNull();
+    });
+
+    test("should return one rationale per answer, blank as null", () => {
+      expect(parseRationales(['Off by one', '', null], 3, 'test')).toEqual(['Off by one', null, null]);
+    });
+
+    test("should throw a 400 when the list doesn't match the answers", () => {
+      expect(() => parseRationales(['a'], 2, 'test')).toThrow(expect.objectContaining({ statusCode: 400 }));
+      expect(() => parseRationales('a', 1, 'test')).toThrow(expect.objectContaining({ statusCode: 400 }));
+      expect(() => parseRationales([5], 1, 'test')).toThrow(expect.objectContaining({ statusCode: 400 }));
+    });
+  });
+
+  describe("Hint Penalty Tests", () => {
+
+    test("should take HINT_PENALTY_SHARE off per hint", () => {
+      expect(getHintPenalty(0)).toBe(0);
+      expect(getHintPenalty(1)).toBeCloseTo(HINT_PENALTY_SHARE);
+      expect(applyHintPenalty(4, 0)).toBe(4);
+      expect(applyHintPenalty(4, 1)).toBeCloseTo(4 * (1 - HINT_PENALTY_SHARE));
+    });
+
+    test("should never go below 0 points", () => {
+      const allPoints = Math.ceil(1 / HINT_PENALTY_SHARE);
+      expect(getHintPenalty(allPoints + 3)).toBe(1);
+      expect(applyHintPenalty(3, allPoints + 3)).toBe(0);
+    });
+
+    test("should round to hundredths for Response.POINTS_EARNED", () => {
+      expect(applyHintPenalty(1.33, 1)).toBe(Math.round(1.33 * (1 - HINT_PENALTY_SHARE) * 100) / 100);
+    });
+  });
+});
@@ -0,0 +1,185 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          questionHints.test.js
+//  Description:   Integration tests for explanations, hints and
+//                 answer rationales:
+//                 GET  /api/test/questions/:id/hints,
+//                 POST /api/test/questions/:id/hints,
+//                 feedback and hint penalty on POST /api/test/submit.
+//
+//  Dependencies:  supertest
+//                 jsonwebtoken
+//                 mysql2 connection pool (server.js)
+//                 testHelpers
+//                 currencyConfig
+//
+////////////////////////////////////////////////////////////////
+
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { app, pool } = require('../server');
+const { verifyTestDatabase, getAuthToken, insertQuestion } = require('./testHelpers');
+const { HINT_PENALTY_SHARE } = require('../../shared/currencyConfig');
+
+// Mock Discord webhook
+jest.mock('../services/discordWebhook', () => ({
+  sendNotification: jest.fn().mockResolvedValue(true),
+  notifyUserEvent: jest.fn().mockResolvedValue(true),
+  notifyError: jest.fn().mockResolvedValue(true),
+}));
+
+let studentToken;
+
+/**
+ * Inserts a 4 point Multiple Choice question with an explanation,
+ * two hints and a rationale on the wrong answer
+ */
+const insertHintedQuestion = async (options = {}) => {
+  const questionId = await insertQuestion('Multiple Choice', [
+    { text: 'O(n)', isCorrect: true },
+    { text: 'O(1)', isCorrect: false },
+  ], { points: 4, ...options });
+  await pool.query('UPDATE Question SET EXPLANATION = ? WHERE ID = ?', ['Every element is visited once.', questionId]);
+  await pool.query('UPDATE AnswerText SET RATIONALE = ? WHERE QUESTION_ID = ? AND `TEXT` = ?', ['Only true for indexing.', questionId, 'O(1)']);
+  await pool.query(
+    'INSERT INTO QuestionHint (QUESTION_ID, POSITION, HINT_TEXT) VALUES ?',
+    [[[questionId, 1, 'How many elements are there?'], [questionId, 2, 'Each is checked once.']]]
+  );
+  return questionId;
+};
+
+const revealHint = (questionId) => request(app)
+  .post(`/api/test/questions/${questionId}/hints`)
+  .set('Authorization', `Bearer ${studentToken}`);
+
+const submit = (questionId, userAnswer) => request(app)
+  .post('/api/test/submit')
+  .set('Authorization', `Bearer ${studentToken}`)
+  .send({ problem_id: questionId, userAnswer });
+
+beforeAll(async () => {
+  await verifyTestDatabase(pool);
+  await pool.query('DELETE FROM User');
+
+  studentToken = await getAuthToken();
+});
+
+afterEach(async () => {
+  await pool.query('DELETE FROM Response');
+  await pool.query('DELETE FROM MockTestSession');
+  await pool.query('DELETE FROM AnswerText');
+  await pool.query('DELETE FROM Question');
+});
+
+afterAll(async () => {
+  await pool.query('DELETE FROM User');
+  try
+  {
+    await pool.end();
+  }
+  catch (err)
+  {
+    console.error('Error closing pool in questionHints.test.js:', err);
+  }
+});
+
+describe('Hints /api/test/questions/:id/hints', () => {
+
+  test('reveals hints one at a time, then 409', async () => {
+    const questionId = await insertHintedQuestion();
+
+    const first = await revealHint(questionId);
+    expect(first.statusCode).toBe(201);
+    expect(first.body).toEqual({
+      questionId,
+      hints: ['How many elements are there?'],
+      hintsRevealed: 1,
+      hintsTotal: 2,
+      penaltyPerHint: HINT_PENALTY_SHARE,
+    });
+
+    expect((await revealHint(questionId)).body.hintsRevealed).toBe(2);
+    expect((await revealHint(questionId)).statusCode).toBe(409);
+
+    const state = await request(app)
+      .get(`/api/test/questions/${questionId}/hints`)
+      .set('Authorization', `Bearer ${studentToken}`);
+    expect(state.body.hints).toEqual(['How many elements are there?', 'Each is checked once.']);
+  });
+
+  test('404 for drafts and questions without hints', async () => {
+    const draftId = await insertHintedQuestion({ isPublished: false });
+    const plainId = await insertQuestion('Multiple Choice', [{ text: 'A', isCorrect: true }]);
+
+    expect((await revealHint(draftId)).statusCode).toBe(404);
+    expect((await revealHint(plainId)).statusCode).toBe(404);
+  });
+
+  test('student questions carry only the hint count', async () => {
+    const questionId = await insertHintedQuestion();
+
+    const res = await request(app)
+      .get(`/api/test/questions?ids=${questionId}`)
+      .set('Authorization', `Bearer ${studentToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.questions[0].hintCount).toBe(2);
+    expect(JSON.stringify(res.body)).not.toContain('Each is checked once.');
+  });
+});
+
+describe('POST /api/test/submit feedback', () => {
+
+  test('returns the explanation, hints and rationales', async () => {
+    const questionId = await insertHintedQuestion();
+
+    const res = await submit(questionId, 'O(1)');
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.explanation).toBe('Every element is visited once.');
+    expect(res.body.hints).toEqual(['How many elements are there?', 'Each is checked once.']);
+    expect(res.body.answerRationales).toEqual([
+      { id: expect.any(String), text: 'O(1)', rationale: 'Only true for indexing.' },
+    ]);
+    expect(res.body.hintsUsed).toBe(0);
+  });
+
+  test('409 without feedback for a question in a running mock test', async () => {
+    const questionId = await insertHintedQuestion();
+    await pool.query(
+      `INSERT INTO MockTestSession (USER_ID, QUESTION_IDS, STARTED_AT, DEADLINE)
+       VALUES (?, JSON_ARRAY(?), NOW(), DATE_ADD(NOW(), INTERVAL 1 HOUR))`,
+      [jwt.decode(studentToken).userId, questionId]
+    );
+
+    const res = await submit(questionId, 'O(1)');
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.explanation).toBeUndefined();
+    expect(res.body.hints).toBeUndefined();
+    expect(res.body.answerRationales).toBeUndefined();
+    expect(JSON.stringify(res.body)).not.toContain('Every element is visited once.');
+  });
+
+  test('charges revealed hints once, against points and currency', async () => {
+    const questionId = await insertHintedQuestion();
+    await revealHint(questionId);
+
+    const penalized = await submit(questionId, 'O(n)');
+    expect(penalized.body.isCorrect).toBe(true);
+    expect(penalized.body.hintsUsed).toBe(1);
+    expect(penalized.body.pointsEarned).toBeCloseTo(4 * (1 - HINT_PENALTY_SHARE));
+
+    const [[stored]] = await pool.query('SELECT POINTS_EARNED, HINTS_USED FROM Response WHERE PROBLEM_ID = ? ORDER BY ID LIMIT 1', [questionId]);
+    expect(parseFloat(stored.POINTS_EARNED)).toBeCloseTo(4 * (1 - HINT_PENALTY_SHARE));
+    expect(stored.HINTS_USED).toBe(1);
+
+    // The next attempt starts with no hints revealed
+    const fresh = await submit(questionId, 'O(n)');
+    expect(fresh.body.hintsUsed).toBe(0);
+    expect(fresh.body.pointsEarned).toBe(4);
+  });
+});
@@ -0,0 +1,140 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          questionReviewUtils.test.js
+//  Description:   Unit tests for question review workflow
+//                 permissions, transitions and threads.
+//
+//  Dependencies:  questionReviewUtils
+//
+////////////////////////////////////////////////////////////////
+
+const {
+  getReviewStatus,
+  canViewReview,
+  parseReviewComment,
+  checkTransition,
+  getAvailableActions,
+  buildReviewThread,
+} = require('../utils/questionReviewUtils');
+
+const owner = { id: 1, role: 'professor' };
+const reviewer = { id: 2, role: 'professor' };
+const admin = { role: 'admin' };
+
+const question = (status, isPublished = 0) => ({ ID: 10, OWNER_ID: 1, IS_PUBLISHED: isPublished, REVIEW_STATUS: status });
+
+describe("Question Review Utils", () => {
+
+  describe("getReviewStatus Tests", () => {
+
+    test("should use REVIEW_STATUS for unpublished questions", () => {
+      expect(getReviewStatus(question('changes_requested'))).toBe('changes_requested');
+    });
+
+    test("should treat published questions from before the workflow as published", () => {
+      expect(getReviewStatus(question('draft', 1))).toBe('published');
+    });
+  });
+
+  describe("canViewReview Tests", () => {
+
+    test("should hide drafts from other professors", () => {
+      expect(canViewReview(question('draft'), owner)).toBe(true);
+      expect(canViewReview(question('draft'), reviewer)).toBe(false);
+      expect(canViewReview(question('in_review'), reviewer)).toBe(true);
+    });
+  });
+
+  describe("parseReviewComment Tests", () => {
+
+    test("should trim comments and treat blank ones as missing", () => {
+      expect(parseReviewComment('  Looks good ', false, 'test')).toBe('Looks good');
+      expect(parseReviewComment('   ', false, 'test')).toBeNull();
+      expect(parseReviewComment(undefined, false, 'test')).toBeNull();
+    });
+
+    test("should reject missing required, non-text and overlong comments", () => {
+      expect(() => parseReviewComment('', true, 'test')).toThrow('Missing comment');
+      expect(() => parseReviewComment(5, false, 'test')).toThrow('Comment is not a string');
+      expect(() => parseReviewComment('x'.repeat(2001), false, 'test')).toThrow('2001 characters');
+    });
+  });
+
+  describe("checkTransition Tests", () => {
+
+    test("should let owners submit and reviewers approve", () => {
+      expect(checkTransition(question('draft'), 'submit', owner, 'test').to).toBe('in_review');
+      expect(checkTransition(question('in_review'), 'approve', reviewer, 'test').to).toBe('approved');
+    });
+
+    test("should stop professors approving their own questions", () => {
+      expect(() => checkTransition(question('in_review'), 'approve', owner, 'test'))
+        .toThrow(expect.objectContaining({ statusCode: 403 }));
+    });
+
+    test("should stop other professors submitting or publishing", () => {
+      expect(() => checkTransition(question('approved'), 'publish', reviewer, 'test'))
+        .toThrow(expect.objectContaining({ statusCode: 403 }));
+    });
+
+    test("should reject actions from the wrong status", () => {
+      expect(() => checkTransition(question('draft'), 'publish', owner, 'test'))
+        .toThrow(expect.objectContaining({ statusCode: 400, userMessage: "Can't publish a question that is draft" }));
+      expect(() => checkTransition(question('published', 1), 'publish', owner, 'test'))
+        .toThrow(expect.objectContaining({ statusCode: 400, userMessage: 'Question already published' }));
+    });
+
+    test("should reject unknown actions", () => {
+      expect(() => checkTransition(question('draft'), 'toString', owner, 'test'))
+        .toThrow(expect.objectContaining({ statusCode: 400 }));
+    });
+
+    test("should let admins publish without a review", () => {
+      expect(checkTransition(question('draft'), 'publish', admin, 'test').to).toBe('published');
+    });
+  });
+
+  describe("getAvailableActions Tests", () => {
+
+    test("should list the actions each user can take", () => {
+      expect(getAvailableActions(question('in_review'), owner)).toEqual(['retire', 'withdraw']);
+      expect(getAvailableActions(question('in_review'), reviewer)).toEqual(['request_changes', 'approve']);
+      expect(getAvailableActions(question('published', 1), owner)).toEqual(['retire']);
+    });
+  });
+
+  describe("buildReviewThread Tests", () => {
+
+    const event = (id, action, parentId = null) => ({
+      ID: id,
+      ACTOR_ID: 2,
+      ACTOR_ROLE: 'professor',
+      USERNAME: 'reviewer',
+      ACTION: action,
+      FROM_STATUS: null,
+      TO_STATUS: null,
+      COMMENT: null,
+      PARENT_ID: parentId,
+      QUESTION_VERSION: 1,
+      CREATED_AT: '2026-01-01T00:00:00.000Z',
+    });
+
+    test("should nest replies under their parent in order", () => {
+      const thread = buildReviewThread([
+        event(1, 'submit'),
+        event(2, 'comment', 1),
+        event(3, 'comment'),
+        event(4, 'comment', 2),
+        event(5, 'comment', 1),
+      ]);
+
+      expect(thread.map(node => node.id)).toEqual([1, 3]);
+      expect(thread[0].replies.map(node => node.id)).toEqual([2, 5]);
+      expect(thread[0].replies[0].replies.map(node => node.id)).toEqual([4]);
+      expect(thread[0].actor).toEqual({ id: 2, username: 'reviewer', role: 'professor' });
+    });
+  });
+});
@@ -0,0 +1,224 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          questionSearch.test.js
+//  Description:   Integration tests for question tags and search:
+//                 tags on POST /api/admin/createquestion,
+//                 GET  /api/problems/search,
+//                 GET  /api/test/questions.
+//
+//  Dependencies:  supertest
+//                 jsonwebtoken
+//                 mysql2 connection pool (server.js)
+//                 testHelpers
+//
+////////////////////////////////////////////////////////////////
+
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { app, pool } = require('../server');
+const {
+  verifyTestDatabase,
+  getAuthToken,
+  getProfAuthToken,
+  insertQuestion,
+} = require('./testHelpers');
+
+// Mock Discord webhook
+jest.mock('../services/discordWebhook', () => ({
+  sendNotification: jest.fn().mockResolvedValue(true),
+  notifyUserEvent: jest.fn().mockResolvedValue(true),
+  notifyError: jest.fn().mockResolvedValue(true),
+}));
+
+let studentToken;
+let profToken;
+let profId;
+
+/**
+ * Inserts a question with its text and tags
+ */
+const insertTaggedQuestion = async (text, tags, options = {}) => {
+  const questionId = await insertQuestion('Multiple Choice', [{ text: 'A', isCorrect: true }], options);
+  await pool.query('UPDATE Question SET QUESTION_TEXT = ? WHERE ID = ?', [text, questionId]);
+  for (const tag of tags)
+  {
+    await pool.query('INSERT INTO QuestionTag (QUESTION_ID, TAG) VALUES (?, ?)', [questionId, tag]);
+  }
+  return questionId;
+};
+
+/**
+ * Searches as the given user
+ */
+const search = (token, query = '') => request(app)
+  .get(`/api/problems/search${query}`)
+  .set('Authorization', `Bearer ${token}`);
+
+beforeAll(async () => {
+  await verifyTestDatabase(pool);
+  await pool.query('DELETE FROM User');
+
+  studentToken = await getAuthToken();
+  profToken    = await getProfAuthToken();
+  profId       = jwt.decode(profToken).userId;
+});
+
+afterEach(async () => {
+  await pool.query('DELETE FROM AnswerText');
+  await pool.query('DELETE FROM Question');
+});
+
+afterAll(async () => {
+  await pool.query('DELETE FROM User');
+  try
+  {
+    await pool.end();
+  }
+  catch (err)
+  {
+    console.error('Error closing pool in questionSearch.test.js:', err);
+  }
+});
+
+describe('GET /api/problems/search', () => {
+
+  test('401 - requires auth', async () => {
+    const res = await request(app).get('/api/problems/search');
+    expect(res.statusCode).toBe(401);
+  });
+
+  test('200 - students only find published questions, without review status', async () => {
+    const publishedId = await insertTaggedQuestion('Reverse a linked list', ['pointers']);
+    await insertTaggedQuestion('Reverse a linked list draft', ['pointers'], { isPublished: false });
+
+    const res = await search(studentToken, '?tag=Pointers');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.questions.map(question => question.ID)).toEqual([publishedId]);
+    expect(res.body.questions[0]).toMatchObject({ tags: ['pointers'] });
+    expect(res.body.questions[0]).not.toHaveProperty('REVIEW_STATUS');
+    expect(res.body.questions[0]).not.toHaveProperty('answers');
+    expect(res.body.pagination).toMatchObject({ page: 1, totalQuestions: 1, totalPages: 1 });
+  });
+
+  test('200 - professors also find their own drafts', async () => {
+    const ownDraftId = await insertTaggedQuestion('Own draft', ['heaps'], { isPublished: false, ownerId: profId });
+    await insertTaggedQuestion('Someone else\'s draft', ['heaps'], { isPublished: false });
+
+    const res = await search(profToken, '?tag=heaps&state=draft');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.questions.map(question => question.ID)).toEqual([ownDraftId]);
+    expect(res.body.questions[0].REVIEW_STATUS).toBe('draft');
+  });
+
+  test('200 - questions must have every tag searched for', async () => {
+    const bothId = await insertTaggedQuestion('Both tags', ['recursion', 'trees']);
+    await insertTaggedQuestion('One tag', ['recursion']);
+
+    const res = await search(studentToken, '?tag=recursion,trees');
+
+    expect(res.body.questions.map(question => question.ID)).toEqual([bothId]);
+  });
+
+  test('200 - text search matches words in the question text', async () => {
+    const matchId = await insertTaggedQuestion('What is the height of a balanced binary tree?', []);
+    await insertTaggedQuestion('Which sort is stable?', []);
+
+    const res = await search(studentToken, '?q=binary%20tre');
+
+    expect(res.body.questions.map(question => question.ID)).toEqual([matchId]);
+  });
+
+  test('403 - students cannot search drafts', async () => {
+    const res = await search(studentToken, '?state=draft');
+    expect(res.statusCode).toBe(403);
+  });
+
+  test('400 - unknown type', async () => {
+    const res = await search(studentToken, '?type=Essay');
+    expect(res.statusCode).toBe(400);
+  });
+});
+
+describe('Question tags on create', () => {
+
+  test('201 - tags are stored lowercased and returned with the question', async () => {
+    const res = await request(app)
+      .post('/api/admin/createquestion')
+      .set('Authorization', `Bearer ${profToken}`)
+      .send({
+        type: 'Multiple Choice',
+        author_exam_id: 'KnightWise',
+        section: 'A',
+        category: 'Introductory Programming',
+        subcategory: 'Arrays',
+        points_possible: 1,
+        question_text: 'Which index is first?',
+        is_published: false,
+        answer_text: ['0', '1'],
+        answer_correctness: [1, 0],
+        answer_rank: [null, null],
+        answer_placement: [null, null],
+        tags: ['Indexing', 'indexing', 'Zero Based'],
+      });
+    expect(res.statusCode).toBe(201);
+
+    const question = await request(app)
+      .get(`/api/admin/problems/${res.body.questionId}`)
+      .set('Authorization', `Bearer ${profToken}`);
+    expect(question.body.tags).toEqual(['indexing', 'zero based']);
+  });
+
+  test('400 - invalid tag', async () => {
+    const res = await request(app)
+      .post('/api/admin/createquestion')
+      .set('Authorization', `Bearer ${profToken}`)
+      .send({
+        type: 'Multiple Choice',
+        author_exam_id: 'KnightWise',
+        section: 'A',
+        category: 'Introductory Programming',
+        subcategory: 'Arrays',
+        points_possible: 1,
+        question_text: 'Which index is first?',
+        is_published: false,
+        answer_text: ['0', '1'],
+        answer_correctness: [1, 0],
+        answer_rank: [null, null],
+        answer_placement: [null, null],
+        tags: ['no;semicolons'],
+      });
+    expect(res.statusCode).toBe(400);
+  });
+});
+
+describe('GET /api/test/questions', () => {
+
+  test('200 - returns picked published questions in order, skipping the rest', async () => {
+    const first  = await insertTaggedQuestion('First', []);
+    const second = await insertTaggedQuestion('Second', []);
+    const draft  = await insertTaggedQuestion('Draft', [], { isPublished: false });
+
+    const res = await request(app)
+      .get(`/api/test/questions?ids=${second},${draft},${first}`)
+      .set('Authorization', `Bearer ${studentToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.questions.map(question => question.ID)).toEqual([second, first]);
+    expect(res.body.skipped).toEqual([draft]);
+  });
+
+  test('400 - no IDs, or an invalid one', async () => {
+    for (const query of ['', '?ids=', '?ids=1,abc'])
+    {
+      const res = await request(app)
+        .get(`/api/test/questions${query}`)
+        .set('Authorization', `Bearer ${studentToken}`);
+      expect(res.statusCode).toBe(400);
+    }
+  });
+});
@@ -0,0 +1,151 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          questionSearchUtils.test.js
+//  Description:   Unit tests for question tag validation and
+//                 building question search filters.
+//
+//  Dependencies:  questionSearchUtils
+//                 questionSearchConfig
+//                 taxonomyUtils
+//
+////////////////////////////////////////////////////////////////
+
+const { readTags, parseTags, toBooleanSearch, buildSearchFilter } = require('../utils/questionSearchUtils');
+const { MAX_TAGS_PER_QUESTION } = require('../config/questionSearchConfig');
+const { buildTaxonomyIndex } = require('../utils/taxonomyUtils');
+
+const taxonomyIndex = buildTaxonomyIndex({
+  sections: [
+    { ID: 1, NAME: 'A', DISPLAY_NAME: 'Section A', SORT_ORDER: 1 },
+  ],
+  categories: [],
+  subcategories: [],
+});
+
+const student   = { id: 7, role: 'student' };
+const professor = { id: 3, role: 'professor' };
+const admin     = { role: 'admin' };
+
+describe("Question Search Utils", () => {
+
+  describe("readTags Tests", () => {
+
+    test("should lowercase, collapse spaces, dedupe and sort", () => {
+      expect(readTags([' Recursion ', 'big   O', 'recursion', 'c++'])).toEqual({
+        tags: ['big o', 'c++', 'recursion'],
+        errors: [],
+      });
+    });
+
+    test("should treat a missing list as no tags", () => {
+      expect(readTags(undefined)).toEqual({ tags: [], errors: [] });
+      expect(readTags(null)).toEqual({ tags: [], errors: [] });
+    });
+
+    test("should report invalid tags", () => {
+      expect(readTags('recursion').errors).toEqual(['tags must be an array']);
+      expect(readTags(['', 'x'.repeat(51), '-leading', 'semi;colon', 42]).errors).toHaveLength(5);
+
+      const tooMany = Array.from({ length: MAX_TAGS_PER_QUESTION + 1 }, (_, index) => `tag${index}`);
+      expect(readTags(tooMany).errors).toEqual([`A question can have at most ${MAX_TAGS_PER_QUESTION} tags`]);
+    });
+
+    test("parseTags should throw a 400 with the reasons", () => {
+      expect(() => parseTags(['ok', 'not;ok'], 'test')).toThrow(expect.objectContaining({ statusCode: 400 }));
+      expect(parseTags(['Heaps'], 'test')).toEqual(['heaps']);
+    });
+  });
+
+  describe("toBooleanSearch Tests", () => {
+
+    test("should require every word, the last as a prefix", () => {
+      expect(toBooleanSearch('binary search tre')).toBe('+binary +search +tre*');
+    });
+
+    test("should strip operators and skip short words", () => {
+      expect(toBooleanSearch('-linked +list* "of" (nodes)')).toBe('+linked +list +nodes*');
+      expect(toBooleanSearch('if a')).toBeNull();
+    });
+  });
+
+  describe("buildSearchFilter Tests", () => {
+
+    test("should limit students to published questions", () => {
+      const { whereClause, params } = buildSearchFilter({}, student, taxonomyIndex, 'test');
+
+      expect(whereClause).toBe('q.IS_PUBLISHED = 1');
+      expect(params).toEqual([]);
+    });
+
+    test("should show professors published questions and their own", () => {
+      const { whereClause, params } = buildSearchFilter({ state: 'draft' }, professor, taxonomyIndex, 'test');
+
+      expect(whereClause).toContain('(q.IS_PUBLISHED = 1 OR q.OWNER_ID = ?)');
+      expect(whereClause).toContain("REVIEW_STATUS <> 'retired'");
+      expect(params).toEqual([3]);
+    });
+
+    test("should not let students search unpublished questions", () => {
+      expect(() => buildSearchFilter({ state: 'draft' }, student, taxonomyIndex, 'test'))
+        .toThrow(expect.objectContaining({ statusCode: 403 }));
+      expect(() => buildSearchFilter({ state: 'published' }, student, taxonomyIndex, 'test')).not.toThrow();
+    });
+
+    test("should combine every filter", () => {
+      const { whereClause, params, matchText } = buildSearchFilter({
+        q:         'linked list',
+        tag:       'Pointers, pointers,recursion',
+        type:      'multiple choice,Programming',
+        section:   'Section A',
+        minPoints: '1',
+        maxPoints: '5',
+        ownerId:   '12',
+      }, admin, taxonomyIndex, 'test');
+
+      expect(matchText).toBe('+linked +list*');
+      expect(whereClause).toContain('MATCH(q.QUESTION_TEXT) AGAINST (? IN BOOLEAN MODE)');
+      expect(params).toEqual([
+        '+linked +list*',
+        ['pointers', 'recursion'], 2,
+        ['Multiple Choice', 'Programming'],
+        1,
+        1, 5,
+        12,
+      ]);
+    });
+
+    test("should fall back to LIKE when every word is too short", () => {
+      const { whereClause, params, matchText } = buildSearchFilter({ q: '50%' }, admin, taxonomyIndex, 'test');
+
+      expect(matchText).toBeNull();
+      expect(whereClause).toBe('q.QUESTION_TEXT LIKE ?');
+      expect(params).toEqual(['%50\\%%']);
+    });
+
+    test("mine=true should filter by the requesting user", () => {
+      const { params } = buildSearchFilter({ mine: 'true' }, professor, taxonomyIndex, 'test');
+
+      expect(params).toEqual([3, 3]);
+    });
+
+    test("should reject invalid params", () => {
+      const invalid = [
+        { state: 'deleted' },
+        { type: 'Essay' },
+        { section: 'Z' },
+        { minPoints: 'lots' },
+        { minPoints: '5', maxPoints: '1' },
+        { ownerId: '-1' },
+        { q: 'x'.repeat(201) },
+      ];
+      for (const query of invalid)
+      {
+        expect(() => buildSearchFilter(query, admin, taxonomyIndex, 'test'))
+          .toThrow(expect.objectContaining({ statusCode: 400 }));
+      }
+    });
+  });
+});
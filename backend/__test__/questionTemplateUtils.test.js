@@ -0,0 +1,207 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          questionTemplateUtils.test.js
+//  Description:   Unit tests for validating question templates,
+//                 generating their instances, checking them
+//                 against a question, and signing instance seeds.
+//
+//  Dependencies:  questionTemplateUtils
+//                 questionUtils
+//                 questionTemplateConfig
+//
+////////////////////////////////////////////////////////////////
+
+const {
+  readTemplate,
+  findTemplateErrors,
+  parseTemplate,
+  createTemplateInstance,
+  signInstanceSeed,
+  readInstanceSeed,
+  deriveInstanceSeed,
+} = require('../utils/questionTemplateUtils');
+const { createSeededRandom } = require('../utils/questionUtils');
+const { MAX_TEMPLATE_VARIABLES } = require('../config/questionTemplateConfig');
+
+const { template: arrayTemplate } = readTemplate({
+  variables: [
+    { name: 'arr',  type: 'intArray', min: 0, max: 9, length: 5, distinct: true },
+    { name: 'i',    type: 'int', min: 0, max: 4 },
+    { name: 'pick', type: 'expr', expr: 'arr[i]' },
+  ],
+});
+
+describe("Question Template Utils", () => {
+
+  describe("readTemplate Tests", () => {
+
+    test("should treat a missing template as none", () => {
+      expect(readTemplate(undefined)).toEqual({ template: null, errors: [] });
+      expect(readTemplate(null)).toEqual({ template: null, errors: [] });
+    });
+
+    test("should normalize variable settings", () => {
+      const { template, errors } = readTemplate({
+        variables: [
+          { name: 'n', type: 'int', min: 1, max: 10 },
+          { name: 'list', type: 'intArray', min: 0, max: 5, minLength: 2, maxLength: 4, sorted: 'asc' },
+        ],
+      });
+      expect(errors).toEqual([]);
+      expect(template.variables[0]).toEqual({ name: 'n', type: 'int', min: 1, max: 10, step: 1 });
+      expect(template.variables[1]).toMatchObject({ minLength: 2, maxLength: 4, distinct: false, sorted: 'asc' });
+    });
+
+    test("should report bad names, types, ranges and expressions per variable", () => {
+      const { template, errors } = readTemplate({
+        variables: [
+          { name: '1n', type: 'int', min: 0, max: 1 },
+          { name: 'a', type: 'float' },
+          { name: 'b', type: 'int', min: 5, max: 1 },
+          { name: 'c', type: 'intArray', min: 0, max: 2, length: 5, distinct: true },
+          { name: 'd', type: 'expr', expr: '1 +' },
+          { name: 'd', type: 'choice', values: [] },
+        ],
+      });
+      expect(template).toBeNull();
+      expect(errors.map(error => error.split(':')[0])).toEqual([
+        'Variable 1',
+        'Variable 2',
+        'Variable 3',
+        'Variable 4',
+        'Variable 5',
+        'Variable 6',
+        'Variable 6',
+      ]);
+    });
+
+    test("should require 1 to MAX_TEMPLATE_VARIABLES variables", () => {
+      expect(readTemplate({ variables: [] }).errors).toHaveLength(1);
+      const tooMany = Array.from({ length: MAX_TEMPLATE_VARIABLES + 1 }, (_, index) => ({ name: `v${index}`, type: 'int', min: 0, max: 1 }));
+      expect(readTemplate({ variables: tooMany }).errors).toHaveLength(1);
+      expect(readTemplate('x').errors).toHaveLength(1);
+    });
+  });
+
+  describe("createTemplateInstance Tests", () => {
+
+    test("should generate the same values for the same seed", () => {
+      const first = createTemplateInstance(arrayTemplate, createSeededRandom('seed-1'));
+      const second = createTemplateInstance(arrayTemplate, createSeededRandom('seed-1'));
+      expect([...first.values]).toEqual([...second.values]);
+      expect(first.render('{{ arr }}')).toBe(second.render('{{ arr }}'));
+    });
+
+    test("should generate values within their rules", () => {
+      for (let seed = 0; seed < 20; seed++)
+      {
+        const { values, render } = createTemplateInstance(arrayTemplate, createSeededRandom(seed));
+        const arr = values.get('arr');
+        expect(arr).toHaveLength(5);
+        expect(new Set(arr).size).toBe(5);
+        expect(arr.every(value => value >= 0 && value <= 9)).toBe(true);
+        expect(values.get('pick')).toBe(arr[values.get('i')]);
+        expect(render('Item {{ i }} is {{ pick }}')).toBe(`Item ${values.get('i')} is ${arr[values.get('i')]}`);
+      }
+    });
+
+    test("should generate bits, sorted lists and stepped ints", () => {
+      const { template } = readTemplate({
+        variables: [
+          { name: 'b', type: 'bits', length: 8 },
+          { name: 's', type: 'intArray', min: -5, max: 5, length: 6, sorted: 'desc' },
+          { name: 'n', type: 'int', min: 0, max: 100, step: 25 },
+        ],
+      });
+      const { values } = createTemplateInstance(template, createSeededRandom('x'));
+      expect(values.get('b')).toMatch(/^[01]{8}$/);
+      expect(values.get('s')).toEqual([...values.get('s')].sort((a, b) => b - a));
+      expect(values.get('n') % 25).toBe(0);
+    });
+  });
+
+  describe("findTemplateErrors Tests", () => {
+
+    test("should accept a template whose placeholders always fill in", () => {
+      expect(findTemplateErrors(arrayTemplate, {
+        type:         'Multiple Choice',
+        questionText: 'What is arr[{{ i }}] in {{ arr }}?',
+        answerTexts:  ['{{ pick }}', '{{ pick + 10 }}', '{{ pick + 20 }}'],
+      })).toEqual([]);
+    });
+
+    test("should reject Programming questions and questions without placeholders", () => {
+      expect(findTemplateErrors(arrayTemplate, { type: 'Programming', questionText: '{{ i }}', answerTexts: [] })).toHaveLength(1);
+      expect(findTemplateErrors(arrayTemplate, { type: 'Fill in the Blanks', questionText: 'Plain', answerTexts: ['text'] })[0]).toMatch(/placeholder/);
+    });
+
+    test("should report syntax errors and values that fail", () => {
+      expect(findTemplateErrors(arrayTemplate, {
+        type: 'Fill in the Blanks', questionText: '{{ arr[ }}', answerTexts: ['{{ pick }}'],
+      })[0]).toMatch(/^\{\{ arr\[ \}\}/);
+
+      const [error] = findTemplateErrors(arrayTemplate, {
+        type: 'Fill in the Blanks', questionText: '{{ arr[i + 5] }}', answerTexts: ['{{ pick }}'],
+      });
+      expect(error).toMatch(/out of range for length 5 \(when arr = \[.*\], i = \d/);
+    });
+
+    test("should report answer options that come out the same", () => {
+      const [error] = findTemplateErrors(arrayTemplate, {
+        type: 'Multiple Choice', questionText: '{{ arr }}', answerTexts: ['{{ pick }}', '{{ arr[i] }}'],
+        otherTexts: ['{{ i }}'],
+      });
+      expect(error).toMatch(/^Two answers come out the same/);
+    });
+
+    test("should report Numeric answers that don't come out as numbers", () => {
+      expect(findTemplateErrors(arrayTemplate, {
+        type: 'Numeric', questionText: '{{ arr }}', answerTexts: ['{{ arr[i] * 2 }}'],
+      })).toEqual([]);
+
+      const [error] = findTemplateErrors(arrayTemplate, {
+        type: 'Numeric', questionText: '{{ arr }}', answerTexts: ['{{ arr }}'],
+      });
+      expect(error).toMatch(/^Answer "\[.*\]" isn't a number when arr = /);
+    });
+
+    test("should check the explanation, hints and rationales too", () => {
+      expect(findTemplateErrors(arrayTemplate, {
+        type: 'Fill in the Blanks', questionText: '{{ arr }}', answerTexts: ['{{ pick }}'],
+        otherTexts: [null, '{{ missing }}'],
+      })[0]).toMatch(/Unknown variable "missing"/);
+    });
+  });
+
+  describe("parseTemplate Tests", () => {
+
+    test("should throw a 400 with every error", () => {
+      expect(() => parseTemplate({ variables: [{ name: 'x', type: 'nope' }] }, {}, 'test')).toThrow(expect.objectContaining({ statusCode: 400 }));
+      expect(parseTemplate(undefined, { type: 'Multiple Choice' }, 'test')).toBeNull();
+    });
+  });
+
+  describe("Instance Seed Tests", () => {
+
+    test("should read back a seed signed for the same user and question", () => {
+      const instance = signInstanceSeed(7, 42, 'abc123');
+      expect(readInstanceSeed(instance, 7, 42)).toBe('abc123');
+    });
+
+    test("should reject seeds signed for someone else, edited or missing", () => {
+      const instance = signInstanceSeed(7, 42, 'abc123');
+      expect(readInstanceSeed(instance, 8, 42)).toBeNull();
+      expect(readInstanceSeed(instance, 7, 43)).toBeNull();
+      expect(readInstanceSeed(instance.replace('abc123', 'abc124'), 7, 42)).toBeNull();
+      expect(readInstanceSeed(undefined, 7, 42)).toBeNull();
+      expect(readInstanceSeed('no-signature', 7, 42)).toBeNull();
+    });
+
+    test("should derive a different seed per question", () => {
+      expect(deriveInstanceSeed('base', 1)).not.toBe(deriveInstanceSeed('base', 2));
+    });
+  });
+});
@@ -0,0 +1,192 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          questionTemplates.test.js
+//  Description:   Integration tests for template questions:
+//                 instances served by /api/test/questions,
+//                 graded and stored by POST /api/test/submit,
+//                 and POST /api/admin/templates/preview.
+//
+//  Dependencies:  supertest
+//                 mysql2 connection pool (server.js)
+//                 testHelpers
+//
+////////////////////////////////////////////////////////////////
+
+const request = require('supertest');
+const { app, pool } = require('../server');
+const { verifyTestDatabase, getAuthToken, insertQuestion } = require('./testHelpers');
+
+// Mock Discord webhook
+jest.mock('../services/discordWebhook', () => ({
+  sendNotification: jest.fn().mockResolvedValue(true),
+  notifyUserEvent: jest.fn().mockResolvedValue(true),
+  notifyError: jest.fn().mockResolvedValue(true),
+}));
+
+const adminToken = process.env.ADMIN_KEY;
+let studentToken;
+
+const variables = [
+  { name: 'a', type: 'int', min: 2, max: 50, step: 1 },
+  { name: 'b', type: 'int', min: 2, max: 50, step: 1 },
+];
+
+/**
+ * Inserts a Fill in the Blanks template question asking for a + b,
+ * with a hint that uses the variables too
+ */
+const insertTemplateQuestion = async () => {
+  const questionId = await insertQuestion('Fill in the Blanks', [{ text: '{{ a + b }}', isCorrect: true }], { points: 2 });
+  await pool.query('UPDATE Question SET QUESTION_TEXT = ? WHERE ID = ?', ['What is {{ a }} + {{ b }}?', questionId]);
+  await pool.query('INSERT INTO QuestionTemplate (QUESTION_ID, VARIABLES) VALUES (?, ?)', [questionId, JSON.stringify(variables)]);
+  await pool.query('INSERT INTO QuestionHint (QUESTION_ID, POSITION, HINT_TEXT) VALUES (?, 1, ?)', [questionId, 'Start from {{ a }}.']);
+  return questionId;
+};
+
+const fetchQuestion = async (questionId) => {
+  const res = await request(app)
+    .get(`/api/test/questions?ids=${questionId}`)
+    .set('Authorization', `Bearer ${studentToken}`);
+  expect(res.statusCode).toBe(200);
+  return res.body.questions[0];
+};
+
+// The numbers filled into "What is a + b?"
+const readOperands = (questionText) => questionText.match(/What is (\d+) \+ (\d+)\?/).slice(1).map(Number);
+
+const submit = (questionId, userAnswer, instance) => request(app)
+  .post('/api/test/submit')
+  .set('Authorization', `Bearer ${studentToken}`)
+  .send({ problem_id: questionId, userAnswer, instance });
+
+beforeAll(async () => {
+  await verifyTestDatabase(pool);
+  await pool.query('DELETE FROM User');
+
+  studentToken = await getAuthToken();
+});
+
+afterEach(async () => {
+  await pool.query('DELETE FROM Response');
+  await pool.query('DELETE FROM AnswerText');
+  await pool.query('DELETE FROM Question');
+});
+
+afterAll(async () => {
+  await pool.query('DELETE FROM User');
+  try
+  {
+    await pool.end();
+  }
+  catch (err)
+  {
+    console.error('Error closing pool in questionTemplates.test.js:', err);
+  }
+});
+
+describe('Template questions', () => {
+
+  test('are served filled in, with a signed instance', async () => {
+    const questionId = await insertTemplateQuestion();
+
+    const question = await fetchQuestion(questionId);
+    expect(question.QUESTION_TEXT).toMatch(/^What is \d+ \+ \d+\?$/);
+    expect(question.instance).toEqual(expect.any(String));
+    expect(JSON.stringify(question)).not.toContain('{{');
+  });
+
+  test('are graded against the instance served, and store its seed', async () => {
+    const questionId = await insertTemplateQuestion();
+    const question = await fetchQuestion(questionId);
+    const [a, b] = readOperands(question.QUESTION_TEXT);
+
+    const res = await submit(questionId, String(a + b), question.instance);
+    expect(res.statusCode).toBe(201);
+    expect(res.body.isCorrect).toBe(true);
+    expect(res.body.hints).toEqual([`Start from ${a}.`]);
+
+    const [[stored]] = await pool.query('SELECT USER_ANSWER FROM Response WHERE PROBLEM_ID = ?', [questionId]);
+    const userAnswer = typeof stored.USER_ANSWER === 'string' ? JSON.parse(stored.USER_ANSWER) : stored.USER_ANSWER;
+    expect(userAnswer).toEqual({ type: 'FillInTheBlanks', entered: String(a + b), seed: question.instance.split('.')[0] });
+  });
+
+  test('400 without a valid instance', async () => {
+    const questionId = await insertTemplateQuestion();
+    const question = await fetchQuestion(questionId);
+
+    expect((await submit(questionId, '4')).statusCode).toBe(400);
+    expect((await submit(questionId, '4', `${question.instance}0`)).statusCode).toBe(400);
+  });
+
+  test('fill in hints for the instance passed', async () => {
+    const questionId = await insertTemplateQuestion();
+    const question = await fetchQuestion(questionId);
+    const [a] = readOperands(question.QUESTION_TEXT);
+
+    const res = await request(app)
+      .post(`/api/test/questions/${questionId}/hints`)
+      .set('Authorization', `Bearer ${studentToken}`)
+      .send({ instance: question.instance });
+    expect(res.statusCode).toBe(201);
+    expect(res.body.hints).toEqual([`Start from ${a}.`]);
+  });
+});
+
+describe('POST /api/admin/templates/preview', () => {
+
+  const preview = (body) => request(app)
+    .post('/api/admin/templates/preview')
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send(body);
+
+  test('fills in sample instances of a draft', async () => {
+    const res = await preview({
+      type:               'Fill in the Blanks',
+      question_text:      'What is {{ a }} + {{ b }}?',
+      answer_text:        ['{{ a + b }}'],
+      answer_correctness: [1],
+      template:           { variables },
+      count:              2,
+    });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.instances).toHaveLength(2);
+    for (const instance of res.body.instances)
+    {
+      const [a, b] = readOperands(instance.questionText);
+      expect(instance.values).toEqual({ a: String(a), b: String(b) });
+      expect(instance.answers).toEqual([{ id: null, text: String(a + b), isCorrect: true, rationale: null }]);
+    }
+  });
+
+  test('gives seeds that preview-grade accepts', async () => {
+    const questionId = await insertTemplateQuestion();
+
+    const res = await preview({ question_id: questionId, count: 1 });
+    const [instance] = res.body.instances;
+    const [a, b] = readOperands(instance.questionText);
+
+    const graded = await request(app)
+      .post(`/api/admin/problems/${questionId}/preview-grade`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ answer: String(a + b), seed: instance.seed });
+    expect(graded.statusCode).toBe(200);
+    expect(graded.body.isCorrect).toBe(true);
+    expect(graded.body.seed).toBe(instance.seed);
+  });
+
+  test('400 for templates that fail for the question', async () => {
+    const res = await preview({
+      type:          'Fill in the Blanks',
+      question_text: 'What is {{ a / 0 }}?',
+      answer_text:   ['{{ a }}'],
+      template:      { variables },
+    });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toMatch(/Division by zero/);
+  });
+});
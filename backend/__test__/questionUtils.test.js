@@ -0,0 +1,291 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          questionUtils.test.js
+//  Description:   Unit tests for student-safe question
+//                 projection, answer ID resolution and
+//                 template question instances.
+//
+//  Dependencies:  questionUtils
+//                 questionTemplateUtils
+//
+////////////////////////////////////////////////////////////////
+
+const {
+        getAnswerId,
+        createSeededRandom,
+        shuffle,
+        toStudentQuestion,
+        resolveUserAnswer,
+        pickQuestionInstance,
+      } = require('../utils/questionUtils');
+const { readTemplate } = require('../utils/questionTemplateUtils');
+
+const mockQuestion = (type) => ({
+  ID:              42,
+  TYPE:            type,
+  SECTION:         'A',
+  CATEGORY:        'Introductory Programming',
+  SUBCATEGORY:     'Arrays',
+  AUTHOR_EXAM_ID:  'FE Fall 2024',
+  POINTS_POSSIBLE: '2.00',
+  QUESTION_TEXT:   'Test question',
+  OWNER_ID:        null,
+  IS_PUBLISHED:    1,
+});
+
+describe("Question Utils", () => {
+
+  describe("getAnswerId Tests", () => {
+
+    test("should be stable for the same question and answer", () => {
+      expect(getAnswerId(42, 1)).toBe(getAnswerId(42, 1));
+    });
+
+    test("should differ across answers and questions", () => {
+      expect(getAnswerId(42, 1)).not.toBe(getAnswerId(42, 2));
+      expect(getAnswerId(42, 1)).not.toBe(getAnswerId(43, 1));
+    });
+
+    test("should not contain the AnswerText ID", () => {
+      expect(getAnswerId(42, 7)).toMatch(/^[0-9a-f]{16}$/);
+    });
+  });
+
+  describe("shuffle Tests", () => {
+
+    test("should keep every element and not modify input", () => {
+      const items = [1, 2, 3, 4, 5];
+      const shuffled = shuffle(items);
+
+      expect(items).toEqual([1, 2, 3, 4, 5]);
+      expect([...shuffled].sort()).toEqual(items);
+    });
+
+    test("should reproduce the same order from the same seed", () => {
+      const items = Array.from({ length: 20 }, (_, i) => i);
+
+      expect(shuffle(items, createSeededRandom('abc')))
+        .toEqual(shuffle(items, createSeededRandom('abc')));
+      expect(shuffle(items, createSeededRandom('abc')))
+        .not.toEqual(shuffle(items, createSeededRandom('xyz')));
+    });
+
+    test("should place each element evenly across positions", () => {
+      const random = createSeededRandom(1);
+      const firstPositionCounts = [0, 0, 0, 0];
+      const trials = 8000;
+
+      for (let i = 0; i < trials; i++)
+      {
+        firstPositionCounts[shuffle([0, 1, 2, 3], random)[0]]++;
+      }
+
+      // Each element should lead about 1/4 of the time
+      firstPositionCounts.forEach(count => {
+        expect(count / trials).toBeGreaterThan(0.22);
+        expect(count / trials).toBeLessThan(0.28);
+      });
+    });
+  });
+
+  describe("toStudentQuestion Tests", () => {
+
+    const rankedAnswers = [
+      { ID: 1, QUESTION_ID: 42, TEXT: 'First',  IS_CORRECT_ANSWER: 1, RANK: 1, PLACEMENT: '' },
+      { ID: 2, QUESTION_ID: 42, TEXT: 'Second', IS_CORRECT_ANSWER: 1, RANK: 2, PLACEMENT: '' },
+      { ID: 3, QUESTION_ID: 42, TEXT: 'Third',  IS_CORRECT_ANSWER: 1, RANK: 3, PLACEMENT: '' },
+    ];
+
+    test("should not expose correctness, rank or placement", () => {
+      const projected = toStudentQuestion(mockQuestion('Ranked Choice'), rankedAnswers);
+      const serialized = JSON.stringify(projected);
+
+      expect(serialized).not.toContain('IS_CORRECT_ANSWER');
+      expect(serialized).not.toContain('RANK');
+      expect(serialized).not.toContain('PLACEMENT');
+      expect(projected.answers).toBeUndefined();
+      expect(projected.IS_PUBLISHED).toBeUndefined();
+    });
+
+    test("should give each option an opaque ID and its text", () => {
+      const projected = toStudentQuestion(mockQuestion('Ranked Choice'), rankedAnswers);
+
+      expect(projected.options).toHaveLength(3);
+      expect(projected.options.map(o => o.text).sort()).toEqual(['First', 'Second', 'Third']);
+      projected.options.forEach(option => {
+        const answer = rankedAnswers.find(a => a.TEXT === option.text);
+        expect(option.id).toBe(getAnswerId(42, answer.ID));
+        expect(Object.keys(option)).toEqual(['id', 'text']);
+      });
+    });
+
+    test("should keep question metadata", () => {
+      const projected = toStudentQuestion(mockQuestion('Multiple Choice'), []);
+
+      expect(projected.ID).toBe(42);
+      expect(projected.SUBCATEGORY).toBe('Arrays');
+      expect(projected.QUESTION_TEXT).toBe('Test question');
+    });
+
+    test("should not send accepted answers for Fill in the Blanks", () => {
+      const projected = toStudentQuestion(mockQuestion('Fill in the Blanks'), [
+        { ID: 1, QUESTION_ID: 42, TEXT: 'false', IS_CORRECT_ANSWER: 1 },
+      ]);
+
+      expect(projected.options).toEqual([]);
+      expect(JSON.stringify(projected)).not.toContain('false');
+    });
+
+    test("should list unique drop zones for Drag and Drop", () => {
+      const projected = toStudentQuestion(mockQuestion('Drag and Drop'), [
+        { ID: 1, QUESTION_ID: 42, TEXT: 'printf',  IS_CORRECT_ANSWER: 1, PLACEMENT: 'C' },
+        { ID: 2, QUESTION_ID: 42, TEXT: 'scanf',   IS_CORRECT_ANSWER: 1, PLACEMENT: 'C' },
+        { ID: 3, QUESTION_ID: 42, TEXT: 'println', IS_CORRECT_ANSWER: 1, PLACEMENT: 'Java ' },
+      ]);
+
+      expect(projected.placements).toEqual(['C', 'Java']);
+      expect(projected.options).toHaveLength(3);
+    });
+
+    test("should send Programming starter code but not the harness", () => {
+      const projected = toStudentQuestion(mockQuestion('Programming'), [], [
+        {
+          QUESTION_ID:        42,
+          LANGUAGE_ID:        50,
+          FUNCTION_SIGNATURE: 'int sum(int *arr, int n)',
+          STARTER_CODE:       'int sum(int *arr, int n)\n{\n}',
+          HARNESS:            'int main(void) { secret_driver(); }',
+        },
+      ]);
+
+      expect(projected.codeTemplates).toEqual([
+        { languageId: 50, functionSignature: 'int sum(int *arr, int n)', starterCode: 'int sum(int *arr, int n)\n{\n}', hasHarness: true },
+      ]);
+      expect(JSON.stringify(projected)).not.toContain('secret_driver');
+    });
+
+    test("should send Code Trace code but not the expected output", () => {
+      const question = { ...mockQuestion('Code Trace'), TRACE_CODE: 'print(2 ** 3)', TRACE_LANGUAGE_ID: 71 };
+      const projected = toStudentQuestion(question, [
+        { ID: 1, QUESTION_ID: 42, TEXT: '8', IS_CORRECT_ANSWER: 1 },
+      ]);
+
+      expect(projected.traceCode).toBe('print(2 ** 3)');
+      expect(projected.traceLanguageId).toBe(71);
+      expect(projected.options).toEqual([]);
+      expect(projected.TRACE_CODE).toBeUndefined();
+    });
+
+    test("should send a Numeric question's unit but not its tolerance", () => {
+      const question = {
+        ...mockQuestion('Numeric'),
+        NUMERIC_SETTINGS: { tolerance: 2, toleranceType: 'absolute', unit: 'bytes', creditBands: [] },
+      };
+      const projected = toStudentQuestion(question, [
+        { ID: 1, QUESTION_ID: 42, TEXT: '1024', IS_CORRECT_ANSWER: 1 },
+      ]);
+
+      expect(projected.numericUnit).toBe('bytes');
+      expect(projected.options).toEqual([]);
+      expect(projected.NUMERIC_SETTINGS).toBeUndefined();
+      expect(toStudentQuestion(mockQuestion('Numeric')).numericUnit).toBeNull();
+    });
+
+    test("should send a Fill in the Blanks question's blank IDs but not how they're matched", () => {
+      const question = {
+        ...mockQuestion('Fill in the Blanks'),
+        BLANKS: JSON.stringify([{ id: 'next', matchMode: 'regex', weight: 2 }, { id: 'link' }]),
+      };
+      const projected = toStudentQuestion(question, [
+        { ID: 1, QUESTION_ID: 42, TEXT: 'head', IS_CORRECT_ANSWER: 1, BLANK_ID: 'next' },
+      ]);
+
+      expect(projected.blanks).toEqual(['next', 'link']);
+      expect(projected.options).toEqual([]);
+      expect(projected.BLANKS).toBeUndefined();
+      expect(toStudentQuestion(mockQuestion('Fill in the Blanks')).blanks).toEqual([]);
+    });
+  });
+
+  describe("resolveUserAnswer Tests", () => {
+
+    const answers = [
+      { ID: 1, TEXT: 'Paris' },
+      { ID: 2, TEXT: 'London' },
+      { ID: 3, TEXT: 'Berlin' },
+    ];
+    const id = (answerId) => getAnswerId(42, answerId);
+
+    test("should resolve Multiple Choice answer ID", () => {
+      expect(resolveUserAnswer(42, 'Multiple Choice', id(1), answers)).toBe('Paris');
+    });
+
+    test("should resolve Select All That Apply and Ranked Choice arrays in order", () => {
+      expect(resolveUserAnswer(42, 'Select All That Apply', [id(3), id(1)], answers))
+        .toEqual(['Berlin', 'Paris']);
+      expect(resolveUserAnswer(42, 'Ranked Choice', [id(2), id(3), id(1)], answers))
+        .toEqual(['London', 'Berlin', 'Paris']);
+    });
+
+    test("should resolve Drag and Drop keys, keep zones", () => {
+      expect(resolveUserAnswer(42, 'Drag and Drop', { [id(1)]: 'France', [id(2)]: 'UK' }, answers))
+        .toEqual({ Paris: 'France', London: 'UK' });
+    });
+
+    test("should pass through values that aren't answer IDs", () => {
+      expect(resolveUserAnswer(42, 'Multiple Choice', 'Paris', answers)).toBe('Paris');
+      expect(resolveUserAnswer(42, 'Fill in the Blanks', id(1), answers)).toBe(id(1));
+    });
+
+    test("should not resolve answer IDs from another question", () => {
+      expect(resolveUserAnswer(42, 'Multiple Choice', getAnswerId(43, 1), answers))
+        .toBe(getAnswerId(43, 1));
+    });
+  });
+
+  describe("pickQuestionInstance Tests", () => {
+
+    const { template } = readTemplate({
+      variables: [
+        { name: 'n', type: 'int', min: 2, max: 9 },
+        { name: 'sq', type: 'expr', expr: 'n * n' },
+      ],
+    });
+    const question = { ...mockQuestion('Fill in the Blanks'), QUESTION_TEXT: 'What is {{ n }} squared?' };
+    const answers = [{ ID: 1, QUESTION_ID: 42, TEXT: '{{ sq }}', IS_CORRECT_ANSWER: 1, RATIONALE: '{{ n }} times {{ n }}' }];
+
+    test("should fill in the question and answers the same way for the same seed", () => {
+      const first = pickQuestionInstance(question, answers, template, 'abc');
+      const again = pickQuestionInstance(question, answers, template, first.seed);
+      const n = first.values.get('n');
+
+      expect(first.seed).toBe('abc');
+      expect(first.question.QUESTION_TEXT).toBe(`What is ${n} squared?`);
+      expect(first.answers[0]).toMatchObject({ ID: 1, TEXT: String(n * n), RATIONALE: `${n} times ${n}` });
+      expect(again.question.QUESTION_TEXT).toBe(first.question.QUESTION_TEXT);
+      expect(answers[0].TEXT).toBe('{{ sq }}');
+    });
+
+    test("should move on to another seed when the values drawn fail", () => {
+      const { template: picky } = readTemplate({ variables: [{ name: 'n', type: 'int', min: 0, max: 3 }] });
+      const failsForZero = { ...question, QUESTION_TEXT: '{{ 12 / n }}' };
+      const instances = Array.from({ length: 20 }, (_, index) => pickQuestionInstance(failsForZero, [], picky, `seed-${index}`));
+
+      for (const [index, instance] of instances.entries())
+      {
+        expect(instance.values.get('n')).not.toBe(0);
+        expect(instance.question.QUESTION_TEXT).toBe(String(12 / instance.values.get('n')));
+        expect(instance.seed.startsWith(`seed-${index}`)).toBe(true);
+      }
+      expect(instances.some((instance, index) => instance.seed !== `seed-${index}`)).toBe(true);
+    });
+
+    test("should throw a 500 when no seed works", () => {
+      const broken = { ...question, QUESTION_TEXT: '{{ n / 0 }}' };
+      expect(() => pickQuestionInstance(broken, [], template, 'abc')).toThrow(expect.objectContaining({ statusCode: 500 }));
+    });
+  });
+});
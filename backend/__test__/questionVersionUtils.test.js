@@ -0,0 +1,104 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          questionVersionUtils.test.js
+//  Description:   Unit tests for diffing question version
+//                 snapshots.
+//
+//  Dependencies:  questionVersionUtils
+//
+////////////////////////////////////////////////////////////////
+
+const { diffSnapshots } = require('../utils/questionVersionUtils');
+
+const snapshot = {
+  type: 'Multiple Choice',
+  section: 'A',
+  category: 'Introductory Programming',
+  subcategory: 'Loops',
+  authorExamId: null,
+  pointsPossible: 5,
+  questionText: 'How many times does the loop run?',
+  answers: [
+    { text: '3', isCorrect: true, rank: null, placement: null },
+    { text: '4', isCorrect: false, rank: null, placement: null },
+  ],
+  testCases: [],
+  codeTemplates: [],
+};
+
+describe("Question Version Utils", () => {
+
+  describe("diffSnapshots Tests", () => {
+
+    test("should find no changes between identical snapshots", () => {
+      const diff = diffSnapshots(snapshot, structuredClone(snapshot));
+
+      expect(diff.changed).toBe(false);
+      expect(diff.fields).toEqual([]);
+      expect(diff.answers).toEqual({ added: [], removed: [] });
+    });
+
+    test("should list changed fields with both values", () => {
+      const diff = diffSnapshots(snapshot, { ...snapshot, pointsPossible: 2, authorExamId: 'EX-1' });
+
+      expect(diff.changed).toBe(true);
+      expect(diff.fields).toEqual([
+        { field: 'authorExamId', from: null, to: 'EX-1' },
+        { field: 'pointsPossible', from: 5, to: 2 },
+      ]);
+    });
+
+    test("should show a changed answer as one removed and one added", () => {
+      const diff = diffSnapshots(snapshot, {
+        ...snapshot,
+        answers: [snapshot.answers[0], { ...snapshot.answers[1], text: '2' }],
+      });
+
+      expect(diff.fields).toEqual([]);
+      expect(diff.answers).toEqual({
+        added: [{ text: '2', isCorrect: false, rank: null, placement: null }],
+        removed: [snapshot.answers[1]],
+      });
+    });
+
+    test("should ignore row order and property order", () => {
+      const reordered = snapshot.answers.map(({ placement, rank, isCorrect, text }) => ({ placement, rank, isCorrect, text })).reverse();
+
+      expect(diffSnapshots(snapshot, { ...snapshot, answers: reordered }).changed).toBe(false);
+    });
+
+    test("should count duplicate rows", () => {
+      const testCase = { input: '1', expectedOutput: '1', isHidden: false, weight: 1, comparisonMode: 'exact', floatTolerance: null };
+      const diff = diffSnapshots({ ...snapshot, testCases: [testCase] }, { ...snapshot, testCases: [testCase, testCase] });
+
+      expect(diff.testCases).toEqual({ added: [testCase], removed: [] });
+    });
+
+    test("should treat lists missing from older snapshots as empty", () => {
+      const { codeTemplates, ...older } = snapshot;
+      const template = { languageId: 71, functionSignature: 'def solve(n):', starterCode: null, harness: 'print(solve(1))' };
+
+      expect(codeTemplates).toEqual([]);
+      expect(diffSnapshots(older, { ...snapshot, codeTemplates: [template] }).codeTemplates).toEqual({ added: [template], removed: [] });
+    });
+
+    test("should diff the explanation and hints, missing from older snapshots", () => {
+      const diff = diffSnapshots(snapshot, { ...snapshot, explanation: 'Worked solution', hints: ['Start small'] });
+
+      expect(diff.changed).toBe(true);
+      expect(diff.fields).toEqual([{ field: 'explanation', from: null, to: 'Worked solution' }]);
+      expect(diff.hints).toEqual({ added: ['Start small'], removed: [] });
+    });
+
+    test("should compare templates by content", () => {
+      const template = { variables: [{ name: 'n', type: 'int', min: 1, max: 9, step: 1 }] };
+      const withTemplate = { ...snapshot, template };
+
+      expect(diffSnapshots(withTemplate, { ...snapshot, template: structuredClone(template) }).changed).toBe(false);
+      expect(diffSnapshots(snapshot, withTemplate).fields).toEqual([{ field: 'template', from: null, to: template }]);
+    });
+  });
+});
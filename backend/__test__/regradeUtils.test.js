@@ -0,0 +1,266 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          regradeUtils.test.js
+//  Description:   Unit tests for regrading stored responses:
+//                 reading stored answers back, what changes for
+//                 each response, limiting losses to what students
+//                 have left, and the regrade totals.
+//
+//  Dependencies:  regradeUtils
+//                 gradingController
+//                 currencyConfig
+//
+////////////////////////////////////////////////////////////////
+
+const { getRegradeChange, limitToBalance, summarizeRegrade } = require('../utils/regradeUtils');
+const { serializeUserAnswer, readUserAnswer } = require('../controllers/gradingController');
+const { EXP_PER_POINT, COINS_PER_POINT } = require('../../shared/currencyConfig');
+
+const response = (fields = {}) => ({
+  ID: 1,
+  USERID: 10,
+  ISCORRECT: 0,
+  POINTS_EARNED: '0.00',
+  HINTS_USED: 0,
+  ...fields,
+});
+
+describe("Regrade Utils", () => {
+
+  describe("readUserAnswer Tests", () => {
+
+    test("should read back every type's stored answer", () => {
+      const answers = {
+        'Multiple Choice':       'B',
+        'Fill in the Blanks':    { blank1: 'stack', blank2: 'queue' },
+        'Numeric':               '0x400',
+        'Select All That Apply': ['A', 'C'],
+        'Ranked Choice':         ['C', 'A', 'B'],
+        'Drag and Drop':         { zone1: 'A', zone2: 'B' },
+        'Code Trace':            '1\n2\n3',
+      };
+
+      for (const [type, answer] of Object.entries(answers))
+      {
+        expect(readUserAnswer(type, serializeUserAnswer(type, answer))).toEqual({ answer, instanceSeed: null });
+      }
+    });
+
+    test("should read back the seed of a template instance", () => {
+      const stored = serializeUserAnswer('Numeric', '42', 'abc123');
+
+      expect(readUserAnswer('Numeric', stored)).toEqual({ answer: '42', instanceSeed: 'abc123' });
+    });
+
+    test("should not read an answer stored for another type", () => {
+      const stored = serializeUserAnswer('Multiple Choice', 'B');
+
+      expect(readUserAnswer('Select All That Apply', stored)).toBeNull();
+    });
+
+    test("should not read answers that aren't stored answers", () => {
+      expect(readUserAnswer('Multiple Choice', 'not json')).toBeNull();
+      expect(readUserAnswer('Multiple Choice', 'null')).toBeNull();
+      expect(readUserAnswer('Multiple Choice', '["B"]')).toBeNull();
+      expect(readUserAnswer('Multiple Choice', '{"type":"MultipleChoice"}')).toBeNull();
+      expect(readUserAnswer('Multiple Choice', '{"type":"MultipleChoice","selected":"B","entered":"C"}')).toBeNull();
+    });
+  });
+
+  describe("getRegradeChange Tests", () => {
+
+    test("should return null when nothing changes", () => {
+      const change = getRegradeChange(response({ ISCORRECT: 1, POINTS_EARNED: '5.00' }), { isCorrect: true, pointsEarned: 5 });
+
+      expect(change).toBeNull();
+    });
+
+    test("should report an answer that's now correct", () => {
+      const change = getRegradeChange(response(), { isCorrect: true, pointsEarned: 5 });
+
+      expect(change).toEqual({
+        responseId:   1,
+        userId:       10,
+        wasCorrect:   false,
+        isCorrect:    true,
+        oldPoints:    0,
+        newPoints:    5,
+        pointsChange: 5,
+        expChange:    5 * EXP_PER_POINT,
+        coinsChange:  5 * COINS_PER_POINT,
+        expAwarded:   5 * EXP_PER_POINT,
+      });
+    });
+
+    test("should report an answer that's now incorrect as a loss", () => {
+      const change = getRegradeChange(response({ ISCORRECT: 1, POINTS_EARNED: '4.00' }), { isCorrect: false, pointsEarned: 0 });
+
+      expect(change.pointsChange).toBe(-4);
+      expect(change.expChange).toBe(-4 * EXP_PER_POINT);
+      expect(change.coinsChange).toBe(-4 * COINS_PER_POINT);
+      expect(change.expAwarded).toBe(0);
+    });
+
+    test("should only take back the exp awarded under the daily cap", () => {
+      const capped = response({ ISCORRECT: 1, POINTS_EARNED: '4.00', EXP_AWARDED: EXP_PER_POINT });
+      const change = getRegradeChange(capped, { isCorrect: false, pointsEarned: 0 });
+
+      expect(change.pointsChange).toBe(-4);
+      expect(change.expChange).toBe(-EXP_PER_POINT);
+      expect(change.coinsChange).toBe(-4 * COINS_PER_POINT);
+      expect(change.expAwarded).toBe(0);
+    });
+
+    test("should take back no exp from an answer given at the daily cap", () => {
+      const atCap = response({ ISCORRECT: 1, POINTS_EARNED: '4.00', EXP_AWARDED: 0 });
+      const change = getRegradeChange(atCap, { isCorrect: false, pointsEarned: 2 });
+
+      expect(change.pointsChange).toBe(-2);
+      expect(change.expChange).toBe(0);
+      expect(change.coinsChange).toBe(-2 * COINS_PER_POINT);
+      expect(change.expAwarded).toBe(0);
+    });
+
+    test("should take back part of the exp awarded for a partial loss", () => {
+      const capped = response({ ISCORRECT: 1, POINTS_EARNED: '4.00', EXP_AWARDED: 3 * EXP_PER_POINT });
+      const change = getRegradeChange(capped, { isCorrect: false, pointsEarned: 2 });
+
+      expect(change.expChange).toBe(-2 * EXP_PER_POINT);
+      expect(change.expAwarded).toBe(EXP_PER_POINT);
+    });
+
+    test("should add a gain to the exp awarded", () => {
+      const atCap = response({ POINTS_EARNED: '2.00', EXP_AWARDED: 0 });
+      const change = getRegradeChange(atCap, { isCorrect: true, pointsEarned: 5 });
+
+      expect(change.expChange).toBe(3 * EXP_PER_POINT);
+      expect(change.expAwarded).toBe(3 * EXP_PER_POINT);
+    });
+
+    test("should report partial credit changes", () => {
+      const change = getRegradeChange(response({ POINTS_EARNED: '1.67' }), { isCorrect: false, pointsEarned: 3.33 });
+
+      expect(change.isCorrect).toBe(false);
+      expect(change.pointsChange).toBe(1.66);
+    });
+
+    test("should keep the hint penalty taken when answering", () => {
+      const change = getRegradeChange(response({ HINTS_USED: 1 }), { isCorrect: true, pointsEarned: 4 });
+
+      expect(change.newPoints).toBe(3);
+      expect(change.pointsChange).toBe(3);
+    });
+
+    test("should return null when the hint penalty leaves the points as they were", () => {
+      const change = getRegradeChange(response({ ISCORRECT: 1, POINTS_EARNED: '3.00', HINTS_USED: 1 }), { isCorrect: true, pointsEarned: 4 });
+
+      expect(change).toBeNull();
+    });
+  });
+
+  describe("limitToBalance Tests", () => {
+
+    const loss = (id, points) => getRegradeChange(
+      response({ ID: id, ISCORRECT: 1, POINTS_EARNED: points.toFixed(2) }),
+      { isCorrect: false, pointsEarned: 0 }
+    );
+
+    test("should leave changes the balance covers as they are", () => {
+      const changes = [loss(1, 4)];
+
+      expect(limitToBalance(changes, { exp: 1000, coins: 1000 })).toEqual(changes);
+    });
+
+    test("should cut a loss down to the coins left", () => {
+      const [applied] = limitToBalance([loss(1, 4)], { exp: 1000, coins: 1 });
+
+      expect(applied.coinsChange).toBe(-1);
+      expect(applied.expChange).toBe(-4 * EXP_PER_POINT);
+    });
+
+    test("should cut a loss down to the exp left, and keep what wasn't taken back as awarded", () => {
+      const [applied] = limitToBalance([loss(1, 4)], { exp: EXP_PER_POINT, coins: 1000 });
+
+      expect(applied.expChange).toBe(-EXP_PER_POINT);
+      expect(applied.expAwarded).toBe(3 * EXP_PER_POINT);
+    });
+
+    test("should apply a student's changes in order against what's left", () => {
+      const applied = limitToBalance([loss(1, 1), loss(2, 1)], { exp: 1000, coins: 1.5 * COINS_PER_POINT });
+
+      expect(applied.map(change => change.coinsChange)).toEqual([-COINS_PER_POINT, -0.5 * COINS_PER_POINT]);
+    });
+
+    test("should not limit gains", () => {
+      const gain = getRegradeChange(response(), { isCorrect: true, pointsEarned: 5 });
+
+      expect(limitToBalance([gain], { exp: 0, coins: 0 })).toEqual([gain]);
+    });
+  });
+
+  describe("summarizeRegrade Tests", () => {
+
+    test("should summarize a regrade that changes nothing", () => {
+      expect(summarizeRegrade(3, [])).toEqual({
+        responses:    3,
+        changed:      0,
+        nowCorrect:   0,
+        nowIncorrect: 0,
+        pointsChange: 0,
+        expChange:    0,
+        coinsChange:  0,
+        skipped:      [],
+        students:     [],
+      });
+    });
+
+    test("should total the changes overall and for each student", () => {
+      const changes = [
+        getRegradeChange(response({ ID: 1, USERID: 10 }), { isCorrect: true, pointsEarned: 5 }),
+        getRegradeChange(response({ ID: 2, USERID: 10 }), { isCorrect: true, pointsEarned: 5 }),
+        getRegradeChange(response({ ID: 3, USERID: 11, ISCORRECT: 1, POINTS_EARNED: '5.00' }), { isCorrect: false, pointsEarned: 0 }),
+        getRegradeChange(response({ ID: 4, USERID: 12, POINTS_EARNED: '1.00' }), { isCorrect: false, pointsEarned: 2 }),
+      ];
+      const skipped = [{ responseId: 5, reason: 'The stored answer can\'t be graded' }];
+
+      const summary = summarizeRegrade(6, changes, skipped);
+
+      expect(summary).toMatchObject({
+        responses:    6,
+        changed:      4,
+        nowCorrect:   2,
+        nowIncorrect: 1,
+        pointsChange: 6,
+        expChange:    6 * EXP_PER_POINT,
+        coinsChange:  6 * COINS_PER_POINT,
+        skipped,
+      });
+      expect(summary.students).toEqual([
+        { userId: 10, responses: 2, pointsChange: 10, expChange: 10 * EXP_PER_POINT, coinsChange: 10 * COINS_PER_POINT },
+        { userId: 11, responses: 1, pointsChange: -5, expChange: -5 * EXP_PER_POINT, coinsChange: -5 * COINS_PER_POINT },
+        { userId: 12, responses: 1, pointsChange: 1, expChange: 1 * EXP_PER_POINT, coinsChange: 1 * COINS_PER_POINT },
+      ]);
+    });
+
+    test("should sort students with the same change by ID", () => {
+      const changes = [
+        getRegradeChange(response({ ID: 1, USERID: 12 }), { isCorrect: true, pointsEarned: 2 }),
+        getRegradeChange(response({ ID: 2, USERID: 11, ISCORRECT: 1, POINTS_EARNED: '2.00' }), { isCorrect: false, pointsEarned: 0 }),
+      ];
+
+      expect(summarizeRegrade(2, changes).students.map(student => student.userId)).toEqual([11, 12]);
+    });
+
+    test("should round totals to 2 decimal places", () => {
+      const changes = [1, 2, 3].map(id => getRegradeChange(response({ ID: id, USERID: id }), { isCorrect: false, pointsEarned: 0.1 }));
+
+      const summary = summarizeRegrade(3, changes);
+
+      expect(summary.pointsChange).toBe(0.3);
+      expect(summary.expChange).toBe(3);
+    });
+  });
+});
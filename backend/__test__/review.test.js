@@ -0,0 +1,174 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          review.test.js
+//  Description:   Integration tests for the spaced-repetition
+//                 review queue:
+//                 POST /api/test/submit (scheduling)
+//                 GET  /api/progress/review
+//                 GET  /api/progress/messageData (due count)
+//
+//  Dependencies:  supertest
+//                 mysql2 connection pool (server.js)
+//                 testHelpers
+//
+////////////////////////////////////////////////////////////////
+
+const request = require('supertest');
+const { app, pool } = require('../server');
+const { TEST_USER,
+        getAuthToken,
+        verifyTestDatabase,
+        insertQuestion,
+        submitAndFetch,
+      } = require('./testHelpers');
+
+let token;
+let userId;
+
+const MC_ANSWERS = [
+  { text: 'Right', isCorrect: true  },
+  { text: 'Wrong', isCorrect: false },
+];
+
+/**
+ * Fetches the test user's review item for a question
+ */
+const getReviewItem = async (questionId) => {
+  const [[row]] = await pool.query(
+    'SELECT * FROM ReviewItem WHERE USER_ID = ? AND QUESTION_ID = ?',
+    [userId, questionId]
+  );
+  return row ?? null;
+};
+
+/**
+ * Makes a review item due now
+ */
+const makeDue = (questionId) => pool.query(
+  'UPDATE ReviewItem SET DUE_AT = DATE_SUB(NOW(), INTERVAL 1 HOUR) WHERE USER_ID = ? AND QUESTION_ID = ?',
+  [userId, questionId]
+);
+
+beforeAll(async () => {
+  await verifyTestDatabase(pool);
+  await pool.query('DELETE FROM User WHERE EMAIL = ?', [TEST_USER.email]);
+  token = await getAuthToken();
+  const [[user]] = await pool.query('SELECT ID FROM User WHERE EMAIL = ?', [TEST_USER.email]);
+  userId = user.ID;
+});
+
+afterEach(async () => {
+  await pool.query('DELETE FROM ReviewItem');
+  await pool.query('DELETE FROM Response');
+  await pool.query('DELETE FROM AnswerText');
+  await pool.query('DELETE FROM Question');
+});
+
+afterAll(async () => {
+  await pool.query('DELETE FROM User WHERE EMAIL = ?', [TEST_USER.email]);
+  try
+  {
+    await pool.end();
+  }
+  catch (err)
+  {
+    console.error('Error closing pool in review.test.js:', err);
+  }
+});
+
+describe('Review scheduling through POST /api/test/submit', () => {
+
+  test('a correct answer to a new question is not queued', async () => {
+    const questionId = await insertQuestion('Multiple Choice', MC_ANSWERS);
+    await submitAndFetch(questionId, 'Right', token);
+
+    expect(await getReviewItem(questionId)).toBeNull();
+  });
+
+  test('an incorrect answer queues the question for tomorrow', async () => {
+    const questionId = await insertQuestion('Multiple Choice', MC_ANSWERS);
+    await submitAndFetch(questionId, 'Wrong', token);
+
+    const item = await getReviewItem(questionId);
+    expect(item).not.toBeNull();
+    expect(item.REPETITIONS).toBe(0);
+    expect(item.INTERVAL_DAYS).toBe(1);
+    expect(new Date(item.DUE_AT).getTime()).toBeGreaterThan(Date.now());
+  });
+
+  test('answering a queued question moves its due date', async () => {
+    const questionId = await insertQuestion('Multiple Choice', MC_ANSWERS);
+    await submitAndFetch(questionId, 'Wrong', token);
+    await makeDue(questionId);
+
+    await submitAndFetch(questionId, 'Right', token);
+
+    const item = await getReviewItem(questionId);
+    expect(item.REPETITIONS).toBe(1);
+    expect(new Date(item.DUE_AT).getTime()).toBeGreaterThan(Date.now());
+  });
+});
+
+describe('GET /api/progress/review', () => {
+
+  test('401 - requires auth', async () => {
+    const res = await request(app).get('/api/progress/review');
+    expect(res.statusCode).toBe(401);
+  });
+
+  test('200 - returns only questions due today, without the answer key', async () => {
+    const due = await insertQuestion('Multiple Choice', MC_ANSWERS);
+    const later = await insertQuestion('Multiple Choice', MC_ANSWERS);
+    await submitAndFetch(due, 'Wrong', token);
+    await submitAndFetch(later, 'Wrong', token);
+    await makeDue(due);
+    await pool.query(
+      'UPDATE ReviewItem SET DUE_AT = DATE_ADD(NOW(), INTERVAL 3 DAY) WHERE QUESTION_ID = ?',
+      [later]
+    );
+
+    const res = await request(app)
+      .get('/api/progress/review')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.totalDue).toBe(1);
+    expect(res.body.questions.map(q => q.ID)).toEqual([due]);
+    expect(res.body.questions[0].review.repetitions).toBe(0);
+    expect(JSON.stringify(res.body)).not.toMatch(/IS_CORRECT_ANSWER/);
+  });
+
+  test('200 - leaves out unpublished questions', async () => {
+    const questionId = await insertQuestion('Multiple Choice', MC_ANSWERS);
+    await submitAndFetch(questionId, 'Wrong', token);
+    await makeDue(questionId);
+    await pool.query('UPDATE Question SET IS_PUBLISHED = 0 WHERE ID = ?', [questionId]);
+
+    const res = await request(app)
+      .get('/api/progress/review')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.totalDue).toBe(0);
+    expect(res.body.questions).toEqual([]);
+  });
+});
+
+describe('GET /api/progress/messageData', () => {
+
+  test('200 - includes the due for review count', async () => {
+    const questionId = await insertQuestion('Multiple Choice', MC_ANSWERS);
+    await submitAndFetch(questionId, 'Wrong', token);
+    await makeDue(questionId);
+
+    const res = await request(app)
+      .get('/api/progress/messageData')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.reviewDueCount).toBe(1);
+  });
+});
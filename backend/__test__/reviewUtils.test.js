@@ -0,0 +1,84 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          reviewUtils.test.js
+//  Description:   Unit tests for spaced-repetition (SM-2)
+//                 review scheduling.
+//
+//  Dependencies:  reviewUtils
+//                 reviewConfig
+//
+////////////////////////////////////////////////////////////////
+
+const { scoreToQuality, computeNextReview } = require('../utils/reviewUtils');
+const {
+        INITIAL_EASE_FACTOR,
+        MIN_EASE_FACTOR,
+        FIRST_INTERVAL_DAYS,
+        SECOND_INTERVAL_DAYS,
+      } = require('../config/reviewConfig');
+
+const NOW = new Date('2026-03-01T12:00:00Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe("Review Utils", () => {
+
+  describe("scoreToQuality Tests", () => {
+
+    test("should map normalized scores onto 0-5", () => {
+      expect(scoreToQuality(0)).toBe(0);
+      expect(scoreToQuality(0.5)).toBe(3);
+      expect(scoreToQuality(1)).toBe(5);
+    });
+
+    test("should clamp out of range and missing scores", () => {
+      expect(scoreToQuality(1.5)).toBe(5);
+      expect(scoreToQuality(-1)).toBe(0);
+      expect(scoreToQuality(undefined)).toBe(0);
+    });
+  });
+
+  describe("computeNextReview Tests", () => {
+
+    test("should schedule a new miss for the first interval", () => {
+      const next = computeNextReview(null, 0, NOW);
+
+      expect(next.repetitions).toBe(0);
+      expect(next.intervalDays).toBe(FIRST_INTERVAL_DAYS);
+      expect(next.dueAt.getTime() - NOW.getTime()).toBe(FIRST_INTERVAL_DAYS * DAY_MS);
+      expect(next.easeFactor).toBeLessThan(INITIAL_EASE_FACTOR);
+    });
+
+    test("should space out reviews after consecutive passes", () => {
+      const first = computeNextReview(null, 5, NOW);
+      const second = computeNextReview(first, 5, NOW);
+      const third = computeNextReview(second, 5, NOW);
+
+      expect(first.intervalDays).toBe(FIRST_INTERVAL_DAYS);
+      expect(second.intervalDays).toBe(SECOND_INTERVAL_DAYS);
+      expect(third.intervalDays).toBe(Math.round(SECOND_INTERVAL_DAYS * second.easeFactor));
+      expect(third.repetitions).toBe(3);
+    });
+
+    test("should start over after a miss", () => {
+      const state = { easeFactor: 2.5, intervalDays: 15, repetitions: 3 };
+      const next = computeNextReview(state, 1, NOW);
+
+      expect(next.repetitions).toBe(0);
+      expect(next.intervalDays).toBe(FIRST_INTERVAL_DAYS);
+    });
+
+    test("should raise ease on perfect answers and never drop below the minimum", () => {
+      expect(computeNextReview(null, 5, NOW).easeFactor).toBeGreaterThan(INITIAL_EASE_FACTOR);
+
+      let state = null;
+      for (let i = 0; i < 10; i++)
+      {
+        state = computeNextReview(state, 0, NOW);
+      }
+      expect(state.easeFactor).toBe(MIN_EASE_FACTOR);
+    });
+  });
+});
@@ -0,0 +1,211 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          taxonomy.test.js
+//  Description:   Integration tests for the question taxonomy:
+//                 GET  /api/taxonomy,
+//                 /api/admin/taxonomy/:level CRUD,
+//                 taxonomy checks on POST /api/admin/createquestion.
+//
+//  Dependencies:  supertest
+//                 mysql2 connection pool (server.js)
+//                 testHelpers
+//
+////////////////////////////////////////////////////////////////
+
+const request = require('supertest');
+const { app, pool } = require('../server');
+const { TEST_USER,
+        getAuthToken,
+        verifyTestDatabase,
+        insertQuestion,
+      } = require('./testHelpers');
+
+// Mock Discord webhook
+jest.mock('../services/discordWebhook', () => ({
+  sendNotification: jest.fn().mockResolvedValue(true),
+  notifyUserEvent: jest.fn().mockResolvedValue(true),
+  notifyError: jest.fn().mockResolvedValue(true),
+}));
+
+let token;
+const adminToken = process.env.ADMIN_KEY;
+
+// Entries created here all start with this, so cleanup leaves the seeded taxonomy alone
+const TEST_PREFIX = 'Test Taxonomy';
+
+/**
+ * Sends an admin taxonomy request
+ */
+const adminRequest = (method, path, body) => request(app)
+  [method](`/api/admin/taxonomy${path}`)
+  .set('Authorization', `Bearer ${adminToken}`)
+  .send(body);
+
+/**
+ * Fetches the seeded Introductory Programming category ID
+ */
+const getCategoryId = async (name = 'Introductory Programming') => {
+  const [[category]] = await pool.query('SELECT ID FROM Category WHERE NAME = ?', [name]);
+  return category.ID;
+};
+
+beforeAll(async () => {
+  await verifyTestDatabase(pool);
+  await pool.query('DELETE FROM User WHERE EMAIL = ?', [TEST_USER.email]);
+  token = await getAuthToken();
+});
+
+afterEach(async () => {
+  await pool.query('DELETE FROM AnswerText');
+  await pool.query('DELETE FROM Question');
+  await pool.query('DELETE FROM Subcategory WHERE NAME LIKE ?', [`${TEST_PREFIX}%`]);
+  await pool.query('DELETE FROM Category WHERE NAME LIKE ?', [`${TEST_PREFIX}%`]);
+  await pool.query('DELETE FROM Section WHERE NAME LIKE ?', [`${TEST_PREFIX}%`]);
+});
+
+afterAll(async () => {
+  await pool.query('DELETE FROM User WHERE EMAIL = ?', [TEST_USER.email]);
+  try
+  {
+    await pool.end();
+  }
+  catch (err)
+  {
+    console.error('Error closing pool in taxonomy.test.js:', err);
+  }
+});
+
+describe('GET /api/taxonomy', () => {
+
+  test('401 - requires auth', async () => {
+    const res = await request(app).get('/api/taxonomy');
+    expect(res.statusCode).toBe(401);
+  });
+
+  test('200 - lists sections and nested subcategories with display names', async () => {
+    const res = await request(app)
+      .get('/api/taxonomy')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.sections.map(section => section.name)).toEqual(expect.arrayContaining(['A', 'B', 'C', 'D']));
+
+    const intro = res.body.categories.find(category => category.name === 'Introductory Programming');
+    expect(intro.subcategories).toEqual(expect.arrayContaining([
+      expect.objectContaining({ name: 'InputOutput', displayName: 'Input/Output', difficulty: expect.any(Number) }),
+    ]));
+  });
+});
+
+describe('/api/admin/taxonomy/:level', () => {
+
+  test('403 - students cannot change the taxonomy', async () => {
+    const res = await request(app)
+      .post('/api/admin/taxonomy/sections')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: `${TEST_PREFIX} Section` });
+    expect(res.statusCode).toBe(403);
+  });
+
+  test('404 - unknown level', async () => {
+    const res = await adminRequest('post', '/topics', { name: `${TEST_PREFIX} Topic` });
+    expect(res.statusCode).toBe(404);
+  });
+
+  test('201 - admin adds a subcategory, 409 on a duplicate name', async () => {
+    const categoryId = await getCategoryId();
+    const body = { name: `${TEST_PREFIX} Heaps`, displayName: 'Heaps', categoryId, difficulty: 0.7 };
+
+    const res = await adminRequest('post', '/subcategories', body);
+    expect(res.statusCode).toBe(201);
+    expect(res.body.entry).toMatchObject({ name: `${TEST_PREFIX} Heaps`, displayName: 'Heaps', categoryId, difficulty: 0.7 });
+
+    const duplicate = await adminRequest('post', '/subcategories', body);
+    expect(duplicate.statusCode).toBe(409);
+  });
+
+  test('400 - subcategory in a category that does not exist', async () => {
+    const res = await adminRequest('post', '/subcategories', { name: `${TEST_PREFIX} Orphan`, categoryId: 999999 });
+    expect(res.statusCode).toBe(400);
+  });
+
+  test('200 - renaming a subcategory renames its questions and responses', async () => {
+    const created = await adminRequest('post', '/subcategories', { name: `${TEST_PREFIX} Old`, categoryId: await getCategoryId() });
+    const questionId = await insertQuestion('Multiple Choice', [], { subcategory: `${TEST_PREFIX} Old` });
+
+    const res = await adminRequest('put', `/subcategories/${created.body.entry.id}`, { name: `${TEST_PREFIX} New` });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.entry.name).toBe(`${TEST_PREFIX} New`);
+
+    const [[question]] = await pool.query('SELECT SUBCATEGORY, SUBCATEGORY_ID FROM Question WHERE ID = ?', [questionId]);
+    expect(question).toEqual({ SUBCATEGORY: `${TEST_PREFIX} New`, SUBCATEGORY_ID: created.body.entry.id });
+  });
+
+  test('409 - cannot delete a subcategory questions use', async () => {
+    const created = await adminRequest('post', '/subcategories', { name: `${TEST_PREFIX} Used`, categoryId: await getCategoryId() });
+    await insertQuestion('Multiple Choice', [], { subcategory: `${TEST_PREFIX} Used` });
+
+    const res = await adminRequest('delete', `/subcategories/${created.body.entry.id}`);
+    expect(res.statusCode).toBe(409);
+  });
+
+  test('409 - cannot delete a category with subcategories, 200 once empty', async () => {
+    const category = await adminRequest('post', '/categories', { name: `${TEST_PREFIX} Category` });
+    const subcategory = await adminRequest('post', '/subcategories', { name: `${TEST_PREFIX} Child`, categoryId: category.body.entry.id });
+
+    const blocked = await adminRequest('delete', `/categories/${category.body.entry.id}`);
+    expect(blocked.statusCode).toBe(409);
+
+    await adminRequest('delete', `/subcategories/${subcategory.body.entry.id}`);
+    const res = await adminRequest('delete', `/categories/${category.body.entry.id}`);
+    expect(res.statusCode).toBe(200);
+  });
+});
+
+describe('POST /api/admin/createquestion taxonomy checks', () => {
+
+  const question = {
+    type: 'Multiple Choice',
+    author_exam_id: 'KnightWise',
+    section: 'Section A',
+    category: 'Introductory Programming',
+    subcategory: 'Input/Output',
+    points_possible: 1,
+    question_text: 'Which reads a line?',
+    owner_id: null,
+    is_published: true,
+    answer_text: ['input()', 'print()'],
+    answer_correctness: [1, 0],
+    answer_rank: [null, null],
+    answer_placement: [null, null],
+  };
+
+  test('201 - display names are stored as canonical names with IDs', async () => {
+    const res = await request(app)
+      .post('/api/admin/createquestion')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send(question);
+    expect(res.statusCode).toBe(201);
+
+    const [[stored]] = await pool.query(
+      `SELECT q.SECTION, q.SUBCATEGORY, s.NAME AS LINKED_SUBCATEGORY
+       FROM Question q JOIN Subcategory s ON s.ID = q.SUBCATEGORY_ID
+       WHERE q.QUESTION_TEXT = ?`,
+      [question.question_text]
+    );
+    expect(stored).toEqual({ SECTION: 'A', SUBCATEGORY: 'InputOutput', LINKED_SUBCATEGORY: 'InputOutput' });
+  });
+
+  test('400 - unknown subcategory', async () => {
+    const res = await request(app)
+      .post('/api/admin/createquestion')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ ...question, subcategory: 'Quantum Sorting' });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toContain('Unknown subcategory');
+  });
+});
@@ -0,0 +1,145 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          taxonomyUtils.test.js
+//  Description:   Unit tests for taxonomy label resolution and
+//                 admin taxonomy entry validation.
+//
+//  Dependencies:  taxonomyUtils
+//                 taxonomyConfig
+//                 analyticsConfig
+//
+////////////////////////////////////////////////////////////////
+
+const {
+        taxonomyKey,
+        toTaxonomyTree,
+        buildTaxonomyIndex,
+        resolveTaxonomyLabels,
+        getTaxonomyLevel,
+        parseTaxonomyEntry,
+      } = require('../utils/taxonomyUtils');
+const { TAXONOMY_LEVELS } = require('../config/taxonomyConfig');
+const { DEFAULT_DIFFICULTY } = require('../../shared/analyticsConfig');
+
+const taxonomy = {
+  sections: [
+    { ID: 1, NAME: 'A', DISPLAY_NAME: 'Section A', SORT_ORDER: 1 },
+  ],
+  categories: [
+    { ID: 10, NAME: 'Introductory Programming', DISPLAY_NAME: 'Introductory Programming', SORT_ORDER: 1 },
+    { ID: 11, NAME: 'Simple Data Structures', DISPLAY_NAME: 'Simple Data Structures', SORT_ORDER: 2 },
+  ],
+  subcategories: [
+    { ID: 100, CATEGORY_ID: 10, NAME: 'InputOutput', DISPLAY_NAME: 'Input/Output', DIFFICULTY: '0.20', SORT_ORDER: 1 },
+    { ID: 101, CATEGORY_ID: 11, NAME: 'Arrays', DISPLAY_NAME: 'Arrays', DIFFICULTY: '0.50', SORT_ORDER: 1 },
+  ],
+};
+
+const labels = { section: 'A', category: 'Introductory Programming', subcategory: 'InputOutput' };
+
+describe("Taxonomy Utils", () => {
+
+  describe("resolveTaxonomyLabels Tests", () => {
+
+    test("should resolve names to IDs and canonical names", () => {
+      const { taxonomy: resolved, errors } = resolveTaxonomyLabels(buildTaxonomyIndex(taxonomy), labels);
+
+      expect(errors).toEqual([]);
+      expect(resolved).toEqual({
+        sectionId: 1, section: 'A',
+        categoryId: 10, category: 'Introductory Programming',
+        subcategoryId: 100, subcategory: 'InputOutput',
+      });
+    });
+
+    test("should accept display names and legacy spellings", () => {
+      const index = buildTaxonomyIndex(taxonomy);
+
+      for (const subcategory of ['Input/Output', 'inputoutput', 'InputOutput', ' Input/Output\n'])
+      {
+        const { taxonomy: resolved } = resolveTaxonomyLabels(index, { ...labels, section: 'section a', subcategory });
+        expect(resolved).toMatchObject({ sectionId: 1, subcategoryId: 100, subcategory: 'InputOutput' });
+      }
+    });
+
+    test("should report every unknown label", () => {
+      const { taxonomy: resolved, errors } = resolveTaxonomyLabels(buildTaxonomyIndex(taxonomy), {
+        section: 'Z', category: 'Nope', subcategory: undefined,
+      });
+
+      expect(resolved).toBeNull();
+      expect(errors).toEqual(['Unknown section "Z"', 'Unknown category "Nope"', 'Unknown subcategory ""']);
+    });
+
+    test("should reject a subcategory from another category", () => {
+      const { errors } = resolveTaxonomyLabels(buildTaxonomyIndex(taxonomy), { ...labels, subcategory: 'Arrays' });
+
+      expect(errors).toEqual(['Subcategory "Arrays" is not in category "Introductory Programming"']);
+    });
+
+    test("should prefer a NAME over another entry's DISPLAY_NAME", () => {
+      const index = buildTaxonomyIndex({
+        ...taxonomy,
+        sections: [
+          { ID: 1, NAME: 'A', DISPLAY_NAME: 'B', SORT_ORDER: 1 },
+          { ID: 2, NAME: 'B', DISPLAY_NAME: 'Section B', SORT_ORDER: 2 },
+        ],
+      });
+
+      expect(index.sections.get(taxonomyKey('B')).ID).toBe(2);
+    });
+  });
+
+  describe("toTaxonomyTree Tests", () => {
+
+    test("should nest subcategories under their category", () => {
+      const tree = toTaxonomyTree(taxonomy);
+
+      expect(tree.sections).toEqual([{ id: 1, name: 'A', displayName: 'Section A', sortOrder: 1 }]);
+      expect(tree.categories.map(category => category.subcategories.map(subcategory => subcategory.name)))
+        .toEqual([['InputOutput'], ['Arrays']]);
+      expect(tree.categories[0].subcategories[0]).toMatchObject({ categoryId: 10, difficulty: 0.2 });
+    });
+  });
+
+  describe("parseTaxonomyEntry Tests", () => {
+
+    test("should default display name, sort order and difficulty", () => {
+      const fields = parseTaxonomyEntry(TAXONOMY_LEVELS.subcategories, { name: ' Heaps ', categoryId: 11 }, 'test');
+
+      expect(fields).toEqual({
+        NAME: 'Heaps', DISPLAY_NAME: 'Heaps', SORT_ORDER: 0,
+        CATEGORY_ID: 11, DIFFICULTY: DEFAULT_DIFFICULTY,
+      });
+    });
+
+    test("should only return the fields sent for a partial update", () => {
+      const fields = parseTaxonomyEntry(TAXONOMY_LEVELS.subcategories, { difficulty: 0.9 }, 'test', { partial: true });
+
+      expect(fields).toEqual({ DIFFICULTY: 0.9 });
+    });
+
+    test("should reject invalid fields", () => {
+      const { subcategories, sections } = TAXONOMY_LEVELS;
+
+      expect(() => parseTaxonomyEntry(sections, { name: '' }, 'test')).toThrow('Invalid section name');
+      expect(() => parseTaxonomyEntry(sections, { name: 'x'.repeat(101) }, 'test')).toThrow('Invalid section name');
+      expect(() => parseTaxonomyEntry(sections, { name: 'E', sortOrder: 1.5 }, 'test')).toThrow('Invalid sortOrder');
+      expect(() => parseTaxonomyEntry(sections, { name: 'E', difficulty: 0.5 }, 'test')).toThrow('difficulty sent for a section');
+      expect(() => parseTaxonomyEntry(subcategories, { name: 'Heaps' }, 'test')).toThrow('Invalid categoryId');
+      expect(() => parseTaxonomyEntry(subcategories, { name: 'Heaps', categoryId: 11, difficulty: 1.5 }, 'test'))
+        .toThrow('Invalid difficulty');
+    });
+  });
+
+  describe("getTaxonomyLevel Tests", () => {
+
+    test("should only accept known levels", () => {
+      expect(getTaxonomyLevel('categories', 'test')).toBe(TAXONOMY_LEVELS.categories);
+      expect(() => getTaxonomyLevel('constructor', 'test')).toThrow(expect.objectContaining({ statusCode: 404 }));
+    });
+  });
+});
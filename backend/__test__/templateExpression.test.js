@@ -0,0 +1,110 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          templateExpression.test.js
+//  Description:   Unit tests for the expression language used
+//                 in question template placeholders.
+//
+//  Dependencies:  templateExpression
+//                 questionTemplateConfig
+//
+////////////////////////////////////////////////////////////////
+
+const {
+  TemplateExpressionError,
+  parseExpression,
+  evaluateExpression,
+  formatValue,
+} = require('../services/templateExpression');
+const { MAX_EXPRESSION_LENGTH } = require('../config/questionTemplateConfig');
+
+// Parses and evaluates an expression with the given variables
+const run = (source, variables = {}) => evaluateExpression(parseExpression(source), new Map(Object.entries(variables)));
+
+describe("Template Expression", () => {
+
+  describe("Operator Tests", () => {
+
+    test("should follow arithmetic precedence", () => {
+      expect(run('1 + 2 * 3')).toBe(7);
+      expect(run('(1 + 2) * 3')).toBe(9);
+      expect(run('2 ** 3 ** 2')).toBe(512);
+      expect(run('-2 ** 2')).toBe(-4);
+      expect(run('7 % 3 + 10 / 4')).toBe(3.5);
+    });
+
+    test("should support bitwise, shift and comparison operators", () => {
+      expect(run('6 & 3 | 8')).toBe(10);
+      expect(run('5 ^ 1')).toBe(4);
+      expect(run('1 << 4 >> 2')).toBe(4);
+      expect(run('~0')).toBe(-1);
+      expect(run('3 <= 3 && 2 != 3')).toBe(true);
+      expect(run('!(1 > 2) ? "yes" : "no"')).toBe('yes');
+    });
+
+    test("should index lists and strings, and join lists with +", () => {
+      const variables = { arr: [4, 8, 15], bits: '1010' };
+      expect(run('arr[len(arr) - 1]', variables)).toBe(15);
+      expect(run('bits[0]', variables)).toBe('1');
+      expect(run('arr + [16]', variables)).toEqual([4, 8, 15, 16]);
+    });
+
+    test("should treat division by zero and out of range indexes as errors", () => {
+      expect(() => run('1 / 0')).toThrow('Division by zero');
+      expect(() => run('arr[3]', { arr: [1, 2, 3] })).toThrow(TemplateExpressionError);
+    });
+  });
+
+  describe("Function Tests", () => {
+
+    test("should compute list helpers", () => {
+      const variables = { arr: [3, 1, 2] };
+      expect(run('sum(arr)', variables)).toBe(6);
+      expect(run('sort(arr)', variables)).toEqual([1, 2, 3]);
+      expect(run('max(arr)', variables)).toBe(3);
+      expect(run('indexOf(arr, 2)', variables)).toBe(2);
+      expect(run('slice(arr, 1, 3)', variables)).toEqual([1, 2]);
+      expect(run('range(3)')).toEqual([0, 1, 2]);
+    });
+
+    test("should convert between numbers and bit strings", () => {
+      expect(run('bin(5, 8)')).toBe('00000101');
+      expect(run('bin(-1, 4)')).toBe('1111');
+      expect(run('fromBin("1010")')).toBe(10);
+      expect(run('hex(255)')).toBe('FF');
+      expect(run('popcount(7)')).toBe(3);
+    });
+
+    test("should reject unknown functions and wrong argument counts", () => {
+      expect(() => run('eval("1")')).toThrow('Unknown function "eval"');
+      expect(() => run('idiv(1)')).toThrow(TemplateExpressionError);
+    });
+  });
+
+  describe("parseExpression Tests", () => {
+
+    test("should reject invalid and overly long expressions", () => {
+      expect(() => parseExpression('')).toThrow('Expression is empty');
+      expect(() => parseExpression('1 +')).toThrow(TemplateExpressionError);
+      expect(() => parseExpression('a; b')).toThrow(TemplateExpressionError);
+      expect(() => parseExpression('1'.repeat(MAX_EXPRESSION_LENGTH + 1))).toThrow(TemplateExpressionError);
+    });
+
+    test("should not reach JavaScript globals or properties", () => {
+      expect(() => run('constructor')).toThrow('Unknown variable "constructor"');
+      expect(() => run('process.exit(1)')).toThrow(TemplateExpressionError);
+    });
+  });
+
+  describe("formatValue Tests", () => {
+
+    test("should format lists, decimals and booleans for question text", () => {
+      expect(formatValue([1, [2, 3]])).toBe('[1, [2, 3]]');
+      expect(formatValue(1 / 3)).toBe('0.333333');
+      expect(formatValue(true)).toBe('true');
+      expect(formatValue('abc')).toBe('abc');
+    });
+  });
+});
@@ -75,6 +75,27 @@ test("GET /api/test/topic/:topicName", async () => {
   expect(res.body[0].SUBCATEGORY).toBe("test");
 });
 
+test("GET /api/test/topic/:topicName does not expose the answer key", async () => {
+  await insertQuestion('Ranked Choice',
+  [
+    { text: 'First',  isCorrect: true, rank: 1 },
+    { text: 'Second', isCorrect: true, rank: 2 },
+    { text: 'Third',  isCorrect: true, rank: 3 },
+  ]);
+
+  const res = await request(app)
+    .get("/api/test/topic/Arrays")
+    .set("Authorization", `Bearer ${token}`);
+
+  expect(res.statusCode).toBe(200);
+  expect(res.body[0].answers).toBeUndefined();
+  expect(res.body[0].options).toHaveLength(3);
+  res.body[0].options.forEach(option => {
+    expect(Object.keys(option).sort()).toEqual(['id', 'text']);
+  });
+  expect(JSON.stringify(res.body)).not.toMatch(/IS_CORRECT_ANSWER|RANK|PLACEMENT/);
+});
+
 test("GET /api/test/topic/:topicName requires auth", async () => {
   const res = await request(app).get("/api/test/topic/noauth");
   expect(res.statusCode).toBe(401);
@@ -118,6 +139,63 @@ test("GET /api/test/mocktest requires auth", async () => {
   expect(res.statusCode).toBe(401);
 });
 
+// adaptive practice test cases
+describe("GET /api/test/adaptive", () => {
+
+  const MC_ANSWERS = [
+    { text: 'Right', isCorrect: true  },
+    { text: 'Wrong', isCorrect: false },
+  ];
+
+  test("GET /api/test/adaptive requires auth", async () => {
+    const res = await request(app).get("/api/test/adaptive");
+    expect(res.statusCode).toBe(401);
+  });
+
+  test("GET /api/test/adaptive returns a student-safe practice set of the requested size", async () => {
+    for (let i = 0; i < 6; i++)
+    {
+      await insertQuestion('Multiple Choice', MC_ANSWERS);
+    }
+
+    const res = await request(app)
+      .get("/api/test/adaptive?count=4&seed=abc")
+      .set("Authorization", `Bearer ${token}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.total).toBe(4);
+    expect(res.body.seed).toBe('abc');
+    expect(res.body.focus[0].subcategory).toBe('Arrays');
+    expect(JSON.stringify(res.body.questions)).not.toMatch(/IS_CORRECT_ANSWER/);
+  });
+
+  test("GET /api/test/adaptive skips recently mastered questions", async () => {
+    const mastered = await insertQuestion('Multiple Choice', MC_ANSWERS);
+    const fresh = await insertQuestion('Multiple Choice', MC_ANSWERS);
+    await submitAndFetch(mastered, 'Right', token);
+    await submitAndFetch(mastered, 'Right', token);
+
+    const res = await request(app)
+      .get("/api/test/adaptive")
+      .set("Authorization", `Bearer ${token}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.questions.map(q => q.ID)).toEqual([fresh]);
+  });
+
+  test("GET /api/test/adaptive returns 404 when everything is mastered", async () => {
+    const mastered = await insertQuestion('Multiple Choice', MC_ANSWERS);
+    await submitAndFetch(mastered, 'Right', token);
+    await submitAndFetch(mastered, 'Right', token);
+
+    const res = await request(app)
+      .get("/api/test/adaptive")
+      .set("Authorization", `Bearer ${token}`);
+
+    expect(res.statusCode).toBe(404);
+  });
+});
+
 // Test submit route
 describe("POST /api/test/submit", () => {
 
@@ -137,6 +215,31 @@ describe("POST /api/test/submit", () => {
         .send({ problem_id: 999999, userAnswer: 'test', category: 'c', topic: 't' });
       expect(res.statusCode).toBe(404);
     });
+
+    test("POST /api/test/submit returns 404 for a retired question", async () => {
+      const questionId = await insertQuestion('Multiple Choice', [{ text: 'A', isCorrect: true }], { isPublished: false });
+      await pool.query("UPDATE Question SET REVIEW_STATUS = 'retired' WHERE ID = ?", [questionId]);
+
+      const res = await request(app)
+        .post('/api/test/submit')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ problem_id: questionId, userAnswer: 'A', category: 'c', topic: 't' });
+      expect(res.statusCode).toBe(404);
+    });
+
+    test("POST /api/test/submit refuses to grade a question with no correct answer", async () => {
+      const questionId = await insertQuestion('Multiple Choice', [{ text: 'A' }, { text: 'B' }]);
+
+      const res = await request(app)
+        .post('/api/test/submit')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ problem_id: questionId, userAnswer: 'A', category: 'c', topic: 't' });
+
+      expect(res.statusCode).toBe(500);
+      expect(res.body.message).toBe('This question is set up incorrectly and cannot be graded');
+      const [[{ total }]] = await pool.query('SELECT COUNT(*) AS total FROM Response WHERE PROBLEM_ID = ?', [questionId]);
+      expect(total).toBe(0);
+    });
   });
 
   describe("Multiple Choice Serialization Tests", () => { 
@@ -173,6 +276,65 @@ describe("POST /api/test/submit", () => {
     });
   });
 
+  describe("Answer Option ID Tests", () => {
+
+    /**
+     * Fetches the topic practice projection of the only question in 'Arrays'
+     * and returns a map of option text -> opaque option ID
+     */
+    const getOptionIds = async () => {
+      const res = await request(app)
+        .get('/api/test/topic/Arrays')
+        .set('Authorization', `Bearer ${token}`);
+      return Object.fromEntries(res.body[0].options.map(o => [o.text, o.id]));
+    };
+
+    test("POST /api/test/submit grades Multiple Choice submitted by option ID", async () => {
+      const questionId = await insertQuestion('Multiple Choice',
+      [
+        { text: 'Right', isCorrect: true  },
+        { text: 'Wrong', isCorrect: false },
+      ]);
+      const ids = await getOptionIds();
+
+      const { res, stored } = await submitAndFetch(questionId, ids['Right'], token);
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.isCorrect).toBe(true);
+      expect(stored.selected).toBe('Right');
+    });
+
+    test("POST /api/test/submit grades Ranked Choice submitted by option IDs", async () => {
+      const questionId = await insertQuestion('Ranked Choice',
+      [
+        { text: 'First',  isCorrect: true, rank: 1 },
+        { text: 'Second', isCorrect: true, rank: 2 },
+      ]);
+      const ids = await getOptionIds();
+
+      const { res, stored } = await submitAndFetch(questionId, [ids['Second'], ids['First']], token);
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.isCorrect).toBe(false);
+      expect(stored.order).toEqual(['Second', 'First']);
+    });
+
+    test("POST /api/test/submit grades Drag and Drop submitted by option IDs", async () => {
+      const questionId = await insertQuestion('Drag and Drop',
+      [
+        { text: 'Answer A', isCorrect: true, placement: 'Zone 1' },
+        { text: 'Answer B', isCorrect: true, placement: 'Zone 2' },
+      ]);
+      const ids = await getOptionIds();
+
+      const { res, stored } = await submitAndFetch(questionId, { [ids['Answer A']]: 'Zone 1', [ids['Answer B']]: 'Zone 2' }, token);
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.isCorrect).toBe(true);
+      expect(stored.placements).toEqual({ 'Answer A': 'Zone 1', 'Answer B': 'Zone 2' });
+    });
+  });
+
   describe("Fill in the Blanks Serialization Tests", () => { 
 
     test("POST /api/test/submit serializes Fill in the Blanks answer correctly", async () => {
@@ -8,24 +8,51 @@
 //                 submission limits.
 //                 Numbers may need fine-tuning
 //
+//  Dependencies:  codeRunnerConfig
+//
 ////////////////////////////////////////////////////////////////
 
+const { CODE_RUNNERS, CODE_RUNNER } = require('./codeRunnerConfig');
+
 // Maximum allowed size of submitted code, in bytes
 const MAX_CODE_BYTES = 10000;
 
-// Maximum allowed code submissions a day for an individual user
+// Maximum allowed code submissions a day for an individual user, per code runner.
 // Judge0's free cloud tier supports 50 free code submissions per day.
-const MAX_SUBMISSIONS_PER_DAY = 10;
+// Self-hosted Judge0 and the local runner have no quota, only server load to worry about.
+const SUBMISSIONS_PER_DAY_BY_RUNNER = {
+  [CODE_RUNNERS.RAPIDAPI]: 10,
+  [CODE_RUNNERS.JUDGE0]:   100,
+  [CODE_RUNNERS.LOCAL]:    100,
+};
+
+// MAX_SUBMISSIONS_PER_DAY in .env overrides the runner's default
+const envSubmissionsPerDay = parseInt(process.env.MAX_SUBMISSIONS_PER_DAY, 10);
+const MAX_SUBMISSIONS_PER_DAY = (envSubmissionsPerDay > 0
+  ? envSubmissionsPerDay
+  : SUBMISSIONS_PER_DAY_BY_RUNNER[CODE_RUNNER]
+);
 
 // Maximum allowed test runs per problem for an individual user
 // Resets per problem daily
 const MAX_TEST_RUNS_PER_PROBLEM = 3;
 
+// Code jobs (services/codeJobQueue.js) run in the background, this many at a time
+const MAX_CONCURRENT_CODE_JOBS = 4;
+
+// How many times a job polls the code runner for each test case, once a second.
+// Jobs don't hold up a request, so they can wait out a slow Judge0 queue.
+const CODE_JOB_POLL_ATTEMPTS = 120;
+
+// How long a finished job can still be fetched
+const CODE_JOB_TTL_MS = 15 * 60 * 1000;
+
 /*
  * Judge0 already enforces the following runtime and memory limits:
  *   cpu_time_limit :5
  *   memory_limit   :256000
  * Which can be found by calling the Get Configuration endpoint on RapidAPI.
+ * The local runner enforces the same limits (LOCAL_RUNNER in codeRunnerConfig).
  * Still, we may want to enforce our own limits. That's what these constants are for.
  * 
  * // Maximum allowed runtime of submitted code, in milliseconds 
@@ -57,6 +84,9 @@ module.exports = {
     MAX_CODE_BYTES,
     MAX_SUBMISSIONS_PER_DAY,
     MAX_TEST_RUNS_PER_PROBLEM,
+    MAX_CONCURRENT_CODE_JOBS,
+    CODE_JOB_POLL_ATTEMPTS,
+    CODE_JOB_TTL_MS,
     // MAX_RUNTIME_MS,
     // MAX_MEMORY_KB,
     getProgrammingSubmissionsRemaining,
@@ -0,0 +1,66 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          codeRunnerConfig.js
+//  Description:   Config file used to pick and set up the code
+//                 execution provider (services/judge0Service.js).
+//
+////////////////////////////////////////////////////////////////
+
+// Available code execution providers, set with CODE_RUNNER in .env
+//   rapidapi: Judge0 CE hosted on RapidAPI (needs RAPIDAPI_KEY)
+//   judge0:   Self-hosted Judge0 instance (needs JUDGE0_URL, JUDGE0_AUTH_TOKEN if auth is on)
+//   local:    Compiles and runs code in subprocesses on this server
+const CODE_RUNNERS = Object.freeze({
+  RAPIDAPI: 'rapidapi',
+  JUDGE0:   'judge0',
+  LOCAL:    'local',
+});
+
+const CODE_RUNNER = (process.env.CODE_RUNNER || CODE_RUNNERS.RAPIDAPI).trim().toLowerCase();
+
+if (!Object.values(CODE_RUNNERS).includes(CODE_RUNNER))
+{
+  throw new Error(
+    `Unknown CODE_RUNNER "${CODE_RUNNER}", expected one of: ${Object.values(CODE_RUNNERS).join(', ')}`
+  );
+}
+
+const RAPIDAPI_JUDGE0 = Object.freeze({
+  URL:  'https://judge0-ce.p.rapidapi.com',
+  HOST: 'judge0-ce.p.rapidapi.com',
+  KEY:  process.env.RAPIDAPI_KEY,
+});
+
+// Judge0 reads the auth token from the X-Auth-Token header
+// unless AUTHN_HEADER is changed in judge0.conf
+const SELF_HOSTED_JUDGE0 = Object.freeze({
+  URL:         process.env.JUDGE0_URL?.replace(/\/+$/, ''),
+  AUTH_TOKEN:  process.env.JUDGE0_AUTH_TOKEN,
+  AUTH_HEADER: process.env.JUDGE0_AUTH_HEADER || 'X-Auth-Token',
+});
+
+// Limits for the local runner. Defaults match Judge0's
+// cpu_time_limit, memory_limit and max_file_size.
+const LOCAL_RUNNER = Object.freeze({
+  CPU_TIME_LIMIT_S:   5,
+  WALL_TIME_LIMIT_MS: 10000,   // Catches code that sleeps or waits on input
+  COMPILE_TIME_MS:    20000,   // javac is slow to start
+  MEMORY_LIMIT_KB:    256000,
+  MAX_FILE_SIZE_KB:   1024,    // Largest file the code may write
+  MAX_OUTPUT_BYTES:   65536,   // Stdout/stderr kept per run, more is an output limit error
+
+  // User code runs as the server's OS user, with none of the isolation Judge0 gives.
+  // It's meant for development and trusted deployments, so production needs an explicit opt-in.
+  ALLOW_IN_PRODUCTION: process.env.LOCAL_RUNNER_ALLOW_PRODUCTION === 'true',
+});
+
+module.exports = {
+  CODE_RUNNERS,
+  CODE_RUNNER,
+  RAPIDAPI_JUDGE0,
+  SELF_HOSTED_JUDGE0,
+  LOCAL_RUNNER,
+};
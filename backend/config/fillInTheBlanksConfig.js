@@ -0,0 +1,48 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          fillInTheBlanksConfig.js
+//  Description:   Config file for Fill in the Blanks questions
+//                 with several named blanks, how each blank's
+//                 answer is matched and how blanks are marked in
+//                 the question text.
+//
+////////////////////////////////////////////////////////////////
+
+// How a typed answer is matched against a blank's accepted answers
+// exact          - same text, ignoring case and extra spaces
+// case-sensitive - same text, ignoring extra spaces only
+// fuzzy          - partial credit by edit distance, how single blank questions are graded
+// regex          - the whole answer matches an accepted answer as a pattern
+const MATCH_MODES = Object.freeze({
+  EXACT:          'exact',
+  CASE_SENSITIVE: 'case-sensitive',
+  FUZZY:          'fuzzy',
+  REGEX:          'regex',
+});
+
+// Where a blank goes in Question.QUESTION_TEXT, e.g. "prev.next = [[link]];"
+const BLANK_MARKER = /\[\[([A-Za-z][\w-]{0,31})\]\]/g;
+
+// What a blank's ID can be, the same as inside BLANK_MARKER
+const BLANK_ID_PATTERN = /^[A-Za-z][\w-]{0,31}$/;
+
+// Most blanks a question can have
+const MAX_BLANKS = 10;
+
+// Biggest weight a blank can have, weights only matter relative to each other
+const MAX_BLANK_WEIGHT = 100;
+
+// Longest answer matched against a regex blank, so a slow pattern can't run for long
+const MAX_REGEX_ANSWER_LENGTH = 500;
+
+module.exports = {
+  MATCH_MODES,
+  BLANK_MARKER,
+  BLANK_ID_PATTERN,
+  MAX_BLANKS,
+  MAX_BLANK_WEIGHT,
+  MAX_REGEX_ANSWER_LENGTH,
+};
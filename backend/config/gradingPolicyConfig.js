@@ -0,0 +1,61 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          gradingPolicyConfig.js
+//  Description:   Config file for question grading policies,
+//                 how a question's score is worked out from the
+//                 parts a student got right and wrong.
+//
+////////////////////////////////////////////////////////////////
+
+// How a score is worked out from the parts of an answer
+// partial        - credit for each part right, nothing off for wrong ones
+// negative       - credit for each part right, less the penalty for each wrong
+//                  part given (parts left empty cost nothing), never below 0
+// all-or-nothing - full credit for a fully correct answer, none otherwise
+const SCORING_MODES = Object.freeze({
+  PARTIAL:        'partial',
+  NEGATIVE:       'negative',
+  ALL_OR_NOTHING: 'all-or-nothing',
+});
+
+// How far a Ranked Choice order is from the right one
+// kendall  - share of pairs of items in the wrong order (Kendall tau distance)
+// spearman - sum of how far each item is from its place, squared (Spearman distance)
+const RANKING_METRICS = Object.freeze({
+  KENDALL:  'kendall',
+  SPEARMAN: 'spearman',
+});
+
+// Types with parts that can each be wrong, the only ones negative marking works on.
+// Fill in the Blanks questions also need several blanks.
+const NEGATIVE_MARKING_TYPES = Object.freeze([
+  'Select All That Apply',
+  'Drag and Drop',
+  'Fill in the Blanks',
+]);
+
+// How each type is scored without a policy, Select All That Apply
+// has always taken a right pick off for each wrong one
+const DEFAULT_SCORING_MODES = Object.freeze({
+  'Select All That Apply': SCORING_MODES.NEGATIVE,
+});
+
+// What a wrong part costs under negative marking, as a share of a right part's credit
+const DEFAULT_PENALTY = 1;
+const MAX_PENALTY = 1;
+
+// Fuzzy matches less alike than this get no credit, 0 gives credit for any likeness
+const DEFAULT_FUZZY_THRESHOLD = 0;
+
+module.exports = {
+  SCORING_MODES,
+  RANKING_METRICS,
+  NEGATIVE_MARKING_TYPES,
+  DEFAULT_SCORING_MODES,
+  DEFAULT_PENALTY,
+  MAX_PENALTY,
+  DEFAULT_FUZZY_THRESHOLD,
+};
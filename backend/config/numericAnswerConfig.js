@@ -0,0 +1,40 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          numericAnswerConfig.js
+//  Description:   Config file for Numeric questions, how close
+//                 an answer has to be and what partial credit
+//                 answers further off can get.
+//
+////////////////////////////////////////////////////////////////
+
+// How a tolerance is measured against the expected value
+// absolute - difference, e.g. 0.01 accepts 3.13 to 3.15 for 3.14
+// relative - difference as a share of the expected value, e.g. 0.05 is within 5%
+const TOLERANCE_TYPES = Object.freeze({
+  ABSOLUTE: 'absolute',
+  RELATIVE: 'relative',
+});
+
+// Settings of a Numeric question that has none stored: exact answers only
+const DEFAULT_NUMERIC_SETTINGS = Object.freeze({
+  tolerance:     0,
+  toleranceType: TOLERANCE_TYPES.ABSOLUTE,
+  unit:          null,
+  creditBands:   Object.freeze([]),
+});
+
+// Most partial credit bands a question can have
+const MAX_CREDIT_BANDS = 5;
+
+// Longest unit, e.g. "ms" or "comparisons"
+const MAX_UNIT_LENGTH = 32;
+
+module.exports = {
+  TOLERANCE_TYPES,
+  DEFAULT_NUMERIC_SETTINGS,
+  MAX_CREDIT_BANDS,
+  MAX_UNIT_LENGTH,
+};
@@ -0,0 +1,40 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          questionAssetConfig.js
+//  Description:   Config file for images uploaded for question
+//                 text (diagrams, figures).
+//
+//  Dependencies:  path
+//
+////////////////////////////////////////////////////////////////
+
+const path = require('path');
+
+// Image types authors may upload, identified by their leading bytes rather
+// than the Content-Type header. SVG is left out since it can carry scripts.
+const ASSET_IMAGE_TYPES = Object.freeze([
+  { mimeType: 'image/png',  extension: 'png',  signature: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] },
+  { mimeType: 'image/jpeg', extension: 'jpg',  signature: [0xFF, 0xD8, 0xFF] },
+  { mimeType: 'image/gif',  extension: 'gif',  signature: [0x47, 0x49, 0x46, 0x38] },
+  // RIFF....WEBP, the size in bytes 4-7 is skipped
+  { mimeType: 'image/webp', extension: 'webp', signature: [0x52, 0x49, 0x46, 0x46], tag: { offset: 8, bytes: [0x57, 0x45, 0x42, 0x50] } },
+]);
+
+// Largest image upload
+const MAX_ASSET_BYTES = 2 * 1024 * 1024;
+
+// Where uploaded images are stored, override with QUESTION_ASSET_DIR
+const ASSET_DIR = process.env.QUESTION_ASSET_DIR || path.resolve(__dirname, '../uploads/question-assets');
+
+// Public path images are served from, question text links to these
+const ASSET_URL_PREFIX = '/api/assets';
+
+module.exports = {
+  ASSET_IMAGE_TYPES,
+  MAX_ASSET_BYTES,
+  ASSET_DIR,
+  ASSET_URL_PREFIX,
+};
@@ -0,0 +1,40 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          questionBankConfig.js
+//  Description:   Config file for question bank import and
+//                 export (JSON bundle, QTI 2.1, Moodle GIFT).
+//
+////////////////////////////////////////////////////////////////
+
+// Formats questions can be imported from and exported to
+const QUESTION_BANK_FORMATS = Object.freeze({
+  JSON: 'json',
+  QTI:  'qti',
+  GIFT: 'gift',
+});
+
+// Identifies a KnightWise JSON bundle, and the version of its layout.
+// Bump the version if a field changes meaning, so old bundles can still be read.
+const BUNDLE_FORMAT  = 'knightwise-question-bank';
+const BUNDLE_VERSION = 1;
+
+// Largest import request body. Other requests keep Express's 100kb default.
+const MAX_IMPORT_BYTES = '5mb';
+
+// Most a QTI zip package may unpack to, so a small upload can't expand without limit
+const MAX_UNZIPPED_BYTES = 20 * 1024 * 1024;
+
+// Most questions one import can create
+const MAX_IMPORT_QUESTIONS = 500;
+
+module.exports = {
+  QUESTION_BANK_FORMATS,
+  BUNDLE_FORMAT,
+  BUNDLE_VERSION,
+  MAX_IMPORT_BYTES,
+  MAX_UNZIPPED_BYTES,
+  MAX_IMPORT_QUESTIONS,
+};
@@ -0,0 +1,27 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          questionHintConfig.js
+//  Description:   Config file for the worked explanation, hints
+//                 and answer rationales authors attach to a
+//                 question. What a hint costs is HINT_PENALTY_SHARE
+//                 in shared/currencyConfig.js.
+//
+////////////////////////////////////////////////////////////////
+
+// Most hints a question can have, revealed in order
+const MAX_HINTS_PER_QUESTION = 5;
+
+// Longest hint, explanation and answer rationale, in characters
+const MAX_HINT_LENGTH        = 2000;
+const MAX_EXPLANATION_LENGTH = 10000;
+const MAX_RATIONALE_LENGTH   = 2000;
+
+module.exports = {
+  MAX_HINTS_PER_QUESTION,
+  MAX_HINT_LENGTH,
+  MAX_EXPLANATION_LENGTH,
+  MAX_RATIONALE_LENGTH,
+};
@@ -0,0 +1,111 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          questionReviewConfig.js
+//  Description:   Config file for the question review workflow
+//                 (draft -> in review -> changes requested or
+//                 approved -> published -> retired)
+//
+////////////////////////////////////////////////////////////////
+
+// Question.REVIEW_STATUS values
+const REVIEW_STATUSES = Object.freeze({
+  DRAFT:             'draft',
+  IN_REVIEW:         'in_review',
+  CHANGES_REQUESTED: 'changes_requested',
+  APPROVED:          'approved',
+  PUBLISHED:         'published',
+  RETIRED:           'retired',
+});
+
+// Who may take an action:
+//   owner    - the question's owner, or an admin
+//   reviewer - an admin, or a verified professor who doesn't own the question
+const REVIEW_ACTORS = Object.freeze({
+  OWNER:    'owner',
+  REVIEWER: 'reviewer',
+});
+
+// QuestionReviewEvent.ACTION values that aren't transitions
+const REVIEW_EVENT_ACTIONS = Object.freeze({
+  COMMENT: 'comment', // Threaded comment, no status change
+  EDIT:    'edit',    // Editing or rolling back sends the question back to draft
+});
+
+// Transitions by action. Admins may also publish from adminFrom,
+// so the admin bot can still publish without a review.
+// Retiring replaces deleting, so any question can be retired.
+const REVIEW_TRANSITIONS = Object.freeze({
+  submit: {
+    from: [REVIEW_STATUSES.DRAFT, REVIEW_STATUSES.CHANGES_REQUESTED],
+    to: REVIEW_STATUSES.IN_REVIEW,
+    actor: REVIEW_ACTORS.OWNER,
+    label: 'submitted for review',
+  },
+  request_changes: {
+    from: [REVIEW_STATUSES.IN_REVIEW],
+    to: REVIEW_STATUSES.CHANGES_REQUESTED,
+    actor: REVIEW_ACTORS.REVIEWER,
+    label: 'sent back with changes requested',
+    commentRequired: true,
+  },
+  approve: {
+    from: [REVIEW_STATUSES.IN_REVIEW],
+    to: REVIEW_STATUSES.APPROVED,
+    actor: REVIEW_ACTORS.REVIEWER,
+    label: 'approved',
+  },
+  publish: {
+    from: [REVIEW_STATUSES.APPROVED],
+    adminFrom: [REVIEW_STATUSES.DRAFT, REVIEW_STATUSES.IN_REVIEW, REVIEW_STATUSES.CHANGES_REQUESTED, REVIEW_STATUSES.APPROVED],
+    to: REVIEW_STATUSES.PUBLISHED,
+    actor: REVIEW_ACTORS.OWNER,
+    label: 'published',
+  },
+  retire: {
+    from: [
+      REVIEW_STATUSES.DRAFT,
+      REVIEW_STATUSES.IN_REVIEW,
+      REVIEW_STATUSES.CHANGES_REQUESTED,
+      REVIEW_STATUSES.APPROVED,
+      REVIEW_STATUSES.PUBLISHED,
+    ],
+    to: REVIEW_STATUSES.RETIRED,
+    actor: REVIEW_ACTORS.OWNER,
+    label: 'retired',
+  },
+  withdraw: {
+    from: [REVIEW_STATUSES.IN_REVIEW, REVIEW_STATUSES.CHANGES_REQUESTED, REVIEW_STATUSES.APPROVED],
+    to: REVIEW_STATUSES.DRAFT,
+    actor: REVIEW_ACTORS.OWNER,
+    label: 'withdrawn to draft',
+  },
+  reopen: {
+    from: [REVIEW_STATUSES.RETIRED],
+    to: REVIEW_STATUSES.DRAFT,
+    actor: REVIEW_ACTORS.OWNER,
+    label: 'reopened as a draft',
+  },
+});
+
+// Longest review comment, in characters
+const MAX_REVIEW_COMMENT_LENGTH = 2000;
+
+// WHERE clause for each question listing. Retired questions are unpublished,
+// but are listed apart from drafts.
+const QUESTION_LISTINGS = Object.freeze({
+  drafts:    `IS_PUBLISHED = 0 AND REVIEW_STATUS <> '${REVIEW_STATUSES.RETIRED}'`,
+  published: 'IS_PUBLISHED = 1',
+  retired:   `IS_PUBLISHED = 0 AND REVIEW_STATUS = '${REVIEW_STATUSES.RETIRED}'`,
+});
+
+module.exports = {
+  REVIEW_STATUSES,
+  REVIEW_ACTORS,
+  REVIEW_EVENT_ACTIONS,
+  REVIEW_TRANSITIONS,
+  MAX_REVIEW_COMMENT_LENGTH,
+  QUESTION_LISTINGS,
+};
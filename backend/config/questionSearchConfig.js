@@ -0,0 +1,40 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          questionSearchConfig.js
+//  Description:   Config file for question tags, question
+//                 search and practicing picked questions.
+//
+////////////////////////////////////////////////////////////////
+
+// Tags are stored lowercased, so "Recursion" and "recursion" are one tag.
+// QuestionTag.TAG is varchar(50).
+const MAX_TAG_LENGTH        = 50;
+const MAX_TAGS_PER_QUESTION = 10;
+const TAG_PATTERN           = /^[a-z0-9][a-z0-9 +#._-]*$/;
+
+// InnoDB full-text search skips words shorter than innodb_ft_min_token_size (3 by default)
+const MIN_SEARCH_TERM_LENGTH = 3;
+const MAX_SEARCH_TEXT_LENGTH = 200;
+
+// ?state= values, mapped to QUESTION_LISTINGS keys
+const SEARCH_STATES = Object.freeze({
+  draft:     'drafts',
+  published: 'published',
+  retired:   'retired',
+});
+
+// Most questions a student can pick from search to practice at once
+const MAX_PICKED_QUESTIONS = 30;
+
+module.exports = {
+  MAX_TAG_LENGTH,
+  MAX_TAGS_PER_QUESTION,
+  TAG_PATTERN,
+  MIN_SEARCH_TERM_LENGTH,
+  MAX_SEARCH_TEXT_LENGTH,
+  SEARCH_STATES,
+  MAX_PICKED_QUESTIONS,
+};
@@ -0,0 +1,56 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          questionTemplateConfig.js
+//  Description:   Config file for question templates: questions
+//                 whose text and answers have {{ expression }}
+//                 placeholders, filled in from randomly generated
+//                 variables on every attempt.
+//
+////////////////////////////////////////////////////////////////
+
+// Kinds of variable a template can generate, see questionTemplateUtils
+const TEMPLATE_VARIABLE_TYPES = Object.freeze(['int', 'intArray', 'bits', 'choice', 'expr']);
+
+// Most variables one template can have
+const MAX_TEMPLATE_VARIABLES = 10;
+
+// Generated values stay small enough to read in a question
+const MAX_TEMPLATE_INT         = 1000000;
+const MAX_GENERATED_LIST_LENGTH = 20;
+const MAX_BITS_LENGTH           = 32;
+const MAX_CHOICE_VALUES         = 20;
+
+// Longest expression, in characters, and the largest list or string
+// an expression can build while it runs
+const MAX_EXPRESSION_LENGTH = 500;
+const MAX_VALUE_LENGTH      = 1000;
+
+// Random instances tried when a template is saved, to catch
+// expressions that only fail for some values
+const TEMPLATE_CHECK_SAMPLES = 25;
+
+// Seeds tried before giving up on a template that fails for the values
+// it drew, e.g. an index that is out of range for a short list
+const MAX_INSTANCE_ATTEMPTS = 5;
+
+// Sample instances POST /api/admin/templates/preview sends back by default, and at most
+const DEFAULT_PREVIEW_COUNT = 3;
+const MAX_PREVIEW_COUNT     = 10;
+
+module.exports = {
+  TEMPLATE_VARIABLE_TYPES,
+  MAX_TEMPLATE_VARIABLES,
+  MAX_TEMPLATE_INT,
+  MAX_GENERATED_LIST_LENGTH,
+  MAX_BITS_LENGTH,
+  MAX_CHOICE_VALUES,
+  MAX_EXPRESSION_LENGTH,
+  MAX_VALUE_LENGTH,
+  TEMPLATE_CHECK_SAMPLES,
+  MAX_INSTANCE_ATTEMPTS,
+  DEFAULT_PREVIEW_COUNT,
+  MAX_PREVIEW_COUNT,
+};
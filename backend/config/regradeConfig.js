@@ -0,0 +1,17 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          regradeConfig.js
+//  Description:   Config file for regrading stored responses
+//                 and the notices students get about them.
+//
+////////////////////////////////////////////////////////////////
+
+// Most unseen regrade notices GET /api/progress/regrades hands out at once, newest first
+const MAX_REGRADE_NOTICES = 20;
+
+module.exports = {
+  MAX_REGRADE_NOTICES,
+};
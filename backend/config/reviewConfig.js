@@ -0,0 +1,39 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          reviewConfig.js
+//  Description:   Config file for the spaced-repetition review
+//                 queue (SM-2). Numbers may need fine-tuning
+//
+////////////////////////////////////////////////////////////////
+
+// Ease factor a new review item starts with.
+// Each interval is roughly the previous one times the ease factor.
+const INITIAL_EASE_FACTOR = 2.5;
+
+// Ease factor never drops below this, so hard questions
+// still get spaced out a little after being answered correctly
+const MIN_EASE_FACTOR = 1.3;
+
+// Days until the first and second review after a correct answer.
+// Later intervals grow by the ease factor.
+const FIRST_INTERVAL_DAYS  = 1;
+const SECOND_INTERVAL_DAYS = 6;
+
+// SM-2 grades answers 0-5. Below this, the item starts over.
+// Normalized scores are mapped onto that scale, so half the points or more passes.
+const PASSING_QUALITY = 3;
+
+// Most questions GET /api/progress/review hands out at once
+const MAX_REVIEW_QUESTIONS = 20;
+
+module.exports = {
+  INITIAL_EASE_FACTOR,
+  MIN_EASE_FACTOR,
+  FIRST_INTERVAL_DAYS,
+  SECOND_INTERVAL_DAYS,
+  PASSING_QUALITY,
+  MAX_REVIEW_QUESTIONS,
+};
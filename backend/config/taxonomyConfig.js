@@ -0,0 +1,33 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          taxonomyConfig.js
+//  Description:   Config file for the question taxonomy
+//                 (sections, categories and subcategories).
+//
+////////////////////////////////////////////////////////////////
+
+// Taxonomy levels as named in /api/admin/taxonomy/:level.
+// Questions keep a copy of each entry's NAME in questionColumn,
+// next to its ID in idColumn.
+const TAXONOMY_LEVELS = Object.freeze({
+  sections:      Object.freeze({ table: 'Section',     label: 'section',     questionColumn: 'SECTION',     idColumn: 'SECTION_ID' }),
+  categories:    Object.freeze({ table: 'Category',    label: 'category',    questionColumn: 'CATEGORY',    idColumn: 'CATEGORY_ID' }),
+  subcategories: Object.freeze({ table: 'Subcategory', label: 'subcategory', questionColumn: 'SUBCATEGORY', idColumn: 'SUBCATEGORY_ID' }),
+});
+
+// NAME and DISPLAY_NAME are varchar(100), like the Question columns they replace
+const MAX_TAXONOMY_NAME_LENGTH = 100;
+
+// Subcategory.DIFFICULTY is a 0.0 - 1.0 analytics scalar, see analyticsModel
+const MIN_DIFFICULTY = 0;
+const MAX_DIFFICULTY = 1;
+
+module.exports = {
+  TAXONOMY_LEVELS,
+  MAX_TAXONOMY_NAME_LENGTH,
+  MIN_DIFFICULTY,
+  MAX_DIFFICULTY,
+};
@@ -7,74 +7,53 @@
 //  Description:   Controller functions for routes/codeSubmission.js.
 //
 //  Dependencies:  judge0Service
+//                 codeJobQueue
+//                 programming grader
 //                 errorHandler
 //                 codeLimits
 //                 currencyUtils
+//                 reviewUtils
+//                 questionHintUtils
+//                 codeTemplateUtils
+//                 mockTestSessionUtils
+//                 mockTestSessionController
+//                 questionReviewConfig
 //
 ////////////////////////////////////////////////////////////////
 
 const judge0Service = require('../services/judge0Service');
+const {
+        enqueueJob,
+        getJob,
+        isFinished,
+        subscribeToJob,
+        countActiveJobs,
+        runQueuedJob,
+      } = require('../services/codeJobQueue');
+const { passesTestCase, getTestCaseStatus, gradeCodeSubmission } = require('../services/graders/programming');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
 const { 
         MAX_CODE_BYTES,
         MAX_SUBMISSIONS_PER_DAY,
         MAX_TEST_RUNS_PER_PROBLEM,
+        CODE_JOB_POLL_ATTEMPTS,
         getProgrammingSubmissionsRemaining,
       } = require('../config/codeLimits'); 
 const { awardCurrency, awardGuildExp } = require('../utils/currencyUtils');
+const { recordReviewAnswer } = require('../utils/reviewUtils');
+const {
+        consumeHintReveals,
+        getHintPenalty,
+        applyHintPenalty,
+        getAnswerFeedback,
+      } = require('../utils/questionHintUtils');
+const { getHarness, wrapWithHarness } = require('../utils/codeTemplateUtils');
+const { assertNotInOpenSession, assertSessionNotFinalized } = require('../utils/mockTestSessionUtils');
+const { checkSessionAnswer } = require('./mockTestSessionController');
+const { REVIEW_STATUSES } = require('../config/questionReviewConfig');
 
-/**
- * Grade test case results, calculate score
- * @param {Array}  results        - Judge0 results from polling
- * @param {Array}  testCases      - Test cases from database
- * @param {number} pointsPossible - Total points for the problem
- * @returns {Object}              - Grading summary and detailed results
- */
-const gradeCodeSubmission = (results, testCases, pointsPossible) => {
-  let passedTests = 0;
-  
-  const testResults = results.map((result, index) => {
-    const testCase = testCases[index];
-    
-    // Check if execution succeeded
-    const executionSuccess = result.status.id === judge0Service.STATUS_IDS.ACCEPTED;
-    
-    // Check if output matches
-    const outputMatches = executionSuccess && 
-      result.stdout?.trim() === testCase.EXPECTED_OUTPUT.trim();
-    
-    if (outputMatches) passedTests++;
-    
-    return {
-      testCaseId: testCase.ID,
-      input: testCase.INPUT,
-      expectedOutput: testCase.EXPECTED_OUTPUT,
-      actualOutput: result.stdout?.trim() || null,
-      passed: outputMatches,
-      status: result.status.description,
-      executionTime: result.time,
-      memory: result.memory,
-      error: result.stderr || result.compile_output || null
-    };
-  });
-
-  // Partial credit for number of test cases passed
-  const totalTests = testCases.length;
-  const normalizedScore = (totalTests === 0 // Let's not divide by 0
-    ? 0.0
-    : passedTests/totalTests
-  )
-  const pointsEarned = normalizedScore * pointsPossible;
-  const allPassed = (passedTests === totalTests);
-
-  return {
-    passedTests,
-    totalTests,
-    allPassed,
-    pointsEarned,
-    testResults
-  };
-};
+// How often open job event streams get a keep-alive comment
+const SSE_HEARTBEAT_MS = 15000;
 
 /**
  * Checks Judge0 results for compilation or runtime errors
@@ -97,52 +76,35 @@ const hasError = (results) => {
 }
 
 /**
- * Helper function, serializes user source code into JSON
- * Stored in Response.USER_ANSWER and used in History Table
- *
- * @param {string} code       - Raw source code string
- * @param {number} languageId - Judge0 language ID
- * @returns {string} JSON containing relevant user response data
+ * Finds the result to report when code fails to compile or run
+ * @param {Array}   pollResults - Judge0 results from polling
+ * @param {Array}   testCases   - Test cases the results are for
+ * @param {boolean} showHidden  - Whether hidden case stderr can be shown, true for question authors
+ * @returns {{ errorResult: Object, errorDetails: string }}
  */
-const serializeProgrammingAnswer = (code, languageId) => {
-  // These labels will be used in the History Table display
-  const languageNames = {
-    [judge0Service.LANGUAGE_IDS.C]:      'C',
-    [judge0Service.LANGUAGE_IDS.CPP]:    'C++',
-    [judge0Service.LANGUAGE_IDS.JAVA]:   'Java',
-    [judge0Service.LANGUAGE_IDS.PYTHON]: 'Python',
-  };
+const findRunError = (pollResults, testCases, showHidden = false) => {
+  // Prefer a sample case, a hidden case's stderr could give away its input
+  const isErrorResult = (r) => (
+    r.status.id !== judge0Service.STATUS_IDS.ACCEPTED &&
+    r.status.id !== judge0Service.STATUS_IDS.WRONG_ANSWER
+  );
+  const sampleIndex = pollResults.findIndex((r, i) => isErrorResult(r) && !testCases[i].IS_HIDDEN);
+  const errorIndex = sampleIndex !== -1 ? sampleIndex : pollResults.findIndex(isErrorResult);
+  const errorResult = pollResults[errorIndex];
+  const errorDetails = (testCases[errorIndex].IS_HIDDEN && !showHidden)
+    ? errorResult.compile_output || 'Your code failed on a hidden test case.'
+    : errorResult.stderr || errorResult.compile_output || 'Execution failed';
 
-  return JSON.stringify({
-    type: 'Programming',
-    language: languageNames[languageId] ?? `Language ${languageId}`,
-    code,
-  });
+  return { errorResult, errorDetails };
 };
 
 /**
- * @route   POST /api/code/submitCode
- * @desc    Submit code to Judge0, receive output and grade against test cases.
- *          Supports test runs, which submits to Judge0 but doesn't grade output
- *          or store as a response, just runs against first test case, shows output, 
- *          and stores as test run.
- * @access  Protected
- * 
- * @param   {import('express').Request}  req - Express request object
- * @param   {import('express').Response} res - Express response object
- * @returns {Promise<void>}                  - Sends HTTP/JSON response
+ * Checks submitted code's size and language
+ * @param {string} code       - Source code
+ * @param {number} languageId - Judge0 language ID
+ * @throws {AppError} 400     - If the code is too long or the language unsupported
  */
-const submitCode = asyncHandler(async (req, res) => {
-  // Code can only be submitted by account owner
-  const userId = req.user.id; // Set by authMiddleware.js
-
-  const { problemId, code, languageId, isTestRun, elapsedTime } = req.body;
-
-  if (!problemId || !code || !languageId || code.trim().length === 0 || isTestRun === undefined)
-  {
-    throw new AppError('Empty problemId, code, languageId, or isTestRun', 400, 'Missing required fields.');
-  }
-
+const validateCode = (code, languageId) => {
   // Check if user code submissions exceeds max size
   if (code.length > MAX_CODE_BYTES) 
   {
@@ -163,103 +125,118 @@ const submitCode = asyncHandler(async (req, res) => {
       'Unsupported programming language.'
     );
   }
+};
 
-  // Check appropriate daily limit for either test run or actual submission
-  if (isTestRun)
-  {
-    // Check if user has exceeded max daily test runs for this question
-    const [[{ numTestRuns }]] = await req.db.query(
-      `SELECT COUNT(*) as numTestRuns FROM TestRun WHERE USERID = ? AND QUESTION_ID = ? AND DATE(DATETIME) = CURDATE()`,
-      [userId, problemId]
-    );
-    if (numTestRuns >= MAX_TEST_RUNS_PER_PROBLEM)
-    {
-      throw new AppError(`User ${userId} has ${numTestRuns} test runs for question ${problemId}, exceeds max`,
-        429,
-        'Daily test run limit for this question exceeded.'
-      );
-    }
-  }
-  else // Actual submission, not test run
-  {
-    // Check if user has exceeded max daily programming question submissions
-    const [[{ numDailyResponses }]] = await req.db.query(
-      `SELECT COUNT(*) as numDailyResponses 
-      FROM Response r
-      JOIN Question q ON r.PROBLEM_ID = q.ID 
-      WHERE r.USERID = ? 
-      AND q.TYPE = 'Programming'
-      AND DATE(DATETIME) = CURDATE()`,
-      [userId]
-    );
-    if (numDailyResponses >= MAX_SUBMISSIONS_PER_DAY)
-    {
-      throw new AppError(
-        `User ${userId} has ${numDailyResponses} daily submissions, exceeds max`, 
-        429, 
-        "Daily submission limit exceeded."
-      );
-    }
-  }
-
-  // Get question from database
-  const [questions] = await req.db.query(
-    `SELECT ID, POINTS_POSSIBLE, CATEGORY, SUBCATEGORY FROM Question WHERE ID = ? AND TYPE = 'Programming'`,
-    [problemId]
-  );
-  if (!questions || questions.length === 0)
-  {
-    throw new AppError(`No programming question found: ID ${problemId}`, 404, 'Programming question not found.');
-  }
-  const question = questions[0];
+/**
+ * Helper function, serializes user source code into JSON
+ * Stored in Response.USER_ANSWER and used in History Table
+ * Graded submissions also keep how many test cases passed, since with
+ * weighted cases that can't be worked out from the points
+ *
+ * @param {string} code                - Raw source code string
+ * @param {number} languageId          - Judge0 language ID
+ * @param {Object|null} gradingResults - gradeCodeSubmission result, null if the code didn't run
+ * @returns {string} JSON containing relevant user response data
+ */
+const serializeProgrammingAnswer = (code, languageId, gradingResults = null) => {
+  // These labels will be used in the History Table display
+  const languageNames = {
+    [judge0Service.LANGUAGE_IDS.C]:      'C',
+    [judge0Service.LANGUAGE_IDS.CPP]:    'C++',
+    [judge0Service.LANGUAGE_IDS.JAVA]:   'Java',
+    [judge0Service.LANGUAGE_IDS.PYTHON]: 'Python',
+  };
 
-  // Get test cases associated with question
-  // If test run, just get the first test case
-  const limitClause = isTestRun ? 'LIMIT 1' : '';
+  return JSON.stringify({
+    type: 'Programming',
+    language: languageNames[languageId] ?? `Language ${languageId}`,
+    code,
+    ...(gradingResults && {
+      passedTests: gradingResults.passedTests,
+      totalTests: gradingResults.totalTests,
+    }),
+  });
+};
 
-  const [testCases] = await req.db.query(
-    `SELECT ID, INPUT, EXPECTED_OUTPUT FROM TestCase WHERE QUESTION_ID = ?
-    ORDER BY ID ASC ${limitClause}`,
-    [problemId]
-  );
-  if (!testCases || testCases.length === 0)
-  {
-    throw new AppError(`No test cases found for problem ${problemId}`, 404, 'Test cases not found.');
-  }
+/**
+ * Runs a code submission against its test cases and records the outcome.
+ * Called by the job queue, after submitCode has validated the request.
+ * Nothing is saved if the code runner fails, so the attempt isn't used up,
+ * or if the mock test session was finalized while the code ran.
+ *
+ * @param {Object}   db                        - Database connection pool
+ * @param {Object}   submission
+ * @param {number}   submission.userId
+ * @param {number}   submission.problemId
+ * @param {string}   submission.code           - Student's code, saved as their answer
+ * @param {string}   [submission.harness]      - Driver the code is run in, for function-signature problems
+ * @param {number}   submission.languageId
+ * @param {boolean}  submission.isTestRun
+ * @param {number}   [submission.sessionId]    - Mock test session, if any
+ * @param {number}   [submission.elapsedTime]
+ * @param {Object}   submission.question       - Question row (points, category, subcategory, current version)
+ * @param {Array}    submission.testCases      - Test cases to run
+ * @param {Function} reportProgress            - (index, summary) => void, called as each test case finishes
+ * @returns {Promise<Object>} Result sent to the client
+ */
+const runCodeJob = async (db, submission, reportProgress) => {
+  const {
+    userId,
+    problemId,
+    code,
+    harness,
+    languageId,
+    isTestRun,
+    sessionId,
+    elapsedTime,
+    question,
+    testCases,
+  } = submission;
 
   // Batch submit to Judge0
-  const tokens = await judge0Service.submitBatch(code, languageId, testCases);
+  // Output is checked here with each case's comparison mode, so the runner only runs the code
+  const runnerCases = testCases.map(testCase => ({ ...testCase, EXPECTED_OUTPUT: null }));
+  const tokens = await judge0Service.submitBatch(wrapWithHarness(code, harness), languageId, runnerCases);
 
-  // Poll for results
+  // Poll for results, reporting each test case as it finishes
   const pollResults = await Promise.all(
-    tokens.map(token => judge0Service.pollSubmission(token))
+    tokens.map(async (token, index) => {
+      const result = await judge0Service.pollSubmission(token, CODE_JOB_POLL_ATTEMPTS);
+      const passed = passesTestCase(result, testCases[index]);
+      reportProgress(index, {
+        passed,
+        status: getTestCaseStatus(result, passed),
+        hidden: Boolean(testCases[index].IS_HIDDEN),
+      });
+      return result;
+    })
   );
 
-  // Serialize user's code and language
-  const serializedCode = serializeProgrammingAnswer(code, languageId);
+  // The session's score is fixed once it's finalized, a late answer would disagree with it
+  if (!isTestRun && sessionId !== undefined && sessionId !== null)
+  {
+    await assertSessionNotFinalized(db, sessionId, 'runCodeJob');
+  }
 
   // Check for compilation/runtime errors
   if (hasError(pollResults))
   {
     // Find first error, used for feedback
-    const errorResult = pollResults.find(r =>
-      r.status.id !== judge0Service.STATUS_IDS.ACCEPTED &&
-      r.status.id !== judge0Service.STATUS_IDS.WRONG_ANSWER
-    );
+    const { errorResult, errorDetails } = findRunError(pollResults, testCases);
 
     // Note: Saving to database here is intentional.
     // Code with errors still counts toward our API submission limit,
     // so we don't want users burning through it by spam-executing broken code.
     if (isTestRun)
     {
-      await req.db.query(
+      await db.query(
         `INSERT INTO TestRun (USERID, QUESTION_ID) VALUES (?, ?)`,
         [userId, problemId]
       );
     }
     else // Actual submission, not test run
     {
-      await req.db.query(
+      await db.query(
         `INSERT INTO Response
         (
           USERID,
@@ -270,24 +247,33 @@ const submitCode = asyncHandler(async (req, res) => {
           POINTS_POSSIBLE,
           CATEGORY,
           TOPIC,
+          SUBCATEGORY_ID,
           ELAPSED_TIME,
+          SESSION_ID,
+          QUESTION_VERSION,
           DATETIME
         ) 
-        VALUES (?, ?, ?, FALSE, 0, ?, ?, ?, ?, ?)`,
+        VALUES (?, ?, ?, FALSE, 0, ?, ?, ?, ?, ?, ?, ?, ?)`,
         [
           userId, 
           problemId, 
-          serializedCode,
+          serializeProgrammingAnswer(code, languageId),
           question.POINTS_POSSIBLE, 
           question.CATEGORY, 
           question.SUBCATEGORY,
+          question.SUBCATEGORY_ID ?? null,
           elapsedTime ?? null,
+          sessionId ?? null,
+          question.CURRENT_VERSION ?? null,
           new Date()
         ]
       );
+
+      // Broken code is a miss, queue it for spaced review
+      await recordReviewAnswer(db, userId, problemId, 0);
     }
 
-    return res.status(200).json({
+    return {
       success: false,
       isTestRun: isTestRun,
       allPassed: false,
@@ -296,22 +282,22 @@ const submitCode = asyncHandler(async (req, res) => {
       pointsEarned: 0,
       pointsPossible: parseFloat(question.POINTS_POSSIBLE),
       status: errorResult.status.description,
-      error: errorResult.stderr || errorResult.compile_output || 'Execution failed',
+      error: errorDetails,
       message: 'Your code failed to execute. Please check for errors.'
-    });
+    };
   } // End error block
 
   // If test run, just save test run to database and return execution output
   if (isTestRun)
   {
-    await req.db.query(
+    await db.query(
       `INSERT INTO TestRun (USERID, QUESTION_ID) VALUES (?, ?)`,
       [userId, problemId]
     );
 
     const result = pollResults[0];
     
-    return res.status(200).json({
+    return {
       success: true,
       isTestRun: true,
       status: result.status.description,
@@ -319,15 +305,19 @@ const submitCode = asyncHandler(async (req, res) => {
       stderr: result.stderr || result.compile_output || null,
       executionTime: result.time,
       memory: result.memory
-    });
+    };
   }
 
   // Not a test run, continue with regular grading logic
   // Grade results
   const gradingResults = gradeCodeSubmission(pollResults, testCases, question.POINTS_POSSIBLE);
 
+  // Revealed hints are charged against this submission
+  const hintsUsed = await consumeHintReveals(db, userId, problemId);
+  const pointsEarned = applyHintPenalty(gradingResults.pointsEarned, hintsUsed);
+
   // Save submission to database
-  await req.db.query(
+  const [inserted] = await db.query(
     `INSERT INTO Response 
     (
       USERID,
@@ -338,40 +328,401 @@ const submitCode = asyncHandler(async (req, res) => {
       POINTS_POSSIBLE,
       CATEGORY,
       TOPIC,
+      SUBCATEGORY_ID,
       ELAPSED_TIME,
+      SESSION_ID,
+      QUESTION_VERSION,
+      HINTS_USED,
       DATETIME
     ) 
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
     [
       userId, 
       problemId, 
-      serializedCode, 
+      serializeProgrammingAnswer(code, languageId, gradingResults), 
       gradingResults.allPassed, 
-      gradingResults.pointsEarned, 
+      pointsEarned, 
       question.POINTS_POSSIBLE, 
       question.CATEGORY, 
       question.SUBCATEGORY,
+      question.SUBCATEGORY_ID ?? null,
       elapsedTime ?? null,
+      sessionId ?? null,
+      question.CURRENT_VERSION ?? null,
+      hintsUsed,
       new Date()
     ]
   );
 
+  // Queue missed questions for spaced review, reschedule ones already queued
+  await recordReviewAnswer(db, userId, problemId, gradingResults.normalizedScore);
+
   // Award currency to user (respects daily exp cap)
+  // Exp awarded is kept with the response, so a regrade only takes back what was given
   // Also award exp to user's guild if they're in one
-  await awardCurrency(req.db, userId, gradingResults.pointsEarned);
-  await awardGuildExp(req.db, userId, gradingResults.pointsEarned);
+  const expAwarded = await awardCurrency(db, userId, pointsEarned);
+  await db.query('UPDATE Response SET EXP_AWARDED = ? WHERE ID = ?', [expAwarded, inserted.insertId]);
+  await awardGuildExp(db, userId, pointsEarned);
 
-  // Return results
-  return res.status(200).json({
+  // Mock test sessions only get the grade, as with their other answers
+  const { explanation, hints } = sessionId ? { explanation: null, hints: [] } : await getAnswerFeedback(db, problemId);
+
+  return {
     success: true,
     isTestRun: false,
     allPassed: gradingResults.allPassed,
     passedTests: gradingResults.passedTests,
     totalTests: gradingResults.totalTests,
-    pointsEarned: gradingResults.pointsEarned,
+    pointsEarned,
     pointsPossible: parseFloat(question.POINTS_POSSIBLE),
+    hintsUsed,
+    hintPenalty: getHintPenalty(hintsUsed),
+    explanation,
+    hints,
     testResults: gradingResults.testResults
+  };
+};
+
+/**
+ * Runs code against every test case of a programming question and grades it,
+ * without counting toward limits or saving anything.
+ * For question authors, so hidden test cases are shown in full.
+ * The run waits its turn in the code job queue like a student's submission,
+ * so previews can't take more of the code runner than MAX_CONCURRENT_CODE_JOBS.
+ *
+ * @param {Object} db         - Database connection pool
+ * @param {number} userId     - Author running the preview
+ * @param {Object} question   - Question row (ID, POINTS_POSSIBLE)
+ * @param {string} code       - Sample solution
+ * @param {number} languageId - Judge0 language ID
+ * @throws {AppError} 400     - If the code is too long or the language unsupported
+ * @throws {AppError} 404     - If the question has no test cases
+ * @throws {AppError} 409     - If the author's code for the question is still running
+ * @returns {Promise<Object>} Grade in the same shape as gradeStoredAnswer's result, plus test results
+ */
+const previewCode = async (db, userId, question, code, languageId) => {
+  validateCode(code, languageId);
+
+  // One run per question at a time, as with submissions
+  if (countActiveJobs(userId, { problemId: question.ID }) > 0)
+  {
+    throw new AppError(
+      `User ${userId} already has a code job running for question ${question.ID}`,
+      409,
+      'Your code for this question is still running.'
+    );
+  }
+
+  const harness = await getHarness(db, question.ID, languageId);
+  const [testCases] = await db.query(
+    `SELECT ID, INPUT, EXPECTED_OUTPUT, IS_HIDDEN, WEIGHT, COMPARISON_MODE, FLOAT_TOLERANCE
+    FROM TestCase WHERE QUESTION_ID = ?
+    ORDER BY ID ASC`,
+    [question.ID]
+  );
+  if (testCases.length === 0)
+  {
+    throw new AppError(`No test cases found for problem ${question.ID}`, 404, 'Test cases not found.');
+  }
+
+  const runnerCases = testCases.map(testCase => ({ ...testCase, EXPECTED_OUTPUT: null }));
+  const pollResults = await runQueuedJob(
+    { userId, problemId: question.ID, isTestRun: true, totalTests: testCases.length },
+    async () => {
+      const tokens = await judge0Service.submitBatch(wrapWithHarness(code, harness), languageId, runnerCases);
+      return Promise.all(tokens.map(token => judge0Service.pollSubmission(token, CODE_JOB_POLL_ATTEMPTS)));
+    }
+  );
+
+  const pointsPossible = parseFloat(question.POINTS_POSSIBLE);
+  if (hasError(pollResults))
+  {
+    const { errorResult, errorDetails } = findRunError(pollResults, testCases, true);
+    return {
+      isCorrect: false,
+      normalizedScore: 0,
+      pointsEarned: 0,
+      pointsPossible,
+      feedback: `${errorResult.status.description}: ${errorDetails}`,
+      testResults: [],
+    };
+  }
+
+  const grading = gradeCodeSubmission(pollResults, testCases, pointsPossible);
+
+  // Authors wrote the hidden cases, so fill in what students don't get to see
+  const testResults = grading.testResults.map((testResult, index) => ({
+    ...testResult,
+    input: testCases[index].INPUT,
+    expectedOutput: testCases[index].EXPECTED_OUTPUT,
+    actualOutput: pollResults[index].stdout?.trim() || null,
+    error: pollResults[index].stderr || pollResults[index].compile_output || null,
+  }));
+
+  return {
+    isCorrect: grading.allPassed,
+    normalizedScore: grading.normalizedScore,
+    pointsEarned: grading.pointsEarned,
+    pointsPossible,
+    feedback: `Passed ${grading.passedTests} of ${grading.totalTests} test cases.`,
+    testResults,
+  };
+};
+
+/**
+ * Runs a Code Trace question's code once, with no input, for its author.
+ * What it prints is the expected output the student has to trace.
+ * Nothing is queued, counted toward limits or saved.
+ *
+ * @param {string} code       - Code to trace
+ * @param {number} languageId - Judge0 language ID
+ * @throws {AppError} 400     - If the code is too long or the language unsupported
+ * @returns {Promise<{ output: string|null, status: string, error: string|null }>}
+ *          output is null if the code didn't compile or run
+ */
+const runTraceCode = async (code, languageId) => {
+  validateCode(code, languageId);
+
+  const [token] = await judge0Service.submitBatch(code, languageId, [{ INPUT: '', EXPECTED_OUTPUT: null }]);
+  const result = await judge0Service.pollSubmission(token, CODE_JOB_POLL_ATTEMPTS);
+
+  // With no expected output to compare to, any run that finished is accepted
+  const ran = result.status.id === judge0Service.STATUS_IDS.ACCEPTED;
+  return {
+    output: ran ? (result.stdout ?? '') : null,
+    status: result.status.description,
+    error:  ran ? null : (result.compile_output || result.stderr || null),
+  };
+};
+
+/**
+ * @route   POST /api/code/submitCode
+ * @desc    Queue code to run on Judge0 and be graded against test cases.
+ *          Responds right away with a job ID. The result is fetched from
+ *          GET /api/code/jobs/:id or streamed from GET /api/code/jobs/:id/events.
+ *          Supports test runs, which submits to Judge0 but doesn't grade output
+ *          or store as a response, just runs against first sample test case, shows output, 
+ *          and stores as test run. Hidden test cases are graded, but their
+ *          input and output are never sent back.
+ *          Function-signature problems wrap the code in the language's
+ *          harness before running it, and only accept languages with one.
+ *          Mock tests pass sessionId: the session must still accept an answer
+ *          to the problem, and elapsed time is measured on the server.
+ *          Submissions without one are refused while the problem is in a
+ *          running mock test, test runs are still allowed.
+ * @access  Protected
+ * 
+ * @param   {import('express').Request}  req - Express request object
+ * @param   {import('express').Response} res - Express response object
+ * @returns {Promise<void>}                  - Sends HTTP/JSON response
+ */
+const submitCode = asyncHandler(async (req, res) => {
+  // Code can only be submitted by account owner
+  const userId = req.user.id; // Set by authMiddleware.js
+
+  const { problemId, code, languageId, isTestRun, sessionId } = req.body;
+  let { elapsedTime } = req.body;
+
+  if (!problemId || !code || !languageId || code.trim().length === 0 || isTestRun === undefined)
+  {
+    throw new AppError('Empty problemId, code, languageId, or isTestRun', 400, 'Missing required fields.');
+  }
+
+  validateCode(code, languageId);
+
+  // One job per problem at a time, so a double-click can't grade the same code twice
+  if (countActiveJobs(userId, { problemId }) > 0)
+  {
+    throw new AppError(
+      `User ${userId} already has a code job running for question ${problemId}`,
+      409,
+      'Your code for this question is still running.'
+    );
+  }
+
+  // Mock test answers must go against an open session
+  // Checked before running any code, so a closed session doesn't burn a submission
+  if (sessionId !== undefined && sessionId !== null)
+  {
+    ({ elapsedTime } = await checkSessionAnswer(req.db, sessionId, userId, problemId, 'submitCode'));
+  }
+
+  // Check appropriate daily limit for either test run or actual submission
+  if (isTestRun)
+  {
+    // Check if user has exceeded max daily test runs for this question
+    const [[{ numTestRuns }]] = await req.db.query(
+      `SELECT COUNT(*) as numTestRuns FROM TestRun WHERE USERID = ? AND QUESTION_ID = ? AND DATE(DATETIME) = CURDATE()`,
+      [userId, problemId]
+    );
+    if (numTestRuns >= MAX_TEST_RUNS_PER_PROBLEM)
+    {
+      throw new AppError(`User ${userId} has ${numTestRuns} test runs for question ${problemId}, exceeds max`,
+        429,
+        'Daily test run limit for this question exceeded.'
+      );
+    }
+  }
+  else // Actual submission, not test run
+  {
+    // Check if user has exceeded max daily programming question submissions
+    // Submissions still being graded haven't been saved yet, so count them too
+    const [[{ numDailyResponses }]] = await req.db.query(
+      `SELECT COUNT(*) as numDailyResponses 
+      FROM Response r
+      JOIN Question q ON r.PROBLEM_ID = q.ID 
+      WHERE r.USERID = ? 
+      AND q.TYPE = 'Programming'
+      AND DATE(DATETIME) = CURDATE()`,
+      [userId]
+    );
+    const numSubmissions = numDailyResponses + countActiveJobs(userId, { isTestRun: false });
+    if (numSubmissions >= MAX_SUBMISSIONS_PER_DAY)
+    {
+      throw new AppError(
+        `User ${userId} has ${numSubmissions} daily submissions, exceeds max`, 
+        429, 
+        "Daily submission limit exceeded."
+      );
+    }
+  }
+
+  // Get question from database
+  const [questions] = await req.db.query(
+    `SELECT ID, POINTS_POSSIBLE, CATEGORY, SUBCATEGORY, SUBCATEGORY_ID, CURRENT_VERSION, REVIEW_STATUS FROM Question WHERE ID = ? AND TYPE = 'Programming'`,
+    [problemId]
+  );
+  if (!questions || questions.length === 0)
+  {
+    throw new AppError(`No programming question found: ID ${problemId}`, 404, 'Programming question not found.');
+  }
+  const question = questions[0];
+
+  // Retired questions can't be answered again, except to finish a session started before they were retired
+  if (question.REVIEW_STATUS === REVIEW_STATUSES.RETIRED && (sessionId === undefined || sessionId === null))
+  {
+    throw new AppError(`Programming question ID ${problemId} is retired`, 404, 'Programming question not found.');
+  }
+
+  // Questions in a running mock test are only answered through its session
+  if (!isTestRun && (sessionId === undefined || sessionId === null))
+  {
+    await assertNotInOpenSession(req.db, userId, problemId, 'submitCode');
+  }
+
+  // Function-signature problems run the student's function inside a hidden harness
+  const harness = await getHarness(req.db, problemId, languageId);
+
+  // Get test cases associated with question
+  // If test run, just get the first sample test case, hidden cases are only for grading
+  const testRunClause = isTestRun ? 'AND IS_HIDDEN = 0' : '';
+  const limitClause = isTestRun ? 'LIMIT 1' : '';
+
+  const [testCases] = await req.db.query(
+    `SELECT ID, INPUT, EXPECTED_OUTPUT, IS_HIDDEN, WEIGHT, COMPARISON_MODE, FLOAT_TOLERANCE
+    FROM TestCase WHERE QUESTION_ID = ? ${testRunClause}
+    ORDER BY ID ASC ${limitClause}`,
+    [problemId]
+  );
+  if (!testCases || testCases.length === 0)
+  {
+    throw new AppError(`No test cases found for problem ${problemId}`, 404, 'Test cases not found.');
+  }
+
+  const submission = {
+    userId,
+    problemId,
+    code,
+    harness,
+    languageId,
+    isTestRun: Boolean(isTestRun),
+    sessionId,
+    elapsedTime,
+    question,
+    testCases,
+  };
+
+  const job = enqueueJob(
+    { userId, problemId, isTestRun: submission.isTestRun, totalTests: testCases.length },
+    (reportProgress) => runCodeJob(req.db, submission, reportProgress)
+  );
+
+  return res.status(202).json({
+    jobId: job.id,
+    status: job.status,
+    isTestRun: job.isTestRun,
+    totalTests: job.totalTests,
+  });
+});
+
+/**
+ * @route   GET /api/code/jobs/:id
+ * @desc    Fetch a code job's status, per test case progress,
+ *          and its result once finished.
+ * @access  Protected
+ * 
+ * @param   {import('express').Request}  req - Express request object
+ * @param   {import('express').Response} res - Express response object
+ * @returns {Promise<void>}                  - Sends HTTP/JSON response
+ */
+const getCodeJob = asyncHandler(async (req, res) => {
+  const job = getJob(req.params.id, req.user.id);
+  if (!job)
+  {
+    throw new AppError(`Code job ${req.params.id} not found for user ${req.user.id}`, 404, 'Code job not found.');
+  }
+  return res.status(200).json(job);
+});
+
+/**
+ * @route   GET /api/code/jobs/:id/events
+ * @desc    Stream a code job's updates as Server-Sent Events.
+ *          Sends the current state as a "status" event, then "status" and
+ *          "progress" events as the job runs, and a final "done" event
+ *          before closing. Every event carries the whole job.
+ * @access  Protected
+ * 
+ * @param   {import('express').Request}  req - Express request object
+ * @param   {import('express').Response} res - Express response object
+ * @returns {Promise<void>}                  - Streams text/event-stream response
+ */
+const streamCodeJob = asyncHandler(async (req, res) => {
+  const job = getJob(req.params.id, req.user.id);
+  if (!job)
+  {
+    throw new AppError(`Code job ${req.params.id} not found for user ${req.user.id}`, 404, 'Code job not found.');
+  }
+
+  res.status(200).set({
+    'Content-Type':      'text/event-stream',
+    'Cache-Control':     'no-cache',
+    'Connection':        'keep-alive',
+    'X-Accel-Buffering': 'no', // Keep nginx from buffering the stream
+  });
+  res.flushHeaders();
+
+  const send = (type, view) => res.write(`event: ${type}\ndata: ${JSON.stringify(view)}\n\n`);
+
+  send('status', job);
+  if (isFinished(job))
+  {
+    send('done', job);
+    return res.end();
+  }
+
+  let unsubscribe = () => {};
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), SSE_HEARTBEAT_MS);
+  const close = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    res.end();
+  };
+
+  unsubscribe = subscribeToJob(job.id, (type, view) => {
+    send(type, view);
+    if (type === 'done') close();
   });
+  req.on('close', close);
 });
 
 /**
@@ -386,12 +737,17 @@ const submitCode = asyncHandler(async (req, res) => {
  * @returns {Promise<void>}                  - Sends HTTP/JSON response
  */
 const canSubmit = asyncHandler(async (req, res) => {
-  // Get number of remaining code submissions for today
-  const remaining = await getProgrammingSubmissionsRemaining(req.db, req.user.id);
+  // Get number of remaining code submissions for today, minus ones still being graded
+  const saved = await getProgrammingSubmissionsRemaining(req.db, req.user.id);
+  const remaining = Math.max(0, saved - countActiveJobs(req.user.id, { isTestRun: false }));
   return res.status(200).json({ canSubmit: remaining > 0, remaining });
 });
 
 module.exports = { 
+  previewCode,
+  runTraceCode,
   submitCode,
+  getCodeJob,
+  streamCodeJob,
   canSubmit,
 };
@@ -12,18 +12,44 @@
 //                 selectAllThatApply grader
 //                 rankedChoice grader
 //                 dragAndDrop grader
+//                 codeTrace grader
+//                 numeric grader
+//                 gradingPolicy
+//                 questionValidator
 //                 errorHandler
 //                 validationUtils
+//                 questionUtils
+//                 currencyUtils
+//                 reviewUtils
+//                 questionHintUtils
+//                 mockTestSessionUtils
+//                 questionReviewConfig
+//                 gradingPolicyConfig
 //
 ////////////////////////////////////////////////////////////////
 
 const { gradeMultipleChoice } = require('../services/graders/multipleChoice');
-const { gradeFillInTheBlanks } = require('../services/graders/fillInTheBlanks');
+const { gradeFillInTheBlanks, readBlanks } = require('../services/graders/fillInTheBlanks');
 const { gradeSelectAllThatApply } = require('../services/graders/selectAllThatApply');
 const { gradeRankedChoice } = require('../services/graders/rankedChoice');
 const { gradeDragAndDrop } = require('../services/graders/dragAndDrop');
+const { gradeCodeTrace } = require('../services/graders/codeTrace');
+const { gradeNumeric, readNumericSettings } = require('../services/graders/numeric');
+const { readGradingPolicy, resolveGradingPolicy } = require('../services/graders/gradingPolicy');
+const {
+        answersFromRows,
+        validateQuestionStructure,
+        formatValidationError,
+      } = require('../services/graders/questionValidator');
 const { AppError } = require('../middleware/errorHandler');
 const { normalizeDBString } = require('../utils/validationUtils');
+const { QUESTION_TYPES, resolveUserAnswer, loadQuestionInstance } = require('../utils/questionUtils');
+const { awardCurrency, awardGuildExp } = require('../utils/currencyUtils');
+const { recordReviewAnswer } = require('../utils/reviewUtils');
+const { consumeHintReveals, getHintPenalty, applyHintPenalty } = require('../utils/questionHintUtils');
+const { assertNotInOpenSession } = require('../utils/mockTestSessionUtils');
+const { REVIEW_STATUSES } = require('../config/questionReviewConfig');
+const { SCORING_MODES } = require('../config/gradingPolicyConfig');
 
 /**
  * Grade question based on its type and calculate points earned
@@ -32,24 +58,47 @@ const { normalizeDBString } = require('../utils/validationUtils');
  * @param {*} userAnswer          - User's answer (format varies by type)
  * @param {Array} allAnswers      - All answer options associated with question
  * @param {number} pointsPossible - Maximum points question is worth
+ * @param {Object} [settings]     - Per-question grading settings
+ * @param {Object|null} [settings.numericSettings] - Numeric questions' tolerance and unit, from readNumericSettings()
+ * @param {Array|null}  [settings.blanks]          - Fill in the Blanks questions' blanks, from readBlanks()
+ * @param {Object|null} [settings.gradingPolicy]   - How partial answers score, from readGradingPolicy(),
+ *                                                   the type's usual scoring if null
  * @returns {Object}              - Returns the object shown below:
  *                                  { 
  *                                    isCorrect:       boolean, 
  *                                    normalizedScore: number, (0.0 to 1.0)
  *                                    pointsEarned:    number, 
  *                                    pointsPossible:  number, 
- *                                    feedback:        string 
+ *                                    feedback:        string,
+ *                                    blankScores?:    [{ id, score }] (questions with blanks only)
  *                                  }
  */
-function gradeQuestion(questionId, questionType, userAnswer, allAnswers, pointsPossible) 
+function gradeQuestion(questionId, questionType, userAnswer, allAnswers, pointsPossible, { numericSettings = null, blanks = null, gradingPolicy = null } = {}) 
 {
   let result;  
 
   // Prevent database inconsistencies from breaking logic
   const normalizedType = normalizeDBString(questionType);
 
+  // A stored question that breaks its type's rules would make the grader throw,
+  // or could never be answered fully correct
+  if (QUESTION_TYPES.includes(normalizedType))
+  {
+    const blockingErrors = validateQuestionStructure({ type: normalizedType, answers: answersFromRows(allAnswers), numericSettings, blanks, gradingPolicy })
+      .filter(error => error.blocksGrading);
+    if (blockingErrors.length > 0)
+    {
+      throw new AppError(
+        `Question ${questionId} can't be graded: ${blockingErrors.map(formatValidationError).join('; ')}`,
+        500,
+        'This question is set up incorrectly and cannot be graded'
+      );
+    }
+  }
+
   // Some graders need all answers, others only need correct answers
   const correctAnswers = allAnswers.filter(a => a.IS_CORRECT_ANSWER);
+  const policy = resolveGradingPolicy(normalizedType, gradingPolicy);
 
   switch (normalizedType) 
   {
@@ -57,16 +106,22 @@ function gradeQuestion(questionId, questionType, userAnswer, allAnswers, pointsP
       result = gradeMultipleChoice(userAnswer, allAnswers);
       break;
     case 'Fill in the Blanks':
-      result = gradeFillInTheBlanks(userAnswer, correctAnswers);
+      result = gradeFillInTheBlanks(userAnswer, correctAnswers, blanks, policy);
+      break;
+    case 'Numeric':
+      result = gradeNumeric(userAnswer, correctAnswers, numericSettings);
       break;
     case 'Select All That Apply':
-      result = gradeSelectAllThatApply(userAnswer, allAnswers);
+      result = gradeSelectAllThatApply(userAnswer, allAnswers, policy);
       break;
     case 'Ranked Choice':
-      result = gradeRankedChoice(userAnswer, correctAnswers);
+      result = gradeRankedChoice(userAnswer, correctAnswers, policy);
       break;
     case 'Drag and Drop':
-      result = gradeDragAndDrop(userAnswer, correctAnswers);
+      result = gradeDragAndDrop(userAnswer, correctAnswers, policy);
+      break;
+    case 'Code Trace':
+      result = gradeCodeTrace(userAnswer, correctAnswers);
       break;
     default:
       throw new AppError(
@@ -75,6 +130,16 @@ function gradeQuestion(questionId, questionType, userAnswer, allAnswers, pointsP
         'Unsupported question type'
       );
 	}
+
+  // All-or-nothing questions give no credit for an answer that's only partly right
+  if (policy.scoring === SCORING_MODES.ALL_OR_NOTHING && result.normalizedScore > 0 && result.normalizedScore < 1)
+  {
+    result = {
+      ...result,
+      normalizedScore: 0,
+      feedback: `${result.feedback} This question only gives credit for a fully correct answer.`,
+    };
+  }
   
   // Calculate points earned by user, round 2 decimal places
   const pointsEarned = Math.round(result.normalizedScore * pointsPossible * 100) / 100;
@@ -84,8 +149,245 @@ function gradeQuestion(questionId, questionType, userAnswer, allAnswers, pointsP
     normalizedScore: result.normalizedScore,
     pointsEarned,
     pointsPossible,
-    feedback: result.feedback
+    feedback: result.feedback,
+    ...(result.blanks ? { blankScores: result.blanks } : {})
   };
 };
 
-module.exports = { gradeQuestion };
+/**
+ * Helper function, serializes user response into JSON
+ * JSON structure depends on question type 
+ * Stored in Response.USER_ANSWER and used in History Table
+ *
+ * @param {string}      questionType   - Question.TYPE field from database
+ * @param {*}           userAnswer     - Raw answer sent by the client
+ * @param {string|null} [instanceSeed] - Seed of the template instance answered, kept
+ *                                       as `seed` so the instance can be rebuilt later
+ * @returns {string} JSON containing relevant user response data
+ */
+const serializeUserAnswer = (questionType, userAnswer, instanceSeed = null) => {
+  const seed = instanceSeed === null ? {} : { seed: instanceSeed };
+
+  // Note that there's no case for Programming questions.
+  // This is because those take a different path
+  // through the code controller and /submitCode!
+  switch (questionType) 
+  {
+    case 'Multiple Choice':
+      // Text of the single selected answer choice
+      return JSON.stringify({ type: 'MultipleChoice', selected: userAnswer, ...seed });
+
+    case 'Fill in the Blanks':
+      // Text of the user-inputted response, or { blankId: text } for questions with blanks
+      return JSON.stringify({ type: 'FillInTheBlanks', entered: userAnswer, ...seed });
+
+    case 'Numeric':
+      // Number the user typed, as typed (e.g. "0x400" or "12 ms")
+      return JSON.stringify({ type: 'Numeric', entered: userAnswer, ...seed });
+
+    case 'Select All That Apply':
+      // Array of selected answer choice texts
+      return JSON.stringify({ type: 'SelectAllThatApply', selected: userAnswer, ...seed });
+
+    case 'Ranked Choice':
+      // Ordered array of answer choice texts
+      return JSON.stringify({ type: 'RankedChoice', order: userAnswer, ...seed });
+
+    case 'Drag and Drop':
+      // Mappings from placement zones to answer choice texts
+      // e.g. { "zone1": "answer A", "zone2": "answer B" }
+      return JSON.stringify({ type: 'DragAndDrop', placements: userAnswer, ...seed });
+
+    case 'Code Trace':
+      // Output the user typed, line breaks included
+      return JSON.stringify({ type: 'CodeTrace', output: userAnswer, ...seed });
+
+    default:
+      // Should never happen, but just store raw answer so we don't lose info
+      return JSON.stringify({ type: questionType, raw: userAnswer, ...seed });
+  }
+};
+
+/**
+ * Helper function, reads a stored Response.USER_ANSWER back into the answer
+ * that was graded, the reverse of serializeUserAnswer()
+ *
+ * @param {string} questionType - Question.TYPE field from database
+ * @param {string} userAnswer   - Response.USER_ANSWER
+ * @returns {{ answer: *, instanceSeed: string|null }|null} null if the answer can't be
+ *          read, or was stored for a question of another type
+ */
+const readUserAnswer = (questionType, userAnswer) => {
+  let stored;
+  try
+  {
+    stored = JSON.parse(userAnswer);
+  }
+  catch
+  {
+    return null;
+  }
+  if (!stored || typeof stored !== 'object' || Array.isArray(stored)) return null;
+
+  // Each type keeps its answer under one field, next to its type and seed
+  const { type, seed = null, ...fields } = stored;
+  if (type !== JSON.parse(serializeUserAnswer(questionType, null)).type) return null;
+  const [field, ...extra] = Object.keys(fields);
+  if (!field || extra.length > 0) return null;
+
+  return { answer: fields[field], instanceSeed: typeof seed === 'string' ? seed : null };
+};
+
+/**
+ * Grades an answer to a stored non-programming question without saving anything.
+ * Used by submitResponse, and by authors previewing how their question grades.
+ * Template questions are graded against the answers of the instance answered.
+ *
+ * @param {Object}      db             - Database connection pool
+ * @param {number}      questionId     - Question ID being answered
+ * @param {string}      questionType   - Question.TYPE
+ * @param {*}           userAnswer     - Raw answer sent by the client (option IDs or text)
+ * @param {number}      pointsPossible - Question.POINTS_POSSIBLE
+ * @param {string|null} [instanceSeed] - Seed of the template instance answered
+ * @throws {AppError} 400              - If the question is a template and no seed was given
+ * @returns {Promise<{ resolvedAnswer: *, result: Object, instanceSeed: string|null }>} Answer
+ *          with option IDs resolved to texts, the gradeQuestion() result, and the seed of
+ *          the instance graded (null if the question isn't a template)
+ */
+const gradeStoredAnswer = async (db, questionId, questionType, userAnswer, pointsPossible, instanceSeed = null) => {
+  // Get answers for this question ID, filled in if it's a template
+  const { seed, question, answers } = await loadQuestionInstance(db, questionId, instanceSeed);
+
+  // Turn submitted answer option IDs back into answer texts
+  const resolvedAnswer = resolveUserAnswer(questionId, questionType, userAnswer, answers);
+
+  return {
+    resolvedAnswer,
+    result: gradeQuestion(questionId, questionType, resolvedAnswer, answers, pointsPossible, {
+      numericSettings: readNumericSettings(question.NUMERIC_SETTINGS),
+      blanks:          readBlanks(question.BLANKS),
+      gradingPolicy:   readGradingPolicy(question.GRADING_POLICY),
+    }),
+    instanceSeed: seed,
+  };
+};
+
+/**
+ * Grades a user's answer to a non-programming question, stores it
+ * as a Response and awards currency.
+ * Shared by POST /api/test/submit and mock test session answers.
+ * Hints the user revealed for the question are used up by the answer,
+ * and pointsEarned is what's left after their penalty.
+ *
+ * @param {Object}      db                     - Database connection pool
+ * @param {number}      userId                 - ID of user answering
+ * @param {Object}      submission             - Submission info
+ * @param {number}      submission.problemId   - Question ID being answered
+ * @param {*}           submission.userAnswer  - Raw answer sent by the client (option IDs or text)
+ * @param {string}      [submission.category]  - Response.CATEGORY, defaults to Question.CATEGORY
+ * @param {string}      [submission.topic]     - Response.TOPIC, defaults to Question.SUBCATEGORY
+ * @param {number|null} [submission.elapsedTime] - Seconds taken to answer, or null
+ * @param {number|null} [submission.sessionId] - MockTestSession ID, or null outside of sessions
+ * @param {string|null} [submission.instanceSeed] - Seed of the template instance answered
+ * @throws {AppError} 400                      - If the question is a template and no seed was given
+ * @throws {AppError} 404                      - If question not found, or retired outside of a session
+ * @throws {AppError} 409                      - If answered outside of a session while it's in a running one
+ * @returns {Promise<Object>}                  - gradeQuestion() result, plus hintsUsed,
+ *                                               hintPenalty (share of points taken off)
+ *                                               and instanceSeed (null if not a template)
+ */
+const submitResponse = async (db, userId, { problemId, userAnswer, category, topic, elapsedTime = null, sessionId = null, instanceSeed = null }) => {
+  // Get question by ID, we care about question type and points
+  const [questions] = await db.query(
+    'SELECT TYPE, POINTS_POSSIBLE, CATEGORY, SUBCATEGORY, SUBCATEGORY_ID, CURRENT_VERSION, REVIEW_STATUS FROM Question WHERE ID = ?',
+    [problemId]
+  );
+  if (!questions || questions.length === 0)
+  {
+    throw new AppError(`Question ID not found: ${problemId}`, 404, 'Question not found.');
+  }
+
+  // Retired questions can't be answered again, except to finish a session started before they were retired
+  if (questions[0].REVIEW_STATUS === REVIEW_STATUSES.RETIRED && sessionId === null)
+  {
+    throw new AppError(`Question ID ${problemId} is retired`, 404, 'Question not found.');
+  }
+
+  // Questions in a running mock test are only answered through its session
+  if (sessionId === null)
+  {
+    await assertNotInOpenSession(db, userId, problemId, 'submitResponse');
+  }
+
+  // Deconstruct and extract type and points
+  const { TYPE: questionType, POINTS_POSSIBLE: maxPoints } = questions[0];
+
+  // Grade user response
+  const graded = await gradeStoredAnswer(db, problemId, questionType, userAnswer, maxPoints, instanceSeed);
+  const { resolvedAnswer, result } = graded;
+
+  // Serialize response data into JSON, with the instance answered
+  const serializedAnswer = serializeUserAnswer(questionType, resolvedAnswer, graded.instanceSeed);
+
+  // Hints revealed during this attempt cost part of the points earned
+  const hintsUsed = await consumeHintReveals(db, userId, problemId);
+  const pointsEarned = applyHintPenalty(result.pointsEarned, hintsUsed);
+
+  // Store user response
+  const [inserted] = await db.query(
+    `INSERT INTO Response 
+    (
+      USERID,
+      PROBLEM_ID,
+      USER_ANSWER,
+      ISCORRECT,
+      POINTS_EARNED,
+      POINTS_POSSIBLE,
+      CATEGORY,
+      TOPIC,
+      SUBCATEGORY_ID,
+      ELAPSED_TIME,
+      SESSION_ID,
+      QUESTION_VERSION,
+      HINTS_USED,
+      DATETIME
+    )
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      userId,
+      problemId,
+      serializedAnswer,
+      result.isCorrect,
+      pointsEarned,
+      result.pointsPossible,
+      category ?? questions[0].CATEGORY,
+      topic ?? questions[0].SUBCATEGORY,
+      questions[0].SUBCATEGORY_ID ?? null,
+      elapsedTime ?? null,
+      sessionId,
+      questions[0].CURRENT_VERSION ?? null,
+      hintsUsed,
+      new Date()
+    ]
+  );
+
+  // Queue missed questions for spaced review, reschedule ones already queued
+  await recordReviewAnswer(db, userId, problemId, result.normalizedScore);
+
+  // Award currency to user (respects daily exp cap)
+  // Exp awarded is kept with the response, so a regrade only takes back what was given
+  // Also award exp to user's guild if they're in one
+  const expAwarded = await awardCurrency(db, userId, pointsEarned);
+  await db.query('UPDATE Response SET EXP_AWARDED = ? WHERE ID = ?', [expAwarded, inserted.insertId]);
+  await awardGuildExp(db, userId, pointsEarned);
+
+  return { ...result, pointsEarned, hintsUsed, hintPenalty: getHintPenalty(hintsUsed), instanceSeed: graded.instanceSeed };
+};
+
+module.exports = {
+  gradeQuestion,
+  gradeStoredAnswer,
+  serializeUserAnswer,
+  readUserAnswer,
+  submitResponse,
+};
@@ -0,0 +1,535 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          mockTestSessionController.js
+//  Description:   Controller functions for mock test sessions.
+//                 A session records the questions picked for a
+//                 mock test, a server-side start time and deadline.
+//                 Answers are only accepted against an open session,
+//                 and finalizing it produces the scored result.
+//
+//  Dependencies:  mysql2 connection pool (req.db)
+//                 errorHandler
+//                 gradingController
+//                 codeLimits (daily submission check)
+//                 codeJobQueue
+//                 questionUtils
+//                 questionTemplateUtils
+//                 blueprintUtils
+//                 validationUtils
+//                 mockTestConfig
+//
+////////////////////////////////////////////////////////////////
+
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { submitResponse } = require('./gradingController');
+const { getProgrammingSubmissionsRemaining } = require('../config/codeLimits');
+const { waitForActiveJobs } = require('../services/codeJobQueue');
+const {
+        shuffle,
+        generateSeed,
+        createSeededRandom,
+        pairAnswersWithQuestions,
+      } = require('../utils/questionUtils');
+const { deriveInstanceSeed } = require('../utils/questionTemplateUtils');
+const { getBlueprint, pickBlueprintQuestions } = require('../utils/blueprintUtils');
+const { normalizeDBString, parseId } = require('../utils/validationUtils');
+const {
+        DEFAULT_QUESTION_COUNT,
+        MIN_QUESTION_COUNT,
+        MAX_QUESTION_COUNT,
+        DEFAULT_TIME_LIMIT_MINUTES,
+        MIN_TIME_LIMIT_MINUTES,
+        MAX_TIME_LIMIT_MINUTES,
+      } = require('../../shared/mockTestConfig');
+
+/**
+ * Clamps a requested number into [min, max], falling back to a default
+ * when it isn't a number at all
+ *
+ * @param {*}      value    - Raw value from request body
+ * @param {number} min      - Minimum allowed value
+ * @param {number} max      - Maximum allowed value
+ * @param {number} fallback - Value used if input isn't numeric
+ * @returns {number} Clamped integer
+ */
+const clampInt = (value, min, max, fallback) => {
+  const number = Number(value);
+  if (value === undefined || value === null || !Number.isFinite(number))
+  {
+    return fallback;
+  }
+  return Math.min(max, Math.max(min, Math.round(number)));
+};
+
+/**
+ * Fetches a session owned by the given user
+ * Sessions belonging to someone else are reported as not found.
+ *
+ * @param {Object} db        - Database connection pool
+ * @param {number} sessionId - MockTestSession ID
+ * @param {number} userId    - Requesting user's ID
+ * @param {string} context   - Caller name for error logging
+ * @throws {AppError} 404    - If session not found for this user
+ * @returns {Promise<Object>} MockTestSession row, with QUESTION_IDS parsed to an array
+ */
+const getOwnedSession = async (db, sessionId, userId, context) => {
+  const [sessions] = await db.query(
+    'SELECT * FROM MockTestSession WHERE ID = ? AND USER_ID = ?',
+    [sessionId, userId]
+  );
+  if (sessions.length === 0)
+  {
+    throw new AppError(`[${context}] Session ${sessionId} not found for user ${userId}`, 404, 'Mock test session not found');
+  }
+
+  const session = sessions[0];
+  if (typeof session.QUESTION_IDS === 'string')
+  {
+    session.QUESTION_IDS = JSON.parse(session.QUESTION_IDS);
+  }
+  return session;
+};
+
+/**
+ * Checks that a session can still take an answer for a question,
+ * and computes how long the user spent on it from server timestamps:
+ * the time since the session started or since their previous answer,
+ * whichever is later.
+ * Also used by the code controller for programming questions.
+ *
+ * @param {Object} db         - Database connection pool
+ * @param {number} sessionId  - MockTestSession ID
+ * @param {number} userId     - Requesting user's ID
+ * @param {number} questionId - Question being answered
+ * @param {string} context    - Caller name for error logging
+ * @throws {AppError} 400     - If question isn't part of the session
+ * @throws {AppError} 403     - If the session deadline has passed
+ * @throws {AppError} 404     - If session not found for this user
+ * @throws {AppError} 409     - If session is finalized or question was already answered
+ * @returns {Promise<{ session: Object, elapsedTime: number }>}
+ */
+const checkSessionAnswer = async (db, sessionId, userId, questionId, context) => {
+  const session = await getOwnedSession(db, sessionId, userId, context);
+  const now = new Date();
+
+  if (session.FINALIZED_AT)
+  {
+    throw new AppError(`[${context}] Session ${sessionId} already finalized`, 409, 'This mock test has already been submitted');
+  }
+  if (now > new Date(session.DEADLINE))
+  {
+    throw new AppError(`[${context}] Session ${sessionId} deadline passed`, 403, "Time's up for this mock test");
+  }
+  if (!session.QUESTION_IDS.includes(Number(questionId)))
+  {
+    throw new AppError(`[${context}] Question ${questionId} not in session ${sessionId}`, 400, 'Question is not part of this mock test');
+  }
+
+  const [responses] = await db.query(
+    'SELECT PROBLEM_ID, DATETIME FROM Response WHERE SESSION_ID = ?',
+    [sessionId]
+  );
+  if (responses.some(response => response.PROBLEM_ID === Number(questionId)))
+  {
+    throw new AppError(`[${context}] Question ${questionId} already answered in session ${sessionId}`, 409, 'Question already answered');
+  }
+
+  const lastAnsweredAt = responses.reduce(
+    (latest, response) => Math.max(latest, new Date(response.DATETIME).getTime()),
+    new Date(session.STARTED_AT).getTime()
+  );
+  const elapsedTime = Math.max(0, Math.round((now.getTime() - lastAnsweredAt) / 1000));
+
+  return { session, elapsedTime };
+};
+
+/**
+ * Picks questions for a session from the requested subcategories.
+ * Topics take turns contributing a random question so every selected topic
+ * is covered before any topic gets a second one. Maximum of 1 programming
+ * question, or 0 if the user has reached the daily submission limit.
+ *
+ * @param {Object}        db            - Database connection pool
+ * @param {number}        userId        - Requesting user's ID
+ * @param {string[]}      topics        - Normalized subcategories to draw from
+ * @param {number}        questionCount - Number of questions wanted
+ * @param {() => number}  random        - Seeded generator from createSeededRandom()
+ * @returns {Promise<Array>} Picked Question rows, in random order
+ */
+const pickTopicQuestions = async (db, userId, topics, questionCount, random) => {
+  // Ordered by ID so the same seed draws the same questions
+  const [questions] = await db.query(
+    'SELECT * FROM Question WHERE SUBCATEGORY IN (?) AND IS_PUBLISHED = 1 ORDER BY ID',
+    [topics]
+  );
+
+  const remaining = await getProgrammingSubmissionsRemaining(db, userId);
+  let programmingQuestionUsed = !(remaining > 0);
+
+  // Random pool of questions for each topic
+  const pools = topics.map(topic =>
+    shuffle(questions.filter(q => normalizeDBString(q.SUBCATEGORY ?? '') === topic), random)
+  );
+
+  const picked = [];
+  let pickedThisRound = true;
+  while (picked.length < questionCount && pickedThisRound)
+  {
+    pickedThisRound = false;
+    for (const pool of pools)
+    {
+      if (picked.length >= questionCount) break;
+
+      // Skip programming questions we're not allowed to add
+      let question = pool.shift();
+      while (question && question.TYPE === 'Programming' && programmingQuestionUsed)
+      {
+        question = pool.shift();
+      }
+      if (!question) continue;
+
+      if (question.TYPE === 'Programming') programmingQuestionUsed = true;
+      picked.push(question);
+      pickedThisRound = true;
+    }
+  }
+
+  return shuffle(picked, random);
+};
+
+/**
+ * Builds the scored result of a session from its questions and responses.
+ * Unanswered questions count toward the total and points possible.
+ *
+ * @param {Object} session   - MockTestSession row
+ * @param {Array}  questions - Question rows in the session
+ * @param {Array}  responses - Response rows submitted against the session
+ * @returns {Object} Scored result, per question and per subcategory
+ */
+const buildSessionResult = (session, questions, responses) => {
+  const responseByQuestion = new Map(responses.map(r => [r.PROBLEM_ID, r]));
+  const questionById = new Map(questions.map(q => [q.ID, q]));
+
+  const result = {
+    completionReason:   new Date(session.FINALIZED_AT) >= new Date(session.DEADLINE) ? 'time_limit' : 'completed',
+    totalQuestions:     session.QUESTION_IDS.length,
+    answeredQuestions:  0,
+    correctQuestions:   0,
+    pointsEarned:       0,
+    pointsPossible:     0,
+    subcategories:      {},
+    questions:          [],
+  };
+
+  for (const questionId of session.QUESTION_IDS)
+  {
+    const question = questionById.get(questionId);
+    const response = responseByQuestion.get(questionId);
+    const subcategory = question ? normalizeDBString(question.SUBCATEGORY ?? '') : 'Unknown';
+    const pointsPossible = parseFloat(question?.POINTS_POSSIBLE ?? 0);
+    const pointsEarned = response ? parseFloat(response.POINTS_EARNED ?? 0) : 0;
+    const isCorrect = Boolean(response?.ISCORRECT);
+
+    const entry = result.subcategories[subcategory]
+      ?? (result.subcategories[subcategory] = { correct: 0, answered: 0, total: 0, pointsEarned: 0, pointsPossible: 0 });
+    entry.total++;
+    entry.pointsPossible += pointsPossible;
+    result.pointsPossible += pointsPossible;
+
+    if (response)
+    {
+      entry.answered++;
+      entry.pointsEarned += pointsEarned;
+      result.answeredQuestions++;
+      result.pointsEarned += pointsEarned;
+      if (isCorrect)
+      {
+        entry.correct++;
+        result.correctQuestions++;
+      }
+    }
+
+    result.questions.push({
+      questionId,
+      subcategory,
+      answered:     Boolean(response),
+      isCorrect,
+      pointsEarned,
+      pointsPossible,
+      elapsedTime:  response?.ELAPSED_TIME ?? null,
+    });
+  }
+
+  return result;
+};
+
+/**
+ * Seed the session's template questions are filled in from, so they come
+ * out the same every time the session is loaded and when answered.
+ * Sessions from before seeds were stored fall back to their ID.
+ * @param {Object} session - MockTestSession row
+ * @returns {string}
+ */
+const getInstanceBaseSeed = (session) => session.SEED ?? `session-${session.ID}`;
+
+/**
+ * Builds the session state sent to the client: timing, questions
+ * (student-safe projections, in session order), which questions
+ * are answered, and the scored result once finalized.
+ *
+ * @param {Object} db      - Database connection pool
+ * @param {Object} session - MockTestSession row, QUESTION_IDS parsed
+ * @param {Object} user    - Requesting user (req.user)
+ * @returns {Promise<Object>} Session state
+ */
+const buildSessionState = async (db, session, user) => {
+  const [questions] = await db.query(
+    'SELECT * FROM Question WHERE ID IN (?)',
+    [session.QUESTION_IDS]
+  );
+  const [responses] = await db.query(
+    'SELECT PROBLEM_ID, ISCORRECT, POINTS_EARNED, ELAPSED_TIME FROM Response WHERE SESSION_ID = ?',
+    [session.ID]
+  );
+
+  // Keep the order the questions were picked in
+  const position = new Map(session.QUESTION_IDS.map((id, index) => [id, index]));
+  questions.sort((a, b) => position.get(a.ID) - position.get(b.ID));
+
+  const now = new Date();
+  const isFinalized = Boolean(session.FINALIZED_AT);
+
+  return {
+    sessionId:            session.ID,
+    blueprintId:          session.BLUEPRINT_ID ?? null,
+    seed:                 session.SEED ?? null,
+    startedAt:            session.STARTED_AT,
+    deadline:             session.DEADLINE,
+    serverTime:           now,
+    isFinalized,
+    isExpired:            now > new Date(session.DEADLINE),
+    questions:            await pairAnswersWithQuestions(questions, user, db, { instanceBaseSeed: getInstanceBaseSeed(session) }),
+    answeredQuestionIds:  responses.map(r => r.PROBLEM_ID),
+    result:               isFinalized ? buildSessionResult(session, questions, responses) : null,
+  };
+};
+
+/**
+ * @route   POST /api/test/sessions
+ * @desc    Start a mock test session, either from a stored blueprint (blueprintId)
+ *          or from selected subcategories (topics, questionCount, timeLimitMinutes).
+ *          Picked questions are recorded with a server start time and deadline.
+ *          Topic question count and time limit are clamped to the limits in
+ *          shared/mockTestConfig.js, blueprints bring their own time limit.
+ *          Selection is reproducible: pass the seed of an earlier session
+ *          to draw the same questions again.
+ * @access  Protected
+ *
+ * @param {import('express').Request}  req  - Express request object
+ * @param {import('express').Response} res  - Express response object
+ * @throws  {AppError} 400                  - If no topics given, or invalid blueprint ID
+ * @throws  {AppError} 404                  - If blueprint not found, or no published questions match
+ * @returns {Promise<void>}                 - Sends HTTP/JSON response with the new session state
+ */
+const startSession = asyncHandler(async (req, res) => {
+  const context = 'startSession';
+  const userId  = req.user.id;
+  const { topics, questionCount, timeLimitMinutes, blueprintId, seed } = req.body;
+
+  const sessionSeed = (seed !== undefined && seed !== null && String(seed).trim().length > 0)
+    ? String(seed).trim().slice(0, 64)
+    : generateSeed();
+  const random = createSeededRandom(sessionSeed);
+
+  let picked;
+  let minutes;
+  let blueprint = null;
+  if (blueprintId !== undefined && blueprintId !== null)
+  {
+    blueprint = await getBlueprint(req.db, parseId(blueprintId, 'blueprint', context), context);
+    picked = await pickBlueprintQuestions(req.db, userId, blueprint, random);
+    minutes = blueprint.timeLimitMinutes;
+  }
+  else
+  {
+    if (!Array.isArray(topics) || topics.length === 0 || !topics.every(t => typeof t === 'string'))
+    {
+      throw new AppError(`[${context}] Invalid topics: ${JSON.stringify(topics)}`, 400, 'Select at least one topic');
+    }
+
+    const normalizedTopics = [...new Set(topics.map(normalizeDBString).filter(t => t.length > 0))];
+    const count = clampInt(questionCount, MIN_QUESTION_COUNT, MAX_QUESTION_COUNT, DEFAULT_QUESTION_COUNT);
+    minutes = clampInt(timeLimitMinutes, MIN_TIME_LIMIT_MINUTES, MAX_TIME_LIMIT_MINUTES, DEFAULT_TIME_LIMIT_MINUTES);
+
+    picked = normalizedTopics.length > 0
+      ? await pickTopicQuestions(req.db, userId, normalizedTopics, count, random)
+      : [];
+  }
+
+  if (picked.length === 0)
+  {
+    throw new AppError(`[${context}] No published questions for ${blueprint ? `blueprint ${blueprint.id}` : 'selected topics'}`, 404, 'No published questions were available for this mock test');
+  }
+
+  const startedAt = new Date();
+  const deadline = new Date(startedAt.getTime() + minutes * 60 * 1000);
+  const questionIds = picked.map(q => q.ID);
+
+  const [result] = await req.db.query(
+    `INSERT INTO MockTestSession (USER_ID, QUESTION_IDS, STARTED_AT, DEADLINE, BLUEPRINT_ID, SEED)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [userId, JSON.stringify(questionIds), startedAt, deadline, blueprint?.id ?? null, sessionSeed]
+  );
+
+  const session = {
+    ID:            result.insertId,
+    USER_ID:       userId,
+    QUESTION_IDS:  questionIds,
+    STARTED_AT:    startedAt,
+    DEADLINE:      deadline,
+    FINALIZED_AT:  null,
+    BLUEPRINT_ID:  blueprint?.id ?? null,
+    SEED:          sessionSeed,
+  };
+
+  return res.status(201).json(await buildSessionState(req.db, session, req.user));
+});
+
+/**
+ * @route   GET /api/test/sessions/:id
+ * @desc    Fetch the state of one of the user's mock test sessions,
+ *          including the scored result once finalized
+ * @access  Protected
+ *
+ * @param {import('express').Request}  req  - Express request object
+ * @param {import('express').Response} res  - Express response object
+ * @throws  {AppError} 400                  - If session ID invalid
+ * @throws  {AppError} 404                  - If session not found for this user
+ * @returns {Promise<void>}                 - Sends HTTP/JSON response with session state
+ */
+const getSession = asyncHandler(async (req, res) => {
+  const context   = 'getSession';
+  const sessionId = parseId(req.params.id, 'mock test session', context);
+  const session   = await getOwnedSession(req.db, sessionId, req.user.id, context);
+
+  return res.status(200).json(await buildSessionState(req.db, session, req.user));
+});
+
+/**
+ * @route   POST /api/test/sessions/:id/answers
+ * @desc    Submit an answer to a non-programming question in a session.
+ *          Each question can be answered once, and only before the deadline.
+ *          Elapsed time is measured on the server.
+ *          Programming questions go through POST /api/code/submitCode with sessionId.
+ * @access  Protected
+ *
+ * @param {import('express').Request}  req  - Express request object
+ * @param {import('express').Response} res  - Express response object
+ * @throws  {AppError} 400                  - If session ID invalid, or question not in session
+ * @throws  {AppError} 403                  - If the session deadline has passed
+ * @throws  {AppError} 404                  - If session not found for this user
+ * @throws  {AppError} 409                  - If session finalized or question already answered
+ * @returns {Promise<void>}                 - Sends HTTP/JSON response with grading result
+ */
+const submitSessionAnswer = asyncHandler(async (req, res) => {
+  const context   = 'submitSessionAnswer';
+  const sessionId = parseId(req.params.id, 'mock test session', context);
+  const userId    = req.user.id;
+  const { problem_id, userAnswer } = req.body;
+
+  const { session, elapsedTime } = await checkSessionAnswer(req.db, sessionId, userId, problem_id, context);
+
+  let result;
+  try
+  {
+    result = await submitResponse(req.db, userId, {
+      problemId:    Number(problem_id),
+      userAnswer,
+      elapsedTime,
+      sessionId,
+      instanceSeed: deriveInstanceSeed(getInstanceBaseSeed(session), Number(problem_id)),
+    });
+  }
+  catch (err)
+  {
+    // Two requests for the same question raced past the check above
+    if (err.code === 'ER_DUP_ENTRY')
+    {
+      throw new AppError(`[${context}] Question ${problem_id} already answered in session ${sessionId}`, 409, 'Question already answered');
+    }
+    throw err;
+  }
+
+  return res.status(201).json({
+    message:          'Answer submitted',
+    isCorrect:        result.isCorrect,
+    pointsEarned:     result.pointsEarned,
+    pointsPossible:   result.pointsPossible,
+    normalizedScore:  result.normalizedScore,
+    feedback:         result.feedback,
+    elapsedTime,
+  });
+});
+
+/**
+ * @route   POST /api/test/sessions/:id/finalize
+ * @desc    Finalize a session and return its scored result.
+ *          Allowed before or after the deadline. No answers are accepted
+ *          once finalized. Finalizing again returns the same result.
+ *          Programming answers still being graded are waited for, so
+ *          they count toward the score.
+ * @access  Protected
+ *
+ * @param {import('express').Request}  req  - Express request object
+ * @param {import('express').Response} res  - Express response object
+ * @throws  {AppError} 400                  - If session ID invalid
+ * @throws  {AppError} 404                  - If session not found for this user
+ * @returns {Promise<void>}                 - Sends HTTP/JSON response with final session state
+ */
+const finalizeSession = asyncHandler(async (req, res) => {
+  const context   = 'finalizeSession';
+  const sessionId = parseId(req.params.id, 'mock test session', context);
+  const session   = await getOwnedSession(req.db, sessionId, req.user.id, context);
+
+  if (!session.FINALIZED_AT)
+  {
+    // Code submitted before finalizing is part of the test, even if it's still running
+    await Promise.all(session.QUESTION_IDS.map(problemId =>
+      waitForActiveJobs(req.user.id, { problemId, isTestRun: false })
+    ));
+
+    const [[totals]] = await req.db.query(
+      `SELECT
+        (SELECT COALESCE(SUM(POINTS_EARNED), 0) FROM Response WHERE SESSION_ID = ?) AS pointsEarned,
+        (SELECT COALESCE(SUM(POINTS_POSSIBLE), 0) FROM Question WHERE ID IN (?)) AS pointsPossible`,
+      [sessionId, session.QUESTION_IDS]
+    );
+
+    // Clamp to the deadline, so a late finalize still reads as a timed-out test
+    const now = new Date();
+    const deadline = new Date(session.DEADLINE);
+    const finalizedAt = now > deadline ? deadline : now;
+
+    // Only the first finalize wins if two arrive at once
+    await req.db.query(
+      `UPDATE MockTestSession
+       SET FINALIZED_AT = ?, POINTS_EARNED = ?, POINTS_POSSIBLE = ?
+       WHERE ID = ? AND FINALIZED_AT IS NULL`,
+      [finalizedAt, totals.pointsEarned, totals.pointsPossible, sessionId]
+    );
+  }
+
+  const finalized = await getOwnedSession(req.db, sessionId, req.user.id, context);
+  return res.status(200).json(await buildSessionState(req.db, finalized, req.user));
+});
+
+module.exports = {
+  startSession,
+  getSession,
+  submitSessionAnswer,
+  finalizeSession,
+  checkSessionAnswer,
+};
@@ -0,0 +1,114 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          questionAssetController.js
+//  Description:   Controller functions for images used in
+//                 question text. Authors upload them, anyone
+//                 viewing a question loads them by URL.
+//
+//  Dependencies:  mysql2 connection pool (req.db)
+//                 errorHandler
+//                 questionAssetConfig
+//                 questionAssetUtils
+//
+////////////////////////////////////////////////////////////////
+
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { ASSET_IMAGE_TYPES, ASSET_DIR } = require('../config/questionAssetConfig');
+const {
+  detectImageType,
+  toAssetFileName,
+  isAssetFileName,
+  toAssetUrl,
+  writeAssetFile,
+} = require('../utils/questionAssetUtils');
+
+/**
+ * @route   POST /api/admin/assets
+ * @desc    Upload an image for question text. The body is the raw file,
+ *          sent with its image Content-Type. Uploading the same image
+ *          again returns the existing URL.
+ * @access  Admin, Professor
+ *
+ * @param {import('express').Request}  req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @throws  {AppError} 400 - Empty body
+ * @throws  {AppError} 415 - Not a PNG, JPEG, GIF or WebP image
+ * @returns {Promise<void>} - Sends { fileName, url, mimeType, sizeBytes }
+ */
+const uploadAsset = asyncHandler(async (req, res) => {
+  const context = 'uploadAsset';
+
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0)
+  {
+    throw new AppError(`[${context}] No file in body (Content-Type: ${req.get('Content-Type')})`, 400, 'Send the image as the request body with its image Content-Type');
+  }
+
+  const imageType = detectImageType(req.body);
+  if (!imageType)
+  {
+    const allowed = ASSET_IMAGE_TYPES.map(type => type.extension.toUpperCase()).join(', ');
+    throw new AppError(`[${context}] Unrecognized file (Content-Type: ${req.get('Content-Type')})`, 415, `Only ${allowed} images can be uploaded`);
+  }
+
+  const fileName = toAssetFileName(req.body, imageType);
+  await writeAssetFile(req.body, fileName);
+
+  // The first uploader is kept when the same image comes in again
+  await req.db.query(
+    `INSERT INTO QuestionAsset (FILE_NAME, MIME_TYPE, SIZE_BYTES, UPLOADED_BY)
+    VALUES (?, ?, ?, ?)
+    ON DUPLICATE KEY UPDATE FILE_NAME = FILE_NAME`,
+    [fileName, imageType.mimeType, req.body.length, req.user?.id ?? null]
+  );
+
+  res.status(201).json({
+    fileName,
+    url: toAssetUrl(fileName),
+    mimeType: imageType.mimeType,
+    sizeBytes: req.body.length,
+  });
+});
+
+/**
+ * @route   GET /api/assets/:fileName
+ * @desc    Serve an uploaded image. Public, since images in question text
+ *          are loaded by the browser without the auth header.
+ * @access  Public
+ *
+ * @param {import('express').Request}  req  - Express request object
+ * @param {import('express').Response} res  - Express response object
+ * @param {Function}                   next - Express next function
+ * @throws  {AppError} 404 - Invalid name, or no such file
+ * @returns {void}
+ */
+const serveAsset = (req, res, next) => {
+  const context = 'serveAsset';
+  const { fileName } = req.params;
+
+  if (!isAssetFileName(fileName))
+  {
+    return next(new AppError(`[${context}] Invalid asset name: ${fileName}`, 404, 'Asset not found'));
+  }
+
+  // Names are content hashes, so a file never changes once stored
+  res.sendFile(fileName, {
+    root: ASSET_DIR,
+    headers: {
+      'Cache-Control': 'public, max-age=31536000, immutable',
+      'X-Content-Type-Options': 'nosniff',
+    },
+  }, (err) => {
+    if (err && !res.headersSent)
+    {
+      next(new AppError(`[${context}] ${err.message}`, 404, 'Asset not found'));
+    }
+  });
+};
+
+module.exports = {
+  uploadAsset,
+  serveAsset,
+};
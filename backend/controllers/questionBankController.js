@@ -0,0 +1,236 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          questionBankController.js
+//  Description:   Controller functions for bulk question bank
+//                 import and export as a JSON bundle, QTI 2.1
+//                 package or Moodle GIFT file.
+//                 Requires admin or professor.
+//
+//  Dependencies:  mysql2 connection pool (req.db)
+//                 errorHandler
+//                 discordWebhook service (notifyUserEvent)
+//                 questionBankConfig
+//                 validationUtils
+//                 questionBankUtils
+//                 questionVersionUtils
+//                 taxonomyUtils
+//                 qti, gift question formats
+//
+////////////////////////////////////////////////////////////////
+
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { notifyUserEvent } = require('../services/discordWebhook');
+const { QUESTION_BANK_FORMATS } = require('../config/questionBankConfig');
+const { parseId, parseUserId } = require('../utils/validationUtils');
+const {
+  validateImportQuestions,
+  readBundle,
+  toBundle,
+  getBundleQuestions,
+  insertBundleQuestion,
+} = require('../utils/questionBankUtils');
+const { VERSION_CHANGE_TYPES, recordQuestionVersion } = require('../utils/questionVersionUtils');
+const { getTaxonomyIndex } = require('../utils/taxonomyUtils');
+const { toQtiPackage, fromQti } = require('../services/questionFormats/qti');
+const { toGift, fromGift } = require('../services/questionFormats/gift');
+
+/**
+ * Validates the format query param
+ * @param {*}      rawFormat - Raw format, json if missing
+ * @param {string} context   - Caller name for error logging
+ * @throws {AppError} 400    - If the format isn't supported
+ * @returns {string} One of QUESTION_BANK_FORMATS
+ */
+const parseFormat = (rawFormat, context) => {
+  const format = String(rawFormat ?? QUESTION_BANK_FORMATS.JSON).toLowerCase();
+  if (!Object.values(QUESTION_BANK_FORMATS).includes(format))
+  {
+    throw new AppError(
+      `[${context}] Unsupported format: ${rawFormat}`,
+      400,
+      `Format must be one of: ${Object.values(QUESTION_BANK_FORMATS).join(', ')}`
+    );
+  }
+  return format;
+};
+
+/**
+ * Gets an uploaded file from a text or raw request body
+ * @param {import('express').Request} req
+ * @param {string} context - Caller name for error logging
+ * @throws {AppError} 400  - If there is no file in the body
+ * @returns {Buffer}
+ */
+const getUploadedFile = (req, context) => {
+  if (Buffer.isBuffer(req.body) && req.body.length > 0) return req.body;
+  if (typeof req.body === 'string' && req.body.length > 0) return Buffer.from(req.body, 'utf8');
+  throw new AppError(`[${context}] No file in request body (${req.get('Content-Type')})`, 400, 'Upload the file as the request body');
+};
+
+/**
+ * @route   GET /api/admin/questions/export
+ * @desc    Export questions with their answers, test cases and code templates.
+ *          Exports every question the user can see unless ids are given.
+ *          Query: format (json | qti | gift, default json), ids (comma separated)
+ * @access  Admin, Professor (own questions only)
+ *
+ * @param {import('express').Request}  req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @throws  {AppError} 400 - Invalid format or question ID
+ * @throws  {AppError} 404 - If a requested question doesn't exist or isn't the professor's
+ * @returns {Promise<void>} - Sends the bundle, QTI zip or GIFT file as a download
+ */
+const exportQuestions = asyncHandler(async (req, res) => {
+  const context = 'exportQuestions';
+  const format = parseFormat(req.query.format, context);
+
+  const questionIds = req.query.ids
+    ? [...new Set(String(req.query.ids).split(',').map(id => parseId(id.trim(), 'question', context)))]
+    : null;
+
+  const conditions = [];
+  const params = [];
+  if (req.user?.role === 'professor')
+  {
+    conditions.push('OWNER_ID = ?');
+    params.push(req.user.id);
+  }
+  if (questionIds)
+  {
+    conditions.push('ID IN (?)');
+    params.push(questionIds);
+  }
+
+  const [questionRows] = await req.db.query(
+    `SELECT ID, TYPE, AUTHOR_EXAM_ID, SECTION, CATEGORY, SUBCATEGORY, POINTS_POSSIBLE, QUESTION_TEXT, EXPLANATION,
+      TRACE_CODE, TRACE_LANGUAGE_ID, NUMERIC_SETTINGS, BLANKS, GRADING_POLICY
+    FROM Question
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY ID`,
+    params
+  );
+
+  // Same 404 whether a question is missing or someone else's
+  if (questionIds && questionRows.length !== questionIds.length)
+  {
+    const found = new Set(questionRows.map(question => question.ID));
+    const missing = questionIds.filter(id => !found.has(id));
+    throw new AppError(`[${context}] Questions not found or not owned: ${missing.join(', ')}`, 404, 'Question not found');
+  }
+
+  const questions = await getBundleQuestions(req.db, questionRows);
+
+  switch (format)
+  {
+    case QUESTION_BANK_FORMATS.QTI:
+      return res.status(200).attachment('knightwise-questions-qti.zip').send(toQtiPackage(questions));
+
+    case QUESTION_BANK_FORMATS.GIFT:
+      return res.status(200)
+        .attachment('knightwise-questions.gift.txt')
+        .type('text/plain; charset=utf-8')
+        .send(toGift(questions));
+
+    default:
+      return res.status(200).attachment('knightwise-questions.json').json(toBundle(questions));
+  }
+});
+
+/**
+ * @route   POST /api/admin/questions/import
+ * @desc    Import questions as drafts. Every question is checked against the
+ *          grader rules for its type and its labels against the taxonomy,
+ *          and nothing is imported unless all of them pass.
+ *          Query: format (json | qti | gift, default json), and defaults for
+ *          fields the file leaves out: section, category, subcategory,
+ *          author_exam_id, points_possible. Admins may pass owner_id.
+ *          Body: JSON bundle (application/json), QTI item (application/xml)
+ *          or package (application/zip), or GIFT (text/plain)
+ * @access  Admin, Professor
+ *
+ * @param {import('express').Request}  req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @throws  {AppError} 400 - Invalid format, unreadable file, or too many questions
+ * @returns {Promise<void>} - 201 with the new question IDs, or 400 with
+ *                            { message, errors: [{ index, errors }] } if any question is invalid
+ */
+const importQuestions = asyncHandler(async (req, res) => {
+  const context = 'importQuestions';
+  const format = parseFormat(req.query.format, context);
+
+  let rawQuestions;
+  switch (format)
+  {
+    case QUESTION_BANK_FORMATS.QTI:
+      rawQuestions = fromQti(getUploadedFile(req, context));
+      break;
+
+    case QUESTION_BANK_FORMATS.GIFT:
+      rawQuestions = fromGift(getUploadedFile(req, context).toString('utf8'));
+      break;
+
+    default:
+      if (!req.is('application/json'))
+      {
+        throw new AppError(`[${context}] JSON import sent as ${req.get('Content-Type')}`, 400, 'Send the bundle as application/json');
+      }
+      rawQuestions = readBundle(req.body);
+  }
+
+  const { questions, rowErrors } = validateImportQuestions(rawQuestions, {
+    section:        req.query.section,
+    category:       req.query.category,
+    subcategory:    req.query.subcategory,
+    authorExamId:   req.query.author_exam_id,
+    pointsPossible: req.query.points_possible,
+  }, await getTaxonomyIndex(req.db));
+
+  // errorHandler only sends a message, so row errors are sent here
+  if (rowErrors.length > 0)
+  {
+    return res.status(400).json({
+      message: `${rowErrors.length} of ${rawQuestions.length} questions are invalid, nothing was imported`,
+      errors: rowErrors,
+    });
+  }
+
+  // Same owner rules as POST /api/admin/createquestion
+  const ownerId = req.user?.role === 'professor'
+    ? req.user.id
+    : (req.query.owner_id !== undefined ? parseUserId(req.query.owner_id, context) : req.user?.id);
+
+  const questionIds = [];
+  const conn = await req.db.getConnection();
+  try
+  {
+    await conn.beginTransaction();
+    for (const question of questions)
+    {
+      const questionId = await insertBundleQuestion(conn, question, ownerId);
+      await recordQuestionVersion(conn, questionId, { changeType: VERSION_CHANGE_TYPES.IMPORT, editedBy: req.user?.id ?? null });
+      questionIds.push(questionId);
+    }
+    await conn.commit();
+  }
+  catch (err)
+  {
+    await conn.rollback();
+    throw err;
+  }
+  finally
+  {
+    conn.release();
+  }
+
+  notifyUserEvent(`${questionIds.length} questions imported from ${format} as drafts by ${req.user?.role} (owner ID: ${ownerId})`);
+
+  return res.status(201).json({ message: 'Questions imported as drafts', questionIds });
+});
+
+module.exports = {
+  exportQuestions,
+  importQuestions,
+};
@@ -0,0 +1,134 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          questionConsistencyController.js
+//  Description:   Controller function for scanning the question
+//                 bank for questions that break the rules for
+//                 their type. Those rules are only enforced on
+//                 new writes, so older questions can still fail.
+//
+//  Dependencies:  mysql2 connection pool (req.db)
+//                 errorHandler
+//                 validationUtils
+//                 questionReviewUtils
+//                 questionValidator
+//                 numeric grader
+//                 fillInTheBlanks grader
+//                 gradingPolicy
+//
+////////////////////////////////////////////////////////////////
+
+const { asyncHandler } = require('../middleware/errorHandler');
+const { normalizeDBString } = require('../utils/validationUtils');
+const { getReviewStatus } = require('../utils/questionReviewUtils');
+const {
+  answersFromRows,
+  testCasesFromRows,
+  readTraceCode,
+  validateQuestionStructure,
+} = require('../services/graders/questionValidator');
+const { readNumericSettings } = require('../services/graders/numeric');
+const { readBlanks } = require('../services/graders/fillInTheBlanks');
+const { readGradingPolicy } = require('../services/graders/gradingPolicy');
+
+/**
+ * Groups rows by their QUESTION_ID
+ * @param {Array} rows
+ * @returns {Map<number, Array>}
+ */
+const groupByQuestion = (rows) => {
+  const groups = new Map();
+  for (const row of rows)
+  {
+    if (!groups.has(row.QUESTION_ID)) groups.set(row.QUESTION_ID, []);
+    groups.get(row.QUESTION_ID).push(row);
+  }
+  return groups;
+};
+
+/**
+ * @route   GET /api/admin/questions/consistency
+ * @desc    Check every question in the bank against the rules for its type.
+ *          Professors only scan their own questions. Each invalid question
+ *          lists its field errors, and errors with blocksGrading set mean
+ *          students can't currently get a grade for it.
+ * @access  Admin, Professor (own questions only)
+ *
+ * @param {import('express').Request}  req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>} - Sends { scanned, invalid, ungradable, questions }
+ */
+const scanQuestionBank = asyncHandler(async (req, res) => {
+  const ownerOnly = req.user?.role === 'professor';
+  const ownerClause = ownerOnly ? 'WHERE q.OWNER_ID = ?' : '';
+  const params = ownerOnly ? [req.user.id] : [];
+
+  const [questions] = await req.db.query(
+    `SELECT q.ID, q.TYPE, q.OWNER_ID, q.IS_PUBLISHED, q.REVIEW_STATUS, q.TRACE_CODE, q.TRACE_LANGUAGE_ID,
+      q.NUMERIC_SETTINGS, q.BLANKS, q.GRADING_POLICY, q.QUESTION_TEXT
+    FROM Question q ${ownerClause}
+    ORDER BY q.ID ASC`,
+    params
+  );
+  const [answerRows] = await req.db.query(
+    `SELECT a.QUESTION_ID, a.TEXT, a.IS_CORRECT_ANSWER, a.RANK, a.PLACEMENT, a.BLANK_ID
+    FROM AnswerText a JOIN Question q ON q.ID = a.QUESTION_ID ${ownerClause}
+    ORDER BY a.ID ASC`,
+    params
+  );
+  const [testCaseRows] = await req.db.query(
+    `SELECT t.QUESTION_ID, t.INPUT, t.EXPECTED_OUTPUT, t.IS_HIDDEN, t.WEIGHT, t.COMPARISON_MODE, t.FLOAT_TOLERANCE
+    FROM TestCase t JOIN Question q ON q.ID = t.QUESTION_ID ${ownerClause}
+    ORDER BY t.ID ASC`,
+    params
+  );
+  const [templateRows] = await req.db.query(
+    `SELECT c.QUESTION_ID FROM CodeTemplate c JOIN Question q ON q.ID = c.QUESTION_ID ${ownerClause}`,
+    params
+  );
+
+  const answersByQuestion = groupByQuestion(answerRows);
+  const testCasesByQuestion = groupByQuestion(testCaseRows);
+  const templatesByQuestion = groupByQuestion(templateRows);
+
+  const invalid = [];
+  for (const question of questions)
+  {
+    const errors = validateQuestionStructure({
+      type:          normalizeDBString(question.TYPE ?? ''),
+      answers:       answersFromRows(answersByQuestion.get(question.ID) ?? []),
+      testCases:     testCasesFromRows(testCasesByQuestion.get(question.ID) ?? []),
+      codeTemplates: templatesByQuestion.get(question.ID) ?? [],
+      ...readTraceCode(question.TRACE_CODE, question.TRACE_LANGUAGE_ID),
+      numericSettings: readNumericSettings(question.NUMERIC_SETTINGS),
+      blanks:        readBlanks(question.BLANKS),
+      questionText:  question.QUESTION_TEXT ?? '',
+      gradingPolicy: readGradingPolicy(question.GRADING_POLICY),
+    });
+
+    if (errors.length > 0)
+    {
+      invalid.push({
+        questionId:    question.ID,
+        type:          question.TYPE,
+        ownerId:       question.OWNER_ID,
+        status:        getReviewStatus(question),
+        blocksGrading: errors.some(error => error.blocksGrading),
+        errors,
+      });
+    }
+  }
+
+  return res.status(200).json({
+    scanned:    questions.length,
+    invalid:    invalid.length,
+    ungradable: invalid.filter(question => question.blocksGrading).length,
+    questions:  invalid,
+  });
+});
+
+module.exports = {
+  scanQuestionBank,
+};
@@ -0,0 +1,129 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          questionHintController.js
+//  Description:   Controller functions for students revealing a
+//                 question's hints one at a time while answering
+//                 it. Each revealed hint is charged against the
+//                 next graded answer to the question.
+//
+//  Dependencies:  mysql2 connection pool (req.db)
+//                 errorHandler
+//                 validationUtils
+//                 questionHintUtils
+//                 questionTemplateUtils
+//                 questionUtils
+//                 currencyConfig
+//
+////////////////////////////////////////////////////////////////
+
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { parseId } = require('../utils/validationUtils');
+const {
+        getHintsByQuestion,
+        getRevealedHintCount,
+        revealNextHint,
+      } = require('../utils/questionHintUtils');
+const { getTemplatesByQuestion, readInstanceSeed } = require('../utils/questionTemplateUtils');
+const { loadQuestionInstance } = require('../utils/questionUtils');
+const { HINT_PENALTY_SHARE } = require('../../shared/currencyConfig');
+
+/**
+ * Fetches a question's hints, if the user can answer it
+ * Professors can also try hints on questions that aren't published yet
+ * Hints of a template question are filled in for the instance the user
+ * was served, passed back as `instance` (query string or body)
+ * @param {import('express').Request} req
+ * @param {string}                    context - Caller name for error logging
+ * @throws {AppError} 400 - Invalid question ID, or a template question without its instance
+ * @throws {AppError} 404 - Question not found, not published, or without hints
+ * @returns {Promise<{ questionId: number, hints: Array<string> }>}
+ */
+const getAnswerableHints = async (req, context) => {
+  const questionId = parseId(req.params.id, 'question', context);
+
+  const [questions] = await req.db.query('SELECT IS_PUBLISHED FROM Question WHERE ID = ?', [questionId]);
+  if (questions.length === 0 || (!questions[0].IS_PUBLISHED && req.user.role !== 'professor'))
+  {
+    throw new AppError(`[${context}] Question ${questionId} not found or not published`, 404, 'Question not found');
+  }
+
+  const hints = (await getHintsByQuestion(req.db, [questionId])).get(questionId);
+  if (hints.length === 0)
+  {
+    throw new AppError(`[${context}] Question ${questionId} has no hints`, 404, 'This question has no hints');
+  }
+
+  if (!(await getTemplatesByQuestion(req.db, [questionId])).has(questionId))
+  {
+    return { questionId, hints };
+  }
+
+  const instance = req.method === 'GET' ? req.query.instance : req.body?.instance;
+  const { render } = await loadQuestionInstance(req.db, questionId, readInstanceSeed(instance, req.user.id, questionId));
+  return { questionId, hints: hints.map(render) };
+};
+
+/**
+ * Hints revealed so far, and what they cost
+ * @param {number}        questionId
+ * @param {Array<string>} hints
+ * @param {number}        hintsRevealed
+ * @returns {Object}
+ */
+const toHintState = (questionId, hints, hintsRevealed) => ({
+  questionId,
+  hints:          hints.slice(0, hintsRevealed),
+  hintsRevealed,
+  hintsTotal:     hints.length,
+  penaltyPerHint: HINT_PENALTY_SHARE,
+});
+
+/**
+ * @route   GET /api/test/questions/:id/hints
+ * @desc    Fetch the hints the user has revealed for a question since
+ *          they last answered it, e.g. after reloading the page
+ * @access  Protected
+ *
+ * @param {import('express').Request}  req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>} - Sends { questionId, hints, hintsRevealed, hintsTotal, penaltyPerHint }
+ */
+const getRevealedHints = asyncHandler(async (req, res) => {
+  const { questionId, hints } = await getAnswerableHints(req, 'getRevealedHints');
+  const hintsRevealed = Math.min(await getRevealedHintCount(req.db, req.user.id, questionId), hints.length);
+
+  res.json(toHintState(questionId, hints, hintsRevealed));
+});
+
+/**
+ * @route   POST /api/test/questions/:id/hints
+ * @desc    Reveal the next hint for a question. Every hint revealed takes
+ *          penaltyPerHint of the points earned off the user's next answer
+ *          to the question, which also resets the hints for the attempt after.
+ * @access  Protected
+ *
+ * @param {import('express').Request}  req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @throws  {AppError} 409 - Every hint is already revealed
+ * @returns {Promise<void>} - Sends { questionId, hints, hintsRevealed, hintsTotal, penaltyPerHint }
+ */
+const revealHint = asyncHandler(async (req, res) => {
+  const context = 'revealHint';
+  const { questionId, hints } = await getAnswerableHints(req, context);
+
+  if (await getRevealedHintCount(req.db, req.user.id, questionId) >= hints.length)
+  {
+    throw new AppError(`[${context}] User ${req.user.id} already revealed every hint of question ${questionId}`, 409, 'All hints are already shown');
+  }
+
+  const hintsRevealed = await revealNextHint(req.db, req.user.id, questionId, hints.length);
+  res.status(201).json(toHintState(questionId, hints, hintsRevealed));
+});
+
+module.exports = {
+  getRevealedHints,
+  revealHint,
+};
@@ -0,0 +1,134 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          questionPreviewController.js
+//  Description:   Controller functions for authors trying out a
+//                 question before students see it. Sample answers
+//                 are graded exactly like a student's, but nothing
+//                 is saved and no currency is awarded.
+//
+//  Dependencies:  mysql2 connection pool (req.db)
+//                 errorHandler
+//                 validationUtils
+//                 questionReviewUtils
+//                 gradingController (gradeStoredAnswer)
+//                 codeController (previewCode, runTraceCode)
+//
+////////////////////////////////////////////////////////////////
+
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { parseId } = require('../utils/validationUtils');
+const { canViewReview } = require('../utils/questionReviewUtils');
+const { gradeStoredAnswer } = require('./gradingController');
+const { previewCode, runTraceCode } = require('./codeController');
+
+/**
+ * @route   POST /api/admin/problems/:id/preview-grade
+ * @desc    Grade a sample answer without recording it.
+ *          Body: { answer } in the shape students submit it, or
+ *          { code, languageId } for Programming questions, which
+ *          run against every test case, hidden ones included. Code
+ *          waits its turn in the code job queue, one run per question
+ *          at a time.
+ *          Template questions also need the { seed } of the instance
+ *          answered, from POST /api/admin/templates/preview.
+ *          Available to anyone who can see the question's review.
+ * @access  Admin, Professor
+ *
+ * @param {import('express').Request}  req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @throws  {AppError} 400 - Missing answer or code, unsupported language, or a template without a seed
+ * @throws  {AppError} 403 - Another professor's draft
+ * @throws  {AppError} 404 - Question not found, or no test cases
+ * @throws  {AppError} 409 - The author's code for the question is still running
+ * @returns {Promise<void>} - Sends { questionId, type, isCorrect, normalizedScore,
+ *                            pointsEarned, pointsPossible, feedback, seed, testResults? }
+ */
+const previewGrade = asyncHandler(async (req, res) => {
+  const context = 'previewGrade';
+  const questionId = parseId(req.params.id, 'question', context);
+
+  const [questions] = await req.db.query(
+    'SELECT ID, TYPE, POINTS_POSSIBLE, OWNER_ID, IS_PUBLISHED, REVIEW_STATUS FROM Question WHERE ID = ?',
+    [questionId]
+  );
+  if (questions.length === 0)
+  {
+    throw new AppError(`[${context}] Question not found: ${questionId}`, 404, 'Question not found');
+  }
+  const question = questions[0];
+
+  if (!canViewReview(question, req.user))
+  {
+    throw new AppError(`[${context}] ${req.user?.role} ${req.user?.id} can't preview question ${questionId}`, 403, 'Forbidden');
+  }
+
+  if (question.TYPE === 'Programming')
+  {
+    const { code, languageId } = req.body;
+    if (typeof code !== 'string' || code.trim().length === 0 || !languageId)
+    {
+      throw new AppError(`[${context}] Missing code or languageId`, 400, 'Code and language are required');
+    }
+
+    const result = await previewCode(req.db, req.user?.id, question, code, languageId);
+    return res.status(200).json({ questionId, type: question.TYPE, ...result });
+  }
+
+  const { answer, seed } = req.body;
+  if (answer === undefined || answer === null)
+  {
+    throw new AppError(`[${context}] Missing answer`, 400, 'An answer is required');
+  }
+
+  const { result, instanceSeed } = await gradeStoredAnswer(
+    req.db,
+    questionId,
+    question.TYPE,
+    answer,
+    parseFloat(question.POINTS_POSSIBLE),
+    typeof seed === 'string' && seed.length > 0 && seed.length <= 100 ? seed : null
+  );
+
+  return res.status(200).json({
+    questionId,
+    type:            question.TYPE,
+    isCorrect:       result.isCorrect,
+    normalizedScore: result.normalizedScore,
+    pointsEarned:    result.pointsEarned,
+    pointsPossible:  result.pointsPossible,
+    feedback:        result.feedback,
+    blankScores:     result.blankScores,
+    seed:            instanceSeed,
+  });
+});
+
+/**
+ * @route   POST /api/admin/code-trace/run
+ * @desc    Run the code of a Code Trace question being written, to fill in
+ *          its expected output. Body: { code, languageId }. The code runs
+ *          once with no input, and nothing is saved.
+ * @access  Admin, Professor
+ *
+ * @param {import('express').Request}  req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @throws  {AppError} 400 - Missing code, too long, or unsupported language
+ * @returns {Promise<void>} - Sends { output, status, error }, output is null
+ *                            if the code didn't compile or run
+ */
+const runTraceOutput = asyncHandler(async (req, res) => {
+  const { code, languageId } = req.body;
+  if (typeof code !== 'string' || code.trim().length === 0 || !languageId)
+  {
+    throw new AppError('[runTraceOutput] Missing code or languageId', 400, 'Code and language are required');
+  }
+
+  return res.status(200).json(await runTraceCode(code, languageId));
+});
+
+module.exports = {
+  previewGrade,
+  runTraceOutput,
+};
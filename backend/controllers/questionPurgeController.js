@@ -0,0 +1,176 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          questionPurgeController.js
+//  Description:   Controller functions for permanently deleting
+//                 retired questions. Deleting a question cascades
+//                 to every student response for it, so a purge
+//                 first reports what would be lost.
+//                 Requires admin.
+//
+//  Dependencies:  mysql2 connection pool (req.db)
+//                 errorHandler
+//                 discordWebhook service (notifyUserEvent)
+//                 questionReviewConfig
+//                 validationUtils
+//                 questionReviewUtils
+//
+////////////////////////////////////////////////////////////////
+
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { notifyUserEvent } = require('../services/discordWebhook');
+const { REVIEW_STATUSES } = require('../config/questionReviewConfig');
+const { parseId } = require('../utils/validationUtils');
+const { getReviewStatus } = require('../utils/questionReviewUtils');
+
+/**
+ * Fetches a question for purging
+ * @param {Object}  db         - Database connection
+ * @param {number}  questionId - Question.ID
+ * @param {string}  context    - Caller name for error logging
+ * @param {boolean} [lock]     - Lock the row, inside a transaction
+ * @throws {AppError} 404      - If the question doesn't exist
+ * @returns {Promise<Object>} Question row
+ */
+const getPurgeQuestion = async (db, questionId, context, lock = false) => {
+  const [questions] = await db.query(
+    `SELECT ID, OWNER_ID, IS_PUBLISHED, REVIEW_STATUS FROM Question WHERE ID = ? ${lock ? 'FOR UPDATE' : ''}`,
+    [questionId]
+  );
+  if (questions.length === 0)
+  {
+    throw new AppError(`[${context}] Question not found: ${questionId}`, 404, 'Question not found');
+  }
+  return questions[0];
+};
+
+/**
+ * Counts the records deleting a question would take with it
+ * @param {Object} db         - Database connection
+ * @param {number} questionId - Question.ID
+ * @returns {Promise<Object>} Counts of student records and question history
+ */
+const countPurgeLosses = async (db, questionId) => {
+  const [[responses]] = await db.query(
+    `SELECT
+      COUNT(*) AS responses,
+      COUNT(DISTINCT USERID) AS students,
+      COALESCE(SUM(POINTS_EARNED), 0) AS pointsEarned
+    FROM Response WHERE PROBLEM_ID = ?`,
+    [questionId]
+  );
+
+  // Sessions only list question IDs, they aren't deleted but lose the question
+  const [[sessions]] = await db.query(
+    'SELECT COUNT(*) AS total FROM MockTestSession WHERE JSON_CONTAINS(QUESTION_IDS, CAST(? AS JSON))',
+    [String(questionId)]
+  );
+
+  const [[related]] = await db.query(
+    `SELECT
+      (SELECT COUNT(*) FROM ReviewItem WHERE QUESTION_ID = ?) AS reviewItems,
+      (SELECT COUNT(*) FROM TestRun WHERE QUESTION_ID = ?) AS testRuns,
+      (SELECT COUNT(*) FROM QuestionVersion WHERE QUESTION_ID = ?) AS versions,
+      (SELECT COUNT(*) FROM QuestionReviewEvent WHERE QUESTION_ID = ?) AS reviewEvents`,
+    [questionId, questionId, questionId, questionId]
+  );
+
+  return {
+    responses:        Number(responses.responses),
+    students:         Number(responses.students),
+    pointsEarned:     Number(responses.pointsEarned),
+    mockTestSessions: Number(sessions.total),
+    reviewItems:      Number(related.reviewItems),
+    testRuns:         Number(related.testRuns),
+    versions:         Number(related.versions),
+    reviewEvents:     Number(related.reviewEvents),
+  };
+};
+
+/**
+ * @route   GET /api/admin/problems/:id/purge
+ * @desc    Dry run of a purge: what permanently deleting the question would lose,
+ *          and whether it can be purged yet (only retired questions can)
+ * @access  Admin
+ *
+ * @param {import('express').Request}  req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @throws  {AppError} 404 - Question not found
+ * @returns {Promise<void>} - Sends { questionId, status, canPurge, lost }
+ */
+const getPurgeReport = asyncHandler(async (req, res) => {
+  const context = 'getPurgeReport';
+  const questionId = parseId(req.params.id, 'question', context);
+  const question = await getPurgeQuestion(req.db, questionId, context);
+  const status = getReviewStatus(question);
+
+  return res.status(200).json({
+    questionId,
+    status,
+    canPurge: status === REVIEW_STATUSES.RETIRED,
+    lost:     await countPurgeLosses(req.db, questionId),
+  });
+});
+
+/**
+ * @route   DELETE /api/admin/problems/:id/purge
+ * @desc    Permanently delete a retired question along with its answers,
+ *          student responses, review items, versions and review history
+ * @access  Admin
+ *
+ * @param {import('express').Request}  req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @throws  {AppError} 400 - Question isn't retired
+ * @throws  {AppError} 404 - Question not found
+ * @returns {Promise<void>} - Sends { message, lost }
+ */
+const purgeQuestion = asyncHandler(async (req, res) => {
+  const context = 'purgeQuestion';
+  const questionId = parseId(req.params.id, 'question', context);
+
+  let question;
+  let lost;
+  const conn = await req.db.getConnection();
+  try
+  {
+    await conn.beginTransaction();
+    question = await getPurgeQuestion(conn, questionId, context, true);
+
+    const status = getReviewStatus(question);
+    if (status !== REVIEW_STATUSES.RETIRED)
+    {
+      throw new AppError(
+        `[${context}] Question ${questionId} is ${status}, not retired`,
+        400,
+        'Retire the question before purging it'
+      );
+    }
+
+    lost = await countPurgeLosses(conn, questionId);
+    await conn.query('DELETE FROM Question WHERE ID = ?', [questionId]);
+    await conn.commit();
+  }
+  catch (err)
+  {
+    await conn.rollback();
+    throw err;
+  }
+  finally
+  {
+    conn.release();
+  }
+
+  notifyUserEvent(
+    `Question ID ${questionId} purged by admin (owner ID: ${question.OWNER_ID}), ` +
+    `deleting ${lost.responses} responses from ${lost.students} students`
+  );
+
+  return res.status(200).json({ message: 'Question purged', lost });
+});
+
+module.exports = {
+  getPurgeReport,
+  purgeQuestion,
+};
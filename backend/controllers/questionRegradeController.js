@@ -0,0 +1,324 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          questionRegradeController.js
+//  Description:   Controller functions for regrading a question's
+//                 stored responses after its answer key is fixed.
+//                 A dry run reports what would change, applying
+//                 it updates the responses, adjusts each student's
+//                 exp and coins, and leaves them a notice of it
+//                 (RegradeAdjustment).
+//                 Requires admin or professor.
+//
+//  Dependencies:  mysql2 connection pool (req.db)
+//                 errorHandler
+//                 discordWebhook service (notifyUserEvent)
+//                 gradingController
+//                 numeric grader
+//                 fillInTheBlanks grader
+//                 gradingPolicy
+//                 validationUtils
+//                 questionUtils
+//                 regradeUtils
+//
+////////////////////////////////////////////////////////////////
+
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { notifyUserEvent } = require('../services/discordWebhook');
+const { gradeQuestion, readUserAnswer } = require('./gradingController');
+const { readNumericSettings } = require('../services/graders/numeric');
+const { readBlanks } = require('../services/graders/fillInTheBlanks');
+const { readGradingPolicy } = require('../services/graders/gradingPolicy');
+const { parseId, normalizeDBString } = require('../utils/validationUtils');
+const { resolveUserAnswer, loadQuestionInstance } = require('../utils/questionUtils');
+const { getRegradeChange, limitToBalance, summarizeRegrade } = require('../utils/regradeUtils');
+
+/**
+ * Fetches a question the user may regrade
+ * @param {Object} db         - Database connection
+ * @param {number} questionId - Question.ID
+ * @param {{ id: number, role: string }} user - Requesting user
+ * @param {string} context    - Caller name for error logging
+ * @param {boolean} [lock]    - Lock the row, inside a transaction
+ * @throws {AppError} 404     - If the question doesn't exist
+ * @throws {AppError} 403     - If a professor doesn't own it
+ * @throws {AppError} 400     - If it's a Programming question
+ * @returns {Promise<Object>} Question row
+ */
+const getRegradeQuestion = async (db, questionId, user, context, lock = false) => {
+  const [questions] = await db.query(
+    `SELECT ID, TYPE, OWNER_ID FROM Question WHERE ID = ? ${lock ? 'FOR UPDATE' : ''}`,
+    [questionId]
+  );
+  if (questions.length === 0)
+  {
+    throw new AppError(`[${context}] Question not found: ${questionId}`, 404, 'Question not found');
+  }
+
+  const question = questions[0];
+  if (user?.role === 'professor' && question.OWNER_ID !== user.id)
+  {
+    throw new AppError(`[${context}] Professor ${user.id} accessed question owned by ${question.OWNER_ID}`, 403, 'Forbidden');
+  }
+
+  // Programming answers are graded by running them, which a regrade doesn't do
+  if (normalizeDBString(question.TYPE) === 'Programming')
+  {
+    throw new AppError(
+      `[${context}] Question ${questionId} is a Programming question`,
+      400,
+      'Programming questions are graded by their test runs and can\'t be regraded'
+    );
+  }
+  return question;
+};
+
+/**
+ * Grades every stored response to a question again, against its current
+ * answer key and settings. Template questions are graded against the
+ * instance each student answered.
+ * @param {Object} db       - Database connection
+ * @param {Object} question - From getRegradeQuestion()
+ * @param {boolean} [lock]  - Lock the responses, inside a transaction
+ * @throws {AppError} 500   - If the question is set up so it can't be graded
+ * @returns {Promise<{ changes: Array, summary: Object }>} changes from getRegradeChange(),
+ *          summary from summarizeRegrade()
+ */
+const regradeResponses = async (db, question, lock = false) => {
+  const [responses] = await db.query(
+    `SELECT ID, USERID, USER_ANSWER, ISCORRECT, POINTS_EARNED, POINTS_POSSIBLE, HINTS_USED, EXP_AWARDED
+     FROM Response WHERE PROBLEM_ID = ? ORDER BY ID ${lock ? 'FOR UPDATE' : ''}`,
+    [question.ID]
+  );
+
+  // Responses to the same instance share it, questions that aren't templates have one
+  const instances = new Map();
+  const loadInstance = (seed) => {
+    if (!instances.has(seed))
+    {
+      instances.set(seed, loadQuestionInstance(db, question.ID, seed));
+    }
+    return instances.get(seed);
+  };
+
+  const changes = [];
+  const skipped = [];
+  for (const response of responses)
+  {
+    const stored = readUserAnswer(question.TYPE, response.USER_ANSWER);
+    if (!stored)
+    {
+      skipped.push({ responseId: response.ID, reason: 'The stored answer can\'t be read for this question type' });
+      continue;
+    }
+
+    let instance;
+    try
+    {
+      instance = await loadInstance(stored.instanceSeed);
+    }
+    catch (err)
+    {
+      // A template answered without a seed, or one no longer filled in
+      if (!(err instanceof AppError)) throw err;
+      skipped.push({ responseId: response.ID, reason: 'The instance answered can\'t be rebuilt' });
+      continue;
+    }
+
+    const { question: current, answers } = instance;
+    const answer = resolveUserAnswer(question.ID, question.TYPE, stored.answer, answers);
+    let result;
+    try
+    {
+      result = gradeQuestion(question.ID, question.TYPE, answer, answers, Number(response.POINTS_POSSIBLE ?? current.POINTS_POSSIBLE), {
+        numericSettings: readNumericSettings(current.NUMERIC_SETTINGS),
+        blanks:          readBlanks(current.BLANKS),
+        gradingPolicy:   readGradingPolicy(current.GRADING_POLICY),
+      });
+    }
+    catch (err)
+    {
+      // A question that can't be graded at all stops the regrade, one odd answer doesn't
+      if (err instanceof AppError) throw err;
+      skipped.push({ responseId: response.ID, reason: 'The stored answer can\'t be graded' });
+      continue;
+    }
+
+    const change = getRegradeChange(response, result);
+    if (change) changes.push(change);
+  }
+
+  return { changes, summary: summarizeRegrade(responses.length, changes, skipped) };
+};
+
+/**
+ * Cuts each student's changes down to what their lifetime exp and coins can cover
+ * @param {Object} conn    - Database connection, in a transaction
+ * @param {Array}  changes - From getRegradeChange()
+ * @returns {Promise<Array>} The changes as applied, from limitToBalance()
+ */
+const limitToBalances = async (conn, changes) => {
+  if (changes.length === 0) return changes;
+
+  const [users] = await conn.query(
+    'SELECT ID, LIFETIME_EXP, COINS FROM User WHERE ID IN (?) FOR UPDATE',
+    [[...new Set(changes.map(change => change.userId))]]
+  );
+
+  return users.flatMap(user => limitToBalance(
+    changes.filter(change => change.userId === user.ID),
+    { exp: Number(user.LIFETIME_EXP), coins: Number(user.COINS) }
+  ));
+};
+
+/**
+ * Adds each affected student's username to a regrade summary
+ * @param {Object} db      - Database connection
+ * @param {Object} summary - From summarizeRegrade()
+ * @returns {Promise<Object>} The summary, students with username
+ */
+const withUsernames = async (db, summary) => {
+  if (summary.students.length === 0) return summary;
+
+  const [users] = await db.query(
+    'SELECT ID, USERNAME FROM User WHERE ID IN (?)',
+    [summary.students.map(student => student.userId)]
+  );
+  const usernames = new Map(users.map(user => [user.ID, user.USERNAME]));
+  return {
+    ...summary,
+    students: summary.students.map(student => ({ ...student, username: usernames.get(student.userId) ?? null })),
+  };
+};
+
+/**
+ * @route   GET /api/admin/problems/:id/regrade
+ * @desc    Dry run of a regrade: grades every stored response to the question again
+ *          and reports what would change, without changing anything
+ * @access  Admin, Professor (own questions only)
+ *
+ * @param {import('express').Request}  req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @throws  {AppError} 400 - Invalid question ID, or a Programming question
+ * @throws  {AppError} 403 - Question belongs to another professor
+ * @throws  {AppError} 404 - Question not found
+ * @throws  {AppError} 500 - Question is set up so it can't be graded
+ * @returns {Promise<void>} - Sends { questionId, ...summary }
+ */
+const getRegradeReport = asyncHandler(async (req, res) => {
+  const context = 'getRegradeReport';
+  const questionId = parseId(req.params.id, 'question', context);
+  const question = await getRegradeQuestion(req.db, questionId, req.user, context);
+
+  const { summary } = await regradeResponses(req.db, question);
+
+  return res.status(200).json({ questionId, ...(await withUsernames(req.db, summary)) });
+});
+
+/**
+ * @route   POST /api/admin/problems/:id/regrade
+ * @desc    Regrade every stored response to the question: update their scores,
+ *          adjust each affected student's lifetime exp and coins by the points
+ *          they gained or lost (never below 0, and never taking back more exp
+ *          than the response was awarded), and record the adjustment applied to
+ *          each changed response (RegradeAdjustment), which students see as a notice
+ * @access  Admin, Professor (own questions only)
+ *
+ * @param {import('express').Request}  req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @throws  {AppError} 400 - Invalid question ID, or a Programming question
+ * @throws  {AppError} 403 - Question belongs to another professor
+ * @throws  {AppError} 404 - Question not found
+ * @throws  {AppError} 500 - Question is set up so it can't be graded
+ * @returns {Promise<void>} - Sends { message, questionId, ...summary }
+ */
+const applyRegrade = asyncHandler(async (req, res) => {
+  const context = 'applyRegrade';
+  const questionId = parseId(req.params.id, 'question', context);
+
+  let question;
+  let summary;
+  const conn = await req.db.getConnection();
+  try
+  {
+    await conn.beginTransaction();
+    question = await getRegradeQuestion(conn, questionId, req.user, context, true);
+
+    // Graded again here, so what's applied is what the responses say now
+    const regrade = await regradeResponses(conn, question, true);
+
+    // Losses are cut down to what each student has left, so the notices say what was applied
+    const changes = await limitToBalances(conn, regrade.changes);
+    summary = summarizeRegrade(regrade.summary.responses, changes, regrade.summary.skipped);
+
+    for (const change of changes)
+    {
+      await conn.query(
+        'UPDATE Response SET ISCORRECT = ?, POINTS_EARNED = ?, EXP_AWARDED = ? WHERE ID = ?',
+        [change.isCorrect, change.newPoints, change.expAwarded, change.responseId]
+      );
+    }
+
+    for (const student of summary.students)
+    {
+      await conn.query(
+        'UPDATE User SET LIFETIME_EXP = LIFETIME_EXP + ?, COINS = COINS + ? WHERE ID = ?',
+        [student.expChange, student.coinsChange, student.userId]
+      );
+    }
+
+    if (changes.length > 0)
+    {
+      await conn.query(
+        `INSERT INTO RegradeAdjustment
+          (USER_ID, QUESTION_ID, RESPONSE_ID, WAS_CORRECT, IS_CORRECT, OLD_POINTS, NEW_POINTS, EXP_CHANGE, COINS_CHANGE, ACTOR_ID, ACTOR_ROLE)
+        VALUES ?`,
+        [changes.map(change => [
+          change.userId,
+          questionId,
+          change.responseId,
+          change.wasCorrect,
+          change.isCorrect,
+          change.oldPoints,
+          change.newPoints,
+          change.expChange,
+          change.coinsChange,
+          req.user?.id ?? null,
+          req.user?.role ?? null,
+        ])]
+      );
+    }
+
+    await conn.commit();
+  }
+  catch (err)
+  {
+    await conn.rollback();
+    throw err;
+  }
+  finally
+  {
+    conn.release();
+  }
+
+  if (summary.changed > 0)
+  {
+    notifyUserEvent(
+      `Question ID ${questionId} regraded by ${req.user?.role} (owner ID: ${question.OWNER_ID}), ` +
+      `changing ${summary.changed} responses from ${summary.students.length} students by ${summary.pointsChange} points`
+    );
+  }
+
+  return res.status(200).json({
+    message: summary.changed > 0 ? 'Responses regraded' : 'No responses changed',
+    questionId,
+    ...(await withUsernames(req.db, summary)),
+  });
+});
+
+module.exports = {
+  getRegradeReport,
+  applyRegrade,
+};
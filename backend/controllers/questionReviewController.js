@@ -0,0 +1,317 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          questionReviewController.js
+//  Description:   Controller functions for the question review
+//                 workflow: the review queue, moving a question
+//                 between states, and threaded review comments.
+//                 Requires admin or professor.
+//
+//  Dependencies:  mysql2 connection pool (req.db)
+//                 errorHandler
+//                 discordWebhook service (notifyUserEvent)
+//                 questionReviewConfig
+//                 validationUtils
+//                 questionReviewUtils
+//
+////////////////////////////////////////////////////////////////
+
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { notifyUserEvent } = require('../services/discordWebhook');
+const { REVIEW_STATUSES, REVIEW_EVENT_ACTIONS, REVIEW_TRANSITIONS } = require('../config/questionReviewConfig');
+const { parseId } = require('../utils/validationUtils');
+const {
+  getReviewStatus,
+  canViewReview,
+  parseReviewComment,
+  getAvailableActions,
+  recordReviewEvent,
+  applyTransition,
+  buildReviewThread,
+} = require('../utils/questionReviewUtils');
+
+// Statuses the review queue can be filtered by
+const QUEUE_STATUSES = [REVIEW_STATUSES.IN_REVIEW, REVIEW_STATUSES.CHANGES_REQUESTED, REVIEW_STATUSES.APPROVED];
+
+/**
+ * Fetches a question for the review workflow
+ * @param {Object}  db         - Database connection
+ * @param {number}  questionId - Question.ID
+ * @param {string}  context    - Caller name for error logging
+ * @param {boolean} [lock]     - Lock the row, inside a transaction
+ * @throws {AppError} 404      - If the question doesn't exist
+ * @returns {Promise<Object>} Question row
+ */
+const getReviewQuestion = async (db, questionId, context, lock = false) => {
+  const [questions] = await db.query(
+    `SELECT ID, OWNER_ID, IS_PUBLISHED, REVIEW_STATUS, CURRENT_VERSION FROM Question WHERE ID = ? ${lock ? 'FOR UPDATE' : ''}`,
+    [questionId]
+  );
+  if (questions.length === 0)
+  {
+    throw new AppError(`[${context}] Question not found: ${questionId}`, 404, 'Question not found');
+  }
+  return questions[0];
+};
+
+/**
+ * Takes a review action on a question in a transaction, then notifies Discord
+ * @param {import('express').Request} req
+ * @param {number}      questionId
+ * @param {string}      action  - Key of REVIEW_TRANSITIONS
+ * @param {string|null} comment - Already validated comment
+ * @param {string}      context - Caller name for error logging
+ * @returns {Promise<{ question: Object, toStatus: string, transition: Object }>}
+ */
+const runTransition = async (req, questionId, action, comment, context) => {
+  let question;
+  let result;
+  const conn = await req.db.getConnection();
+  try
+  {
+    await conn.beginTransaction();
+    question = await getReviewQuestion(conn, questionId, context, true);
+    result = await applyTransition(conn, question, action, req.user, comment, context);
+    await conn.commit();
+  }
+  catch (err)
+  {
+    await conn.rollback();
+    throw err;
+  }
+  finally
+  {
+    conn.release();
+  }
+
+  notifyUserEvent(`Question ID ${questionId} ${result.transition.label} by ${req.user?.role} (owner ID: ${question.OWNER_ID})`);
+  return { question, ...result };
+};
+
+/**
+ * @route   GET /api/admin/reviews
+ * @desc    Review queue: questions waiting on a reviewer, oldest submission first.
+ *          Professors don't see their own questions here.
+ *          Query: status (in_review, changes_requested or approved, default in_review)
+ * @access  Admin, Professor
+ *
+ * @param {import('express').Request}  req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @throws  {AppError} 400 - Invalid status
+ * @returns {Promise<void>} - Sends { status, questions }
+ */
+const getReviewQueue = asyncHandler(async (req, res) => {
+  const context = 'getReviewQueue';
+  const status = req.query.status ?? REVIEW_STATUSES.IN_REVIEW;
+  if (!QUEUE_STATUSES.includes(status))
+  {
+    throw new AppError(`[${context}] Invalid status: ${status}`, 400, `Status must be one of: ${QUEUE_STATUSES.join(', ')}`);
+  }
+
+  const conditions = ['q.REVIEW_STATUS = ?', 'q.IS_PUBLISHED = 0'];
+  const params = [status];
+  if (req.user?.role === 'professor')
+  {
+    conditions.push('(q.OWNER_ID IS NULL OR q.OWNER_ID <> ?)');
+    params.push(req.user.id);
+  }
+
+  const [questions] = await req.db.query(
+    `SELECT
+      q.ID,
+      q.TYPE,
+      q.SECTION,
+      q.CATEGORY,
+      q.SUBCATEGORY,
+      q.QUESTION_TEXT,
+      q.OWNER_ID,
+      u.USERNAME AS OWNER_USERNAME,
+      q.REVIEW_STATUS,
+      q.CURRENT_VERSION,
+      (SELECT MAX(e.CREATED_AT) FROM QuestionReviewEvent e
+        WHERE e.QUESTION_ID = q.ID AND e.ACTION = 'submit') AS SUBMITTED_AT
+    FROM Question q
+    LEFT JOIN User u ON u.ID = q.OWNER_ID
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY SUBMITTED_AT ASC, q.ID ASC`,
+    params
+  );
+
+  return res.status(200).json({ status, questions });
+});
+
+/**
+ * @route   GET /api/admin/problems/:id/review
+ * @desc    A question's review status, the actions the user can take,
+ *          and its review history as comment threads
+ * @access  Admin, Professor (owner, or reviewers once submitted)
+ *
+ * @param {import('express').Request}  req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @throws  {AppError} 403 - Another professor's draft
+ * @throws  {AppError} 404 - Question not found
+ * @returns {Promise<void>} - Sends { questionId, status, ownerId, currentVersion, availableActions, thread }
+ */
+const getQuestionReview = asyncHandler(async (req, res) => {
+  const context = 'getQuestionReview';
+  const questionId = parseId(req.params.id, 'question', context);
+  const question = await getReviewQuestion(req.db, questionId, context);
+
+  if (!canViewReview(question, req.user))
+  {
+    throw new AppError(`[${context}] ${req.user?.role} ${req.user?.id} can't view review of question ${questionId}`, 403, 'Forbidden');
+  }
+
+  const [events] = await req.db.query(
+    `SELECT e.ID, e.ACTOR_ID, e.ACTOR_ROLE, u.USERNAME, e.ACTION, e.FROM_STATUS, e.TO_STATUS,
+      e.COMMENT, e.PARENT_ID, e.QUESTION_VERSION, e.CREATED_AT
+    FROM QuestionReviewEvent e
+    LEFT JOIN User u ON u.ID = e.ACTOR_ID
+    WHERE e.QUESTION_ID = ?
+    ORDER BY e.CREATED_AT ASC, e.ID ASC`,
+    [questionId]
+  );
+
+  return res.status(200).json({
+    questionId,
+    status:           getReviewStatus(question),
+    ownerId:          question.OWNER_ID,
+    currentVersion:   question.CURRENT_VERSION,
+    availableActions: getAvailableActions(question, req.user),
+    thread:           buildReviewThread(events),
+  });
+});
+
+/**
+ * @route   POST /api/admin/problems/:id/review
+ * @desc    Move a question through the review workflow.
+ *          Body: { action, comment }. Actions:
+ *            submit, withdraw, publish, retire, reopen - owner or admin
+ *            approve, request_changes - admin or another verified professor
+ *          Requesting changes needs a comment.
+ * @access  Admin, Professor
+ *
+ * @param {import('express').Request}  req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @throws  {AppError} 400 - Unknown action, missing comment, or not allowed from the current status
+ * @throws  {AppError} 403 - User can't take this action on this question
+ * @throws  {AppError} 404 - Question not found
+ * @returns {Promise<void>} - Sends { message, status }
+ */
+const reviewQuestion = asyncHandler(async (req, res) => {
+  const context = 'reviewQuestion';
+  const questionId = parseId(req.params.id, 'question', context);
+  const action = req.body?.action;
+  const transition = Object.hasOwn(REVIEW_TRANSITIONS, action) ? REVIEW_TRANSITIONS[action] : null;
+  const comment = parseReviewComment(req.body?.comment, Boolean(transition?.commentRequired), context);
+
+  const { toStatus } = await runTransition(req, questionId, action, comment, context);
+
+  return res.status(200).json({ message: `Question ${transition.label}`, status: toStatus });
+});
+
+/**
+ * @route   POST /api/admin/problems/:id/publish
+ * @desc    Publish an approved question. Admins may publish without a review.
+ * @access  Admin, Professor (own questions only)
+ *
+ * @param {import('express').Request}  req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @throws  {AppError} 400 - Already published, or not approved yet
+ * @throws  {AppError} 403 - Another professor's question
+ * @throws  {AppError} 404 - Question not found
+ * @returns {Promise<void>} - Sends { message, status }
+ */
+const publishQuestion = asyncHandler(async (req, res) => {
+  const context = 'publishQuestion';
+  const questionId = parseId(req.params.id, 'question', context);
+
+  const { toStatus } = await runTransition(req, questionId, 'publish', null, context);
+
+  return res.status(200).json({ message: 'Question published', status: toStatus });
+});
+
+/**
+ * @route   DELETE /api/admin/problems/:id
+ * @desc    Retire a question. It stops being served to students but keeps
+ *          its responses, stats and history, and can be reopened as a draft.
+ *          Hard deletes go through the admin-only purge.
+ * @access  Admin, Professor (own questions only)
+ *
+ * @param {import('express').Request}  req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @throws  {AppError} 400 - Already retired
+ * @throws  {AppError} 403 - Another professor's question
+ * @throws  {AppError} 404 - Question not found
+ * @returns {Promise<void>} - Sends { message, status }
+ */
+const retireQuestion = asyncHandler(async (req, res) => {
+  const context = 'retireQuestion';
+  const questionId = parseId(req.params.id, 'question', context);
+
+  const { toStatus } = await runTransition(req, questionId, 'retire', null, context);
+
+  return res.status(200).json({ message: 'Question retired', status: toStatus });
+});
+
+/**
+ * @route   POST /api/admin/problems/:id/review/comments
+ * @desc    Comment on a question's review, or reply to an event in its thread.
+ *          Body: { comment, parentId }
+ * @access  Admin, Professor (owner, or reviewers once submitted)
+ *
+ * @param {import('express').Request}  req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @throws  {AppError} 400 - Missing or too long comment
+ * @throws  {AppError} 403 - Another professor's draft
+ * @throws  {AppError} 404 - Question, or the event being replied to, not found
+ * @returns {Promise<void>} - 201 with { message, commentId }
+ */
+const addReviewComment = asyncHandler(async (req, res) => {
+  const context = 'addReviewComment';
+  const questionId = parseId(req.params.id, 'question', context);
+  const comment = parseReviewComment(req.body?.comment, true, context);
+  const parentId = req.body?.parentId === undefined || req.body?.parentId === null
+    ? null
+    : parseId(req.body.parentId, 'parent comment', context);
+
+  const question = await getReviewQuestion(req.db, questionId, context);
+  if (!canViewReview(question, req.user))
+  {
+    throw new AppError(`[${context}] ${req.user?.role} ${req.user?.id} can't comment on question ${questionId}`, 403, 'Forbidden');
+  }
+
+  if (parentId !== null)
+  {
+    const [parents] = await req.db.query(
+      'SELECT ID FROM QuestionReviewEvent WHERE ID = ? AND QUESTION_ID = ?',
+      [parentId, questionId]
+    );
+    if (parents.length === 0)
+    {
+      throw new AppError(`[${context}] Event ${parentId} not found on question ${questionId}`, 404, 'Comment not found');
+    }
+  }
+
+  const commentId = await recordReviewEvent(req.db, {
+    questionId,
+    user: req.user,
+    action: REVIEW_EVENT_ACTIONS.COMMENT,
+    comment,
+    parentId,
+    questionVersion: question.CURRENT_VERSION ?? null,
+  });
+
+  return res.status(201).json({ message: 'Comment added', commentId });
+});
+
+module.exports = {
+  getReviewQueue,
+  getQuestionReview,
+  reviewQuestion,
+  publishQuestion,
+  retireQuestion,
+  addReviewComment,
+};
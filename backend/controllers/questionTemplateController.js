@@ -0,0 +1,163 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          questionTemplateController.js
+//  Description:   Controller functions for authors trying out
+//                 question templates: checking a template while
+//                 writing the question, and seeing the instances
+//                 students will get.
+//
+//  Dependencies:  mysql2 connection pool (req.db)
+//                 errorHandler
+//                 validationUtils
+//                 questionUtils
+//                 questionTemplateUtils
+//                 questionHintUtils
+//                 questionReviewUtils
+//                 questionValidator
+//                 templateExpression
+//                 questionTemplateConfig
+//
+////////////////////////////////////////////////////////////////
+
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { parseId } = require('../utils/validationUtils');
+const { generateSeed, getAnswerId, pickQuestionInstance } = require('../utils/questionUtils');
+const { parseTemplate, getTemplatesByQuestion } = require('../utils/questionTemplateUtils');
+const { parseExplanation, parseHints, parseRationales, getHintsByQuestion } = require('../utils/questionHintUtils');
+const { canViewReview } = require('../utils/questionReviewUtils');
+const { readTraceCode } = require('../services/graders/questionValidator');
+const { formatValue } = require('../services/templateExpression');
+const { DEFAULT_PREVIEW_COUNT, MAX_PREVIEW_COUNT } = require('../config/questionTemplateConfig');
+
+/**
+ * Loads a stored template question for previewing
+ * @param {import('express').Request} req
+ * @param {string}                    context - Caller name for error logging
+ * @throws {AppError} 400 - Invalid question ID, or the question isn't a template
+ * @throws {AppError} 403 - Another professor's draft
+ * @throws {AppError} 404 - Question not found
+ * @returns {Promise<{ question: Object, answers: Array, hints: Array<string>, template: Object }>}
+ */
+const loadStoredTemplate = async (req, context) => {
+  const questionId = parseId(req.body.question_id, 'question', context);
+
+  const [questions] = await req.db.query('SELECT * FROM Question WHERE ID = ?', [questionId]);
+  if (questions.length === 0)
+  {
+    throw new AppError(`[${context}] Question not found: ${questionId}`, 404, 'Question not found');
+  }
+  if (!canViewReview(questions[0], req.user))
+  {
+    throw new AppError(`[${context}] ${req.user?.role} ${req.user?.id} can't preview question ${questionId}`, 403, 'Forbidden');
+  }
+
+  const template = (await getTemplatesByQuestion(req.db, [questionId])).get(questionId);
+  if (!template)
+  {
+    throw new AppError(`[${context}] Question ${questionId} isn't a template`, 400, "This question isn't a template");
+  }
+
+  const [answers] = await req.db.query('SELECT * FROM AnswerText WHERE QUESTION_ID = ? ORDER BY ID', [questionId]);
+  const hints = (await getHintsByQuestion(req.db, [questionId])).get(questionId);
+  return { question: questions[0], answers, hints, template };
+};
+
+/**
+ * Builds a question from a draft in the request body, shaped like the
+ * rows a stored question is loaded from, and checks its template
+ * @param {Object} body    - req.body, fields as in POST /api/admin/createquestion
+ * @param {string} context - Caller name for error logging
+ * @throws {AppError} 400  - Missing fields, or the template is invalid or fails for the question
+ * @returns {{ question: Object, answers: Array, hints: Array<string>, template: Object }}
+ */
+const readDraftTemplate = (body, context) => {
+  const { type, question_text, answer_text, answer_correctness, answer_rationale, explanation, hints, template, trace_code } = body;
+  if (!type || typeof question_text !== 'string' || !Array.isArray(answer_text) || !template)
+  {
+    throw new AppError(`[${context}] Missing required fields`, 400, 'type, question_text, answer_text and template are required');
+  }
+
+  const questionExplanation = parseExplanation(explanation, context);
+  const questionHints = parseHints(hints, context);
+  const answerRationales = parseRationales(answer_rationale, answer_text.length, context) ?? [];
+  const { traceCode } = readTraceCode(trace_code, null);
+
+  const checkedTemplate = parseTemplate(template, {
+    type,
+    questionText: question_text,
+    answerTexts:  answer_text,
+    otherTexts:   [questionExplanation, ...questionHints, ...answerRationales, traceCode],
+  }, context);
+
+  return {
+    question: { ID: null, TYPE: type, QUESTION_TEXT: question_text, EXPLANATION: questionExplanation, TRACE_CODE: traceCode },
+    answers: answer_text.map((text, index) => ({
+      ID:                null,
+      TEXT:              text,
+      IS_CORRECT_ANSWER: Array.isArray(answer_correctness) ? Boolean(answer_correctness[index]) : null,
+      RATIONALE:         answerRationales[index] ?? null,
+    })),
+    hints: questionHints,
+    template: checkedTemplate,
+  };
+};
+
+/**
+ * @route   POST /api/admin/templates/preview
+ * @desc    Fill in sample instances of a question template.
+ *          Body: { question_id } for a stored template question, whose seeds
+ *          can then be passed to POST /api/admin/problems/:id/preview-grade,
+ *          or a draft { type, question_text, answer_text, answer_correctness?,
+ *          answer_rationale?, explanation?, hints?, trace_code?, template } as it would be
+ *          sent to createquestion, which is checked the same way first.
+ *          Either can pass count, the number of instances (default 3, max 10).
+ * @access  Admin, Professor
+ *
+ * @param {import('express').Request}  req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @throws  {AppError} 400 - Invalid count or question, or the template fails for the question
+ * @throws  {AppError} 403 - Another professor's draft
+ * @throws  {AppError} 404 - Question not found
+ * @returns {Promise<void>} - Sends { instances: [{ seed, values, questionText,
+ *                            traceCode, explanation, hints, answers: [{ id, text, isCorrect, rationale }] }] }
+ */
+const previewTemplate = asyncHandler(async (req, res) => {
+  const context = 'previewTemplate';
+
+  const count = req.body.count ?? DEFAULT_PREVIEW_COUNT;
+  if (!Number.isInteger(count) || count < 1 || count > MAX_PREVIEW_COUNT)
+  {
+    throw new AppError(`[${context}] Invalid count: ${count}`, 400, `count must be a whole number from 1 to ${MAX_PREVIEW_COUNT}`);
+  }
+
+  const { question, answers, hints, template } = req.body.question_id !== undefined
+    ? await loadStoredTemplate(req, context)
+    : readDraftTemplate(req.body, context);
+
+  const instances = Array.from({ length: count }, () => {
+    const instance = pickQuestionInstance(question, answers, template, generateSeed());
+    return {
+      seed:         instance.seed,
+      values:       Object.fromEntries([...instance.values].map(([name, value]) => [name, formatValue(value)])),
+      questionText: instance.question.QUESTION_TEXT,
+      traceCode:    instance.question.TRACE_CODE ?? null,
+      explanation:  instance.question.EXPLANATION,
+      hints:        hints.map(instance.render),
+      answers:      instance.answers.map(answer => ({
+        id:        answer.ID === null ? null : getAnswerId(question.ID, answer.ID),
+        text:      answer.TEXT,
+        isCorrect: answer.IS_CORRECT_ANSWER === null ? null : Boolean(answer.IS_CORRECT_ANSWER),
+        rationale: answer.RATIONALE,
+      })),
+    };
+  });
+
+  res.status(200).json({ instances });
+});
+
+module.exports = {
+  previewTemplate,
+};
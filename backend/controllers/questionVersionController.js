@@ -0,0 +1,284 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          questionVersionController.js
+//  Description:   Controller functions for question version
+//                 history: listing versions, diffing two of
+//                 them, and rolling a question back.
+//                 Requires admin or professor.
+//
+//  Dependencies:  mysql2 connection pool (req.db)
+//                 errorHandler
+//                 discordWebhook service (notifyUserEvent)
+//                 questionReviewConfig
+//                 validationUtils
+//                 questionBankUtils
+//                 questionVersionUtils
+//                 questionReviewUtils
+//                 taxonomyUtils
+//
+////////////////////////////////////////////////////////////////
+
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { notifyUserEvent } = require('../services/discordWebhook');
+const { REVIEW_STATUSES } = require('../config/questionReviewConfig');
+const { parseId } = require('../utils/validationUtils');
+const { saveQuestionContent } = require('../utils/questionBankUtils');
+const {
+  VERSION_CHANGE_TYPES,
+  recordQuestionVersion,
+  ensureBaselineVersion,
+  getQuestionVersion,
+  diffSnapshots,
+} = require('../utils/questionVersionUtils');
+const { getReviewStatus, resetReviewStatus } = require('../utils/questionReviewUtils');
+const { resolveQuestionTaxonomy } = require('../utils/taxonomyUtils');
+
+/**
+ * Fetches a question the user may manage
+ * @param {Object} db         - Database connection
+ * @param {number} questionId - Question.ID
+ * @param {{ id: number, role: string }} user - Requesting user
+ * @param {string} context    - Caller name for error logging
+ * @param {boolean} [lock]    - Lock the row, inside a transaction
+ * @throws {AppError} 404     - If the question doesn't exist
+ * @throws {AppError} 403     - If a professor doesn't own it
+ * @returns {Promise<Object>} Question row
+ */
+const getManagedQuestion = async (db, questionId, user, context, lock = false) => {
+  const [questions] = await db.query(
+    `SELECT ID, OWNER_ID, IS_PUBLISHED, REVIEW_STATUS, CURRENT_VERSION FROM Question WHERE ID = ? ${lock ? 'FOR UPDATE' : ''}`,
+    [questionId]
+  );
+  if (questions.length === 0)
+  {
+    throw new AppError(`[${context}] Question not found: ${questionId}`, 404, 'Question not found');
+  }
+
+  const question = questions[0];
+  if (user?.role === 'professor' && question.OWNER_ID !== user.id)
+  {
+    throw new AppError(`[${context}] Professor ${user.id} accessed question owned by ${question.OWNER_ID}`, 403, 'Forbidden');
+  }
+  return question;
+};
+
+/**
+ * @route   GET /api/admin/problems/:id/versions
+ * @desc    List a question's versions, newest first, with how many
+ *          responses were answered against each
+ * @access  Admin, Professor (own questions only)
+ *
+ * @param {import('express').Request}  req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @throws  {AppError} 403 - Question belongs to another professor
+ * @throws  {AppError} 404 - Question not found
+ * @returns {Promise<void>} - Sends { questionId, currentVersion, versions }
+ */
+const listQuestionVersions = asyncHandler(async (req, res) => {
+  const context = 'listQuestionVersions';
+  const questionId = parseId(req.params.id, 'question', context);
+  const question = await getManagedQuestion(req.db, questionId, req.user, context);
+
+  const [versions] = await req.db.query(
+    `SELECT
+      v.VERSION,
+      v.CHANGE_TYPE,
+      v.SOURCE_VERSION,
+      v.EDITED_BY,
+      u.USERNAME AS EDITED_BY_USERNAME,
+      v.CREATED_AT,
+      (SELECT COUNT(*) FROM Response r WHERE r.PROBLEM_ID = v.QUESTION_ID AND r.QUESTION_VERSION = v.VERSION) AS RESPONSE_COUNT
+    FROM QuestionVersion v
+    LEFT JOIN User u ON u.ID = v.EDITED_BY
+    WHERE v.QUESTION_ID = ?
+    ORDER BY v.VERSION DESC`,
+    [questionId]
+  );
+
+  return res.status(200).json({
+    questionId,
+    currentVersion: question.CURRENT_VERSION,
+    versions: versions.map(version => ({
+      version:       version.VERSION,
+      changeType:    version.CHANGE_TYPE,
+      sourceVersion: version.SOURCE_VERSION,
+      editedBy:      version.EDITED_BY === null ? null : { id: version.EDITED_BY, username: version.EDITED_BY_USERNAME },
+      createdAt:     version.CREATED_AT,
+      responseCount: Number(version.RESPONSE_COUNT),
+    })),
+  });
+});
+
+/**
+ * @route   GET /api/admin/problems/:id/versions/:version
+ * @desc    Fetch one version of a question, with its full content
+ * @access  Admin, Professor (own questions only)
+ *
+ * @param {import('express').Request}  req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @throws  {AppError} 400 - Invalid question ID or version
+ * @throws  {AppError} 403 - Question belongs to another professor
+ * @throws  {AppError} 404 - Question or version not found
+ * @returns {Promise<void>} - Sends the version and its snapshot
+ */
+const getVersion = asyncHandler(async (req, res) => {
+  const context = 'getVersion';
+  const questionId = parseId(req.params.id, 'question', context);
+  const versionNumber = parseId(req.params.version, 'version', context);
+  await getManagedQuestion(req.db, questionId, req.user, context);
+
+  const version = await getQuestionVersion(req.db, questionId, versionNumber);
+
+  return res.status(200).json({
+    questionId,
+    version:       version.VERSION,
+    changeType:    version.CHANGE_TYPE,
+    sourceVersion: version.SOURCE_VERSION,
+    editedBy:      version.EDITED_BY,
+    createdAt:     version.CREATED_AT,
+    snapshot:      version.SNAPSHOT,
+  });
+});
+
+/**
+ * @route   GET /api/admin/problems/:id/versions/diff
+ * @desc    Diff two versions of a question
+ *          Query: from (required), to (defaults to the current version)
+ * @access  Admin, Professor (own questions only)
+ *
+ * @param {import('express').Request}  req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @throws  {AppError} 400 - Invalid version, or the question has no versions
+ * @throws  {AppError} 403 - Question belongs to another professor
+ * @throws  {AppError} 404 - Question or version not found
+ * @returns {Promise<void>} - Sends { from, to, diff }
+ */
+const diffVersions = asyncHandler(async (req, res) => {
+  const context = 'diffVersions';
+  const questionId = parseId(req.params.id, 'question', context);
+  const question = await getManagedQuestion(req.db, questionId, req.user, context);
+
+  const from = parseId(req.query.from, 'version', context);
+  if (req.query.to === undefined && question.CURRENT_VERSION === null)
+  {
+    throw new AppError(`[${context}] Question ${questionId} has no versions`, 400, 'Question has no version history');
+  }
+  const to = req.query.to === undefined ? question.CURRENT_VERSION : parseId(req.query.to, 'version', context);
+
+  const fromVersion = await getQuestionVersion(req.db, questionId, from);
+  const toVersion = await getQuestionVersion(req.db, questionId, to);
+
+  return res.status(200).json({
+    questionId,
+    from,
+    to,
+    diff: diffSnapshots(fromVersion.SNAPSHOT, toVersion.SNAPSHOT),
+  });
+});
+
+/**
+ * @route   POST /api/admin/problems/:id/rollback
+ * @desc    Restore a question's content from an earlier version.
+ *          History is never rewritten: the restored content is saved as
+ *          a new version. Like any edit, this sends the question back to
+ *          draft, unpublishing it if it was published.
+ *          Body: { version }
+ * @access  Admin, Professor (own questions only)
+ *
+ * @param {import('express').Request}  req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @throws  {AppError} 400 - Invalid version, it is already the current version,
+ *                           or its section, category or subcategory is no longer in the taxonomy
+ * @throws  {AppError} 403 - Question belongs to another professor
+ * @throws  {AppError} 404 - Question or version not found
+ * @returns {Promise<void>} - Sends { message, version } with the new version number
+ */
+const rollbackQuestion = asyncHandler(async (req, res) => {
+  const context = 'rollbackQuestion';
+  const questionId = parseId(req.params.id, 'question', context);
+  const targetVersion = parseId(req.body?.version, 'version', context);
+
+  let question;
+  let version;
+  const conn = await req.db.getConnection();
+  try
+  {
+    await conn.beginTransaction();
+
+    question = await getManagedQuestion(conn, questionId, req.user, context, true);
+    if (question.CURRENT_VERSION === targetVersion)
+    {
+      throw new AppError(`[${context}] Question ${questionId} is already at version ${targetVersion}`, 400, 'Question is already at that version');
+    }
+    const { SNAPSHOT: snapshot } = await getQuestionVersion(conn, questionId, targetVersion);
+
+    // Labels may have been renamed or removed since the version was saved
+    const taxonomy = await resolveQuestionTaxonomy(conn, snapshot, context);
+
+    await ensureBaselineVersion(conn, questionId);
+    await conn.query(
+      `UPDATE Question SET
+        TYPE = ?,
+        AUTHOR_EXAM_ID = ?,
+        SECTION = ?,
+        CATEGORY = ?,
+        SUBCATEGORY = ?,
+        SECTION_ID = ?,
+        CATEGORY_ID = ?,
+        SUBCATEGORY_ID = ?,
+        POINTS_POSSIBLE = ?,
+        QUESTION_TEXT = ?,
+        IS_PUBLISHED = 0
+      WHERE ID = ?`,
+      [
+        snapshot.type,
+        snapshot.authorExamId,
+        taxonomy.section,
+        taxonomy.category,
+        taxonomy.subcategory,
+        taxonomy.sectionId,
+        taxonomy.categoryId,
+        taxonomy.subcategoryId,
+        snapshot.pointsPossible,
+        snapshot.questionText,
+        questionId,
+      ]
+    );
+    await saveQuestionContent(conn, questionId, snapshot);
+    version = await recordQuestionVersion(conn, questionId, {
+      changeType:    VERSION_CHANGE_TYPES.ROLLBACK,
+      editedBy:      req.user?.id ?? null,
+      sourceVersion: targetVersion,
+    });
+    await resetReviewStatus(conn, question, req.user, version);
+
+    await conn.commit();
+  }
+  catch (err)
+  {
+    await conn.rollback();
+    throw err;
+  }
+  finally
+  {
+    conn.release();
+  }
+
+  const previousStatus = getReviewStatus(question);
+  if (previousStatus !== REVIEW_STATUSES.DRAFT)
+  {
+    notifyUserEvent(`Question ID ${questionId} was rolled back to version ${targetVersion} and sent back to draft from ${previousStatus} by ${req.user?.role} (owner ID: ${question.OWNER_ID})`);
+  }
+
+  return res.status(200).json({ message: `Question rolled back to version ${targetVersion}`, version });
+});
+
+module.exports = {
+  listQuestionVersions,
+  getVersion,
+  diffVersions,
+  rollbackQuestion,
+};
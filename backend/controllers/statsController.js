@@ -36,9 +36,9 @@ const computeAggregateStats = (responses) => {
 
   const performanceMetrics = responses.map(r => computePerformanceMetric({
     normalizedScore: r.POINTS_POSSIBLE > 0 ? r.POINTS_EARNED / r.POINTS_POSSIBLE : 0,
-    elapsedTime:     r.ELAPSED_TIME ?? null,
-    subcategory:     normalizeDBString(r.SUBCATEGORY ?? ''),
-    type:            normalizeDBString(r.TYPE ?? ''),
+    elapsedTime:           r.ELAPSED_TIME ?? null,
+    subcategoryDifficulty: r.SUBCATEGORY_DIFFICULTY ?? null,
+    type:                  normalizeDBString(r.TYPE ?? ''),
   }));
 
   return {
@@ -91,10 +91,11 @@ const computeSubcategoryBreakdown = (responses) => {
  */
 const getAggregateStats = asyncHandler(async (req, res) => {
   const [responses] = await req.db.query(
-    `SELECT r.POINTS_EARNED, r.POINTS_POSSIBLE, r.ELAPSED_TIME, q.SUBCATEGORY, q.TYPE
+    `SELECT r.POINTS_EARNED, r.POINTS_POSSIBLE, r.ELAPSED_TIME, q.SUBCATEGORY, q.TYPE, s.DIFFICULTY AS SUBCATEGORY_DIFFICULTY
      FROM Response r
      JOIN User u     ON u.ID = r.USERID
      JOIN Question q ON q.ID = r.PROBLEM_ID
+     LEFT JOIN Subcategory s ON s.ID = q.SUBCATEGORY_ID
      WHERE u.IS_SHARING_STATS = 1`
   );
 
@@ -152,10 +153,11 @@ const getAggregateStatsByQuestion = asyncHandler(async (req, res) => {
   }
 
   const [responses] = await req.db.query(
-    `SELECT r.POINTS_EARNED, r.POINTS_POSSIBLE, r.ELAPSED_TIME, q.SUBCATEGORY, q.TYPE
+    `SELECT r.POINTS_EARNED, r.POINTS_POSSIBLE, r.ELAPSED_TIME, q.SUBCATEGORY, q.TYPE, s.DIFFICULTY AS SUBCATEGORY_DIFFICULTY
      FROM Response r
      JOIN User u ON u.ID = r.USERID
      JOIN Question q ON q.ID = r.PROBLEM_ID
+     LEFT JOIN Subcategory s ON s.ID = q.SUBCATEGORY_ID
      WHERE r.PROBLEM_ID = ? AND u.IS_SHARING_STATS = 1`,
     [questionId]
   );
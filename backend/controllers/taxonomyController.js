@@ -0,0 +1,333 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          taxonomyController.js
+//  Description:   Controller functions for the question taxonomy.
+//                 Anyone signed in can read it. Only admins can
+//                 add, rename or remove sections, categories and
+//                 subcategories.
+//
+//                 Questions, responses and blueprint rules keep
+//                 a copy of each entry's name, so renames are
+//                 copied to them here.
+//
+//  Dependencies:  mysql2 connection pool (req.db)
+//                 errorHandler
+//                 discordWebhook service (notifyUserEvent)
+//                 validationUtils
+//                 taxonomyConfig
+//                 taxonomyUtils
+//
+////////////////////////////////////////////////////////////////
+
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { notifyUserEvent } = require('../services/discordWebhook');
+const { parseId } = require('../utils/validationUtils');
+const { TAXONOMY_LEVELS } = require('../config/taxonomyConfig');
+const {
+  taxonomyKey,
+  loadTaxonomy,
+  toTaxonomyEntry,
+  toSubcategoryEntry,
+  toTaxonomyTree,
+  getTaxonomyLevel,
+  parseTaxonomyEntry,
+} = require('../utils/taxonomyUtils');
+
+/**
+ * Fetches one taxonomy entry in its API shape
+ * @param {Object}  db      - Database connection
+ * @param {Object}  level   - From TAXONOMY_LEVELS
+ * @param {number}  id      - Entry ID
+ * @param {string}  context - Caller name for error logging
+ * @param {boolean} [lock]  - Lock the row, inside a transaction
+ * @throws {AppError} 404   - If the entry doesn't exist
+ * @returns {Promise<Object>} Entry row
+ */
+const getTaxonomyRow = async (db, level, id, context, lock = false) => {
+  const [rows] = await db.query(
+    `SELECT * FROM ${level.table} WHERE ID = ? ${lock ? 'FOR UPDATE' : ''}`,
+    [id]
+  );
+  if (rows.length === 0)
+  {
+    throw new AppError(`[${context}] ${level.table} not found: ${id}`, 404, `${level.table} not found`);
+  }
+  return rows[0];
+};
+
+/**
+ * Converts an entry row to its API shape
+ * @param {Object} level - From TAXONOMY_LEVELS
+ * @param {Object} row   - Entry row
+ * @returns {Object}
+ */
+const toEntry = (level, row) => (level === TAXONOMY_LEVELS.subcategories ? toSubcategoryEntry(row) : toTaxonomyEntry(row));
+
+/**
+ * Checks a new entry name isn't taken within its level
+ * @param {Object}      db        - Database connection
+ * @param {Object}      level     - From TAXONOMY_LEVELS
+ * @param {string}      name      - New NAME
+ * @param {number|null} excludeId - Entry being renamed, if any
+ * @param {string}      context   - Caller name for error logging
+ * @throws {AppError} 409         - If the name is taken
+ */
+const assertNameAvailable = async (db, level, name, excludeId, context) => {
+  const [[existing]] = await db.query(
+    `SELECT ID FROM ${level.table} WHERE NAME = ? AND ID <> ?`,
+    [name, excludeId ?? 0]
+  );
+  if (existing)
+  {
+    throw new AppError(`[${context}] ${level.table} name already taken: ${name}`, 409, `${level.table} name is already taken`);
+  }
+};
+
+/**
+ * Checks a subcategory's category exists
+ * @param {Object} db         - Database connection
+ * @param {number} categoryId - Category.ID
+ * @param {string} context    - Caller name for error logging
+ * @throws {AppError} 400     - If there's no such category
+ * @returns {Promise<Object>} Category row
+ */
+const getParentCategory = async (db, categoryId, context) => {
+  const [[category]] = await db.query('SELECT ID, NAME FROM Category WHERE ID = ?', [categoryId]);
+  if (!category)
+  {
+    throw new AppError(`[${context}] Category not found: ${categoryId}`, 400, 'Category not found');
+  }
+  return category;
+};
+
+/**
+ * Renames a section, category or subcategory in every blueprint rule using it
+ * @param {Object} conn    - Connection with an open transaction
+ * @param {Object} level   - From TAXONOMY_LEVELS
+ * @param {string} oldName - NAME before the rename
+ * @param {string} newName - NAME after the rename
+ */
+const renameInBlueprints = async (conn, level, oldName, newName) => {
+  const [blueprints] = await conn.query('SELECT ID, RULES FROM TestBlueprint FOR UPDATE');
+  for (const blueprint of blueprints)
+  {
+    const rules = typeof blueprint.RULES === 'string' ? JSON.parse(blueprint.RULES) : blueprint.RULES;
+    let renamed = false;
+    const updatedRules = (rules ?? []).map(rule => {
+      if (!rule?.[level.label] || taxonomyKey(rule[level.label]) !== taxonomyKey(oldName)) return rule;
+      renamed = true;
+      return { ...rule, [level.label]: newName };
+    });
+    if (renamed)
+    {
+      await conn.query('UPDATE TestBlueprint SET RULES = ? WHERE ID = ?', [JSON.stringify(updatedRules), blueprint.ID]);
+    }
+  }
+};
+
+/**
+ * @route   GET /api/taxonomy
+ * @desc    Every section, and every category with its subcategories, in display order
+ * @access  Protected
+ *
+ * @param {import('express').Request}  req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>} - Sends { sections, categories }
+ */
+const getTaxonomy = asyncHandler(async (req, res) => {
+  const taxonomy = await loadTaxonomy(req.db);
+  return res.status(200).json(toTaxonomyTree(taxonomy));
+});
+
+/**
+ * @route   POST /api/admin/taxonomy/:level
+ * @desc    Add a section, category or subcategory, see parseTaxonomyEntry()
+ * @access  Admin
+ *
+ * @param {import('express').Request}  req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @throws  {AppError} 400                 - If fields are invalid, or the category doesn't exist
+ * @throws  {AppError} 404                 - If :level isn't sections, categories or subcategories
+ * @throws  {AppError} 409                 - If the name is taken
+ * @returns {Promise<void>}                - Sends { message, entry }
+ */
+const createTaxonomyEntry = asyncHandler(async (req, res) => {
+  const context = 'admin:createTaxonomyEntry';
+  const level = getTaxonomyLevel(req.params.level, context);
+  const fields = parseTaxonomyEntry(level, req.body, context);
+
+  await assertNameAvailable(req.db, level, fields.NAME, null, context);
+  if (fields.CATEGORY_ID !== undefined)
+  {
+    await getParentCategory(req.db, fields.CATEGORY_ID, context);
+  }
+
+  const columns = Object.keys(fields);
+  const [result] = await req.db.query(
+    `INSERT INTO ${level.table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+    Object.values(fields)
+  );
+
+  const entry = toEntry(level, await getTaxonomyRow(req.db, level, result.insertId, context));
+  notifyUserEvent(`${level.table} "${entry.name}" added to the taxonomy`);
+
+  return res.status(201).json({ message: `${level.table} created`, entry });
+});
+
+/**
+ * @route   PUT /api/admin/taxonomy/:level/:id
+ * @desc    Update a section, category or subcategory. Any field can be left out.
+ *          Renaming updates the copies of the name on questions, responses
+ *          and blueprint rules. Moving a subcategory to another category
+ *          moves its questions and responses with it.
+ * @access  Admin
+ *
+ * @param {import('express').Request}  req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @throws  {AppError} 400                 - If the ID or fields are invalid, or nothing is sent
+ * @throws  {AppError} 404                 - If the entry doesn't exist
+ * @throws  {AppError} 409                 - If the new name is taken
+ * @returns {Promise<void>}                - Sends { message, entry }
+ */
+const updateTaxonomyEntry = asyncHandler(async (req, res) => {
+  const context = 'admin:updateTaxonomyEntry';
+  const level = getTaxonomyLevel(req.params.level, context);
+  const id = parseId(req.params.id, level.label, context);
+  const fields = parseTaxonomyEntry(level, req.body, context, { partial: true });
+
+  if (Object.keys(fields).length === 0)
+  {
+    throw new AppError(`[${context}] No fields to update`, 400, 'Nothing to update');
+  }
+
+  let current;
+  let entry;
+  const conn = await req.db.getConnection();
+  try
+  {
+    await conn.beginTransaction();
+
+    current = await getTaxonomyRow(conn, level, id, context, true);
+    const renamed = fields.NAME !== undefined && fields.NAME !== current.NAME;
+    const moved = fields.CATEGORY_ID !== undefined && fields.CATEGORY_ID !== current.CATEGORY_ID;
+
+    if (renamed) await assertNameAvailable(conn, level, fields.NAME, id, context);
+    const category = moved ? await getParentCategory(conn, fields.CATEGORY_ID, context) : null;
+
+    await conn.query(
+      `UPDATE ${level.table} SET ${Object.keys(fields).map(column => `${column} = ?`).join(', ')} WHERE ID = ?`,
+      [...Object.values(fields), id]
+    );
+
+    if (renamed)
+    {
+      await conn.query(
+        `UPDATE Question SET ${level.questionColumn} = ? WHERE ${level.idColumn} = ?`,
+        [fields.NAME, id]
+      );
+      // Responses only link to a subcategory, categories are found through it
+      if (level === TAXONOMY_LEVELS.subcategories)
+      {
+        await conn.query('UPDATE Response SET TOPIC = ? WHERE SUBCATEGORY_ID = ?', [fields.NAME, id]);
+      }
+      else if (level === TAXONOMY_LEVELS.categories)
+      {
+        await conn.query(
+          'UPDATE Response r JOIN Subcategory s ON s.ID = r.SUBCATEGORY_ID SET r.CATEGORY = ? WHERE s.CATEGORY_ID = ?',
+          [fields.NAME, id]
+        );
+      }
+      await renameInBlueprints(conn, level, current.NAME, fields.NAME);
+    }
+
+    if (moved)
+    {
+      await conn.query(
+        'UPDATE Question SET CATEGORY_ID = ?, CATEGORY = ? WHERE SUBCATEGORY_ID = ?',
+        [category.ID, category.NAME, id]
+      );
+      await conn.query('UPDATE Response SET CATEGORY = ? WHERE SUBCATEGORY_ID = ?', [category.NAME, id]);
+    }
+
+    entry = toEntry(level, await getTaxonomyRow(conn, level, id, context));
+    await conn.commit();
+  }
+  catch (err)
+  {
+    await conn.rollback();
+    throw err;
+  }
+  finally
+  {
+    conn.release();
+  }
+
+  if (entry.name !== current.NAME)
+  {
+    notifyUserEvent(`${level.table} "${current.NAME}" renamed to "${entry.name}"`);
+  }
+
+  return res.status(200).json({ message: `${level.table} updated`, entry });
+});
+
+/**
+ * @route   DELETE /api/admin/taxonomy/:level/:id
+ * @desc    Remove a section, category or subcategory no question uses.
+ *          Categories also have to be empty of subcategories.
+ * @access  Admin
+ *
+ * @param {import('express').Request}  req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @throws  {AppError} 400                 - If the ID is invalid
+ * @throws  {AppError} 404                 - If the entry doesn't exist
+ * @throws  {AppError} 409                 - If the entry is still in use
+ * @returns {Promise<void>}                - Sends { message }
+ */
+const deleteTaxonomyEntry = asyncHandler(async (req, res) => {
+  const context = 'admin:deleteTaxonomyEntry';
+  const level = getTaxonomyLevel(req.params.level, context);
+  const id = parseId(req.params.id, level.label, context);
+
+  const entry = await getTaxonomyRow(req.db, level, id, context);
+
+  const [[questions]] = await req.db.query(
+    `SELECT COUNT(*) AS total FROM Question WHERE ${level.idColumn} = ?`,
+    [id]
+  );
+  if (questions.total > 0)
+  {
+    throw new AppError(
+      `[${context}] ${level.table} ${id} is used by ${questions.total} questions`,
+      409,
+      `${level.table} is used by ${questions.total} question(s), move them first`
+    );
+  }
+
+  if (level === TAXONOMY_LEVELS.categories)
+  {
+    const [[subcategories]] = await req.db.query('SELECT COUNT(*) AS total FROM Subcategory WHERE CATEGORY_ID = ?', [id]);
+    if (subcategories.total > 0)
+    {
+      throw new AppError(
+        `[${context}] Category ${id} has ${subcategories.total} subcategories`,
+        409,
+        `Category has ${subcategories.total} subcategory(s), move or remove them first`
+      );
+    }
+  }
+
+  await req.db.query(`DELETE FROM ${level.table} WHERE ID = ?`, [id]);
+  notifyUserEvent(`${level.table} "${entry.NAME}" removed from the taxonomy`);
+
+  return res.status(200).json({ message: `${level.table} deleted` });
+});
+
+module.exports = {
+  getTaxonomy,
+  createTaxonomyEntry,
+  updateTaxonomyEntry,
+  deleteTaxonomyEntry,
+};
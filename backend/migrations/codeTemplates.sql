@@ -0,0 +1,30 @@
+-- /////////////////////////////////////////////////////////////
+--
+--   Project:       KnightWise
+--   Year:          2026
+--   Author(s):     KnightWise Team
+--   File:          codeTemplates.sql
+--   Description:   Migration for function-signature programming
+--                  problems. Adds the CodeTemplate table holding
+--                  each question's signature, starter code and
+--                  hidden harness per language. Safe to run more
+--                  than once.
+--
+--                  schema.sql already has it, new databases
+--                  don't need it:
+--                  mysql -u <user> -p <db> < migrations/codeTemplates.sql
+--
+-- /////////////////////////////////////////////////////////////
+
+-- Starts empty, existing questions stay whole-program ones.
+CREATE TABLE IF NOT EXISTS `CodeTemplate` (
+  `ID` int NOT NULL AUTO_INCREMENT,
+  `QUESTION_ID` int NOT NULL,
+  `LANGUAGE_ID` int NOT NULL,
+  `FUNCTION_SIGNATURE` varchar(500) DEFAULT NULL,
+  `STARTER_CODE` text,
+  `HARNESS` text,
+  PRIMARY KEY (`ID`),
+  UNIQUE KEY `idx_question_language` (`QUESTION_ID`,`LANGUAGE_ID`),
+  CONSTRAINT `CodeTemplate_ibfk_1` FOREIGN KEY (`QUESTION_ID`) REFERENCES `Question` (`ID`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
@@ -0,0 +1,31 @@
+-- /////////////////////////////////////////////////////////////
+--
+--   Project:       KnightWise
+--   Year:          2026
+--   Author(s):     KnightWise Team
+--   File:          codeTrace.sql
+--   Description:   Migration for Code Trace questions. Adds the
+--                  Question columns holding the code students
+--                  trace and its language. Run after
+--                  questionHints.sql. Safe to run more than once.
+--
+--                  schema.sql already has these, new databases
+--                  don't need it:
+--                  mysql -u <user> -p <db> < migrations/codeTrace.sql
+--
+-- /////////////////////////////////////////////////////////////
+
+-- Skipped if the columns already exist, so the migration can rerun.
+DROP PROCEDURE IF EXISTS `AddTraceColumns`;
+DELIMITER //
+CREATE PROCEDURE `AddTraceColumns`()
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'Question' AND COLUMN_NAME = 'TRACE_CODE') THEN
+    ALTER TABLE `Question`
+      ADD COLUMN `TRACE_CODE` text CHARACTER SET utf8mb4 COLLATE utf8mb4_0900_ai_ci AFTER `EXPLANATION`,
+      ADD COLUMN `TRACE_LANGUAGE_ID` int DEFAULT NULL AFTER `TRACE_CODE`;
+  END IF;
+END //
+DELIMITER ;
+CALL `AddTraceColumns`();
+DROP PROCEDURE `AddTraceColumns`;
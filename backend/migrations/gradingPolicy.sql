@@ -0,0 +1,31 @@
+-- /////////////////////////////////////////////////////////////
+--
+--   Project:       KnightWise
+--   Year:          2026
+--   Author(s):     KnightWise Team
+--   File:          gradingPolicy.sql
+--   Description:   Migration for per-question grading policies.
+--                  Adds the Question.GRADING_POLICY column. Run
+--                  after questionBlanks.sql. Safe to run more than
+--                  once.
+--
+--                  schema.sql already has it, new databases
+--                  don't need it:
+--                  mysql -u <user> -p <db> < migrations/gradingPolicy.sql
+--
+-- /////////////////////////////////////////////////////////////
+
+-- Skipped if the column already exists, so the migration can rerun.
+-- Existing questions stay NULL and keep their type's default scoring.
+DROP PROCEDURE IF EXISTS `AddGradingPolicyColumn`;
+DELIMITER //
+CREATE PROCEDURE `AddGradingPolicyColumn`()
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'Question' AND COLUMN_NAME = 'GRADING_POLICY') THEN
+    ALTER TABLE `Question`
+      ADD COLUMN `GRADING_POLICY` json DEFAULT NULL AFTER `BLANKS`;
+  END IF;
+END //
+DELIMITER ;
+CALL `AddGradingPolicyColumn`();
+DROP PROCEDURE `AddGradingPolicyColumn`;
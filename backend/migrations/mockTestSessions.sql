@@ -0,0 +1,48 @@
+-- /////////////////////////////////////////////////////////////
+--
+--   Project:       KnightWise
+--   Year:          2026
+--   Author(s):     KnightWise Team
+--   File:          mockTestSessions.sql
+--   Description:   Migration for server-side mock test sessions.
+--                  Adds the MockTestSession table, and the
+--                  Response.SESSION_ID column linking answers to
+--                  the session they were given in. Safe to run
+--                  more than once.
+--
+--                  schema.sql already has these, new databases
+--                  don't need it:
+--                  mysql -u <user> -p <db> < migrations/mockTestSessions.sql
+--
+-- /////////////////////////////////////////////////////////////
+
+CREATE TABLE IF NOT EXISTS `MockTestSession` (
+  `ID` int NOT NULL AUTO_INCREMENT,
+  `USER_ID` int NOT NULL,
+  `QUESTION_IDS` json NOT NULL,
+  `STARTED_AT` datetime NOT NULL,
+  `DEADLINE` datetime NOT NULL,
+  `FINALIZED_AT` datetime DEFAULT NULL,
+  `POINTS_EARNED` decimal(7,2) DEFAULT NULL,
+  `POINTS_POSSIBLE` decimal(7,2) DEFAULT NULL,
+  PRIMARY KEY (`ID`),
+  KEY `USER_ID` (`USER_ID`),
+  CONSTRAINT `MockTestSession_ibfk_1` FOREIGN KEY (`USER_ID`) REFERENCES `User` (`ID`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- Skipped if the column already exists, so the migration can rerun.
+-- Existing responses weren't given in a session and stay NULL.
+DROP PROCEDURE IF EXISTS `AddSessionColumns`;
+DELIMITER //
+CREATE PROCEDURE `AddSessionColumns`()
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'Response' AND COLUMN_NAME = 'SESSION_ID') THEN
+    ALTER TABLE `Response`
+      ADD COLUMN `SESSION_ID` int DEFAULT NULL AFTER `ELAPSED_TIME`,
+      ADD UNIQUE KEY `SESSION_PROBLEM` (`SESSION_ID`,`PROBLEM_ID`),
+      ADD CONSTRAINT `Response_ibfk_3` FOREIGN KEY (`SESSION_ID`) REFERENCES `MockTestSession` (`ID`) ON DELETE SET NULL;
+  END IF;
+END //
+DELIMITER ;
+CALL `AddSessionColumns`();
+DROP PROCEDURE `AddSessionColumns`;
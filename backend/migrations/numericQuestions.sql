@@ -0,0 +1,30 @@
+-- /////////////////////////////////////////////////////////////
+--
+--   Project:       KnightWise
+--   Year:          2026
+--   Author(s):     KnightWise Team
+--   File:          numericQuestions.sql
+--   Description:   Migration for Numeric questions. Adds the
+--                  Question.NUMERIC_SETTINGS column holding a
+--                  question's tolerance and units. Run after
+--                  codeTrace.sql. Safe to run more than once.
+--
+--                  schema.sql already has it, new databases
+--                  don't need it:
+--                  mysql -u <user> -p <db> < migrations/numericQuestions.sql
+--
+-- /////////////////////////////////////////////////////////////
+
+-- Skipped if the column already exists, so the migration can rerun.
+DROP PROCEDURE IF EXISTS `AddNumericColumns`;
+DELIMITER //
+CREATE PROCEDURE `AddNumericColumns`()
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'Question' AND COLUMN_NAME = 'NUMERIC_SETTINGS') THEN
+    ALTER TABLE `Question`
+      ADD COLUMN `NUMERIC_SETTINGS` json DEFAULT NULL AFTER `TRACE_LANGUAGE_ID`;
+  END IF;
+END //
+DELIMITER ;
+CALL `AddNumericColumns`();
+DROP PROCEDURE `AddNumericColumns`;
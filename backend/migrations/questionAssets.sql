@@ -0,0 +1,28 @@
+-- /////////////////////////////////////////////////////////////
+--
+--   Project:       KnightWise
+--   Year:          2026
+--   Author(s):     KnightWise Team
+--   File:          questionAssets.sql
+--   Description:   Migration for question image uploads. Adds
+--                  the QuestionAsset table recording each
+--                  uploaded file. Safe to run more than once.
+--
+--                  schema.sql already has it, new databases
+--                  don't need it:
+--                  mysql -u <user> -p <db> < migrations/questionAssets.sql
+--
+-- /////////////////////////////////////////////////////////////
+
+CREATE TABLE IF NOT EXISTS `QuestionAsset` (
+  `ID` int NOT NULL AUTO_INCREMENT,
+  `FILE_NAME` varchar(80) NOT NULL,
+  `MIME_TYPE` varchar(50) NOT NULL,
+  `SIZE_BYTES` int NOT NULL,
+  `UPLOADED_BY` int DEFAULT NULL,
+  `CREATED_AT` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`ID`),
+  UNIQUE KEY `FILE_NAME` (`FILE_NAME`),
+  KEY `UPLOADED_BY` (`UPLOADED_BY`),
+  CONSTRAINT `QuestionAsset_ibfk_1` FOREIGN KEY (`UPLOADED_BY`) REFERENCES `User` (`ID`) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
@@ -0,0 +1,37 @@
+-- /////////////////////////////////////////////////////////////
+--
+--   Project:       KnightWise
+--   Year:          2026
+--   Author(s):     KnightWise Team
+--   File:          questionBlanks.sql
+--   Description:   Migration for multi-blank Fill in the Blanks
+--                  questions. Adds the Question.BLANKS column
+--                  describing a question's blanks, and
+--                  AnswerText.BLANK_ID tying accepted answers to
+--                  their blank. Run after numericQuestions.sql.
+--                  Safe to run more than once.
+--
+--                  schema.sql already has these, new databases
+--                  don't need it:
+--                  mysql -u <user> -p <db> < migrations/questionBlanks.sql
+--
+-- /////////////////////////////////////////////////////////////
+
+-- Skipped if the columns already exist, so the migration can rerun.
+-- Existing questions have a single blank and stay NULL.
+DROP PROCEDURE IF EXISTS `AddBlankColumns`;
+DELIMITER //
+CREATE PROCEDURE `AddBlankColumns`()
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'Question' AND COLUMN_NAME = 'BLANKS') THEN
+    ALTER TABLE `Question`
+      ADD COLUMN `BLANKS` json DEFAULT NULL AFTER `NUMERIC_SETTINGS`;
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'AnswerText' AND COLUMN_NAME = 'BLANK_ID') THEN
+    ALTER TABLE `AnswerText`
+      ADD COLUMN `BLANK_ID` varchar(32) DEFAULT NULL AFTER `PLACEMENT`;
+  END IF;
+END //
+DELIMITER ;
+CALL `AddBlankColumns`();
+DROP PROCEDURE `AddBlankColumns`;
@@ -0,0 +1,61 @@
+-- /////////////////////////////////////////////////////////////
+--
+--   Project:       KnightWise
+--   Year:          2026
+--   Author(s):     KnightWise Team
+--   File:          questionHints.sql
+--   Description:   Migration for worked explanations, hints and
+--                  answer rationales. Adds the QuestionHint and
+--                  HintReveal tables, the Question.EXPLANATION and
+--                  AnswerText.RATIONALE columns, and
+--                  Response.HINTS_USED. Run after
+--                  questionVersions.sql. Safe to run more than
+--                  once.
+--
+--                  schema.sql already has these, new databases
+--                  don't need it:
+--                  mysql -u <user> -p <db> < migrations/questionHints.sql
+--
+-- /////////////////////////////////////////////////////////////
+
+CREATE TABLE IF NOT EXISTS `QuestionHint` (
+  `QUESTION_ID` int NOT NULL,
+  `POSITION` int NOT NULL,
+  `HINT_TEXT` text CHARACTER SET utf8mb4 COLLATE utf8mb4_0900_ai_ci NOT NULL,
+  PRIMARY KEY (`QUESTION_ID`,`POSITION`),
+  CONSTRAINT `QuestionHint_ibfk_1` FOREIGN KEY (`QUESTION_ID`) REFERENCES `Question` (`ID`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+CREATE TABLE IF NOT EXISTS `HintReveal` (
+  `USER_ID` int NOT NULL,
+  `QUESTION_ID` int NOT NULL,
+  `HINTS_REVEALED` int NOT NULL DEFAULT '0',
+  `UPDATED_AT` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`USER_ID`,`QUESTION_ID`),
+  KEY `QUESTION_ID` (`QUESTION_ID`),
+  CONSTRAINT `HintReveal_ibfk_1` FOREIGN KEY (`USER_ID`) REFERENCES `User` (`ID`) ON DELETE CASCADE,
+  CONSTRAINT `HintReveal_ibfk_2` FOREIGN KEY (`QUESTION_ID`) REFERENCES `Question` (`ID`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- Skipped if the columns already exist, so the migration can rerun.
+-- Existing responses used no hints.
+DROP PROCEDURE IF EXISTS `AddHintColumns`;
+DELIMITER //
+CREATE PROCEDURE `AddHintColumns`()
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'Question' AND COLUMN_NAME = 'EXPLANATION') THEN
+    ALTER TABLE `Question`
+      ADD COLUMN `EXPLANATION` text CHARACTER SET utf8mb4 COLLATE utf8mb4_0900_ai_ci AFTER `QUESTION_TEXT`;
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'AnswerText' AND COLUMN_NAME = 'RATIONALE') THEN
+    ALTER TABLE `AnswerText`
+      ADD COLUMN `RATIONALE` text AFTER `PLACEMENT`;
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'Response' AND COLUMN_NAME = 'HINTS_USED') THEN
+    ALTER TABLE `Response`
+      ADD COLUMN `HINTS_USED` int NOT NULL DEFAULT '0' AFTER `QUESTION_VERSION`;
+  END IF;
+END //
+DELIMITER ;
+CALL `AddHintColumns`();
+DROP PROCEDURE `AddHintColumns`;
@@ -0,0 +1,60 @@
+-- /////////////////////////////////////////////////////////////
+--
+--   Project:       KnightWise
+--   Year:          2026
+--   Author(s):     KnightWise Team
+--   File:          questionReview.sql
+--   Description:   Migration for the question review workflow.
+--                  Adds the Question.REVIEW_STATUS column, the
+--                  QuestionReviewEvent table holding each
+--                  question's review history, and marks questions
+--                  already published as such. Run after
+--                  questionVersions.sql. Safe to run more than
+--                  once.
+--
+--                  schema.sql has the table and column, but no
+--                  questions, so new databases don't need it:
+--                  mysql -u <user> -p <db> < migrations/questionReview.sql
+--
+-- /////////////////////////////////////////////////////////////
+
+-- Skipped if the column already exists, so the migration can rerun.
+DROP PROCEDURE IF EXISTS `AddReviewColumns`;
+DELIMITER //
+CREATE PROCEDURE `AddReviewColumns`()
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'Question' AND COLUMN_NAME = 'REVIEW_STATUS') THEN
+    ALTER TABLE `Question`
+      ADD COLUMN `REVIEW_STATUS` enum('draft','in_review','changes_requested','approved','published','retired') NOT NULL DEFAULT 'draft' AFTER `CURRENT_VERSION`,
+      ADD KEY `idx_question_review_status` (`REVIEW_STATUS`);
+  END IF;
+END //
+DELIMITER ;
+CALL `AddReviewColumns`();
+DROP PROCEDURE `AddReviewColumns`;
+
+CREATE TABLE IF NOT EXISTS `QuestionReviewEvent` (
+  `ID` int NOT NULL AUTO_INCREMENT,
+  `QUESTION_ID` int NOT NULL,
+  `ACTOR_ID` int DEFAULT NULL,
+  `ACTOR_ROLE` varchar(20) DEFAULT NULL,
+  `ACTION` enum('submit','request_changes','approve','publish','retire','withdraw','reopen','edit','comment') NOT NULL,
+  `FROM_STATUS` enum('draft','in_review','changes_requested','approved','published','retired') DEFAULT NULL,
+  `TO_STATUS` enum('draft','in_review','changes_requested','approved','published','retired') DEFAULT NULL,
+  `COMMENT` text CHARACTER SET utf8mb4 COLLATE utf8mb4_0900_ai_ci,
+  `PARENT_ID` int DEFAULT NULL,
+  `QUESTION_VERSION` int DEFAULT NULL,
+  `CREATED_AT` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`ID`),
+  KEY `idx_review_event_question` (`QUESTION_ID`,`CREATED_AT`),
+  KEY `ACTOR_ID` (`ACTOR_ID`),
+  KEY `PARENT_ID` (`PARENT_ID`),
+  CONSTRAINT `QuestionReviewEvent_ibfk_1` FOREIGN KEY (`QUESTION_ID`) REFERENCES `Question` (`ID`) ON DELETE CASCADE,
+  CONSTRAINT `QuestionReviewEvent_ibfk_2` FOREIGN KEY (`ACTOR_ID`) REFERENCES `User` (`ID`) ON DELETE SET NULL,
+  CONSTRAINT `QuestionReviewEvent_ibfk_3` FOREIGN KEY (`PARENT_ID`) REFERENCES `QuestionReviewEvent` (`ID`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- Questions from before the workflow were published by IS_PUBLISHED alone.
+-- Unpublished ones stay drafts, their authors submit them for review.
+UPDATE `Question` SET `REVIEW_STATUS` = 'published'
+WHERE `IS_PUBLISHED` = 1 AND `REVIEW_STATUS` <> 'published';
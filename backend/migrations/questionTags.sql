@@ -0,0 +1,40 @@
+-- /////////////////////////////////////////////////////////////
+--
+--   Project:       KnightWise
+--   Year:          2026
+--   Author(s):     KnightWise Team
+--   File:          questionTags.sql
+--   Description:   Migration for question tags and search.
+--                  Adds the QuestionTag table, and the full-text
+--                  index on Question.QUESTION_TEXT that question
+--                  search matches against. Safe to run more than
+--                  once.
+--
+--                  schema.sql already has these, new databases
+--                  don't need it:
+--                  mysql -u <user> -p <db> < migrations/questionTags.sql
+--
+-- /////////////////////////////////////////////////////////////
+
+CREATE TABLE IF NOT EXISTS `QuestionTag` (
+  `QUESTION_ID` int NOT NULL,
+  `TAG` varchar(50) NOT NULL,
+  PRIMARY KEY (`QUESTION_ID`,`TAG`),
+  KEY `TAG` (`TAG`),
+  CONSTRAINT `QuestionTag_ibfk_1` FOREIGN KEY (`QUESTION_ID`) REFERENCES `Question` (`ID`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- Skipped if the index already exists, so the migration can rerun.
+-- Builds over every question, so may take a moment on a large bank.
+DROP PROCEDURE IF EXISTS `AddSearchIndex`;
+DELIMITER //
+CREATE PROCEDURE `AddSearchIndex`()
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM INFORMATION_SCHEMA.STATISTICS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'Question' AND INDEX_NAME = 'idx_question_text_search') THEN
+    ALTER TABLE `Question`
+      ADD FULLTEXT KEY `idx_question_text_search` (`QUESTION_TEXT`);
+  END IF;
+END //
+DELIMITER ;
+CALL `AddSearchIndex`();
+DROP PROCEDURE `AddSearchIndex`;
@@ -0,0 +1,24 @@
+-- /////////////////////////////////////////////////////////////
+--
+--   Project:       KnightWise
+--   Year:          2026
+--   Author(s):     KnightWise Team
+--   File:          questionTemplates.sql
+--   Description:   Migration for parameterized question templates.
+--                  Adds the QuestionTemplate table holding each
+--                  template question's variables. Safe to run more
+--                  than once.
+--
+--                  schema.sql already has it, new databases
+--                  don't need it:
+--                  mysql -u <user> -p <db> < migrations/questionTemplates.sql
+--
+-- /////////////////////////////////////////////////////////////
+
+CREATE TABLE IF NOT EXISTS `QuestionTemplate` (
+  `QUESTION_ID` int NOT NULL,
+  `VARIABLES` json NOT NULL,
+  `UPDATED_AT` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`QUESTION_ID`),
+  CONSTRAINT `QuestionTemplate_ibfk_1` FOREIGN KEY (`QUESTION_ID`) REFERENCES `Question` (`ID`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
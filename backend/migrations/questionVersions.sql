@@ -0,0 +1,116 @@
+-- /////////////////////////////////////////////////////////////
+--
+--   Project:       KnightWise
+--   Year:          2026
+--   Author(s):     KnightWise Team
+--   File:          questionVersions.sql
+--   Description:   Migration for question version history.
+--                  Adds the QuestionVersion table, the
+--                  Question.CURRENT_VERSION and
+--                  Response.QUESTION_VERSION columns, and saves
+--                  every existing question's content as its
+--                  version 1 baseline. Run after
+--                  testCaseOptions.sql and codeTemplates.sql.
+--                  Safe to run more than once.
+--
+--                  schema.sql has the table and columns, but no
+--                  questions, so new databases don't need it:
+--                  mysql -u <user> -p <db> < migrations/questionVersions.sql
+--
+-- /////////////////////////////////////////////////////////////
+
+CREATE TABLE IF NOT EXISTS `QuestionVersion` (
+  `ID` int NOT NULL AUTO_INCREMENT,
+  `QUESTION_ID` int NOT NULL,
+  `VERSION` int NOT NULL,
+  `CHANGE_TYPE` enum('baseline','create','edit','import','rollback') NOT NULL,
+  `SOURCE_VERSION` int DEFAULT NULL,
+  `SNAPSHOT` json NOT NULL,
+  `EDITED_BY` int DEFAULT NULL,
+  `CREATED_AT` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`ID`),
+  UNIQUE KEY `idx_question_version` (`QUESTION_ID`,`VERSION`),
+  KEY `EDITED_BY` (`EDITED_BY`),
+  CONSTRAINT `QuestionVersion_ibfk_1` FOREIGN KEY (`QUESTION_ID`) REFERENCES `Question` (`ID`) ON DELETE CASCADE,
+  CONSTRAINT `QuestionVersion_ibfk_2` FOREIGN KEY (`EDITED_BY`) REFERENCES `User` (`ID`) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- Skipped if the columns already exist, so the migration can rerun.
+DROP PROCEDURE IF EXISTS `AddVersionColumns`;
+DELIMITER //
+CREATE PROCEDURE `AddVersionColumns`()
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'Question' AND COLUMN_NAME = 'CURRENT_VERSION') THEN
+    ALTER TABLE `Question`
+      ADD COLUMN `CURRENT_VERSION` int DEFAULT NULL AFTER `IS_PUBLISHED`;
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'Response' AND COLUMN_NAME = 'QUESTION_VERSION') THEN
+    ALTER TABLE `Response`
+      ADD COLUMN `QUESTION_VERSION` int DEFAULT NULL AFTER `SESSION_ID`;
+  END IF;
+END //
+DELIMITER ;
+CALL `AddVersionColumns`();
+DROP PROCEDURE `AddVersionColumns`;
+
+START TRANSACTION;
+
+-- Baseline snapshots, in the shape getBundleQuestions() builds. Type and
+-- subcategory are cleaned up the same way normalizeDBString() does.
+-- List order doesn't matter, version diffs compare rows as sets.
+-- Questions that already have versions were baselined by an edit.
+INSERT INTO `QuestionVersion` (`QUESTION_ID`, `VERSION`, `CHANGE_TYPE`, `SNAPSHOT`)
+SELECT q.`ID`, 1, 'baseline', JSON_OBJECT(
+  'type',           REPLACE(TRIM(REGEXP_REPLACE(COALESCE(q.`TYPE`, ''), '[[:space:]]+', ' ')), 'Input/Output', 'InputOutput'),
+  'section',        q.`SECTION`,
+  'category',       q.`CATEGORY`,
+  'subcategory',    REPLACE(TRIM(REGEXP_REPLACE(COALESCE(q.`SUBCATEGORY`, ''), '[[:space:]]+', ' ')), 'Input/Output', 'InputOutput'),
+  'authorExamId',   q.`AUTHOR_EXAM_ID`,
+  'pointsPossible', q.`POINTS_POSSIBLE`,
+  'questionText',   q.`QUESTION_TEXT`,
+  'answers', CAST(COALESCE((
+    SELECT JSON_ARRAYAGG(JSON_OBJECT(
+      'text',      a.`TEXT`,
+      'isCorrect', CAST(IF(a.`IS_CORRECT_ANSWER`, 'true', 'false') AS JSON),
+      'rank',      a.`RANK`,
+      'placement', a.`PLACEMENT`
+    ))
+    FROM `AnswerText` a WHERE a.`QUESTION_ID` = q.`ID`
+  ), '[]') AS JSON),
+  'testCases', CAST(COALESCE((
+    SELECT JSON_ARRAYAGG(JSON_OBJECT(
+      'input',          COALESCE(t.`INPUT`, ''),
+      'expectedOutput', t.`EXPECTED_OUTPUT`,
+      'isHidden',       CAST(IF(t.`IS_HIDDEN`, 'true', 'false') AS JSON),
+      'weight',         t.`WEIGHT`,
+      'comparisonMode', t.`COMPARISON_MODE`,
+      'floatTolerance', t.`FLOAT_TOLERANCE`
+    ))
+    FROM `TestCase` t WHERE t.`QUESTION_ID` = q.`ID`
+  ), '[]') AS JSON),
+  'codeTemplates', CAST(COALESCE((
+    SELECT JSON_ARRAYAGG(JSON_OBJECT(
+      'languageId',        c.`LANGUAGE_ID`,
+      'functionSignature', c.`FUNCTION_SIGNATURE`,
+      'starterCode',       c.`STARTER_CODE`,
+      'harness',           c.`HARNESS`
+    ))
+    FROM `CodeTemplate` c WHERE c.`QUESTION_ID` = q.`ID`
+  ), '[]') AS JSON)
+)
+FROM `Question` q
+WHERE q.`CURRENT_VERSION` IS NULL
+  AND NOT EXISTS (SELECT 1 FROM `QuestionVersion` v WHERE v.`QUESTION_ID` = q.`ID`);
+
+UPDATE `Question` q
+JOIN `QuestionVersion` v ON v.`QUESTION_ID` = q.`ID` AND v.`VERSION` = 1 AND v.`CHANGE_TYPE` = 'baseline'
+SET q.`CURRENT_VERSION` = 1
+WHERE q.`CURRENT_VERSION` IS NULL;
+
+-- Existing responses were answered against the baseline content
+UPDATE `Response` r
+JOIN `QuestionVersion` v ON v.`QUESTION_ID` = r.`PROBLEM_ID` AND v.`VERSION` = 1 AND v.`CHANGE_TYPE` = 'baseline'
+SET r.`QUESTION_VERSION` = 1
+WHERE r.`QUESTION_VERSION` IS NULL;
+
+COMMIT;
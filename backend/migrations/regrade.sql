@@ -0,0 +1,61 @@
+-- /////////////////////////////////////////////////////////////
+--
+--   Project:       KnightWise
+--   Year:          2026
+--   Author(s):     KnightWise Team
+--   File:          regrade.sql
+--   Description:   Migration for regrading stored responses.
+--                  Adds the RegradeAdjustment table holding the
+--                  changes students are told about, and
+--                  Response.EXP_AWARDED recording the exp each
+--                  answer was actually given under the daily cap.
+--                  Run after questionHints.sql. Safe to run more
+--                  than once.
+--
+--                  schema.sql already has these, new databases
+--                  don't need it:
+--                  mysql -u <user> -p <db> < migrations/regrade.sql
+--
+-- /////////////////////////////////////////////////////////////
+
+CREATE TABLE IF NOT EXISTS `RegradeAdjustment` (
+  `ID` int NOT NULL AUTO_INCREMENT,
+  `USER_ID` int NOT NULL,
+  `QUESTION_ID` int NOT NULL,
+  `RESPONSE_ID` int NOT NULL,
+  `WAS_CORRECT` tinyint(1) NOT NULL,
+  `IS_CORRECT` tinyint(1) NOT NULL,
+  `OLD_POINTS` decimal(5,2) NOT NULL,
+  `NEW_POINTS` decimal(5,2) NOT NULL,
+  `EXP_CHANGE` double NOT NULL,
+  `COINS_CHANGE` double NOT NULL,
+  `ACTOR_ID` int DEFAULT NULL,
+  `ACTOR_ROLE` varchar(20) DEFAULT NULL,
+  `CREATED_AT` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `SEEN_AT` datetime DEFAULT NULL,
+  PRIMARY KEY (`ID`),
+  KEY `idx_regrade_user_seen` (`USER_ID`,`SEEN_AT`),
+  KEY `QUESTION_ID` (`QUESTION_ID`),
+  KEY `RESPONSE_ID` (`RESPONSE_ID`),
+  KEY `ACTOR_ID` (`ACTOR_ID`),
+  CONSTRAINT `RegradeAdjustment_ibfk_1` FOREIGN KEY (`USER_ID`) REFERENCES `User` (`ID`) ON DELETE CASCADE,
+  CONSTRAINT `RegradeAdjustment_ibfk_2` FOREIGN KEY (`QUESTION_ID`) REFERENCES `Question` (`ID`) ON DELETE CASCADE,
+  CONSTRAINT `RegradeAdjustment_ibfk_3` FOREIGN KEY (`RESPONSE_ID`) REFERENCES `Response` (`ID`) ON DELETE CASCADE,
+  CONSTRAINT `RegradeAdjustment_ibfk_4` FOREIGN KEY (`ACTOR_ID`) REFERENCES `User` (`ID`) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- Skipped if the column already exists, so the migration can rerun.
+-- What existing responses were given isn't known, they stay NULL and a
+-- regrade counts them as awarded in full.
+DROP PROCEDURE IF EXISTS `AddExpAwardedColumn`;
+DELIMITER //
+CREATE PROCEDURE `AddExpAwardedColumn`()
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'Response' AND COLUMN_NAME = 'EXP_AWARDED') THEN
+    ALTER TABLE `Response`
+      ADD COLUMN `EXP_AWARDED` double DEFAULT NULL AFTER `HINTS_USED`;
+  END IF;
+END //
+DELIMITER ;
+CALL `AddExpAwardedColumn`();
+DROP PROCEDURE `AddExpAwardedColumn`;
@@ -0,0 +1,32 @@
+-- /////////////////////////////////////////////////////////////
+--
+--   Project:       KnightWise
+--   Year:          2026
+--   Author(s):     KnightWise Team
+--   File:          reviewQueue.sql
+--   Description:   Migration for the spaced repetition review
+--                  queue. Adds the ReviewItem table holding each
+--                  student's schedule per question. Safe to run
+--                  more than once.
+--
+--                  schema.sql already has it, new databases
+--                  don't need it:
+--                  mysql -u <user> -p <db> < migrations/reviewQueue.sql
+--
+-- /////////////////////////////////////////////////////////////
+
+-- Starts empty, questions join the queue as they're answered.
+CREATE TABLE IF NOT EXISTS `ReviewItem` (
+  `USER_ID` int NOT NULL,
+  `QUESTION_ID` int NOT NULL,
+  `EASE_FACTOR` decimal(4,2) NOT NULL DEFAULT '2.50',
+  `INTERVAL_DAYS` int NOT NULL DEFAULT '0',
+  `REPETITIONS` int NOT NULL DEFAULT '0',
+  `DUE_AT` datetime NOT NULL,
+  `LAST_REVIEWED_AT` datetime NOT NULL,
+  PRIMARY KEY (`USER_ID`,`QUESTION_ID`),
+  KEY `USER_DUE` (`USER_ID`,`DUE_AT`),
+  KEY `QUESTION_ID` (`QUESTION_ID`),
+  CONSTRAINT `ReviewItem_ibfk_1` FOREIGN KEY (`USER_ID`) REFERENCES `User` (`ID`) ON DELETE CASCADE,
+  CONSTRAINT `ReviewItem_ibfk_2` FOREIGN KEY (`QUESTION_ID`) REFERENCES `Question` (`ID`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
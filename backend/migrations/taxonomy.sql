@@ -0,0 +1,154 @@
+-- /////////////////////////////////////////////////////////////
+--
+--   Project:       KnightWise
+--   Year:          2026
+--   Author(s):     KnightWise Team
+--   File:          taxonomy.sql
+--   Description:   One-time migration from free-text topic strings
+--                  to the Section, Category and Subcategory tables.
+--                  Seeds the taxonomy, adds the ID columns to
+--                  Question and Response, cleans up legacy strings
+--                  (Input/Output, stray newlines) and links every
+--                  row it can match. Safe to run more than once.
+--
+--                  schema.sql has the new tables and columns, but
+--                  no data, so run this on new databases too:
+--                  mysql -u <user> -p <db> < migrations/taxonomy.sql
+--
+-- /////////////////////////////////////////////////////////////
+
+CREATE TABLE IF NOT EXISTS `Section` (
+  `ID` int NOT NULL AUTO_INCREMENT,
+  `NAME` varchar(100) NOT NULL,
+  `DISPLAY_NAME` varchar(100) NOT NULL,
+  `SORT_ORDER` int NOT NULL DEFAULT '0',
+  PRIMARY KEY (`ID`),
+  UNIQUE KEY `NAME` (`NAME`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+CREATE TABLE IF NOT EXISTS `Category` (
+  `ID` int NOT NULL AUTO_INCREMENT,
+  `NAME` varchar(100) NOT NULL,
+  `DISPLAY_NAME` varchar(100) NOT NULL,
+  `SORT_ORDER` int NOT NULL DEFAULT '0',
+  PRIMARY KEY (`ID`),
+  UNIQUE KEY `NAME` (`NAME`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+CREATE TABLE IF NOT EXISTS `Subcategory` (
+  `ID` int NOT NULL AUTO_INCREMENT,
+  `CATEGORY_ID` int NOT NULL,
+  `NAME` varchar(100) NOT NULL,
+  `DISPLAY_NAME` varchar(100) NOT NULL,
+  `DIFFICULTY` decimal(3,2) NOT NULL DEFAULT '0.50',
+  `SORT_ORDER` int NOT NULL DEFAULT '0',
+  PRIMARY KEY (`ID`),
+  UNIQUE KEY `NAME` (`NAME`),
+  KEY `CATEGORY_ID` (`CATEGORY_ID`),
+  CONSTRAINT `Subcategory_ibfk_1` FOREIGN KEY (`CATEGORY_ID`) REFERENCES `Category` (`ID`) ON DELETE RESTRICT
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- Seed the taxonomy. Difficulty values are the old SUBCATEGORY_DIFFICULTY
+-- scalars from shared/analyticsConfig.js. Existing rows are left as they are.
+INSERT IGNORE INTO `Category` (`NAME`, `DISPLAY_NAME`, `SORT_ORDER`) VALUES
+  ('Introductory Programming',     'Introductory Programming',     1),
+  ('Simple Data Structures',       'Simple Data Structures',       2),
+  ('Object Oriented Programming',  'Object Oriented Programming',  3),
+  ('Intermediate Data Structures', 'Intermediate Data Structures', 4),
+  ('Complex Data Structures',      'Complex Data Structures',      5),
+  ('Intermediate Programming',     'Intermediate Programming',     6);
+
+INSERT IGNORE INTO `Subcategory` (`CATEGORY_ID`, `NAME`, `DISPLAY_NAME`, `DIFFICULTY`, `SORT_ORDER`)
+SELECT c.`ID`, seed.`NAME`, seed.`DISPLAY_NAME`, seed.`DIFFICULTY`, seed.`SORT_ORDER`
+FROM (
+            SELECT 'Introductory Programming' AS `CATEGORY`, 'InputOutput' AS `NAME`, 'Input/Output' AS `DISPLAY_NAME`, 0.30 AS `DIFFICULTY`, 1 AS `SORT_ORDER`
+  UNION ALL SELECT 'Introductory Programming',     'Branching',          'Branching',          0.30, 2
+  UNION ALL SELECT 'Introductory Programming',     'Loops',              'Loops',              0.30, 3
+  UNION ALL SELECT 'Introductory Programming',     'Variables',          'Variables',          0.30, 4
+  UNION ALL SELECT 'Simple Data Structures',       'Arrays',             'Arrays',             0.50, 1
+  UNION ALL SELECT 'Simple Data Structures',       'Linked Lists',       'Linked Lists',       0.50, 2
+  UNION ALL SELECT 'Simple Data Structures',       'Strings',            'Strings',            0.50, 3
+  UNION ALL SELECT 'Object Oriented Programming',  'Classes',            'Classes',            0.60, 1
+  UNION ALL SELECT 'Object Oriented Programming',  'Methods',            'Methods',            0.60, 2
+  UNION ALL SELECT 'Intermediate Data Structures', 'Trees',              'Trees',              0.70, 1
+  UNION ALL SELECT 'Intermediate Data Structures', 'Stacks',             'Stacks',             0.70, 2
+  UNION ALL SELECT 'Complex Data Structures',      'Heaps',              'Heaps',              0.80, 1
+  UNION ALL SELECT 'Complex Data Structures',      'Tries',              'Tries',              0.80, 2
+  UNION ALL SELECT 'Intermediate Programming',     'Bitwise Operators',  'Bitwise Operators',  0.90, 1
+  UNION ALL SELECT 'Intermediate Programming',     'Dynamic Memory',     'Dynamic Memory',     0.90, 2
+  UNION ALL SELECT 'Intermediate Programming',     'Algorithm Analysis', 'Algorithm Analysis', 0.90, 3
+  UNION ALL SELECT 'Intermediate Programming',     'Recursion',          'Recursion',          0.90, 4
+  UNION ALL SELECT 'Intermediate Programming',     'Sorting',            'Sorting',            0.90, 5
+) AS seed
+JOIN `Category` c ON c.`NAME` = seed.`CATEGORY`;
+
+-- Foundation Exam sections, which the default mock test blueprint draws from.
+-- The question editor sends "General" when no section is picked.
+INSERT IGNORE INTO `Section` (`NAME`, `DISPLAY_NAME`, `SORT_ORDER`) VALUES
+  ('A',       'Section A', 1),
+  ('B',       'Section B', 2),
+  ('C',       'Section C', 3),
+  ('D',       'Section D', 4),
+  ('General', 'General',   5);
+
+-- Clean up legacy strings the same way normalizeDBString() does
+UPDATE `Question` SET
+  `SECTION`     = TRIM(REGEXP_REPLACE(`SECTION`, '[[:space:]]+', ' ')),
+  `CATEGORY`    = TRIM(REGEXP_REPLACE(`CATEGORY`, '[[:space:]]+', ' ')),
+  `SUBCATEGORY` = REPLACE(TRIM(REGEXP_REPLACE(`SUBCATEGORY`, '[[:space:]]+', ' ')), 'Input/Output', 'InputOutput');
+
+UPDATE `Response` SET
+  `CATEGORY` = TRIM(REGEXP_REPLACE(`CATEGORY`, '[[:space:]]+', ' ')),
+  `TOPIC`    = REPLACE(TRIM(REGEXP_REPLACE(`TOPIC`, '[[:space:]]+', ' ')), 'Input/Output', 'InputOutput');
+
+-- Sections were never a fixed list, so keep every one already in use
+INSERT IGNORE INTO `Section` (`NAME`, `DISPLAY_NAME`, `SORT_ORDER`)
+SELECT DISTINCT `SECTION`, `SECTION`, 6 FROM `Question` WHERE `SECTION` IS NOT NULL AND `SECTION` <> '';
+
+-- Foreign key columns. Skipped if they already exist, so the migration can rerun.
+DROP PROCEDURE IF EXISTS `AddTaxonomyColumns`;
+DELIMITER //
+CREATE PROCEDURE `AddTaxonomyColumns`()
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'Question' AND COLUMN_NAME = 'SUBCATEGORY_ID') THEN
+    ALTER TABLE `Question`
+      ADD COLUMN `SECTION_ID` int DEFAULT NULL AFTER `SUBCATEGORY`,
+      ADD COLUMN `CATEGORY_ID` int DEFAULT NULL AFTER `SECTION_ID`,
+      ADD COLUMN `SUBCATEGORY_ID` int DEFAULT NULL AFTER `CATEGORY_ID`,
+      ADD KEY `SECTION_ID` (`SECTION_ID`),
+      ADD KEY `CATEGORY_ID` (`CATEGORY_ID`),
+      ADD KEY `SUBCATEGORY_ID` (`SUBCATEGORY_ID`),
+      ADD CONSTRAINT `Question_ibfk_2` FOREIGN KEY (`SECTION_ID`) REFERENCES `Section` (`ID`) ON DELETE RESTRICT,
+      ADD CONSTRAINT `Question_ibfk_3` FOREIGN KEY (`CATEGORY_ID`) REFERENCES `Category` (`ID`) ON DELETE RESTRICT,
+      ADD CONSTRAINT `Question_ibfk_4` FOREIGN KEY (`SUBCATEGORY_ID`) REFERENCES `Subcategory` (`ID`) ON DELETE RESTRICT;
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'Response' AND COLUMN_NAME = 'SUBCATEGORY_ID') THEN
+    ALTER TABLE `Response`
+      ADD COLUMN `SUBCATEGORY_ID` int DEFAULT NULL AFTER `TOPIC`,
+      ADD KEY `SUBCATEGORY_ID` (`SUBCATEGORY_ID`),
+      ADD CONSTRAINT `Response_ibfk_4` FOREIGN KEY (`SUBCATEGORY_ID`) REFERENCES `Subcategory` (`ID`) ON DELETE SET NULL;
+  END IF;
+END //
+DELIMITER ;
+CALL `AddTaxonomyColumns`();
+DROP PROCEDURE `AddTaxonomyColumns`;
+
+-- Link rows by name. Collation is case-insensitive, so "arrays" matches "Arrays".
+UPDATE `Question` q JOIN `Section` s ON s.`NAME` = q.`SECTION`
+SET q.`SECTION_ID` = s.`ID`, q.`SECTION` = s.`NAME`;
+
+UPDATE `Question` q JOIN `Category` c ON c.`NAME` = q.`CATEGORY`
+SET q.`CATEGORY_ID` = c.`ID`, q.`CATEGORY` = c.`NAME`;
+
+UPDATE `Question` q JOIN `Subcategory` s ON s.`NAME` = q.`SUBCATEGORY`
+SET q.`SUBCATEGORY_ID` = s.`ID`, q.`SUBCATEGORY` = s.`NAME`;
+
+-- A response's subcategory is its question's, whatever TOPIC the client sent
+UPDATE `Response` r JOIN `Question` q ON q.`ID` = r.`PROBLEM_ID`
+SET r.`SUBCATEGORY_ID` = q.`SUBCATEGORY_ID`
+WHERE q.`SUBCATEGORY_ID` IS NOT NULL;
+
+-- Questions left unlinked need fixing by hand, or a new taxonomy entry
+SELECT `ID`, `SECTION`, `CATEGORY`, `SUBCATEGORY`
+FROM `Question`
+WHERE `SECTION_ID` IS NULL OR `CATEGORY_ID` IS NULL OR `SUBCATEGORY_ID` IS NULL;
@@ -0,0 +1,52 @@
+-- /////////////////////////////////////////////////////////////
+--
+--   Project:       KnightWise
+--   Year:          2026
+--   Author(s):     KnightWise Team
+--   File:          testBlueprints.sql
+--   Description:   Migration for stored mock test blueprints.
+--                  Adds the TestBlueprint table, and the
+--                  MockTestSession columns recording which
+--                  blueprint and seed picked a session's
+--                  questions. Run after mockTestSessions.sql.
+--                  Safe to run more than once.
+--
+--                  schema.sql already has these, new databases
+--                  don't need it:
+--                  mysql -u <user> -p <db> < migrations/testBlueprints.sql
+--
+-- /////////////////////////////////////////////////////////////
+
+CREATE TABLE IF NOT EXISTS `TestBlueprint` (
+  `ID` int NOT NULL AUTO_INCREMENT,
+  `NAME` varchar(100) NOT NULL,
+  `DESCRIPTION` varchar(500) DEFAULT NULL,
+  `TIME_LIMIT_MINUTES` int NOT NULL,
+  `TARGET_POINTS` decimal(7,2) DEFAULT NULL,
+  `RULES` json NOT NULL,
+  `TYPE_QUOTAS` json NOT NULL,
+  `OWNER_ID` int DEFAULT NULL,
+  `CREATED_AT` datetime DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`ID`),
+  UNIQUE KEY `NAME` (`NAME`),
+  KEY `OWNER_ID` (`OWNER_ID`),
+  CONSTRAINT `TestBlueprint_ibfk_1` FOREIGN KEY (`OWNER_ID`) REFERENCES `User` (`ID`) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- Skipped if the columns already exist, so the migration can rerun.
+-- Sessions started before blueprints keep NULL, they were picked by topic.
+DROP PROCEDURE IF EXISTS `AddBlueprintColumns`;
+DELIMITER //
+CREATE PROCEDURE `AddBlueprintColumns`()
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'MockTestSession' AND COLUMN_NAME = 'BLUEPRINT_ID') THEN
+    ALTER TABLE `MockTestSession`
+      ADD COLUMN `BLUEPRINT_ID` int DEFAULT NULL AFTER `POINTS_POSSIBLE`,
+      ADD COLUMN `SEED` varchar(64) DEFAULT NULL AFTER `BLUEPRINT_ID`,
+      ADD KEY `BLUEPRINT_ID` (`BLUEPRINT_ID`),
+      ADD CONSTRAINT `MockTestSession_ibfk_2` FOREIGN KEY (`BLUEPRINT_ID`) REFERENCES `TestBlueprint` (`ID`) ON DELETE SET NULL;
+  END IF;
+END //
+DELIMITER ;
+CALL `AddBlueprintColumns`();
+DROP PROCEDURE `AddBlueprintColumns`;
@@ -0,0 +1,36 @@
+-- /////////////////////////////////////////////////////////////
+--
+--   Project:       KnightWise
+--   Year:          2026
+--   Author(s):     KnightWise Team
+--   File:          testCaseOptions.sql
+--   Description:   Migration for hidden and weighted programming
+--                  test cases. Adds the TestCase columns for
+--                  hiding a case from students, its weight, and
+--                  how its output is compared. Safe to run more
+--                  than once.
+--
+--                  schema.sql already has these, new databases
+--                  don't need it:
+--                  mysql -u <user> -p <db> < migrations/testCaseOptions.sql
+--
+-- /////////////////////////////////////////////////////////////
+
+-- Skipped if the columns already exist, so the migration can rerun.
+-- Existing cases take the defaults: shown, weight 1, exact match,
+-- which is how they were graded before.
+DROP PROCEDURE IF EXISTS `AddTestCaseColumns`;
+DELIMITER //
+CREATE PROCEDURE `AddTestCaseColumns`()
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'TestCase' AND COLUMN_NAME = 'IS_HIDDEN') THEN
+    ALTER TABLE `TestCase`
+      ADD COLUMN `IS_HIDDEN` tinyint(1) NOT NULL DEFAULT '0' AFTER `EXPECTED_OUTPUT`,
+      ADD COLUMN `WEIGHT` decimal(6,2) NOT NULL DEFAULT '1.00' AFTER `IS_HIDDEN`,
+      ADD COLUMN `COMPARISON_MODE` enum('exact','whitespace','float','unordered','regex') NOT NULL DEFAULT 'exact' AFTER `WEIGHT`,
+      ADD COLUMN `FLOAT_TOLERANCE` double DEFAULT NULL AFTER `COMPARISON_MODE`;
+  END IF;
+END //
+DELIMITER ;
+CALL `AddTestCaseColumns`();
+DROP PROCEDURE `AddTestCaseColumns`;
@@ -19,6 +19,32 @@
 //                 discordWebhook service (notifyUserEvent)
 //                 itemConfig
 //                 validationUtils
+//                 blueprintUtils
+//                 codeTemplateUtils
+//                 questionBankConfig
+//                 questionReviewConfig
+//                 questionAssetConfig
+//                 questionBankController
+//                 questionAssetController
+//                 questionVersionController
+//                 questionReviewController
+//                 questionPurgeController
+//                 questionRegradeController
+//                 questionPreviewController
+//                 questionConsistencyController
+//                 taxonomyController
+//                 questionBankUtils
+//                 questionVersionUtils
+//                 questionReviewUtils
+//                 questionValidator
+//                 numeric grader
+//                 fillInTheBlanks grader
+//                 gradingPolicy
+//                 taxonomyUtils
+//                 questionSearchUtils
+//                 questionHintUtils
+//                 questionTemplateUtils
+//                 questionTemplateController
 //
 ////////////////////////////////////////////////////////////////
 
@@ -31,7 +57,51 @@ const adminMiddleware = require("../middleware/adminMiddleware");
 const adminOrProf = require('../middleware/adminOrProf');
 const { notifyUserEvent } = require("../services/discordWebhook");
 const { ITEM_TYPES } = require('../../shared/itemConfig');
-const { parseUserId } = require('../utils/validationUtils');
+const { parseUserId, parseId, normalizeDBString } = require('../utils/validationUtils');
+const { parseBlueprint, toBlueprint, getBlueprint } = require('../utils/blueprintUtils');
+const { parseCodeTemplates, saveCodeTemplates } = require('../utils/codeTemplateUtils');
+const { MAX_IMPORT_BYTES } = require('../config/questionBankConfig');
+const { ASSET_IMAGE_TYPES, MAX_ASSET_BYTES } = require('../config/questionAssetConfig');
+const { REVIEW_STATUSES, QUESTION_LISTINGS } = require('../config/questionReviewConfig');
+const { exportQuestions, importQuestions } = require('../controllers/questionBankController');
+const { uploadAsset } = require('../controllers/questionAssetController');
+const { listQuestionVersions, getVersion, diffVersions, rollbackQuestion } = require('../controllers/questionVersionController');
+const {
+  getReviewQueue,
+  getQuestionReview,
+  reviewQuestion,
+  publishQuestion,
+  retireQuestion,
+  addReviewComment,
+} = require('../controllers/questionReviewController');
+const { getPurgeReport, purgeQuestion } = require('../controllers/questionPurgeController');
+const { getRegradeReport, applyRegrade } = require('../controllers/questionRegradeController');
+const { previewGrade, runTraceOutput } = require('../controllers/questionPreviewController');
+const { scanQuestionBank } = require('../controllers/questionConsistencyController');
+const { createTaxonomyEntry, updateTaxonomyEntry, deleteTaxonomyEntry } = require('../controllers/taxonomyController');
+const { saveQuestionContent } = require('../utils/questionBankUtils');
+const { VERSION_CHANGE_TYPES, recordQuestionVersion, ensureBaselineVersion } = require('../utils/questionVersionUtils');
+const { getReviewStatus, recordReviewEvent, resetReviewStatus } = require('../utils/questionReviewUtils');
+const {
+  answersFromRequest,
+  readTraceCode,
+  validateQuestionStructure,
+  formatValidationError,
+} = require('../services/graders/questionValidator');
+const { readNumericSettings } = require('../services/graders/numeric');
+const { readBlanks } = require('../services/graders/fillInTheBlanks');
+const { readGradingPolicy } = require('../services/graders/gradingPolicy');
+const { resolveQuestionTaxonomy } = require('../utils/taxonomyUtils');
+const { parseTags, saveQuestionTags, getTagsByQuestion } = require('../utils/questionSearchUtils');
+const {
+  parseExplanation,
+  parseHints,
+  parseRationales,
+  saveQuestionHints,
+  getHintsByQuestion,
+} = require('../utils/questionHintUtils');
+const { parseTemplate, saveQuestionTemplate, getTemplatesByQuestion } = require('../utils/questionTemplateUtils');
+const { previewTemplate } = require('../controllers/questionTemplateController');
 
 // Mailjet for sending professor verified email
 const Mailjet = require("node-mailjet");
@@ -41,42 +111,82 @@ const mailjet = Mailjet.apiConnect(
 );
 
 /**
- * Helper function, gets questions for a given draft/published state
- * Used in GET /api/admin/drafts and GET /api/admin/published
+ * Helper function, checks the answers in a create or edit request against
+ * the rules for the question's type, so a question the grader can't handle
+ * is never saved. Used in POST /api/admin/createquestion and PUT /api/admin/problems/:id
+ * @param {Object} body            - Request body, answer arrays already checked to be equal length
+ * @param {Array}  [codeTemplates] - Parsed code templates
+ * @param {Object} [kept]          - Fields the request leaves as stored, so they aren't checked
+ * @param {boolean} [kept.traceCode]       - Code Trace code is kept
+ * @param {boolean} [kept.numericSettings] - Numeric settings are kept
+ * @param {boolean} [kept.blanks]          - Fill in the Blanks blanks are kept
+ * @param {boolean} [kept.gradingPolicy]   - Grading policy is kept
+ * @returns {Array<{ field: string, message: string, blocksGrading: boolean }>} Field errors, empty if valid
+ */
+const getQuestionErrors = (body, codeTemplates, kept = {}) => validateQuestionStructure({
+  type:            normalizeDBString(String(body.type)),
+  answers:         answersFromRequest(body.answer_text, body.answer_correctness, body.answer_rank, body.answer_placement, body.answer_blank ?? []),
+  codeTemplates:   codeTemplates ?? [],
+  ...(kept.traceCode ? {} : readTraceCode(body.trace_code, body.trace_language_id)),
+  numericSettings: kept.numericSettings ? undefined : readNumericSettings(body.numeric_settings),
+  blanks:          kept.blanks ? undefined : readBlanks(body.blanks),
+  questionText:    body.question_text,
+  gradingPolicy:   kept.gradingPolicy ? undefined : readGradingPolicy(body.grading_policy),
+});
+
+/**
+ * Helper function, validates answer_blank, the blank each answer is for, sent alongside answer_text
+ * @param {*}      raw         - req.body.answer_blank
+ * @param {number} answerCount - Length of answer_text
+ * @param {string} context     - Caller name for error logging
+ * @throws {AppError} 400      - If it isn't a matching array
+ * @returns {Array<string|null>|null} One blank ID per answer, null if not sent
+ */
+const parseAnswerBlanks = (raw, answerCount, context) => {
+  if (raw === undefined || raw === null) return null;
+  if (!Array.isArray(raw) || raw.length !== answerCount)
+  {
+    throw new AppError(`[${context}] answer_blank does not match answer_text`, 400, 'answer_blank must have one entry per answer');
+  }
+  return raw.map(value => (typeof value === 'string' ? (value.trim() || null) : null));
+};
+
+/**
+ * Helper function, sends a 400 listing every field error.
+ * errorHandler only sends a message, so these are sent here.
+ * @param {import('express').Response} res
+ * @param {Array} errors - From getQuestionErrors
+ */
+const sendQuestionErrors = (res, errors) => res.status(400).json({
+  message: `Invalid question: ${errors.map(formatValidationError).join('; ')}`,
+  errors,
+});
+
+/**
+ * Helper function, gets questions for a given draft/published/retired listing
+ * Used in GET /api/admin/drafts, GET /api/admin/published and GET /api/admin/retired
  * @param {{ id: number, role: string }} user - User requesting questions (professor or admin)
- * @param {boolean} isPublished - True to get published questions, false to get drafts
- * @param {Object}  db          - Database connection pool
+ * @param {string} listing      - Key of QUESTION_LISTINGS
+ * @param {Object} db           - Database connection pool
  * @returns {Promise<Array>}    - Array of questions
  */
-const getQuestionsByStatus = async (user, isPublished, db) => {
+const getQuestionsByStatus = async (user, listing, db) => {
   // Professors only see their own questions, admins see all
-  const [questions] = (user?.role === 'professor')
-    ? await db.query(
-        `SELECT
-          ID,
-          TYPE,
-          SECTION,
-          CATEGORY,
-          SUBCATEGORY,
-          POINTS_POSSIBLE,
-          QUESTION_TEXT,
-          OWNER_ID
-        FROM Question WHERE IS_PUBLISHED = ? AND OWNER_ID = ?`,
-        [isPublished ? 1 : 0, user.id]
-      )
-    : await db.query(
-        `SELECT
-          ID,
-          TYPE,
-          SECTION,
-          CATEGORY,
-          SUBCATEGORY,
-          POINTS_POSSIBLE,
-          QUESTION_TEXT,
-          OWNER_ID
-        FROM Question WHERE IS_PUBLISHED = ?`,
-        [isPublished ? 1 : 0]
-      );
+  const isProfessor = user?.role === 'professor';
+  const [questions] = await db.query(
+    `SELECT
+      ID,
+      TYPE,
+      SECTION,
+      CATEGORY,
+      SUBCATEGORY,
+      POINTS_POSSIBLE,
+      QUESTION_TEXT,
+      OWNER_ID,
+      REVIEW_STATUS
+    FROM Question WHERE ${QUESTION_LISTINGS[listing]}${isProfessor ? ' AND OWNER_ID = ?' : ''}`,
+    isProfessor ? [user.id] : []
+  );
 
   return questions;
 }
@@ -89,7 +199,7 @@ const getQuestionsByStatus = async (user, isPublished, db) => {
  */
 const getAnswersForQuestion = async (questionId, db) => {
   const [answers] = await db.query(
-    'SELECT * FROM AnswerText WHERE QUESTION_ID = ?',
+    'SELECT * FROM AnswerText WHERE QUESTION_ID = ? ORDER BY ID',
     [questionId]
   );
   return answers;
@@ -193,50 +303,45 @@ router.delete("/users/:id", adminMiddleware, asyncHandler(async (req, res) => {
 
 /**
  * @route   DELETE /api/admin/problems/:id
- * @desc    Delete a question and associated data
- *          Professors can only delete their own questions
- *          Admins can delete any question
+ * @desc    Retire a question, hiding it from students while keeping its
+ *          responses and history. See questionReviewController.
+ *          Professors can only retire their own questions
+ *          Admins can retire any question
  * @access  Admin, Professor
  */
-router.delete("/problems/:id", adminOrProf, asyncHandler(async (req, res) => {
-  const questionId = req.params.id;
-
-  // Ensure userId is a valid primary key
-  if (isNaN(parseInt(questionId)) || parseInt(questionId) <= 0)
-  {
-    throw new AppError(`Failed to delete question, questionId not a valid primary key: ${questionId}`, 400, "Invalid question ID");
-  }
+router.delete("/problems/:id", adminOrProf, retireQuestion);
 
-  // Get user info
-  const [questions] = await req.db.query(
-    'SELECT * FROM Question WHERE ID = ?',
-    [questionId]
-  );
-
-  if (questions.length === 0)
-  { 
-    throw new AppError(`Failed to delete question, questionId not found: ${questionId}`, 404, "Question not found");
-  }
-
-  const question = questions[0];
+/**
+ * @route   GET /api/admin/problems/:id/purge
+ * @desc    Report what purging a question would permanently delete
+ * @access  Admin
+ */
+router.get("/problems/:id/purge", adminMiddleware, getPurgeReport);
 
-  // Ensure a professor is only deleting their own question
-  if (req.user?.role === 'professor' && question.OWNER_ID !== req.user.id)
-  {
-    throw new AppError(`Professor ${req.user.id} attempted to delete question owned by ${question.OWNER_ID}`, 403, "Forbidden");
-  }
+/**
+ * @route   DELETE /api/admin/problems/:id/purge
+ * @desc    Permanently delete a retired question and everything that references it
+ * @access  Admin
+ */
+router.delete("/problems/:id/purge", adminMiddleware, purgeQuestion);
 
-  // Delete user and associated email code/answers
-  await req.db.query('DELETE FROM Question WHERE ID = ?', [questionId]);
-  await req.db.query('DELETE FROM AnswerText WHERE QUESTION_ID = ?', [questionId]);
-  await req.db.query('DELETE FROM Response WHERE PROBLEM_ID = ?', [questionId]);
-  console.log(`Question ${questionId} and all associated data deleted successfully`);
-  notifyUserEvent(`Question ${questionId} and all associated data deleted by ${req.user?.role} (owner ID: ${question.OWNER_ID})`);
+/**
+ * @route   GET /api/admin/problems/:id/regrade
+ * @desc    Report what regrading a question's stored responses would change
+ *          Professors can only regrade their own questions
+ *          Admins can regrade any question
+ * @access  Admin, Professor
+ */
+router.get("/problems/:id/regrade", adminOrProf, getRegradeReport);
 
-  return res
-    .status(200)
-    .json({ message: "Question deleted successfully" });
-}));
+/**
+ * @route   POST /api/admin/problems/:id/regrade
+ * @desc    Regrade a question's stored responses, adjusting students' exp and coins
+ *          Professors can only regrade their own questions
+ *          Admins can regrade any question
+ * @access  Admin, Professor
+ */
+router.post("/problems/:id/regrade", adminOrProf, applyRegrade);
 
 
 /**
@@ -285,6 +390,27 @@ router.post("/createuser", adminMiddleware, asyncHandler(async(req, res) => {
 /**
  * @route   POST /api/admin/createquestion
  * @desc    Create a new question object and a certain number of corresponding answer_text objects
+ *          Programming questions can also pass code_templates, the per-language
+ *          function signature, starter code and hidden harness
+ *          Professors' questions are always created as drafts, is_published
+ *          only applies to admins
+ *          section, category and subcategory must be in the taxonomy, by name or
+ *          display name, and are stored by their taxonomy name
+ *          tags is an optional array of free-form tags, stored lowercased
+ *          explanation (worked solution shown after answering), hints (ordered,
+ *          revealed one at a time for a penalty) and answer_rationale (why each
+ *          answer is right or wrong, parallel to answer_text) are optional
+ *          template ({ variables }) makes the question a template whose
+ *          {{ expression }} placeholders are filled in on every attempt
+ *          Code Trace questions pass trace_code and trace_language_id, the code
+ *          students trace, and their expected output as a correct answer
+ *          Numeric questions can pass numeric_settings ({ tolerance, toleranceType,
+ *          unit, creditBands }), without it only the exact number is accepted
+ *          Fill in the Blanks questions with several blanks pass blanks
+ *          ([{ id, matchMode, weight }], each marked [[id]] in question_text)
+ *          and answer_blank, the blank each answer is for, parallel to answer_text
+ *          grading_policy ({ scoring, penalty, fuzzyThreshold, rankingMetric })
+ *          changes how partly right answers score, the type's usual way if left out
  * @access  Admin, Professor
  * 
  * @param {import('express').Request}  req - Express request object
@@ -292,18 +418,44 @@ router.post("/createuser", adminMiddleware, asyncHandler(async(req, res) => {
  * @returns {Promise<void>} - JSON response to confirm successful submission
  */
 router.post("/createquestion", adminOrProf, asyncHandler(async (req, res) => {
-  const { type, author_exam_id, section, category, subcategory, points_possible, question_text, owner_id, is_published, answer_text, answer_correctness, answer_rank, answer_placement } = req.body;
+  const { type, author_exam_id, section, category, subcategory, points_possible, question_text, owner_id, is_published, answer_text, answer_correctness, answer_rank, answer_placement, answer_rationale, code_templates, tags, explanation, hints, template, trace_code, trace_language_id, numeric_settings, blanks, answer_blank, grading_policy } = req.body;
 
   if (!type || !author_exam_id || !section || !category || !subcategory || !points_possible || !question_text || is_published === undefined || !answer_text || !answer_correctness || !answer_rank || !answer_placement)
   {
     throw new AppError("Missing required fields", 400, "Invalid fields");
   }
 
-  if (!(answer_correctness.length === answer_rank.length && answer_correctness.length === answer_text.length && answer_correctness.length === answer_placement.length))
+  if (![answer_text, answer_correctness, answer_rank, answer_placement].every(Array.isArray) ||
+      !(answer_correctness.length === answer_rank.length && answer_correctness.length === answer_text.length && answer_correctness.length === answer_placement.length))
   {
-    throw new AppError("Answer arrays are not equal length.", 400, "Invalid fields");
+    throw new AppError("Answer fields are not arrays of equal length.", 400, "Invalid fields");
   }
 
+  const codeTemplates = code_templates === undefined ? [] : parseCodeTemplates(code_templates, 'createquestion');
+  const questionTags = parseTags(tags, 'createquestion');
+  const questionExplanation = parseExplanation(explanation, 'createquestion');
+  const questionHints = parseHints(hints, 'createquestion');
+  const answerRationales = parseRationales(answer_rationale, answer_text.length, 'createquestion');
+  const { traceCode, traceLanguageId } = readTraceCode(trace_code, trace_language_id);
+  const numericSettings = readNumericSettings(numeric_settings);
+  const questionBlanks = readBlanks(blanks);
+  const answerBlanks = parseAnswerBlanks(answer_blank, answer_text.length, 'createquestion');
+  const gradingPolicy = readGradingPolicy(grading_policy);
+  const questionTemplate = parseTemplate(template, {
+    type,
+    questionText: question_text,
+    answerTexts:  answer_text,
+    otherTexts:   [questionExplanation, ...questionHints, ...(answerRationales ?? []), traceCode],
+  }, 'createquestion');
+
+  const questionErrors = getQuestionErrors(req.body, codeTemplates);
+  if (questionErrors.length > 0)
+  {
+    return sendQuestionErrors(res, questionErrors);
+  }
+
+  const taxonomy = await resolveQuestionTaxonomy(req.db, { section, category, subcategory }, 'createquestion');
+
   // Guard: Professors can only add questions under their own ID
   // If role is professor, their owner ID is forced to be their own ID,
   // eliminates risk of spoofing/passing in inappropriate ID.
@@ -313,9 +465,34 @@ router.post("/createquestion", adminOrProf, asyncHandler(async (req, res) => {
     ? req.user.id
     : (owner_id ?? req.user?.id);
 
+  // Professors' questions go through review before they're published,
+  // only admins can create a question as published
+  const isPublished = Boolean(is_published) && req.user?.role === 'admin';
+
   const [result] = await req.db.query(
-    'INSERT INTO Question (TYPE, AUTHOR_EXAM_ID, SECTION, CATEGORY, SUBCATEGORY, POINTS_POSSIBLE, QUESTION_TEXT, OWNER_ID, IS_PUBLISHED) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
-    [type, author_exam_id, section, category, subcategory, points_possible, question_text, effectiveOwnerId, is_published ? 1 : 0]
+    `INSERT INTO Question (TYPE, AUTHOR_EXAM_ID, SECTION, CATEGORY, SUBCATEGORY, SECTION_ID, CATEGORY_ID, SUBCATEGORY_ID, POINTS_POSSIBLE, QUESTION_TEXT, EXPLANATION, TRACE_CODE, TRACE_LANGUAGE_ID, NUMERIC_SETTINGS, BLANKS, GRADING_POLICY, OWNER_ID, IS_PUBLISHED, REVIEW_STATUS)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      type,
+      author_exam_id,
+      taxonomy.section,
+      taxonomy.category,
+      taxonomy.subcategory,
+      taxonomy.sectionId,
+      taxonomy.categoryId,
+      taxonomy.subcategoryId,
+      points_possible,
+      question_text,
+      questionExplanation,
+      traceCode,
+      traceLanguageId,
+      numericSettings ? JSON.stringify(numericSettings) : null,
+      questionBlanks ? JSON.stringify(questionBlanks) : null,
+      gradingPolicy ? JSON.stringify(gradingPolicy) : null,
+      effectiveOwnerId,
+      isPublished ? 1 : 0,
+      isPublished ? REVIEW_STATUSES.PUBLISHED : REVIEW_STATUSES.DRAFT,
+    ]
   );
 
   const questionId = result.insertId;
@@ -325,21 +502,104 @@ router.post("/createquestion", adminOrProf, asyncHandler(async (req, res) => {
     for (let i = 0; i < answer_text.length; i++)
     {
       await req.db.query(
-        'INSERT INTO AnswerText (QUESTION_ID, IS_CORRECT_ANSWER, `TEXT`, `RANK`, PLACEMENT) VALUES (?, ?, ?, ?, ?)',
-        [questionId, answer_correctness[i], answer_text[i], answer_rank[i], answer_placement[i]]
+        'INSERT INTO AnswerText (QUESTION_ID, IS_CORRECT_ANSWER, `TEXT`, `RANK`, PLACEMENT, BLANK_ID, RATIONALE) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        [questionId, answer_correctness[i], answer_text[i], answer_rank[i], answer_placement[i], questionBlanks ? (answerBlanks?.[i] ?? null) : null, answerRationales?.[i] ?? null]
       );
     }
+    await saveCodeTemplates(req.db, questionId, codeTemplates);
+    await saveQuestionTags(req.db, questionId, questionTags);
+    await saveQuestionHints(req.db, questionId, questionHints);
+    if (questionTemplate)
+    {
+      await saveQuestionTemplate(req.db, questionId, questionTemplate);
+    }
+    const version = await recordQuestionVersion(req.db, questionId, { changeType: VERSION_CHANGE_TYPES.CREATE, editedBy: req.user?.id ?? null });
+    if (isPublished)
+    {
+      await recordReviewEvent(req.db, { questionId, user: req.user, action: 'publish', fromStatus: REVIEW_STATUSES.DRAFT, toStatus: REVIEW_STATUSES.PUBLISHED, questionVersion: version });
+    }
   }
 
   // Notify webhook that question was created
-  notifyUserEvent(`New question ${is_published ? 'published' : 'saved as draft'}: ID ${questionId} by ${req.user?.role} (owner ID: ${effectiveOwnerId})`);
+  notifyUserEvent(`New question ${isPublished ? 'published' : 'saved as draft'}: ID ${questionId} by ${req.user?.role} (owner ID: ${effectiveOwnerId})`);
 
   res.status(201).json({ message: "Question added", questionId});
 }));
 
+/**
+ * @route   GET /api/admin/questions/export
+ * @desc    Export questions as a JSON bundle, QTI 2.1 package or GIFT file
+ * @access  Admin, Professor (own questions only)
+ */
+router.get('/questions/export', adminOrProf, exportQuestions);
+
+/**
+ * @route   GET /api/admin/questions/consistency
+ * @desc    Scan the bank for questions that break the rules for their type
+ * @access  Admin, Professor (own questions only)
+ */
+router.get('/questions/consistency', adminOrProf, scanQuestionBank);
+
+/**
+ * @route   POST /api/admin/questions/import
+ * @desc    Import a JSON bundle, QTI 2.1 item or package, or GIFT file as drafts
+ *          Bodies are only parsed once the user is authorized, server.js
+ *          leaves JSON bodies on this path to the parser here
+ * @access  Admin, Professor
+ */
+router.post(
+  '/questions/import',
+  adminOrProf,
+  express.json({ limit: MAX_IMPORT_BYTES }),
+  express.text({ type: ['text/plain', 'application/xml', 'text/xml'], limit: MAX_IMPORT_BYTES }),
+  express.raw({ type: ['application/zip', 'application/octet-stream'], limit: MAX_IMPORT_BYTES }),
+  importQuestions
+);
+
+/**
+ * @route   POST /api/admin/assets
+ * @desc    Upload an image to reference from question text
+ * @access  Admin, Professor
+ */
+router.post(
+  '/assets',
+  adminOrProf,
+  express.raw({ type: ASSET_IMAGE_TYPES.map(type => type.mimeType), limit: MAX_ASSET_BYTES }),
+  uploadAsset
+);
+
+/**
+ * @route   GET /api/admin/problems/:id/versions
+ * @desc    List a question's versions, newest first
+ * @access  Admin, Professor (own questions only)
+ */
+router.get('/problems/:id/versions', adminOrProf, listQuestionVersions);
+
+/**
+ * @route   GET /api/admin/problems/:id/versions/diff
+ * @desc    Diff two versions of a question (?from=&to=, to defaults to current)
+ * @access  Admin, Professor (own questions only)
+ */
+router.get('/problems/:id/versions/diff', adminOrProf, diffVersions);
+
+/**
+ * @route   GET /api/admin/problems/:id/versions/:version
+ * @desc    Fetch one version of a question with its full content
+ * @access  Admin, Professor (own questions only)
+ */
+router.get('/problems/:id/versions/:version', adminOrProf, getVersion);
+
+/**
+ * @route   POST /api/admin/problems/:id/rollback
+ * @desc    Restore a question from an earlier version, saved as a new version
+ * @access  Admin, Professor (own questions only)
+ */
+router.post('/problems/:id/rollback', adminOrProf, rollbackQuestion);
+
 /**
  * @route   GET /api/admin/problems/:id
- * @desc    Fetch a question by its ID with its associated answers
+ * @desc    Fetch a question by its ID with its associated answers,
+ *          code templates, tags, hints and template (null if not a template)
  * @access  Admin, Professor
  * 
  * @param {import('express').Request}  req - Express request object
@@ -365,7 +625,24 @@ const { id } = req.params;
   // Get answers for question
   const answers = await getAnswersForQuestion(id, req.db);
 
-  res.json({...question, answers});
+  // Code templates, harness included, for programming questions
+  const [codeTemplates] = await req.db.query(
+    'SELECT LANGUAGE_ID, FUNCTION_SIGNATURE, STARTER_CODE, HARNESS FROM CodeTemplate WHERE QUESTION_ID = ? ORDER BY LANGUAGE_ID',
+    [id]
+  );
+
+  const tagsByQuestion = await getTagsByQuestion(req.db, [question.ID]);
+  const hintsByQuestion = await getHintsByQuestion(req.db, [question.ID]);
+  const templatesByQuestion = await getTemplatesByQuestion(req.db, [question.ID]);
+
+  res.json({
+    ...question,
+    answers,
+    codeTemplates,
+    tags:     tagsByQuestion.get(question.ID),
+    hints:    hintsByQuestion.get(question.ID),
+    template: templatesByQuestion.get(question.ID) ?? null,
+  });
 }));
 
 /**
@@ -506,7 +783,7 @@ router.post('/verifyprof/:id', adminMiddleware, asyncHandler(async (req, res) =>
  */
 router.get('/drafts', adminOrProf, asyncHandler(async (req, res) => {
   // Get draft questions
-  const drafts = await getQuestionsByStatus(req.user, false, req.db);
+  const drafts = await getQuestionsByStatus(req.user, 'drafts', req.db);
   res.json({ drafts });
 }));
 
@@ -523,16 +800,50 @@ router.get('/drafts', adminOrProf, asyncHandler(async (req, res) => {
  */
 router.get('/published', adminOrProf, asyncHandler(async (req, res) => {
   // Get published questions
-  const published = await getQuestionsByStatus(req.user, true, req.db);
+  const published = await getQuestionsByStatus(req.user, 'published', req.db);
   res.json({ published });
 }));
 
+/**
+ * @route   GET /api/admin/retired
+ * @desc    Get metadata for all retired questions
+ *          Professors can only see their own retired questions
+ *          Admins see all retired questions.
+ * @access  Admin, Professor
+ * 
+ * @param {import('express').Request}  req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>} - JSON response with retired question metadata
+ */
+router.get('/retired', adminOrProf, asyncHandler(async (req, res) => {
+  // Get retired questions
+  const retired = await getQuestionsByStatus(req.user, 'retired', req.db);
+  res.json({ retired });
+}));
+
 /**
  * @route   PUT /api/admin/problems/:id
  * @desc    Overwrites content for a question and its answers
- *          Use with caution, this overwrites question content and deletes
- *          all associated answer texts.
- *          Unpublishes the question if it was published
+ *          Replaces all associated answer texts. The new content is
+ *          saved as a new question version, so earlier versions can be
+ *          diffed and rolled back to.
+ *          Sends the question back to draft in the review workflow,
+ *          unpublishing it if it was published
+ *          Code templates are only replaced if code_templates is passed,
+ *          tags only if tags is passed, the explanation only if explanation
+ *          is passed and hints only if hints is passed
+ *          The template is only replaced if template is passed (null makes
+ *          it an ordinary question again), but is always checked against
+ *          the new content
+ *          Without answer_rationale, answers whose text is unchanged keep
+ *          their rationale
+ *          trace_code and trace_language_id are only replaced if trace_code
+ *          is passed, and numeric_settings only if it's passed (null clears it)
+ *          blanks are only replaced if blanks is passed (null makes it a single
+ *          blank question), and without answer_blank, answers whose text is
+ *          unchanged stay linked to their blank
+ *          grading_policy is only replaced if it's passed (null goes back to
+ *          the type's usual scoring)
  *          Professors can only edit their own questions
  *          Admins can edit any question
  * @access  Admin, Professor
@@ -554,7 +865,19 @@ router.put('/problems/:id', adminOrProf, asyncHandler(async (req, res) => {
           answer_text,
           answer_correctness,
           answer_rank,
-          answer_placement
+          answer_placement,
+          answer_rationale,
+          code_templates,
+          tags,
+          explanation,
+          hints,
+          template,
+          trace_code,
+          trace_language_id,
+          numeric_settings,
+          blanks,
+          answer_blank,
+          grading_policy
         } = req.body;
 
   if (!type || !author_exam_id || !section || !category || !subcategory || !points_possible || !question_text || !answer_text || !answer_correctness || !answer_rank || !answer_placement)
@@ -562,119 +885,256 @@ router.put('/problems/:id', adminOrProf, asyncHandler(async (req, res) => {
     throw new AppError("Missing required fields", 400, "Invalid fields");
   }
 
-  if (!(answer_correctness.length === answer_rank.length && answer_correctness.length === answer_text.length && answer_correctness.length === answer_placement.length))
+  if (![answer_text, answer_correctness, answer_rank, answer_placement].every(Array.isArray) ||
+      !(answer_correctness.length === answer_rank.length && answer_correctness.length === answer_text.length && answer_correctness.length === answer_placement.length))
   {
-    throw new AppError("Answer arrays are not equal length.", 400, "Invalid fields");
+    throw new AppError("Answer fields are not arrays of equal length.", 400, "Invalid fields");
   }
 
-  // Find question
-  const [questions] = await req.db.query(
-    'SELECT * FROM Question WHERE ID = ?',
-    [id]
-  );
-
-  if (!questions || questions.length === 0)
+  const codeTemplates = code_templates === undefined ? null : parseCodeTemplates(code_templates, 'updateProblem');
+  const questionTags = tags === undefined ? null : parseTags(tags, 'updateProblem');
+  const questionExplanation = explanation === undefined ? undefined : parseExplanation(explanation, 'updateProblem');
+  const questionHints = hints === undefined ? null : parseHints(hints, 'updateProblem');
+  const answerRationales = parseRationales(answer_rationale, answer_text.length, 'updateProblem');
+  // Code Trace code is kept when the request doesn't send it, like the explanation
+  const keepsTraceCode = trace_code === undefined;
+  const { traceCode, traceLanguageId } = readTraceCode(trace_code, trace_language_id);
+  const keepsNumericSettings = numeric_settings === undefined;
+  const numericSettings = readNumericSettings(numeric_settings);
+  const keepsBlanks = blanks === undefined;
+  const questionBlanks = readBlanks(blanks);
+  const answerBlanks = parseAnswerBlanks(answer_blank, answer_text.length, 'updateProblem');
+  const keepsGradingPolicy = grading_policy === undefined;
+  const gradingPolicy = readGradingPolicy(grading_policy);
+
+  // The template fills in the kept explanation, hints and code too, so check it against those
+  const questionId = Number(id);
+  const rawTemplate = template === undefined
+    ? (await getTemplatesByQuestion(req.db, [questionId])).get(questionId)
+    : template;
+  let questionTemplate = null;
+  if (rawTemplate)
   {
-    throw new AppError(`Question not found: ${id}`, 404, "Question not found");
+    const [current] = await req.db.query('SELECT EXPLANATION, TRACE_CODE FROM Question WHERE ID = ?', [questionId]);
+    const currentHints = (await getHintsByQuestion(req.db, [questionId])).get(questionId);
+    questionTemplate = parseTemplate(rawTemplate, {
+      type,
+      questionText: question_text,
+      answerTexts:  answer_text,
+      otherTexts:   [
+        questionExplanation === undefined ? current[0]?.EXPLANATION : questionExplanation,
+        ...(questionHints ?? currentHints),
+        ...(answerRationales ?? []),
+        keepsTraceCode ? current[0]?.TRACE_CODE : traceCode,
+      ],
+    }, 'updateProblem');
   }
 
-  const question = questions[0];
-
-  // Professors can only edit their own questions
-  if (req.user?.role === 'professor' && question.OWNER_ID !== req.user.id)
+  const questionErrors = getQuestionErrors(req.body, codeTemplates, {
+    traceCode:       keepsTraceCode,
+    numericSettings: keepsNumericSettings,
+    blanks:          keepsBlanks,
+    gradingPolicy:   keepsGradingPolicy,
+  });
+  if (questionErrors.length > 0)
   {
-    throw new AppError(`Professor ${req.user.id} attempted to edit question owned by ${question.OWNER_ID}`, 403, "Forbidden");
+    return sendQuestionErrors(res, questionErrors);
   }
 
-  // Update question, unpublish if currently published
-  await req.db.query(
-    `UPDATE Question SET 
-      TYPE = ?,
-      AUTHOR_EXAM_ID = ?,
-      SECTION = ?,
-      CATEGORY = ?,
-      SUBCATEGORY = ?,
-      POINTS_POSSIBLE = ?,
-      QUESTION_TEXT = ?,
-      IS_PUBLISHED = 0
-    WHERE ID = ?`,
-    [
-      type,
-      author_exam_id,
-      section,
-      category,
-      subcategory,
-      points_possible,
-      question_text,
-      id
-    ]
-  );
+  const taxonomy = await resolveQuestionTaxonomy(req.db, { section, category, subcategory }, 'updateProblem');
 
-  // Delete current answers and replace with new ones
-  await req.db.query('DELETE FROM AnswerText WHERE QUESTION_ID = ?', [id]);
-  for (let i = 0; i < answer_text.length; i++)
+  let question;
+  let version;
+  const conn = await req.db.getConnection();
+  try
   {
-    await req.db.query(
-      'INSERT INTO AnswerText (QUESTION_ID, IS_CORRECT_ANSWER, `TEXT`, `RANK`, PLACEMENT) VALUES (?, ?, ?, ?, ?)',
-      [id, answer_correctness[i], answer_text[i], answer_rank[i], answer_placement[i]]
+    await conn.beginTransaction();
+
+    // Find question, locked until the new version is saved
+    const [questions] = await conn.query(
+      'SELECT * FROM Question WHERE ID = ? FOR UPDATE',
+      [id]
     );
+
+    if (!questions || questions.length === 0)
+    {
+      throw new AppError(`Question not found: ${id}`, 404, "Question not found");
+    }
+
+    question = questions[0];
+
+    // Professors can only edit their own questions
+    if (req.user?.role === 'professor' && question.OWNER_ID !== req.user.id)
+    {
+      throw new AppError(`Professor ${req.user.id} attempted to edit question owned by ${question.OWNER_ID}`, 403, "Forbidden");
+    }
+
+    // Questions from before version history keep their old content as version 1
+    await ensureBaselineVersion(conn, id);
+
+    const savedNumericSettings = keepsNumericSettings ? readNumericSettings(question.NUMERIC_SETTINGS) : numericSettings;
+    const savedBlanks = keepsBlanks ? readBlanks(question.BLANKS) : questionBlanks;
+    const savedGradingPolicy = keepsGradingPolicy ? readGradingPolicy(question.GRADING_POLICY) : gradingPolicy;
+
+    // Update question, unpublish if currently published
+    await conn.query(
+      `UPDATE Question SET 
+        TYPE = ?,
+        AUTHOR_EXAM_ID = ?,
+        SECTION = ?,
+        CATEGORY = ?,
+        SUBCATEGORY = ?,
+        SECTION_ID = ?,
+        CATEGORY_ID = ?,
+        SUBCATEGORY_ID = ?,
+        POINTS_POSSIBLE = ?,
+        QUESTION_TEXT = ?,
+        EXPLANATION = ?,
+        TRACE_CODE = ?,
+        TRACE_LANGUAGE_ID = ?,
+        NUMERIC_SETTINGS = ?,
+        BLANKS = ?,
+        GRADING_POLICY = ?,
+        IS_PUBLISHED = 0
+      WHERE ID = ?`,
+      [
+        type,
+        author_exam_id,
+        taxonomy.section,
+        taxonomy.category,
+        taxonomy.subcategory,
+        taxonomy.sectionId,
+        taxonomy.categoryId,
+        taxonomy.subcategoryId,
+        points_possible,
+        question_text,
+        questionExplanation === undefined ? question.EXPLANATION : questionExplanation,
+        keepsTraceCode ? question.TRACE_CODE : traceCode,
+        keepsTraceCode ? question.TRACE_LANGUAGE_ID : traceLanguageId,
+        savedNumericSettings ? JSON.stringify(savedNumericSettings) : null,
+        savedBlanks ? JSON.stringify(savedBlanks) : null,
+        savedGradingPolicy ? JSON.stringify(savedGradingPolicy) : null,
+        id
+      ]
+    );
+
+    // Rationales and blanks carry over by answer text when the request doesn't send them
+    const [currentAnswers] = await conn.query('SELECT `TEXT`, RATIONALE, BLANK_ID FROM AnswerText WHERE QUESTION_ID = ?', [id]);
+    const rationaleByText = new Map(currentAnswers.map(answer => [answer.TEXT, answer.RATIONALE]));
+    const blankByText = new Map(currentAnswers.map(answer => [answer.TEXT, answer.BLANK_ID]));
+
+    // Delete current answers and replace with new ones
+    await conn.query('DELETE FROM AnswerText WHERE QUESTION_ID = ?', [id]);
+    for (let i = 0; i < answer_text.length; i++)
+    {
+      const blankId = answerBlanks ? answerBlanks[i] : (blankByText.get(answer_text[i]) ?? null);
+      await conn.query(
+        'INSERT INTO AnswerText (QUESTION_ID, IS_CORRECT_ANSWER, `TEXT`, `RANK`, PLACEMENT, BLANK_ID, RATIONALE) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        [id, answer_correctness[i], answer_text[i], answer_rank[i], answer_placement[i], savedBlanks ? blankId : null, answerRationales ? answerRationales[i] : (rationaleByText.get(answer_text[i]) ?? null)]
+      );
+    }
+
+    if (codeTemplates)
+    {
+      await saveCodeTemplates(conn, id, codeTemplates);
+    }
+    if (questionTags)
+    {
+      await saveQuestionTags(conn, id, questionTags);
+    }
+    if (questionHints)
+    {
+      await saveQuestionHints(conn, id, questionHints);
+    }
+    if (template !== undefined)
+    {
+      await saveQuestionTemplate(conn, id, questionTemplate);
+    }
+
+    version = await recordQuestionVersion(conn, id, { changeType: VERSION_CHANGE_TYPES.EDIT, editedBy: req.user?.id ?? null });
+    await resetReviewStatus(conn, question, req.user, version);
+
+    await conn.commit();
+  }
+  catch (err)
+  {
+    await conn.rollback();
+    throw err;
+  }
+  finally
+  {
+    conn.release();
   }
 
-  // Notify if question was auto-unpublished
+  // Notify if question was auto-unpublished, or pulled out of review
+  const previousStatus = getReviewStatus(question);
   if (question.IS_PUBLISHED)
   {
     notifyUserEvent(`Question ID ${id} was edited and unpublished by ${req.user?.role} (owner ID: ${question.OWNER_ID})`);
   }
+  else if (previousStatus !== REVIEW_STATUSES.DRAFT)
+  {
+    notifyUserEvent(`Question ID ${id} was edited and sent back to draft from ${previousStatus} by ${req.user?.role} (owner ID: ${question.OWNER_ID})`);
+  }
 
-  res.json({ message: "Question updated" });
+  res.json({ message: "Question updated", version });
 }));
 
 /**
  * @route   POST /api/admin/problems/:id/publish
- * @desc    Publish draft question, flipping Question.IS_PUBLISHED to true
- *          Professors can only publish their own questions
- *          Admins can publish any question
- * @access  Admin, Professor
- * 
- * @param {import('express').Request}  req - Express request object
- * @param {import('express').Response} res - Express response object
- * @returns {Promise<void>} - JSON response confirming question published
+ * @desc    Publish an approved question, see questionReviewController
+ * @access  Admin, Professor (own questions only)
  */
-router.post('/problems/:id/publish', adminOrProf, asyncHandler(async (req, res) => {
-  const { id } = req.params;
+router.post('/problems/:id/publish', adminOrProf, publishQuestion);
 
-  const [questions] = await req.db.query(
-    'SELECT * FROM Question WHERE ID = ?',
-    [id]
-  );
-
-  if (!questions || questions.length === 0)
-  {
-    throw new AppError(`Question not found: ${id}`, 404, "Question not found");
-  }
+/**
+ * @route   GET /api/admin/reviews
+ * @desc    Review queue of questions submitted by other professors
+ * @access  Admin, Professor
+ */
+router.get('/reviews', adminOrProf, getReviewQueue);
 
-  const question = questions[0];
+/**
+ * @route   GET /api/admin/problems/:id/review
+ * @desc    Review status, available actions and comment threads
+ * @access  Admin, Professor (owner, or reviewers once submitted)
+ */
+router.get('/problems/:id/review', adminOrProf, getQuestionReview);
 
-  // Professors can only publish their own questions
-  if (req.user?.role === 'professor' && question.OWNER_ID !== req.user.id)
-  {
-    throw new AppError(`Professor ${req.user.id} attempted to publish question owned by ${question.OWNER_ID}`, 403, "Forbidden");
-  }
+/**
+ * @route   POST /api/admin/problems/:id/review
+ * @desc    Submit, approve, request changes, publish, retire, withdraw or reopen
+ * @access  Admin, Professor
+ */
+router.post('/problems/:id/review', adminOrProf, reviewQuestion);
 
-  if (question.IS_PUBLISHED)
-  {
-    throw new AppError(`Question ${id} is already published`, 400, "Question already published");
-  }
+/**
+ * @route   POST /api/admin/problems/:id/review/comments
+ * @desc    Comment on a question's review or reply in a thread
+ * @access  Admin, Professor (owner, or reviewers once submitted)
+ */
+router.post('/problems/:id/review/comments', adminOrProf, addReviewComment);
 
-  await req.db.query(
-    'UPDATE Question SET IS_PUBLISHED = 1 WHERE ID = ?',
-    [id]
-  );
+/**
+ * @route   POST /api/admin/problems/:id/preview-grade
+ * @desc    Grade a sample answer like a student's, without saving it, see questionPreviewController
+ * @access  Admin, Professor (owner, or reviewers once submitted)
+ */
+router.post('/problems/:id/preview-grade', adminOrProf, previewGrade);
 
-  notifyUserEvent(`Question ID ${id} published by ${req.user?.role} (owner ID: ${question.OWNER_ID})`);
+/**
+ * @route   POST /api/admin/templates/preview
+ * @desc    Check a question template and fill in sample instances, see questionTemplateController
+ * @access  Admin, Professor
+ */
+router.post('/templates/preview', adminOrProf, previewTemplate);
 
-  res.json({ message: "Question published" });
-}));
+/**
+ * @route   POST /api/admin/code-trace/run
+ * @desc    Run Code Trace code to fill in its expected output, see questionPreviewController
+ * @access  Admin, Professor
+ */
+router.post('/code-trace/run', adminOrProf, runTraceOutput);
 
 /**
  * @route   POST /api/admin/store/createitem
@@ -840,4 +1300,191 @@ router.post('/guilds', adminMiddleware, asyncHandler(async (req, res) => {
   }
 }));
 
+/**
+ * Helper function, ensures a professor only changes their own blueprint
+ * Admins can change any blueprint
+ *
+ * @param {Object} user      - Requesting user (req.user)
+ * @param {Object} blueprint - Blueprint in API shape
+ * @param {string} context   - Caller name for error logging
+ * @throws {AppError} 403    - If professor doesn't own the blueprint
+ */
+const assertCanEditBlueprint = (user, blueprint, context) => {
+  if (user?.role === 'professor' && blueprint.ownerId !== user.id)
+  {
+    throw new AppError(`[${context}] Professor ${user.id} attempted to modify blueprint owned by ${blueprint.ownerId}`, 403, 'Forbidden');
+  }
+};
+
+/**
+ * @route   GET /api/admin/blueprints
+ * @desc    List all mock test blueprints
+ * @access  Admin, Professor
+ *
+ * @param {import('express').Request}  req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>}                - Sends HTTP/JSON response with all blueprints
+ */
+router.get('/blueprints', adminOrProf, asyncHandler(async (req, res) => {
+  const [rows] = await req.db.query('SELECT * FROM TestBlueprint ORDER BY NAME');
+  return res.status(200).json({ blueprints: rows.map(toBlueprint) });
+}));
+
+/**
+ * @route   GET /api/admin/blueprints/:id
+ * @desc    Get a mock test blueprint by ID
+ * @access  Admin, Professor
+ *
+ * @param {import('express').Request}  req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @throws  {AppError} 400                 - If blueprint ID is invalid
+ * @throws  {AppError} 404                 - If blueprint not found
+ * @returns {Promise<void>}                - Sends HTTP/JSON response with the blueprint
+ */
+router.get('/blueprints/:id', adminOrProf, asyncHandler(async (req, res) => {
+  const context = 'admin:getBlueprint';
+  const blueprint = await getBlueprint(req.db, parseId(req.params.id, 'blueprint', context), context);
+  return res.status(200).json({ blueprint });
+}));
+
+/**
+ * @route   POST /api/admin/blueprints
+ * @desc    Create a mock test blueprint: question counts per section/category/subcategory
+ *          rule, type quotas, optional target point total, and time limit.
+ *          Owned by the creating professor, or by no one if created by an admin.
+ * @access  Admin, Professor
+ *
+ * @param {import('express').Request}  req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @throws  {AppError} 400                 - If blueprint fields are invalid
+ * @throws  {AppError} 409                 - If blueprint name already taken
+ * @returns {Promise<void>}                - Sends HTTP/JSON response with the created blueprint
+ */
+router.post('/blueprints', adminOrProf, asyncHandler(async (req, res) => {
+  const context = 'admin:createBlueprint';
+  const blueprint = parseBlueprint(req.body, context);
+
+  const [[existing]] = await req.db.query('SELECT ID FROM TestBlueprint WHERE NAME = ?', [blueprint.name]);
+  if (existing)
+  {
+    throw new AppError(`[${context}] Blueprint name already taken: ${blueprint.name}`, 409, 'Blueprint name is already taken');
+  }
+
+  const ownerId = req.user?.role === 'professor' ? req.user.id : null;
+  const [result] = await req.db.query(
+    `INSERT INTO TestBlueprint (NAME, DESCRIPTION, TIME_LIMIT_MINUTES, TARGET_POINTS, RULES, TYPE_QUOTAS, OWNER_ID)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [
+      blueprint.name,
+      blueprint.description,
+      blueprint.timeLimitMinutes,
+      blueprint.targetPoints,
+      JSON.stringify(blueprint.rules),
+      JSON.stringify(blueprint.typeQuotas),
+      ownerId,
+    ]
+  );
+
+  const created = await getBlueprint(req.db, result.insertId, context);
+  return res.status(201).json({ message: 'Blueprint created successfully', blueprint: created });
+}));
+
+/**
+ * @route   PUT /api/admin/blueprints/:id
+ * @desc    Overwrite a mock test blueprint
+ *          Professors can only edit their own blueprints
+ *          Admins can edit any blueprint
+ * @access  Admin, Professor
+ *
+ * @param {import('express').Request}  req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @throws  {AppError} 400                 - If blueprint ID or fields are invalid
+ * @throws  {AppError} 403                 - If professor doesn't own the blueprint
+ * @throws  {AppError} 404                 - If blueprint not found
+ * @throws  {AppError} 409                 - If new name already taken by another blueprint
+ * @returns {Promise<void>}                - Sends HTTP/JSON response with the updated blueprint
+ */
+router.put('/blueprints/:id', adminOrProf, asyncHandler(async (req, res) => {
+  const context = 'admin:updateBlueprint';
+  const blueprintId = parseId(req.params.id, 'blueprint', context);
+  const current = await getBlueprint(req.db, blueprintId, context);
+  assertCanEditBlueprint(req.user, current, context);
+
+  const blueprint = parseBlueprint(req.body, context);
+  const [[existing]] = await req.db.query(
+    'SELECT ID FROM TestBlueprint WHERE NAME = ? AND ID != ?',
+    [blueprint.name, blueprintId]
+  );
+  if (existing)
+  {
+    throw new AppError(`[${context}] Blueprint name already taken: ${blueprint.name}`, 409, 'Blueprint name is already taken');
+  }
+
+  await req.db.query(
+    `UPDATE TestBlueprint
+     SET NAME = ?, DESCRIPTION = ?, TIME_LIMIT_MINUTES = ?, TARGET_POINTS = ?, RULES = ?, TYPE_QUOTAS = ?
+     WHERE ID = ?`,
+    [
+      blueprint.name,
+      blueprint.description,
+      blueprint.timeLimitMinutes,
+      blueprint.targetPoints,
+      JSON.stringify(blueprint.rules),
+      JSON.stringify(blueprint.typeQuotas),
+      blueprintId,
+    ]
+  );
+
+  const updated = await getBlueprint(req.db, blueprintId, context);
+  return res.status(200).json({ message: 'Blueprint updated successfully', blueprint: updated });
+}));
+
+/**
+ * @route   DELETE /api/admin/blueprints/:id
+ * @desc    Delete a mock test blueprint. Past sessions keep their questions,
+ *          but lose their link to the blueprint.
+ *          Professors can only delete their own blueprints
+ *          Admins can delete any blueprint
+ * @access  Admin, Professor
+ *
+ * @param {import('express').Request}  req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @throws  {AppError} 400                 - If blueprint ID is invalid
+ * @throws  {AppError} 403                 - If professor doesn't own the blueprint
+ * @throws  {AppError} 404                 - If blueprint not found
+ * @returns {Promise<void>}                - Sends HTTP/JSON confirming deletion
+ */
+router.delete('/blueprints/:id', adminOrProf, asyncHandler(async (req, res) => {
+  const context = 'admin:deleteBlueprint';
+  const blueprintId = parseId(req.params.id, 'blueprint', context);
+  const blueprint = await getBlueprint(req.db, blueprintId, context);
+  assertCanEditBlueprint(req.user, blueprint, context);
+
+  await req.db.query('DELETE FROM TestBlueprint WHERE ID = ?', [blueprintId]);
+
+  return res.status(200).json({ message: 'Blueprint deleted successfully' });
+}));
+
+/**
+ * @route   POST /api/admin/taxonomy/:level
+ * @desc    Add a section, category or subcategory (:level is sections,
+ *          categories or subcategories), see taxonomyController
+ * @access  Admin
+ */
+router.post('/taxonomy/:level', adminMiddleware, createTaxonomyEntry);
+
+/**
+ * @route   PUT /api/admin/taxonomy/:level/:id
+ * @desc    Rename, reorder or move a taxonomy entry
+ * @access  Admin
+ */
+router.put('/taxonomy/:level/:id', adminMiddleware, updateTaxonomyEntry);
+
+/**
+ * @route   DELETE /api/admin/taxonomy/:level/:id
+ * @desc    Remove a taxonomy entry no question uses
+ * @access  Admin
+ */
+router.delete('/taxonomy/:level/:id', adminMiddleware, deleteTaxonomyEntry);
+
 module.exports = router;
@@ -0,0 +1,28 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          assets.js
+//  Description:   Express routes for serving images used in
+//                 question text. Uploads are in adminRoutes.
+//                 Public, since browsers load them as <img> tags.
+//
+//  Dependencies:  express
+//                 questionAssetController
+//
+////////////////////////////////////////////////////////////////
+
+const express = require('express');
+const router  = express.Router();
+
+const { serveAsset } = require('../controllers/questionAssetController');
+
+/**
+ * @route   GET /api/assets/:fileName
+ * @desc    An uploaded image, by the file name returned on upload
+ * @access  Public
+ */
+router.get('/:fileName', serveAsset);
+
+module.exports = router;
@@ -16,15 +16,30 @@
 const express = require("express");
 const router = express.Router();
 const authMiddleware = require("../middleware/authMiddleware");
-const { submitCode, canSubmit } = require("../controllers/codeController");
+const { submitCode, getCodeJob, streamCodeJob, canSubmit } = require("../controllers/codeController");
 
 /**
  * @route   POST /api/code/submitCode
- * @desc    Submit code to Judge0, receive output and grade against test cases.
+ * @desc    Queue code to run on Judge0 and be graded against test cases.
+ *          Responds with a job ID right away.
  * @access  Protected
  */
 router.post("/submitCode", authMiddleware, submitCode);
 
+/**
+ * @route   GET /api/code/jobs/:id
+ * @desc    Fetch a code job's status, progress and result.
+ * @access  Protected
+ */
+router.get("/jobs/:id", authMiddleware, getCodeJob);
+
+/**
+ * @route   GET /api/code/jobs/:id/events
+ * @desc    Stream a code job's progress as Server-Sent Events.
+ * @access  Protected
+ */
+router.get("/jobs/:id/events", authMiddleware, streamCodeJob);
+
 /**
  * @route   GET /api/code/canSubmit
  * @desc    Fetch whether the user still has remaining code submission
@@ -5,7 +5,9 @@
 //  Author(s):     Daniel Landsman
 //  File:          myProgress.js
 //  Description:   User progress tracking routes (history
-//                 table, topic mastery, daily streak).
+//                 table, topic mastery, daily streak,
+//                 spaced-repetition review queue, notices of
+//                 regraded answers).
 //
 //                 Utilizes KnightWise analytics engine
 //
@@ -16,6 +18,11 @@
 //                 paginationConfig
 //                 analyticsModel
 //                 validationUtils
+//                 reviewUtils
+//                 reviewConfig
+//                 regradeConfig
+//                 codeLimits (daily submission check)
+//                 questionUtils
 //
 ////////////////////////////////////////////////////////////////
 
@@ -24,58 +31,13 @@ const router = express.Router();
 const authMiddleware = require("../middleware/authMiddleware");
 const { asyncHandler, AppError } = require("../middleware/errorHandler");
 const { PAGE_SIZES } = require('../config/paginationConfig');
-const { computePerformanceMetric, computeWeightedTopicMetric } = require('../utils/analyticsModel');
+const { processProgressData } = require('../utils/analyticsModel');
 const { normalizeDBString } = require('../utils/validationUtils');
-
-/**
- * Processes response rows into per-topic performance metrics using the analytics model
- * Uses point-weighted averaging so higher-point questions influence topic scores more
- *
- * @param {Array<Object>} responses - Response rows joined with Question (needs TYPE, SUBCATEGORY)
- * @returns {Object} Map of topic -> { metric, responseCount }
- */
-const processProgressData = (responses) => {
-  const byTopic       = {}; // topic -> array of per-response metrics
-  const byTopicPoints = {}; // topic -> array of corresponding pointsPossible values
-
-  for (const row of responses)
-  {
-    // Prevent database inconsistencies from breaking logic
-    const topic = normalizeDBString(row.TOPIC);
-    // Initialize topic if not already in progress
-    if (!byTopic[topic])
-    {
-      byTopic[topic]       = [];
-      byTopicPoints[topic] = [];
-    }
-
-    const normalizedScore = row.POINTS_POSSIBLE > 0
-      ? row.POINTS_EARNED / row.POINTS_POSSIBLE
-      : 0;
-
-    // Compute performance metric
-    byTopic[topic].push(computePerformanceMetric({
-      normalizedScore,
-      elapsedTime: row.ELAPSED_TIME,
-      subcategory: normalizeDBString(row.SUBCATEGORY ?? ''),
-      type:        normalizeDBString(row.TYPE ?? ''),
-    }));
-
-    // Record points possible for topic weighing
-    byTopicPoints[topic].push(parseFloat(row.POINTS_POSSIBLE));
-  }
-
-  const result = {};
-  for (const [topic, metrics] of Object.entries(byTopic))
-  {
-    result[topic] = {
-      metric:        parseFloat(computeWeightedTopicMetric(metrics, byTopicPoints[topic]).toFixed(4)),
-      responseCount: metrics.length,
-    };
-  }
-
-  return result;
-};
+const { countDueReviews } = require('../utils/reviewUtils');
+const { MAX_REVIEW_QUESTIONS } = require('../config/reviewConfig');
+const { MAX_REGRADE_NOTICES } = require('../config/regradeConfig');
+const { getProgrammingSubmissionsRemaining } = require('../config/codeLimits');
+const { pairAnswersWithQuestions } = require('../utils/questionUtils');
 
 /**
  * @route   GET /api/progress/graph
@@ -96,9 +58,10 @@ router.get('/graph', authMiddleware, asyncHandler(async (req, res) => {
 
   // Fetch user progress data from the database
   const [userAnswers] = await req.db.query(
-    `SELECT r.*, q.TYPE, q.SUBCATEGORY
+    `SELECT r.*, q.TYPE, q.SUBCATEGORY, s.DIFFICULTY AS SUBCATEGORY_DIFFICULTY
      FROM Response r
      JOIN Question q ON q.ID = r.PROBLEM_ID
+     LEFT JOIN Subcategory s ON s.ID = q.SUBCATEGORY_ID
      WHERE r.USERID = ?`,
     [userId]
   );
@@ -117,7 +80,8 @@ router.get('/graph', authMiddleware, asyncHandler(async (req, res) => {
 
 /**
  * @route   GET /api/progress/messageData
- * @desc    Get user progress data with mastery levels, strongest/weakest topics, streak
+ * @desc    Get user progress data with mastery levels, strongest/weakest topics, streak,
+ *          and how many review questions are due today
  * @access  Protected
  *
  * @param {import('express').Request}  req - Express request object
@@ -127,11 +91,12 @@ router.get('/graph', authMiddleware, asyncHandler(async (req, res) => {
 router.get("/messageData", authMiddleware, asyncHandler(async (req, res) => {
   const userId = req.user.id;
 
-  // JOIN Question so processProgressData has TYPE and SUBCATEGORY
+  // JOIN Question and Subcategory so processProgressData has TYPE and SUBCATEGORY_DIFFICULTY
   const [userAnswers] = await req.db.query(
-    `SELECT r.*, q.TYPE, q.SUBCATEGORY
+    `SELECT r.*, q.TYPE, q.SUBCATEGORY, s.DIFFICULTY AS SUBCATEGORY_DIFFICULTY
      FROM Response r
      JOIN Question q ON q.ID = r.PROBLEM_ID
+     LEFT JOIN Subcategory s ON s.ID = q.SUBCATEGORY_ID
      WHERE r.USERID = ?`,
     [userId]
   );
@@ -179,7 +144,55 @@ router.get("/messageData", authMiddleware, asyncHandler(async (req, res) => {
     }
   }
 
-  res.status(200).json({ history, mastery: masteryLevels, strongestTopics, weakestTopics, streak });
+  const reviewDueCount = await countDueReviews(req.db, userId);
+
+  res.status(200).json({ history, mastery: masteryLevels, strongestTopics, weakestTopics, streak, reviewDueCount });
+}));
+
+/**
+ * @route   GET /api/progress/review
+ * @desc    Get the user's review questions due today, most overdue first.
+ *          Questions enter the review queue when answered incorrectly,
+ *          and every later answer through /api/test/submit or /api/code/submitCode
+ *          moves their next due date (SM-2).
+ *          Returns up to MAX_REVIEW_QUESTIONS at a time. Programming questions
+ *          are left out if user has reached the max daily submission limit.
+ * @access  Protected
+ *
+ * @param {import('express').Request}  req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>} - JSON response with due questions and the total due count
+ */
+router.get('/review', authMiddleware, asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+
+  const [dueQuestions] = await req.db.query(
+    `SELECT q.*, ri.DUE_AT, ri.INTERVAL_DAYS, ri.REPETITIONS
+     FROM ReviewItem ri
+     JOIN Question q ON q.ID = ri.QUESTION_ID
+     WHERE ri.USER_ID = ? AND q.IS_PUBLISHED = 1 AND ri.DUE_AT < CURDATE() + INTERVAL 1 DAY
+     ORDER BY ri.DUE_AT, ri.QUESTION_ID
+     LIMIT ?`,
+    [userId, MAX_REVIEW_QUESTIONS]
+  );
+
+  const remaining = await getProgrammingSubmissionsRemaining(req.db, userId);
+  const available = dueQuestions.filter(q => q.TYPE !== 'Programming' || remaining > 0);
+
+  const questionsWithAnswers = await pairAnswersWithQuestions(available, req.user, req.db);
+  const totalDue = await countDueReviews(req.db, userId);
+
+  res.status(200).json({
+    totalDue,
+    questions: questionsWithAnswers.map((question, index) => ({
+      ...question,
+      review: {
+        dueAt:        available[index].DUE_AT,
+        intervalDays: available[index].INTERVAL_DAYS,
+        repetitions:  available[index].REPETITIONS,
+      },
+    })),
+  });
 }));
 
 /**
@@ -250,4 +263,92 @@ router.get('/history', authMiddleware, asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * @route   GET /api/progress/regrades
+ * @desc    Get the user's unseen notices of answers regraded after a question's
+ *          answer key was fixed, newest first, with the exp and coins it gained
+ *          or cost them. Returns up to MAX_REGRADE_NOTICES at a time.
+ * @access  Protected
+ *
+ * @param {import('express').Request}  req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>} - JSON response with the notices and the total unseen
+ */
+router.get('/regrades', authMiddleware, asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+
+  const [notices] = await req.db.query(
+    `SELECT
+      ra.ID,
+      ra.QUESTION_ID,
+      ra.WAS_CORRECT,
+      ra.IS_CORRECT,
+      ra.OLD_POINTS,
+      ra.NEW_POINTS,
+      ra.EXP_CHANGE,
+      ra.COINS_CHANGE,
+      ra.CREATED_AT,
+      r.DATETIME AS ANSWERED_AT,
+      q.SUBCATEGORY
+     FROM RegradeAdjustment ra
+     JOIN Response r ON r.ID = ra.RESPONSE_ID
+     JOIN Question q ON q.ID = ra.QUESTION_ID
+     WHERE ra.USER_ID = ? AND ra.SEEN_AT IS NULL
+     ORDER BY ra.CREATED_AT DESC, ra.ID DESC
+     LIMIT ?`,
+    [userId, MAX_REGRADE_NOTICES]
+  );
+
+  const [[{ total }]] = await req.db.query(
+    'SELECT COUNT(*) AS total FROM RegradeAdjustment WHERE USER_ID = ? AND SEEN_AT IS NULL',
+    [userId]
+  );
+
+  res.status(200).json({
+    totalUnseen: Number(total),
+    notices: notices.map(notice => ({
+      id:          notice.ID,
+      questionId:  notice.QUESTION_ID,
+      topic:       normalizeDBString(notice.SUBCATEGORY),
+      answeredAt:  notice.ANSWERED_AT,
+      regradedAt:  notice.CREATED_AT,
+      wasCorrect:  Boolean(notice.WAS_CORRECT),
+      isCorrect:   Boolean(notice.IS_CORRECT),
+      oldPoints:   Number(notice.OLD_POINTS),
+      newPoints:   Number(notice.NEW_POINTS),
+      expChange:   Number(notice.EXP_CHANGE),
+      coinsChange: Number(notice.COINS_CHANGE),
+    })),
+  });
+}));
+
+/**
+ * @route   POST /api/progress/regrades/seen
+ * @desc    Mark the user's regrade notices as seen, so they aren't shown again
+ *          Call with { ids: [...] }, or no ids to mark every notice seen
+ * @access  Protected
+ *
+ * @param {import('express').Request}  req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @throws  {AppError} 400 - ids isn't an array of notice IDs
+ * @returns {Promise<void>} - JSON response with how many notices were marked
+ */
+router.post('/regrades/seen', authMiddleware, asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { ids } = req.body ?? {};
+
+  if (ids !== undefined && (!Array.isArray(ids) || ids.length === 0 || !ids.every(id => Number.isInteger(id) && id > 0)))
+  {
+    throw new AppError(`Invalid regrade notice IDs: ${JSON.stringify(ids)}`, 400, 'ids must be a list of notice IDs');
+  }
+
+  const [result] = await req.db.query(
+    `UPDATE RegradeAdjustment SET SEEN_AT = NOW()
+     WHERE USER_ID = ? AND SEEN_AT IS NULL ${ids === undefined ? '' : 'AND ID IN (?)'}`,
+    ids === undefined ? [userId] : [userId, ids]
+  );
+
+  res.status(200).json({ marked: result.affectedRows });
+}));
+
 module.exports = router;
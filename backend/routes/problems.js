@@ -11,8 +11,13 @@
 //                 authMiddleware
 //                 errorHandler
 //                 paginationConfig
+//                 questionReviewConfig
 //                 adminOrProf middleware
 //                 validationUtils
+//                 taxonomyUtils
+//                 questionSearchUtils
+//                 questionUtils
+//                 mockTestSessionUtils
 //
 ////////////////////////////////////////////////////////////////
 
@@ -21,8 +26,13 @@ const router = express.Router();
 const authMiddleware = require("../middleware/authMiddleware");
 const { asyncHandler, AppError } = require("../middleware/errorHandler");
 const { PAGE_SIZES } = require('../config/paginationConfig');
+const { REVIEW_STATUSES } = require('../config/questionReviewConfig');
 const adminOrProf = require('../middleware/adminOrProf');
 const { normalizeDBString } = require('../utils/validationUtils');
+const { getTaxonomyIndex } = require('../utils/taxonomyUtils');
+const { buildSearchFilter, getTagsByQuestion } = require('../utils/questionSearchUtils');
+const { toStudentQuestion } = require('../utils/questionUtils');
+const { isInOpenSession } = require('../utils/mockTestSessionUtils');
 
 /**
  * Helper function, gets answers for a given question
@@ -38,10 +48,92 @@ const getAnswersForQuestion = async (questionId, db) => {
   return answers;
 };
 
+/**
+ * @route   GET /api/problems/search
+ * @desc    Search questions by text, tag, type, section, points, owner
+ *          and publish state, paginated. See buildSearchFilter() for the
+ *          query params, plus page (default 1, clamped to valid range).
+ *          Results matching the text best come first, then newest first.
+ *          Answers are not included, so students can browse safely.
+ *          Page size is controlled by PAGE_SIZES.QUESTION_SEARCH.
+ * @access  Protected. Students only find published questions,
+ *          professors also find their own unpublished ones
+ *
+ * @param {import('express').Request}  req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>} - JSON response with matching questions and pagination
+ */
+router.get('/search', authMiddleware, asyncHandler(async (req, res) => {
+  const rawPage  = parseInt(req.query.page);
+  const pageSize = PAGE_SIZES.QUESTION_SEARCH;
+
+  const taxonomyIndex = await getTaxonomyIndex(req.db);
+  const { whereClause, params, matchText } = buildSearchFilter(req.query, req.user, taxonomyIndex, 'searchQuestions');
+
+  const [[{ total }]] = await req.db.query(
+    `SELECT COUNT(*) AS total FROM Question q WHERE ${whereClause}`,
+    params
+  );
+
+  const totalQuestions = total;
+  const totalPages     = Math.max(1, Math.ceil(totalQuestions / pageSize));
+
+  // Clamp page to valid range
+  let page = isNaN(rawPage) || rawPage < 1 ? 1 : rawPage;
+  if (page > totalPages) page = totalPages;
+
+  const offset = (page - 1) * pageSize;
+
+  const orderBy = matchText
+    ? 'MATCH(q.QUESTION_TEXT) AGAINST (? IN BOOLEAN MODE) DESC, q.ID DESC'
+    : 'q.ID DESC';
+
+  const [questions] = await req.db.query(
+    `SELECT q.ID,
+            q.TYPE,
+            q.SECTION,
+            q.CATEGORY,
+            q.SUBCATEGORY,
+            q.POINTS_POSSIBLE,
+            q.QUESTION_TEXT,
+            q.OWNER_ID,
+            q.IS_PUBLISHED,
+            q.REVIEW_STATUS
+     FROM Question q
+     WHERE ${whereClause}
+     ORDER BY ${orderBy}
+     LIMIT ? OFFSET ?`,
+    [...params, ...(matchText ? [matchText] : []), pageSize, offset]
+  );
+
+  const tagsByQuestion = await getTagsByQuestion(req.db, questions.map(question => question.ID));
+  const canSeeReviews  = req.user?.role === 'professor' || req.user?.role === 'admin';
+
+  return res.status(200).json({
+    questions: questions.map(({ REVIEW_STATUS, ...question }) => ({
+      ...question,
+      TYPE:        normalizeDBString(question.TYPE ?? ''),
+      SUBCATEGORY: normalizeDBString(question.SUBCATEGORY ?? ''),
+      ...(canSeeReviews ? { REVIEW_STATUS } : {}),
+      tags: tagsByQuestion.get(question.ID),
+    })),
+    pagination: {
+      page,
+      pageSize,
+      totalQuestions,
+      totalPages,
+    },
+  });
+}));
+
 /**
  * @route   GET /api/problems/:id
  * @desc    Fetch a question by its ID with its associated answers
- *          Only fetches published questions
+ *          Only fetches published questions, or retired ones the user
+ *          has answered before so their history still shows them
+ *          Students only get the answer key for questions they've answered,
+ *          and not while the question is in their running mock test.
+ *          Otherwise they get the student-safe projection, see toStudentQuestion()
  * @access  Protected
  * 
  * @param {import('express').Request}  req - Express request object
@@ -53,8 +145,14 @@ router.get('/:id', authMiddleware, asyncHandler(async (req, res) => {
 
   // Find question by ID
   const [questions] = await req.db.query(
-    'SELECT * FROM Question WHERE ID = ? AND IS_PUBLISHED = 1',
-    [id]
+    `SELECT * FROM Question q
+    WHERE q.ID = ? AND (
+      q.IS_PUBLISHED = 1 OR (
+        q.REVIEW_STATUS = ? AND
+        EXISTS (SELECT 1 FROM Response r WHERE r.PROBLEM_ID = q.ID AND r.USERID = ?)
+      )
+    )`,
+    [id, REVIEW_STATUSES.RETIRED, req.user.id]
   );
 
   if (questions.length === 0) 
@@ -67,6 +165,19 @@ router.get('/:id', authMiddleware, asyncHandler(async (req, res) => {
   // Get answers for question
   const answers = await getAnswersForQuestion(id, req.db);
 
+  const isStaff = req.user?.role === 'professor' || req.user?.role === 'admin';
+  if (!isStaff)
+  {
+    const [responses] = await req.db.query(
+      'SELECT 1 FROM Response WHERE PROBLEM_ID = ? AND USERID = ? LIMIT 1',
+      [id, req.user.id]
+    );
+    if (responses.length === 0 || await isInOpenSession(req.db, req.user.id, question.ID))
+    {
+      return res.json(toStudentQuestion(question, answers));
+    }
+  }
+
   res.json({...question, answers});
 }));
 
@@ -0,0 +1,30 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          taxonomy.js
+//  Description:   Express routes for reading the question
+//                 taxonomy. Admin changes are in adminRoutes.
+//                 Protected by JWT authentication.
+//
+//  Dependencies:  express
+//                 authMiddleware
+//                 taxonomyController
+//
+////////////////////////////////////////////////////////////////
+
+const express = require('express');
+const router  = express.Router();
+
+const authMiddleware = require('../middleware/authMiddleware');
+const { getTaxonomy } = require('../controllers/taxonomyController');
+
+/**
+ * @route   GET /api/taxonomy
+ * @desc    Sections, categories and their subcategories, in display order
+ * @access  Protected
+ */
+router.get('/', authMiddleware, getTaxonomy);
+
+module.exports = router;
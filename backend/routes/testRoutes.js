@@ -4,7 +4,8 @@
 //  Year:          2025-2026
 //  Author(s):     KnightWise Team
 //  File:          testRoutes.js
-//  Description:   Routes for mock test generation, topic
+//  Description:   Routes for mock test generation, mock test
+//                 sessions and blueprints, topic and adaptive
 //                 practice, and answer submission.
 //
 //  Dependencies:  mysql2 connection pool (req.db)
@@ -12,8 +13,18 @@
 //                 authMiddleware
 //                 errorHandler
 //                 gradingController
-//                 currencyUtils
+//                 mockTestSessionController
+//                 questionHintController
 //                 codeLimits (daily submission check)
+//                 questionUtils
+//                 blueprintUtils
+//                 adaptiveUtils
+//                 validationUtils
+//                 taxonomyUtils
+//                 questionHintUtils
+//                 questionTemplateUtils
+//                 analyticsConfig
+//                 questionSearchConfig
 //
 ////////////////////////////////////////////////////////////////
 
@@ -21,76 +32,29 @@ const express = require("express");
 const router = express.Router();
 const authMiddleware = require("../middleware/authMiddleware");
 const { asyncHandler, AppError } = require("../middleware/errorHandler");
-const { gradeQuestion } = require("../controllers/gradingController");
-const { awardCurrency, awardGuildExp } = require("../utils/currencyUtils");
+const { submitResponse } = require("../controllers/gradingController");
 const { getProgrammingSubmissionsRemaining } = require("../config/codeLimits");
-
-/**
- * Helper function, gets answers for given questions, pairs them with each question
- * @param {Array}  questions - Array of question objects with ID field
- * @param {Object} db        - Database connection pool
- * @returns {Promise<Array>} - Questions with paired answers array
- */
-const pairAnswersWithQuestions = async (questions, db) => {
-  if (!questions || questions.length === 0) 
-  {
-    return questions;
-  }
-
-  const questionIds = questions.map(q => q.ID);
-  const [answers] = await db.query(
-    'SELECT * FROM AnswerText WHERE QUESTION_ID IN (?)',
-    [questionIds]
-  );
-
-  return questions.map(question => ({
-    ...question,
-    answers: answers.filter(answer => answer.QUESTION_ID === question.ID)
-  }));
-};
-
-/**
- * Helper function, serializes user response into JSON
- * JSON structure depends on question type 
- * Stored in Response.USER_ANSWER and used in History Table
- *
- * @param {string} questionType - Question.TYPE field from database
- * @param {*}      userAnswer   - Raw answer sent by the client
- * @returns {string} JSON containing relevant user response data
- */
-const serializeUserAnswer = (questionType, userAnswer) => {
-
-  // Note that there's no case for Programming questions.
-  // This is because those take a different path
-  // through the code controller and /submitCode!
-  switch (questionType) 
-  {
-    case 'Multiple Choice':
-      // Text of the single selected answer choice
-      return JSON.stringify({ type: 'MultipleChoice', selected: userAnswer });
-
-    case 'Fill in the Blanks':
-      // Text of the user-inputted response
-      return JSON.stringify({ type: 'FillInTheBlanks', entered: userAnswer });
-
-    case 'Select All That Apply':
-      // Array of selected answer choice texts
-      return JSON.stringify({ type: 'SelectAllThatApply', selected: userAnswer });
-
-    case 'Ranked Choice':
-      // Ordered array of answer choice texts
-      return JSON.stringify({ type: 'RankedChoice', order: userAnswer });
-
-    case 'Drag and Drop':
-      // Mappings from placement zones to answer choice texts
-      // e.g. { "zone1": "answer A", "zone2": "answer B" }
-      return JSON.stringify({ type: 'DragAndDrop', placements: userAnswer });
-
-    default:
-      // Should never happen, but just store raw answer so we don't lose info
-      return JSON.stringify({ type: questionType, raw: userAnswer });
-  }
-};
+const { pairAnswersWithQuestions, generateSeed, createSeededRandom } = require("../utils/questionUtils");
+const {
+        DEFAULT_BLUEPRINT,
+        toBlueprint,
+        getBlueprint,
+        pickBlueprintQuestions,
+      } = require("../utils/blueprintUtils");
+const { selectAdaptiveQuestions } = require("../utils/adaptiveUtils");
+const { parseId, normalizeDBString } = require("../utils/validationUtils");
+const { getTaxonomyIndex, taxonomyKey } = require("../utils/taxonomyUtils");
+const { getAnswerFeedback } = require("../utils/questionHintUtils");
+const { readInstanceSeed } = require("../utils/questionTemplateUtils");
+const { ADAPTIVE_DEFAULT_QUESTION_COUNT, ADAPTIVE_MAX_QUESTION_COUNT } = require("../../shared/analyticsConfig");
+const { MAX_PICKED_QUESTIONS } = require("../config/questionSearchConfig");
+const {
+        startSession,
+        getSession,
+        submitSessionAnswer,
+        finalizeSession,
+      } = require("../controllers/mockTestSessionController");
+const { getRevealedHints, revealHint } = require("../controllers/questionHintController");
 
 /**
  * @route   GET /api/test/topic/:topicName
@@ -106,14 +70,15 @@ const serializeUserAnswer = (questionType, userAnswer) => {
  * 
  * @param {import('express').Request}  req - Express request object
  * @param {import('express').Response} res - Express response object
- * @returns {Promise<void>} - JSON response with the subcategory's published questions and answers
+ * @returns {Promise<void>} - JSON response with the subcategory's published questions and answer options
  */
 router.get("/topic/:topicName", authMiddleware, asyncHandler(async (req, res) => {
   const { topicName } = req.params;
-  const normalizedTopicName = String(topicName || "").trim();
-  const resolvedTopicName = normalizedTopicName === "Input/Output"
-    ? "InputOutput"
-    : normalizedTopicName;
+
+  // Topic can be a subcategory's name or display name
+  const taxonomyIndex = await getTaxonomyIndex(req.db);
+  const subcategory = taxonomyIndex.subcategories.get(taxonomyKey(topicName));
+  const resolvedTopicName = subcategory?.NAME ?? normalizeDBString(String(topicName || ""));
 
   // Get all questions of this subcategory
   const [questions] = await req.db.query(
@@ -138,136 +103,221 @@ router.get("/topic/:topicName", authMiddleware, asyncHandler(async (req, res) =>
     return true;
   });
 
-  const questionsWithAnswers = await pairAnswersWithQuestions(filtered, req.db);
+  const questionsWithAnswers = await pairAnswersWithQuestions(filtered, req.user, req.db);
   res.json(questionsWithAnswers);
 }));
 
 /**
- * @route   GET /api/test/mocktest
- * @desc    Fetch questions info for a mock test
- *          Maximum of 1 programming question, or 0
- *          if user has reached the max daily submission
- *          limit for programming questions.
+ * @route   GET /api/test/questions
+ * @desc    Fetch published questions a student picked from question search
+ *          (?ids=3,1,2), in the order given, up to MAX_PICKED_QUESTIONS.
+ *          Maximum of 1 programming question, or 0 if user has reached
+ *          the max daily submission limit for programming questions.
+ *          IDs that aren't published, or were left out, are returned as skipped.
  * @access  Protected
- * 
+ *
  * @param {import('express').Request}  req - Express request object
  * @param {import('express').Response} res - Express response object
- * @returns {Promise<void>} - JSON response with mock test info
+ * @returns {Promise<void>} - JSON response with the picked questions and answer options
  */
-router.get("/mocktest", authMiddleware, asyncHandler(async (req, res) => {
-  const sections = ["A", "B", "C", "D"];
-  const questionsBySection = {};
+router.get("/questions", authMiddleware, asyncHandler(async (req, res) => {
+  const context = 'pickedQuestions';
+  const rawIds = typeof req.query.ids === 'string'
+    ? req.query.ids.split(',').map(id => id.trim()).filter(Boolean)
+    : [];
+  const ids = [...new Set(rawIds.map(id => parseId(id, 'question', context)))];
+
+  if (ids.length === 0)
+  {
+    throw new AppError(`[${context}] No question IDs`, 400, "Pick at least one question");
+  }
+  if (ids.length > MAX_PICKED_QUESTIONS)
+  {
+    throw new AppError(`[${context}] ${ids.length} question IDs`, 400, `Pick at most ${MAX_PICKED_QUESTIONS} questions`);
+  }
 
-  // Check if user has reached the daily limit for programming questions
-  const remaining = await getProgrammingSubmissionsRemaining(req.db, req.user.id);
+  const [rows] = await req.db.query(
+    'SELECT * FROM Question WHERE ID IN (?) AND IS_PUBLISHED = 1',
+    [ids]
+  );
+  const byId = new Map(rows.map(question => [question.ID, question]));
 
-  // shuffled problem per section and pick three published questions randomly
+  // Same programming question rule as topic practice
+  const remaining = await getProgrammingSubmissionsRemaining(req.db, req.user.id);
   let programmingQuestionUsed = false;
-  for (const section of sections) {
-    // Don't include programming in the query if:
-    // - User is at daily submission limit
-    // - We've already included one programming question
-    const excludeProgramming = !(remaining > 0) || programmingQuestionUsed;
-    const [questions] = await req.db.query(
-      `SELECT * FROM Question WHERE SECTION = ? AND IS_PUBLISHED = 1
-      ${excludeProgramming ? "AND TYPE != 'Programming'" : ""}`,
-      [section]
-    );
-
-    if (!questions || questions.length === 0) 
+  const picked = [];
+  const skipped = [];
+  for (const id of ids)
+  {
+    const question = byId.get(id);
+    const isProgramming = question?.TYPE === 'Programming';
+    if (!question || (isProgramming && (!(remaining > 0) || programmingQuestionUsed)))
     {
-      throw new AppError(`Published question not found in section: ${section}`, 404, "Question not found");
+      skipped.push(id);
+      continue;
     }
-    const shuffled = questions.sort(() => 0.5 - Math.random());
-    const picked = shuffled.slice(0, 3);
-    questionsBySection[section] = picked;
+    programmingQuestionUsed ||= isProgramming;
+    picked.push(question);
+  }
 
-    // We included a programming question, so don't include any additional
-    if (!programmingQuestionUsed && picked.some(q => q.TYPE === 'Programming')) 
-    {
-      programmingQuestionUsed = true;
-    }
+  if (picked.length === 0)
+  {
+    throw new AppError(`[${context}] None of questions ${ids.join(', ')} can be practiced`, 404, "Question not found");
   }
 
-  const allQuestions = Object.values(questionsBySection).flat();
-  const questionsWithAnswers = await pairAnswersWithQuestions(allQuestions, req.db);
+  const questionsWithAnswers = await pairAnswersWithQuestions(picked, req.user, req.db);
 
-  res.status(200).json({ total: questionsWithAnswers.length, questions: questionsWithAnswers });
+  res.status(200).json({
+    total:     questionsWithAnswers.length,
+    questions: questionsWithAnswers,
+    skipped,
+  });
 }));
 
 /**
- * @route   POST /api/test/submit
- * @desc    Submit user answer. Note that Question.SUBCATEGORY is stored as Response.TOPIC
- *          Serializes user response data as JSON, stores in Response.USER_ANSWER
+ * @route   GET /api/test/adaptive
+ * @desc    Fetch an adaptive practice set for the requesting user.
+ *          Questions are weighted toward the user's weakest subcategories
+ *          (per the analytics model) and questions they missed before.
+ *          Recently mastered questions are skipped, and each subcategory
+ *          targets a question type difficulty that rises with recent accuracy.
+ *          ?count= sets the set size (default 10, max 30).
+ *          The draw is reproducible by passing back the returned ?seed=.
+ *          Maximum of 1 programming question, or 0 if user has reached
+ *          the max daily submission limit for programming questions.
  * @access  Protected
- * 
+ *
  * @param {import('express').Request}  req - Express request object
  * @param {import('express').Response} res - Express response object
- * @returns {Promise<void>} - JSON response to confirm successful submission
+ * @returns {Promise<void>} - JSON response with the practice set and the subcategories it focuses on
  */
-router.post("/submit", authMiddleware, asyncHandler(async (req, res) => {
-  const { problem_id, userAnswer, category, topic, elapsedTime } = req.body;
-  const user_id = req.user.id;
+router.get("/adaptive", authMiddleware, asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const requestedCount = parseInt(req.query.count) || ADAPTIVE_DEFAULT_QUESTION_COUNT;
+  const count = Math.min(ADAPTIVE_MAX_QUESTION_COUNT, Math.max(1, requestedCount));
+  const seed = req.query.seed ? String(req.query.seed).slice(0, 64) : generateSeed();
 
-  // Get question by ID, we care about question type and points
+  // Ordered by ID so the same seed draws the same questions
   const [questions] = await req.db.query(
-    'SELECT TYPE, POINTS_POSSIBLE FROM Question WHERE ID = ?',
-    [problem_id]
+    'SELECT * FROM Question WHERE IS_PUBLISHED = 1 ORDER BY ID'
   );
-  if (!questions || questions.length === 0)
+  const [responses] = await req.db.query(
+    `SELECT r.PROBLEM_ID, r.DATETIME, r.POINTS_EARNED, r.POINTS_POSSIBLE, r.ELAPSED_TIME, q.TYPE, q.SUBCATEGORY,
+       s.DIFFICULTY AS SUBCATEGORY_DIFFICULTY
+     FROM Response r
+     JOIN Question q ON q.ID = r.PROBLEM_ID
+     LEFT JOIN Subcategory s ON s.ID = q.SUBCATEGORY_ID
+     WHERE r.USERID = ?
+     ORDER BY r.DATETIME, r.ID`,
+    [userId]
+  );
+  const remaining = await getProgrammingSubmissionsRemaining(req.db, userId);
+
+  const { questions: picked, focus } = selectAdaptiveQuestions(questions, responses, {
+    count,
+    random:           createSeededRandom(seed),
+    allowProgramming: remaining > 0,
+  });
+
+  if (picked.length === 0)
   {
-    throw new AppError(`Question ID not found: ${problem_id}`, 404, 'Question not found.');
+    throw new AppError(`[adaptive] No practice questions left for user ${userId}`, 404, "Question not found");
   }
 
-  // Deconstruct and extract type and points
-  const { TYPE: questionType, POINTS_POSSIBLE: maxPoints } = questions[0];
+  const questionsWithAnswers = await pairAnswersWithQuestions(picked, req.user, req.db);
 
-  // Get answers for this question ID
-  const [answers] = await req.db.query(
-    'SELECT * FROM AnswerText WHERE QUESTION_ID = ?',
-    [problem_id]
-  );
+  res.status(200).json({
+    total:     questionsWithAnswers.length,
+    questions: questionsWithAnswers,
+    focus,
+    seed,
+  });
+}));
 
-  // Grade user response
-  const result = gradeQuestion(problem_id, questionType, userAnswer, answers, maxPoints);
-
-  // Serialize response data into JSON
-  const serializedAnswer = serializeUserAnswer(questionType, userAnswer);
-
-  // Store user response
-  await req.db.query(
-    `INSERT INTO Response 
-    (
-      USERID,
-      PROBLEM_ID,
-      USER_ANSWER,
-      ISCORRECT,
-      POINTS_EARNED,
-      POINTS_POSSIBLE,
-      CATEGORY,
-      TOPIC,
-      ELAPSED_TIME,
-      DATETIME
-    )
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-    [
-      user_id,
-      problem_id,
-      serializedAnswer,
-      result.isCorrect,
-      result.pointsEarned,
-      result.pointsPossible,
-      category,
-      topic,
-      elapsedTime ?? null,
-      new Date()
-    ]
-  );
+/**
+ * @route   GET /api/test/blueprints
+ * @desc    List the mock test blueprints students can start a session from
+ * @access  Protected
+ * 
+ * @param {import('express').Request}  req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>} - JSON response with all blueprints
+ */
+router.get("/blueprints", authMiddleware, asyncHandler(async (req, res) => {
+  const [rows] = await req.db.query('SELECT * FROM TestBlueprint ORDER BY NAME');
+  res.status(200).json({ blueprints: rows.map(toBlueprint) });
+}));
 
-  // Award currency to user (respects daily exp cap)
-  // Also award exp to user's guild if they're in one
-  await awardCurrency(req.db, user_id, result.pointsEarned);
-  await awardGuildExp(req.db, user_id, result.pointsEarned);
+/**
+ * @route   GET /api/test/mocktest
+ * @desc    Fetch questions info for a mock test drawn from a blueprint
+ *          (?blueprintId=), or the default 3 per section A-D blueprint.
+ *          The draw is reproducible by passing back the returned ?seed=.
+ *          Programming questions are left out if user has reached the
+ *          max daily submission limit for programming questions.
+ * @access  Protected
+ * 
+ * @param {import('express').Request}  req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>} - JSON response with mock test info
+ */
+router.get("/mocktest", authMiddleware, asyncHandler(async (req, res) => {
+  const context = 'mocktest';
+  const { blueprintId, seed } = req.query;
+
+  const blueprint = blueprintId
+    ? await getBlueprint(req.db, parseId(blueprintId, 'blueprint', context), context)
+    : DEFAULT_BLUEPRINT;
+  const drawSeed = seed ? String(seed).slice(0, 64) : generateSeed();
+
+  const picked = await pickBlueprintQuestions(req.db, req.user.id, blueprint, createSeededRandom(drawSeed));
+  if (picked.length === 0)
+  {
+    throw new AppError(`[${context}] No published questions for blueprint: ${blueprint.name}`, 404, "Question not found");
+  }
+
+  const questionsWithAnswers = await pairAnswersWithQuestions(picked, req.user, req.db);
+
+  res.status(200).json({
+    total:            questionsWithAnswers.length,
+    questions:        questionsWithAnswers,
+    blueprintId:      blueprint.id,
+    timeLimitMinutes: blueprint.timeLimitMinutes,
+    seed:             drawSeed,
+  });
+}));
+
+/**
+ * @route   POST /api/test/submit
+ * @desc    Submit user answer. Note that Question.SUBCATEGORY is stored as Response.TOPIC
+ *          Answer option IDs from /topic and /mocktest are resolved to answer texts
+ *          on the server before grading.
+ *          Serializes user response data as JSON, stores in Response.USER_ANSWER
+ *          Hints revealed for the question are charged here, and the worked
+ *          explanation, hints and answer rationales come back with the grade
+ *          Questions in one of the user's running mock tests are refused (409)
+ *          before grading, so none of that comes back until the session ends
+ *          Template questions need the `instance` they were served with
+ *          Fill in the Blanks questions with blanks are answered { blankId: text },
+ *          and get each blank's score back as blankScores
+ * @access  Protected
+ * 
+ * @param {import('express').Request}  req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<void>} - JSON response to confirm successful submission
+ */
+router.post("/submit", authMiddleware, asyncHandler(async (req, res) => {
+  const { problem_id, userAnswer, category, topic, elapsedTime, instance } = req.body;
+
+  // Grade, store response and award currency
+  const result = await submitResponse(req.db, req.user.id, {
+    problemId:    problem_id,
+    userAnswer,
+    category,
+    topic,
+    elapsedTime,
+    instanceSeed: readInstanceSeed(instance, req.user.id, Number(problem_id)),
+  });
 
   res.status(201).json(
   { 
@@ -276,8 +326,55 @@ router.post("/submit", authMiddleware, asyncHandler(async (req, res) => {
     pointsEarned:     result.pointsEarned,
     pointsPossible:   result.pointsPossible,
     normalizedScore:  result.normalizedScore,
-    feedback:         result.feedback
+    feedback:         result.feedback,
+    blankScores:      result.blankScores,
+    hintsUsed:        result.hintsUsed,
+    hintPenalty:      result.hintPenalty,
+    ...await getAnswerFeedback(req.db, problem_id, result.instanceSeed),
   });
 }));
 
+/**
+ * @route   GET /api/test/questions/:id/hints
+ * @desc    Fetch the hints revealed so far for a question
+ * @access  Protected
+ */
+router.get("/questions/:id/hints", authMiddleware, getRevealedHints);
+
+/**
+ * @route   POST /api/test/questions/:id/hints
+ * @desc    Reveal a question's next hint, charged against the next answer to it
+ * @access  Protected
+ */
+router.post("/questions/:id/hints", authMiddleware, revealHint);
+
+/**
+ * @route   POST /api/test/sessions
+ * @desc    Start a mock test session from selected topics,
+ *          with server-side start time and deadline
+ * @access  Protected
+ */
+router.post("/sessions", authMiddleware, startSession);
+
+/**
+ * @route   GET /api/test/sessions/:id
+ * @desc    Fetch a mock test session's state, and its result once finalized
+ * @access  Protected
+ */
+router.get("/sessions/:id", authMiddleware, getSession);
+
+/**
+ * @route   POST /api/test/sessions/:id/answers
+ * @desc    Submit an answer against a mock test session, before its deadline
+ * @access  Protected
+ */
+router.post("/sessions/:id/answers", authMiddleware, submitSessionAnswer);
+
+/**
+ * @route   POST /api/test/sessions/:id/finalize
+ * @desc    Finalize a mock test session and fetch its scored result
+ * @access  Protected
+ */
+router.post("/sessions/:id/finalize", authMiddleware, finalizeSession);
+
 module.exports = router;
\ No newline at end of file
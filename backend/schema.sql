@@ -19,12 +19,43 @@ CREATE TABLE `AnswerText` (
   `TEXT` text,
   `RANK` int DEFAULT NULL,
   `PLACEMENT` varchar(255) DEFAULT NULL,
+  `BLANK_ID` varchar(32) DEFAULT NULL,
+  `RATIONALE` text,
   PRIMARY KEY (`ID`),
   KEY `QUESTION_ID` (`QUESTION_ID`),
   CONSTRAINT `AnswerText_ibfk_1` FOREIGN KEY (`QUESTION_ID`) REFERENCES `Question` (`ID`) ON DELETE CASCADE
 ) ENGINE=InnoDB AUTO_INCREMENT=789 DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
 /*!40101 SET character_set_client = @saved_cs_client */;
 
+DROP TABLE IF EXISTS `Category`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `Category` (
+  `ID` int NOT NULL AUTO_INCREMENT,
+  `NAME` varchar(100) NOT NULL,
+  `DISPLAY_NAME` varchar(100) NOT NULL,
+  `SORT_ORDER` int NOT NULL DEFAULT '0',
+  PRIMARY KEY (`ID`),
+  UNIQUE KEY `NAME` (`NAME`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
+DROP TABLE IF EXISTS `CodeTemplate`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `CodeTemplate` (
+  `ID` int NOT NULL AUTO_INCREMENT,
+  `QUESTION_ID` int NOT NULL,
+  `LANGUAGE_ID` int NOT NULL,
+  `FUNCTION_SIGNATURE` varchar(500) DEFAULT NULL,
+  `STARTER_CODE` text,
+  `HARNESS` text,
+  PRIMARY KEY (`ID`),
+  UNIQUE KEY `idx_question_language` (`QUESTION_ID`,`LANGUAGE_ID`),
+  CONSTRAINT `CodeTemplate_ibfk_1` FOREIGN KEY (`QUESTION_ID`) REFERENCES `Question` (`ID`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
 DROP TABLE IF EXISTS `EmailCode`;
 /*!40101 SET @saved_cs_client     = @@character_set_client */;
 /*!50503 SET character_set_client = utf8mb4 */;
@@ -118,6 +149,43 @@ CREATE TABLE `GuildUnlock` (
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
 /*!40101 SET character_set_client = @saved_cs_client */;
 
+DROP TABLE IF EXISTS `HintReveal`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `HintReveal` (
+  `USER_ID` int NOT NULL,
+  `QUESTION_ID` int NOT NULL,
+  `HINTS_REVEALED` int NOT NULL DEFAULT '0',
+  `UPDATED_AT` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`USER_ID`,`QUESTION_ID`),
+  KEY `QUESTION_ID` (`QUESTION_ID`),
+  CONSTRAINT `HintReveal_ibfk_1` FOREIGN KEY (`USER_ID`) REFERENCES `User` (`ID`) ON DELETE CASCADE,
+  CONSTRAINT `HintReveal_ibfk_2` FOREIGN KEY (`QUESTION_ID`) REFERENCES `Question` (`ID`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
+DROP TABLE IF EXISTS `MockTestSession`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `MockTestSession` (
+  `ID` int NOT NULL AUTO_INCREMENT,
+  `USER_ID` int NOT NULL,
+  `QUESTION_IDS` json NOT NULL,
+  `STARTED_AT` datetime NOT NULL,
+  `DEADLINE` datetime NOT NULL,
+  `FINALIZED_AT` datetime DEFAULT NULL,
+  `POINTS_EARNED` decimal(7,2) DEFAULT NULL,
+  `POINTS_POSSIBLE` decimal(7,2) DEFAULT NULL,
+  `BLUEPRINT_ID` int DEFAULT NULL,
+  `SEED` varchar(64) DEFAULT NULL,
+  PRIMARY KEY (`ID`),
+  KEY `USER_ID` (`USER_ID`),
+  KEY `BLUEPRINT_ID` (`BLUEPRINT_ID`),
+  CONSTRAINT `MockTestSession_ibfk_1` FOREIGN KEY (`USER_ID`) REFERENCES `User` (`ID`) ON DELETE CASCADE,
+  CONSTRAINT `MockTestSession_ibfk_2` FOREIGN KEY (`BLUEPRINT_ID`) REFERENCES `TestBlueprint` (`ID`) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
 DROP TABLE IF EXISTS `Purchase`;
 /*!40101 SET @saved_cs_client     = @@character_set_client */;
 /*!50503 SET character_set_client = utf8mb4 */;
@@ -143,16 +211,163 @@ CREATE TABLE `Question` (
   `SECTION` varchar(100) CHARACTER SET utf8mb4 COLLATE utf8mb4_0900_ai_ci DEFAULT NULL,
   `CATEGORY` varchar(100) CHARACTER SET utf8mb4 COLLATE utf8mb4_0900_ai_ci DEFAULT NULL,
   `SUBCATEGORY` varchar(100) CHARACTER SET utf8mb4 COLLATE utf8mb4_0900_ai_ci DEFAULT NULL,
+  `SECTION_ID` int DEFAULT NULL,
+  `CATEGORY_ID` int DEFAULT NULL,
+  `SUBCATEGORY_ID` int DEFAULT NULL,
   `POINTS_POSSIBLE` decimal(5,2) DEFAULT NULL,
   `QUESTION_TEXT` text CHARACTER SET utf8mb4 COLLATE utf8mb4_0900_ai_ci,
+  `EXPLANATION` text CHARACTER SET utf8mb4 COLLATE utf8mb4_0900_ai_ci,
+  `TRACE_CODE` text CHARACTER SET utf8mb4 COLLATE utf8mb4_0900_ai_ci,
+  `TRACE_LANGUAGE_ID` int DEFAULT NULL,
+  `NUMERIC_SETTINGS` json DEFAULT NULL,
+  `BLANKS` json DEFAULT NULL,
+  `GRADING_POLICY` json DEFAULT NULL,
   `OWNER_ID` int DEFAULT NULL,
   `IS_PUBLISHED` smallint NOT NULL DEFAULT '1',
+  `CURRENT_VERSION` int DEFAULT NULL,
+  `REVIEW_STATUS` enum('draft','in_review','changes_requested','approved','published','retired') NOT NULL DEFAULT 'draft',
   PRIMARY KEY (`ID`) USING BTREE,
+  KEY `idx_question_review_status` (`REVIEW_STATUS`),
   KEY `FK_Question_Owner` (`OWNER_ID`) USING BTREE,
-  CONSTRAINT `Question_ibfk_1` FOREIGN KEY (`OWNER_ID`) REFERENCES `User` (`ID`) ON DELETE SET NULL ON UPDATE RESTRICT
+  KEY `SECTION_ID` (`SECTION_ID`),
+  KEY `CATEGORY_ID` (`CATEGORY_ID`),
+  KEY `SUBCATEGORY_ID` (`SUBCATEGORY_ID`),
+  FULLTEXT KEY `idx_question_text_search` (`QUESTION_TEXT`),
+  CONSTRAINT `Question_ibfk_1` FOREIGN KEY (`OWNER_ID`) REFERENCES `User` (`ID`) ON DELETE SET NULL ON UPDATE RESTRICT,
+  CONSTRAINT `Question_ibfk_2` FOREIGN KEY (`SECTION_ID`) REFERENCES `Section` (`ID`) ON DELETE RESTRICT,
+  CONSTRAINT `Question_ibfk_3` FOREIGN KEY (`CATEGORY_ID`) REFERENCES `Category` (`ID`) ON DELETE RESTRICT,
+  CONSTRAINT `Question_ibfk_4` FOREIGN KEY (`SUBCATEGORY_ID`) REFERENCES `Subcategory` (`ID`) ON DELETE RESTRICT
 ) ENGINE=InnoDB AUTO_INCREMENT=213 DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci ROW_FORMAT=DYNAMIC;
 /*!40101 SET character_set_client = @saved_cs_client */;
 
+DROP TABLE IF EXISTS `QuestionAsset`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `QuestionAsset` (
+  `ID` int NOT NULL AUTO_INCREMENT,
+  `FILE_NAME` varchar(80) NOT NULL,
+  `MIME_TYPE` varchar(50) NOT NULL,
+  `SIZE_BYTES` int NOT NULL,
+  `UPLOADED_BY` int DEFAULT NULL,
+  `CREATED_AT` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`ID`),
+  UNIQUE KEY `FILE_NAME` (`FILE_NAME`),
+  KEY `UPLOADED_BY` (`UPLOADED_BY`),
+  CONSTRAINT `QuestionAsset_ibfk_1` FOREIGN KEY (`UPLOADED_BY`) REFERENCES `User` (`ID`) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
+DROP TABLE IF EXISTS `QuestionHint`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `QuestionHint` (
+  `QUESTION_ID` int NOT NULL,
+  `POSITION` int NOT NULL,
+  `HINT_TEXT` text CHARACTER SET utf8mb4 COLLATE utf8mb4_0900_ai_ci NOT NULL,
+  PRIMARY KEY (`QUESTION_ID`,`POSITION`),
+  CONSTRAINT `QuestionHint_ibfk_1` FOREIGN KEY (`QUESTION_ID`) REFERENCES `Question` (`ID`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
+DROP TABLE IF EXISTS `QuestionReviewEvent`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `QuestionReviewEvent` (
+  `ID` int NOT NULL AUTO_INCREMENT,
+  `QUESTION_ID` int NOT NULL,
+  `ACTOR_ID` int DEFAULT NULL,
+  `ACTOR_ROLE` varchar(20) DEFAULT NULL,
+  `ACTION` enum('submit','request_changes','approve','publish','retire','withdraw','reopen','edit','comment') NOT NULL,
+  `FROM_STATUS` enum('draft','in_review','changes_requested','approved','published','retired') DEFAULT NULL,
+  `TO_STATUS` enum('draft','in_review','changes_requested','approved','published','retired') DEFAULT NULL,
+  `COMMENT` text CHARACTER SET utf8mb4 COLLATE utf8mb4_0900_ai_ci,
+  `PARENT_ID` int DEFAULT NULL,
+  `QUESTION_VERSION` int DEFAULT NULL,
+  `CREATED_AT` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`ID`),
+  KEY `idx_review_event_question` (`QUESTION_ID`,`CREATED_AT`),
+  KEY `ACTOR_ID` (`ACTOR_ID`),
+  KEY `PARENT_ID` (`PARENT_ID`),
+  CONSTRAINT `QuestionReviewEvent_ibfk_1` FOREIGN KEY (`QUESTION_ID`) REFERENCES `Question` (`ID`) ON DELETE CASCADE,
+  CONSTRAINT `QuestionReviewEvent_ibfk_2` FOREIGN KEY (`ACTOR_ID`) REFERENCES `User` (`ID`) ON DELETE SET NULL,
+  CONSTRAINT `QuestionReviewEvent_ibfk_3` FOREIGN KEY (`PARENT_ID`) REFERENCES `QuestionReviewEvent` (`ID`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
+DROP TABLE IF EXISTS `QuestionTag`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `QuestionTag` (
+  `QUESTION_ID` int NOT NULL,
+  `TAG` varchar(50) NOT NULL,
+  PRIMARY KEY (`QUESTION_ID`,`TAG`),
+  KEY `TAG` (`TAG`),
+  CONSTRAINT `QuestionTag_ibfk_1` FOREIGN KEY (`QUESTION_ID`) REFERENCES `Question` (`ID`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
+DROP TABLE IF EXISTS `QuestionTemplate`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `QuestionTemplate` (
+  `QUESTION_ID` int NOT NULL,
+  `VARIABLES` json NOT NULL,
+  `UPDATED_AT` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`QUESTION_ID`),
+  CONSTRAINT `QuestionTemplate_ibfk_1` FOREIGN KEY (`QUESTION_ID`) REFERENCES `Question` (`ID`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
+DROP TABLE IF EXISTS `QuestionVersion`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `QuestionVersion` (
+  `ID` int NOT NULL AUTO_INCREMENT,
+  `QUESTION_ID` int NOT NULL,
+  `VERSION` int NOT NULL,
+  `CHANGE_TYPE` enum('baseline','create','edit','import','rollback') NOT NULL,
+  `SOURCE_VERSION` int DEFAULT NULL,
+  `SNAPSHOT` json NOT NULL,
+  `EDITED_BY` int DEFAULT NULL,
+  `CREATED_AT` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`ID`),
+  UNIQUE KEY `idx_question_version` (`QUESTION_ID`,`VERSION`),
+  KEY `EDITED_BY` (`EDITED_BY`),
+  CONSTRAINT `QuestionVersion_ibfk_1` FOREIGN KEY (`QUESTION_ID`) REFERENCES `Question` (`ID`) ON DELETE CASCADE,
+  CONSTRAINT `QuestionVersion_ibfk_2` FOREIGN KEY (`EDITED_BY`) REFERENCES `User` (`ID`) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
+DROP TABLE IF EXISTS `RegradeAdjustment`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `RegradeAdjustment` (
+  `ID` int NOT NULL AUTO_INCREMENT,
+  `USER_ID` int NOT NULL,
+  `QUESTION_ID` int NOT NULL,
+  `RESPONSE_ID` int NOT NULL,
+  `WAS_CORRECT` tinyint(1) NOT NULL,
+  `IS_CORRECT` tinyint(1) NOT NULL,
+  `OLD_POINTS` decimal(5,2) NOT NULL,
+  `NEW_POINTS` decimal(5,2) NOT NULL,
+  `EXP_CHANGE` double NOT NULL,
+  `COINS_CHANGE` double NOT NULL,
+  `ACTOR_ID` int DEFAULT NULL,
+  `ACTOR_ROLE` varchar(20) DEFAULT NULL,
+  `CREATED_AT` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `SEEN_AT` datetime DEFAULT NULL,
+  PRIMARY KEY (`ID`),
+  KEY `idx_regrade_user_seen` (`USER_ID`,`SEEN_AT`),
+  KEY `QUESTION_ID` (`QUESTION_ID`),
+  KEY `RESPONSE_ID` (`RESPONSE_ID`),
+  KEY `ACTOR_ID` (`ACTOR_ID`),
+  CONSTRAINT `RegradeAdjustment_ibfk_1` FOREIGN KEY (`USER_ID`) REFERENCES `User` (`ID`) ON DELETE CASCADE,
+  CONSTRAINT `RegradeAdjustment_ibfk_2` FOREIGN KEY (`QUESTION_ID`) REFERENCES `Question` (`ID`) ON DELETE CASCADE,
+  CONSTRAINT `RegradeAdjustment_ibfk_3` FOREIGN KEY (`RESPONSE_ID`) REFERENCES `Response` (`ID`) ON DELETE CASCADE,
+  CONSTRAINT `RegradeAdjustment_ibfk_4` FOREIGN KEY (`ACTOR_ID`) REFERENCES `User` (`ID`) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
 DROP TABLE IF EXISTS `Response`;
 /*!40101 SET @saved_cs_client     = @@character_set_client */;
 /*!50503 SET character_set_client = utf8mb4 */;
@@ -165,17 +380,58 @@ CREATE TABLE `Response` (
   `ISCORRECT` tinyint(1) DEFAULT NULL,
   `CATEGORY` varchar(100) DEFAULT NULL,
   `TOPIC` varchar(100) DEFAULT NULL,
+  `SUBCATEGORY_ID` int DEFAULT NULL,
   `POINTS_EARNED` decimal(5,2) DEFAULT NULL,
   `POINTS_POSSIBLE` decimal(5,2) DEFAULT NULL,
   `ELAPSED_TIME` int DEFAULT NULL,
+  `SESSION_ID` int DEFAULT NULL,
+  `QUESTION_VERSION` int DEFAULT NULL,
+  `HINTS_USED` int NOT NULL DEFAULT '0',
+  `EXP_AWARDED` double DEFAULT NULL,
   PRIMARY KEY (`ID`),
   KEY `USERID` (`USERID`),
   KEY `PROBLEM_ID` (`PROBLEM_ID`),
+  UNIQUE KEY `SESSION_PROBLEM` (`SESSION_ID`,`PROBLEM_ID`),
+  KEY `SUBCATEGORY_ID` (`SUBCATEGORY_ID`),
   CONSTRAINT `Response_ibfk_1` FOREIGN KEY (`USERID`) REFERENCES `User` (`ID`) ON DELETE CASCADE,
-  CONSTRAINT `Response_ibfk_2` FOREIGN KEY (`PROBLEM_ID`) REFERENCES `Question` (`ID`) ON DELETE CASCADE
+  CONSTRAINT `Response_ibfk_2` FOREIGN KEY (`PROBLEM_ID`) REFERENCES `Question` (`ID`) ON DELETE CASCADE,
+  CONSTRAINT `Response_ibfk_3` FOREIGN KEY (`SESSION_ID`) REFERENCES `MockTestSession` (`ID`) ON DELETE SET NULL,
+  CONSTRAINT `Response_ibfk_4` FOREIGN KEY (`SUBCATEGORY_ID`) REFERENCES `Subcategory` (`ID`) ON DELETE SET NULL
 ) ENGINE=InnoDB AUTO_INCREMENT=856 DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
 /*!40101 SET character_set_client = @saved_cs_client */;
 
+DROP TABLE IF EXISTS `ReviewItem`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `ReviewItem` (
+  `USER_ID` int NOT NULL,
+  `QUESTION_ID` int NOT NULL,
+  `EASE_FACTOR` decimal(4,2) NOT NULL DEFAULT '2.50',
+  `INTERVAL_DAYS` int NOT NULL DEFAULT '0',
+  `REPETITIONS` int NOT NULL DEFAULT '0',
+  `DUE_AT` datetime NOT NULL,
+  `LAST_REVIEWED_AT` datetime NOT NULL,
+  PRIMARY KEY (`USER_ID`,`QUESTION_ID`),
+  KEY `USER_DUE` (`USER_ID`,`DUE_AT`),
+  KEY `QUESTION_ID` (`QUESTION_ID`),
+  CONSTRAINT `ReviewItem_ibfk_1` FOREIGN KEY (`USER_ID`) REFERENCES `User` (`ID`) ON DELETE CASCADE,
+  CONSTRAINT `ReviewItem_ibfk_2` FOREIGN KEY (`QUESTION_ID`) REFERENCES `Question` (`ID`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
+DROP TABLE IF EXISTS `Section`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `Section` (
+  `ID` int NOT NULL AUTO_INCREMENT,
+  `NAME` varchar(100) NOT NULL,
+  `DISPLAY_NAME` varchar(100) NOT NULL,
+  `SORT_ORDER` int NOT NULL DEFAULT '0',
+  PRIMARY KEY (`ID`),
+  UNIQUE KEY `NAME` (`NAME`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
 DROP TABLE IF EXISTS `StoreItem`;
 /*!40101 SET @saved_cs_client     = @@character_set_client */;
 /*!50503 SET character_set_client = utf8mb4 */;
@@ -189,6 +445,43 @@ CREATE TABLE `StoreItem` (
 ) ENGINE=InnoDB AUTO_INCREMENT=27 DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
 /*!40101 SET character_set_client = @saved_cs_client */;
 
+DROP TABLE IF EXISTS `Subcategory`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `Subcategory` (
+  `ID` int NOT NULL AUTO_INCREMENT,
+  `CATEGORY_ID` int NOT NULL,
+  `NAME` varchar(100) NOT NULL,
+  `DISPLAY_NAME` varchar(100) NOT NULL,
+  `DIFFICULTY` decimal(3,2) NOT NULL DEFAULT '0.50',
+  `SORT_ORDER` int NOT NULL DEFAULT '0',
+  PRIMARY KEY (`ID`),
+  UNIQUE KEY `NAME` (`NAME`),
+  KEY `CATEGORY_ID` (`CATEGORY_ID`),
+  CONSTRAINT `Subcategory_ibfk_1` FOREIGN KEY (`CATEGORY_ID`) REFERENCES `Category` (`ID`) ON DELETE RESTRICT
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
+DROP TABLE IF EXISTS `TestBlueprint`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `TestBlueprint` (
+  `ID` int NOT NULL AUTO_INCREMENT,
+  `NAME` varchar(100) NOT NULL,
+  `DESCRIPTION` varchar(500) DEFAULT NULL,
+  `TIME_LIMIT_MINUTES` int NOT NULL,
+  `TARGET_POINTS` decimal(7,2) DEFAULT NULL,
+  `RULES` json NOT NULL,
+  `TYPE_QUOTAS` json NOT NULL,
+  `OWNER_ID` int DEFAULT NULL,
+  `CREATED_AT` datetime DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`ID`),
+  UNIQUE KEY `NAME` (`NAME`),
+  KEY `OWNER_ID` (`OWNER_ID`),
+  CONSTRAINT `TestBlueprint_ibfk_1` FOREIGN KEY (`OWNER_ID`) REFERENCES `User` (`ID`) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
 DROP TABLE IF EXISTS `TestCase`;
 /*!40101 SET @saved_cs_client     = @@character_set_client */;
 /*!50503 SET character_set_client = utf8mb4 */;
@@ -197,6 +490,10 @@ CREATE TABLE `TestCase` (
   `QUESTION_ID` int NOT NULL,
   `INPUT` text,
   `EXPECTED_OUTPUT` text NOT NULL,
+  `IS_HIDDEN` tinyint(1) NOT NULL DEFAULT '0',
+  `WEIGHT` decimal(6,2) NOT NULL DEFAULT '1.00',
+  `COMPARISON_MODE` enum('exact','whitespace','float','unordered','regex') NOT NULL DEFAULT 'exact',
+  `FLOAT_TOLERANCE` double DEFAULT NULL,
   PRIMARY KEY (`ID`),
   KEY `idx_question_id` (`QUESTION_ID`),
   CONSTRAINT `TestCase_ibfk_1` FOREIGN KEY (`QUESTION_ID`) REFERENCES `Question` (`ID`) ON DELETE CASCADE
@@ -31,7 +31,13 @@ const { startExpResetJobs } = require('./jobs/expReset');
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Question bank imports are parsed by their route once the user is authorized,
+// since they're allowed past the default JSON limit
+const QUESTION_IMPORT_PATH = '/api/admin/questions/import';
+const parseJson = express.json();
+app.use((req, res, next) => (
+  req.path.toLowerCase().replace(/\/+$/, '') === QUESTION_IMPORT_PATH ? next() : parseJson(req, res, next)
+));
 
 // Fetch and validate db env variables
 const db_host       = process.env.DB_HOST;
@@ -107,6 +113,8 @@ app.use('/api/store', require('./routes/store'));
 app.use('/api/leaderboard', require('./routes/leaderboard'));
 app.use('/api/guilds', require('./routes/guilds'));
 app.use('/api/stats', require('./routes/stats'));
+app.use('/api/taxonomy', require('./routes/taxonomy'));
+app.use('/api/assets', require('./routes/assets'));
 
 // Start background jobs (skip during tests)
 if (process.env.NODE_ENV !== 'test')
@@ -0,0 +1,244 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          codeJobQueue.js
+//  Description:   In-memory queue for code submission jobs.
+//                 Jobs run in the background, a few at a time,
+//                 and publish their progress to subscribers
+//                 (GET /api/code/jobs/:id/events).
+//
+//  Dependencies:  events
+//                 codeLimits
+//
+////////////////////////////////////////////////////////////////
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { MAX_CONCURRENT_CODE_JOBS, CODE_JOB_TTL_MS } = require('../config/codeLimits');
+
+const JOB_STATUSES = Object.freeze({
+  QUEUED:    'queued',
+  RUNNING:   'running',
+  COMPLETED: 'completed',
+  FAILED:    'failed',
+});
+
+const jobs = new Map();
+const events = new EventEmitter();
+events.setMaxListeners(0); // One listener per open event stream
+
+const waiting = [];
+let runningCount = 0;
+
+/**
+ * Public view of a job, as returned by the API
+ * @param {Object} job
+ * @returns {Object}
+ */
+const toJobView = (job) => ({
+  id:          job.id,
+  status:      job.status,
+  problemId:   job.problemId,
+  isTestRun:   job.isTestRun,
+  totalTests:  job.totalTests,
+  testResults: job.testResults,
+  result:      job.result,
+  error:       job.error,
+  createdAt:   job.createdAt,
+  updatedAt:   job.updatedAt,
+});
+
+/**
+ * Records a change to a job and tells its subscribers
+ * @param {Object} job
+ * @param {string} type    - Event name: status, progress or done
+ * @param {Object} changes - Fields to update on the job
+ */
+const updateJob = (job, type, changes) => {
+  Object.assign(job, changes, { updatedAt: new Date() });
+  events.emit(job.id, type, toJobView(job));
+};
+
+/**
+ * Starts queued jobs while there's room
+ */
+const drain = () => {
+  while (runningCount < MAX_CONCURRENT_CODE_JOBS && waiting.length > 0)
+  {
+    const { job, work } = waiting.shift();
+    runningCount++;
+    updateJob(job, 'status', { status: JOB_STATUSES.RUNNING });
+
+    /**
+     * Records one finished test case
+     * @param {number} index  - Test case position
+     * @param {Object} summary - Whatever the job shows for the test case
+     */
+    const reportProgress = (index, summary) => {
+      const testResults = [...job.testResults];
+      testResults[index] = summary;
+      updateJob(job, 'progress', { testResults });
+    };
+
+    work(reportProgress)
+      .then(result => updateJob(job, 'done', { status: JOB_STATUSES.COMPLETED, result }))
+      .catch(err => {
+        console.error(`Code job ${job.id} failed:`, err.message);
+        updateJob(job, 'done', {
+          status: JOB_STATUSES.FAILED,
+          error: { statusCode: err.statusCode ?? 500, message: err.userMessage ?? 'Internal server error' },
+        });
+      })
+      .finally(() => {
+        runningCount--;
+        setTimeout(() => jobs.delete(job.id), CODE_JOB_TTL_MS).unref();
+        drain();
+      });
+  }
+};
+
+/**
+ * Queues a job to run in the background
+ *
+ * @param {Object}   details
+ * @param {number}   details.userId     - Owner, the only user who can see the job
+ * @param {number}   details.problemId
+ * @param {boolean}  details.isTestRun
+ * @param {number}   details.totalTests
+ * @param {Function} work - async (reportProgress) => result, run when the job starts
+ * @returns {Object} Public view of the new job
+ */
+const enqueueJob = ({ userId, problemId, isTestRun, totalTests }, work) => {
+  const now = new Date();
+  const job = {
+    id: crypto.randomUUID(),
+    userId,
+    problemId: Number(problemId),
+    isTestRun,
+    totalTests,
+    status:      JOB_STATUSES.QUEUED,
+    testResults: Array(totalTests).fill(null),
+    result:      null,
+    error:       null,
+    createdAt:   now,
+    updatedAt:   now,
+  };
+
+  jobs.set(job.id, job);
+  waiting.push({ job, work });
+  drain();
+
+  return toJobView(job);
+};
+
+/**
+ * Queues a job and waits for it to run, for callers that answer with
+ * the result rather than the job ID
+ *
+ * @param {Object}   details - Same as enqueueJob()
+ * @param {Function} work    - async (reportProgress) => result
+ * @returns {Promise<*>} What work resolved with, or rejects with its error
+ */
+const runQueuedJob = (details, work) => new Promise((resolve, reject) => {
+  let running;
+  const job = enqueueJob(details, (reportProgress) => (running = work(reportProgress)));
+
+  // Settled once the job is marked done, so it no longer counts as active
+  const unsubscribe = subscribeToJob(job.id, (type) => {
+    if (type === 'done')
+    {
+      unsubscribe();
+      running.then(resolve, reject);
+    }
+  });
+});
+
+/**
+ * Looks up one of a user's jobs
+ * @param {string} jobId
+ * @param {number} userId
+ * @returns {Object|null} Public view of the job, null if missing or someone else's
+ */
+const getJob = (jobId, userId) => {
+  const job = jobs.get(jobId);
+  return job && job.userId === userId ? toJobView(job) : null;
+};
+
+/**
+ * Checks if a job has finished, either way
+ * @param {Object} job - Public view of the job
+ * @returns {boolean}
+ */
+const isFinished = (job) => job.status === JOB_STATUSES.COMPLETED || job.status === JOB_STATUSES.FAILED;
+
+/**
+ * Calls listener(type, jobView) on every change to a job
+ * @param {string}   jobId
+ * @param {Function} listener
+ * @returns {Function} Unsubscribes the listener
+ */
+const subscribeToJob = (jobId, listener) => {
+  events.on(jobId, listener);
+  return () => events.off(jobId, listener);
+};
+
+/**
+ * Finds a user's unfinished jobs
+ * @param {number}  userId
+ * @param {Object}  [filter]
+ * @param {boolean} [filter.isTestRun]
+ * @param {number}  [filter.problemId]
+ * @returns {Array} Matching jobs
+ */
+const findActiveJobs = (userId, { isTestRun, problemId } = {}) => [...jobs.values()].filter(job =>
+  job.userId === userId && !isFinished(job) &&
+  (isTestRun === undefined || job.isTestRun === isTestRun) &&
+  (problemId === undefined || job.problemId === Number(problemId))
+);
+
+/**
+ * Counts a user's unfinished jobs.
+ * Graded submissions aren't saved until their job finishes,
+ * so daily limits have to count these too.
+ *
+ * @param {number}  userId
+ * @param {Object}  [filter]
+ * @param {boolean} [filter.isTestRun]
+ * @param {number}  [filter.problemId]
+ * @returns {number}
+ */
+const countActiveJobs = (userId, filter = {}) => findActiveJobs(userId, filter).length;
+
+/**
+ * Waits until none of a user's unfinished jobs are left, e.g. so a mock
+ * test isn't scored while one of its answers is still being graded.
+ * Jobs queued after the call aren't waited for.
+ *
+ * @param {number}  userId
+ * @param {Object}  [filter] - Same as countActiveJobs()
+ * @returns {Promise<void>}
+ */
+const waitForActiveJobs = (userId, filter = {}) => Promise.all(
+  findActiveJobs(userId, filter).map(job => new Promise(resolve => {
+    const unsubscribe = subscribeToJob(job.id, (type) => {
+      if (type === 'done')
+      {
+        unsubscribe();
+        resolve();
+      }
+    });
+  }))
+);
+
+module.exports = {
+  JOB_STATUSES,
+  enqueueJob,
+  runQueuedJob,
+  getJob,
+  isFinished,
+  subscribeToJob,
+  countActiveJobs,
+  waitForActiveJobs,
+};
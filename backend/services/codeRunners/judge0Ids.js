@@ -0,0 +1,61 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     Daniel Landsman
+//  File:          judge0Ids.js
+//  Description:   Judge0 language and status IDs. Every code
+//                 runner speaks these, so the frontend and
+//                 stored answers don't depend on the provider.
+//
+////////////////////////////////////////////////////////////////
+
+// Judge0 programming language IDs
+const LANGUAGE_IDS = {
+  C:      50, // (GCC 9.2.0)
+  CPP:    54, // (GCC 9.2.0)
+  JAVA:   62, // (OpenJDK 13.0.1)
+  PYTHON: 71  // (3.8.1)
+};
+
+// Judge0 execution status IDs
+const STATUS_IDS = {
+  IN_QUEUE:               1,
+  PROCESSING:             2,
+  ACCEPTED:               3,
+  WRONG_ANSWER:           4,
+  TIME_LIMIT_EXCEEDED:    5,
+  COMPILATION_ERROR:      6,
+  RUNTIME_ERROR_SIGSEGV:  7,
+  RUNTIME_ERROR_SIGXFSZ:  8,
+  RUNTIME_ERROR_SIGFPE:   9,
+  RUNTIME_ERROR_SIGABRT:  10,
+  RUNTIME_ERROR_NZEC:     11,
+  RUNTIME_ERROR_OTHER:    12,
+  INTERNAL_ERROR:         13,
+  EXEC_FORMAT_ERROR:      14
+};
+
+// Judge0's description for each status ID
+const STATUS_DESCRIPTIONS = {
+  [STATUS_IDS.IN_QUEUE]:              'In Queue',
+  [STATUS_IDS.PROCESSING]:            'Processing',
+  [STATUS_IDS.ACCEPTED]:              'Accepted',
+  [STATUS_IDS.WRONG_ANSWER]:          'Wrong Answer',
+  [STATUS_IDS.TIME_LIMIT_EXCEEDED]:   'Time Limit Exceeded',
+  [STATUS_IDS.COMPILATION_ERROR]:     'Compilation Error',
+  [STATUS_IDS.RUNTIME_ERROR_SIGSEGV]: 'Runtime Error (SIGSEGV)',
+  [STATUS_IDS.RUNTIME_ERROR_SIGXFSZ]: 'Runtime Error (SIGXFSZ)',
+  [STATUS_IDS.RUNTIME_ERROR_SIGFPE]:  'Runtime Error (SIGFPE)',
+  [STATUS_IDS.RUNTIME_ERROR_SIGABRT]: 'Runtime Error (SIGABRT)',
+  [STATUS_IDS.RUNTIME_ERROR_NZEC]:    'Runtime Error (NZEC)',
+  [STATUS_IDS.RUNTIME_ERROR_OTHER]:   'Runtime Error (Other)',
+  [STATUS_IDS.INTERNAL_ERROR]:        'Internal Error',
+  [STATUS_IDS.EXEC_FORMAT_ERROR]:     'Exec Format Error',
+};
+
+module.exports = {
+  LANGUAGE_IDS,
+  STATUS_IDS,
+  STATUS_DESCRIPTIONS,
+};
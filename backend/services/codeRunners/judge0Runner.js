@@ -0,0 +1,146 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     Daniel Landsman
+//  File:          judge0Runner.js
+//  Description:   Code runner backed by a Judge0 API, either
+//                 Judge0 CE on RapidAPI or a self-hosted instance.
+//
+//  Dependencies:  errorHandler
+//                 judge0Ids
+//
+////////////////////////////////////////////////////////////////
+
+const { AppError } = require("../../middleware/errorHandler");
+const { STATUS_IDS } = require("./judge0Ids");
+
+/**
+ * Creates a runner that talks to a Judge0 API
+ * @param {Object}      options
+ * @param {string}      options.baseUrl      - Judge0 API URL, no trailing slash
+ * @param {Object}      options.headers      - Auth headers sent with every request
+ * @param {string|null} options.configError  - Why the runner can't be used, null if it can
+ * @returns {{ submitBatch: Function, getSubmission: Function, pollSubmission: Function }}
+ */
+const createJudge0Runner = ({ baseUrl, headers, configError = null }) => {
+
+  /**
+   * Submit multiple test cases as a batch to Judge0
+   * @param {string} sourceCode - User code to execute
+   * @param {number} languageId - Judge0 language ID
+   * @param {Array}  testCases - Array of {INPUT, EXPECTED_OUTPUT}
+   * @returns {Promise<Array<string>>} - Array of submission tokens
+   */
+  const submitBatch = async (sourceCode, languageId, testCases) => {
+    if (configError)
+    {
+      throw new AppError(configError, 500, 'Code execution service unavailable.');
+    }
+
+    // Create batch submissions
+    const submissions = testCases.map(testCase => (
+    {
+      source_code: Buffer.from(sourceCode).toString('base64'),
+      language_id: languageId,
+      stdin: testCase.INPUT ? Buffer.from(testCase.INPUT).toString('base64') : '',
+      expected_output: testCase.EXPECTED_OUTPUT
+        ? Buffer.from(testCase.EXPECTED_OUTPUT).toString('base64')
+        : '',
+    }));
+
+    // Use base64 encoding to work with Judge0's UTF-8 parsing
+    const response = await fetch(`${baseUrl}/submissions/batch?base64_encoded=true`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...headers
+      },
+      body: JSON.stringify({ submissions })
+    });
+
+    const data = await response.json();
+
+    if (!response.ok)
+    {
+      throw new AppError(
+        `Judge0 batch submission failed: ${data.message || data.error || 'Unknown error'}`,
+        502,
+        "Code submission failed."
+      );
+    }
+
+    // Extract tokens from response
+    return data.map(item => item.token);
+  };
+
+  /**
+   * Get submission result from Judge0
+   * Helper function for pollSubmission
+   * @param {string} token      - Submission token
+   * @returns {Promise<Object>} - Submission result
+   */
+  const getSubmission = async (token) => {
+    const response = await fetch(
+      `${baseUrl}/submissions/${token}?base64_encoded=true`,
+      {
+        method: 'GET',
+        headers
+      }
+    );
+
+    const data = await response.json();
+
+    // Decode response fields from base64
+    if (data.stdout) data.stdout = Buffer.from(data.stdout, 'base64').toString('utf8');
+    if (data.stderr) data.stderr = Buffer.from(data.stderr, 'base64').toString('utf8');
+    if (data.compile_output) data.compile_output = Buffer.from(data.compile_output, 'base64').toString('utf8');
+
+    if (!response.ok)
+    {
+      console.error('Judge0 API error:', {
+          status: response.status,
+          body: data
+      });
+      throw new AppError(
+        `Failed to get submission results (HTTP ${response.status}): ${data.error || JSON.stringify(data)}`,
+        502,
+        "Failure to get code results"
+      );
+    }
+
+    return data;
+  };
+
+  /**
+   * Poll for submission result with timeout
+   * @param   {string} token        - Submission token
+   * @param   {number} maxAttempts  - Maximum polling attempts (default: 10)
+   * @param   {number} delayMs      - Delay between attempts in ms (default: 1000)
+   * @returns {Promise<Object>}     - Final submission result
+   */
+  const pollSubmission = async (token, maxAttempts = 10, delayMs = 1000) => {
+    for (let attempt = 0; attempt < maxAttempts; attempt++)
+    {
+      const result = await getSubmission(token);
+
+      // Processing complete if status > PROCESSING
+      if (result.status.id > STATUS_IDS.PROCESSING)
+      {
+        return result;
+      }
+
+      // Wait before next poll
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
+
+    throw new AppError(
+      `Submission polling exceeded maximum attempts: ${maxAttempts}`,
+      408,
+      'Code execution timed out.');
+  };
+
+  return { submitBatch, getSubmission, pollSubmission };
+};
+
+module.exports = { createJudge0Runner };
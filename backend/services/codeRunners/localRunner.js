@@ -0,0 +1,386 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          localRunner.js
+//  Description:   Code runner that compiles and runs code in
+//                 subprocesses on this server, with ulimit CPU,
+//                 memory and file size limits. Results use
+//                 Judge0's format.
+//
+//  Dependencies:  child_process
+//                 errorHandler
+//                 judge0Ids
+//
+////////////////////////////////////////////////////////////////
+
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { AppError } = require('../../middleware/errorHandler');
+const { LANGUAGE_IDS, STATUS_IDS, STATUS_DESCRIPTIONS } = require('./judge0Ids');
+
+// How long results wait to be polled before they're dropped
+const RESULT_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * Builds the compile and run commands for each language.
+ * Sources are saved under Judge0's file names, so Java code needs a Main class.
+ * The JVM reserves far more address space than it uses, so Java gets a heap
+ * limit instead of an address space limit.
+ *
+ * @param {number} memoryLimitKb - Memory limit for running code
+ * @returns {Object} Language settings keyed by Judge0 language ID
+ */
+const buildLanguages = (memoryLimitKb) => ({
+  [LANGUAGE_IDS.C]: {
+    sourceFile:   'main.c',
+    compile:      ['gcc', '-O2', '-o', 'main', 'main.c', '-lm'],
+    run:          ['./main'],
+    limitsMemory: true,
+  },
+  [LANGUAGE_IDS.CPP]: {
+    sourceFile:   'main.cpp',
+    compile:      ['g++', '-O2', '-o', 'main', 'main.cpp'],
+    run:          ['./main'],
+    limitsMemory: true,
+  },
+  [LANGUAGE_IDS.JAVA]: {
+    sourceFile:   'Main.java',
+    compile:      ['javac', 'Main.java'],
+    run:          ['java', `-Xmx${Math.floor(memoryLimitKb / 1024)}m`, '-cp', '.', 'Main'],
+    limitsMemory: false,
+  },
+  [LANGUAGE_IDS.PYTHON]: {
+    sourceFile:   'main.py',
+    compile:      null,
+    run:          ['python3', 'main.py'],
+    limitsMemory: true,
+  },
+});
+
+/**
+ * Normalizes program output the way Judge0 compares it:
+ * trailing whitespace on each line and trailing blank lines are ignored
+ * @param {string|null} text - Raw output
+ * @returns {string}
+ */
+const normalizeOutput = (text) => (text ?? '')
+  .split('\n')
+  .map(line => line.trimEnd())
+  .join('\n')
+  .trimEnd();
+
+/**
+ * Picks the Judge0 status for a finished run
+ * @param {Object}      run                 - Result of runProcess()
+ * @param {string|null} expectedOutput      - Test case output, empty to skip the comparison
+ * @returns {number} Judge0 status ID
+ */
+const getRunStatus = (run, expectedOutput) => {
+  if (run.timedOut)       return STATUS_IDS.TIME_LIMIT_EXCEEDED;
+  if (run.outputExceeded) return STATUS_IDS.RUNTIME_ERROR_SIGXFSZ;
+
+  switch (run.signal)
+  {
+    case null:      break;
+    case 'SIGXCPU':
+    case 'SIGKILL': return STATUS_IDS.TIME_LIMIT_EXCEEDED;
+    case 'SIGSEGV': return STATUS_IDS.RUNTIME_ERROR_SIGSEGV;
+    case 'SIGXFSZ': return STATUS_IDS.RUNTIME_ERROR_SIGXFSZ;
+    case 'SIGFPE':  return STATUS_IDS.RUNTIME_ERROR_SIGFPE;
+    case 'SIGABRT': return STATUS_IDS.RUNTIME_ERROR_SIGABRT;
+    default:        return STATUS_IDS.RUNTIME_ERROR_OTHER;
+  }
+
+  if (run.exitCode !== 0) return STATUS_IDS.RUNTIME_ERROR_NZEC;
+
+  if (expectedOutput && normalizeOutput(run.stdout) !== normalizeOutput(expectedOutput))
+  {
+    return STATUS_IDS.WRONG_ANSWER;
+  }
+  return STATUS_IDS.ACCEPTED;
+};
+
+/**
+ * Builds a Judge0-shaped submission result
+ * @param {number} statusId - Judge0 status ID
+ * @param {Object} fields   - stdout, stderr, compile_output, time
+ * @returns {Object}
+ */
+const buildResult = (statusId, { stdout = null, stderr = null, compile_output = null, time = null } = {}) => ({
+  status: { id: statusId, description: STATUS_DESCRIPTIONS[statusId] },
+  stdout:  stdout || null,
+  stderr:  stderr || null,
+  compile_output: compile_output || null,
+  time,
+  memory: null,
+});
+
+/**
+ * Runs a command in its own process group under ulimit limits.
+ * The whole group is killed on the wall clock limit or once output
+ * passes maxOutputBytes. The environment is reduced to PATH and HOME
+ * so user code can't read the server's secrets.
+ *
+ * @param {Array<string>} argv                 - Command and arguments
+ * @param {Object}        options
+ * @param {string}        options.cwd
+ * @param {string}        [options.stdin]
+ * @param {number}        options.wallTimeMs
+ * @param {number}        options.cpuSeconds
+ * @param {number|null}   options.memoryKb     - Address space limit, null for none
+ * @param {number|null}   options.fileSizeKb   - Largest file that may be written, null for none
+ * @param {number}        options.maxOutputBytes
+ * @returns {Promise<{ stdout: string, stderr: string, exitCode: number|null, signal: string|null,
+ *                     timedOut: boolean, outputExceeded: boolean, time: string }>}
+ */
+const runProcess = (argv, { cwd, stdin = '', wallTimeMs, cpuSeconds, memoryKb, fileSizeKb, maxOutputBytes }) => {
+  // Code gets SIGXCPU at the CPU limit, and SIGKILL a second later if it ignores that.
+  // POSIX sh counts ulimit -f in 512-byte blocks.
+  const limits = [`ulimit -S -t ${cpuSeconds}`, `ulimit -H -t ${cpuSeconds + 1}`];
+  if (memoryKb)   limits.push(`ulimit -v ${memoryKb}`);
+  if (fileSizeKb) limits.push(`ulimit -f ${fileSizeKb * 2}`);
+  const script = `${limits.join('; ')}; exec "$@"`;
+
+  return new Promise((resolve, reject) => {
+    const startedAt = process.hrtime.bigint();
+    const child = spawn('/bin/sh', ['-c', script, 'sh', ...argv], {
+      cwd,
+      detached: true,
+      env: { PATH: process.env.PATH, HOME: process.env.HOME, LANG: 'C.UTF-8' },
+    });
+
+    const stdout = [];
+    const stderr = [];
+    let outputBytes = 0;
+    let timedOut = false;
+    let outputExceeded = false;
+
+    const killGroup = () => {
+      try
+      {
+        process.kill(-child.pid, 'SIGKILL');
+      }
+      catch
+      {
+        // Already exited
+      }
+    };
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      killGroup();
+    }, wallTimeMs);
+
+    const collect = (chunks) => (chunk) => {
+      outputBytes += chunk.length;
+      if (outputBytes > maxOutputBytes)
+      {
+        outputExceeded = true;
+        killGroup();
+        return;
+      }
+      chunks.push(chunk);
+    };
+    child.stdout.on('data', collect(stdout));
+    child.stderr.on('data', collect(stderr));
+
+    // Code that never reads its input closes stdin early
+    child.stdin.on('error', () => {});
+    child.stdin.end(stdin);
+
+    child.on('error', (err) => {
+      clearTimeout(timer);
+      reject(err);
+    });
+
+    child.on('close', (exitCode, signal) => {
+      clearTimeout(timer);
+      const elapsedNs = process.hrtime.bigint() - startedAt;
+      resolve({
+        stdout: Buffer.concat(stdout).toString('utf8'),
+        stderr: Buffer.concat(stderr).toString('utf8'),
+        exitCode,
+        signal,
+        timedOut,
+        outputExceeded,
+        time: (Number(elapsedNs) / 1e9).toFixed(3),
+      });
+    });
+  });
+};
+
+/**
+ * Checks that a compiler or interpreter is on the PATH
+ * @param {string} command
+ * @returns {Promise<boolean>}
+ */
+const isInstalled = (command) => new Promise((resolve) => {
+  const child = spawn('/bin/sh', ['-c', 'command -v "$0"', command], { stdio: 'ignore' });
+  child.on('error', () => resolve(false));
+  child.on('close', (exitCode) => resolve(exitCode === 0));
+});
+
+/**
+ * Creates a runner that executes code on this server
+ * @param {Object} limits - LOCAL_RUNNER from codeRunnerConfig
+ * @returns {{ submitBatch: Function, getSubmission: Function, pollSubmission: Function }}
+ */
+const createLocalRunner = (limits) => {
+  const languages = buildLanguages(limits.MEMORY_LIMIT_KB);
+  const pending = new Map();
+  const installed = new Map();
+
+  // Batches run one at a time so they don't compete for CPU and trip each other's time limits
+  let queue = Promise.resolve();
+
+  /**
+   * Throws if a language's toolchain isn't installed. Checked once per command.
+   * @param {Object} language - Entry from buildLanguages()
+   */
+  const ensureInstalled = async (language) => {
+    const commands = [language.compile?.[0], language.run[0]]
+      .filter(command => command && !command.startsWith('./'));
+
+    for (const command of commands)
+    {
+      if (!installed.has(command))
+      {
+        installed.set(command, await isInstalled(command));
+      }
+      if (!installed.get(command))
+      {
+        throw new AppError(
+          `Local code runner needs ${command}, which is not installed`,
+          500,
+          'Code execution service unavailable.'
+        );
+      }
+    }
+  };
+
+  /**
+   * Compiles once, then runs every test case in a scratch directory
+   * @returns {Promise<Array<Object>>} Judge0-shaped results, in test case order
+   */
+  const runBatch = async (sourceCode, language, testCases) => {
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'knightwise-run-'));
+    try
+    {
+      await fs.writeFile(path.join(workDir, language.sourceFile), sourceCode);
+
+      if (language.compile)
+      {
+        const compiled = await runProcess(language.compile, {
+          cwd:            workDir,
+          wallTimeMs:     limits.COMPILE_TIME_MS,
+          cpuSeconds:     Math.ceil(limits.COMPILE_TIME_MS / 1000),
+          memoryKb:       null,
+          fileSizeKb:     null,
+          maxOutputBytes: limits.MAX_OUTPUT_BYTES,
+        });
+
+        if (compiled.timedOut || compiled.signal || compiled.exitCode !== 0)
+        {
+          const compileOutput = (compiled.stdout + compiled.stderr) ||
+            (compiled.timedOut ? 'Compilation timed out' : 'Compilation failed');
+          return testCases.map(() => buildResult(STATUS_IDS.COMPILATION_ERROR, { compile_output: compileOutput }));
+        }
+      }
+
+      const results = [];
+      for (const testCase of testCases)
+      {
+        const run = await runProcess(language.run, {
+          cwd:            workDir,
+          stdin:          testCase.INPUT ?? '',
+          wallTimeMs:     limits.WALL_TIME_LIMIT_MS,
+          cpuSeconds:     limits.CPU_TIME_LIMIT_S,
+          memoryKb:       language.limitsMemory ? limits.MEMORY_LIMIT_KB : null,
+          fileSizeKb:     limits.MAX_FILE_SIZE_KB,
+          maxOutputBytes: limits.MAX_OUTPUT_BYTES,
+        });
+        results.push(buildResult(getRunStatus(run, testCase.EXPECTED_OUTPUT), run));
+      }
+      return results;
+    }
+    finally
+    {
+      await fs.rm(workDir, { recursive: true, force: true });
+    }
+  };
+
+  /**
+   * Queues test cases to run against the code
+   * @param {string} sourceCode - User code to execute
+   * @param {number} languageId - Judge0 language ID
+   * @param {Array}  testCases  - Array of {INPUT, EXPECTED_OUTPUT}
+   * @returns {Promise<Array<string>>} - One token per test case
+   */
+  const submitBatch = async (sourceCode, languageId, testCases) => {
+    const language = languages[languageId];
+    if (!language)
+    {
+      throw new AppError(`Local code runner has no language ${languageId}`, 400, 'Unsupported language.');
+    }
+    await ensureInstalled(language);
+
+    const batch = queue.then(() => runBatch(sourceCode, language, testCases));
+    queue = batch.catch(() => {});
+
+    return testCases.map((_, index) => {
+      const token = crypto.randomUUID();
+      const result = batch.then(results => results[index]);
+
+      // Errors surface when the token is polled
+      result.catch(() => {});
+      pending.set(token, result);
+      setTimeout(() => pending.delete(token), RESULT_TTL_MS).unref();
+
+      return token;
+    });
+  };
+
+  /**
+   * Waits for a submission's result
+   * @param {string} token      - Submission token
+   * @returns {Promise<Object>} - Submission result
+   */
+  const getSubmission = async (token) => {
+    const result = pending.get(token);
+    if (!result)
+    {
+      throw new AppError(`Unknown local submission token: ${token}`, 404, 'Failure to get code results');
+    }
+    return result;
+  };
+
+  /**
+   * Waits for a submission's result and forgets the token.
+   * Runs are bounded by their own time limits, so there's nothing to poll.
+   * @param {string} token      - Submission token
+   * @returns {Promise<Object>} - Final submission result
+   */
+  const pollSubmission = async (token) => {
+    try
+    {
+      return await getSubmission(token);
+    }
+    finally
+    {
+      pending.delete(token);
+    }
+  };
+
+  return { submitBatch, getSubmission, pollSubmission };
+};
+
+module.exports = {
+  createLocalRunner,
+  normalizeOutput,
+  getRunStatus,
+};
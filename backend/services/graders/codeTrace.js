@@ -0,0 +1,128 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          codeTrace.js
+//  Description:   Code Trace ("what does this print") question
+//                 grading. The student's output is compared to
+//                 the expected output line by line, with partial
+//                 credit for each line they got right.
+//
+////////////////////////////////////////////////////////////////
+
+/**
+ * Splits output into lines for comparing. Whitespace inside a line
+ * is collapsed to one space and trimmed, and blank lines before and
+ * after the output are dropped, since students can't see them.
+ * Blank lines in the middle of the output still count.
+ *
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function toTraceLines(text)
+{
+  const lines = String(text ?? '')
+    .split(/\r?\n/)
+    .map(line => line.replace(/\s+/g, ' ').trim());
+
+  let start = 0;
+  let end = lines.length;
+  while (start < end && lines[start] === '') start++;
+  while (end > start && lines[end - 1] === '') end--;
+  return lines.slice(start, end);
+}
+
+/**
+ * Counts the lines two outputs have in common, in order (longest common
+ * subsequence), so one missing or extra line doesn't fail every line after it
+ *
+ * @param {Array<string>} actual
+ * @param {Array<string>} expected
+ * @returns {number}
+ */
+function countMatchingLines(actual, expected)
+{
+  let previous = new Array(expected.length + 1).fill(0);
+  for (const line of actual)
+  {
+    const current = [0];
+    for (let j = 0; j < expected.length; j++)
+    {
+      current.push(line === expected[j]
+        ? previous[j] + 1
+        : Math.max(previous[j + 1], current[j]));
+    }
+    previous = current;
+  }
+  return previous[expected.length];
+}
+
+/**
+ * Scores output against one expected output. Lines matched are divided by
+ * the longer of the two, so extra lines cost as much as missing ones.
+ *
+ * @param {Array<string>} actual   - From toTraceLines()
+ * @param {Array<string>} expected - From toTraceLines()
+ * @returns {{ matched: number, normalizedScore: number }}
+ */
+function scoreTraceLines(actual, expected)
+{
+  const total = Math.max(actual.length, expected.length);
+  const matched = countMatchingLines(actual, expected);
+  return { matched, normalizedScore: total === 0 ? 1 : matched / total };
+}
+
+/**
+ * Grade code trace question, against the closest accepted output
+ * @param {string} userAnswer    - Output the user typed
+ * @param {Array} correctAnswers - Accepted outputs from database
+ * @returns {Object}             - Returns the object shown below:
+ *                                 {
+ *                                   normalizedScore: number (0.0 to 1.0),
+ *                                   feedback:        string
+ *                                 }
+ */
+function gradeCodeTrace(userAnswer, correctAnswers)
+{
+  if (!correctAnswers || correctAnswers.length === 0)
+  {
+    throw new Error('No expected output found in database');
+  }
+
+  const userLines = toTraceLines(typeof userAnswer === 'string' ? userAnswer : '');
+
+  let best = null;
+  for (const answer of correctAnswers)
+  {
+    const expectedLines = toTraceLines(answer.TEXT);
+    const score = scoreTraceLines(userLines, expectedLines);
+    if (!best || score.normalizedScore > best.normalizedScore)
+    {
+      best = { ...score, expectedLines };
+    }
+  }
+
+  if (best.normalizedScore === 1)
+  {
+    return {
+      normalizedScore: 1.0,
+      feedback:        "Correct!"
+    };
+  }
+
+  const expectedOutput = best.expectedLines.join('\n');
+  const feedback = (userLines.length === 0 || best.matched === 0)
+    ? `Incorrect. The expected output is:\n${expectedOutput}`
+    : `${best.matched} of ${best.expectedLines.length} lines correct. The expected output is:\n${expectedOutput}`;
+
+  return {
+    normalizedScore: best.normalizedScore,
+    feedback:        feedback
+  };
+}
+
+module.exports = {
+  toTraceLines,
+  gradeCodeTrace,
+};
@@ -6,8 +6,12 @@
 //  File:          dragAndDrop.js
 //  Description:   Drag and drop question grading.
 //
+//  Dependencies:  gradingPolicyConfig
+//
 ////////////////////////////////////////////////////////////////
 
+const { SCORING_MODES, DEFAULT_PENALTY } = require('../../config/gradingPolicyConfig');
+
 /**
  * Grade drag-and-drop question
  * @param {Object} userPlacements  - { itemText: placementCategory } mappings from user
@@ -17,15 +21,18 @@
  *                                     "console.log()":         "JavaScript"
  *                                   }
  * @param {Array}  correctMappings - Correct mappings from DB
+ * @param {Object} [policy]        - From resolveGradingPolicy(), with negative marking
+ *                                   items placed wrong take off part of a right one
  * @returns {Object}               - Returns the object shown below:
  *                                   { 
  *                                     normalizedScore: number (0.0 to 1.0), 
  *                                     feedback:        string 
  *                                   }
  */
-function gradeDragAndDrop(userPlacements, correctMappings) 
+function gradeDragAndDrop(userPlacements, correctMappings, { scoring = SCORING_MODES.PARTIAL, penalty = DEFAULT_PENALTY } = {}) 
 {
   let correctPlacements = 0;
+  let incorrectPlacements = 0;
   let totalMappings = correctMappings.length;
 
   if (totalMappings === 0)
@@ -56,9 +63,16 @@ function gradeDragAndDrop(userPlacements, correctMappings)
     {
       correctPlacements++;
     }
+    else if (userProcessed)
+    {
+      incorrectPlacements++;
+    }
   });
   
-  const normalizedScore = correctPlacements / totalMappings;
+  // Items left unplaced cost nothing, even with negative marking
+  const normalizedScore = scoring === SCORING_MODES.NEGATIVE
+    ? Math.max(0, (correctPlacements - penalty * incorrectPlacements) / totalMappings)
+    : correctPlacements / totalMappings;
   
   return {
     normalizedScore,
@@ -5,30 +5,223 @@
 //  Author(s):     Daniel Landsman
 //  File:          fillInTheBlanks.js
 //  Description:   Fill-in-the-blanks question grading.
+//                 Questions have one blank, graded with fuzzy
+//                 matching, or several named blanks in the text
+//                 (Question.BLANKS), each with its own accepted
+//                 answers, match mode and weight.
+//                 The question's grading policy sets how alike a
+//                 fuzzy match has to be to get any credit, and if
+//                 wrong blanks take credit off.
 //
 //  Dependencies:  js-levenshtein
+//                 fillInTheBlanksConfig
+//                 gradingPolicyConfig
 //
 ////////////////////////////////////////////////////////////////
 
 const levenshtein = require('js-levenshtein');
+const { MATCH_MODES, MAX_REGEX_ANSWER_LENGTH } = require('../../config/fillInTheBlanksConfig');
+const { SCORING_MODES, DEFAULT_PENALTY, DEFAULT_FUZZY_THRESHOLD } = require('../../config/gradingPolicyConfig');
 
 /**
- * Grade fill-in-the-blank question with fuzzy matching
- * @param {string} userAnswer    - User's typed answer
- * @param {Array} correctAnswers - Array of acceptable answers from database
- * @returns {Object}             - Returns the object shown below: 
+ * Reads a question's blanks, from a request, a bundle question or
+ * Question.BLANKS. Values are only converted here, so bad ones
+ * (like a weight of "abc", read as NaN) are left for the rules to report.
+ * @param {*} raw - Array of blanks or its JSON, null, blank or empty for a single blank question
+ * @returns {Array<{ id: string, matchMode: string, weight: number }>|null}
+ */
+function readBlanks(raw)
+{
+  if (raw === null || raw === undefined || raw === '') return null;
+
+  let blanks = raw;
+  if (typeof raw === 'string')
+  {
+    try { blanks = JSON.parse(raw); }
+    catch { blanks = null; }
+  }
+  // Something that isn't a list reads as one blank with no ID, which the rules report
+  if (!Array.isArray(blanks)) blanks = [{}];
+  if (blanks.length === 0) return null;
+
+  return blanks.map(blank => ({
+    id:        typeof blank?.id === 'string' ? blank.id.trim() : '',
+    matchMode: blank?.matchMode ?? MATCH_MODES.EXACT,
+    weight:    blank?.weight === undefined || blank?.weight === null ? 1 : Number(blank.weight),
+  }));
+}
+
+/**
+ * Finds the accepted answer closest to a typed answer by edit distance
+ * @param {string} userProcessed    - Typed answer, trimmed and lowercased
+ * @param {Array} answers           - Accepted answers from database
+ * @param {number} [fuzzyThreshold] - Scores under this are 0
+ * @returns {{ score: number, closestAnswer: string }} score is 0.0 to 1.0
+ */
+function closestMatch(userProcessed, answers, fuzzyThreshold = DEFAULT_FUZZY_THRESHOLD)
+{
+  let closestDistance = Infinity;
+  let closestAnswer = null;
+
+  answers.forEach(answer => {
+    const distance = levenshtein(userProcessed, answer.TEXT.trim().toLowerCase());
+    if (distance < closestDistance) 
+    {
+      closestDistance = distance;
+      closestAnswer = answer.TEXT;
+    }
+  });
+
+  // High distance means user was more far off, so lower score
+  const maxLen = Math.max(userProcessed.length, closestAnswer.length);
+  const likeness = (maxLen === 0) // Let's not divide by 0 here
+    ? 1
+    : Math.max(0, 1 - closestDistance / maxLen);
+
+  return { score: likeness < fuzzyThreshold ? 0 : likeness, closestAnswer };
+}
+
+/**
+ * Checks if a typed answer is the whole of a regex blank's pattern.
+ * Patterns are checked when the question is saved, one that
+ * still doesn't compile matches nothing.
+ * @param {string} entered - Typed answer, trimmed
+ * @param {string} pattern - AnswerText.TEXT
+ * @returns {boolean}
+ */
+function matchesPattern(entered, pattern)
+{
+  if (entered.length > MAX_REGEX_ANSWER_LENGTH) return false;
+  try
+  {
+    return new RegExp(`^(?:${pattern.trim()})$`).test(entered);
+  }
+  catch
+  {
+    return false;
+  }
+}
+
+/**
+ * Scores what was typed into one blank against its accepted answers
+ * @param {string} entered   - Typed answer
+ * @param {Array} answers    - The blank's accepted answers from database
+ * @param {string} matchMode - MATCH_MODES value
+ * @param {number} [fuzzyThreshold] - Fuzzy scores under this are 0
+ * @returns {number} 0.0 to 1.0, only fuzzy blanks get partial credit
+ */
+function scoreBlank(entered, answers, matchMode, fuzzyThreshold = DEFAULT_FUZZY_THRESHOLD)
+{
+  const collapse = text => text.trim().replace(/\s+/g, ' ');
+  const typed = collapse(entered);
+  if (!typed) return 0;
+
+  switch (matchMode)
+  {
+    case MATCH_MODES.CASE_SENSITIVE:
+      return answers.some(answer => collapse(answer.TEXT) === typed) ? 1 : 0;
+    case MATCH_MODES.FUZZY:
+      return closestMatch(typed.toLowerCase(), answers, fuzzyThreshold).score;
+    case MATCH_MODES.REGEX:
+      return answers.some(answer => matchesPattern(entered.trim(), answer.TEXT)) ? 1 : 0;
+    default:
+      return answers.some(answer => collapse(answer.TEXT).toLowerCase() === typed.toLowerCase()) ? 1 : 0;
+  }
+}
+
+/**
+ * Grade fill-in-the-blank question with several named blanks.
+ * Each blank is scored on its own, the score is their weighted average.
+ * With negative marking, blanks answered with no credit take off the
+ * penalty times their weight. Blanks left empty cost nothing.
+ * Blanks are numbered for students in the order they're listed.
+ * @param {Object} userAnswer    - { blankId: typed answer }
+ * @param {Array} correctAnswers - Accepted answers from database, with BLANK_ID
+ * @param {Array} blanks         - From readBlanks()
+ * @param {Object} policy        - { scoring, penalty, fuzzyThreshold }
+ * @returns {Object}             - Returns the object shown below:
  *                                 {
- *                                   normalizedScore: number (0.0 to 1.0), 
- *                                   feedback:        string 
+ *                                   normalizedScore: number (0.0 to 1.0),
+ *                                   feedback:        string,
+ *                                   blanks:          [{ id: string, score: number }]
  *                                 }
  */
-function gradeFillInTheBlanks(userAnswer, correctAnswers) 
+function gradeBlanks(userAnswer, correctAnswers, blanks, { scoring, penalty, fuzzyThreshold })
+{
+  const entered = (userAnswer && typeof userAnswer === 'object' && !Array.isArray(userAnswer)) ? userAnswer : {};
+
+  let earned = 0;
+  let totalWeight = 0;
+  const results = blanks.map((blank, i) => {
+    const answers = correctAnswers.filter(answer => answer.BLANK_ID === blank.id);
+    if (answers.length === 0)
+    {
+      throw new Error(`No acceptable answers found in database for blank "${blank.id}"`);
+    }
+
+    const typed = typeof entered[blank.id] === 'string' ? entered[blank.id] : '';
+    const score = scoreBlank(typed, answers, blank.matchMode, fuzzyThreshold);
+    earned += score * blank.weight;
+    totalWeight += blank.weight;
+    if (scoring === SCORING_MODES.NEGATIVE && score === 0 && typed.trim())
+    {
+      earned -= penalty * blank.weight;
+    }
+
+    // A pattern isn't something to show as the answer, so regex blanks say what it has to match
+    const shown = blank.matchMode === MATCH_MODES.REGEX ? `a match for /${answers[0].TEXT.trim()}/` : answers[0].TEXT;
+    return { id: blank.id, score, missed: score < 1 ? `blank ${i + 1}: ${shown}` : null };
+  });
+
+  const normalizedScore = totalWeight > 0 ? Math.max(0, earned / totalWeight) : 0;
+  const missed = results.filter(result => result.missed).map(result => result.missed);
+  const correctCount = results.length - missed.length;
+
+  let feedback = 'Correct!';
+  if (missed.length > 0)
+  {
+    feedback = correctCount > 0
+      ? `${correctCount} of ${results.length} blanks correct. The correct answers are: ${missed.join('; ')}`
+      : `Incorrect. The correct answers are: ${missed.join('; ')}`;
+  }
+
+  return {
+    normalizedScore,
+    feedback,
+    blanks: results.map(({ id, score }) => ({ id, score })),
+  };
+}
+
+/**
+ * Grade fill-in-the-blank question with fuzzy matching
+ * @param {string|Object} userAnswer - User's typed answer, { blankId: typed answer } with blanks
+ * @param {Array} correctAnswers     - Array of acceptable answers from database
+ * @param {Array|null} [blanks]      - Question.BLANKS from readBlanks(), null for a single blank
+ * @param {Object} [policy]          - From resolveGradingPolicy(), uses its scoring,
+ *                                     penalty and fuzzyThreshold
+ * @returns {Object}                 - Returns the object shown below: 
+ *                                     {
+ *                                       normalizedScore: number (0.0 to 1.0), 
+ *                                       feedback:        string,
+ *                                       blanks?:         [{ id, score }] (with blanks only)
+ *                                     }
+ */
+function gradeFillInTheBlanks(userAnswer, correctAnswers, blanks = null, {
+  scoring = SCORING_MODES.PARTIAL,
+  penalty = DEFAULT_PENALTY,
+  fuzzyThreshold = DEFAULT_FUZZY_THRESHOLD,
+} = {}) 
 {
   if (!correctAnswers || correctAnswers.length === 0)
   {
     throw new Error('No acceptable answers found in database');
   }
 
+  if (blanks && blanks.length > 0)
+  {
+    return gradeBlanks(userAnswer, correctAnswers, blanks, { scoring, penalty, fuzzyThreshold });
+  }
+
   // This is what we show the user as the correct answer
   const displayAnswer = correctAnswers[0].TEXT;
 
@@ -50,27 +243,9 @@ function gradeFillInTheBlanks(userAnswer, correctAnswers)
       };
     }
 
-    // Check for closest match
-    let closestDistance = Infinity;
-    let closestAnswer = null;
-
-    correctAnswers.forEach(answer => {
-      const distance = levenshtein(userProcessed, answer.TEXT.trim().toLowerCase());
-      if (distance < closestDistance) 
-      {
-        closestDistance = distance;
-        closestAnswer = answer.TEXT;
-      }
-    });
-
     // Award partial credit based on how closely user input
     // matches the closest valid answer
-    const maxLen = Math.max(userProcessed.length, closestAnswer.length);
-
-    // High distance means user was more far off, so lower score
-    const normalizedScore = (maxLen === 0) // Let's not divide by 0 here
-      ? 1
-      : Math.max(0, 1 - closestDistance / maxLen);
+    const { score: normalizedScore, closestAnswer } = closestMatch(userProcessed, correctAnswers, fuzzyThreshold);
 
     // Arbitrary cutoff point, feedback starts recognizing
     // answer as "almost correct" if score >= 0.5
@@ -91,4 +266,4 @@ function gradeFillInTheBlanks(userAnswer, correctAnswers)
   };
 }
 
-module.exports = { gradeFillInTheBlanks };
+module.exports = { readBlanks, gradeFillInTheBlanks };
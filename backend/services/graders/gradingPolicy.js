@@ -0,0 +1,84 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          gradingPolicy.js
+//  Description:   Reading a question's grading policy and filling
+//                 in what it leaves out with its type's defaults.
+//
+//                 Policies are Question.GRADING_POLICY:
+//                   { scoring, penalty, fuzzyThreshold, rankingMetric }
+//                 Any of them can be left out (or null).
+//
+//  Dependencies:  gradingPolicyConfig
+//
+////////////////////////////////////////////////////////////////
+
+const {
+        SCORING_MODES,
+        RANKING_METRICS,
+        DEFAULT_SCORING_MODES,
+        DEFAULT_PENALTY,
+        DEFAULT_FUZZY_THRESHOLD,
+      } = require('../../config/gradingPolicyConfig');
+
+/**
+ * Reads a question's grading policy, from a request, a bundle question or
+ * Question.GRADING_POLICY. Values are only converted here, so bad ones
+ * (like a penalty of "abc", read as NaN) are left for the rules to report.
+ * @param {*} raw - Policy object or JSON, null or blank for none
+ * @returns {{ scoring: string|null, penalty: number|null, fuzzyThreshold: number|null, rankingMetric: string|null }|null}
+ *          Settings left out are null
+ */
+function readGradingPolicy(raw)
+{
+  if (raw === null || raw === undefined || raw === '') return null;
+
+  let policy = raw;
+  if (typeof raw === 'string')
+  {
+    try { policy = JSON.parse(raw); }
+    catch { policy = null; }
+  }
+  // Something that isn't an object reads as its scoring mode, which the rules report if it's unknown
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy))
+  {
+    policy = { scoring: String(policy ?? raw) };
+  }
+
+  const toNumber = value => (value === undefined || value === null || value === '' ? null : Number(value));
+  return {
+    scoring:        policy.scoring ?? null,
+    penalty:        toNumber(policy.penalty),
+    fuzzyThreshold: toNumber(policy.fuzzyThreshold),
+    rankingMetric:  policy.rankingMetric ?? null,
+  };
+}
+
+/**
+ * Fills in a policy with its question type's defaults. Unknown values
+ * (reported when the question is saved) grade like the defaults.
+ * @param {string} type        - Question.TYPE, already normalized
+ * @param {Object|null} policy - From readGradingPolicy()
+ * @returns {{ scoring: string, penalty: number, fuzzyThreshold: number, rankingMetric: string }}
+ */
+function resolveGradingPolicy(type, policy = null)
+{
+  const defaultScoring = DEFAULT_SCORING_MODES[type] ?? SCORING_MODES.PARTIAL;
+  const scoring = Object.values(SCORING_MODES).includes(policy?.scoring) ? policy.scoring : defaultScoring;
+  const penalty = policy?.penalty;
+  const fuzzyThreshold = policy?.fuzzyThreshold;
+
+  return {
+    scoring,
+    penalty:        Number.isFinite(penalty) && penalty >= 0 ? penalty : DEFAULT_PENALTY,
+    fuzzyThreshold: Number.isFinite(fuzzyThreshold) && fuzzyThreshold >= 0 ? fuzzyThreshold : DEFAULT_FUZZY_THRESHOLD,
+    rankingMetric:  Object.values(RANKING_METRICS).includes(policy?.rankingMetric) ? policy.rankingMetric : RANKING_METRICS.KENDALL,
+  };
+}
+
+module.exports = {
+  readGradingPolicy,
+  resolveGradingPolicy,
+};
@@ -0,0 +1,232 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          numeric.js
+//  Description:   Numeric question grading. Answers are read as
+//                 decimal (1024, 1,024, 1e3, -0.5), hex (0x400)
+//                 or binary (0b10000000000) numbers and compared
+//                 within the question's tolerance, with partial
+//                 credit for answers inside a wider credit band.
+//
+//                 Settings are Question.NUMERIC_SETTINGS:
+//                   { tolerance, toleranceType, unit,
+//                     creditBands: [{ tolerance, credit }] }
+//
+//  Dependencies:  numericAnswerConfig
+//
+////////////////////////////////////////////////////////////////
+
+const { TOLERANCE_TYPES, DEFAULT_NUMERIC_SETTINGS } = require('../../config/numericAnswerConfig');
+
+const DECIMAL = /^[+-]?(?:\d+(?:\.\d*)?|\.\d+)(?:e[+-]?\d+)?$/i;
+const GROUPED_DECIMAL = /^[+-]?\d{1,3}(?:,\d{3})+(?:\.\d+)?$/;
+const PREFIXED = /^([+-]?)0([xbo])([0-9a-f]+)$/i;
+const RADIX_DIGITS = {
+  x: { radix: 16, digits: /^[0-9a-f]+$/i },
+  b: { radix: 2,  digits: /^[01]+$/ },
+  o: { radix: 8,  digits: /^[0-7]+$/ },
+};
+
+// A number followed by a unit, e.g. "12 ms" or "40%"
+const WITH_UNIT = /^(.*?)\s*([A-Za-z%µ°][^\d\s]*)$/;
+
+/**
+ * Reads a number typed as decimal, hex (0x), binary (0b) or octal (0o).
+ * Underscores between digits and commas between thousands are ignored.
+ *
+ * @param {*} text
+ * @returns {number|null} Null if it isn't a number
+ */
+function parseNumber(text)
+{
+  if (typeof text !== 'string') return null;
+  const compact = text.trim().replace(/(?<=[0-9a-f])_(?=[0-9a-f])/gi, '');
+
+  const prefixed = compact.match(PREFIXED);
+  if (prefixed)
+  {
+    const { radix, digits } = RADIX_DIGITS[prefixed[2].toLowerCase()];
+    if (!digits.test(prefixed[3])) return null;
+    const value = parseInt(prefixed[3], radix);
+    return prefixed[1] === '-' ? -value : value;
+  }
+
+  const plain = GROUPED_DECIMAL.test(compact) ? compact.replace(/,/g, '') : compact;
+  if (!DECIMAL.test(plain)) return null;
+  const value = Number(plain);
+  return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Reads an answer, with or without a unit after the number
+ *
+ * @param {*}           text
+ * @param {string|null} [unit] - The question's unit, matched without case
+ * @returns {{ value: number, unit: string|null }|null} unit is null when none was given
+ */
+function readNumericAnswer(text, unit = null)
+{
+  if (typeof text !== 'string') return null;
+
+  const value = parseNumber(text);
+  if (value !== null) return { value, unit: null };
+
+  const trimmed = text.trim();
+  if (unit && trimmed.toLowerCase().endsWith(unit.toLowerCase()))
+  {
+    const withoutUnit = parseNumber(trimmed.slice(0, trimmed.length - unit.length));
+    if (withoutUnit !== null) return { value: withoutUnit, unit };
+  }
+
+  const match = trimmed.match(WITH_UNIT);
+  const beforeUnit = match ? parseNumber(match[1]) : null;
+  return beforeUnit === null ? null : { value: beforeUnit, unit: match[2] };
+}
+
+/**
+ * Reads a Numeric question's settings, from a request, a bundle question
+ * or Question.NUMERIC_SETTINGS. Values are only converted here, so bad
+ * ones (like a tolerance of "abc", read as NaN) are left for the rules to report.
+ * @param {*} raw - Settings object or JSON, null or blank for none
+ * @returns {{ tolerance: number, toleranceType: string, unit: string|null, creditBands: Array<{ tolerance: number, credit: number }> }|null}
+ */
+function readNumericSettings(raw)
+{
+  if (raw === null || raw === undefined || raw === '') return null;
+
+  let settings = raw;
+  if (typeof raw === 'string')
+  {
+    try { settings = JSON.parse(raw); }
+    catch { settings = null; }
+  }
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings))
+  {
+    settings = { tolerance: NaN };
+  }
+
+  const unit = typeof settings.unit === 'string' ? settings.unit.trim() : '';
+  return {
+    tolerance:     settings.tolerance === undefined || settings.tolerance === null ? 0 : Number(settings.tolerance),
+    toleranceType: settings.toleranceType ?? TOLERANCE_TYPES.ABSOLUTE,
+    unit:          unit || null,
+    creditBands:   Array.isArray(settings.creditBands)
+      ? settings.creditBands.map(band => ({ tolerance: Number(band?.tolerance), credit: Number(band?.credit) }))
+      : [],
+  };
+}
+
+/**
+ * Checks if a value is within a tolerance of the expected value.
+ * Relative tolerances are a share of the expected value, and fall back
+ * to absolute when it's 0. A little slack is allowed for rounding,
+ * since 3.15 - 3.14 comes out a hair over 0.01 in floating point.
+ *
+ * @param {number} actual
+ * @param {number} expected
+ * @param {number} tolerance
+ * @param {string} toleranceType - TOLERANCE_TYPES value
+ * @returns {boolean}
+ */
+function isWithin(actual, expected, tolerance, toleranceType)
+{
+  const scale = toleranceType === TOLERANCE_TYPES.RELATIVE && expected !== 0 ? Math.abs(expected) : 1;
+  const limit = tolerance * scale;
+  const slack = limit * 1e-9 + Math.max(Math.abs(actual), Math.abs(expected)) * Number.EPSILON * 4;
+  return Math.abs(actual - expected) <= limit + slack;
+}
+
+/**
+ * Scores a value against one expected value: full marks within the
+ * tolerance, else the best credit band it falls in
+ *
+ * @param {number} actual
+ * @param {number} expected
+ * @param {Object} settings - Filled in numeric settings
+ * @returns {number} 0.0 to 1.0
+ */
+function scoreNumber(actual, expected, { tolerance, toleranceType, creditBands })
+{
+  if (isWithin(actual, expected, tolerance, toleranceType)) return 1;
+
+  return creditBands
+    .filter(band => isWithin(actual, expected, band.tolerance, toleranceType))
+    .reduce((best, band) => Math.max(best, band.credit), 0);
+}
+
+/**
+ * Grade numeric question, against the closest correct answer
+ * @param {string} userAnswer      - User's typed answer
+ * @param {Array} correctAnswers   - Correct answers from database, each one a number
+ * @param {Object|null} [settings] - Question.NUMERIC_SETTINGS, exact answers only if null
+ * @returns {Object}               - Returns the object shown below:
+ *                                   {
+ *                                     normalizedScore: number (0.0 to 1.0),
+ *                                     feedback:        string
+ *                                   }
+ */
+function gradeNumeric(userAnswer, correctAnswers, settings = null)
+{
+  if (!correctAnswers || correctAnswers.length === 0)
+  {
+    throw new Error('No correct answer found in database');
+  }
+
+  const filled = { ...DEFAULT_NUMERIC_SETTINGS, ...settings };
+  const expectedValues = correctAnswers
+    .map(answer => ({ text: answer.TEXT.trim(), answer: readNumericAnswer(answer.TEXT, filled.unit) }))
+    .filter(expected => expected.answer !== null);
+  if (expectedValues.length === 0)
+  {
+    throw new Error('No correct answer in database is a number');
+  }
+
+  // Shown with the unit, unless the author already wrote it in
+  const first = expectedValues[0];
+  const displayAnswer = filled.unit && !first.answer.unit ? `${first.text} ${filled.unit}` : first.text;
+
+  const answer = readNumericAnswer(userAnswer, filled.unit);
+  if (!answer)
+  {
+    return {
+      normalizedScore: 0.0,
+      feedback:        (typeof userAnswer === 'string' && userAnswer.trim())
+        ? `Incorrect. "${userAnswer.trim()}" isn't a number. The correct answer is: ${displayAnswer}`
+        : `Incorrect. The correct answer is: ${displayAnswer}`
+    };
+  }
+
+  // Without a unit on the question, words after the number are ignored
+  if (filled.unit && answer.unit && answer.unit.toLowerCase() !== filled.unit.toLowerCase())
+  {
+    return {
+      normalizedScore: 0.0,
+      feedback:        `Incorrect. The answer should be in ${filled.unit}. The correct answer is: ${displayAnswer}`
+    };
+  }
+
+  const normalizedScore = Math.max(...expectedValues.map(expected => scoreNumber(answer.value, expected.answer.value, filled)));
+  if (normalizedScore === 1)
+  {
+    return {
+      normalizedScore: 1.0,
+      feedback:        "Correct!"
+    };
+  }
+
+  return {
+    normalizedScore: normalizedScore,
+    feedback:        normalizedScore > 0
+      ? `Close! The correct answer is: ${displayAnswer}`
+      : `Incorrect. The correct answer is: ${displayAnswer}`
+  };
+}
+
+module.exports = {
+  parseNumber,
+  readNumericAnswer,
+  readNumericSettings,
+  gradeNumeric,
+};
@@ -0,0 +1,227 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          programming.js
+//  Description:   Programming question grading. Compares each
+//                 test case's output using the case's comparison
+//                 mode and scores by test case weight.
+//
+//  Dependencies:  judge0Ids
+//
+////////////////////////////////////////////////////////////////
+
+const { STATUS_IDS } = require('../codeRunners/judge0Ids');
+
+// TestCase.COMPARISON_MODE values
+const COMPARISON_MODES = Object.freeze({
+  EXACT:      'exact',      // Same text, ignoring leading/trailing whitespace
+  WHITESPACE: 'whitespace', // Same tokens, any whitespace between them
+  FLOAT:      'float',      // Same tokens, numbers within FLOAT_TOLERANCE
+  UNORDERED:  'unordered',  // Same lines in any order
+  REGEX:      'regex',      // Whole output matches EXPECTED_OUTPUT as a pattern
+});
+
+// Used when a float test case has no FLOAT_TOLERANCE
+const DEFAULT_FLOAT_TOLERANCE = 1e-6;
+
+/**
+ * Splits output into whitespace separated tokens
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function tokenize(text)
+{
+  const trimmed = text.trim();
+  return trimmed ? trimmed.split(/\s+/) : [];
+}
+
+/**
+ * Compares two tokens, numerically if both are numbers.
+ * The tolerance is absolute for small values and relative for large ones.
+ *
+ * @param {string} actual
+ * @param {string} expected
+ * @param {number} tolerance
+ * @returns {boolean}
+ */
+function tokensMatch(actual, expected, tolerance)
+{
+  if (actual === expected) return true;
+
+  const actualNumber = Number(actual);
+  const expectedNumber = Number(expected);
+  if (!Number.isFinite(actualNumber) || !Number.isFinite(expectedNumber)) return false;
+
+  return Math.abs(actualNumber - expectedNumber) <= tolerance * Math.max(1, Math.abs(expectedNumber));
+}
+
+/**
+ * Splits output into lines, ignoring trailing whitespace and blank lines
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function toLines(text)
+{
+  return text.split(/\r?\n/).map(line => line.trimEnd()).filter(line => line !== '');
+}
+
+/**
+ * Checks a program's output against a test case's expected output
+ *
+ * @param {string|null} actualOutput   - Program stdout
+ * @param {string}      expectedOutput - TestCase.EXPECTED_OUTPUT, a pattern in regex mode
+ * @param {string}      [mode]         - TestCase.COMPARISON_MODE, exact if missing
+ * @param {number|null} [tolerance]    - TestCase.FLOAT_TOLERANCE, float mode only
+ * @returns {boolean}
+ */
+function checkOutput(actualOutput, expectedOutput, mode = COMPARISON_MODES.EXACT, tolerance = null)
+{
+  const actual = (actualOutput ?? '').replace(/\r\n/g, '\n');
+  const expected = (expectedOutput ?? '').replace(/\r\n/g, '\n');
+
+  switch (mode)
+  {
+    case COMPARISON_MODES.WHITESPACE:
+    {
+      const actualTokens = tokenize(actual);
+      const expectedTokens = tokenize(expected);
+      return actualTokens.length === expectedTokens.length &&
+        actualTokens.every((token, i) => token === expectedTokens[i]);
+    }
+
+    case COMPARISON_MODES.FLOAT:
+    {
+      const actualTokens = tokenize(actual);
+      const expectedTokens = tokenize(expected);
+      const effectiveTolerance = tolerance ?? DEFAULT_FLOAT_TOLERANCE;
+      return actualTokens.length === expectedTokens.length &&
+        actualTokens.every((token, i) => tokensMatch(token, expectedTokens[i], effectiveTolerance));
+    }
+
+    case COMPARISON_MODES.UNORDERED:
+    {
+      const actualLines = toLines(actual).sort();
+      const expectedLines = toLines(expected).sort();
+      return actualLines.length === expectedLines.length &&
+        actualLines.every((line, i) => line === expectedLines[i]);
+    }
+
+    case COMPARISON_MODES.REGEX:
+    {
+      // Patterns are written by question authors, a broken one fails the case
+      try
+      {
+        return new RegExp(`^(?:${expected.trim()})$`).test(actual.trim());
+      }
+      catch (err)
+      {
+        console.error(`Invalid test case pattern /${expected.trim()}/:`, err.message);
+        return false;
+      }
+    }
+
+    default:
+      return actual.trim() === expected.trim();
+  }
+}
+
+/**
+ * Checks if a code runner result passes its test case
+ * @param {Object} result   - Judge0 result from polling
+ * @param {Object} testCase - Test case from database
+ * @returns {boolean}
+ */
+function passesTestCase(result, testCase)
+{
+  return result.status.id === STATUS_IDS.ACCEPTED &&
+    checkOutput(result.stdout, testCase.EXPECTED_OUTPUT, testCase.COMPARISON_MODE, testCase.FLOAT_TOLERANCE);
+}
+
+/**
+ * Status shown for a test case. The runner only reports whether
+ * the code ran, so code that ran but didn't pass is a wrong answer.
+ *
+ * @param {Object}  result - Judge0 result from polling
+ * @param {boolean} passed - Whether the test case passed
+ * @returns {string}
+ */
+function getTestCaseStatus(result, passed)
+{
+  return (!passed && result.status.id === STATUS_IDS.ACCEPTED)
+    ? 'Wrong Answer'
+    : result.status.description;
+}
+
+/**
+ * Grade test case results, calculate score.
+ * Each case is worth its WEIGHT, and hidden cases only report
+ * whether they passed, never their input or output.
+ *
+ * @param {Array}  results        - Judge0 results from polling
+ * @param {Array}  testCases      - Test cases from database
+ * @param {number} pointsPossible - Total points for the problem
+ * @returns {Object}              - Grading summary and detailed results
+ */
+function gradeCodeSubmission(results, testCases, pointsPossible)
+{
+  let passedTests = 0;
+  let passedWeight = 0;
+  let totalWeight = 0;
+
+  const testResults = results.map((result, index) => {
+    const testCase = testCases[index];
+    const weight = parseFloat(testCase.WEIGHT ?? 1);
+    const hidden = Boolean(testCase.IS_HIDDEN);
+
+    const passed = passesTestCase(result, testCase);
+    totalWeight += weight;
+    if (passed)
+    {
+      passedTests++;
+      passedWeight += weight;
+    }
+
+    return {
+      testCaseId: testCase.ID,
+      hidden,
+      weight,
+      input: hidden ? null : testCase.INPUT,
+      expectedOutput: hidden ? null : testCase.EXPECTED_OUTPUT,
+      actualOutput: hidden ? null : (result.stdout?.trim() || null),
+      passed,
+      status: getTestCaseStatus(result, passed),
+      executionTime: result.time,
+      memory: result.memory,
+      // Compile errors don't depend on the input, stderr might echo it
+      error: (hidden ? result.compile_output : (result.stderr || result.compile_output)) || null
+    };
+  });
+
+  // Partial credit for the weight of test cases passed
+  const totalTests = testCases.length;
+  const normalizedScore = (totalWeight > 0 // Let's not divide by 0
+    ? passedWeight/totalWeight
+    : 0.0
+  );
+  const pointsEarned = normalizedScore * pointsPossible;
+  const allPassed = (passedTests === totalTests);
+
+  return {
+    passedTests,
+    totalTests,
+    allPassed,
+    normalizedScore,
+    pointsEarned,
+    testResults
+  };
+}
+
+module.exports = {
+  COMPARISON_MODES,
+  checkOutput,
+  passesTestCase,
+  getTestCaseStatus,
+  gradeCodeSubmission
+};
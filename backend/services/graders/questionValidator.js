@@ -0,0 +1,406 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          questionValidator.js
+//  Description:   Structure rules each question type has to meet
+//                 for its grader. Used when questions are written
+//                 (create, edit, import), before grading a stored
+//                 question, and to scan the bank for bad questions.
+//
+//                 Errors are { field, message, blocksGrading }.
+//                 Errors that block grading make the grader throw,
+//                 or make full marks impossible. The rest are
+//                 authoring rules, like a Multiple Choice question
+//                 needing a wrong answer to pick.
+//
+//  Dependencies:  questionUtils
+//                 programming grader
+//                 numeric grader
+//                 gradingPolicy
+//                 judge0Ids
+//                 codeLimits
+//                 numericAnswerConfig
+//                 fillInTheBlanksConfig
+//                 gradingPolicyConfig
+//
+////////////////////////////////////////////////////////////////
+
+const { QUESTION_TYPES } = require('../../utils/questionUtils');
+const { COMPARISON_MODES } = require('./programming');
+const { readNumericAnswer } = require('./numeric');
+const { resolveGradingPolicy } = require('./gradingPolicy');
+const { LANGUAGE_IDS } = require('../codeRunners/judge0Ids');
+const { MAX_CODE_BYTES } = require('../../config/codeLimits');
+const { TOLERANCE_TYPES, MAX_CREDIT_BANDS, MAX_UNIT_LENGTH } = require('../../config/numericAnswerConfig');
+const {
+        MATCH_MODES,
+        BLANK_MARKER,
+        BLANK_ID_PATTERN,
+        MAX_BLANKS,
+        MAX_BLANK_WEIGHT,
+      } = require('../../config/fillInTheBlanksConfig');
+const {
+        SCORING_MODES,
+        RANKING_METRICS,
+        NEGATIVE_MARKING_TYPES,
+        MAX_PENALTY,
+      } = require('../../config/gradingPolicyConfig');
+
+// TestCase.WEIGHT is decimal(6,2)
+const MAX_WEIGHT = 9999.99;
+
+/**
+ * Converts AnswerText rows to the shape the rules check
+ * @param {Array} rows - AnswerText rows
+ * @returns {Array<Object>} [{ text, isCorrect, rank, placement, blank }]
+ */
+function answersFromRows(rows)
+{
+  return rows.map(row => ({
+    text:      typeof row.TEXT === 'string' ? row.TEXT : '',
+    isCorrect: Boolean(row.IS_CORRECT_ANSWER),
+    rank:      row.RANK === null || row.RANK === undefined ? null : Number(row.RANK),
+    placement: typeof row.PLACEMENT === 'string' ? (row.PLACEMENT.trim() || null) : null,
+    blank:     typeof row.BLANK_ID === 'string' ? (row.BLANK_ID.trim() || null) : null,
+  }));
+}
+
+/**
+ * Converts the parallel answer arrays sent to createquestion and PUT /problems/:id
+ * @param {Array} texts       - answer_text
+ * @param {Array} correctness - answer_correctness, 1 or 0
+ * @param {Array} ranks       - answer_rank
+ * @param {Array} placements  - answer_placement
+ * @param {Array} [blankIds]  - answer_blank, left out for questions without blanks
+ * @returns {Array<Object>} [{ text, isCorrect, rank, placement, blank }]
+ */
+function answersFromRequest(texts, correctness, ranks, placements, blankIds = [])
+{
+  return texts.map((text, i) => ({
+    text:      typeof text === 'string' ? text : '',
+    isCorrect: Boolean(Number(correctness[i])),
+    rank:      ranks[i] === null || ranks[i] === '' ? null : Number(ranks[i]),
+    placement: typeof placements[i] === 'string' ? (placements[i].trim() || null) : null,
+    blank:     typeof blankIds?.[i] === 'string' ? (blankIds[i].trim() || null) : null,
+  }));
+}
+
+/**
+ * Converts TestCase rows to the shape the rules check
+ * @param {Array} rows - TestCase rows
+ * @returns {Array<Object>} [{ input, expectedOutput, isHidden, weight, comparisonMode, floatTolerance }]
+ */
+function testCasesFromRows(rows)
+{
+  return rows.map(row => ({
+    input:          row.INPUT ?? '',
+    expectedOutput: row.EXPECTED_OUTPUT ?? null,
+    isHidden:       Boolean(row.IS_HIDDEN),
+    weight:         row.WEIGHT === null || row.WEIGHT === undefined ? 1 : Number(row.WEIGHT),
+    comparisonMode: row.COMPARISON_MODE ?? COMPARISON_MODES.EXACT,
+    floatTolerance: row.FLOAT_TOLERANCE === null || row.FLOAT_TOLERANCE === undefined ? null : Number(row.FLOAT_TOLERANCE),
+  }));
+}
+
+/**
+ * Reads a Code Trace question's code and language, from a request,
+ * a bundle question or Question.TRACE_CODE and TRACE_LANGUAGE_ID.
+ * Blank code is read as no code, and a language without code as no language.
+ * @param {*} code
+ * @param {*} languageId
+ * @returns {{ traceCode: string|null, traceLanguageId: number|null }}
+ */
+function readTraceCode(code, languageId)
+{
+  const traceCode = typeof code === 'string' && code.trim() !== '' ? code : null;
+  const hasLanguage = traceCode !== null && languageId !== null && languageId !== undefined && languageId !== '';
+  return {
+    traceCode,
+    traceLanguageId: hasLanguage ? Number(languageId) : null,
+  };
+}
+
+/**
+ * Checks a question's answers and test cases against its type's rules
+ *
+ * @param {Object} question
+ * @param {string} question.type            - Question.TYPE, already normalized
+ * @param {Array}  question.answers         - [{ text, isCorrect, rank, placement, blank }]
+ * @param {Array}  [question.testCases]     - Programming test cases, left out when they aren't being changed
+ * @param {Array}  [question.codeTemplates] - Code templates, only checked for being on a Programming question
+ * @param {string|null} [question.traceCode]       - Code Trace code, left out when it isn't being changed
+ * @param {number|null} [question.traceLanguageId] - Code Trace code's Judge0 language ID
+ * @param {Object|null} [question.numericSettings] - From readNumericSettings(), left out when they aren't being changed
+ * @param {Array|null}  [question.blanks]          - From readBlanks(), left out when they aren't being changed
+ * @param {string}      [question.questionText]    - Checked for each blank's [[id]], left out to skip that check
+ * @param {Object|null} [question.gradingPolicy]   - From readGradingPolicy(), left out when it isn't being changed
+ * @returns {Array<{ field: string, message: string, blocksGrading: boolean }>} Empty if the question is valid
+ */
+function validateQuestionStructure({ type, answers, testCases, codeTemplates = [], traceCode, traceLanguageId = null, numericSettings, blanks, questionText, gradingPolicy })
+{
+  const errors = [];
+  const blocking = (field, message) => errors.push({ field, message, blocksGrading: true });
+  const authoring = (field, message) => errors.push({ field, message, blocksGrading: false });
+
+  if (!QUESTION_TYPES.includes(type))
+  {
+    blocking('type', `Unknown question type "${type ?? ''}"`);
+    return errors;
+  }
+
+  const correctCount = answers.filter(answer => answer.isCorrect).length;
+
+  answers.forEach((answer, i) => {
+    if (answer.text.trim() === '') blocking(`answers[${i}].text`, 'text is required');
+  });
+
+  if (type !== 'Programming' && ((testCases ?? []).length > 0 || codeTemplates.length > 0))
+  {
+    authoring('testCases', 'Only Programming questions can have test cases or code templates');
+  }
+  if (type !== 'Code Trace' && traceCode)
+  {
+    authoring('traceCode', 'Only Code Trace questions can have code to trace');
+  }
+  if (type !== 'Numeric' && numericSettings)
+  {
+    authoring('numericSettings', 'Only Numeric questions can have numeric settings');
+  }
+  if (type !== 'Fill in the Blanks' && blanks)
+  {
+    authoring('blanks', 'Only Fill in the Blanks questions can have blanks');
+  }
+
+  // Policies only change how a score is worked out, so a bad one is never blocking
+  if (gradingPolicy && type === 'Programming')
+  {
+    authoring('gradingPolicy', 'Programming questions are scored by their test case weights and can\'t have a grading policy');
+  }
+  else if (gradingPolicy)
+  {
+    const { scoring, penalty, fuzzyThreshold, rankingMetric } = gradingPolicy;
+    if (scoring !== null && !Object.values(SCORING_MODES).includes(scoring))
+    {
+      authoring('gradingPolicy.scoring', `unknown scoring "${scoring}"`);
+    }
+    if (scoring === SCORING_MODES.NEGATIVE && (!NEGATIVE_MARKING_TYPES.includes(type) || (type === 'Fill in the Blanks' && blanks === null)))
+    {
+      authoring('gradingPolicy.scoring', 'negative marking needs an answer in parts: Select All That Apply, Drag and Drop, or Fill in the Blanks with blanks');
+    }
+    if (penalty !== null && !(penalty > 0 && penalty <= MAX_PENALTY))
+    {
+      authoring('gradingPolicy.penalty', `penalty must be more than 0 and at most ${MAX_PENALTY}`);
+    }
+    else if (penalty !== null && resolveGradingPolicy(type, gradingPolicy).scoring !== SCORING_MODES.NEGATIVE)
+    {
+      authoring('gradingPolicy.penalty', 'penalty only applies to negative marking');
+    }
+    if (fuzzyThreshold !== null && !(fuzzyThreshold >= 0 && fuzzyThreshold <= 1))
+    {
+      authoring('gradingPolicy.fuzzyThreshold', 'fuzzyThreshold must be between 0 and 1');
+    }
+    else if (fuzzyThreshold !== null && type !== 'Fill in the Blanks')
+    {
+      authoring('gradingPolicy.fuzzyThreshold', 'only Fill in the Blanks questions have fuzzy matching');
+    }
+    if (rankingMetric !== null && !Object.values(RANKING_METRICS).includes(rankingMetric))
+    {
+      authoring('gradingPolicy.rankingMetric', `unknown rankingMetric "${rankingMetric}"`);
+    }
+    else if (rankingMetric !== null && type !== 'Ranked Choice')
+    {
+      authoring('gradingPolicy.rankingMetric', 'only Ranked Choice questions have a ranking metric');
+    }
+  }
+
+  switch (type)
+  {
+    case 'Multiple Choice':
+      if (answers.length < 2) authoring('answers', 'Multiple Choice needs at least 2 answers');
+      if (correctCount === 0) blocking('answers', 'Multiple Choice needs exactly 1 correct answer, found 0');
+      if (correctCount > 1) authoring('answers', `Multiple Choice needs exactly 1 correct answer, found ${correctCount}`);
+      break;
+
+    case 'Select All That Apply':
+      if (answers.length < 2) authoring('answers', 'Select All That Apply needs at least 2 answers');
+      if (correctCount < 1) blocking('answers', 'Select All That Apply needs at least 1 correct answer');
+      break;
+
+    case 'Fill in the Blanks':
+    {
+      if (correctCount < 1) blocking('answers', 'Fill in the Blanks needs at least 1 accepted answer');
+      if (!blanks) break;
+
+      if (blanks.length > MAX_BLANKS) authoring('blanks', `at most ${MAX_BLANKS} blanks`);
+      const blankIds = blanks.map(blank => blank.id);
+      const markedIds = questionText === undefined
+        ? null
+        : new Set([...String(questionText ?? '').matchAll(BLANK_MARKER)].map(match => match[1]));
+
+      blanks.forEach((blank, i) => {
+        if (!BLANK_ID_PATTERN.test(blank.id))
+        {
+          authoring(`blanks[${i}].id`, 'id must start with a letter and be at most 32 letters, digits, _ or -');
+        }
+        else if (blankIds.indexOf(blank.id) !== i)
+        {
+          authoring(`blanks[${i}].id`, `id "${blank.id}" is already used by another blank`);
+        }
+        else if (markedIds && !markedIds.has(blank.id))
+        {
+          authoring(`blanks[${i}].id`, `put [[${blank.id}]] in the question text where the blank goes`);
+        }
+        if (!Object.values(MATCH_MODES).includes(blank.matchMode))
+        {
+          blocking(`blanks[${i}].matchMode`, `unknown matchMode "${blank.matchMode}"`);
+        }
+        if (!(blank.weight > 0 && blank.weight <= MAX_BLANK_WEIGHT))
+        {
+          authoring(`blanks[${i}].weight`, `weight must be more than 0 and at most ${MAX_BLANK_WEIGHT}`);
+        }
+        if (!answers.some(answer => answer.isCorrect && answer.blank === blank.id))
+        {
+          blocking(`blanks[${i}].id`, `blank "${blank.id}" needs at least 1 accepted answer`);
+        }
+      });
+      for (const id of markedIds ?? [])
+      {
+        if (!blankIds.includes(id)) authoring('questionText', `[[${id}]] in the question text isn't one of the blanks`);
+      }
+
+      answers.forEach((answer, i) => {
+        if (!answer.isCorrect) return;
+        const blank = blanks.find(candidate => candidate.id === answer.blank);
+        if (!blank)
+        {
+          authoring(`answers[${i}].blank`, answer.blank ? `unknown blank "${answer.blank}"` : 'pick the blank this answer is for');
+        }
+        // Template placeholders are checked once the template fills them in
+        else if (blank.matchMode === MATCH_MODES.REGEX && !answer.text.includes('{{'))
+        {
+          try { new RegExp(answer.text.trim()); }
+          catch (err) { blocking(`answers[${i}].text`, `invalid regex (${err.message})`); }
+        }
+      });
+      break;
+    }
+
+    case 'Ranked Choice':
+    {
+      // The grader ranks the correct answers, students rank every option
+      if (answers.length < 2) authoring('answers', 'Ranked Choice needs at least 2 answers');
+      answers.forEach((answer, i) => {
+        if (!answer.isCorrect) blocking(`answers[${i}].isCorrect`, 'Ranked Choice answers are all part of the order, mark each one correct');
+        if (!Number.isInteger(answer.rank) || answer.rank < 1) authoring(`answers[${i}].rank`, 'Ranked Choice answers need a rank of 1 or more');
+      });
+      const ranks = answers.map(answer => answer.rank);
+      if (new Set(ranks).size !== ranks.length) authoring('answers', 'Ranked Choice ranks must all be different');
+      break;
+    }
+
+    case 'Drag and Drop':
+      if (correctCount < 1) blocking('answers', 'Drag and Drop needs at least 1 item');
+      answers.forEach((answer, i) => {
+        if (answer.isCorrect && !answer.placement) blocking(`answers[${i}].placement`, 'Drag and Drop items need a placement');
+      });
+      break;
+
+    case 'Code Trace':
+      // Each correct answer is an accepted output, the first is shown as the expected one
+      if (correctCount < 1) blocking('answers', 'Code Trace needs the expected output as a correct answer');
+      if (traceCode === undefined) break;
+
+      if (!traceCode) authoring('traceCode', 'Code Trace needs code to trace');
+      else if (traceCode.length > MAX_CODE_BYTES) authoring('traceCode', `code must be at most ${MAX_CODE_BYTES} characters`);
+      if (!Object.values(LANGUAGE_IDS).includes(traceLanguageId))
+      {
+        authoring('traceLanguageId', `unsupported language ${traceLanguageId ?? '(none)'}`);
+      }
+      break;
+
+    case 'Numeric':
+    {
+      if (correctCount < 1) blocking('answers', 'Numeric needs at least 1 correct answer');
+      answers.forEach((answer, i) => {
+        // Template placeholders are checked once the template fills them in
+        if (answer.isCorrect && !answer.text.includes('{{') && readNumericAnswer(answer.text, numericSettings?.unit) === null)
+        {
+          blocking(`answers[${i}].text`, 'must be a number, like 42, -3.5, 1e6, 0x2A or 0b101010');
+        }
+      });
+      if (!numericSettings) break;
+
+      const { tolerance, toleranceType, unit, creditBands } = numericSettings;
+      if (!(tolerance >= 0) || !Number.isFinite(tolerance)) authoring('numericSettings', 'tolerance must be 0 or more');
+      if (!Object.values(TOLERANCE_TYPES).includes(toleranceType))
+      {
+        authoring('numericSettings', `unknown toleranceType "${toleranceType}"`);
+      }
+      if (unit && unit.length > MAX_UNIT_LENGTH) authoring('numericSettings', `unit must be at most ${MAX_UNIT_LENGTH} characters`);
+      if (creditBands.length > MAX_CREDIT_BANDS) authoring('numericSettings', `at most ${MAX_CREDIT_BANDS} credit bands`);
+      creditBands.forEach((band, i) => {
+        if (!(band.tolerance > tolerance) || !Number.isFinite(band.tolerance))
+        {
+          authoring(`creditBands[${i}].tolerance`, 'tolerance must be more than the full credit tolerance');
+        }
+        if (!(band.credit > 0 && band.credit < 1)) authoring(`creditBands[${i}].credit`, 'credit must be between 0 and 1');
+      });
+      break;
+    }
+
+    case 'Programming':
+      if (testCases === undefined) break;
+
+      if (testCases.length === 0) blocking('testCases', 'Programming needs at least 1 test case');
+      if (testCases.length > 0 && testCases.every(testCase => testCase.isHidden))
+      {
+        authoring('testCases', 'Programming needs at least 1 sample (not hidden) test case for test runs');
+      }
+      testCases.forEach((testCase, i) => {
+        if (testCase.expectedOutput === null) blocking(`testCases[${i}].expectedOutput`, 'expectedOutput is required');
+        if (!Number.isFinite(testCase.weight) || testCase.weight <= 0 || testCase.weight > MAX_WEIGHT)
+        {
+          authoring(`testCases[${i}].weight`, `weight must be more than 0 and at most ${MAX_WEIGHT}`);
+        }
+        if (!Object.values(COMPARISON_MODES).includes(testCase.comparisonMode))
+        {
+          blocking(`testCases[${i}].comparisonMode`, `unknown comparisonMode "${testCase.comparisonMode}"`);
+        }
+        if (testCase.floatTolerance !== null && !(testCase.floatTolerance >= 0))
+        {
+          authoring(`testCases[${i}].floatTolerance`, 'floatTolerance must be 0 or more');
+        }
+        if (testCase.comparisonMode === COMPARISON_MODES.REGEX && testCase.expectedOutput !== null)
+        {
+          try { new RegExp(testCase.expectedOutput.trim()); }
+          catch (err) { blocking(`testCases[${i}].expectedOutput`, `invalid regex (${err.message})`); }
+        }
+      });
+      break;
+  }
+
+  return errors;
+}
+
+/**
+ * Formats an error as one line, "answers[2]: message" for errors about one item
+ * @param {{ field: string, message: string }} error
+ * @returns {string}
+ */
+function formatValidationError({ field, message })
+{
+  const item = field.match(/^\w+\[\d+\]/);
+  return item ? `${item[0]}: ${message}` : message;
+}
+
+module.exports = {
+  MAX_WEIGHT,
+  answersFromRows,
+  answersFromRequest,
+  testCasesFromRows,
+  readTraceCode,
+  validateQuestionStructure,
+  formatValidationError,
+};
@@ -5,10 +5,15 @@
 //  Author(s):     Daniel Landsman
 //  File:          rankedChoice.js
 //  Description:   Ranked choice question grading.
-//                 Graded using Kendall tau distance.
+//                 Graded using Kendall tau distance, or Spearman
+//                 distance if the question's policy picks it.
+//
+//  Dependencies:  gradingPolicyConfig
 //
 ////////////////////////////////////////////////////////////////
 
+const { RANKING_METRICS } = require('../../config/gradingPolicyConfig');
+
 /**
  * Compute normalized Kendall tau similarity between two rankings,
  * returning a normalized score based on similarity.
@@ -59,18 +64,54 @@ function kendallTauSimilarity(correctRanking, userRanking)
   return normalizedScore;
 }
 
+/**
+ * Compute normalized Spearman similarity between two rankings, from the
+ * squared distance of each item from its correct place. Unlike Kendall tau,
+ * an item far out of place costs much more than a few swapped neighbours.
+ * @param {Array<string>} correctRanking - Correct ranking
+ * @param {Array<string>} userRanking    - User ranking
+ * @returns {number}                     - Normalized score from 0.0 to 1.0
+ */
+function spearmanSimilarity(correctRanking, userRanking)
+{
+  const n = correctRanking.length;
+
+  if (n !== userRanking.length)
+  {
+    throw new Error("Rankings must be the same length");
+  }
+
+  const position = {};
+  correctRanking.forEach((item, idx) => {
+    position[item] = idx;
+  });
+
+  // Items the user ranked that aren't in the correct ranking are as far off as they can be
+  const squaredDistance = userRanking.reduce((sum, item, idx) => {
+    const distance = item in position ? position[item] - idx : n - 1;
+    return sum + distance * distance;
+  }, 0);
+
+  // The reversed ranking is the furthest off any ranking can be
+  const maxSquaredDistance = (n * (n * n - 1)) / 3;
+  return (maxSquaredDistance === 0 // Let's not divide by 0 here
+          ? 1
+          : Math.max(0, 1 - squaredDistance / maxSquaredDistance));
+}
+
 /**
  * Grade ranked choice question
- * Uses Kendall tau distance for partial credit based on how close ranking is
+ * Uses Kendall tau (or Spearman) distance for partial credit based on how close ranking is
  * @param {Array<string>} userRanking - User's ranked list of answers
  * @param {Array}      correctAnswers - Correct ranking from DB (sorted by RANK field)
+ * @param {Object}     [policy]       - From resolveGradingPolicy(), Kendall tau if left out
  * @returns {Object}                  - Returns the object shown below:
  *                                      { 
  *                                        normalizedScore: number (0.0 to 1.0),
  *                                        feedback:        string 
  *                                      }
  */
-function gradeRankedChoice(userRanking, correctAnswers) 
+function gradeRankedChoice(userRanking, correctAnswers, { rankingMetric = RANKING_METRICS.KENDALL } = {}) 
 {
   // Sort correct answers by their RANK field
   const correctRanking = correctAnswers
@@ -91,8 +132,10 @@ function gradeRankedChoice(userRanking, correctAnswers)
     };
   }
   
-  // Calculate score with Kendall tau helper function
-  const normalizedScore = kendallTauSimilarity(correctRanking, userProcessed);
+  // Calculate score with the question's distance helper function
+  const normalizedScore = rankingMetric === RANKING_METRICS.SPEARMAN
+    ? spearmanSimilarity(correctRanking, userProcessed)
+    : kendallTauSimilarity(correctRanking, userProcessed);
   
   return {
     normalizedScore,
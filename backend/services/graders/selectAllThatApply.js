@@ -5,20 +5,29 @@
 //  Author(s):     Daniel Landsman
 //  File:          selectAllThatApply.js
 //  Description:   Select-all-that-apply question grading.
+//                 With negative marking (the default), each wrong
+//                 pick takes off part of a right one. With partial
+//                 credit, each option picked or left alone rightly
+//                 earns its share.
+//
+//  Dependencies:  gradingPolicyConfig
 //
 ////////////////////////////////////////////////////////////////
 
+const { SCORING_MODES, DEFAULT_PENALTY } = require('../../config/gradingPolicyConfig');
+
 /**
  * Grade select-all-that-apply question
  * @param {Array<string>} userAnswers - User's selected answers
  * @param {Array}         allAnswers  - All answer options associated with question
+ * @param {Object}        [policy]    - From resolveGradingPolicy(), negative marking with a penalty of 1 if left out
  * @returns {Object}                  - Returns the object shown below:
  *                                      {
  *                                        normalizedScore: number (0.0 to 1.0)
  *                                        feedback:        string
  *                                      }
  */
-function gradeSelectAllThatApply(userAnswers, allAnswers) 
+function gradeSelectAllThatApply(userAnswers, allAnswers, { scoring = SCORING_MODES.NEGATIVE, penalty = DEFAULT_PENALTY } = {}) 
 {
   const correctAnswers = allAnswers.filter(a => a.IS_CORRECT_ANSWER);
   const correctTexts = new Set(correctAnswers.map(a => a.TEXT.trim().toLowerCase()));
@@ -38,8 +47,11 @@ function gradeSelectAllThatApply(userAnswers, allAnswers)
     }
   });
     
-  // Deduct for incorrectly-chosen answers
-  const normalizedScore = Math.max(0, (correctSelections - incorrectSelections) / correctAnswers.length);
+  // Without negative marking, wrong options left alone count as much as right ones picked,
+  // so picking every option isn't enough
+  const normalizedScore = scoring === SCORING_MODES.NEGATIVE
+    ? Math.max(0, (correctSelections - penalty * incorrectSelections) / correctAnswers.length)
+    : (correctSelections + Math.max(0, allAnswers.length - correctAnswers.length - incorrectSelections)) / allAnswers.length;
   
   return {
     normalizedScore,
@@ -4,169 +4,73 @@
 //  Year:          2026
 //  Author(s):     Daniel Landsman
 //  File:          judge0Service.js
-//  Description:   Service for interacting with Judge0 API
+//  Description:   Service for running code against test cases.
+//                 Hands submissions to the code runner picked
+//                 by CODE_RUNNER (see codeRunnerConfig). Every
+//                 runner takes and returns Judge0's format.
 //
-//  Dependencies:  errorHandler
+//  Dependencies:  codeRunnerConfig
+//                 judge0Runner
+//                 localRunner
 //
 ////////////////////////////////////////////////////////////////
 
-const { AppError } = require("../middleware/errorHandler");
-
-// Fetch and validate API key
-const API_KEY = process.env.RAPIDAPI_KEY;
-if (!API_KEY)
-{
-  console.error('ERROR: RAPIDAPI_KEY environment variable not set, code execution will fail');
-}
-
-const JUDGE0_API_URL = 'https://judge0-ce.p.rapidapi.com';
-const API_HOST = 'judge0-ce.p.rapidapi.com';
-
-// Judge0 programming language IDs
-const LANGUAGE_IDS = {
-  C:      50, // (GCC 9.2.0)
-  CPP:    54, // (GCC 9.2.0)
-  JAVA:   62, // (OpenJDK 13.0.1)
-  PYTHON: 71  // (3.8.1)
-};
-
-// Judge0 execution status IDs
-const STATUS_IDS = {
-  IN_QUEUE:               1,
-  PROCESSING:             2,
-  ACCEPTED:               3,
-  WRONG_ANSWER:           4,
-  TIME_LIMIT_EXCEEDED:    5,
-  COMPILATION_ERROR:      6,
-  RUNTIME_ERROR_SIGSEGV:  7,
-  RUNTIME_ERROR_SIGXFSZ:  8,
-  RUNTIME_ERROR_SIGFPE:   9,
-  RUNTIME_ERROR_SIGABRT:  10,
-  RUNTIME_ERROR_NZEC:     11,
-  RUNTIME_ERROR_OTHER:    12,
-  INTERNAL_ERROR:         13,
-  EXEC_FORMAT_ERROR:      14
-};
+const {
+        CODE_RUNNERS,
+        CODE_RUNNER,
+        RAPIDAPI_JUDGE0,
+        SELF_HOSTED_JUDGE0,
+        LOCAL_RUNNER,
+      } = require('../config/codeRunnerConfig');
+const { LANGUAGE_IDS, STATUS_IDS } = require('./codeRunners/judge0Ids');
+const { createJudge0Runner } = require('./codeRunners/judge0Runner');
+const { createLocalRunner } = require('./codeRunners/localRunner');
 
 /**
- * Submit multiple test cases as a batch to Judge0
- * @param {string} sourceCode - User code to execute
- * @param {number} languageId - Judge0 language ID
- * @param {Array}  testCases - Array of {INPUT, EXPECTED_OUTPUT}
- * @returns {Promise<Array<string>>} - Array of submission tokens
+ * Creates the configured code runner, warning about missing settings
+ * @returns {{ submitBatch: Function, getSubmission: Function, pollSubmission: Function }}
  */
-const submitBatch = async (sourceCode, languageId, testCases) => {
-  if (!API_KEY) 
+const createRunner = () => {
+  switch (CODE_RUNNER)
   {
-    throw new AppError('RAPIDAPI_KEY not set', 500, 'Code execution service unavailable.');
-  }
-
-  // Create batch submissions
-  const submissions = testCases.map(testCase => (
-  {
-    source_code: Buffer.from(sourceCode).toString('base64'),
-    language_id: languageId,
-    stdin: testCase.INPUT ? Buffer.from(testCase.INPUT).toString('base64') : '',
-    expected_output: testCase.EXPECTED_OUTPUT
-      ? Buffer.from(testCase.EXPECTED_OUTPUT).toString('base64')
-      : '',
-  }));
-
-  // Use base64 encoding to work with Judge0's UTF-8 parsing
-  const response = await fetch(`${JUDGE0_API_URL}/submissions/batch?base64_encoded=true`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'X-RapidAPI-Key': API_KEY,
-      'X-RapidAPI-Host': API_HOST
-    },
-    body: JSON.stringify({ submissions })
-  });
-
-  const data = await response.json();
-  
-  if (!response.ok) 
-  {
-    throw new AppError(
-      `Judge0 batch submission failed: ${data.message || 'Unknown error'}`,
-      502,
-      "Code submission failed."
-    );
-  }
-  
-  // Extract tokens from response
-  return data.map(item => item.token);
-};
-
-/**
- * Get submission result from Judge0
- * Helper function for pollSubmission
- * @param {string} token      - Submission token
- * @returns {Promise<Object>} - Submission result
- */
-const getSubmission = async (token) => {
-  const response = await fetch(
-    `${JUDGE0_API_URL}/submissions/${token}?base64_encoded=true`,
+    case CODE_RUNNERS.JUDGE0:
     {
-      method: 'GET',
-      headers: 
+      const { URL, AUTH_TOKEN, AUTH_HEADER } = SELF_HOSTED_JUDGE0;
+      if (!URL)
       {
-        'X-RapidAPI-Key':   API_KEY,
-        'X-RapidAPI-Host':  API_HOST
+        console.error('ERROR: JUDGE0_URL environment variable not set, code execution will fail');
       }
+      return createJudge0Runner({
+        baseUrl:     URL,
+        headers:     AUTH_TOKEN ? { [AUTH_HEADER]: AUTH_TOKEN } : {},
+        configError: URL ? null : 'JUDGE0_URL not set',
+      });
     }
-  );
 
-  const data = await response.json();
-
-  // Decode response fields from base64
-  if (data.stdout) data.stdout = Buffer.from(data.stdout, 'base64').toString('utf8');
-  if (data.stderr) data.stderr = Buffer.from(data.stderr, 'base64').toString('utf8');
-  if (data.compile_output) data.compile_output = Buffer.from(data.compile_output, 'base64').toString('utf8');
+    case CODE_RUNNERS.LOCAL:
+      if (process.env.NODE_ENV === 'production' && !LOCAL_RUNNER.ALLOW_IN_PRODUCTION)
+      {
+        throw new Error(
+          'CODE_RUNNER=local runs user code unsandboxed on this server. ' +
+          'Set LOCAL_RUNNER_ALLOW_PRODUCTION=true to use it in production.'
+        );
+      }
+      return createLocalRunner(LOCAL_RUNNER);
 
-  if (!response.ok) 
-  {
-    console.error('Judge0 API error:', {
-        status: response.status,
-        body: data
-    });
-    throw new AppError(
-      `Failed to get submission results (HTTP ${response.status}): ${data.error || JSON.stringify(data)}`,
-      502,
-      "Failure to get code results"
-    );
+    default:
+      if (!RAPIDAPI_JUDGE0.KEY)
+      {
+        console.error('ERROR: RAPIDAPI_KEY environment variable not set, code execution will fail');
+      }
+      return createJudge0Runner({
+        baseUrl:     RAPIDAPI_JUDGE0.URL,
+        headers:     { 'X-RapidAPI-Key': RAPIDAPI_JUDGE0.KEY, 'X-RapidAPI-Host': RAPIDAPI_JUDGE0.HOST },
+        configError: RAPIDAPI_JUDGE0.KEY ? null : 'RAPIDAPI_KEY not set',
+      });
   }
-
-  return data;
 };
 
-/**
- * Poll for submission result with timeout
- * @param   {string} token        - Submission token
- * @param   {number} maxAttempts  - Maximum polling attempts (default: 10)
- * @param   {number} delayMs      - Delay between attempts in ms (default: 1000)
- * @returns {Promise<Object>}     - Final submission result
- */
-const pollSubmission = async (token, maxAttempts = 10, delayMs = 1000) => {
-  for (let attempt = 0; attempt < maxAttempts; attempt++) 
-  {
-    const result = await getSubmission(token);
-    
-    // Processing complete if status > PROCESSING
-    if (result.status.id > STATUS_IDS.PROCESSING) 
-    {    
-      return result;
-    }
-    
-    // Wait before next poll
-    await new Promise(resolve => setTimeout(resolve, delayMs));
-  }
-  
-  throw new AppError(
-    `Submission polling exceeded maximum attempts: ${maxAttempts}`,
-    408,
-    'Code execution timed out.');
-};
+const { submitBatch, getSubmission, pollSubmission } = createRunner();
 
 module.exports = {
   submitBatch,
@@ -0,0 +1,472 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          gift.js
+//  Description:   Converts bundle questions to and from Moodle
+//                 GIFT text.
+//
+//                 Multiple Choice       <-> {=right ~wrong}
+//                 Select All That Apply <-> {~%50%right ~%-100%wrong}
+//                 Fill in the Blanks    <-> short answer {=one =other}. GIFT
+//                                           has one blank per question, so the
+//                                           metadata comment keeps the blanks
+//                                           and which one each answer is for.
+//                 Numeric               <-> numerical {#=42:0.5 =%50%42:2},
+//                                           credit bands are partial credit
+//                                           answers. Relative tolerances are
+//                                           written as absolute ones, the
+//                                           metadata comment keeps the
+//                                           settings as they were.
+//                 Drag and Drop         <-> matching {=item -> zone}. GIFT
+//                                           can't hold items without a zone,
+//                                           so those are left out.
+//                 Ranked Choice         <-> matching {=item -> rank}
+//                 Programming           <-> essay {}. GIFT has no test cases,
+//                                           so these only round trip through
+//                                           the JSON bundle.
+//                 Code Trace            --> essay {}, like Programming. GIFT
+//                                           has nowhere to keep the code.
+//
+//                 Each exported question is preceded by a
+//                 "// knightwise: {...}" comment holding its type,
+//                 section, category, subcategory, author exam ID,
+//                 points and grading policy, which Moodle ignores.
+//                 Files without it fall back to the ::title:: and
+//                 $CATEGORY.
+//
+//  Dependencies:  numeric grader
+//                 numericAnswerConfig
+//
+////////////////////////////////////////////////////////////////
+
+const { readNumericAnswer } = require('../graders/numeric');
+const { TOLERANCE_TYPES, DEFAULT_NUMERIC_SETTINGS } = require('../../config/numericAnswerConfig');
+
+const METADATA_PREFIX = '// knightwise:';
+const TITLE_SEPARATOR = ' > ';
+
+// GIFT numbers are plain decimals, so float noise like 0.30000000000000004 is rounded off
+const toGiftNumber = (value) => Number(value.toPrecision(12));
+
+/**
+ * Escapes GIFT's special characters
+ * @param {string} text
+ * @returns {string}
+ */
+const escapeGift = (text) => String(text ?? '')
+  .replace(/[\\~=#{}:]/g, '\\$&')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Undoes escapeGift()
+ * @param {string} text
+ * @returns {string}
+ */
+const unescapeGift = (text) => text.replace(/\\(.)/g, (match, char) => (char === 'n' ? '\n' : char));
+
+/**
+ * Finds the next unescaped occurrence of any of the given tokens
+ * @param {string}        text
+ * @param {Array<string>} tokens
+ * @param {number}        [from]
+ * @returns {number} Index, or -1
+ */
+const findUnescaped = (text, tokens, from = 0) => {
+  for (let i = from; i < text.length; i++)
+  {
+    if (text[i] === '\\')
+    {
+      i++;
+      continue;
+    }
+    if (tokens.some(token => text.startsWith(token, i))) return i;
+  }
+  return -1;
+};
+
+/**
+ * Writes a Numeric question's answers as GIFT numerical answers, each
+ * correct value once at full credit and once per credit band
+ * @param {Object} question - Bundle question
+ * @returns {Array<string>}
+ */
+const toGiftNumericAnswers = (question) => {
+  const settings = { ...DEFAULT_NUMERIC_SETTINGS, ...question.numericSettings };
+  const toAbsolute = (tolerance, value) => toGiftNumber(
+    settings.toleranceType === TOLERANCE_TYPES.RELATIVE && value !== 0 ? tolerance * Math.abs(value) : tolerance
+  );
+
+  return question.answers
+    .filter(answer => answer.isCorrect)
+    .map(answer => readNumericAnswer(answer.text, settings.unit))
+    .filter(Boolean)
+    .flatMap(({ value }) => [
+      `=${toGiftNumber(value)}:${toAbsolute(settings.tolerance, value)}`,
+      ...settings.creditBands.map(band =>
+        `=%${toGiftNumber(band.credit * 100)}%${toGiftNumber(value)}:${toAbsolute(band.tolerance, value)}`),
+    ]);
+};
+
+/**
+ * Converts a bundle question to GIFT
+ * @param {Object} question - Bundle question
+ * @returns {string} GIFT question, with its metadata comment
+ */
+const toGiftQuestion = (question) => {
+  const metadata = {
+    type:           question.type,
+    section:        question.section,
+    category:       question.category,
+    subcategory:    question.subcategory,
+    authorExamId:   question.authorExamId,
+    pointsPossible: question.pointsPossible,
+    ...(question.numericSettings ? { numericSettings: question.numericSettings } : {}),
+    ...(question.gradingPolicy ? { gradingPolicy: question.gradingPolicy } : {}),
+    ...(question.blanks ? {
+      blanks:       question.blanks,
+      answerBlanks: question.answers.filter(answer => answer.isCorrect).map(answer => answer.blank ?? null),
+    } : {}),
+  };
+  const title = escapeGift(`${question.category}${TITLE_SEPARATOR}${question.subcategory}`);
+
+  let answers;
+  switch (question.type)
+  {
+    case 'Multiple Choice':
+      answers = question.answers.map(answer => `${answer.isCorrect ? '=' : '~'}${escapeGift(answer.text)}`);
+      break;
+
+    case 'Select All That Apply':
+    {
+      const correctCount = question.answers.filter(answer => answer.isCorrect).length;
+      const weight = Number((100 / correctCount).toFixed(5));
+      answers = question.answers.map(answer => `~%${answer.isCorrect ? weight : -100}%${escapeGift(answer.text)}`);
+      break;
+    }
+
+    case 'Fill in the Blanks':
+      answers = question.answers.filter(answer => answer.isCorrect).map(answer => `=${escapeGift(answer.text)}`);
+      break;
+
+    case 'Numeric':
+      answers = toGiftNumericAnswers(question);
+      break;
+
+    case 'Drag and Drop':
+      answers = question.answers
+        .filter(answer => answer.isCorrect)
+        .map(answer => `=${escapeGift(answer.text)} -> ${escapeGift(answer.placement)}`);
+      break;
+
+    case 'Ranked Choice':
+      answers = question.answers.map(answer => `=${escapeGift(answer.text)} -> ${answer.rank}`);
+      break;
+
+    default:
+      answers = [];
+  }
+
+  const answerBlock = answers.length === 0
+    ? '{}'
+    : `{${question.type === 'Numeric' ? '#' : ''}\n${answers.map(answer => `\t${answer}`).join('\n')}\n}`;
+  return `${METADATA_PREFIX} ${JSON.stringify(metadata)}\n::${title}::${escapeGift(question.questionText)}${answerBlock}`;
+};
+
+/**
+ * Converts bundle questions to a GIFT file
+ * @param {Array} questions - Bundle questions
+ * @returns {string} GIFT text
+ */
+const toGift = (questions) => `${questions.map(toGiftQuestion).join('\n\n')}\n`;
+
+/**
+ * Reads question text written in GIFT's [html] format as plain text
+ * @param {string} html
+ * @returns {string}
+ */
+const htmlToText = (html) => html
+  .replace(/<br\s*\/?>/gi, '\n')
+  .replace(/<[^>]*>/g, '')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;/g, '\'')
+  .replace(/&amp;/g, '&');
+
+/**
+ * Splits the inside of a GIFT answer block into answers
+ * @param {string} body - Text between { and }
+ * @returns {Array<{ correct: boolean, weight: number|null, text: string, match: string|null }>}
+ */
+const parseAnswers = (body) => {
+  const answers = [];
+  let start = findUnescaped(body, ['=', '~']);
+  while (start !== -1)
+  {
+    const next = findUnescaped(body, ['=', '~'], start + 1);
+    let raw = body.slice(start + 1, next === -1 ? body.length : next);
+
+    // Drop answer feedback
+    const feedback = findUnescaped(raw, ['#']);
+    if (feedback !== -1) raw = raw.slice(0, feedback);
+
+    let weight = null;
+    const weightMatch = raw.match(/^\s*%(-?\d+(?:\.\d+)?)%/);
+    if (weightMatch)
+    {
+      weight = Number(weightMatch[1]);
+      raw = raw.slice(weightMatch[0].length);
+    }
+
+    const arrow = findUnescaped(raw, ['->']);
+    answers.push({
+      correct: body[start] === '=',
+      weight,
+      text:    unescapeGift(arrow === -1 ? raw : raw.slice(0, arrow)).trim(),
+      match:   arrow === -1 ? null : unescapeGift(raw.slice(arrow + 2)).trim(),
+    });
+    start = next;
+  }
+  return answers;
+};
+
+/**
+ * Reads one GIFT numerical answer: 42, 42:0.5 (value and tolerance) or 40..44 (a range)
+ * @param {string} text
+ * @returns {{ value: number, tolerance: number }|null} Null if it isn't a number
+ */
+const parseNumericalAnswer = (text) => {
+  const range = text.match(/^(.+?)\.\.(.+)$/);
+  if (range)
+  {
+    const [min, max] = [Number(range[1]), Number(range[2])];
+    return Number.isFinite(min) && Number.isFinite(max) && min <= max
+      ? { value: (min + max) / 2, tolerance: (max - min) / 2 }
+      : null;
+  }
+
+  const [valueText, toleranceText = '0', ...extra] = text.split(':');
+  const [value, tolerance] = [Number(valueText), Number(toleranceText)];
+  return extra.length === 0 && valueText.trim() !== '' && Number.isFinite(value) && Number.isFinite(tolerance)
+    ? { value, tolerance: Math.abs(tolerance) }
+    : null;
+};
+
+/**
+ * Converts the answers of a GIFT numerical question. GIFT gives each answer
+ * its own tolerance, Numeric questions have one, so the widest full credit
+ * tolerance is used. Partial credit answers become credit bands when they
+ * share a value with a full credit answer, others can't be kept.
+ * @param {string} body - Answer block, without the leading #
+ * @returns {{ answers: Array, numericSettings: Object }|{ conversionError: string }}
+ */
+const fromGiftNumericAnswers = (body) => {
+  // A single answer has no =, only maybe feedback after it
+  const feedback = findUnescaped(body, ['#']);
+  const raw = findUnescaped(body, ['=']) === -1
+    ? [{ weight: null, text: unescapeGift(feedback === -1 ? body : body.slice(0, feedback)).trim() }]
+    : parseAnswers(body);
+
+  const numbers = [];
+  for (const answer of raw)
+  {
+    const number = parseNumericalAnswer(answer.text);
+    if (!number) return { conversionError: `"${answer.text}" isn't a GIFT numerical answer` };
+    numbers.push({ ...number, credit: answer.weight === null ? 1 : answer.weight / 100 });
+  }
+
+  const full = numbers.filter(number => number.credit >= 1);
+  if (full.length === 0) return { conversionError: 'Numeric GIFT question has no full credit answer' };
+
+  const fullValues = new Set(full.map(number => number.value));
+  return {
+    answers:         [...fullValues].map(value => ({ text: String(value), isCorrect: true })),
+    numericSettings: {
+      tolerance:     Math.max(...full.map(number => number.tolerance)),
+      toleranceType: TOLERANCE_TYPES.ABSOLUTE,
+      unit:          null,
+      creditBands:   numbers
+        .filter(number => number.credit > 0 && number.credit < 1 && fullValues.has(number.value))
+        .map(number => ({ tolerance: number.tolerance, credit: number.credit })),
+    },
+  };
+};
+
+/**
+ * Converts one GIFT question to a bundle question
+ * @param {string}      block    - Question text, comments removed
+ * @param {Object|null} metadata - Parsed knightwise comment
+ * @param {Array}       category - Current $CATEGORY path
+ * @returns {Object} Bundle question, or { conversionError } if it can't be read
+ */
+const fromGiftQuestion = (block, metadata, category) => {
+  const { answerBlanks, ...kept } = metadata ?? {};
+  let rest = block.trim();
+  let title = null;
+  if (rest.startsWith('::'))
+  {
+    const end = findUnescaped(rest, ['::'], 2);
+    if (end === -1) return { conversionError: 'Unclosed ::title::' };
+    title = unescapeGift(rest.slice(2, end)).trim();
+    rest = rest.slice(end + 2).trim();
+  }
+
+  let isHtml = false;
+  const formatMatch = rest.match(/^\[(html|moodle|plain|markdown)\]/);
+  if (formatMatch)
+  {
+    isHtml = formatMatch[1] === 'html';
+    rest = rest.slice(formatMatch[0].length);
+  }
+
+  const open = findUnescaped(rest, ['{']);
+  const close = open === -1 ? -1 : findUnescaped(rest, ['}'], open + 1);
+  if (open === -1 || close === -1) return { conversionError: 'Missing {answer} block' };
+
+  const before = unescapeGift(rest.slice(0, open)).trim();
+  const after = unescapeGift(rest.slice(close + 1)).trim();
+  let questionText = after ? `${before} _____ ${after}` : before;
+  if (isHtml) questionText = htmlToText(questionText).trim();
+
+  const [titleCategory, ...titleSubcategory] = (title ?? '').split(TITLE_SEPARATOR);
+  const question = {
+    category:    titleSubcategory.length > 0 ? titleCategory : category.at(-2),
+    subcategory: titleSubcategory.length > 0 ? titleSubcategory.join(TITLE_SEPARATOR) : category.at(-1),
+    ...kept,
+    questionText,
+  };
+
+  const body = rest.slice(open + 1, close).trim();
+  const trueFalse = body.replace(/#.*$/s, '').trim().toUpperCase();
+  if (['T', 'TRUE', 'F', 'FALSE'].includes(trueFalse))
+  {
+    const isTrue = trueFalse.startsWith('T');
+    return {
+      ...question,
+      type: question.type ?? 'Multiple Choice',
+      answers: [{ text: 'True', isCorrect: isTrue }, { text: 'False', isCorrect: !isTrue }],
+    };
+  }
+  if (body.startsWith('#'))
+  {
+    const numeric = fromGiftNumericAnswers(body.slice(1).trim());
+    if (numeric.conversionError) return numeric;
+    return {
+      ...question,
+      type:            question.type ?? 'Numeric',
+      answers:         numeric.answers,
+      numericSettings: question.numericSettings ?? numeric.numericSettings,
+    };
+  }
+
+  const answers = parseAnswers(body);
+  if (answers.length === 0)
+  {
+    return { ...question, type: question.type ?? 'Programming' };
+  }
+
+  if (answers.some(answer => answer.match !== null))
+  {
+    if (question.type === 'Ranked Choice')
+    {
+      return {
+        ...question,
+        answers: answers.map(answer => ({ text: answer.text, isCorrect: true, rank: Number(answer.match) })),
+      };
+    }
+    return {
+      ...question,
+      type: question.type ?? 'Drag and Drop',
+      answers: answers.map(answer => ({ text: answer.text, isCorrect: true, placement: answer.match })),
+    };
+  }
+
+  if (answers.some(answer => answer.weight !== null))
+  {
+    return {
+      ...question,
+      type: question.type ?? 'Select All That Apply',
+      answers: answers.map(answer => ({ text: answer.text, isCorrect: (answer.weight ?? 0) > 0 })),
+    };
+  }
+
+  const allCorrect = answers.every(answer => answer.correct);
+  return {
+    ...question,
+    type: question.type ?? (allCorrect ? 'Fill in the Blanks' : 'Multiple Choice'),
+    answers: answers.map((answer, i) => ({
+      text:      answer.text,
+      isCorrect: answer.correct,
+      ...(Array.isArray(answerBlanks) && answerBlanks[i] ? { blank: answerBlanks[i] } : {}),
+    })),
+  };
+};
+
+/**
+ * Reads bundle questions from GIFT text
+ * @param {string} text - GIFT file contents
+ * @returns {Array} Bundle questions. Questions that can't be read are
+ *                  { conversionError } so they are reported per row.
+ */
+const fromGift = (text) => {
+  const questions = [];
+  let category = [];
+  let metadata = null;
+  let metadataError = null;
+  let lines = [];
+
+  const flush = () => {
+    if (lines.length === 0) return;
+    questions.push(metadataError
+      ? { conversionError: metadataError }
+      : fromGiftQuestion(lines.join('\n'), metadata, category));
+    lines = [];
+    metadata = null;
+    metadataError = null;
+  };
+
+  for (const line of text.replace(/^\uFEFF/, '').split(/\r?\n/))
+  {
+    const trimmed = line.trim();
+    if (trimmed === '')
+    {
+      flush();
+    }
+    else if (trimmed.startsWith(METADATA_PREFIX))
+    {
+      try
+      {
+        metadata = JSON.parse(trimmed.slice(METADATA_PREFIX.length));
+      }
+      catch (err)
+      {
+        metadataError = `Invalid ${METADATA_PREFIX} comment (${err.message})`;
+      }
+    }
+    else if (trimmed.startsWith('//'))
+    {
+      continue;
+    }
+    else if (trimmed.startsWith('$CATEGORY:'))
+    {
+      flush();
+      category = trimmed.slice('$CATEGORY:'.length).trim().split('/').filter(Boolean);
+    }
+    else
+    {
+      lines.push(line);
+    }
+  }
+  flush();
+
+  return questions;
+};
+
+module.exports = {
+  escapeGift,
+  toGift,
+  fromGift,
+};
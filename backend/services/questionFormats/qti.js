@@ -0,0 +1,553 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          qti.js
+//  Description:   Converts bundle questions to and from IMS
+//                 QTI 2.1 assessment items.
+//
+//                 Multiple Choice       <-> choiceInteraction, maxChoices 1
+//                 Select All That Apply <-> choiceInteraction, maxChoices 0
+//                 Ranked Choice         <-> orderInteraction
+//                 Fill in the Blanks    <-> textEntryInteraction, each accepted
+//                                           answer in the response mapping
+//                 Fill in the Blanks    --> one textEntryInteraction per blank,
+//                 with several blanks       each with its own response. Match
+//                                           modes and weights have no QTI form,
+//                                           so these only round trip through
+//                                           the JSON bundle and GIFT.
+//                 Numeric               <-> textEntryInteraction, baseType float.
+//                                           The match_correct template has no
+//                                           tolerance, so only the exact number
+//                                           round trips.
+//                 Drag and Drop         <-> matchInteraction, item -> zone pairs
+//                 Programming           <-> extendedTextInteraction. QTI has no
+//                                           test cases, so these only round trip
+//                                           through the JSON bundle.
+//                 Code Trace            --> extendedTextInteraction, like
+//                                           Programming. QTI has nowhere to keep
+//                                           the code.
+//
+//                 The item title is "Category > Subcategory", the
+//                 label is the section and SCORE's normalMaximum
+//                 is the points possible. Grading policies have no
+//                 QTI form, so they only round trip through the
+//                 JSON bundle and GIFT.
+//
+//  Dependencies:  fast-xml-parser
+//                 adm-zip
+//                 errorHandler
+//                 questionBankConfig
+//                 numeric grader
+//                 numericAnswerConfig
+//                 fillInTheBlanksConfig
+//
+////////////////////////////////////////////////////////////////
+
+const { XMLParser, XMLBuilder, XMLValidator } = require('fast-xml-parser');
+const AdmZip = require('adm-zip');
+const { AppError } = require('../../middleware/errorHandler');
+const { MAX_UNZIPPED_BYTES } = require('../../config/questionBankConfig');
+const { readNumericAnswer } = require('../graders/numeric');
+const { DEFAULT_NUMERIC_SETTINGS } = require('../../config/numericAnswerConfig');
+const { BLANK_MARKER } = require('../../config/fillInTheBlanksConfig');
+
+const QTI_NAMESPACE = 'http://www.imsglobal.org/xsd/imsqti_v2p1';
+const MANIFEST_NAMESPACE = 'http://www.imsglobal.org/xsd/imscp_v1p1';
+const MATCH_CORRECT = 'http://www.imsglobal.org/question/qti_v2p1/rptemplates/match_correct';
+const MAP_RESPONSE = 'http://www.imsglobal.org/question/qti_v2p1/rptemplates/map_response';
+const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8"?>\n';
+const TITLE_SEPARATOR = ' > ';
+
+// Elements that can repeat, always parsed as arrays
+const ARRAY_ELEMENTS = new Set([
+  'simpleChoice', 'simpleAssociableChoice', 'simpleMatchSet', 'value', 'mapEntry',
+  'responseDeclaration', 'outcomeDeclaration', 'resource', 'file',
+]);
+
+const INTERACTIONS = Object.freeze([
+  'choiceInteraction',
+  'orderInteraction',
+  'textEntryInteraction',
+  'matchInteraction',
+  'extendedTextInteraction',
+]);
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  parseTagValue: false,
+  parseAttributeValue: false,
+  removeNSPrefix: true,
+  isArray: (name) => ARRAY_ELEMENTS.has(name),
+});
+
+const builder = new XMLBuilder({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  format: true,
+  suppressEmptyNode: true,
+  suppressBooleanAttributes: false,
+});
+
+/**
+ * Builds the shared parts of an assessment item
+ * @param {Object} question   - Bundle question
+ * @param {string} identifier - Item identifier
+ * @param {Object|Array} response - responseDeclaration, or a list of them each with its own identifier
+ * @param {Object} itemBody   - itemBody
+ * @param {string|null} template - responseProcessing template
+ * @returns {string} Item XML
+ */
+const buildItem = (question, identifier, response, itemBody, template) => builder.build({
+  assessmentItem: {
+    '@_xmlns': QTI_NAMESPACE,
+    '@_identifier': identifier,
+    '@_title': `${question.category}${TITLE_SEPARATOR}${question.subcategory}`,
+    '@_label': question.section,
+    '@_adaptive': 'false',
+    '@_timeDependent': 'false',
+    responseDeclaration: Array.isArray(response) ? response : { '@_identifier': 'RESPONSE', ...response },
+    outcomeDeclaration: {
+      '@_identifier': 'SCORE',
+      '@_cardinality': 'single',
+      '@_baseType': 'float',
+      '@_normalMaximum': String(question.pointsPossible),
+      defaultValue: { value: '0' },
+    },
+    itemBody,
+    ...(template ? { responseProcessing: { '@_template': template } } : {}),
+  },
+});
+
+/**
+ * Builds the responses and item body of a Fill in the Blanks question with blanks,
+ * the text split at each [[id]] with that blank's textEntryInteraction in its place
+ * @param {Object} question - Bundle question, with blanks
+ * @returns {[Array, Object]} responseDeclarations and itemBody
+ */
+const toQtiBlanks = (question) => {
+  const responses = question.blanks.map(blank => {
+    const accepted = question.answers.filter(answer => answer.isCorrect && answer.blank === blank.id).map(answer => answer.text);
+    return {
+      '@_identifier': `RESPONSE_${blank.id}`,
+      '@_cardinality': 'single',
+      '@_baseType': 'string',
+      correctResponse: { value: accepted.slice(0, 1) },
+      mapping: {
+        '@_defaultValue': '0',
+        mapEntry: accepted.map(text => ({ '@_mapKey': text, '@_mappedValue': '1', '@_caseSensitive': 'false' })),
+      },
+    };
+  });
+
+  // split() with a capture group alternates text and blank IDs
+  const parts = question.questionText.split(new RegExp(BLANK_MARKER.source))
+    .map((part, i) => (i % 2 === 0 ? part : { textEntryInteraction: { '@_responseIdentifier': `RESPONSE_${part}` } }))
+    .filter(part => part !== '');
+  return [responses, { p: parts }];
+};
+
+/**
+ * Converts a bundle question to a QTI 2.1 assessment item
+ * @param {Object} question   - Bundle question
+ * @param {string} identifier - Item identifier, unique in the package
+ * @returns {string} Item XML
+ */
+const toQtiItem = (question, identifier) => {
+  const choiceId = (i) => `A${i + 1}`;
+  const choices = question.answers.map((answer, i) => ({ '@_identifier': choiceId(i), '#text': answer.text }));
+
+  switch (question.type)
+  {
+    case 'Multiple Choice':
+    case 'Select All That Apply':
+    {
+      const single = question.type === 'Multiple Choice';
+      return XML_DECLARATION + buildItem(question, identifier, {
+        '@_cardinality': single ? 'single' : 'multiple',
+        '@_baseType': 'identifier',
+        correctResponse: {
+          value: question.answers.map((answer, i) => (answer.isCorrect ? choiceId(i) : null)).filter(Boolean),
+        },
+      }, {
+        choiceInteraction: {
+          '@_responseIdentifier': 'RESPONSE',
+          '@_shuffle': 'true',
+          '@_maxChoices': single ? '1' : '0',
+          prompt: question.questionText,
+          simpleChoice: choices,
+        },
+      }, MATCH_CORRECT);
+    }
+
+    case 'Ranked Choice':
+    {
+      const ordered = question.answers
+        .map((answer, i) => ({ rank: answer.rank, id: choiceId(i) }))
+        .sort((a, b) => a.rank - b.rank);
+      return XML_DECLARATION + buildItem(question, identifier, {
+        '@_cardinality': 'ordered',
+        '@_baseType': 'identifier',
+        correctResponse: { value: ordered.map(choice => choice.id) },
+      }, {
+        orderInteraction: {
+          '@_responseIdentifier': 'RESPONSE',
+          '@_shuffle': 'true',
+          prompt: question.questionText,
+          simpleChoice: choices,
+        },
+      }, MATCH_CORRECT);
+    }
+
+    case 'Fill in the Blanks':
+    {
+      if (question.blanks)
+      {
+        return XML_DECLARATION + buildItem(question, identifier, ...toQtiBlanks(question), null);
+      }
+      const accepted = question.answers.filter(answer => answer.isCorrect).map(answer => answer.text);
+      return XML_DECLARATION + buildItem(question, identifier, {
+        '@_cardinality': 'single',
+        '@_baseType': 'string',
+        correctResponse: { value: [accepted[0]] },
+        mapping: {
+          '@_defaultValue': '0',
+          mapEntry: accepted.map(text => ({ '@_mapKey': text, '@_mappedValue': '1', '@_caseSensitive': 'false' })),
+        },
+      }, {
+        p: [
+          question.questionText,
+          { textEntryInteraction: { '@_responseIdentifier': 'RESPONSE' } },
+        ],
+      }, MAP_RESPONSE);
+    }
+
+    case 'Numeric':
+    {
+      const settings = { ...DEFAULT_NUMERIC_SETTINGS, ...question.numericSettings };
+      const expected = question.answers
+        .filter(answer => answer.isCorrect)
+        .map(answer => readNumericAnswer(answer.text, settings.unit))
+        .find(Boolean);
+      return XML_DECLARATION + buildItem(question, identifier, {
+        '@_cardinality': 'single',
+        '@_baseType': 'float',
+        correctResponse: { value: expected ? [String(expected.value)] : [] },
+      }, {
+        p: [
+          question.questionText,
+          { textEntryInteraction: { '@_responseIdentifier': 'RESPONSE' } },
+        ],
+      }, MATCH_CORRECT);
+    }
+
+    case 'Drag and Drop':
+    {
+      const zones = [...new Set(question.answers.filter(answer => answer.isCorrect).map(answer => answer.placement))];
+      const zoneId = (placement) => `Z${zones.indexOf(placement) + 1}`;
+      return XML_DECLARATION + buildItem(question, identifier, {
+        '@_cardinality': 'multiple',
+        '@_baseType': 'directedPair',
+        correctResponse: {
+          value: question.answers
+            .map((answer, i) => (answer.isCorrect ? `${choiceId(i)} ${zoneId(answer.placement)}` : null))
+            .filter(Boolean),
+        },
+      }, {
+        matchInteraction: {
+          '@_responseIdentifier': 'RESPONSE',
+          '@_shuffle': 'true',
+          '@_maxAssociations': String(question.answers.length),
+          prompt: question.questionText,
+          simpleMatchSet: [
+            { simpleAssociableChoice: choices.map(choice => ({ ...choice, '@_matchMax': '1' })) },
+            {
+              simpleAssociableChoice: zones.map(placement => ({
+                '@_identifier': zoneId(placement),
+                '@_matchMax': '0',
+                '#text': placement,
+              })),
+            },
+          ],
+        },
+      }, MATCH_CORRECT);
+    }
+
+    default:
+      // Programming: a free text answer, graded outside of QTI
+      return XML_DECLARATION + buildItem(question, identifier, {
+        '@_cardinality': 'single',
+        '@_baseType': 'string',
+      }, {
+        extendedTextInteraction: {
+          '@_responseIdentifier': 'RESPONSE',
+          prompt: question.questionText,
+        },
+      }, null);
+  }
+};
+
+/**
+ * Packages bundle questions as a QTI 2.1 content package
+ * @param {Array} questions - Bundle questions
+ * @returns {Buffer} Zip file with imsmanifest.xml and one item per question
+ */
+const toQtiPackage = (questions) => {
+  const zip = new AdmZip();
+  const hrefs = questions.map((question, i) => {
+    const href = `items/item${i + 1}.xml`;
+    zip.addFile(href, Buffer.from(toQtiItem(question, `item${i + 1}`), 'utf8'));
+    return href;
+  });
+
+  const manifest = XML_DECLARATION + builder.build({
+    manifest: {
+      '@_xmlns': MANIFEST_NAMESPACE,
+      '@_identifier': 'knightwise-question-bank',
+      metadata: { schema: 'QTIv2.1 Package', schemaversion: '1.0.0' },
+      organizations: '',
+      resources: {
+        resource: hrefs.map((href, i) => ({
+          '@_identifier': `resource${i + 1}`,
+          '@_type': 'imsqti_item_xmlv2p1',
+          '@_href': href,
+          file: { '@_href': href },
+        })),
+      },
+    },
+  });
+  zip.addFile('imsmanifest.xml', Buffer.from(manifest, 'utf8'));
+  return zip.toBuffer();
+};
+
+/**
+ * Collects the text in a parsed node, skipping attributes and the given elements
+ * @param {*}           node - Parsed XML
+ * @param {Set<string>} [skip] - Element names to leave out
+ * @returns {string}
+ */
+const textOf = (node, skip = new Set()) => {
+  if (node === undefined || node === null) return '';
+  if (typeof node !== 'object') return String(node);
+  if (Array.isArray(node)) return node.map(child => textOf(child, skip)).join(' ');
+  return Object.entries(node)
+    .filter(([key]) => !key.startsWith('@_') && !skip.has(key))
+    .map(([, child]) => textOf(child, skip))
+    .join(' ');
+};
+
+/**
+ * Collapses whitespace left over from XML formatting
+ * @param {string} text
+ * @returns {string}
+ */
+const cleanText = (text) => text.replace(/\s+/g, ' ').trim();
+
+/**
+ * Finds the first supported interaction anywhere under a node
+ * @param {*} node - Parsed itemBody
+ * @returns {{ name: string, interaction: Object }|null}
+ */
+const findInteraction = (node) => {
+  if (!node || typeof node !== 'object') return null;
+  if (Array.isArray(node))
+  {
+    for (const child of node)
+    {
+      const found = findInteraction(child);
+      if (found) return found;
+    }
+    return null;
+  }
+  for (const [key, child] of Object.entries(node))
+  {
+    if (INTERACTIONS.includes(key)) return { name: key, interaction: Array.isArray(child) ? child[0] : child };
+  }
+  for (const [key, child] of Object.entries(node))
+  {
+    if (key.startsWith('@_')) continue;
+    const found = findInteraction(child);
+    if (found) return found;
+  }
+  return null;
+};
+
+/**
+ * Converts a parsed assessment item to a bundle question.
+ * Fields the item doesn't carry are left out, so import defaults can fill them.
+ *
+ * @param {Object} item - Parsed assessmentItem
+ * @returns {Object} Bundle question, or { conversionError } if it can't be read
+ */
+const fromQtiItem = (item) => {
+  const found = findInteraction(item.itemBody);
+  if (!found)
+  {
+    return { conversionError: 'No supported QTI interaction found in item' };
+  }
+  const { name, interaction } = found;
+
+  const [category, ...rest] = (item['@_title'] ?? '').split(TITLE_SEPARATOR);
+  const score = (item.outcomeDeclaration ?? []).find(outcome => outcome['@_identifier'] === 'SCORE');
+  const response = (item.responseDeclaration ?? [])
+    .find(declaration => declaration['@_identifier'] === interaction['@_responseIdentifier']) ?? {};
+  const correctValues = (response.correctResponse?.value ?? []).map(value => cleanText(textOf(value)));
+
+  const prompt = cleanText(textOf(interaction.prompt));
+  const question = {
+    section:        item['@_label'],
+    category:       rest.length > 0 ? category : undefined,
+    subcategory:    rest.length > 0 ? rest.join(TITLE_SEPARATOR) : undefined,
+    pointsPossible: score?.['@_normalMaximum'],
+    questionText:   prompt || cleanText(textOf(item.itemBody, new Set(INTERACTIONS))),
+  };
+
+  const readChoices = (choices) => (choices ?? []).map(choice => ({
+    id:   choice['@_identifier'],
+    text: cleanText(textOf(choice)),
+  }));
+
+  switch (name)
+  {
+    case 'choiceInteraction':
+    {
+      const single = response['@_cardinality'] === 'single' || interaction['@_maxChoices'] === '1';
+      return {
+        ...question,
+        type: single ? 'Multiple Choice' : 'Select All That Apply',
+        answers: readChoices(interaction.simpleChoice).map(choice => ({
+          text:      choice.text,
+          isCorrect: correctValues.includes(choice.id),
+        })),
+      };
+    }
+
+    case 'orderInteraction':
+      return {
+        ...question,
+        type: 'Ranked Choice',
+        answers: readChoices(interaction.simpleChoice).map(choice => ({
+          text: choice.text,
+          rank: correctValues.includes(choice.id) ? correctValues.indexOf(choice.id) + 1 : null,
+        })),
+      };
+
+    case 'textEntryInteraction':
+    {
+      if (['float', 'integer'].includes(response['@_baseType']))
+      {
+        return {
+          ...question,
+          type: 'Numeric',
+          answers: correctValues.map(text => ({ text, isCorrect: true })),
+        };
+      }
+      const mapped = (response.mapping?.mapEntry ?? [])
+        .filter(entry => Number(entry['@_mappedValue']) > 0)
+        .map(entry => entry['@_mapKey']);
+      return {
+        ...question,
+        type: 'Fill in the Blanks',
+        answers: [...new Set([...correctValues, ...mapped])].map(text => ({ text, isCorrect: true })),
+      };
+    }
+
+    case 'matchInteraction':
+    {
+      const [itemSet, zoneSet] = interaction.simpleMatchSet ?? [];
+      const zones = readChoices(zoneSet?.simpleAssociableChoice);
+      const pairs = correctValues.map(value => value.split(/\s+/));
+      return {
+        ...question,
+        type: 'Drag and Drop',
+        answers: readChoices(itemSet?.simpleAssociableChoice).map(choice => {
+          const pair = pairs.find(([source]) => source === choice.id);
+          const zone = pair && zones.find(candidate => candidate.id === pair[1]);
+          return { text: choice.text, isCorrect: Boolean(zone), placement: zone?.text ?? null };
+        }),
+      };
+    }
+
+    default:
+      return { ...question, type: 'Programming' };
+  }
+};
+
+/**
+ * Parses one XML file into bundle questions
+ * @param {string} xml  - File contents
+ * @param {string} name - File name, used in messages
+ * @returns {Array} Bundle questions
+ */
+const fromQtiXml = (xml, name) => {
+  const valid = XMLValidator.validate(xml);
+  if (valid !== true)
+  {
+    return [{ conversionError: `${name}: invalid XML (${valid.err.msg}, line ${valid.err.line})` }];
+  }
+
+  const parsed = parser.parse(xml);
+  if (!parsed.assessmentItem)
+  {
+    return [{ conversionError: `${name}: not a QTI 2.1 assessmentItem` }];
+  }
+  return [fromQtiItem(parsed.assessmentItem)];
+};
+
+/**
+ * Reads bundle questions from a QTI 2.1 item or content package
+ * @param {Buffer} input - A single assessmentItem XML file, or a zip package
+ * @throws {AppError} 400 - If the package can't be opened
+ * @returns {Array} Bundle questions, one per item. Items that can't be
+ *                  read are { conversionError } so they are reported per row.
+ */
+const fromQti = (input) => {
+  // Zip files start with "PK"
+  if (input.length < 2 || input[0] !== 0x50 || input[1] !== 0x4b)
+  {
+    return fromQtiXml(input.toString('utf8'), 'item');
+  }
+
+  let entries;
+  try
+  {
+    entries = new AdmZip(input).getEntries().filter(entry => !entry.isDirectory);
+  }
+  catch (err)
+  {
+    throw new AppError(`Failed to open QTI package: ${err.message}`, 400, 'Could not open the QTI package');
+  }
+
+  const unzippedBytes = entries.reduce((total, entry) => total + entry.header.size, 0);
+  if (unzippedBytes > MAX_UNZIPPED_BYTES)
+  {
+    throw new AppError(`QTI package unzips to ${unzippedBytes} bytes`, 400, 'QTI package is too large');
+  }
+
+  const byName = new Map(entries.map(entry => [entry.entryName, entry]));
+  let itemNames = entries
+    .map(entry => entry.entryName)
+    .filter(entryName => entryName.endsWith('.xml') && entryName !== 'imsmanifest.xml');
+
+  // Keep the manifest's item order when there is one
+  const manifestEntry = byName.get('imsmanifest.xml');
+  if (manifestEntry)
+  {
+    const manifest = parser.parse(manifestEntry.getData().toString('utf8'));
+    const listed = (manifest.manifest?.resources?.resource ?? [])
+      .filter(resource => (resource['@_type'] ?? '').startsWith('imsqti_item'))
+      .map(resource => resource['@_href'])
+      .filter(href => byName.has(href));
+    if (listed.length > 0) itemNames = listed;
+  }
+
+  return itemNames.flatMap(entryName => fromQtiXml(byName.get(entryName).getData().toString('utf8'), entryName));
+};
+
+module.exports = {
+  toQtiItem,
+  toQtiPackage,
+  fromQti,
+};
@@ -0,0 +1,584 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          templateExpression.js
+//  Description:   The small expression language used in question
+//                 template placeholders, e.g. {{ sum(arr) }} or
+//                 {{ bin(n & mask, 8) }}. Expressions can only
+//                 read the template's variables and call the
+//                 functions below, nothing runs as JavaScript.
+//
+//                 Values are numbers, strings, booleans and lists.
+//                 Operators, loosest to tightest:
+//                   a ? b : c
+//                   ||   &&   |   ^   &
+//                   ==  !=   <  <=  >  >=   <<  >>
+//                   +  -     *  /  %     -x  !x  ~x     a ** b
+//                   list[i]  f(a, b)  [a, b]  (a)
+//                 Integer operators follow C, so % and idiv()
+//                 truncate toward zero and bitwise operators
+//                 work on 32-bit integers.
+//
+//  Dependencies:  questionTemplateConfig
+//
+////////////////////////////////////////////////////////////////
+
+const { MAX_EXPRESSION_LENGTH, MAX_VALUE_LENGTH } = require('../config/questionTemplateConfig');
+
+/**
+ * A template expression that doesn't parse, or fails for the values it was given
+ */
+class TemplateExpressionError extends Error
+{
+  constructor(message)
+  {
+    super(message);
+    this.name = 'TemplateExpressionError';
+  }
+}
+
+// Two character operators first, so "<=" isn't read as "<" then "="
+const OPERATORS = [
+  '**', '==', '!=', '<=', '>=', '&&', '||', '<<', '>>',
+  '+', '-', '*', '/', '%', '<', '>', '!', '~', '&', '|', '^', '?', ':', '(', ')', '[', ']', ',',
+];
+
+// Binary operators and how tightly they bind
+const BINARY_PRECEDENCE = Object.freeze({
+  '||': 1,
+  '&&': 2,
+  '|':  3,
+  '^':  4,
+  '&':  5,
+  '==': 6, '!=': 6,
+  '<':  7, '<=': 7, '>': 7, '>=': 7,
+  '<<': 8, '>>': 8,
+  '+':  9, '-': 9,
+  '*':  10, '/': 10, '%': 10,
+});
+
+const LITERALS = Object.freeze({ true: true, false: false });
+
+// ---------------------------------------------------------------
+// Parsing
+// ---------------------------------------------------------------
+
+/**
+ * Splits an expression into tokens
+ * @param {string} source
+ * @throws {TemplateExpressionError} On a character that can't start a token
+ * @returns {Array<{ kind: string, value: *, position: number }>}
+ */
+const tokenize = (source) => {
+  const tokens = [];
+  let i = 0;
+  while (i < source.length)
+  {
+    const char = source[i];
+    if (/\s/.test(char))
+    {
+      i++;
+      continue;
+    }
+
+    const number = /^\d+(\.\d+)?/.exec(source.slice(i));
+    if (number)
+    {
+      tokens.push({ kind: 'number', value: Number(number[0]), position: i });
+      i += number[0].length;
+      continue;
+    }
+
+    const name = /^[A-Za-z_]\w*/.exec(source.slice(i));
+    if (name)
+    {
+      tokens.push({ kind: 'name', value: name[0], position: i });
+      i += name[0].length;
+      continue;
+    }
+
+    if (char === '"' || char === "'")
+    {
+      let value = '';
+      let j = i + 1;
+      while (j < source.length && source[j] !== char)
+      {
+        if (source[j] === '\\' && j + 1 < source.length)
+        {
+          j++;
+          value += source[j] === 'n' ? '\n' : source[j];
+        }
+        else
+        {
+          value += source[j];
+        }
+        j++;
+      }
+      if (j >= source.length) throw new TemplateExpressionError('Unclosed string');
+      tokens.push({ kind: 'string', value, position: i });
+      i = j + 1;
+      continue;
+    }
+
+    const operator = OPERATORS.find(op => source.startsWith(op, i));
+    if (!operator) throw new TemplateExpressionError(`Unexpected "${char}"`);
+    tokens.push({ kind: 'op', value: operator, position: i });
+    i += operator.length;
+  }
+  return tokens;
+};
+
+/**
+ * Parses an expression into a syntax tree for evaluateExpression()
+ * @param {string} source - Expression, without the {{ }}
+ * @throws {TemplateExpressionError} If it isn't a valid expression
+ * @returns {Object} Syntax tree
+ */
+const parseExpression = (source) => {
+  if (typeof source !== 'string' || source.trim().length === 0)
+  {
+    throw new TemplateExpressionError('Expression is empty');
+  }
+  if (source.length > MAX_EXPRESSION_LENGTH)
+  {
+    throw new TemplateExpressionError(`Expression must be at most ${MAX_EXPRESSION_LENGTH} characters`);
+  }
+
+  const tokens = tokenize(source);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const isOp = (value) => peek()?.kind === 'op' && peek().value === value;
+  const expectOp = (value) => {
+    if (!isOp(value))
+    {
+      throw new TemplateExpressionError(peek() ? `Expected "${value}" but found "${peek().value}"` : `Expected "${value}"`);
+    }
+    index++;
+  };
+
+  // Comma separated expressions up to the closing bracket
+  const parseList = (closing) => {
+    const items = [];
+    if (isOp(closing))
+    {
+      index++;
+      return items;
+    }
+    for (;;)
+    {
+      items.push(parseTernary());
+      if (isOp(closing))
+      {
+        index++;
+        return items;
+      }
+      expectOp(',');
+    }
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) throw new TemplateExpressionError('Expression ends too early');
+    index++;
+
+    if (token.kind === 'number' || token.kind === 'string')
+    {
+      return { kind: 'literal', value: token.value };
+    }
+    if (token.kind === 'name')
+    {
+      if (isOp('('))
+      {
+        index++;
+        return { kind: 'call', name: token.value, args: parseList(')') };
+      }
+      if (Object.hasOwn(LITERALS, token.value))
+      {
+        return { kind: 'literal', value: LITERALS[token.value] };
+      }
+      return { kind: 'variable', name: token.value };
+    }
+    if (token.value === '(')
+    {
+      const inner = parseTernary();
+      expectOp(')');
+      return inner;
+    }
+    if (token.value === '[')
+    {
+      return { kind: 'list', items: parseList(']') };
+    }
+    throw new TemplateExpressionError(`Unexpected "${token.value}"`);
+  };
+
+  const parsePostfix = () => {
+    let node = parsePrimary();
+    while (isOp('['))
+    {
+      index++;
+      const position = parseTernary();
+      expectOp(']');
+      node = { kind: 'index', target: node, position };
+    }
+    return node;
+  };
+
+  // ** binds tighter than a unary minus on its left, so -2 ** 2 is -4
+  const parsePower = () => {
+    const base = parsePostfix();
+    if (isOp('**'))
+    {
+      index++;
+      return { kind: 'binary', op: '**', left: base, right: parseUnary() };
+    }
+    return base;
+  };
+
+  const parseUnary = () => {
+    if (isOp('-') || isOp('!') || isOp('~'))
+    {
+      const op = peek().value;
+      index++;
+      return { kind: 'unary', op, operand: parseUnary() };
+    }
+    return parsePower();
+  };
+
+  const parseBinary = (minPrecedence) => {
+    let left = parseUnary();
+    for (;;)
+    {
+      const token = peek();
+      const precedence = token?.kind === 'op' ? BINARY_PRECEDENCE[token.value] : undefined;
+      if (precedence === undefined || precedence < minPrecedence) return left;
+
+      index++;
+      left = { kind: 'binary', op: token.value, left, right: parseBinary(precedence + 1) };
+    }
+  };
+
+  const parseTernary = () => {
+    const condition = parseBinary(1);
+    if (!isOp('?')) return condition;
+
+    index++;
+    const whenTrue = parseTernary();
+    expectOp(':');
+    return { kind: 'ternary', condition, whenTrue, whenFalse: parseTernary() };
+  };
+
+  const tree = parseTernary();
+  if (index < tokens.length)
+  {
+    throw new TemplateExpressionError(`Unexpected "${tokens[index].value}"`);
+  }
+  return tree;
+};
+
+// ---------------------------------------------------------------
+// Values
+// ---------------------------------------------------------------
+
+/**
+ * Formats a value the way it appears in question text
+ * Lists look like [1, 2, 3], and decimals are cut to 6 places
+ * @param {*} value
+ * @returns {string}
+ */
+const formatValue = (value) => {
+  if (Array.isArray(value)) return `[${value.map(formatValue).join(', ')}]`;
+  if (typeof value === 'number')
+  {
+    const rounded = Number.isInteger(value) ? value : Number(value.toFixed(6));
+    return String(Object.is(rounded, -0) ? 0 : rounded);
+  }
+  return String(value);
+};
+
+const describeType = (value) => (Array.isArray(value) ? 'list' : typeof value);
+
+const isTruthy = (value) => (
+  Array.isArray(value) || typeof value === 'string' ? value.length > 0 : Boolean(value)
+);
+
+const valuesEqual = (a, b) => {
+  if (Array.isArray(a) && Array.isArray(b))
+  {
+    return a.length === b.length && a.every((item, i) => valuesEqual(item, b[i]));
+  }
+  return a === b;
+};
+
+const requireNumber = (value, what) => {
+  if (typeof value !== 'number') throw new TemplateExpressionError(`${what} needs a number, not a ${describeType(value)}`);
+  return value;
+};
+
+const requireInteger = (value, what) => {
+  if (!Number.isInteger(value)) throw new TemplateExpressionError(`${what} needs a whole number, not ${formatValue(value)}`);
+  return value;
+};
+
+const requireList = (value, what) => {
+  if (!Array.isArray(value)) throw new TemplateExpressionError(`${what} needs a list, not a ${describeType(value)}`);
+  return value;
+};
+
+// Lists and strings are capped so an expression can't build something huge
+const checkSize = (value) => {
+  if ((Array.isArray(value) || typeof value === 'string') && value.length > MAX_VALUE_LENGTH)
+  {
+    throw new TemplateExpressionError(`Values can be at most ${MAX_VALUE_LENGTH} long`);
+  }
+  if (typeof value === 'number' && !Number.isFinite(value))
+  {
+    throw new TemplateExpressionError('Result is too large or not a number');
+  }
+  return value;
+};
+
+const compareValues = (a, b, op) => {
+  if (!((typeof a === 'number' && typeof b === 'number') || (typeof a === 'string' && typeof b === 'string')))
+  {
+    throw new TemplateExpressionError(`"${op}" compares two numbers or two strings`);
+  }
+  switch (op)
+  {
+    case '<':  return a < b;
+    case '<=': return a <= b;
+    case '>':  return a > b;
+    default:   return a >= b;
+  }
+};
+
+/**
+ * Sorts numbers numerically and strings alphabetically
+ * @param {Array} list
+ * @returns {Array} Sorted copy
+ */
+const sortValues = (list) => {
+  if (list.every(item => typeof item === 'number')) return [...list].sort((a, b) => a - b);
+  if (list.every(item => typeof item === 'string')) return [...list].sort();
+  throw new TemplateExpressionError('sort() needs a list of all numbers or all strings');
+};
+
+// ---------------------------------------------------------------
+// Functions
+// ---------------------------------------------------------------
+
+/**
+ * Reads min()/max() arguments, either one list or several numbers
+ * @param {Array}  args
+ * @param {string} name
+ * @returns {Array<number>}
+ */
+const numbersFrom = (args, name) => {
+  const numbers = args.length === 1 && Array.isArray(args[0]) ? args[0] : args;
+  if (numbers.length === 0) throw new TemplateExpressionError(`${name}() of an empty list`);
+  return numbers.map(value => requireNumber(value, `${name}()`));
+};
+
+// name -> [fewest args, most args, implementation]
+const FUNCTIONS = Object.freeze({
+  abs:   [1, 1, (n) => Math.abs(requireNumber(n, 'abs()'))],
+  floor: [1, 1, (n) => Math.floor(requireNumber(n, 'floor()'))],
+  ceil:  [1, 1, (n) => Math.ceil(requireNumber(n, 'ceil()'))],
+  round: [1, 2, (n, digits = 0) => {
+    requireNumber(n, 'round()');
+    requireInteger(digits, 'round()');
+    const scale = 10 ** Math.min(Math.max(digits, 0), 10);
+    return Math.round(n * scale) / scale;
+  }],
+  sqrt: [1, 1, (n) => {
+    if (requireNumber(n, 'sqrt()') < 0) throw new TemplateExpressionError('sqrt() of a negative number');
+    return Math.sqrt(n);
+  }],
+  log2: [1, 1, (n) => {
+    if (requireNumber(n, 'log2()') <= 0) throw new TemplateExpressionError('log2() needs a number above 0');
+    return Math.log2(n);
+  }],
+  pow:  [2, 2, (a, b) => requireNumber(a, 'pow()') ** requireNumber(b, 'pow()')],
+  idiv: [2, 2, (a, b) => {
+    requireInteger(a, 'idiv()');
+    if (requireInteger(b, 'idiv()') === 0) throw new TemplateExpressionError('Division by zero');
+    return Math.trunc(a / b);
+  }],
+  min: [1, Infinity, (...args) => Math.min(...numbersFrom(args, 'min'))],
+  max: [1, Infinity, (...args) => Math.max(...numbersFrom(args, 'max'))],
+  sum: [1, 1, (list) => requireList(list, 'sum()').reduce((total, n) => total + requireNumber(n, 'sum()'), 0)],
+  len: [1, 1, (value) => {
+    if (!Array.isArray(value) && typeof value !== 'string') throw new TemplateExpressionError('len() needs a list or string');
+    return value.length;
+  }],
+  sort:    [1, 1, (list) => sortValues(requireList(list, 'sort()'))],
+  reverse: [1, 1, (value) => (typeof value === 'string'
+    ? [...value].reverse().join('')
+    : [...requireList(value, 'reverse()')].reverse())],
+  slice: [2, 3, (value, start, end) => {
+    if (!Array.isArray(value) && typeof value !== 'string') throw new TemplateExpressionError('slice() needs a list or string');
+    requireInteger(start, 'slice()');
+    if (end !== undefined) requireInteger(end, 'slice()');
+    return value.slice(start, end);
+  }],
+  range: [1, 2, (a, b) => {
+    const [start, stop] = b === undefined ? [0, a] : [a, b];
+    requireInteger(start, 'range()');
+    requireInteger(stop, 'range()');
+    if (stop - start > MAX_VALUE_LENGTH) throw new TemplateExpressionError(`range() can be at most ${MAX_VALUE_LENGTH} long`);
+    return Array.from({ length: Math.max(0, stop - start) }, (_, i) => start + i);
+  }],
+  count:    [2, 2, (list, value) => requireList(list, 'count()').filter(item => valuesEqual(item, value)).length],
+  indexOf:  [2, 2, (list, value) => requireList(list, 'indexOf()').findIndex(item => valuesEqual(item, value))],
+  contains: [2, 2, (value, item) => (typeof value === 'string'
+    ? value.includes(String(item))
+    : requireList(value, 'contains()').some(entry => valuesEqual(entry, item)))],
+  bin: [1, 2, (n, width) => {
+    requireInteger(n, 'bin()');
+    if (width === undefined)
+    {
+      if (n < 0) throw new TemplateExpressionError('bin() of a negative number needs a width');
+      return n.toString(2);
+    }
+    requireInteger(width, 'bin()');
+    if (width < 1 || width > 32) throw new TemplateExpressionError('bin() width must be 1 to 32');
+    if (n >= 2 ** width || n < -(2 ** (width - 1))) throw new TemplateExpressionError(`${n} doesn't fit in ${width} bits`);
+    // Negative numbers come out in two's complement
+    const unsigned = n < 0 ? 2 ** width + n : n;
+    return unsigned.toString(2).padStart(width, '0');
+  }],
+  fromBin: [1, 1, (bits) => {
+    if (typeof bits !== 'string' || !/^[01]{1,32}$/.test(bits)) throw new TemplateExpressionError('fromBin() needs a string of up to 32 0s and 1s');
+    return parseInt(bits, 2);
+  }],
+  hex: [1, 1, (n) => {
+    if (requireInteger(n, 'hex()') < 0) throw new TemplateExpressionError('hex() of a negative number');
+    return n.toString(16).toUpperCase();
+  }],
+  popcount: [1, 1, (n) => {
+    if (requireInteger(n, 'popcount()') < 0) throw new TemplateExpressionError('popcount() of a negative number');
+    return n.toString(2).split('').filter(bit => bit === '1').length;
+  }],
+  join: [1, 2, (list, separator = ', ') => requireList(list, 'join()').map(formatValue).join(String(separator))],
+  str:  [1, 1, (value) => formatValue(value)],
+});
+
+// ---------------------------------------------------------------
+// Evaluation
+// ---------------------------------------------------------------
+
+const evaluateBinary = (op, left, right) => {
+  switch (op)
+  {
+    case '+':
+      if (typeof left === 'number' && typeof right === 'number') return left + right;
+      if (Array.isArray(left) && Array.isArray(right)) return [...left, ...right];
+      if (typeof left === 'string' || typeof right === 'string') return formatValue(left) + formatValue(right);
+      throw new TemplateExpressionError(`Can't add a ${describeType(left)} and a ${describeType(right)}`);
+    case '-': return requireNumber(left, '"-"') - requireNumber(right, '"-"');
+    case '*': return requireNumber(left, '"*"') * requireNumber(right, '"*"');
+    case '/':
+      if (requireNumber(right, '"/"') === 0) throw new TemplateExpressionError('Division by zero');
+      return requireNumber(left, '"/"') / right;
+    case '%':
+      if (requireNumber(right, '"%"') === 0) throw new TemplateExpressionError('Division by zero');
+      return requireNumber(left, '"%"') % right;
+    case '**': return requireNumber(left, '"**"') ** requireNumber(right, '"**"');
+    case '==': return valuesEqual(left, right);
+    case '!=': return !valuesEqual(left, right);
+    case '<':
+    case '<=':
+    case '>':
+    case '>=':
+      return compareValues(left, right, op);
+    case '&':  return requireInteger(left, '"&"') & requireInteger(right, '"&"');
+    case '|':  return requireInteger(left, '"|"') | requireInteger(right, '"|"');
+    case '^':  return requireInteger(left, '"^"') ^ requireInteger(right, '"^"');
+    case '<<': return requireInteger(left, '"<<"') << requireInteger(right, '"<<"');
+    case '>>': return requireInteger(left, '">>"') >> requireInteger(right, '">>"');
+    default:   throw new TemplateExpressionError(`Unknown operator "${op}"`);
+  }
+};
+
+/**
+ * Evaluates a parsed expression
+ * @param {Object}           tree      - From parseExpression()
+ * @param {Map<string, *>}   variables - Variable name -> value
+ * @throws {TemplateExpressionError} If the expression fails for these values
+ * @returns {*} number, string, boolean or list
+ */
+const evaluateExpression = (tree, variables) => {
+  const evaluate = (node) => {
+    switch (node.kind)
+    {
+      case 'literal':
+        return node.value;
+
+      case 'variable':
+        if (!variables.has(node.name)) throw new TemplateExpressionError(`Unknown variable "${node.name}"`);
+        return variables.get(node.name);
+
+      case 'list':
+        return checkSize(node.items.map(evaluate));
+
+      case 'index': {
+        const target = evaluate(node.target);
+        const position = requireInteger(evaluate(node.position), 'Indexing');
+        if (!Array.isArray(target) && typeof target !== 'string')
+        {
+          throw new TemplateExpressionError(`Can't index a ${describeType(target)}`);
+        }
+        if (position < 0 || position >= target.length)
+        {
+          throw new TemplateExpressionError(`Index ${position} is out of range for length ${target.length}`);
+        }
+        return target[position];
+      }
+
+      case 'unary': {
+        const operand = evaluate(node.operand);
+        if (node.op === '!') return !isTruthy(operand);
+        if (node.op === '~') return ~requireInteger(operand, '"~"');
+        return -requireNumber(operand, '"-"');
+      }
+
+      case 'binary': {
+        // Only evaluate the right side when it decides the result
+        if (node.op === '&&') return isTruthy(evaluate(node.left)) && isTruthy(evaluate(node.right));
+        if (node.op === '||') return isTruthy(evaluate(node.left)) || isTruthy(evaluate(node.right));
+        return checkSize(evaluateBinary(node.op, evaluate(node.left), evaluate(node.right)));
+      }
+
+      case 'ternary':
+        return isTruthy(evaluate(node.condition)) ? evaluate(node.whenTrue) : evaluate(node.whenFalse);
+
+      case 'call': {
+        const fn = Object.hasOwn(FUNCTIONS, node.name) ? FUNCTIONS[node.name] : null;
+        if (!fn) throw new TemplateExpressionError(`Unknown function "${node.name}"`);
+
+        const [fewest, most, implementation] = fn;
+        if (node.args.length < fewest || node.args.length > most)
+        {
+          const expected = fewest === most ? fewest : most === Infinity ? `${fewest} or more` : `${fewest} to ${most}`;
+          throw new TemplateExpressionError(`${node.name}() takes ${expected} argument${expected === 1 ? '' : 's'}`);
+        }
+        return checkSize(implementation(...node.args.map(evaluate)));
+      }
+
+      default:
+        throw new TemplateExpressionError(`Unknown expression "${node.kind}"`);
+    }
+  };
+
+  return evaluate(tree);
+};
+
+module.exports = {
+  TemplateExpressionError,
+  FUNCTION_NAMES: Object.freeze(Object.keys(FUNCTIONS)),
+  parseExpression,
+  evaluateExpression,
+  formatValue,
+};
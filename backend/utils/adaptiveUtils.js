@@ -0,0 +1,229 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          adaptiveUtils.js
+//  Description:   Adaptive practice set selection. Weighs
+//                 questions toward a student's weak subcategories
+//                 and past misses, skips recently mastered ones,
+//                 and targets a question type difficulty that
+//                 follows the student's recent accuracy.
+//
+//  Dependencies:  analyticsModel
+//                 analyticsConfig
+//                 validationUtils
+//
+////////////////////////////////////////////////////////////////
+
+const { processProgressData } = require('./analyticsModel');
+const { normalizeDBString } = require('./validationUtils');
+const {
+        TYPE_DIFFICULTY,
+        DEFAULT_DIFFICULTY,
+        ADAPTIVE_MASTERY_STREAK,
+        ADAPTIVE_MASTERY_COOLDOWN_DAYS,
+        ADAPTIVE_MISSED_WEIGHT,
+        ADAPTIVE_UNSEEN_WEAKNESS,
+        ADAPTIVE_MIN_WEIGHT,
+        ADAPTIVE_MIN_TARGET_DIFFICULTY,
+        ADAPTIVE_MAX_TARGET_DIFFICULTY,
+        ADAPTIVE_RECENT_WINDOW,
+      } = require('../../shared/analyticsConfig');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Points earned / points possible for a response row, 0 if nothing was possible
+ * @param {Object} row - Response row
+ * @returns {number} Normalized score, 0-1
+ */
+const normalizedScoreOf = (row) => {
+  const possible = parseFloat(row.POINTS_POSSIBLE);
+  return possible > 0 ? parseFloat(row.POINTS_EARNED) / possible : 0;
+};
+
+/**
+ * Summarizes a student's attempts at each question
+ *
+ * @param {Array<Object>} responses - Response rows (PROBLEM_ID, DATETIME, POINTS_EARNED, POINTS_POSSIBLE),
+ *                                    oldest first
+ * @param {Date}          now       - Current time
+ * @returns {Map<number, { missed: boolean, mastered: boolean }>}
+ *          missed:   missed at least once and not mastered since
+ *          mastered: ended on a full-score streak, recently enough to skip
+ */
+const summarizeQuestionHistory = (responses, now) => {
+  const byQuestion = new Map();
+
+  for (const row of responses)
+  {
+    const entry = byQuestion.get(row.PROBLEM_ID) ?? { everMissed: false, streak: 0, lastAt: null };
+    if (normalizedScoreOf(row) >= 1)
+    {
+      entry.streak++;
+    }
+    else
+    {
+      entry.everMissed = true;
+      entry.streak = 0;
+    }
+    entry.lastAt = new Date(row.DATETIME);
+    byQuestion.set(row.PROBLEM_ID, entry);
+  }
+
+  const summary = new Map();
+  for (const [questionId, { everMissed, streak, lastAt }] of byQuestion)
+  {
+    const onStreak = streak >= ADAPTIVE_MASTERY_STREAK;
+    summary.set(questionId, {
+      missed:   everMissed && !onStreak,
+      mastered: onStreak && now - lastAt < ADAPTIVE_MASTERY_COOLDOWN_DAYS * DAY_MS,
+    });
+  }
+
+  return summary;
+};
+
+/**
+ * Maps recent accuracy to a target question type difficulty.
+ * 0% recent accuracy targets the easiest type, 100% the hardest.
+ *
+ * @param {number[]} recentScores - Normalized scores of the most recent responses
+ * @returns {number} Target difficulty, on the TYPE_DIFFICULTY scale
+ */
+const computeTargetDifficulty = (recentScores) => {
+  const accuracy = recentScores.length > 0
+    ? recentScores.reduce((sum, score) => sum + score, 0) / recentScores.length
+    : 0;
+  return ADAPTIVE_MIN_TARGET_DIFFICULTY + (ADAPTIVE_MAX_TARGET_DIFFICULTY - ADAPTIVE_MIN_TARGET_DIFFICULTY) * accuracy;
+};
+
+/**
+ * Builds a student's per-subcategory standing from their responses
+ *
+ * @param {Array<Object>} responses - Response rows joined with Question and Subcategory
+ *                                    (TYPE, SUBCATEGORY, SUBCATEGORY_DIFFICULTY), oldest first
+ * @returns {Object} Map of subcategory -> { metric, responseCount, weakness, targetDifficulty }
+ */
+const buildTopicProfile = (responses) => {
+  // Key the analytics model by the question's subcategory rather than the
+  // client-supplied Response.TOPIC, so it lines up with candidate questions
+  const progress = processProgressData(responses.map(row => ({ ...row, TOPIC: row.SUBCATEGORY ?? '' })));
+
+  const recentScores = {};
+  for (const row of responses)
+  {
+    const topic = normalizeDBString(row.SUBCATEGORY ?? '');
+    (recentScores[topic] ??= []).push(normalizedScoreOf(row));
+  }
+
+  const profile = {};
+  for (const [topic, { metric, responseCount }] of Object.entries(progress))
+  {
+    profile[topic] = {
+      metric,
+      responseCount,
+      weakness:         1 - metric,
+      targetDifficulty: parseFloat(computeTargetDifficulty(recentScores[topic].slice(-ADAPTIVE_RECENT_WINDOW)).toFixed(4)),
+    };
+  }
+
+  return profile;
+};
+
+/**
+ * Profile for a subcategory the student hasn't answered anything in yet
+ * @returns {Object} { metric, responseCount, weakness, targetDifficulty }
+ */
+const unseenTopic = () => ({
+  metric:           null,
+  responseCount:    0,
+  weakness:         ADAPTIVE_UNSEEN_WEAKNESS,
+  targetDifficulty: computeTargetDifficulty([]),
+});
+
+/**
+ * Selection weight for one candidate question
+ *
+ *   weight = weakness(subcategory) * typeFit * (missed ? ADAPTIVE_MISSED_WEIGHT : 1)
+ *
+ * typeFit is 1 when the question's type difficulty equals the subcategory's
+ * target, dropping linearly with the distance between them.
+ *
+ * @param {Object}  question - Question row
+ * @param {Object}  topic    - Subcategory profile, see buildTopicProfile()
+ * @param {boolean} missed   - Whether the student missed this question and hasn't mastered it since
+ * @returns {number} Weight, at least ADAPTIVE_MIN_WEIGHT
+ */
+const computeQuestionWeight = (question, topic, missed) => {
+  const typeDifficulty = TYPE_DIFFICULTY[normalizeDBString(question.TYPE ?? '')] ?? DEFAULT_DIFFICULTY;
+  const typeFit = 1 - Math.abs(typeDifficulty - topic.targetDifficulty);
+  const weight = topic.weakness * typeFit * (missed ? ADAPTIVE_MISSED_WEIGHT : 1);
+  return Math.max(ADAPTIVE_MIN_WEIGHT, weight);
+};
+
+/**
+ * Picks an adaptive practice set for a student, reproducibly for a given generator seed.
+ * Uses weighted sampling without replacement (Efraimidis-Spirakis), so heavier
+ * questions are more likely to be picked but every candidate has a chance.
+ * Recently mastered questions are never picked.
+ *
+ * @param {Array}         questions                  - Candidate Question rows (published), ordered by ID
+ * @param {Array}         responses                  - The student's Response rows joined with Question
+ *                                                     (TYPE, SUBCATEGORY), oldest first
+ * @param {Object}        options
+ * @param {number}        options.count              - Number of questions wanted
+ * @param {() => number}  options.random             - Seeded generator from createSeededRandom()
+ * @param {boolean}       [options.allowProgramming] - False once the user hit the daily programming limit
+ * @param {Date}          [options.now]              - Current time, for the mastery cooldown
+ * @returns {{ questions: Array, focus: Array }}
+ *          questions: picked Question rows, heaviest first
+ *          focus:     [{ subcategory, metric, responseCount, targetDifficulty }]
+ *                     for the picked subcategories, weakest first
+ */
+const selectAdaptiveQuestions = (questions, responses, { count, random, allowProgramming = true, now = new Date() }) => {
+  const history = summarizeQuestionHistory(responses, now);
+  const profile = buildTopicProfile(responses);
+  const topicOf = (question) => normalizeDBString(question.SUBCATEGORY ?? '');
+
+  const ranked = questions
+    .filter(q => !history.get(q.ID)?.mastered)
+    .filter(q => allowProgramming || q.TYPE !== 'Programming')
+    .map(q => {
+      const weight = computeQuestionWeight(q, profile[topicOf(q)] ?? unseenTopic(), history.get(q.ID)?.missed ?? false);
+      return { question: q, key: Math.pow(random(), 1 / weight) };
+    })
+    .sort((a, b) => b.key - a.key);
+
+  // At most one programming question per practice set
+  const picked = [];
+  let programmingQuestionUsed = false;
+  for (const { question } of ranked)
+  {
+    if (picked.length >= count) break;
+    if (question.TYPE === 'Programming')
+    {
+      if (programmingQuestionUsed) continue;
+      programmingQuestionUsed = true;
+    }
+    picked.push(question);
+  }
+
+  const focus = [...new Set(picked.map(topicOf))]
+    .map(subcategory => {
+      const { metric, responseCount, weakness, targetDifficulty } = profile[subcategory] ?? unseenTopic();
+      return { subcategory, metric, responseCount, targetDifficulty, weakness };
+    })
+    .sort((a, b) => b.weakness - a.weakness)
+    .map(({ weakness: _weakness, ...topic }) => topic);
+
+  return { questions: picked, focus };
+};
+
+module.exports = {
+  summarizeQuestionHistory,
+  computeTargetDifficulty,
+  buildTopicProfile,
+  selectAdaptiveQuestions,
+};
@@ -6,7 +6,8 @@
 //  File:          analyticsModel.js
 //  Description:   KnightWise analytics engine.
 //                 Computes a weighted performance metric
-//                 (0.0 - 1.0) per response.
+//                 (0.0 - 1.0) per response, and aggregates
+//                 response metrics per topic.
 //
 //  Dependencies:  analyticsConfig
 //                 validationUtils
@@ -18,7 +19,6 @@ const {
         WEIGHT_TIME,
         WEIGHT_SUBCATEGORY,
         WEIGHT_TYPE,
-        SUBCATEGORY_DIFFICULTY,
         TYPE_DIFFICULTY,
         MAX_ELAPSED_TIME_BY_TYPE,
         DEFAULT_ELAPSED_TIME_CEILING,
@@ -39,17 +39,18 @@ const { normalizeDBString } = require('../utils/validationUtils');
  *   - Time:        1 - (elapsedTime / timeCeiling), clamped to [0, 1]
  *                  timeCeiling depends on question type, see analyticsConfig
  *                  Null elapsed time uses neutral score of 0.5
- *   - Subcategory: difficulty scalar from analyticsConfig
+ *   - Subcategory: Subcategory.DIFFICULTY scalar from the taxonomy
  *   - Type:        difficulty scalar from analyticsConfig
  *
- * @param {Object}      response                  - Question response to compute metric for
- * @param {number}      response.normalizedScore  - Points earned / points possible (0-1)
- * @param {number|null} response.elapsedTime      - Seconds taken to answer, or null
- * @param {string}      response.subcategory      - Question.SUBCATEGORY string
- * @param {string}      response.type             - Question.TYPE string
+ * @param {Object}      response                         - Question response to compute metric for
+ * @param {number}      response.normalizedScore         - Points earned / points possible (0-1)
+ * @param {number|null} response.elapsedTime             - Seconds taken to answer, or null
+ * @param {number|null} [response.subcategoryDifficulty] - Subcategory.DIFFICULTY, null if the
+ *                                                         question isn't linked to a subcategory
+ * @param {string}      response.type                    - Question.TYPE string
  * @returns {number} Performance metric, 0.0 to 1.0
  */
-const computePerformanceMetric = ({ normalizedScore, elapsedTime, subcategory, type }) => {
+const computePerformanceMetric = ({ normalizedScore, elapsedTime, subcategoryDifficulty = null, type }) => {
   // Accuracy component: most heavily weighted
   const accuracyScore = Math.max(0, Math.min(1, normalizedScore));
 
@@ -60,7 +61,7 @@ const computePerformanceMetric = ({ normalizedScore, elapsedTime, subcategory, t
     : 1 - Math.min(1, elapsedTime / timeCeiling);
 
   // Subcategory and type difficulty scalars
-  const subcategoryScore = SUBCATEGORY_DIFFICULTY[normalizeDBString(subcategory ?? '')] ?? DEFAULT_DIFFICULTY;
+  const subcategoryScore = subcategoryDifficulty === null ? DEFAULT_DIFFICULTY : Number(subcategoryDifficulty);
   const typeScore        = TYPE_DIFFICULTY[normalizeDBString(type ?? '')]               ?? DEFAULT_DIFFICULTY;
 
   return (
@@ -87,6 +88,57 @@ const computeWeightedTopicMetric = (metrics, pointValues) => {
   return totalWeight > 0 ? weightedSum / totalWeight : 0;
 };
 
+/**
+ * Processes response rows into per-topic performance metrics using the analytics model
+ * Uses point-weighted averaging so higher-point questions influence topic scores more
+ *
+ * @param {Array<Object>} responses - Response rows joined with Question and Subcategory
+ *                                    (needs TYPE, SUBCATEGORY_DIFFICULTY)
+ * @returns {Object} Map of topic -> { metric, responseCount }
+ */
+const processProgressData = (responses) => {
+  const byTopic       = {}; // topic -> array of per-response metrics
+  const byTopicPoints = {}; // topic -> array of corresponding pointsPossible values
+
+  for (const row of responses)
+  {
+    // Prevent database inconsistencies from breaking logic
+    const topic = normalizeDBString(row.TOPIC);
+    // Initialize topic if not already in progress
+    if (!byTopic[topic])
+    {
+      byTopic[topic]       = [];
+      byTopicPoints[topic] = [];
+    }
+
+    const normalizedScore = row.POINTS_POSSIBLE > 0
+      ? row.POINTS_EARNED / row.POINTS_POSSIBLE
+      : 0;
+
+    // Compute performance metric
+    byTopic[topic].push(computePerformanceMetric({
+      normalizedScore,
+      elapsedTime:           row.ELAPSED_TIME,
+      subcategoryDifficulty: row.SUBCATEGORY_DIFFICULTY ?? null,
+      type:                  normalizeDBString(row.TYPE ?? ''),
+    }));
+
+    // Record points possible for topic weighing
+    byTopicPoints[topic].push(parseFloat(row.POINTS_POSSIBLE));
+  }
+
+  const result = {};
+  for (const [topic, metrics] of Object.entries(byTopic))
+  {
+    result[topic] = {
+      metric:        parseFloat(computeWeightedTopicMetric(metrics, byTopicPoints[topic]).toFixed(4)),
+      responseCount: metrics.length,
+    };
+  }
+
+  return result;
+};
+
 /**
  * Computes a median value from an array of numbers.
  * Returns null for empty arrays.
@@ -106,5 +158,6 @@ const computeMedian = (values) => {
 module.exports = {
   computePerformanceMetric,
   computeWeightedTopicMetric,
+  processProgressData,
   computeMedian,
 };
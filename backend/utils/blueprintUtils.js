@@ -0,0 +1,326 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          blueprintUtils.js
+//  Description:   Utilities and helper functions for mock test
+//                 blueprints: validating blueprint input,
+//                 converting TestBlueprint rows, and drawing
+//                 questions that satisfy a blueprint.
+//
+//  Dependencies:  mysql2 connection pool
+//                 errorHandler
+//                 codeLimits (daily submission check)
+//                 questionUtils
+//                 validationUtils
+//                 mockTestConfig
+//
+////////////////////////////////////////////////////////////////
+
+const { AppError } = require('../middleware/errorHandler');
+const { getProgrammingSubmissionsRemaining } = require('../config/codeLimits');
+const { QUESTION_TYPES, shuffle } = require('./questionUtils');
+const { normalizeDBString } = require('./validationUtils');
+const {
+        MIN_TIME_LIMIT_MINUTES,
+        MAX_TIME_LIMIT_MINUTES,
+        MAX_QUESTION_COUNT,
+      } = require('../../shared/mockTestConfig');
+
+// Blueprints with a target point total are drawn this many times,
+// keeping the draw closest to the target
+const BLUEPRINT_DRAW_ATTEMPTS = 25;
+
+// Max lengths of blueprint text fields
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 500;
+
+// Used by GET /api/test/mocktest when no blueprint is requested:
+// 3 questions from each Foundation Exam section, at most 1 programming question
+const DEFAULT_BLUEPRINT = Object.freeze({
+  id:               null,
+  name:             'Foundation Exam',
+  description:      '3 questions from each of sections A, B, C and D.',
+  timeLimitMinutes: 30,
+  targetPoints:     null,
+  rules:            ['A', 'B', 'C', 'D'].map(section => ({ section, category: null, subcategory: null, count: 3 })),
+  typeQuotas:       { 'Programming': { min: 0, max: 1 } },
+});
+
+/**
+ * Checks that a value is a whole number in [min, max]
+ * @param {*}      value - Value to check
+ * @param {number} min   - Minimum allowed
+ * @param {number} max   - Maximum allowed
+ * @returns {boolean}
+ */
+const isIntInRange = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+/**
+ * Trims an optional string filter, treating empty as "any"
+ * @param {*} value - Raw filter value
+ * @returns {string|null} Trimmed string, or null
+ */
+const optionalFilter = (value) => {
+  if (value === undefined || value === null) return null;
+  const trimmed = String(value).trim();
+  return trimmed.length > 0 ? trimmed : null;
+};
+
+/**
+ * Validates and normalizes blueprint input from a request body
+ *
+ * Expected shape:
+ *   {
+ *     name:             string,
+ *     description?:     string,
+ *     timeLimitMinutes: number,
+ *     targetPoints?:    number | null,
+ *     rules:            [{ section?, category?, subcategory?, count }],
+ *     typeQuotas?:      { [Question.TYPE]: { min?, max? } }
+ *   }
+ * A rule matches questions on every filter it sets, and unset filters match anything.
+ *
+ * @param {Object} input   - Raw request body
+ * @param {string} context - Caller name for error logging
+ * @throws {AppError} 400  - If any field is missing or invalid
+ * @returns {Object} Normalized blueprint
+ */
+const parseBlueprint = (input, context) => {
+  const invalid = (devMessage, userMessage) =>
+    new AppError(`[${context}] ${devMessage}`, 400, userMessage);
+
+  const { name, description, timeLimitMinutes, targetPoints, rules, typeQuotas } = input ?? {};
+
+  if (typeof name !== 'string' || name.trim().length === 0 || name.trim().length > MAX_NAME_LENGTH)
+  {
+    throw invalid(`Invalid blueprint name: ${name}`, `Blueprint name is required, up to ${MAX_NAME_LENGTH} characters`);
+  }
+  if (description !== undefined && description !== null && (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH))
+  {
+    throw invalid('Invalid blueprint description', `Description must be text, up to ${MAX_DESCRIPTION_LENGTH} characters`);
+  }
+  if (!isIntInRange(timeLimitMinutes, MIN_TIME_LIMIT_MINUTES, MAX_TIME_LIMIT_MINUTES))
+  {
+    throw invalid(`Invalid timeLimitMinutes: ${timeLimitMinutes}`, `Time limit must be between ${MIN_TIME_LIMIT_MINUTES} and ${MAX_TIME_LIMIT_MINUTES} minutes`);
+  }
+  if (targetPoints !== undefined && targetPoints !== null && !(typeof targetPoints === 'number' && targetPoints > 0))
+  {
+    throw invalid(`Invalid targetPoints: ${targetPoints}`, 'Target points must be a positive number');
+  }
+
+  if (!Array.isArray(rules) || rules.length === 0)
+  {
+    throw invalid('Missing blueprint rules', 'Blueprint needs at least one rule');
+  }
+  const normalizedRules = rules.map((rule, index) => {
+    if (!rule || typeof rule !== 'object' || !isIntInRange(rule.count, 1, MAX_QUESTION_COUNT))
+    {
+      throw invalid(`Invalid rule ${index}: ${JSON.stringify(rule)}`, `Rule ${index + 1} needs a question count between 1 and ${MAX_QUESTION_COUNT}`);
+    }
+    const subcategory = optionalFilter(rule.subcategory);
+    return {
+      section:     optionalFilter(rule.section),
+      category:    optionalFilter(rule.category),
+      subcategory: subcategory ? normalizeDBString(subcategory) : null,
+      count:       rule.count,
+    };
+  });
+
+  const totalCount = normalizedRules.reduce((sum, rule) => sum + rule.count, 0);
+  if (totalCount > MAX_QUESTION_COUNT)
+  {
+    throw invalid(`Blueprint has ${totalCount} questions`, `Blueprint can have at most ${MAX_QUESTION_COUNT} questions`);
+  }
+
+  const normalizedQuotas = {};
+  if (typeQuotas !== undefined && typeQuotas !== null)
+  {
+    if (typeof typeQuotas !== 'object' || Array.isArray(typeQuotas))
+    {
+      throw invalid('Invalid typeQuotas', 'Type quotas must be an object keyed by question type');
+    }
+    for (const [type, quota] of Object.entries(typeQuotas))
+    {
+      if (!QUESTION_TYPES.includes(type))
+      {
+        throw invalid(`Unknown question type in typeQuotas: ${type}`, `Invalid question type. Must be one of: ${QUESTION_TYPES.join(', ')}`);
+      }
+      const min = quota?.min ?? 0;
+      const max = quota?.max ?? null;
+      if (!isIntInRange(min, 0, MAX_QUESTION_COUNT) || (max !== null && !isIntInRange(max, min, MAX_QUESTION_COUNT)))
+      {
+        throw invalid(`Invalid quota for ${type}: ${JSON.stringify(quota)}`, `Quota for ${type} needs 0 <= min <= max`);
+      }
+      normalizedQuotas[type] = { min, max };
+    }
+  }
+
+  return {
+    name:             name.trim(),
+    description:      description?.trim() || null,
+    timeLimitMinutes,
+    targetPoints:     targetPoints ?? null,
+    rules:            normalizedRules,
+    typeQuotas:       normalizedQuotas,
+  };
+};
+
+/**
+ * Converts a TestBlueprint row into the API shape
+ * @param {Object} row - TestBlueprint row from database
+ * @returns {Object} Blueprint, with questionCount summed from its rules
+ */
+const toBlueprint = (row) => {
+  const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+  const rules = parseJson(row.RULES) ?? [];
+
+  return {
+    id:               row.ID,
+    name:             row.NAME,
+    description:      row.DESCRIPTION,
+    timeLimitMinutes: row.TIME_LIMIT_MINUTES,
+    targetPoints:     row.TARGET_POINTS === null ? null : parseFloat(row.TARGET_POINTS),
+    rules,
+    typeQuotas:       parseJson(row.TYPE_QUOTAS) ?? {},
+    questionCount:    rules.reduce((sum, rule) => sum + rule.count, 0),
+    ownerId:          row.OWNER_ID,
+  };
+};
+
+/**
+ * Fetches a blueprint by ID
+ * @param {Object} db          - Database connection pool
+ * @param {number} blueprintId - TestBlueprint ID
+ * @param {string} context     - Caller name for error logging
+ * @throws {AppError} 404      - If blueprint not found
+ * @returns {Promise<Object>} Blueprint in API shape
+ */
+const getBlueprint = async (db, blueprintId, context) => {
+  const [rows] = await db.query('SELECT * FROM TestBlueprint WHERE ID = ?', [blueprintId]);
+  if (rows.length === 0)
+  {
+    throw new AppError(`[${context}] Blueprint not found: ${blueprintId}`, 404, 'Blueprint not found');
+  }
+  return toBlueprint(rows[0]);
+};
+
+/**
+ * Checks whether a question satisfies every filter a rule sets
+ * @param {Object} question - Question row
+ * @param {Object} rule     - Normalized blueprint rule
+ * @returns {boolean}
+ */
+const matchesRule = (question, rule) =>
+  (!rule.section || String(question.SECTION ?? '').trim() === rule.section) &&
+  (!rule.category || normalizeDBString(question.CATEGORY ?? '') === normalizeDBString(rule.category)) &&
+  (!rule.subcategory || normalizeDBString(question.SUBCATEGORY ?? '') === rule.subcategory);
+
+/**
+ * Draws one set of questions for a blueprint.
+ * Each rule picks from a shuffled pool of its matching questions.
+ * Types still short of their minimum are picked first, and types at their
+ * maximum are skipped. A rule that runs out of questions stays short.
+ *
+ * @param {Array}         questions                  - Candidate Question rows (published)
+ * @param {Object}        blueprint                  - Normalized blueprint
+ * @param {() => number}  random                     - Seeded generator from createSeededRandom()
+ * @param {Object}        [options]
+ * @param {boolean}       [options.allowProgramming] - False once the user hit the daily programming limit
+ * @returns {Array} Picked Question rows, in rule order
+ */
+const drawBlueprintQuestions = (questions, blueprint, random, { allowProgramming = true } = {}) => {
+  const used = new Set();
+  const typeCounts = {};
+  const picked = [];
+
+  const quotaFor = (type) => blueprint.typeQuotas?.[normalizeDBString(type ?? '')] ?? { min: 0, max: null };
+  const hasRoom = (question) => {
+    const type = normalizeDBString(question.TYPE ?? '');
+    if (type === 'Programming' && !allowProgramming) return false;
+    const { max } = quotaFor(type);
+    return max === null || (typeCounts[type] ?? 0) < max;
+  };
+  const belowMin = (question) => {
+    const type = normalizeDBString(question.TYPE ?? '');
+    return (typeCounts[type] ?? 0) < quotaFor(type).min;
+  };
+
+  for (const rule of blueprint.rules)
+  {
+    const pool = shuffle(questions.filter(q => matchesRule(q, rule)), random);
+
+    for (let i = 0; i < rule.count; i++)
+    {
+      const available = pool.filter(q => !used.has(q.ID) && hasRoom(q));
+      const question = available.find(belowMin) ?? available[0];
+      if (!question) break;
+
+      const type = normalizeDBString(question.TYPE ?? '');
+      typeCounts[type] = (typeCounts[type] ?? 0) + 1;
+      used.add(question.ID);
+      picked.push(question);
+    }
+  }
+
+  return picked;
+};
+
+/**
+ * Picks questions for a blueprint, reproducibly for a given generator seed.
+ * With a target point total, several draws are made and the one with the most
+ * questions, then the closest point total, wins.
+ *
+ * @param {Array}         questions - Candidate Question rows (published)
+ * @param {Object}        blueprint - Normalized blueprint
+ * @param {() => number}  random    - Seeded generator from createSeededRandom()
+ * @param {Object}        [options] - See drawBlueprintQuestions()
+ * @returns {Array} Picked Question rows, in random order
+ */
+const selectBlueprintQuestions = (questions, blueprint, random, options = {}) => {
+  const attempts = blueprint.targetPoints ? BLUEPRINT_DRAW_ATTEMPTS : 1;
+  const totalPoints = (draw) => draw.reduce((sum, q) => sum + parseFloat(q.POINTS_POSSIBLE ?? 0), 0);
+
+  let best = null;
+  for (let i = 0; i < attempts; i++)
+  {
+    const draw = drawBlueprintQuestions(questions, blueprint, random, options);
+    const distance = blueprint.targetPoints ? Math.abs(totalPoints(draw) - blueprint.targetPoints) : 0;
+    if (!best || draw.length > best.draw.length || (draw.length === best.draw.length && distance < best.distance))
+    {
+      best = { draw, distance };
+    }
+  }
+
+  return shuffle(best.draw, random);
+};
+
+/**
+ * Picks published questions for a user's mock test from a blueprint.
+ * Programming questions are left out once the user hit the daily submission limit.
+ *
+ * @param {Object}        db        - Database connection pool
+ * @param {number}        userId    - Requesting user's ID
+ * @param {Object}        blueprint - Normalized blueprint
+ * @param {() => number}  random    - Seeded generator from createSeededRandom()
+ * @returns {Promise<Array>} Picked Question rows, in random order
+ */
+const pickBlueprintQuestions = async (db, userId, blueprint, random) => {
+  // Ordered by ID so the same seed draws the same questions
+  const [questions] = await db.query(
+    'SELECT * FROM Question WHERE IS_PUBLISHED = 1 ORDER BY ID'
+  );
+  const remaining = await getProgrammingSubmissionsRemaining(db, userId);
+
+  return selectBlueprintQuestions(questions, blueprint, random, { allowProgramming: remaining > 0 });
+};
+
+module.exports = {
+  DEFAULT_BLUEPRINT,
+  parseBlueprint,
+  toBlueprint,
+  getBlueprint,
+  selectBlueprintQuestions,
+  pickBlueprintQuestions,
+};
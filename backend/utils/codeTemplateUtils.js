@@ -0,0 +1,171 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          codeTemplateUtils.js
+//  Description:   Utilities and helper functions for
+//                 per-language programming templates: the
+//                 function signature and starter code students
+//                 see, and the hidden driver harness that wraps
+//                 their function before it is run.
+//
+//  Dependencies:  mysql2 connection pool
+//                 errorHandler
+//                 judge0Ids
+//
+////////////////////////////////////////////////////////////////
+
+const { AppError } = require('../middleware/errorHandler');
+const { LANGUAGE_IDS } = require('../services/codeRunners/judge0Ids');
+
+// Marks where the student's code goes in a harness
+const HARNESS_PLACEHOLDER = '{{STUDENT_CODE}}';
+
+// Max length of CodeTemplate.FUNCTION_SIGNATURE
+const MAX_SIGNATURE_LENGTH = 500;
+
+/**
+ * Checks that an optional template field is a string
+ * @param {*}      value   - Raw field value
+ * @param {string} field   - Field name, used in messages
+ * @param {string} context - Caller name for error logging
+ * @throws {AppError} 400  - If value is set but not a string
+ * @returns {string|null} The string, or null if empty
+ */
+const optionalText = (value, field, context) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value !== 'string')
+  {
+    throw new AppError(`[${context}] Code template ${field} must be a string`, 400, 'Invalid code templates');
+  }
+  return value;
+};
+
+/**
+ * Validates and normalizes code templates from a request body
+ *
+ * Expected shape:
+ *   [{ language_id, function_signature?, starter_code?, harness? }]
+ * At most one template per language. A harness must contain
+ * HARNESS_PLACEHOLDER, which is replaced with the student's code.
+ *
+ * @param {*}      input   - Raw code_templates field
+ * @param {string} context - Caller name for error logging
+ * @throws {AppError} 400  - If any template is invalid
+ * @returns {Array} Normalized templates:
+ *                  [{ languageId, functionSignature, starterCode, harness }]
+ */
+const parseCodeTemplates = (input, context) => {
+  if (!Array.isArray(input))
+  {
+    throw new AppError(`[${context}] code_templates must be an array`, 400, 'Invalid code templates');
+  }
+
+  const validLanguageIds = Object.values(LANGUAGE_IDS);
+  const seen = new Set();
+
+  return input.map(template => {
+    const languageId = Number(template?.language_id);
+    if (!validLanguageIds.includes(languageId))
+    {
+      throw new AppError(`[${context}] Unsupported template language: ${template?.language_id}`, 400, 'Unsupported programming language.');
+    }
+    if (seen.has(languageId))
+    {
+      throw new AppError(`[${context}] Duplicate template for language ${languageId}`, 400, 'Only one code template per language');
+    }
+    seen.add(languageId);
+
+    const functionSignature = optionalText(template.function_signature, 'function_signature', context);
+    if (functionSignature && functionSignature.length > MAX_SIGNATURE_LENGTH)
+    {
+      throw new AppError(`[${context}] Function signature too long`, 400, `Function signature must be at most ${MAX_SIGNATURE_LENGTH} characters`);
+    }
+
+    const harness = optionalText(template.harness, 'harness', context);
+    if (harness && !harness.includes(HARNESS_PLACEHOLDER))
+    {
+      throw new AppError(
+        `[${context}] Harness for language ${languageId} is missing ${HARNESS_PLACEHOLDER}`,
+        400,
+        `Harness must contain ${HARNESS_PLACEHOLDER} where the student's code goes`
+      );
+    }
+
+    return {
+      languageId,
+      functionSignature,
+      starterCode: optionalText(template.starter_code, 'starter_code', context),
+      harness,
+    };
+  });
+};
+
+/**
+ * Replaces a question's code templates
+ * @param {Object} db         - Database connection pool
+ * @param {number} questionId - Question.ID
+ * @param {Array}  templates  - Normalized templates from parseCodeTemplates()
+ * @returns {Promise<void>}
+ */
+const saveCodeTemplates = async (db, questionId, templates) => {
+  await db.query('DELETE FROM CodeTemplate WHERE QUESTION_ID = ?', [questionId]);
+  for (const template of templates)
+  {
+    await db.query(
+      `INSERT INTO CodeTemplate (QUESTION_ID, LANGUAGE_ID, FUNCTION_SIGNATURE, STARTER_CODE, HARNESS)
+      VALUES (?, ?, ?, ?, ?)`,
+      [questionId, template.languageId, template.functionSignature, template.starterCode, template.harness]
+    );
+  }
+};
+
+/**
+ * Finds the harness to run a submission in.
+ * A question with a harness for any language is a function-signature
+ * problem, so it can only be answered in the languages it has harnesses for.
+ *
+ * @param {Object} db         - Database connection pool
+ * @param {number} questionId - Question.ID
+ * @param {number} languageId - Judge0 language ID of the submission
+ * @throws {AppError} 400     - If the question has harnesses, but not for this language
+ * @returns {Promise<string|null>} Harness, or null for stdin/stdout problems
+ */
+const getHarness = async (db, questionId, languageId) => {
+  const [rows] = await db.query(
+    'SELECT LANGUAGE_ID, HARNESS FROM CodeTemplate WHERE QUESTION_ID = ? AND HARNESS IS NOT NULL',
+    [questionId]
+  );
+  if (rows.length === 0) return null;
+
+  const template = rows.find(row => row.LANGUAGE_ID === languageId);
+  if (!template)
+  {
+    throw new AppError(
+      `Question ${questionId} has no harness for language ${languageId}`,
+      400,
+      'This question can\'t be answered in that language.'
+    );
+  }
+  return template.HARNESS;
+};
+
+/**
+ * Puts a student's code into its harness
+ * @param {string}      code    - Student's code
+ * @param {string|null} harness - Harness with HARNESS_PLACEHOLDER, or null
+ * @returns {string} Code to run
+ */
+const wrapWithHarness = (code, harness) => (
+  // split/join rather than replace(), so $ in the student's code is left alone
+  harness ? harness.split(HARNESS_PLACEHOLDER).join(code) : code
+);
+
+module.exports = {
+  HARNESS_PLACEHOLDER,
+  parseCodeTemplates,
+  saveCodeTemplates,
+  getHarness,
+  wrapWithHarness,
+};
@@ -22,7 +22,8 @@ const { GUILD_EXP_CONTRIBUTION_RATIO } = require('../../shared/guildConfig')
  * 
  * @param {Object} db           - Database connection pool
  * @param {number} userId       - ID of user to award
- * @param {number} pointsEarned - Points earned from submission
+ * @param {number} pointsEarned - Points earned from submission, after any hint penalty
+ * @returns {Promise<number>}   - Exp awarded, less than earned once the cap is reached
  */
 const awardCurrency = async (db, userId, pointsEarned) => {
   // Get user's daily exp
@@ -51,6 +52,8 @@ const awardCurrency = async (db, userId, pointsEarned) => {
       [expToAward, expToAward, expToAward, coinsEarned, userId]
     );
   }
+
+  return expToAward;
 };
 
 /**
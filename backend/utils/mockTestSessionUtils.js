@@ -0,0 +1,103 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          mockTestSessionUtils.js
+//  Description:   Checks shared by the grading and code
+//                 controllers and question routes, so questions
+//                 in a running mock test can only be answered,
+//                 and their answers seen, through its session.
+//
+//  Dependencies:  mysql2 connection pool
+//                 errorHandler
+//
+////////////////////////////////////////////////////////////////
+
+const { AppError } = require('../middleware/errorHandler');
+
+/**
+ * Finds the user's running mock test session (not finalized, deadline
+ * not passed) that has the question in it.
+ *
+ * @param {Object} db         - Database connection pool
+ * @param {number} userId     - User's ID
+ * @param {number} questionId - Question's ID
+ * @returns {Promise<number|null>} - Session ID, null if the question isn't in a running session
+ */
+const getOpenSessionId = async (db, userId, questionId) => {
+  const [sessions] = await db.query(
+    `SELECT ID FROM MockTestSession
+     WHERE USER_ID = ? AND FINALIZED_AT IS NULL AND DEADLINE > NOW()
+       AND JSON_CONTAINS(QUESTION_IDS, CAST(? AS JSON))
+     LIMIT 1`,
+    [userId, String(Number(questionId))]
+  );
+  return sessions.length > 0 ? sessions[0].ID : null;
+};
+
+/**
+ * Whether the question is in one of the user's running mock test sessions,
+ * so nothing giving its answer away may be sent outside the session.
+ *
+ * @param {Object} db         - Database connection pool
+ * @param {number} userId     - User's ID
+ * @param {number} questionId - Question's ID
+ * @returns {Promise<boolean>}
+ */
+const isInOpenSession = async (db, userId, questionId) =>
+  (await getOpenSessionId(db, userId, questionId)) !== null;
+
+/**
+ * Rejects answers given outside a mock test session to a question the
+ * user has in a session that's still running (not finalized, deadline
+ * not passed). Otherwise a throwaway answer through /api/test/submit or
+ * /api/code/submitCode would hand back the grade, worked explanation and
+ * hints before the student answers in the session.
+ *
+ * @param {Object} db         - Database connection pool
+ * @param {number} userId     - Answering user's ID
+ * @param {number} questionId - Question being answered
+ * @param {string} context    - Caller name for error logging
+ * @throws {AppError} 409     - If the question is in one of the user's running sessions
+ * @returns {Promise<void>}
+ */
+const assertNotInOpenSession = async (db, userId, questionId, context) => {
+  const sessionId = await getOpenSessionId(db, userId, questionId);
+  if (sessionId !== null)
+  {
+    throw new AppError(
+      `[${context}] Question ${questionId} answered outside open session ${sessionId} for user ${userId}`,
+      409,
+      'This question is part of your mock test in progress. Answer it there.'
+    );
+  }
+};
+
+/**
+ * Rejects a session answer once the session has been finalized.
+ * Code jobs check again right before saving, since their session
+ * could have been finalized while the code ran.
+ *
+ * @param {Object} db        - Database connection pool
+ * @param {number} sessionId - MockTestSession ID
+ * @param {string} context   - Caller name for error logging
+ * @throws {AppError} 409    - If the session is finalized
+ * @returns {Promise<void>}
+ */
+const assertSessionNotFinalized = async (db, sessionId, context) => {
+  const [sessions] = await db.query(
+    'SELECT ID FROM MockTestSession WHERE ID = ? AND FINALIZED_AT IS NOT NULL',
+    [sessionId]
+  );
+  if (sessions.length > 0)
+  {
+    throw new AppError(`[${context}] Session ${sessionId} already finalized`, 409, 'This mock test has already been submitted');
+  }
+};
+
+module.exports = {
+  isInOpenSession,
+  assertNotInOpenSession,
+  assertSessionNotFinalized,
+};
@@ -0,0 +1,104 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          questionAssetUtils.js
+//  Description:   Utilities and helper functions for images
+//                 uploaded for question text: checking the file
+//                 type, naming files by their content, and
+//                 storing them on local disk.
+//
+//  Dependencies:  crypto
+//                 fs/promises
+//                 path
+//                 questionAssetConfig
+//
+////////////////////////////////////////////////////////////////
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { ASSET_IMAGE_TYPES, ASSET_DIR, ASSET_URL_PREFIX } = require('../config/questionAssetConfig');
+
+// Stored files are named <sha256>.<extension>, nothing else is ever served
+const ASSET_FILE_NAME = new RegExp(
+  `^[0-9a-f]{64}\\.(${ASSET_IMAGE_TYPES.map(type => type.extension).join('|')})$`
+);
+
+/**
+ * Checks whether a buffer holds the given bytes at an offset
+ * @param {Buffer}        buffer
+ * @param {Array<number>} bytes
+ * @param {number}        offset
+ * @returns {boolean}
+ */
+const hasBytes = (buffer, bytes, offset = 0) => (
+  buffer.length >= offset + bytes.length && bytes.every((byte, index) => buffer[offset + index] === byte)
+);
+
+/**
+ * Identifies an uploaded image by its leading bytes
+ * @param {Buffer} buffer - Uploaded file
+ * @returns {Object|null} Entry of ASSET_IMAGE_TYPES, null if not an allowed image
+ */
+const detectImageType = (buffer) => {
+  if (!Buffer.isBuffer(buffer)) return null;
+
+  return ASSET_IMAGE_TYPES.find(type => (
+    hasBytes(buffer, type.signature) && (!type.tag || hasBytes(buffer, type.tag.bytes, type.tag.offset))
+  )) ?? null;
+};
+
+/**
+ * Names a file by its content, so uploading the same image twice stores it once
+ * @param {Buffer} buffer
+ * @param {Object} imageType - From detectImageType()
+ * @returns {string}
+ */
+const toAssetFileName = (buffer, imageType) => (
+  `${crypto.createHash('sha256').update(buffer).digest('hex')}.${imageType.extension}`
+);
+
+/**
+ * Checks a requested file name before it is joined to the asset folder
+ * @param {*} fileName
+ * @returns {boolean}
+ */
+const isAssetFileName = (fileName) => typeof fileName === 'string' && ASSET_FILE_NAME.test(fileName);
+
+/**
+ * Public URL of a stored asset, for question text
+ * @param {string} fileName
+ * @returns {string}
+ */
+const toAssetUrl = (fileName) => `${ASSET_URL_PREFIX}/${fileName}`;
+
+/**
+ * Writes an asset to disk, unless a file with the same content is already there
+ * @param {Buffer} buffer
+ * @param {string} fileName - From toAssetFileName()
+ * @param {string} [directory=ASSET_DIR]
+ * @returns {Promise<boolean>} true if the file was written
+ */
+const writeAssetFile = async (buffer, fileName, directory = ASSET_DIR) => {
+  await fs.mkdir(directory, { recursive: true });
+  try
+  {
+    await fs.writeFile(path.join(directory, fileName), buffer, { flag: 'wx' });
+    return true;
+  }
+  catch (err)
+  {
+    if (err.code === 'EEXIST') return false;
+    throw err;
+  }
+};
+
+module.exports = {
+  detectImageType,
+  toAssetFileName,
+  isAssetFileName,
+  toAssetUrl,
+  writeAssetFile,
+};
@@ -0,0 +1,576 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          questionBankUtils.js
+//  Description:   Utilities and helper functions for the question
+//                 bank JSON bundle: validating bundle questions
+//                 against the grader rules for their type, reading
+//                 questions out of the database as bundle questions,
+//                 and inserting them back as drafts.
+//
+//                 Bundle layout (version 1):
+//                 {
+//                   format:     'knightwise-question-bank',
+//                   version:    1,
+//                   exportedAt: ISO date string,
+//                   questions: [{
+//                     type, section, category, subcategory,
+//                     authorExamId, pointsPossible, questionText,
+//                     explanation,
+//                     traceCode, traceLanguageId (Code Trace only),
+//                     numericSettings: { tolerance, toleranceType, unit,
+//                                        creditBands } or null (Numeric only),
+//                     blanks:        [{ id, matchMode, weight }] or null
+//                                    (Fill in the Blanks with several blanks),
+//                     gradingPolicy: { scoring, penalty, fuzzyThreshold,
+//                                      rankingMetric } or null,
+//                     answers:       [{ text, isCorrect, rank, placement,
+//                                       blank?, rationale? }],
+//                     testCases:     [{ input, expectedOutput, isHidden, weight,
+//                                       comparisonMode, floatTolerance }],
+//                     codeTemplates: [{ languageId, functionSignature,
+//                                       starterCode, harness }],
+//                     tags:          [string],
+//                     hints:         [string],
+//                     template:      { variables } or null
+//                   }]
+//                 }
+//
+//  Dependencies:  mysql2 connection pool
+//                 errorHandler
+//                 questionBankConfig
+//                 questionUtils
+//                 validationUtils
+//                 codeTemplateUtils
+//                 programming grader
+//                 numeric grader
+//                 fillInTheBlanks grader
+//                 gradingPolicy
+//                 questionValidator
+//                 taxonomyUtils
+//                 questionSearchUtils
+//                 questionHintUtils
+//                 questionTemplateUtils
+//
+////////////////////////////////////////////////////////////////
+
+const { AppError } = require('../middleware/errorHandler');
+const { BUNDLE_FORMAT, BUNDLE_VERSION, MAX_IMPORT_QUESTIONS } = require('../config/questionBankConfig');
+const { QUESTION_TYPES } = require('./questionUtils');
+const { normalizeDBString } = require('./validationUtils');
+const { parseCodeTemplates, saveCodeTemplates } = require('./codeTemplateUtils');
+const { COMPARISON_MODES } = require('../services/graders/programming');
+const { readNumericSettings } = require('../services/graders/numeric');
+const { readBlanks } = require('../services/graders/fillInTheBlanks');
+const { readGradingPolicy } = require('../services/graders/gradingPolicy');
+const {
+        readTraceCode,
+        validateQuestionStructure,
+        formatValidationError,
+      } = require('../services/graders/questionValidator');
+const { resolveTaxonomyLabels } = require('./taxonomyUtils');
+const { readTags, saveQuestionTags, getTagsByQuestion } = require('./questionSearchUtils');
+const {
+        readExplanation,
+        readRationale,
+        readHints,
+        saveQuestionHints,
+        getHintsByQuestion,
+      } = require('./questionHintUtils');
+const {
+        readTemplate,
+        findTemplateErrors,
+        saveQuestionTemplate,
+        getTemplatesByQuestion,
+      } = require('./questionTemplateUtils');
+
+// Column limits from schema.sql
+const MAX_LABEL_LENGTH = 100;        // SECTION, CATEGORY, SUBCATEGORY
+const MAX_AUTHOR_EXAM_ID_LENGTH = 512;
+const MAX_POINTS = 999.99;           // decimal(5,2)
+
+// Question fields a file may leave out, filled in from the import request
+const DEFAULTABLE_FIELDS = Object.freeze(['section', 'category', 'subcategory', 'authorExamId', 'pointsPossible']);
+
+/**
+ * Trims a string field, anything else becomes empty
+ * @param {*} value
+ * @returns {string}
+ */
+const toText = (value) => (typeof value === 'string' ? value.trim() : '');
+
+/**
+ * Reads an optional number field
+ * @param {*} value
+ * @returns {number|null} The number, null if missing, NaN if not a number
+ */
+const toOptionalNumber = (value) => (
+  value === undefined || value === null || value === '' ? null : Number(value)
+);
+
+/**
+ * Normalizes a bundle answer. blank and rationale are left out when there is none,
+ * so answers compare the same as in versions saved before them.
+ * @param {Object} answer - Raw answer
+ * @returns {{ answer: Object, errors: Array<string> }} answer as { text, isCorrect, rank, placement, blank?, rationale? }
+ */
+const normalizeAnswer = (answer) => {
+  const normalized = {
+    text:      typeof answer?.text === 'string' ? answer.text : '',
+    isCorrect: Boolean(answer?.isCorrect),
+    rank:      toOptionalNumber(answer?.rank),
+    placement: toText(answer?.placement) || null,
+  };
+
+  const blank = toText(answer?.blank);
+  if (blank) normalized.blank = blank;
+
+  const { rationale, errors } = readRationale(answer?.rationale);
+  if (rationale) normalized.rationale = rationale;
+  return { answer: normalized, errors };
+};
+
+/**
+ * Normalizes a bundle test case
+ * @param {Object} testCase - Raw test case
+ * @returns {Object} { input, expectedOutput, isHidden, weight, comparisonMode, floatTolerance }
+ */
+const normalizeTestCase = (testCase) => ({
+  input:          typeof testCase?.input === 'string' ? testCase.input : '',
+  expectedOutput: typeof testCase?.expectedOutput === 'string' ? testCase.expectedOutput : null,
+  isHidden:       Boolean(testCase?.isHidden),
+  weight:         toOptionalNumber(testCase?.weight) ?? 1,
+  comparisonMode: testCase?.comparisonMode ?? COMPARISON_MODES.EXACT,
+  floatTolerance: toOptionalNumber(testCase?.floatTolerance),
+});
+
+/**
+ * Validates and normalizes one bundle question
+ *
+ * @param {Object} raw        - Question from a bundle, or converted from QTI or GIFT
+ * @param {Object} [defaults] - Values for DEFAULTABLE_FIELDS the question leaves out
+ * @returns {{ question: Object, errors: Array<string> }}
+ */
+const normalizeBundleQuestion = (raw, defaults = {}) => {
+  const errors = [];
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw))
+  {
+    return { question: null, errors: ['Question must be an object'] };
+  }
+
+  const withDefaults = { ...raw };
+  for (const field of DEFAULTABLE_FIELDS)
+  {
+    if ((withDefaults[field] === undefined || withDefaults[field] === null || withDefaults[field] === '') && defaults[field] !== undefined)
+    {
+      withDefaults[field] = defaults[field];
+    }
+  }
+
+  const type = normalizeDBString(toText(withDefaults.type));
+  const question = {
+    type,
+    section:        toText(withDefaults.section),
+    category:       toText(withDefaults.category),
+    subcategory:    normalizeDBString(toText(withDefaults.subcategory)),
+    authorExamId:   toText(withDefaults.authorExamId) || null,
+    pointsPossible: toOptionalNumber(withDefaults.pointsPossible),
+    questionText:   toText(withDefaults.questionText),
+    explanation:    null,
+    ...readTraceCode(withDefaults.traceCode, withDefaults.traceLanguageId),
+    numericSettings: readNumericSettings(withDefaults.numericSettings),
+    blanks:         readBlanks(withDefaults.blanks),
+    gradingPolicy:  readGradingPolicy(withDefaults.gradingPolicy),
+    answers:        [],
+    testCases:      [],
+    codeTemplates:  [],
+    tags:           [],
+    hints:          [],
+    template:       null,
+  };
+
+  if (!QUESTION_TYPES.includes(type)) errors.push(`Unknown question type "${withDefaults.type ?? ''}"`);
+  for (const field of ['section', 'category', 'subcategory'])
+  {
+    if (!question[field]) errors.push(`${field} is required`);
+    else if (question[field].length > MAX_LABEL_LENGTH) errors.push(`${field} must be at most ${MAX_LABEL_LENGTH} characters`);
+  }
+  if (question.authorExamId && question.authorExamId.length > MAX_AUTHOR_EXAM_ID_LENGTH)
+  {
+    errors.push(`authorExamId must be at most ${MAX_AUTHOR_EXAM_ID_LENGTH} characters`);
+  }
+  if (!Number.isFinite(question.pointsPossible) || question.pointsPossible <= 0 || question.pointsPossible > MAX_POINTS)
+  {
+    errors.push(`pointsPossible must be more than 0 and at most ${MAX_POINTS}`);
+  }
+  if (!question.questionText) errors.push('questionText is required');
+
+  for (const field of ['answers', 'testCases', 'codeTemplates'])
+  {
+    if (withDefaults[field] !== undefined && !Array.isArray(withDefaults[field]))
+    {
+      errors.push(`${field} must be an array`);
+    }
+  }
+
+  (Array.isArray(withDefaults.answers) ? withDefaults.answers : []).forEach((raw, index) => {
+    const { answer, errors: answerErrors } = normalizeAnswer(raw);
+    question.answers.push(answer);
+    errors.push(...answerErrors.map(error => `answers[${index}]: ${error}`));
+  });
+  question.testCases = (Array.isArray(withDefaults.testCases) ? withDefaults.testCases : []).map(normalizeTestCase);
+
+  // Every option of a ranked question is part of the correct order
+  if (type === 'Ranked Choice')
+  {
+    question.answers.forEach(answer => { answer.isCorrect = true; });
+  }
+
+  if (Array.isArray(withDefaults.codeTemplates))
+  {
+    try
+    {
+      question.codeTemplates = parseCodeTemplates(
+        withDefaults.codeTemplates.map(template => ({
+          language_id:        template?.languageId,
+          function_signature: template?.functionSignature,
+          starter_code:       template?.starterCode,
+          harness:            template?.harness,
+        })),
+        'normalizeBundleQuestion'
+      );
+    }
+    catch (err)
+    {
+      errors.push(`codeTemplates: ${err.userMessage ?? err.message}`);
+    }
+  }
+
+  const { tags, errors: tagErrors } = readTags(withDefaults.tags);
+  question.tags = tags;
+  errors.push(...tagErrors);
+
+  const { explanation, errors: explanationErrors } = readExplanation(withDefaults.explanation);
+  question.explanation = explanation;
+  errors.push(...explanationErrors);
+
+  const { hints, errors: hintErrors } = readHints(withDefaults.hints);
+  question.hints = hints;
+  errors.push(...hintErrors);
+
+  const { template, errors: templateErrors } = readTemplate(withDefaults.template);
+  question.template = template;
+  errors.push(...templateErrors.map(error => `template: ${error}`));
+
+  if (QUESTION_TYPES.includes(type))
+  {
+    errors.push(...validateQuestionStructure(question).map(formatValidationError));
+  }
+
+  // Only worth filling in once the question itself is valid
+  if (template && errors.length === 0)
+  {
+    errors.push(...findTemplateErrors(template, {
+      type,
+      questionText: question.questionText,
+      answerTexts:  question.answers.map(answer => answer.text),
+      otherTexts:   [
+        question.explanation,
+        ...question.hints,
+        ...question.answers.map(answer => answer.rationale),
+        question.traceCode,
+      ],
+    }).map(error => `template: ${error}`));
+  }
+
+  return { question, errors };
+};
+
+/**
+ * Validates a list of questions to import
+ *
+ * @param {Array}  rawQuestions    - Questions from a bundle, or converted from QTI or GIFT
+ * @param {Object} [defaults]      - Values for fields the questions leave out
+ * @param {Object} [taxonomyIndex] - From getTaxonomyIndex(). When given, each question's
+ *                                   labels must be in the taxonomy, and are swapped for
+ *                                   their taxonomy names and IDs
+ * @throws {AppError} 400          - If there are no questions, or too many
+ * @returns {{ questions: Array, rowErrors: Array<{ index: number, errors: Array<string> }> }}
+ */
+const validateImportQuestions = (rawQuestions, defaults = {}, taxonomyIndex = null) => {
+  if (!Array.isArray(rawQuestions) || rawQuestions.length === 0)
+  {
+    throw new AppError('Import has no questions', 400, 'No questions found to import');
+  }
+  if (rawQuestions.length > MAX_IMPORT_QUESTIONS)
+  {
+    throw new AppError(`Import has ${rawQuestions.length} questions`, 400, `Imports are limited to ${MAX_IMPORT_QUESTIONS} questions`);
+  }
+
+  const questions = [];
+  const rowErrors = [];
+  rawQuestions.forEach((raw, index) => {
+    // Converters pass along questions they couldn't read, with the reason
+    if (raw?.conversionError)
+    {
+      rowErrors.push({ index, errors: [raw.conversionError] });
+      return;
+    }
+
+    const { question, errors } = normalizeBundleQuestion(raw, defaults);
+    if (errors.length > 0)
+    {
+      rowErrors.push({ index, errors });
+      return;
+    }
+
+    if (taxonomyIndex)
+    {
+      const { taxonomy, errors: taxonomyErrors } = resolveTaxonomyLabels(taxonomyIndex, question);
+      if (taxonomyErrors.length > 0)
+      {
+        rowErrors.push({ index, errors: taxonomyErrors });
+        return;
+      }
+      Object.assign(question, taxonomy);
+    }
+    questions.push(question);
+  });
+
+  return { questions, rowErrors };
+};
+
+/**
+ * Reads the questions out of a JSON bundle
+ * @param {Object} bundle - Parsed request body
+ * @throws {AppError} 400 - If it isn't a bundle this version can read
+ * @returns {Array} Raw bundle questions
+ */
+const readBundle = (bundle) => {
+  if (!bundle || bundle.format !== BUNDLE_FORMAT)
+  {
+    throw new AppError(`Not a question bank bundle: format ${bundle?.format}`, 400, `Expected a ${BUNDLE_FORMAT} bundle`);
+  }
+  if (!Number.isInteger(bundle.version) || bundle.version > BUNDLE_VERSION)
+  {
+    throw new AppError(`Unsupported bundle version ${bundle.version}`, 400, `Bundle version must be ${BUNDLE_VERSION} or lower`);
+  }
+  return bundle.questions;
+};
+
+/**
+ * Wraps bundle questions in a bundle
+ * @param {Array} questions - Bundle questions
+ * @returns {Object} Bundle
+ */
+const toBundle = (questions) => ({
+  format:     BUNDLE_FORMAT,
+  version:    BUNDLE_VERSION,
+  exportedAt: new Date().toISOString(),
+  questions,
+});
+
+/**
+ * Fetches questions with their answers, test cases, code templates, tags, hints and
+ * question templates as bundle questions
+ * @param {Object} db          - Database connection pool
+ * @param {Array}  questionRows - Question rows to export, with EXPLANATION, TRACE_CODE, TRACE_LANGUAGE_ID,
+ *                               NUMERIC_SETTINGS, BLANKS and GRADING_POLICY
+ * @returns {Promise<Array>} Bundle questions, in the order given
+ */
+const getBundleQuestions = async (db, questionRows) => {
+  if (questionRows.length === 0) return [];
+
+  const questionIds = questionRows.map(question => question.ID);
+  const [answers] = await db.query(
+    'SELECT QUESTION_ID, `TEXT`, IS_CORRECT_ANSWER, `RANK`, PLACEMENT, BLANK_ID, RATIONALE FROM AnswerText WHERE QUESTION_ID IN (?) ORDER BY ID',
+    [questionIds]
+  );
+  const [testCases] = await db.query(
+    `SELECT QUESTION_ID, INPUT, EXPECTED_OUTPUT, IS_HIDDEN, WEIGHT, COMPARISON_MODE, FLOAT_TOLERANCE
+    FROM TestCase WHERE QUESTION_ID IN (?) ORDER BY ID`,
+    [questionIds]
+  );
+  const [codeTemplates] = await db.query(
+    `SELECT QUESTION_ID, LANGUAGE_ID, FUNCTION_SIGNATURE, STARTER_CODE, HARNESS
+    FROM CodeTemplate WHERE QUESTION_ID IN (?) ORDER BY LANGUAGE_ID`,
+    [questionIds]
+  );
+  const tagsByQuestion = await getTagsByQuestion(db, questionIds);
+  const hintsByQuestion = await getHintsByQuestion(db, questionIds);
+  const templatesByQuestion = await getTemplatesByQuestion(db, questionIds);
+
+  return questionRows.map(question => ({
+    type:           normalizeDBString(question.TYPE ?? ''),
+    section:        question.SECTION,
+    category:       question.CATEGORY,
+    subcategory:    normalizeDBString(question.SUBCATEGORY ?? ''),
+    authorExamId:   question.AUTHOR_EXAM_ID,
+    pointsPossible: parseFloat(question.POINTS_POSSIBLE),
+    questionText:   question.QUESTION_TEXT,
+    explanation:    question.EXPLANATION ?? null,
+    ...readTraceCode(question.TRACE_CODE, question.TRACE_LANGUAGE_ID),
+    numericSettings: readNumericSettings(question.NUMERIC_SETTINGS),
+    blanks:         readBlanks(question.BLANKS),
+    gradingPolicy:  readGradingPolicy(question.GRADING_POLICY),
+    answers: answers
+      .filter(answer => answer.QUESTION_ID === question.ID)
+      .map(answer => ({
+        text:      answer.TEXT,
+        isCorrect: Boolean(answer.IS_CORRECT_ANSWER),
+        rank:      answer.RANK,
+        placement: answer.PLACEMENT,
+        ...(answer.BLANK_ID ? { blank: answer.BLANK_ID } : {}),
+        ...(answer.RATIONALE ? { rationale: answer.RATIONALE } : {}),
+      })),
+    testCases: testCases
+      .filter(testCase => testCase.QUESTION_ID === question.ID)
+      .map(testCase => ({
+        input:          testCase.INPUT ?? '',
+        expectedOutput: testCase.EXPECTED_OUTPUT,
+        isHidden:       Boolean(testCase.IS_HIDDEN),
+        weight:         parseFloat(testCase.WEIGHT),
+        comparisonMode: testCase.COMPARISON_MODE,
+        floatTolerance: testCase.FLOAT_TOLERANCE,
+      })),
+    codeTemplates: codeTemplates
+      .filter(template => template.QUESTION_ID === question.ID)
+      .map(template => ({
+        languageId:        template.LANGUAGE_ID,
+        functionSignature: template.FUNCTION_SIGNATURE,
+        starterCode:       template.STARTER_CODE,
+        harness:           template.HARNESS,
+      })),
+    tags:     tagsByQuestion.get(question.ID),
+    hints:    hintsByQuestion.get(question.ID),
+    template: templatesByQuestion.get(question.ID) ?? null,
+  }));
+};
+
+/**
+ * Replaces a question's answers, test cases and code templates.
+ * Tags, hints, the explanation, Code Trace code, numeric settings, blanks, the grading policy and the template are only replaced if the
+ * question has them, snapshots saved before they existed leave the current ones alone.
+ * @param {Object} conn       - Database connection, in a transaction
+ * @param {number} questionId - Question.ID
+ * @param {Object} question   - Normalized bundle question, or a version snapshot
+ * @returns {Promise<void>}
+ */
+const saveQuestionContent = async (conn, questionId, question) => {
+  await conn.query('DELETE FROM AnswerText WHERE QUESTION_ID = ?', [questionId]);
+  for (const answer of question.answers)
+  {
+    await conn.query(
+      'INSERT INTO AnswerText (QUESTION_ID, IS_CORRECT_ANSWER, `TEXT`, `RANK`, PLACEMENT, BLANK_ID, RATIONALE) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [questionId, answer.isCorrect ? 1 : 0, answer.text, answer.rank, answer.placement, answer.blank ?? null, answer.rationale ?? null]
+    );
+  }
+
+  await conn.query('DELETE FROM TestCase WHERE QUESTION_ID = ?', [questionId]);
+  for (const testCase of question.testCases)
+  {
+    await conn.query(
+      `INSERT INTO TestCase (QUESTION_ID, INPUT, EXPECTED_OUTPUT, IS_HIDDEN, WEIGHT, COMPARISON_MODE, FLOAT_TOLERANCE)
+      VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        questionId,
+        testCase.input,
+        testCase.expectedOutput,
+        testCase.isHidden ? 1 : 0,
+        testCase.weight,
+        testCase.comparisonMode,
+        testCase.floatTolerance,
+      ]
+    );
+  }
+
+  await saveCodeTemplates(conn, questionId, question.codeTemplates);
+
+  if (Array.isArray(question.tags))
+  {
+    await saveQuestionTags(conn, questionId, question.tags);
+  }
+  if (Array.isArray(question.hints))
+  {
+    await saveQuestionHints(conn, questionId, question.hints);
+  }
+  if (question.explanation !== undefined)
+  {
+    await conn.query('UPDATE Question SET EXPLANATION = ? WHERE ID = ?', [question.explanation, questionId]);
+  }
+  if (question.traceCode !== undefined)
+  {
+    await conn.query(
+      'UPDATE Question SET TRACE_CODE = ?, TRACE_LANGUAGE_ID = ? WHERE ID = ?',
+      [question.traceCode, question.traceLanguageId ?? null, questionId]
+    );
+  }
+  if (question.numericSettings !== undefined)
+  {
+    await conn.query(
+      'UPDATE Question SET NUMERIC_SETTINGS = ? WHERE ID = ?',
+      [question.numericSettings ? JSON.stringify(question.numericSettings) : null, questionId]
+    );
+  }
+  if (question.blanks !== undefined)
+  {
+    await conn.query(
+      'UPDATE Question SET BLANKS = ? WHERE ID = ?',
+      [question.blanks ? JSON.stringify(question.blanks) : null, questionId]
+    );
+  }
+  if (question.gradingPolicy !== undefined)
+  {
+    await conn.query(
+      'UPDATE Question SET GRADING_POLICY = ? WHERE ID = ?',
+      [question.gradingPolicy ? JSON.stringify(question.gradingPolicy) : null, questionId]
+    );
+  }
+  if (question.template !== undefined)
+  {
+    await saveQuestionTemplate(conn, questionId, question.template);
+  }
+};
+
+/**
+ * Inserts a validated bundle question as a draft
+ * @param {Object}      conn     - Connection with an open transaction
+ * @param {Object}      question - Normalized bundle question
+ * @param {number|null} ownerId  - Question owner
+ * @returns {Promise<number>} New Question.ID
+ */
+const insertBundleQuestion = async (conn, question, ownerId) => {
+  const [result] = await conn.query(
+    `INSERT INTO Question (TYPE, AUTHOR_EXAM_ID, SECTION, CATEGORY, SUBCATEGORY, SECTION_ID, CATEGORY_ID, SUBCATEGORY_ID, POINTS_POSSIBLE, QUESTION_TEXT, OWNER_ID, IS_PUBLISHED)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 0)`,
+    [
+      question.type,
+      question.authorExamId,
+      question.section,
+      question.category,
+      question.subcategory,
+      question.sectionId ?? null,
+      question.categoryId ?? null,
+      question.subcategoryId ?? null,
+      question.pointsPossible,
+      question.questionText,
+      ownerId,
+    ]
+  );
+
+  await saveQuestionContent(conn, result.insertId, question);
+  return result.insertId;
+};
+
+module.exports = {
+  DEFAULTABLE_FIELDS,
+  normalizeBundleQuestion,
+  validateImportQuestions,
+  readBundle,
+  toBundle,
+  getBundleQuestions,
+  saveQuestionContent,
+  insertBundleQuestion,
+};
@@ -0,0 +1,315 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          questionHintUtils.js
+//  Description:   Utilities and helper functions for the worked
+//                 explanation, hints and answer rationales of a
+//                 question: validating and saving them, tracking
+//                 which hints a student has revealed, and taking
+//                 the hint penalty off the points they earn.
+//
+//  Dependencies:  mysql2 connection pool
+//                 errorHandler
+//                 questionHintConfig
+//                 currencyConfig
+//                 questionUtils
+//
+////////////////////////////////////////////////////////////////
+
+const { AppError } = require('../middleware/errorHandler');
+const {
+        MAX_HINTS_PER_QUESTION,
+        MAX_HINT_LENGTH,
+        MAX_EXPLANATION_LENGTH,
+        MAX_RATIONALE_LENGTH,
+      } = require('../config/questionHintConfig');
+const { HINT_PENALTY_SHARE } = require('../../shared/currencyConfig');
+const { getAnswerId, loadQuestionInstance } = require('./questionUtils');
+
+/**
+ * Validates an optional block of text, blank counts as none
+ * @param {*}      raw       - Text from a request body or bundle question
+ * @param {string} field     - Field name for error messages
+ * @param {number} maxLength
+ * @returns {{ text: string|null, errors: Array<string> }}
+ */
+const readOptionalText = (raw, field, maxLength) => {
+  if (raw === undefined || raw === null) return { text: null, errors: [] };
+  if (typeof raw !== 'string') return { text: null, errors: [`${field} must be text`] };
+
+  const text = raw.trim();
+  if (text.length > maxLength) return { text: null, errors: [`${field} must be at most ${maxLength} characters`] };
+  return { text: text || null, errors: [] };
+};
+
+/**
+ * Validates a question's worked explanation
+ * @param {*} raw
+ * @returns {{ explanation: string|null, errors: Array<string> }}
+ */
+const readExplanation = (raw) => {
+  const { text, errors } = readOptionalText(raw, 'explanation', MAX_EXPLANATION_LENGTH);
+  return { explanation: text, errors };
+};
+
+/**
+ * Validates why an answer option is right or wrong
+ * @param {*} raw
+ * @returns {{ rationale: string|null, errors: Array<string> }}
+ */
+const readRationale = (raw) => {
+  const { text, errors } = readOptionalText(raw, 'rationale', MAX_RATIONALE_LENGTH);
+  return { rationale: text, errors };
+};
+
+/**
+ * Validates a question's hints, in the order they are revealed
+ * @param {*} raw - Hints from a request body or bundle question
+ * @returns {{ hints: Array<string>, errors: Array<string> }}
+ */
+const readHints = (raw) => {
+  if (raw === undefined || raw === null) return { hints: [], errors: [] };
+  if (!Array.isArray(raw)) return { hints: [], errors: ['hints must be an array'] };
+
+  const errors = [];
+  const hints = [];
+  raw.forEach((value, index) => {
+    const hint = typeof value === 'string' ? value.trim() : '';
+    if (!hint)
+    {
+      errors.push(`Hint ${index + 1} is empty`);
+    }
+    else if (hint.length > MAX_HINT_LENGTH)
+    {
+      errors.push(`Hint ${index + 1} must be at most ${MAX_HINT_LENGTH} characters`);
+    }
+    else
+    {
+      hints.push(hint);
+    }
+  });
+  if (raw.length > MAX_HINTS_PER_QUESTION)
+  {
+    errors.push(`A question can have at most ${MAX_HINTS_PER_QUESTION} hints`);
+  }
+
+  return { hints, errors };
+};
+
+/**
+ * Throws the errors from a read*() helper as one 400
+ * @param {Array<string>} errors
+ * @param {string}        context - Caller name for error logging
+ * @throws {AppError} 400 - If there are any errors
+ */
+const throwIfErrors = (errors, context) => {
+  if (errors.length > 0)
+  {
+    throw new AppError(`[${context}] ${errors.join('; ')}`, 400, errors.join('; '));
+  }
+};
+
+/**
+ * Validates an explanation from a request body, see readExplanation()
+ * @param {*}      raw     - req.body.explanation
+ * @param {string} context - Caller name for error logging
+ * @throws {AppError} 400  - If it isn't text or is too long
+ * @returns {string|null}
+ */
+const parseExplanation = (raw, context) => {
+  const { explanation, errors } = readExplanation(raw);
+  throwIfErrors(errors, context);
+  return explanation;
+};
+
+/**
+ * Validates hints from a request body, see readHints()
+ * @param {*}      raw     - req.body.hints
+ * @param {string} context - Caller name for error logging
+ * @throws {AppError} 400  - If any hint is invalid, or there are too many
+ * @returns {Array<string>}
+ */
+const parseHints = (raw, context) => {
+  const { hints, errors } = readHints(raw);
+  throwIfErrors(errors, context);
+  return hints;
+};
+
+/**
+ * Validates answer rationales from a request body, sent alongside answer_text
+ * @param {*}      raw         - req.body.answer_rationale
+ * @param {number} answerCount - Length of answer_text
+ * @param {string} context     - Caller name for error logging
+ * @throws {AppError} 400      - If it isn't a matching array, or a rationale is invalid
+ * @returns {Array<string|null>|null} One rationale per answer, null if not sent
+ */
+const parseRationales = (raw, answerCount, context) => {
+  if (raw === undefined) return null;
+  if (!Array.isArray(raw) || raw.length !== answerCount)
+  {
+    throw new AppError(`[${context}] answer_rationale does not match answer_text`, 400, 'answer_rationale must have one entry per answer');
+  }
+
+  const errors = [];
+  const rationales = raw.map((value, index) => {
+    const { rationale, errors: rationaleErrors } = readRationale(value);
+    errors.push(...rationaleErrors.map(error => `Answer ${index + 1}: ${error}`));
+    return rationale;
+  });
+  throwIfErrors(errors, context);
+  return rationales;
+};
+
+/**
+ * Replaces a question's hints
+ * @param {Object}        db         - Database connection, in a transaction when editing
+ * @param {number}        questionId - Question.ID
+ * @param {Array<string>} hints      - From parseHints() or readHints()
+ * @returns {Promise<void>}
+ */
+const saveQuestionHints = async (db, questionId, hints) => {
+  await db.query('DELETE FROM QuestionHint WHERE QUESTION_ID = ?', [questionId]);
+  if (hints.length === 0) return;
+
+  await db.query(
+    'INSERT INTO QuestionHint (QUESTION_ID, POSITION, HINT_TEXT) VALUES ?',
+    [hints.map((hint, index) => [questionId, index + 1, hint])]
+  );
+};
+
+/**
+ * Fetches the hints of several questions
+ * @param {Object}        db          - Database connection pool or connection
+ * @param {Array<number>} questionIds
+ * @returns {Promise<Map<number, Array<string>>>} Question.ID -> hints in order, every ID present
+ */
+const getHintsByQuestion = async (db, questionIds) => {
+  const hintsByQuestion = new Map(questionIds.map(id => [id, []]));
+  if (questionIds.length === 0) return hintsByQuestion;
+
+  const [rows] = await db.query(
+    'SELECT QUESTION_ID, HINT_TEXT FROM QuestionHint WHERE QUESTION_ID IN (?) ORDER BY QUESTION_ID, POSITION',
+    [questionIds]
+  );
+  for (const row of rows)
+  {
+    hintsByQuestion.get(row.QUESTION_ID)?.push(row.HINT_TEXT);
+  }
+  return hintsByQuestion;
+};
+
+/**
+ * Fetches how many hints a student has revealed since last answering a question
+ * @param {Object} db         - Database connection pool
+ * @param {number} userId     - User.ID
+ * @param {number} questionId - Question.ID
+ * @returns {Promise<number>}
+ */
+const getRevealedHintCount = async (db, userId, questionId) => {
+  const [rows] = await db.query(
+    'SELECT HINTS_REVEALED FROM HintReveal WHERE USER_ID = ? AND QUESTION_ID = ?',
+    [userId, questionId]
+  );
+  return rows.length > 0 ? rows[0].HINTS_REVEALED : 0;
+};
+
+/**
+ * Reveals a student's next hint for a question
+ * @param {Object} db         - Database connection pool
+ * @param {number} userId     - User.ID
+ * @param {number} questionId - Question.ID
+ * @param {number} hintsTotal - Hints the question has, the count never goes past it
+ * @returns {Promise<number>} Hints revealed now
+ */
+const revealNextHint = async (db, userId, questionId, hintsTotal) => {
+  await db.query(
+    `INSERT INTO HintReveal (USER_ID, QUESTION_ID, HINTS_REVEALED)
+    VALUES (?, ?, 1)
+    ON DUPLICATE KEY UPDATE HINTS_REVEALED = LEAST(HINTS_REVEALED + 1, ?)`,
+    [userId, questionId, hintsTotal]
+  );
+  return getRevealedHintCount(db, userId, questionId);
+};
+
+/**
+ * Takes the hints a student revealed for a question as used by the answer
+ * being graded, so the next attempt starts with none revealed
+ * @param {Object} db         - Database connection pool
+ * @param {number} userId     - User.ID
+ * @param {number} questionId - Question.ID
+ * @returns {Promise<number>} Hints used on this answer
+ */
+const consumeHintReveals = async (db, userId, questionId) => {
+  const hintsUsed = await getRevealedHintCount(db, userId, questionId);
+  if (hintsUsed > 0)
+  {
+    await db.query('DELETE FROM HintReveal WHERE USER_ID = ? AND QUESTION_ID = ?', [userId, questionId]);
+  }
+  return hintsUsed;
+};
+
+/**
+ * Share of the points earned that the hints used take away
+ * @param {number} hintsUsed
+ * @returns {number} 0.0 to 1.0
+ */
+const getHintPenalty = (hintsUsed) => Math.min(1, Math.max(0, hintsUsed) * HINT_PENALTY_SHARE);
+
+/**
+ * Points earned after the hint penalty, rounded to fit Response.POINTS_EARNED
+ * @param {number} pointsEarned - Points from grading
+ * @param {number} hintsUsed
+ * @returns {number}
+ */
+const applyHintPenalty = (pointsEarned, hintsUsed) => (
+  Math.round(pointsEarned * (1 - getHintPenalty(hintsUsed)) * 100) / 100
+);
+
+/**
+ * Fetches what a student sees once they have answered a question:
+ * the worked explanation, every hint, and the rationale of each
+ * answer option that has one, keyed by the opaque option ID.
+ * Template questions are filled in for the instance answered.
+ * @param {Object}      db             - Database connection pool
+ * @param {number}      questionId     - Question.ID
+ * @param {string|null} [instanceSeed] - Seed of the template instance answered
+ * @returns {Promise<{ explanation: string|null, hints: Array<string>, answerRationales: Array<{ id: string, text: string, rationale: string }> }>}
+ */
+const getAnswerFeedback = async (db, questionId, instanceSeed = null) => {
+  // IDs from a request body may be strings, the hint map is keyed by number
+  questionId = Number(questionId);
+  const { question, answers, render } = await loadQuestionInstance(db, questionId, instanceSeed);
+  const hintsByQuestion = await getHintsByQuestion(db, [questionId]);
+
+  return {
+    explanation: question.EXPLANATION ?? null,
+    hints:       hintsByQuestion.get(questionId).map(render),
+    answerRationales: answers
+      .filter(answer => answer.RATIONALE !== null && answer.RATIONALE !== undefined)
+      .sort((a, b) => a.ID - b.ID)
+      .map(answer => ({
+        id:        getAnswerId(questionId, answer.ID),
+        text:      answer.TEXT,
+        rationale: answer.RATIONALE,
+      })),
+  };
+};
+
+module.exports = {
+  readExplanation,
+  readRationale,
+  readHints,
+  parseExplanation,
+  parseHints,
+  parseRationales,
+  saveQuestionHints,
+  getHintsByQuestion,
+  getRevealedHintCount,
+  revealNextHint,
+  consumeHintReveals,
+  getHintPenalty,
+  applyHintPenalty,
+  getAnswerFeedback,
+};
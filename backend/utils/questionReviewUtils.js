@@ -0,0 +1,293 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          questionReviewUtils.js
+//  Description:   Utilities and helper functions for the question
+//                 review workflow. Question.REVIEW_STATUS holds the
+//                 workflow state and IS_PUBLISHED is kept in step
+//                 with it, since student routes only check
+//                 IS_PUBLISHED. Every transition and comment is
+//                 saved as a QuestionReviewEvent.
+//
+//  Dependencies:  mysql2 connection pool
+//                 errorHandler
+//                 questionReviewConfig
+//
+////////////////////////////////////////////////////////////////
+
+const { AppError } = require('../middleware/errorHandler');
+const {
+  REVIEW_STATUSES,
+  REVIEW_ACTORS,
+  REVIEW_EVENT_ACTIONS,
+  REVIEW_TRANSITIONS,
+  MAX_REVIEW_COMMENT_LENGTH,
+} = require('../config/questionReviewConfig');
+
+/**
+ * Gets a question's review status.
+ * migrations/questionReview.sql sets the status of questions published before
+ * the review workflow, but ones inserted with only IS_PUBLISHED set still
+ * count as published.
+ *
+ * @param {{ IS_PUBLISHED: number, REVIEW_STATUS?: string }} question - Question row
+ * @returns {string} One of REVIEW_STATUSES
+ */
+const getReviewStatus = (question) => (
+  question.IS_PUBLISHED ? REVIEW_STATUSES.PUBLISHED : (question.REVIEW_STATUS ?? REVIEW_STATUSES.DRAFT)
+);
+
+/**
+ * Whether the user owns the question, admins count as owners of every question
+ * @param {{ OWNER_ID: number|null }}     question - Question row
+ * @param {{ id?: number, role: string }} user     - Requesting user
+ * @returns {boolean}
+ */
+const isQuestionOwner = (question, user) => (
+  user?.role === 'admin' || (user?.role === 'professor' && question.OWNER_ID === user.id)
+);
+
+/**
+ * Whether the user may review the question: admins,
+ * and verified professors reviewing someone else's question
+ * @param {{ OWNER_ID: number|null }}     question - Question row
+ * @param {{ id?: number, role: string }} user     - Requesting user
+ * @returns {boolean}
+ */
+const isQuestionReviewer = (question, user) => (
+  user?.role === 'admin' || (user?.role === 'professor' && question.OWNER_ID !== user.id)
+);
+
+/**
+ * Whether the user may see a question's review thread and comment on it.
+ * Other professors can't see a question until it's been submitted.
+ *
+ * @param {Object} question - Question row
+ * @param {Object} user     - Requesting user
+ * @returns {boolean}
+ */
+const canViewReview = (question, user) => (
+  isQuestionOwner(question, user) ||
+  (isQuestionReviewer(question, user) && getReviewStatus(question) !== REVIEW_STATUSES.DRAFT)
+);
+
+/**
+ * Validates a review comment
+ * @param {*}       rawComment - Comment from the request body
+ * @param {boolean} required   - Whether an empty comment is an error
+ * @param {string}  context    - Caller name for error logging
+ * @throws {AppError} 400      - If required and missing, or too long
+ * @returns {string|null} Trimmed comment, or null if there isn't one
+ */
+const parseReviewComment = (rawComment, required, context) => {
+  if (rawComment !== undefined && rawComment !== null && typeof rawComment !== 'string')
+  {
+    throw new AppError(`[${context}] Comment is not a string`, 400, 'Comment must be text');
+  }
+
+  const comment = rawComment?.trim() ?? '';
+  if (comment.length === 0)
+  {
+    if (required) throw new AppError(`[${context}] Missing comment`, 400, 'A comment is required');
+    return null;
+  }
+  if (comment.length > MAX_REVIEW_COMMENT_LENGTH)
+  {
+    throw new AppError(
+      `[${context}] Comment is ${comment.length} characters`,
+      400,
+      `Comments can be at most ${MAX_REVIEW_COMMENT_LENGTH} characters`
+    );
+  }
+  return comment;
+};
+
+/**
+ * Checks that the user may take a review action on a question in its current state
+ * @param {Object} question - Question row (OWNER_ID, IS_PUBLISHED, REVIEW_STATUS)
+ * @param {string} action   - Key of REVIEW_TRANSITIONS
+ * @param {Object} user     - Requesting user
+ * @param {string} context  - Caller name for error logging
+ * @throws {AppError} 400   - Unknown action, or not allowed from the current status
+ * @throws {AppError} 403   - User isn't the owner or a reviewer, as the action needs
+ * @returns {Object} The transition
+ */
+const checkTransition = (question, action, user, context) => {
+  const transition = Object.hasOwn(REVIEW_TRANSITIONS, action) ? REVIEW_TRANSITIONS[action] : null;
+  if (!transition)
+  {
+    throw new AppError(
+      `[${context}] Unknown review action: ${action}`,
+      400,
+      `Action must be one of: ${Object.keys(REVIEW_TRANSITIONS).join(', ')}`
+    );
+  }
+
+  const allowed = transition.actor === REVIEW_ACTORS.REVIEWER
+    ? isQuestionReviewer(question, user)
+    : isQuestionOwner(question, user);
+  if (!allowed)
+  {
+    const reason = transition.actor === REVIEW_ACTORS.REVIEWER ? 'reviewer' : 'owner';
+    throw new AppError(`[${context}] ${user?.role} ${user?.id} is not a ${reason} of question ${question.ID} (${action})`, 403, 'Forbidden');
+  }
+
+  const status = getReviewStatus(question);
+  const from = user?.role === 'admin' && transition.adminFrom ? transition.adminFrom : transition.from;
+  if (!from.includes(status))
+  {
+    throw new AppError(
+      `[${context}] Can't ${action} question ${question.ID} from ${status}`,
+      400,
+      status === transition.to ? `Question already ${transition.label}` : `Can't ${action.replace('_', ' ')} a question that is ${status.replace('_', ' ')}`
+    );
+  }
+  return transition;
+};
+
+/**
+ * Lists the review actions the user may take on a question right now
+ * @param {Object} question - Question row
+ * @param {Object} user     - Requesting user
+ * @returns {Array<string>} Keys of REVIEW_TRANSITIONS
+ */
+const getAvailableActions = (question, user) => Object.keys(REVIEW_TRANSITIONS).filter(action => {
+  try
+  {
+    checkTransition(question, action, user, 'getAvailableActions');
+    return true;
+  }
+  catch
+  {
+    return false;
+  }
+});
+
+/**
+ * Saves a review event
+ * @param {Object} db - Database connection
+ * @param {Object} event
+ * @param {number}      event.questionId
+ * @param {Object}      event.user         - Acting user, admin key users have no ID
+ * @param {string}      event.action       - Transition key or REVIEW_EVENT_ACTIONS value
+ * @param {string|null} [event.fromStatus]
+ * @param {string|null} [event.toStatus]
+ * @param {string|null} [event.comment]
+ * @param {number|null} [event.parentId]   - Event being replied to
+ * @param {number|null} [event.questionVersion]
+ * @returns {Promise<number>} QuestionReviewEvent.ID
+ */
+const recordReviewEvent = async (db, { questionId, user, action, fromStatus = null, toStatus = null, comment = null, parentId = null, questionVersion = null }) => {
+  const [result] = await db.query(
+    `INSERT INTO QuestionReviewEvent
+      (QUESTION_ID, ACTOR_ID, ACTOR_ROLE, ACTION, FROM_STATUS, TO_STATUS, COMMENT, PARENT_ID, QUESTION_VERSION)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [questionId, user?.id ?? null, user?.role ?? null, action, fromStatus, toStatus, comment, parentId, questionVersion]
+  );
+  return result.insertId;
+};
+
+/**
+ * Moves a question through the review workflow and saves the event
+ * @param {Object}      conn     - Database connection, in a transaction with the question locked
+ * @param {Object}      question - Question row (ID, OWNER_ID, IS_PUBLISHED, REVIEW_STATUS, CURRENT_VERSION)
+ * @param {string}      action   - Key of REVIEW_TRANSITIONS
+ * @param {Object}      user     - Acting user
+ * @param {string|null} comment  - Already validated comment
+ * @param {string}      context  - Caller name for error logging
+ * @throws {AppError} 400/403    - See checkTransition
+ * @returns {Promise<{ transition: Object, fromStatus: string, toStatus: string }>}
+ */
+const applyTransition = async (conn, question, action, user, comment, context) => {
+  const transition = checkTransition(question, action, user, context);
+  const fromStatus = getReviewStatus(question);
+
+  await conn.query(
+    'UPDATE Question SET REVIEW_STATUS = ?, IS_PUBLISHED = ? WHERE ID = ?',
+    [transition.to, transition.to === REVIEW_STATUSES.PUBLISHED ? 1 : 0, question.ID]
+  );
+  await recordReviewEvent(conn, {
+    questionId: question.ID,
+    user,
+    action,
+    fromStatus,
+    toStatus: transition.to,
+    comment,
+    questionVersion: question.CURRENT_VERSION ?? null,
+  });
+
+  return { transition, fromStatus, toStatus: transition.to };
+};
+
+/**
+ * Sends an edited question back to draft. Reviews and approvals were for
+ * the old content, so any edit starts the workflow over.
+ * Callers clear IS_PUBLISHED with the content update.
+ *
+ * @param {Object}      conn     - Database connection, in a transaction
+ * @param {Object}      question - Question row from before the edit
+ * @param {Object}      user     - Editing user
+ * @param {number|null} version  - Question version the edit saved
+ * @returns {Promise<string>} Review status from before the edit
+ */
+const resetReviewStatus = async (conn, question, user, version) => {
+  const fromStatus = getReviewStatus(question);
+  if (fromStatus === REVIEW_STATUSES.DRAFT) return fromStatus;
+
+  await conn.query('UPDATE Question SET REVIEW_STATUS = ? WHERE ID = ?', [REVIEW_STATUSES.DRAFT, question.ID]);
+  await recordReviewEvent(conn, {
+    questionId: question.ID,
+    user,
+    action: REVIEW_EVENT_ACTIONS.EDIT,
+    fromStatus,
+    toStatus: REVIEW_STATUSES.DRAFT,
+    questionVersion: version,
+  });
+  return fromStatus;
+};
+
+/**
+ * Nests review events into threads. Transitions and top-level comments
+ * start threads, in order, and replies follow their parent.
+ *
+ * @param {Array<Object>} events - QuestionReviewEvent rows joined with USERNAME, oldest first
+ * @returns {Array<Object>} Thread roots, each with nested replies
+ */
+const buildReviewThread = (events) => {
+  const byId = new Map(events.map(event => [event.ID, {
+    id:              event.ID,
+    action:          event.ACTION,
+    fromStatus:      event.FROM_STATUS,
+    toStatus:        event.TO_STATUS,
+    comment:         event.COMMENT,
+    questionVersion: event.QUESTION_VERSION,
+    actor:           { id: event.ACTOR_ID, username: event.USERNAME ?? null, role: event.ACTOR_ROLE },
+    createdAt:       event.CREATED_AT,
+    replies:         [],
+  }]));
+
+  const roots = [];
+  for (const event of events)
+  {
+    const node = byId.get(event.ID);
+    const parent = event.PARENT_ID === null ? null : byId.get(event.PARENT_ID);
+    (parent ? parent.replies : roots).push(node);
+  }
+  return roots;
+};
+
+module.exports = {
+  getReviewStatus,
+  isQuestionOwner,
+  isQuestionReviewer,
+  canViewReview,
+  parseReviewComment,
+  checkTransition,
+  getAvailableActions,
+  recordReviewEvent,
+  applyTransition,
+  resetReviewStatus,
+  buildReviewThread,
+};
@@ -0,0 +1,335 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          questionSearchUtils.js
+//  Description:   Utilities and helper functions for question
+//                 tags and question search: validating tags,
+//                 reading and saving them, and turning search
+//                 query params into a WHERE clause.
+//
+//  Dependencies:  mysql2 connection pool
+//                 errorHandler
+//                 questionSearchConfig
+//                 questionReviewConfig
+//                 questionUtils
+//                 taxonomyUtils
+//
+////////////////////////////////////////////////////////////////
+
+const { AppError } = require('../middleware/errorHandler');
+const {
+        MAX_TAG_LENGTH,
+        MAX_TAGS_PER_QUESTION,
+        TAG_PATTERN,
+        MIN_SEARCH_TERM_LENGTH,
+        MAX_SEARCH_TEXT_LENGTH,
+        SEARCH_STATES,
+      } = require('../config/questionSearchConfig');
+const { QUESTION_LISTINGS } = require('../config/questionReviewConfig');
+const { QUESTION_TYPES } = require('./questionUtils');
+const { taxonomyKey } = require('./taxonomyUtils');
+
+// The full-text parser splits words on anything but letters, digits and
+// underscores, which also drops boolean mode operators like + - * "
+const WORD_SEPARATORS = /[^\p{L}\p{N}_]+/u;
+
+/**
+ * Lowercases a tag and collapses its whitespace
+ * @param {*} value
+ * @returns {string}
+ */
+const toTag = (value) => (typeof value === 'string' ? value.trim().replace(/\s+/g, ' ').toLowerCase() : '');
+
+/**
+ * Validates a question's tags
+ * @param {*} raw - Tags from a request body or bundle question
+ * @returns {{ tags: Array<string>, errors: Array<string> }} tags deduplicated and sorted
+ */
+const readTags = (raw) => {
+  if (raw === undefined || raw === null) return { tags: [], errors: [] };
+  if (!Array.isArray(raw)) return { tags: [], errors: ['tags must be an array'] };
+
+  const errors = [];
+  const tags = new Set();
+  for (const value of raw)
+  {
+    const tag = toTag(value);
+    if (!tag || tag.length > MAX_TAG_LENGTH || !TAG_PATTERN.test(tag))
+    {
+      errors.push(`Invalid tag "${value ?? ''}": up to ${MAX_TAG_LENGTH} letters, numbers, spaces or + # . _ -`);
+      continue;
+    }
+    tags.add(tag);
+  }
+  if (tags.size > MAX_TAGS_PER_QUESTION)
+  {
+    errors.push(`A question can have at most ${MAX_TAGS_PER_QUESTION} tags`);
+  }
+
+  return { tags: [...tags].sort(), errors };
+};
+
+/**
+ * Validates tags from a request body, see readTags()
+ * @param {*}      raw     - req.body.tags
+ * @param {string} context - Caller name for error logging
+ * @throws {AppError} 400  - If any tag is invalid
+ * @returns {Array<string>}
+ */
+const parseTags = (raw, context) => {
+  const { tags, errors } = readTags(raw);
+  if (errors.length > 0)
+  {
+    throw new AppError(`[${context}] ${errors.join('; ')}`, 400, errors.join('; '));
+  }
+  return tags;
+};
+
+/**
+ * Replaces a question's tags
+ * @param {Object}        db         - Database connection, in a transaction when editing
+ * @param {number}        questionId - Question.ID
+ * @param {Array<string>} tags       - From parseTags() or readTags()
+ * @returns {Promise<void>}
+ */
+const saveQuestionTags = async (db, questionId, tags) => {
+  await db.query('DELETE FROM QuestionTag WHERE QUESTION_ID = ?', [questionId]);
+  if (tags.length === 0) return;
+
+  await db.query(
+    'INSERT INTO QuestionTag (QUESTION_ID, TAG) VALUES ?',
+    [tags.map(tag => [questionId, tag])]
+  );
+};
+
+/**
+ * Fetches the tags of several questions
+ * @param {Object}        db          - Database connection pool or connection
+ * @param {Array<number>} questionIds
+ * @returns {Promise<Map<number, Array<string>>>} Question.ID -> sorted tags, every ID present
+ */
+const getTagsByQuestion = async (db, questionIds) => {
+  const tagsByQuestion = new Map(questionIds.map(id => [id, []]));
+  if (questionIds.length === 0) return tagsByQuestion;
+
+  const [rows] = await db.query(
+    'SELECT QUESTION_ID, TAG FROM QuestionTag WHERE QUESTION_ID IN (?) ORDER BY TAG',
+    [questionIds]
+  );
+  for (const row of rows)
+  {
+    tagsByQuestion.get(row.QUESTION_ID)?.push(row.TAG);
+  }
+  return tagsByQuestion;
+};
+
+/**
+ * Turns search text into a boolean mode full-text query where every word
+ * must match, the last one as a prefix so results show up while typing
+ * @param {string} text - Search text
+ * @returns {string|null} null if no word is long enough for the full-text index
+ */
+const toBooleanSearch = (text) => {
+  const terms = text
+    .split(WORD_SEPARATORS)
+    .filter(term => term.length >= MIN_SEARCH_TERM_LENGTH);
+  if (terms.length === 0) return null;
+
+  return terms.map((term, index) => (index === terms.length - 1 ? `+${term}*` : `+${term}`)).join(' ');
+};
+
+/**
+ * Splits a comma separated query param
+ * @param {*} value
+ * @returns {Array<string>}
+ */
+const splitList = (value) => (
+  typeof value === 'string' ? value.split(',').map(item => item.trim()).filter(Boolean) : []
+);
+
+/**
+ * Reads an optional number query param
+ * @param {*}      value
+ * @param {string} name    - Param name, for the error
+ * @param {string} context - Caller name for error logging
+ * @throws {AppError} 400  - If it is given but not a non-negative number
+ * @returns {number|null}
+ */
+const readNumberParam = (value, name, context) => {
+  if (value === undefined || value === '') return null;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0)
+  {
+    throw new AppError(`[${context}] Invalid ${name}: ${value}`, 400, `${name} must be a number of 0 or more`);
+  }
+  return number;
+};
+
+/**
+ * Builds the WHERE clause for GET /api/problems/search
+ *
+ * Query params, all optional:
+ *   q         - Words in the question text
+ *   tag       - Comma separated, questions must have every tag
+ *   type      - Comma separated question types
+ *   section   - Section name or display name
+ *   minPoints, maxPoints
+ *   ownerId   - Question owner, or mine=true for the requesting user
+ *   state     - draft, published or retired (students only see published)
+ *
+ * Students only find published questions. Professors find published
+ * questions and their own, admins find every question.
+ *
+ * @param {Object} query         - req.query
+ * @param {Object} user          - req.user
+ * @param {Object} taxonomyIndex - From getTaxonomyIndex()
+ * @param {string} context       - Caller name for error logging
+ * @throws {AppError} 400        - If a param is invalid
+ * @throws {AppError} 403        - If a student asks for unpublished questions
+ * @returns {{ whereClause: string, params: Array, matchText: string|null }} matchText is the
+ *          boolean full-text query to rank results by, if the text search uses the index
+ */
+const buildSearchFilter = (query, user, taxonomyIndex, context) => {
+  const conditions = [];
+  const params = [];
+  let matchText = null;
+
+  const role = user?.role;
+  if (role === 'professor')
+  {
+    conditions.push('(q.IS_PUBLISHED = 1 OR q.OWNER_ID = ?)');
+    params.push(user.id);
+  }
+  else if (role !== 'admin')
+  {
+    conditions.push('q.IS_PUBLISHED = 1');
+  }
+
+  if (query.state !== undefined && query.state !== '')
+  {
+    const listing = Object.hasOwn(SEARCH_STATES, query.state) ? SEARCH_STATES[query.state] : null;
+    if (!listing)
+    {
+      throw new AppError(`[${context}] Invalid state: ${query.state}`, 400, `state must be one of: ${Object.keys(SEARCH_STATES).join(', ')}`);
+    }
+    if (role !== 'admin' && role !== 'professor' && listing !== SEARCH_STATES.published)
+    {
+      throw new AppError(`[${context}] Student searched ${query.state} questions`, 403, 'Only published questions can be searched');
+    }
+    // Listing columns are unqualified, Question is the only table they can mean
+    conditions.push(`(${QUESTION_LISTINGS[listing]})`);
+  }
+
+  const text = typeof query.q === 'string' ? query.q.trim() : '';
+  if (text.length > MAX_SEARCH_TEXT_LENGTH)
+  {
+    throw new AppError(`[${context}] Search text is ${text.length} characters`, 400, `Search text must be at most ${MAX_SEARCH_TEXT_LENGTH} characters`);
+  }
+  if (text)
+  {
+    matchText = toBooleanSearch(text);
+    if (matchText)
+    {
+      conditions.push('MATCH(q.QUESTION_TEXT) AGAINST (? IN BOOLEAN MODE)');
+      params.push(matchText);
+    }
+    else
+    {
+      // Every word is too short for the index, e.g. "if"
+      conditions.push('q.QUESTION_TEXT LIKE ?');
+      params.push(`%${text.replace(/[\\%_]/g, '\\$&')}%`);
+    }
+  }
+
+  const tags = [...new Set(splitList(query.tag).map(toTag))];
+  if (tags.length > 0)
+  {
+    conditions.push(
+      `q.ID IN (SELECT QUESTION_ID FROM QuestionTag WHERE TAG IN (?)
+      GROUP BY QUESTION_ID HAVING COUNT(*) = ?)`
+    );
+    params.push(tags, tags.length);
+  }
+
+  const types = splitList(query.type).map(value => {
+    const type = QUESTION_TYPES.find(known => known.toLowerCase() === value.toLowerCase());
+    if (!type)
+    {
+      throw new AppError(`[${context}] Invalid type: ${value}`, 400, `Unknown question type "${value}"`);
+    }
+    return type;
+  });
+  if (types.length > 0)
+  {
+    conditions.push('q.TYPE IN (?)');
+    params.push(types);
+  }
+
+  if (query.section !== undefined && query.section !== '')
+  {
+    const section = taxonomyIndex.sections.get(taxonomyKey(query.section));
+    if (!section)
+    {
+      throw new AppError(`[${context}] Invalid section: ${query.section}`, 400, `Unknown section "${query.section}"`);
+    }
+    conditions.push('q.SECTION_ID = ?');
+    params.push(section.ID);
+  }
+
+  const minPoints = readNumberParam(query.minPoints, 'minPoints', context);
+  const maxPoints = readNumberParam(query.maxPoints, 'maxPoints', context);
+  if (minPoints !== null && maxPoints !== null && minPoints > maxPoints)
+  {
+    throw new AppError(`[${context}] minPoints ${minPoints} > maxPoints ${maxPoints}`, 400, 'minPoints must not be more than maxPoints');
+  }
+  if (minPoints !== null)
+  {
+    conditions.push('q.POINTS_POSSIBLE >= ?');
+    params.push(minPoints);
+  }
+  if (maxPoints !== null)
+  {
+    conditions.push('q.POINTS_POSSIBLE <= ?');
+    params.push(maxPoints);
+  }
+
+  let ownerId = null;
+  if (query.mine === 'true')
+  {
+    ownerId = user?.id ?? null;
+    if (!ownerId)
+    {
+      throw new AppError(`[${context}] mine=true without a user ID`, 400, 'mine=true needs a signed in user');
+    }
+  }
+  else if (query.ownerId !== undefined && query.ownerId !== '')
+  {
+    ownerId = Number(query.ownerId);
+    if (!Number.isInteger(ownerId) || ownerId <= 0)
+    {
+      throw new AppError(`[${context}] Invalid ownerId: ${query.ownerId}`, 400, 'Invalid owner ID');
+    }
+  }
+  if (ownerId !== null)
+  {
+    conditions.push('q.OWNER_ID = ?');
+    params.push(ownerId);
+  }
+
+  return {
+    whereClause: conditions.length > 0 ? conditions.join(' AND ') : '1 = 1',
+    params,
+    matchText,
+  };
+};
+
+module.exports = {
+  readTags,
+  parseTags,
+  saveQuestionTags,
+  getTagsByQuestion,
+  toBooleanSearch,
+  buildSearchFilter,
+};
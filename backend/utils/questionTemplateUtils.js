@@ -0,0 +1,520 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          questionTemplateUtils.js
+//  Description:   Utilities and helper functions for question
+//                 templates. A template is a list of variables
+//                 with generator rules, e.g.
+//
+//                   { variables: [
+//                       { name: 'arr', type: 'intArray', min: 0, max: 9, length: 5 },
+//                       { name: 'i',   type: 'int', min: 0, max: 4 },
+//                   ] }
+//
+//                 Question text, answers, rationales, hints, the
+//                 explanation and Code Trace code fill in {{ expression }}
+//                 placeholders from the generated values, so
+//                 a Fill in the Blanks answer of {{ arr[i] }}
+//                 is graded against the instance the student saw.
+//
+//                 Variable types:
+//                   int      - min, max, step (default 1)
+//                   intArray - min, max, length or minLength and
+//                              maxLength, distinct, sorted ('asc'/'desc')
+//                   bits     - length, a string of 0s and 1s
+//                   choice   - values, one of them
+//                   expr     - expr, computed from earlier variables
+//
+//  Dependencies:  mysql2 connection pool
+//                 crypto
+//                 errorHandler
+//                 questionTemplateConfig
+//                 templateExpression
+//                 numeric grader
+//
+////////////////////////////////////////////////////////////////
+
+const crypto = require('crypto');
+const { AppError } = require('../middleware/errorHandler');
+const {
+        TEMPLATE_VARIABLE_TYPES,
+        MAX_TEMPLATE_VARIABLES,
+        MAX_TEMPLATE_INT,
+        MAX_GENERATED_LIST_LENGTH,
+        MAX_BITS_LENGTH,
+        MAX_CHOICE_VALUES,
+        MAX_EXPRESSION_LENGTH,
+        TEMPLATE_CHECK_SAMPLES,
+      } = require('../config/questionTemplateConfig');
+const {
+        TemplateExpressionError,
+        parseExpression,
+        evaluateExpression,
+        formatValue,
+      } = require('../services/templateExpression');
+const { readNumericAnswer } = require('../services/graders/numeric');
+
+// {{ expression }}, the expression can't contain "}}"
+const PLACEHOLDER = /\{\{([\s\S]*?)\}\}/g;
+
+const VARIABLE_NAME = /^[A-Za-z_]\w{0,29}$/;
+const RESERVED_NAMES = Object.freeze(['true', 'false']);
+
+// Length of the signature on instance seeds handed to the client
+const INSTANCE_SIGNATURE_LENGTH = 16;
+
+// Types whose answers are accepted answers, not options, so two can fill in the same
+const ACCEPTED_ANSWER_TYPES = Object.freeze(['Fill in the Blanks', 'Numeric', 'Code Trace']);
+
+/**
+ * Reads a whole number setting of a variable
+ * @param {Object}        raw      - Variable from the request
+ * @param {string}        field    - Setting name
+ * @param {Array<string>} errors   - Problems found so far, added to
+ * @param {Object}        [limits] - { min, max, fallback } allowed range, and value when missing
+ * @returns {number|null}
+ */
+const readInteger = (raw, field, errors, { min = -MAX_TEMPLATE_INT, max = MAX_TEMPLATE_INT, fallback } = {}) => {
+  const value = raw[field];
+  if ((value === undefined || value === null) && fallback !== undefined) return fallback;
+  if (!Number.isInteger(value) || value < min || value > max)
+  {
+    errors.push(`${field} must be a whole number from ${min} to ${max}`);
+    return null;
+  }
+  return value;
+};
+
+/**
+ * Validates one template variable and normalizes its settings
+ * @param {*}           raw
+ * @param {Set<string>} seenNames - Names of the variables before it, added to
+ * @returns {{ variable: Object|null, errors: Array<string> }}
+ */
+const readVariable = (raw, seenNames) => {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw))
+  {
+    return { variable: null, errors: ['must be an object'] };
+  }
+
+  const errors = [];
+  const name = typeof raw.name === 'string' ? raw.name.trim() : '';
+  if (!VARIABLE_NAME.test(name) || RESERVED_NAMES.includes(name))
+  {
+    errors.push('name must be a letter or _ followed by up to 29 letters, digits or _');
+  }
+  else if (seenNames.has(name))
+  {
+    errors.push(`"${name}" is already used by another variable`);
+  }
+  seenNames.add(name);
+
+  if (!TEMPLATE_VARIABLE_TYPES.includes(raw.type))
+  {
+    errors.push(`type must be one of ${TEMPLATE_VARIABLE_TYPES.join(', ')}`);
+    return { variable: null, errors };
+  }
+
+  const variable = { name, type: raw.type };
+  switch (raw.type)
+  {
+    case 'int':
+      variable.min = readInteger(raw, 'min', errors);
+      variable.max = readInteger(raw, 'max', errors);
+      variable.step = readInteger(raw, 'step', errors, { min: 1, fallback: 1 });
+      break;
+
+    case 'intArray': {
+      variable.min = readInteger(raw, 'min', errors);
+      variable.max = readInteger(raw, 'max', errors);
+      const lengthLimits = { min: 1, max: MAX_GENERATED_LIST_LENGTH };
+      if (raw.length !== undefined)
+      {
+        variable.minLength = variable.maxLength = readInteger(raw, 'length', errors, lengthLimits);
+      }
+      else
+      {
+        variable.minLength = readInteger(raw, 'minLength', errors, lengthLimits);
+        variable.maxLength = readInteger(raw, 'maxLength', errors, lengthLimits);
+        if (variable.minLength !== null && variable.maxLength !== null && variable.minLength > variable.maxLength)
+        {
+          errors.push('minLength must not be more than maxLength');
+        }
+      }
+      variable.distinct = Boolean(raw.distinct);
+      variable.sorted = raw.sorted ?? null;
+      if (![null, 'asc', 'desc'].includes(variable.sorted))
+      {
+        errors.push('sorted must be "asc" or "desc"');
+      }
+      if (variable.distinct && errors.length === 0 && variable.max - variable.min + 1 < variable.maxLength)
+      {
+        errors.push(`there aren't ${variable.maxLength} distinct values from ${variable.min} to ${variable.max}`);
+      }
+      break;
+    }
+
+    case 'bits':
+      variable.length = readInteger(raw, 'length', errors, { min: 1, max: MAX_BITS_LENGTH });
+      break;
+
+    case 'choice':
+      if (!Array.isArray(raw.values) || raw.values.length === 0 || raw.values.length > MAX_CHOICE_VALUES)
+      {
+        errors.push(`values must be a list of 1 to ${MAX_CHOICE_VALUES} numbers or strings`);
+      }
+      else if (!raw.values.every(value => Number.isFinite(value) || (typeof value === 'string' && value.length <= MAX_EXPRESSION_LENGTH)))
+      {
+        errors.push('values must all be numbers or strings');
+      }
+      variable.values = Array.isArray(raw.values) ? raw.values : [];
+      break;
+
+    default:
+      variable.expr = typeof raw.expr === 'string' ? raw.expr.trim() : '';
+      try
+      {
+        parseExpression(variable.expr);
+      }
+      catch (err)
+      {
+        if (!(err instanceof TemplateExpressionError)) throw err;
+        errors.push(`expr: ${err.message}`);
+      }
+  }
+
+  if (['int', 'intArray'].includes(raw.type) && variable.min !== null && variable.max !== null && variable.min > variable.max)
+  {
+    errors.push('min must not be more than max');
+  }
+
+  return { variable, errors };
+};
+
+/**
+ * Validates a template's variables. Blank (null or undefined) means
+ * the question isn't a template.
+ * @param {*} raw - { variables: [...] } from a request body or bundle question
+ * @returns {{ template: Object|null, errors: Array<string> }}
+ */
+const readTemplate = (raw) => {
+  if (raw === undefined || raw === null) return { template: null, errors: [] };
+  if (typeof raw !== 'object' || !Array.isArray(raw.variables))
+  {
+    return { template: null, errors: ['template must be an object with a variables list'] };
+  }
+  if (raw.variables.length === 0 || raw.variables.length > MAX_TEMPLATE_VARIABLES)
+  {
+    return { template: null, errors: [`A template needs 1 to ${MAX_TEMPLATE_VARIABLES} variables`] };
+  }
+
+  const errors = [];
+  const seenNames = new Set();
+  const variables = raw.variables.map((rawVariable, index) => {
+    const { variable, errors: variableErrors } = readVariable(rawVariable, seenNames);
+    errors.push(...variableErrors.map(error => `Variable ${index + 1}: ${error}`));
+    return variable;
+  });
+
+  return { template: errors.length === 0 ? { variables } : null, errors };
+};
+
+/**
+ * Random whole number from min to max, inclusive
+ * @param {() => number} random
+ * @param {number}       min
+ * @param {number}       max
+ * @returns {number}
+ */
+const randomInt = (random, min, max) => min + Math.floor(random() * (max - min + 1));
+
+/**
+ * Generates one variable's value
+ * @param {Object}         variable - From readTemplate()
+ * @param {() => number}   random
+ * @param {Map<string, *>} values   - Earlier variables, for expr variables
+ * @returns {*}
+ */
+const generateValue = (variable, random, values) => {
+  switch (variable.type)
+  {
+    case 'int':
+      return variable.min + randomInt(random, 0, Math.floor((variable.max - variable.min) / variable.step)) * variable.step;
+
+    case 'intArray': {
+      const length = randomInt(random, variable.minLength, variable.maxLength);
+      const list = [];
+      const used = new Set();
+      while (list.length < length)
+      {
+        const value = randomInt(random, variable.min, variable.max);
+        if (variable.distinct && used.has(value)) continue;
+        used.add(value);
+        list.push(value);
+      }
+      if (variable.sorted === 'asc') list.sort((a, b) => a - b);
+      if (variable.sorted === 'desc') list.sort((a, b) => b - a);
+      return list;
+    }
+
+    case 'bits':
+      return Array.from({ length: variable.length }, () => (random() < 0.5 ? '0' : '1')).join('');
+
+    case 'choice':
+      return variable.values[randomInt(random, 0, variable.values.length - 1)];
+
+    default:
+      try
+      {
+        return evaluateExpression(parseExpression(variable.expr), values);
+      }
+      catch (err)
+      {
+        if (!(err instanceof TemplateExpressionError)) throw err;
+        throw new TemplateExpressionError(`Variable "${variable.name}": ${err.message}`);
+      }
+  }
+};
+
+/**
+ * Fills in every {{ expression }} in a text
+ * @param {string|null}    text
+ * @param {Map<string, *>} values - Variable name -> value
+ * @throws {TemplateExpressionError} Naming the placeholder that failed
+ * @returns {string|null}
+ */
+const renderTemplateText = (text, values) => {
+  if (typeof text !== 'string') return text;
+  return text.replace(PLACEHOLDER, (match, source) => {
+    try
+    {
+      return formatValue(evaluateExpression(parseExpression(source.trim()), values));
+    }
+    catch (err)
+    {
+      if (!(err instanceof TemplateExpressionError)) throw err;
+      throw new TemplateExpressionError(`{{ ${source.trim()} }}: ${err.message}`);
+    }
+  });
+};
+
+/**
+ * Generates a template's variables and returns a renderer for them
+ * @param {Object}       template - From readTemplate() or getTemplatesByQuestion()
+ * @param {() => number} random   - Seeded generator from createSeededRandom()
+ * @throws {TemplateExpressionError} If an expr variable fails
+ * @returns {{ values: Map<string, *>, render: (text: string|null) => string|null }}
+ */
+const createTemplateInstance = (template, random) => {
+  const values = new Map();
+  for (const variable of template.variables)
+  {
+    values.set(variable.name, generateValue(variable, random, values));
+  }
+  return { values, render: (text) => renderTemplateText(text, values) };
+};
+
+/**
+ * Lists the variable values of an instance, for error messages
+ * @param {Map<string, *>} values
+ * @returns {string} e.g. "n = 3, arr = [1, 2]"
+ */
+const describeValues = (values) => [...values]
+  .map(([name, value]) => {
+    const formatted = formatValue(value);
+    return `${name} = ${formatted.length > 40 ? `${formatted.slice(0, 37)}...` : formatted}`;
+  })
+  .join(', ');
+
+/**
+ * Checks a template against the question it fills in: every placeholder
+ * must parse, and every text must fill in for TEMPLATE_CHECK_SAMPLES
+ * random instances. Answer options must also stay distinct, so two
+ * options never show the same text, and Numeric answers must stay numbers.
+ * @param {Object}        template
+ * @param {Object}        content
+ * @param {string}        content.type         - Question.TYPE
+ * @param {string}        content.questionText
+ * @param {Array<string>} content.answerTexts
+ * @param {Array<string>} [content.otherTexts] - Explanation, hints, rationales and Code Trace code
+ * @returns {Array<string>} Problems found, empty if none
+ */
+const findTemplateErrors = (template, { type, questionText, answerTexts, otherTexts = [] }) => {
+  if (type === 'Programming')
+  {
+    return ["Programming questions can't be templates, their test cases don't change"];
+  }
+
+  const texts = [questionText, ...answerTexts, ...otherTexts].filter(text => typeof text === 'string');
+  const sources = [...new Set(texts.flatMap(text => [...text.matchAll(PLACEHOLDER)].map(match => match[1].trim())))];
+  if (sources.length === 0)
+  {
+    return ['Add a {{ }} placeholder to the question or its answers, or the template has nothing to fill in'];
+  }
+
+  const syntaxErrors = [];
+  for (const source of sources)
+  {
+    try
+    {
+      parseExpression(source);
+    }
+    catch (err)
+    {
+      if (!(err instanceof TemplateExpressionError)) throw err;
+      syntaxErrors.push(`{{ ${source} }}: ${err.message}`);
+    }
+  }
+  if (syntaxErrors.length > 0) return syntaxErrors;
+
+  // Unseeded, these only need to be a spread of values
+  const random = () => crypto.randomInt(2 ** 32) / 2 ** 32;
+  for (let sample = 0; sample < TEMPLATE_CHECK_SAMPLES; sample++)
+  {
+    let values = new Map();
+    try
+    {
+      const instance = createTemplateInstance(template, random);
+      values = instance.values;
+      texts.forEach(instance.render);
+
+      const answers = answerTexts.map(instance.render);
+      if (!ACCEPTED_ANSWER_TYPES.includes(type) && new Set(answers).size < answers.length)
+      {
+        return [`Two answers come out the same when ${describeValues(values)}`];
+      }
+      const notNumber = type === 'Numeric' ? answers.find(answer => readNumericAnswer(answer) === null) : undefined;
+      if (notNumber !== undefined)
+      {
+        return [`Answer "${notNumber}" isn't a number when ${describeValues(values)}`];
+      }
+    }
+    catch (err)
+    {
+      if (!(err instanceof TemplateExpressionError)) throw err;
+      return [values.size > 0 ? `${err.message} (when ${describeValues(values)})` : err.message];
+    }
+  }
+  return [];
+};
+
+/**
+ * Validates a template from a request body, see readTemplate() and findTemplateErrors()
+ * @param {*}      raw     - req.body.template
+ * @param {Object} content - Question the template fills in, see findTemplateErrors()
+ * @param {string} context - Caller name for error logging
+ * @throws {AppError} 400  - If the template is invalid, or fails for the question
+ * @returns {Object|null}
+ */
+const parseTemplate = (raw, content, context) => {
+  const { template, errors } = readTemplate(raw);
+  if (template) errors.push(...findTemplateErrors(template, content));
+  if (errors.length > 0)
+  {
+    throw new AppError(`[${context}] ${errors.join('; ')}`, 400, errors.join('; '));
+  }
+  return template;
+};
+
+/**
+ * Signs an instance seed, so a student can't answer an instance they made up
+ * @param {number} userId     - User.ID the question was served to
+ * @param {number} questionId - Question.ID
+ * @param {string} seed
+ * @returns {string} "seed.signature"
+ */
+const signInstanceSeed = (userId, questionId, seed) => {
+  const signature = crypto
+    .createHmac('sha256', process.env.JWT_SECRET)
+    .update(`instance:${userId}:${questionId}:${seed}`)
+    .digest('hex')
+    .slice(0, INSTANCE_SIGNATURE_LENGTH);
+  return `${seed}.${signature}`;
+};
+
+/**
+ * Reads the seed out of a signed instance from signInstanceSeed()
+ * @param {*}      instance   - req.body.instance
+ * @param {number} userId     - User.ID answering
+ * @param {number} questionId - Question.ID answered
+ * @returns {string|null} The seed, null if missing or not signed for this user and question
+ */
+const readInstanceSeed = (instance, userId, questionId) => {
+  if (typeof instance !== 'string') return null;
+
+  const separator = instance.lastIndexOf('.');
+  if (separator <= 0) return null;
+
+  const seed = instance.slice(0, separator);
+  const expected = Buffer.from(signInstanceSeed(userId, questionId, seed));
+  const received = Buffer.from(instance);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received) ? seed : null;
+};
+
+/**
+ * Seed for one question of something that has its own seed, like a mock
+ * test session, so every question gets its own instance that comes out
+ * the same each time the session is loaded
+ * @param {string} baseSeed
+ * @param {number} questionId
+ * @returns {string}
+ */
+const deriveInstanceSeed = (baseSeed, questionId) => `${baseSeed}:${questionId}`;
+
+/**
+ * Fetches the templates of several questions
+ * @param {Object}        db          - Database connection pool or connection
+ * @param {Array<number>} questionIds
+ * @returns {Promise<Map<number, Object>>} Question.ID -> { variables }, only for templates
+ */
+const getTemplatesByQuestion = async (db, questionIds) => {
+  const templatesByQuestion = new Map();
+  if (questionIds.length === 0) return templatesByQuestion;
+
+  const [rows] = await db.query(
+    'SELECT QUESTION_ID, VARIABLES FROM QuestionTemplate WHERE QUESTION_ID IN (?)',
+    [questionIds]
+  );
+  for (const row of rows)
+  {
+    const variables = typeof row.VARIABLES === 'string' ? JSON.parse(row.VARIABLES) : row.VARIABLES;
+    templatesByQuestion.set(row.QUESTION_ID, { variables });
+  }
+  return templatesByQuestion;
+};
+
+/**
+ * Sets or removes a question's template
+ * @param {Object}      db         - Database connection, in a transaction when editing
+ * @param {number}      questionId - Question.ID
+ * @param {Object|null} template   - From parseTemplate() or readTemplate(), null removes it
+ * @returns {Promise<void>}
+ */
+const saveQuestionTemplate = async (db, questionId, template) => {
+  if (!template)
+  {
+    await db.query('DELETE FROM QuestionTemplate WHERE QUESTION_ID = ?', [questionId]);
+    return;
+  }
+
+  await db.query(
+    `INSERT INTO QuestionTemplate (QUESTION_ID, VARIABLES) VALUES (?, ?)
+    ON DUPLICATE KEY UPDATE VARIABLES = VALUES(VARIABLES)`,
+    [questionId, JSON.stringify(template.variables)]
+  );
+};
+
+module.exports = {
+  readTemplate,
+  findTemplateErrors,
+  parseTemplate,
+  createTemplateInstance,
+  renderTemplateText,
+  signInstanceSeed,
+  readInstanceSeed,
+  deriveInstanceSeed,
+  getTemplatesByQuestion,
+  saveQuestionTemplate,
+};
@@ -0,0 +1,452 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          questionUtils.js
+//  Description:   Utilities and helper functions for serving
+//                 questions to students without leaking the
+//                 answer key, and for resolving submitted
+//                 answer IDs back to AnswerText rows.
+//
+//  Dependencies:  mysql2 connection pool
+//                 crypto
+//                 validationUtils
+//                 errorHandler
+//                 questionTemplateUtils
+//                 questionTemplateConfig
+//                 numeric grader
+//                 fillInTheBlanks grader
+//
+////////////////////////////////////////////////////////////////
+
+const crypto = require('crypto');
+const { normalizeDBString } = require('./validationUtils');
+const { AppError } = require('../middleware/errorHandler');
+const {
+        createTemplateInstance,
+        signInstanceSeed,
+        deriveInstanceSeed,
+        getTemplatesByQuestion,
+      } = require('./questionTemplateUtils');
+const { TemplateExpressionError } = require('../services/templateExpression');
+const { readNumericSettings } = require('../services/graders/numeric');
+const { readBlanks } = require('../services/graders/fillInTheBlanks');
+const { MAX_INSTANCE_ATTEMPTS } = require('../config/questionTemplateConfig');
+
+// Length of the hex answer IDs handed to the client
+const ANSWER_ID_LENGTH = 16;
+
+// Every Question.TYPE the graders understand
+const QUESTION_TYPES = Object.freeze([
+  'Multiple Choice',
+  'Fill in the Blanks',
+  'Numeric',
+  'Select All That Apply',
+  'Ranked Choice',
+  'Drag and Drop',
+  'Code Trace',
+  'Programming',
+]);
+
+// Question types whose AnswerText rows are shown to students as selectable options.
+// Fill in the Blanks, Numeric and Code Trace rows ARE the accepted answers, and Programming
+// is graded against TestCase rows, so none of those ever sends its answers.
+const OPTION_TYPES = Object.freeze([
+  'Multiple Choice',
+  'Select All That Apply',
+  'Ranked Choice',
+  'Drag and Drop',
+]);
+
+// Question columns that are safe to send to students
+const STUDENT_QUESTION_FIELDS = Object.freeze([
+  'ID',
+  'TYPE',
+  'SECTION',
+  'CATEGORY',
+  'SUBCATEGORY',
+  'AUTHOR_EXAM_ID',
+  'POINTS_POSSIBLE',
+  'QUESTION_TEXT',
+  'OWNER_ID',
+]);
+
+/**
+ * Computes the opaque ID for an answer choice
+ * Keyed HMAC, so IDs are stable for a given answer but reveal nothing
+ * about AnswerText.ID ordering (which often follows rank or correctness)
+ *
+ * @param {number} questionId - Question.ID the answer belongs to
+ * @param {number} answerId   - AnswerText.ID
+ * @returns {string} Opaque hex answer ID
+ */
+const getAnswerId = (questionId, answerId) => {
+  return crypto
+    .createHmac('sha256', process.env.JWT_SECRET)
+    .update(`answer:${questionId}:${answerId}`)
+    .digest('hex')
+    .slice(0, ANSWER_ID_LENGTH);
+};
+
+/**
+ * Generates a random seed for createSeededRandom()
+ * @returns {string} 16 hex chars
+ */
+const generateSeed = () => crypto.randomBytes(8).toString('hex');
+
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32)
+ * The same seed always produces the same sequence, so a shuffle
+ * using it can be reproduced later from the stored seed.
+ *
+ * @param {string|number} seed - Any seed value, hashed to 32 bits
+ * @returns {() => number} Function returning floats in [0, 1)
+ */
+const createSeededRandom = (seed) => {
+  let state = crypto.createHash('sha256').update(String(seed)).digest().readUInt32LE(0);
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Returns a shuffled copy of an array (Fisher-Yates)
+ * @param {Array}         items    - Array to shuffle, not modified
+ * @param {() => number} [random]  - Seeded generator from createSeededRandom(),
+ *                                   crypto randomness if omitted
+ * @returns {Array} Shuffled copy
+ */
+const shuffle = (items, random) => {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--)
+  {
+    const j = random
+      ? Math.floor(random() * (i + 1))
+      : crypto.randomInt(i + 1);
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+/**
+ * Builds the student-safe projection of a question
+ * Options are shuffled and carry opaque IDs, with no
+ * IS_CORRECT_ANSWER, RANK or per-answer PLACEMENT data.
+ * Drag and Drop questions also get their list of drop zones,
+ * Programming questions their code templates, without the harness,
+ * Code Trace questions the code to trace, and Fill in the Blanks
+ * questions the IDs of their blanks.
+ *
+ * @param {Object} question        - Question row from database
+ * @param {Array}  answers         - AnswerText rows belonging to the question
+ * @param {Array}  [codeTemplates] - CodeTemplate rows belonging to the question
+ * @param {number} [hintCount]     - How many hints the question has, the hints
+ *                                   themselves are revealed one at a time
+ * @returns {Object} Question projection safe to send to students:
+ *                   {
+ *                     ID, TYPE, SECTION, CATEGORY, SUBCATEGORY, AUTHOR_EXAM_ID,
+ *                     POINTS_POSSIBLE, QUESTION_TEXT, OWNER_ID,
+ *                     hintCount:      number,
+ *                     options:        [{ id: string, text: string }],
+ *                     placements?:    string[] (Drag and Drop only),
+ *                     codeTemplates?: [{ languageId, functionSignature, starterCode, hasHarness }] (Programming only),
+ *                     traceCode?:       string (Code Trace only),
+ *                     traceLanguageId?: number (Code Trace only),
+ *                     numericUnit?:     string|null (Numeric only),
+ *                     blanks?:          string[] (Fill in the Blanks only, empty for a single blank)
+ *                   }
+ */
+const toStudentQuestion = (question, answers = [], codeTemplates = [], hintCount = 0) => {
+  const type = normalizeDBString(question.TYPE ?? '');
+
+  const projected = {};
+  for (const field of STUDENT_QUESTION_FIELDS)
+  {
+    projected[field] = question[field];
+  }
+  projected.hintCount = hintCount;
+
+  projected.options = OPTION_TYPES.includes(type)
+    ? shuffle(answers.map(answer => ({
+        id:   getAnswerId(question.ID, answer.ID),
+        text: answer.TEXT,
+      })))
+    : [];
+
+  // Zone labels are needed to render the question, but not which item goes where
+  if (type === 'Drag and Drop')
+  {
+    const placements = new Set(
+      answers
+        .map(answer => String(answer.PLACEMENT ?? '').trim())
+        .filter(placement => placement.length > 0)
+    );
+    projected.placements = [...placements].sort((a, b) =>
+      a.localeCompare(b, undefined, { numeric: true })
+    );
+  }
+
+  // The harness stays on the server, it's what runs the student's function
+  if (type === 'Programming')
+  {
+    projected.codeTemplates = codeTemplates.map(template => ({
+      languageId:        template.LANGUAGE_ID,
+      functionSignature: template.FUNCTION_SIGNATURE,
+      starterCode:       template.STARTER_CODE,
+      hasHarness:        Boolean(template.HARNESS),
+    }));
+  }
+
+  // The code is the question, only its output is the answer
+  if (type === 'Code Trace')
+  {
+    projected.traceCode = question.TRACE_CODE ?? '';
+    projected.traceLanguageId = question.TRACE_LANGUAGE_ID ?? null;
+  }
+
+  // The unit is shown next to the input, the tolerance would give the answer away
+  if (type === 'Numeric')
+  {
+    projected.numericUnit = readNumericSettings(question.NUMERIC_SETTINGS)?.unit ?? null;
+  }
+
+  // Each [[id]] in the text gets its own input, how each one is matched stays here
+  if (type === 'Fill in the Blanks')
+  {
+    projected.blanks = (readBlanks(question.BLANKS) ?? []).map(blank => blank.id);
+  }
+
+  return projected;
+};
+
+/**
+ * Resolves opaque answer IDs in a submitted answer back to answer texts,
+ * the format the graders and Response.USER_ANSWER history expect.
+ * Values that aren't a known answer ID pass through untouched,
+ * so plain text answers (e.g. Fill in the Blanks, typed text or
+ * { blankId: typed text }) still work.
+ *
+ * @param {number} questionId   - Question.ID being answered
+ * @param {string} questionType - Question.TYPE field from database
+ * @param {*}      userAnswer   - Raw answer sent by the client
+ * @param {Array}  answers      - AnswerText rows belonging to the question
+ * @returns {*} User answer with answer IDs replaced by answer texts
+ */
+const resolveUserAnswer = (questionId, questionType, userAnswer, answers) => {
+  const textById = new Map(
+    answers.map(answer => [getAnswerId(questionId, answer.ID), answer.TEXT])
+  );
+  const resolve = (value) => (typeof value === 'string' && textById.has(value))
+    ? textById.get(value)
+    : value;
+
+  switch (normalizeDBString(questionType ?? ''))
+  {
+    case 'Multiple Choice':
+      // Single answer ID
+      return resolve(userAnswer);
+
+    case 'Select All That Apply':
+    case 'Ranked Choice':
+      // Array of answer IDs (ordered for Ranked Choice)
+      return Array.isArray(userAnswer) ? userAnswer.map(resolve) : userAnswer;
+
+    case 'Drag and Drop':
+      // { answerId: placementZone } mappings
+      return (userAnswer && typeof userAnswer === 'object' && !Array.isArray(userAnswer))
+        ? Object.fromEntries(
+            Object.entries(userAnswer).map(([answerId, zone]) => [resolve(answerId), zone])
+          )
+        : userAnswer;
+
+    default:
+      return userAnswer;
+  }
+};
+
+/**
+ * Fills in a template question's placeholders for one seed
+ * @param {Object} question - Question row from database
+ * @param {Array}  answers  - AnswerText rows belonging to the question
+ * @param {Object} template - From getTemplatesByQuestion()
+ * @param {string} seed
+ * @throws {TemplateExpressionError} If the template fails for the values this seed draws
+ * @returns {{ question: Object, answers: Array, values: Map<string, *>, render: (text: string|null) => string|null }}
+ *          Copies of the rows with their texts filled in, and the variable values used
+ */
+const instantiateQuestion = (question, answers, template, seed) => {
+  const { values, render } = createTemplateInstance(template, createSeededRandom(seed));
+  return {
+    question: {
+      ...question,
+      QUESTION_TEXT: render(question.QUESTION_TEXT),
+      EXPLANATION:   render(question.EXPLANATION ?? null),
+      TRACE_CODE:    render(question.TRACE_CODE ?? null),
+    },
+    answers: answers.map(answer => ({
+      ...answer,
+      TEXT:      render(answer.TEXT),
+      RATIONALE: render(answer.RATIONALE ?? null),
+    })),
+    values,
+    render,
+  };
+};
+
+/**
+ * Picks an instance of a template question. Templates are checked when
+ * saved, but only against a sample of values, so a seed that still
+ * draws values the template fails for moves on to the next one.
+ * The seed returned is the one that worked, and gives the same
+ * instance again when passed back in.
+ * @param {Object} question - Question row from database
+ * @param {Array}  answers  - AnswerText rows belonging to the question
+ * @param {Object} template - From getTemplatesByQuestion()
+ * @param {string} baseSeed - Seed to try first
+ * @throws {AppError} 500   - If no seed worked
+ * @returns {{ seed: string, question: Object, answers: Array, values: Map<string, *>, render: Function }}
+ */
+const pickQuestionInstance = (question, answers, template, baseSeed) => {
+  let lastError = null;
+  for (let attempt = 0; attempt < MAX_INSTANCE_ATTEMPTS; attempt++)
+  {
+    const seed = attempt === 0 ? baseSeed : `${baseSeed}~${attempt}`;
+    try
+    {
+      return { seed, ...instantiateQuestion(question, answers, template, seed) };
+    }
+    catch (err)
+    {
+      if (!(err instanceof TemplateExpressionError)) throw err;
+      lastError = err;
+    }
+  }
+  throw new AppError(
+    `Template of question ${question.ID} failed for ${MAX_INSTANCE_ATTEMPTS} seeds from ${baseSeed}: ${lastError.message}`,
+    500,
+    "This question couldn't be generated. Please report it."
+  );
+};
+
+/**
+ * Loads a question and its answers as the instance a student was given.
+ * Questions that aren't templates come back unchanged.
+ * @param {Object}      db           - Database connection pool
+ * @param {number}      questionId   - Question.ID
+ * @param {string|null} instanceSeed - Seed of the instance, see pickQuestionInstance()
+ * @throws {AppError} 400 - If the question is a template and no seed was given
+ * @throws {AppError} 404 - If the question doesn't exist
+ * @returns {Promise<{ seed: string|null, question: Object, answers: Array, render: Function }>}
+ *          seed is null for questions that aren't templates
+ */
+const loadQuestionInstance = async (db, questionId, instanceSeed) => {
+  questionId = Number(questionId);
+  const [questions] = await db.query('SELECT * FROM Question WHERE ID = ?', [questionId]);
+  if (questions.length === 0)
+  {
+    throw new AppError(`Question ID not found: ${questionId}`, 404, 'Question not found.');
+  }
+  const [answers] = await db.query('SELECT * FROM AnswerText WHERE QUESTION_ID = ?', [questionId]);
+
+  const template = (await getTemplatesByQuestion(db, [questionId])).get(questionId);
+  if (!template)
+  {
+    return { seed: null, question: questions[0], answers, render: text => text };
+  }
+  if (!instanceSeed)
+  {
+    throw new AppError(
+      `Question ${questionId} is a template, but no valid instance was given`,
+      400,
+      'This question has changed since it was loaded. Reload it to get a fresh copy.'
+    );
+  }
+  return pickQuestionInstance(questions[0], answers, template, instanceSeed);
+};
+
+/**
+ * Helper function, gets answers, code templates and hint counts for given questions, pairs them
+ * with each question as a student-safe projection (shuffled options with opaque IDs,
+ * no answer key).
+ * Template questions are filled in with a fresh instance. Outside of a mock test
+ * session the projection carries it as a signed `instance`, which comes back
+ * with the answer so it's graded against the same instance.
+ * Professors previewing practice sessions also get the raw answers
+ * so the frontend can show them the answer key.
+ * @param {Array}  questions                  - Array of question objects with ID field
+ * @param {Object} user                       - Requesting user (req.user)
+ * @param {Object} db                         - Database connection pool
+ * @param {Object} [options]
+ * @param {string} [options.instanceBaseSeed] - Seed every template instance is derived from,
+ *                                              e.g. MockTestSession.SEED, so the same questions
+ *                                              come back on reload without handing out an instance
+ * @returns {Promise<Array>} - Question projections with paired options
+ */
+const pairAnswersWithQuestions = async (questions, user, db, { instanceBaseSeed = null } = {}) => {
+  if (!questions || questions.length === 0) 
+  {
+    return questions;
+  }
+
+  const questionIds = questions.map(q => q.ID);
+  const [answers] = await db.query(
+    'SELECT * FROM AnswerText WHERE QUESTION_ID IN (?)',
+    [questionIds]
+  );
+
+  const [codeTemplates] = await db.query(
+    'SELECT QUESTION_ID, LANGUAGE_ID, FUNCTION_SIGNATURE, STARTER_CODE, HARNESS FROM CodeTemplate WHERE QUESTION_ID IN (?)',
+    [questionIds]
+  );
+
+  const [hintCounts] = await db.query(
+    'SELECT QUESTION_ID, COUNT(*) AS HINT_COUNT FROM QuestionHint WHERE QUESTION_ID IN (?) GROUP BY QUESTION_ID',
+    [questionIds]
+  );
+  const hintCountById = new Map(hintCounts.map(row => [row.QUESTION_ID, Number(row.HINT_COUNT)]));
+
+  const templatesByQuestion = await getTemplatesByQuestion(db, questionIds);
+
+  const isProfessor = (user?.role === 'professor');
+
+  return questions.map(question => {
+    let questionAnswers = answers.filter(answer => answer.QUESTION_ID === question.ID);
+    const questionTemplates = codeTemplates.filter(template => template.QUESTION_ID === question.ID);
+
+    let instance = null;
+    const template = templatesByQuestion.get(question.ID);
+    if (template)
+    {
+      const baseSeed = instanceBaseSeed === null ? generateSeed() : deriveInstanceSeed(instanceBaseSeed, question.ID);
+      const picked = pickQuestionInstance(question, questionAnswers, template, baseSeed);
+      question = picked.question;
+      questionAnswers = picked.answers;
+      instance = instanceBaseSeed === null ? signInstanceSeed(user?.id, question.ID, picked.seed) : null;
+    }
+
+    const projected = toStudentQuestion(question, questionAnswers, questionTemplates, hintCountById.get(question.ID) ?? 0);
+    if (instance) projected.instance = instance;
+    return isProfessor
+      ? { ...projected, answers: questionAnswers }
+      : projected;
+  });
+};
+
+module.exports = {
+  QUESTION_TYPES,
+  getAnswerId,
+  generateSeed,
+  createSeededRandom,
+  shuffle,
+  toStudentQuestion,
+  resolveUserAnswer,
+  instantiateQuestion,
+  pickQuestionInstance,
+  loadQuestionInstance,
+  pairAnswersWithQuestions,
+};
@@ -0,0 +1,203 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          questionVersionUtils.js
+//  Description:   Utilities and helper functions for question
+//                 version history. Every change to a question's
+//                 content is saved as an immutable QuestionVersion
+//                 snapshot (a bundle question, see questionBankUtils),
+//                 and Question.CURRENT_VERSION points at the latest.
+//
+//  Dependencies:  mysql2 connection pool
+//                 errorHandler
+//                 questionBankUtils
+//
+////////////////////////////////////////////////////////////////
+
+const { AppError } = require('../middleware/errorHandler');
+const { getBundleQuestions } = require('./questionBankUtils');
+
+// QuestionVersion.CHANGE_TYPE values
+const VERSION_CHANGE_TYPES = Object.freeze({
+  BASELINE: 'baseline', // Content from before version history, saved on first edit
+  CREATE:   'create',
+  EDIT:     'edit',
+  IMPORT:   'import',
+  ROLLBACK: 'rollback', // SOURCE_VERSION is the version rolled back to
+});
+
+// Snapshot fields compared one by one in a diff
+const SNAPSHOT_FIELDS = Object.freeze([
+  'type',
+  'section',
+  'category',
+  'subcategory',
+  'authorExamId',
+  'pointsPossible',
+  'questionText',
+  'explanation',
+  'traceCode',
+  'traceLanguageId',
+  'numericSettings',
+  'blanks',
+  'gradingPolicy',
+  'template',
+]);
+
+// Snapshot lists compared as sets of rows in a diff
+const SNAPSHOT_LISTS = Object.freeze(['answers', 'testCases', 'codeTemplates', 'tags', 'hints']);
+
+/**
+ * Saves a question's current content as its next version
+ *
+ * @param {Object}      db                    - Database connection, in a transaction when editing
+ * @param {number}      questionId            - Question.ID
+ * @param {Object}      options
+ * @param {string}      options.changeType    - One of VERSION_CHANGE_TYPES
+ * @param {number|null} [options.editedBy]    - User.ID of the editor
+ * @param {number|null} [options.sourceVersion] - Version rolled back to
+ * @throws {AppError} 404 - If the question doesn't exist
+ * @returns {Promise<number>} New version number
+ */
+const recordQuestionVersion = async (db, questionId, { changeType, editedBy = null, sourceVersion = null }) => {
+  // Locks the question, so concurrent edits can't take the same version number
+  const [questions] = await db.query(
+    `SELECT ID, TYPE, AUTHOR_EXAM_ID, SECTION, CATEGORY, SUBCATEGORY, POINTS_POSSIBLE, QUESTION_TEXT, EXPLANATION,
+      TRACE_CODE, TRACE_LANGUAGE_ID, NUMERIC_SETTINGS, BLANKS, GRADING_POLICY
+    FROM Question WHERE ID = ? FOR UPDATE`,
+    [questionId]
+  );
+  if (questions.length === 0)
+  {
+    throw new AppError(`Can't version missing question ${questionId}`, 404, 'Question not found');
+  }
+
+  const [snapshot] = await getBundleQuestions(db, questions);
+  const [[{ nextVersion }]] = await db.query(
+    'SELECT COALESCE(MAX(VERSION), 0) + 1 AS nextVersion FROM QuestionVersion WHERE QUESTION_ID = ?',
+    [questionId]
+  );
+  const version = Number(nextVersion);
+
+  await db.query(
+    `INSERT INTO QuestionVersion (QUESTION_ID, VERSION, CHANGE_TYPE, SOURCE_VERSION, SNAPSHOT, EDITED_BY)
+    VALUES (?, ?, ?, ?, ?, ?)`,
+    [questionId, version, changeType, sourceVersion, JSON.stringify(snapshot), editedBy]
+  );
+  await db.query('UPDATE Question SET CURRENT_VERSION = ? WHERE ID = ?', [version, questionId]);
+
+  return version;
+};
+
+/**
+ * Saves the content of a question that predates version history, before it is changed.
+ * Responses recorded before then were answered against that content, so they are
+ * pointed at the new baseline version. migrations/questionVersions.sql baselines the
+ * questions that existed then, this covers ones inserted outside the app since.
+ *
+ * @param {Object} db         - Database connection, in a transaction
+ * @param {number} questionId - Question.ID
+ * @returns {Promise<void>}
+ */
+const ensureBaselineVersion = async (db, questionId) => {
+  const [questions] = await db.query(
+    'SELECT CURRENT_VERSION FROM Question WHERE ID = ? FOR UPDATE',
+    [questionId]
+  );
+  if (questions.length === 0 || questions[0].CURRENT_VERSION !== null) return;
+
+  const version = await recordQuestionVersion(db, questionId, { changeType: VERSION_CHANGE_TYPES.BASELINE });
+  await db.query(
+    'UPDATE Response SET QUESTION_VERSION = ? WHERE PROBLEM_ID = ? AND QUESTION_VERSION IS NULL',
+    [version, questionId]
+  );
+};
+
+/**
+ * Fetches one version of a question
+ * @param {Object} db         - Database connection pool
+ * @param {number} questionId - Question.ID
+ * @param {number} version    - QuestionVersion.VERSION
+ * @throws {AppError} 404     - If the version doesn't exist
+ * @returns {Promise<Object>} QuestionVersion row, SNAPSHOT parsed
+ */
+const getQuestionVersion = async (db, questionId, version) => {
+  const [versions] = await db.query(
+    `SELECT VERSION, CHANGE_TYPE, SOURCE_VERSION, SNAPSHOT, EDITED_BY, CREATED_AT
+    FROM QuestionVersion WHERE QUESTION_ID = ? AND VERSION = ?`,
+    [questionId, version]
+  );
+  if (versions.length === 0)
+  {
+    throw new AppError(`Question ${questionId} has no version ${version}`, 404, 'Question version not found');
+  }
+
+  const row = versions[0];
+  return {
+    ...row,
+    SNAPSHOT: typeof row.SNAPSHOT === 'string' ? JSON.parse(row.SNAPSHOT) : row.SNAPSHOT,
+  };
+};
+
+/**
+ * Key for comparing list rows, independent of property order
+ * @param {Object} item
+ * @returns {string}
+ */
+const rowKey = (item) => JSON.stringify(item, Object.keys(item).sort());
+
+/**
+ * Compares two lists of rows. Rows have no stable IDs between versions
+ * (they are replaced on every edit), so a changed row shows up as one
+ * removed and one added.
+ *
+ * @param {Array} fromList
+ * @param {Array} toList
+ * @returns {{ added: Array, removed: Array }}
+ */
+const diffLists = (fromList = [], toList = []) => {
+  const unmatched = toList.map(rowKey);
+  const removed = fromList.filter(item => {
+    const index = unmatched.indexOf(rowKey(item));
+    if (index === -1) return true;
+    unmatched[index] = null;
+    return false;
+  });
+  const added = toList.filter((item, index) => unmatched[index] !== null);
+  return { added, removed };
+};
+
+/**
+ * Compares two version snapshots
+ * @param {Object} from - Older snapshot
+ * @param {Object} to   - Newer snapshot
+ * @returns {Object} { changed, fields: [{ field, from, to }], answers, testCases, codeTemplates, tags, hints },
+ *                   each list as { added, removed }
+ */
+const diffSnapshots = (from, to) => {
+  // Templates, numeric settings, blanks and grading policies are objects, compared by their JSON
+  const sameField = (field) => JSON.stringify(from[field] ?? null) === JSON.stringify(to[field] ?? null);
+  const diff = {
+    fields: SNAPSHOT_FIELDS
+      .filter(field => !sameField(field))
+      .map(field => ({ field, from: from[field] ?? null, to: to[field] ?? null })),
+  };
+  for (const list of SNAPSHOT_LISTS)
+  {
+    diff[list] = diffLists(from[list], to[list]);
+  }
+
+  diff.changed = diff.fields.length > 0 ||
+    SNAPSHOT_LISTS.some(list => diff[list].added.length > 0 || diff[list].removed.length > 0);
+  return diff;
+};
+
+module.exports = {
+  VERSION_CHANGE_TYPES,
+  recordQuestionVersion,
+  ensureBaselineVersion,
+  getQuestionVersion,
+  diffSnapshots,
+};
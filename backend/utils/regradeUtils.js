@@ -0,0 +1,125 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          regradeUtils.js
+//  Description:   Utilities for regrading stored responses after
+//                 a question's answer key is fixed: what changes
+//                 for each response, and the totals a professor
+//                 checks before applying it.
+//
+//                 Only lifetime exp and coins are adjusted. Daily
+//                 and weekly exp count what was earned in those
+//                 periods, and guild exp is left as contributed.
+//
+//  Dependencies:  currencyConfig
+//                 questionHintUtils
+//
+////////////////////////////////////////////////////////////////
+
+const { EXP_PER_POINT, COINS_PER_POINT } = require('../../shared/currencyConfig');
+const { applyHintPenalty } = require('./questionHintUtils');
+
+// Points are stored to 2 decimal places, changes and their exp and coins are rounded to match
+const roundPoints = points => Math.round(points * 100) / 100;
+
+/**
+ * Works out how a response changes when its stored answer is graded again.
+ * The hint penalty the student took when answering still applies.
+ * A loss only takes back the exp the response was awarded, which the daily
+ * exp cap may have cut short. Responses from before that was recorded
+ * (EXP_AWARDED NULL) count as awarded in full.
+ * @param {Object} response - Response row with ID, USERID, ISCORRECT, POINTS_EARNED, HINTS_USED and EXP_AWARDED
+ * @param {Object} result   - gradeQuestion() result for the stored answer
+ * @returns {Object|null} null if nothing changes, otherwise { responseId, userId, wasCorrect, isCorrect,
+ *          oldPoints, newPoints, pointsChange, expChange, coinsChange, expAwarded }, expAwarded after the change
+ */
+const getRegradeChange = (response, result) => {
+  const oldPoints = Number(response.POINTS_EARNED ?? 0);
+  const newPoints = applyHintPenalty(result.pointsEarned, response.HINTS_USED ?? 0);
+  const wasCorrect = Boolean(response.ISCORRECT);
+  if (newPoints === oldPoints && result.isCorrect === wasCorrect) return null;
+
+  const pointsChange = roundPoints(newPoints - oldPoints);
+  const expAwarded = response.EXP_AWARDED === null || response.EXP_AWARDED === undefined
+    ? roundPoints(oldPoints * EXP_PER_POINT)
+    : Number(response.EXP_AWARDED);
+  const expChange = Math.max(roundPoints(pointsChange * EXP_PER_POINT), expAwarded > 0 ? -expAwarded : 0);
+  return {
+    responseId:  response.ID,
+    userId:      response.USERID,
+    wasCorrect,
+    isCorrect:   result.isCorrect,
+    oldPoints,
+    newPoints,
+    pointsChange,
+    expChange,
+    coinsChange: roundPoints(pointsChange * COINS_PER_POINT),
+    expAwarded:  roundPoints(expAwarded + expChange),
+  };
+};
+
+/**
+ * Cuts one student's changes down to what their lifetime exp and coins can
+ * cover, since neither goes below 0 (coins may have been spent since).
+ * Changes are applied in order, a loss the balance can't cover takes what's left.
+ * @param {Array}  changes        - One student's changes, from getRegradeChange()
+ * @param {Object} balance
+ * @param {number} balance.exp    - The student's LIFETIME_EXP
+ * @param {number} balance.coins  - The student's COINS
+ * @returns {Array} The changes, with expChange, coinsChange and expAwarded as applied
+ */
+const limitToBalance = (changes, { exp, coins }) => changes.map(change => {
+  const expChange = Math.max(change.expChange, exp > 0 ? -roundPoints(exp) : 0);
+  const coinsChange = Math.max(change.coinsChange, coins > 0 ? -roundPoints(coins) : 0);
+  exp += expChange;
+  coins += coinsChange;
+  return {
+    ...change,
+    expChange,
+    coinsChange,
+    expAwarded: roundPoints(change.expAwarded - change.expChange + expChange),
+  };
+});
+
+/**
+ * Totals the changes of a regrade, overall and for each student
+ * @param {number} responseCount - Responses regraded, changed or not
+ * @param {Array}  changes       - From getRegradeChange(), nulls left out
+ * @param {Array}  skipped       - [{ responseId, reason }] for responses that couldn't be regraded
+ * @returns {Object} { responses, changed, nowCorrect, nowIncorrect, pointsChange, expChange,
+ *                     coinsChange, skipped, students: [{ userId, responses, pointsChange, expChange, coinsChange }] }
+ *          Students are sorted by how much they lose or gain, most first
+ */
+const summarizeRegrade = (responseCount, changes, skipped = []) => {
+  const students = new Map();
+  for (const change of changes)
+  {
+    const student = students.get(change.userId) ?? { userId: change.userId, responses: 0, pointsChange: 0, expChange: 0, coinsChange: 0 };
+    student.responses += 1;
+    student.pointsChange = roundPoints(student.pointsChange + change.pointsChange);
+    student.expChange = roundPoints(student.expChange + change.expChange);
+    student.coinsChange = roundPoints(student.coinsChange + change.coinsChange);
+    students.set(change.userId, student);
+  }
+
+  const total = field => changes.reduce((sum, change) => sum + change[field], 0);
+  return {
+    responses:    responseCount,
+    changed:      changes.length,
+    nowCorrect:   changes.filter(change => change.isCorrect && !change.wasCorrect).length,
+    nowIncorrect: changes.filter(change => !change.isCorrect && change.wasCorrect).length,
+    pointsChange: roundPoints(total('pointsChange')),
+    expChange:    roundPoints(total('expChange')),
+    coinsChange:  roundPoints(total('coinsChange')),
+    skipped,
+    students:     [...students.values()].sort((a, b) => Math.abs(b.pointsChange) - Math.abs(a.pointsChange) || a.userId - b.userId),
+  };
+};
+
+module.exports = {
+  getRegradeChange,
+  limitToBalance,
+  summarizeRegrade,
+};
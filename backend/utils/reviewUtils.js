@@ -0,0 +1,151 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          reviewUtils.js
+//  Description:   Spaced-repetition review queue. Schedules
+//                 missed questions for review with SM-2 and
+//                 reschedules them every time they're answered.
+//
+//  Dependencies:  mysql2 connection pool
+//                 reviewConfig
+//
+////////////////////////////////////////////////////////////////
+
+const {
+        INITIAL_EASE_FACTOR,
+        MIN_EASE_FACTOR,
+        FIRST_INTERVAL_DAYS,
+        SECOND_INTERVAL_DAYS,
+        PASSING_QUALITY,
+      } = require('../config/reviewConfig');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Maps a normalized score onto the SM-2 answer quality scale
+ * @param {number} normalizedScore - Points earned / points possible (0-1)
+ * @returns {number} Quality, 0 (total miss) to 5 (perfect)
+ */
+const scoreToQuality = (normalizedScore) => {
+  const score = Number.isFinite(normalizedScore) ? normalizedScore : 0;
+  return Math.round(Math.max(0, Math.min(1, score)) * 5);
+};
+
+/**
+ * Computes the next review state with SM-2
+ *
+ * Passing answers space the next review out further: FIRST_INTERVAL_DAYS,
+ * then SECOND_INTERVAL_DAYS, then the last interval times the ease factor.
+ * Failing answers start the item over at FIRST_INTERVAL_DAYS.
+ * The ease factor drifts down with low quality answers and up with perfect ones.
+ *
+ * @param {Object|null} state               - Current state, null for a new item
+ * @param {number}      state.easeFactor
+ * @param {number}      state.intervalDays
+ * @param {number}      state.repetitions   - Passing answers in a row
+ * @param {number}      quality             - Answer quality from scoreToQuality()
+ * @param {Date}        now                 - Time of the answer
+ * @returns {{ easeFactor: number, intervalDays: number, repetitions: number, dueAt: Date }}
+ */
+const computeNextReview = (state, quality, now) => {
+  const { easeFactor, intervalDays, repetitions } = state ?? {
+    easeFactor:   INITIAL_EASE_FACTOR,
+    intervalDays: 0,
+    repetitions:  0,
+  };
+
+  let nextInterval;
+  let nextRepetitions;
+  if (quality < PASSING_QUALITY)
+  {
+    nextInterval = FIRST_INTERVAL_DAYS;
+    nextRepetitions = 0;
+  }
+  else
+  {
+    if (repetitions === 0)      nextInterval = FIRST_INTERVAL_DAYS;
+    else if (repetitions === 1) nextInterval = SECOND_INTERVAL_DAYS;
+    else                        nextInterval = Math.round(intervalDays * easeFactor);
+    nextRepetitions = repetitions + 1;
+  }
+
+  const missedBy = 5 - quality;
+  const nextEase = Math.max(MIN_EASE_FACTOR, easeFactor + (0.1 - missedBy * (0.08 + missedBy * 0.02)));
+
+  return {
+    easeFactor:   parseFloat(nextEase.toFixed(2)),
+    intervalDays: nextInterval,
+    repetitions:  nextRepetitions,
+    dueAt:        new Date(now.getTime() + nextInterval * DAY_MS),
+  };
+};
+
+/**
+ * Records an answer in the user's review queue.
+ * A question enters the queue the first time it's answered incorrectly,
+ * and every later answer to it moves its next due date.
+ * Fully correct answers to questions not in the queue are ignored.
+ *
+ * @param {Object} db              - Database connection pool
+ * @param {number} userId          - Answering user's ID
+ * @param {number} questionId      - Answered question's ID
+ * @param {number} normalizedScore - Points earned / points possible (0-1)
+ * @param {Date}   [now]           - Time of the answer
+ * @returns {Promise<Object|null>} New review state, or null if the question isn't queued
+ */
+const recordReviewAnswer = async (db, userId, questionId, normalizedScore, now = new Date()) => {
+  const [[row]] = await db.query(
+    'SELECT EASE_FACTOR, INTERVAL_DAYS, REPETITIONS FROM ReviewItem WHERE USER_ID = ? AND QUESTION_ID = ?',
+    [userId, questionId]
+  );
+
+  if (!row && normalizedScore >= 1)
+  {
+    return null;
+  }
+
+  const state = row
+    ? { easeFactor: parseFloat(row.EASE_FACTOR), intervalDays: row.INTERVAL_DAYS, repetitions: row.REPETITIONS }
+    : null;
+  const next = computeNextReview(state, scoreToQuality(normalizedScore), now);
+
+  await db.query(
+    `INSERT INTO ReviewItem (USER_ID, QUESTION_ID, EASE_FACTOR, INTERVAL_DAYS, REPETITIONS, DUE_AT, LAST_REVIEWED_AT)
+     VALUES (?, ?, ?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE
+       EASE_FACTOR      = VALUES(EASE_FACTOR),
+       INTERVAL_DAYS    = VALUES(INTERVAL_DAYS),
+       REPETITIONS      = VALUES(REPETITIONS),
+       DUE_AT           = VALUES(DUE_AT),
+       LAST_REVIEWED_AT = VALUES(LAST_REVIEWED_AT)`,
+    [userId, questionId, next.easeFactor, next.intervalDays, next.repetitions, next.dueAt, now]
+  );
+
+  return next;
+};
+
+/**
+ * Counts the user's review items due by the end of today
+ * @param {Object} db     - Database connection pool
+ * @param {number} userId - User's ID
+ * @returns {Promise<number>} Number of due review items
+ */
+const countDueReviews = async (db, userId) => {
+  const [[{ dueCount }]] = await db.query(
+    `SELECT COUNT(*) AS dueCount
+     FROM ReviewItem ri
+     JOIN Question q ON q.ID = ri.QUESTION_ID
+     WHERE ri.USER_ID = ? AND q.IS_PUBLISHED = 1 AND ri.DUE_AT < CURDATE() + INTERVAL 1 DAY`,
+    [userId]
+  );
+  return Number(dueCount);
+};
+
+module.exports = {
+  scoreToQuality,
+  computeNextReview,
+  recordReviewAnswer,
+  countDueReviews,
+};
@@ -0,0 +1,312 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          taxonomyUtils.js
+//  Description:   Utilities and helper functions for the
+//                 Section, Category and Subcategory tables:
+//                 loading the taxonomy, validating admin input,
+//                 and resolving a question's section, category
+//                 and subcategory labels to taxonomy IDs.
+//
+//  Dependencies:  mysql2 connection pool
+//                 errorHandler
+//                 validationUtils
+//                 taxonomyConfig
+//                 analyticsConfig
+//
+////////////////////////////////////////////////////////////////
+
+const { AppError } = require('../middleware/errorHandler');
+const { normalizeDBString } = require('./validationUtils');
+const {
+        TAXONOMY_LEVELS,
+        MAX_TAXONOMY_NAME_LENGTH,
+        MIN_DIFFICULTY,
+        MAX_DIFFICULTY,
+      } = require('../config/taxonomyConfig');
+const { DEFAULT_DIFFICULTY } = require('../../shared/analyticsConfig');
+
+/**
+ * Lookup key for a label, so "Input/Output", "inputoutput"
+ * and "InputOutput" all find the same entry
+ * @param {*} value - Label from a request or legacy row
+ * @returns {string}
+ */
+const taxonomyKey = (value) => normalizeDBString(String(value ?? '')).toLowerCase();
+
+/**
+ * Loads every taxonomy row, each level in display order
+ * @param {Object} db - Database connection pool or connection
+ * @returns {Promise<{ sections: Array, categories: Array, subcategories: Array }>}
+ */
+const loadTaxonomy = async (db) => {
+  const [sections] = await db.query(
+    'SELECT ID, NAME, DISPLAY_NAME, SORT_ORDER FROM Section ORDER BY SORT_ORDER ASC, NAME ASC'
+  );
+  const [categories] = await db.query(
+    'SELECT ID, NAME, DISPLAY_NAME, SORT_ORDER FROM Category ORDER BY SORT_ORDER ASC, NAME ASC'
+  );
+  const [subcategories] = await db.query(
+    'SELECT ID, CATEGORY_ID, NAME, DISPLAY_NAME, DIFFICULTY, SORT_ORDER FROM Subcategory ORDER BY SORT_ORDER ASC, NAME ASC'
+  );
+  return { sections, categories, subcategories };
+};
+
+/**
+ * Converts a taxonomy row to its API shape
+ * @param {Object} row - Section, Category or Subcategory row
+ * @returns {{ id: number, name: string, displayName: string, sortOrder: number }}
+ */
+const toTaxonomyEntry = (row) => ({
+  id:          row.ID,
+  name:        row.NAME,
+  displayName: row.DISPLAY_NAME,
+  sortOrder:   row.SORT_ORDER,
+});
+
+/**
+ * Converts a Subcategory row to its API shape
+ * @param {Object} row - Subcategory row
+ * @returns {Object} Taxonomy entry with categoryId and difficulty
+ */
+const toSubcategoryEntry = (row) => ({
+  ...toTaxonomyEntry(row),
+  categoryId: row.CATEGORY_ID,
+  difficulty: Number(row.DIFFICULTY),
+});
+
+/**
+ * Nests the taxonomy for GET /api/taxonomy, subcategories under their category
+ * @param {{ sections: Array, categories: Array, subcategories: Array }} taxonomy - From loadTaxonomy()
+ * @returns {{ sections: Array, categories: Array }}
+ */
+const toTaxonomyTree = ({ sections, categories, subcategories }) => ({
+  sections:   sections.map(toTaxonomyEntry),
+  categories: categories.map(category => ({
+    ...toTaxonomyEntry(category),
+    subcategories: subcategories
+      .filter(subcategory => subcategory.CATEGORY_ID === category.ID)
+      .map(toSubcategoryEntry),
+  })),
+});
+
+/**
+ * Indexes each level by NAME and DISPLAY_NAME. A NAME wins
+ * over another entry's DISPLAY_NAME if the two ever collide.
+ * @param {{ sections: Array, categories: Array, subcategories: Array }} taxonomy - From loadTaxonomy()
+ * @returns {{ sections: Map, categories: Map, subcategories: Map }} taxonomyKey -> row
+ */
+const buildTaxonomyIndex = ({ sections, categories, subcategories }) => {
+  const index = (rows) => {
+    const byKey = new Map();
+    for (const row of rows) byKey.set(taxonomyKey(row.DISPLAY_NAME), row);
+    for (const row of rows) byKey.set(taxonomyKey(row.NAME), row);
+    return byKey;
+  };
+  return {
+    sections:      index(sections),
+    categories:    index(categories),
+    subcategories: index(subcategories),
+  };
+};
+
+/**
+ * Resolves a question's labels to taxonomy entries.
+ * Labels can be a NAME or DISPLAY_NAME, in any case.
+ *
+ * @param {Object} index              - From buildTaxonomyIndex()
+ * @param {Object} labels
+ * @param {string} labels.section
+ * @param {string} labels.category
+ * @param {string} labels.subcategory - Must be in the given category
+ * @returns {{ taxonomy: Object|null, errors: Array<string> }} taxonomy has each
+ *          level's ID and canonical NAME, null if there are errors
+ */
+const resolveTaxonomyLabels = (index, { section, category, subcategory }) => {
+  const errors = [];
+  const sectionRow     = index.sections.get(taxonomyKey(section));
+  const categoryRow    = index.categories.get(taxonomyKey(category));
+  const subcategoryRow = index.subcategories.get(taxonomyKey(subcategory));
+
+  if (!sectionRow) errors.push(`Unknown section "${section ?? ''}"`);
+  if (!categoryRow) errors.push(`Unknown category "${category ?? ''}"`);
+  if (!subcategoryRow) errors.push(`Unknown subcategory "${subcategory ?? ''}"`);
+  else if (categoryRow && subcategoryRow.CATEGORY_ID !== categoryRow.ID)
+  {
+    errors.push(`Subcategory "${subcategoryRow.DISPLAY_NAME}" is not in category "${categoryRow.DISPLAY_NAME}"`);
+  }
+
+  if (errors.length > 0) return { taxonomy: null, errors };
+
+  return {
+    taxonomy: {
+      sectionId:     sectionRow.ID,
+      section:       sectionRow.NAME,
+      categoryId:    categoryRow.ID,
+      category:      categoryRow.NAME,
+      subcategoryId: subcategoryRow.ID,
+      subcategory:   subcategoryRow.NAME,
+    },
+    errors,
+  };
+};
+
+/**
+ * Loads the taxonomy and indexes it, see buildTaxonomyIndex()
+ * @param {Object} db - Database connection pool or connection
+ * @returns {Promise<Object>}
+ */
+const getTaxonomyIndex = async (db) => buildTaxonomyIndex(await loadTaxonomy(db));
+
+/**
+ * Resolves one question's labels against the current taxonomy
+ * Used by createquestion, PUT /problems/:id and version rollback
+ *
+ * @param {Object} db      - Database connection pool or connection
+ * @param {Object} labels  - { section, category, subcategory }
+ * @param {string} context - Caller name for error logging
+ * @throws {AppError} 400  - If a label isn't in the taxonomy
+ * @returns {Promise<Object>} { sectionId, section, categoryId, category, subcategoryId, subcategory }
+ */
+const resolveQuestionTaxonomy = async (db, labels, context) => {
+  const { taxonomy, errors } = resolveTaxonomyLabels(await getTaxonomyIndex(db), labels);
+  if (errors.length > 0)
+  {
+    throw new AppError(`[${context}] ${errors.join('; ')}`, 400, errors.join('; '));
+  }
+  return taxonomy;
+};
+
+/**
+ * Looks up a taxonomy level from the :level route param
+ * @param {string} rawLevel - sections, categories or subcategories
+ * @param {string} context  - Caller name for error logging
+ * @throws {AppError} 404   - If there's no such level
+ * @returns {Object} Level from TAXONOMY_LEVELS
+ */
+const getTaxonomyLevel = (rawLevel, context) => {
+  const level = Object.hasOwn(TAXONOMY_LEVELS, rawLevel) ? TAXONOMY_LEVELS[rawLevel] : null;
+  if (!level)
+  {
+    throw new AppError(`[${context}] Unknown taxonomy level: ${rawLevel}`, 404, 'Not found');
+  }
+  return level;
+};
+
+/**
+ * Validates a taxonomy entry from an admin request body
+ *
+ * Expected shape:
+ *   {
+ *     name:         string,
+ *     displayName?: string,          defaults to name
+ *     sortOrder?:   integer,         defaults to 0
+ *     categoryId:   integer,         subcategories only
+ *     difficulty?:  number (0 - 1),  subcategories only, defaults to DEFAULT_DIFFICULTY
+ *   }
+ *
+ * @param {Object}  level              - From TAXONOMY_LEVELS
+ * @param {Object}  input              - Raw request body
+ * @param {string}  context            - Caller name for error logging
+ * @param {Object}  [options]
+ * @param {boolean} [options.partial]  - For updates: every field is optional, nothing is defaulted
+ * @throws {AppError} 400              - If any field is missing or invalid
+ * @returns {Object} Column -> value, only the columns to write
+ */
+const parseTaxonomyEntry = (level, input, context, { partial = false } = {}) => {
+  const invalid = (devMessage, userMessage) =>
+    new AppError(`[${context}] ${devMessage}`, 400, userMessage);
+
+  const { name, displayName, sortOrder, categoryId, difficulty } = input ?? {};
+  const isSubcategory = level === TAXONOMY_LEVELS.subcategories;
+  const fields = {};
+
+  const readLabel = (value, field) => {
+    const label = typeof value === 'string' ? normalizeDBString(value) : '';
+    if (label.length === 0 || label.length > MAX_TAXONOMY_NAME_LENGTH)
+    {
+      throw invalid(`Invalid ${level.label} ${field}: ${value}`, `${field} is required, up to ${MAX_TAXONOMY_NAME_LENGTH} characters`);
+    }
+    return label;
+  };
+
+  if (name !== undefined || !partial)
+  {
+    // Names are stored normalized, or legacy labels would never match them
+    fields.NAME = readLabel(name, 'name');
+  }
+  if (displayName !== undefined && displayName !== null)
+  {
+    const label = typeof displayName === 'string' ? displayName.trim() : '';
+    if (label.length === 0 || label.length > MAX_TAXONOMY_NAME_LENGTH)
+    {
+      throw invalid(`Invalid ${level.label} displayName: ${displayName}`, `displayName must be up to ${MAX_TAXONOMY_NAME_LENGTH} characters`);
+    }
+    fields.DISPLAY_NAME = label;
+  }
+  else if (!partial)
+  {
+    fields.DISPLAY_NAME = fields.NAME;
+  }
+
+  if (sortOrder !== undefined)
+  {
+    if (!Number.isInteger(sortOrder))
+    {
+      throw invalid(`Invalid sortOrder: ${sortOrder}`, 'sortOrder must be a whole number');
+    }
+    fields.SORT_ORDER = sortOrder;
+  }
+  else if (!partial)
+  {
+    fields.SORT_ORDER = 0;
+  }
+
+  if (!isSubcategory)
+  {
+    if (categoryId !== undefined || difficulty !== undefined)
+    {
+      throw invalid(`categoryId or difficulty sent for a ${level.label}`, 'Only subcategories have a category and difficulty');
+    }
+    return fields;
+  }
+
+  if (categoryId !== undefined || !partial)
+  {
+    if (!Number.isInteger(categoryId) || categoryId <= 0)
+    {
+      throw invalid(`Invalid categoryId: ${categoryId}`, 'Subcategory needs a valid categoryId');
+    }
+    fields.CATEGORY_ID = categoryId;
+  }
+  if (difficulty !== undefined)
+  {
+    if (typeof difficulty !== 'number' || !(difficulty >= MIN_DIFFICULTY && difficulty <= MAX_DIFFICULTY))
+    {
+      throw invalid(`Invalid difficulty: ${difficulty}`, `difficulty must be between ${MIN_DIFFICULTY} and ${MAX_DIFFICULTY}`);
+    }
+    fields.DIFFICULTY = difficulty;
+  }
+  else if (!partial)
+  {
+    fields.DIFFICULTY = DEFAULT_DIFFICULTY;
+  }
+
+  return fields;
+};
+
+module.exports = {
+  taxonomyKey,
+  loadTaxonomy,
+  toTaxonomyEntry,
+  toSubcategoryEntry,
+  toTaxonomyTree,
+  buildTaxonomyIndex,
+  resolveTaxonomyLabels,
+  getTaxonomyIndex,
+  resolveQuestionTaxonomy,
+  getTaxonomyLevel,
+  parseTaxonomyEntry,
+};
@@ -58,6 +58,25 @@ const parseUserId = (rawId, context = 'parseUserId') => {
   return userId;
 };
 
+/**
+ * Parses and validates a positive integer ID for any other resource
+ * (mock test sessions, blueprints, etc.)
+ *
+ * @param {*}      rawId     - Raw route parameter or body field
+ * @param {string} label     - What the ID refers to, used in messages (e.g. 'blueprint')
+ * @param {string} [context] - Caller name for error logging
+ * @throws {AppError} 400    - If ID is not a valid positive integer
+ * @returns {number}         - Validated positive integer ID
+ */
+const parseId = (rawId, label, context = 'parseId') => {
+  const id = Number(rawId);
+  if (!Number.isInteger(id) || id <= 0)
+  {
+    throw new AppError(`[${context}] Invalid ${label} ID: ${rawId}`, 400, `Invalid ${label} ID`);
+  }
+  return id;
+};
+
 /**
  * Validates a first or last name 
  * Allows Unicode letters, spaces, hyphens, apostrophes, and periods
@@ -83,6 +102,7 @@ const validateName = (name) => {
 
 module.exports = {
   parseUserId,
+  parseId,
   validateName,
   normalizeDBString,
 }
@@ -31,6 +31,7 @@ import ProfilePage from "./pages/ProfilePage";
 import StorePage from "./pages/StorePage";
 import LeaderboardPage from "./pages/LeaderboardPage";
 import ProfessorStatisticsPage from "./pages/ProfessorStatisticsPage";
+import QuestionBrowserPage from "./pages/QuestionBrowserPage";
 
 
 function App() 
@@ -42,6 +43,10 @@ function App()
         <Route path="/dashboard"                  element={<DashboardPage />} />
         <Route path="/topic-practice"             element={<TopicPage />} />
         <Route path="/topic-practice/:topicName"  element={<TopicTestPage />} />
+        <Route path="/adaptive-practice"          element={<TopicTestPage mode="adaptive" />} />
+        <Route path="/review"                     element={<TopicTestPage mode="review" />} />
+        <Route path="/question-browser"           element={<QuestionBrowserPage />} />
+        <Route path="/picked-practice"            element={<TopicTestPage mode="picked" />} />
         <Route path="/mock-test"                  element={<MockTestPage />} />
         <Route path="/my-progress"                element={<MyProgressPage />} />
         <Route path="/problem-view"               element={<ProblemViewPage />} />
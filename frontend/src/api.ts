@@ -76,6 +76,18 @@ const clearAuthStorage = () => {
   localStorage.setItem("session_expired", "1");
 };
 
+// Full URL and auth header for requests that can't go through axios,
+// like reading a Server-Sent Events stream with fetch
+export const resolveApiUrl = (path: string): string => {
+  const base = api.defaults.baseURL ?? "";
+  return `${base.replace(/\/+$/, "")}${normalizeApiPathForBase(path, base)}`;
+};
+
+export const getAuthHeaders = (): Record<string, string> => {
+  const token = normalizeStoredToken(localStorage.getItem('token'));
+  return token ? { Authorization: `Bearer ${token}` } : {};
+};
+
 // Interceptor to add token
 api.interceptors.request.use((config) => {
   config.url = normalizeApiPathForBase(config.url, config.baseURL);
@@ -0,0 +1,80 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          AnswerExplanation.tsx
+//  Description:   Shown once a student has answered a question:
+//                 the worked explanation, why the answer options
+//                 are right or wrong, every hint, and what the
+//                 hints they used cost them.
+//
+//  Dependencies:  react
+//                 RichText
+//
+////////////////////////////////////////////////////////////////
+
+import React from "react";
+import RichText from "./RichText";
+import { AnswerFeedback } from "../models";
+
+type Props = {
+  feedback: AnswerFeedback;
+};
+
+const AnswerExplanation: React.FC<Props> = ({ feedback }) => {
+  const { explanation, hints, answerRationales = [], hintsUsed = 0, hintPenalty = 0 } = feedback;
+
+  if (!explanation && hints.length === 0 && answerRationales.length === 0 && hintsUsed === 0) {
+    return null;
+  }
+
+  return (
+    <div className="mt-4 space-y-3 rounded-lg border border-gray-200 bg-gray-50 p-4 text-left text-gray-800">
+      {hintsUsed > 0 && (
+        <p className="text-sm text-yellow-700">
+          You used {hintsUsed} hint{hintsUsed === 1 ? "" : "s"}, which took {Math.round(hintPenalty * 100)}% off your points.
+        </p>
+      )}
+
+      {explanation && (
+        <div>
+          <h4 className="mb-1 font-semibold">Explanation</h4>
+          <div className="question-rich-text">
+            <RichText text={explanation} />
+          </div>
+        </div>
+      )}
+
+      {answerRationales.length > 0 && (
+        <div>
+          <h4 className="mb-1 font-semibold">About the options</h4>
+          <ul className="space-y-1">
+            {answerRationales.map((option) => (
+              <li key={option.id}>
+                <span className="font-medium"><RichText text={option.text} inline /></span>
+                {": "}
+                <RichText text={option.rationale} inline />
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {hints.length > 0 && (
+        <details>
+          <summary className="cursor-pointer font-semibold">Hints</summary>
+          <ol className="mt-2 list-decimal space-y-1 pl-5">
+            {hints.map((hint, index) => (
+              <li key={index}>
+                <RichText text={hint} inline />
+              </li>
+            ))}
+          </ol>
+        </details>
+      )}
+    </div>
+  );
+};
+
+export default AnswerExplanation;
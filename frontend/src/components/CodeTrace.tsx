@@ -0,0 +1,189 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          CodeTrace.tsx
+//  Description:   Individual code trace question, where the
+//                 student reads code and types what it prints.
+//
+//  Dependencies:  react
+//                 RichText component
+//                 models (Question)
+//                 codeLanguages util
+//
+////////////////////////////////////////////////////////////////
+
+import React from "react";
+import { Question } from "../models";
+import RichText from "./RichText";
+import { formatSubcategoryLabel } from "../utils/topicLabels";
+import { getLanguageLabel } from "../utils/codeLanguages";
+
+type Props = {
+  current: Question; // current question
+  currentIndex: number; // current index
+  total: number; // total number of question
+  selectedAnswer: string | null; // output typed by user
+  setSelectedAnswer: (val: string) => void; // edit the output
+  handleSubmit: () => void; // click submit
+  handleNext: () => void; // click next
+  showFeedback: boolean; // check if the last question or not
+  isCorrect: boolean; // check correct answer
+  feedbackText?: string; // optional grader feedback
+  pointsEarned?: number | null; // points earned
+  pointsPossible?: number | null; // points possible
+  normalizedScore?: number | null; // normalized score (0-1)
+  hideFeedback?: boolean; // suppress feedback box
+  feedbackContent?: React.ReactNode; // custom feedback content
+};
+
+const CodeTrace: React.FC<Props> = ({
+  current,
+  currentIndex,
+  total,
+  selectedAnswer,
+  setSelectedAnswer,
+  handleSubmit,
+  handleNext,
+  showFeedback,
+  isCorrect,
+  feedbackText,
+  pointsEarned,
+  pointsPossible,
+  normalizedScore,
+  hideFeedback,
+  feedbackContent,
+}) => {
+  const languageLabel = getLanguageLabel(current.traceLanguageId);
+
+  return (
+    <div className="max-w-3xl mx-auto px-4 sm:px-6 md:px-8 mt-12 sm:mt-16 md:mt-20">
+      {/* top: section, category, subcategory, exam date */}
+      <div className="flex flex-col sm:flex-row justify-between mb-2 text-sm sm:text-lg md:text-2xl">
+        <p className="font-medium">
+          Question {currentIndex + 1} of {total}
+        </p>
+      </div>
+
+      <h1 className="text-2xl sm:text-3xl md:text-5xl font-bold text-gray-900 mb-2">
+        {current.CATEGORY} <span className="text-yellow-600">&gt;</span>{" "}
+        {formatSubcategoryLabel(current.SUBCATEGORY)}
+        <span className="block text-sm sm:text-base md:text-xl text-gray-500 font-normal mt-1 sm:mt-0">
+          (Credit: {current.AUTHOR_EXAM_ID})
+        </span>
+      </h1>
+
+      {/* question */}
+      <h2 className="text-lg font-semibold mb-2">
+        Question {currentIndex + 1} of {total}
+      </h2>
+
+      <div className="question-rich-text text-base sm:text-lg md:text-xl font-medium mb-4">
+        {/* sanitize html coming from the api before rendering */}
+        <RichText text={current.QUESTION_TEXT} />
+      </div>
+
+      {/* code to trace, shown as-is so indentation survives */}
+      <div className="mb-6 rounded-lg border border-gray-300 overflow-hidden">
+        {languageLabel && (
+          <div className="px-3 py-1 bg-gray-100 border-b border-gray-300 text-xs sm:text-sm font-medium text-gray-600">
+            {languageLabel}
+          </div>
+        )}
+        <pre className="p-3 sm:p-4 bg-gray-50 text-sm sm:text-base font-mono overflow-x-auto whitespace-pre">
+          {current.traceCode ?? ""}
+        </pre>
+      </div>
+
+      {/* output input */}
+      <div className="mb-6">
+        <label className="block text-sm sm:text-base font-medium text-gray-700 mb-2">
+          What does this code print?
+        </label>
+        {/* swap styling based on feedback state and correctness */}
+        <textarea
+          value={selectedAnswer || ""}
+          onChange={(e) => setSelectedAnswer(e.target.value)}
+          // lock input after submit so feedback matches the submitted answer
+          disabled={showFeedback}
+          rows={6}
+          spellCheck={false}
+          placeholder="Type the output, one line per line printed..."
+          className={`w-full p-3 sm:p-4 rounded-lg border font-mono text-sm sm:text-base transition ${
+            showFeedback
+              ? isCorrect
+                ? "bg-green-50 border-green-500"
+                : "bg-red-50 border-red-500"
+              : "bg-white border-gray-300 hover:border-yellow-500 focus:border-yellow-500 focus:outline-none focus:ring-2 focus:ring-yellow-200"
+          }`}
+        />
+      </div>
+
+      {feedbackContent}
+
+      {/* button */}
+      {/* if it's the last question, show the result button, otherwise show submit/next */}
+      <div className="mt-6">
+        <button
+          onClick={showFeedback ? handleNext : handleSubmit}
+          disabled={!showFeedback && !selectedAnswer?.trim()}
+          className={`px-5 sm:px-6 py-2 sm:py-3 rounded shadow font-semibold text-sm sm:text-base md:text-lg ${
+            showFeedback
+              ? "bg-yellow-400 hover:bg-yellow-500 text-black"
+              : !selectedAnswer?.trim()
+              ? "bg-gray-300 text-gray-500 cursor-not-allowed"
+              : "bg-yellow-600 hover:bg-yellow-700 text-white"
+          }`}
+        >
+          {showFeedback
+            ? currentIndex + 1 === total
+              ? "Result"
+              : "Next"
+            : "Submit"}
+        </button>
+      </div>
+
+      {/* feedback */}
+      {/* partial credit is per line, so the grader's feedback carries the expected output */}
+      {showFeedback && !hideFeedback && (() => {
+        const score = typeof normalizedScore === "number"
+          ? normalizedScore
+          : isCorrect
+          ? 1
+          : 0;
+        const statusClass = score >= 1
+          ? "text-green-600"
+          : score > 0.5
+          ? "text-yellow-600"
+          : "text-red-600";
+        const boxClass = score >= 1
+          ? "bg-green-50 border-green-500"
+          : score > 0.5
+          ? "bg-yellow-50 border-yellow-500"
+          : "bg-red-50 border-red-500";
+        const statusText = score >= 1
+          ? "✓ Correct output!"
+          : score > 0
+          ? "△ Partly correct output"
+          : "✗ Incorrect output";
+
+        return (
+          <div className={`mt-6 p-4 ${boxClass} rounded border text-sm sm:text-base md:text-lg`}>
+            <p className={`${statusClass} font-medium`}>{statusText}</p>
+            {(feedbackText || typeof pointsEarned === "number") && (
+              <div className="mt-3 text-gray-700">
+                {feedbackText && <p className="whitespace-pre-wrap">{feedbackText}</p>}
+                {typeof pointsEarned === "number" && typeof pointsPossible === "number" && (
+                  <p>Points: {pointsEarned} / {pointsPossible}</p>
+                )}
+              </div>
+            )}
+          </div>
+        );
+      })()}
+    </div>
+  );
+};
+
+export default CodeTrace;
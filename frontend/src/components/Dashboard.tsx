@@ -11,7 +11,9 @@
 //                 react-router-dom
 //                 api instance
 //                 models
+//                 taxonomyStore
 //                 topicLabels
+//                 RegradeNotices
 //
 ////////////////////////////////////////////////////////////////
 
@@ -22,13 +24,16 @@ import api from "../api";
 import { HistoryEntry, UserInfoResponse } from "../models";
 import { useUserCustomizationStore, userCustomizationStore } from "../stores/userCustomizationStore";
 import { getBackgroundUrlByItemName } from "../utils/storeCosmetics";
-import { ALL_TOPICS, formatSubcategoryLabel } from "../utils/topicLabels";
+import { useTaxonomyStore } from "../stores/taxonomyStore";
+import { formatSubcategoryLabel, toSubcategoryName } from "../utils/topicLabels";
 import { formatTenths } from "../utils/numberFormat";
+import RegradeNotices from "./RegradeNotices";
 
 interface MessageDataResponse {
   history?: Array<{ datetime: string; topic: string }>;
   mastery?: Record<string, number>;
   streak?: number;
+  reviewDueCount?: number;
 }
 
 interface LeaderboardResponse {
@@ -46,15 +51,6 @@ const DAILY_GOAL_QUESTIONS = 10;
 const DAILY_GOAL_FIRE_MULTIPLIER = 2;
 const DAILY_GOAL_GOOUTSIDE_MULTIPLIER = 3;
 
-const toCanonicalTopicSlug = (topic?: string): string | null => {
-  const value = String(topic || "").trim();
-  if (!value) {
-    return null;
-  }
-  const normalized = value === "Input/Output" ? "InputOutput" : value;
-  return (ALL_TOPICS as readonly string[]).includes(normalized) ? normalized : null;
-};
-
 const getStoredUserId = (): number | null => {
   try {
     const raw = localStorage.getItem("user_data");
@@ -86,11 +82,13 @@ const toFiniteNumber = (value: unknown): number => {
 const Dashboard: React.FC = () => {
   const navigate = useNavigate();
   const { equippedItems } = useUserCustomizationStore();
+  const { categories } = useTaxonomyStore();
   const dashboardRequestSeqRef = useRef(0);
   const isDashboardFetchingRef = useRef(false);
   const [history, setHistory] = useState<HistoryEntry[]>([]);
   const [mastery, setMastery] = useState<Record<string, number>>({});
   const [streakCount, setStreakCount] = useState<number>(0);
+  const [reviewDueCount, setReviewDueCount] = useState<number>(0);
   const [userRank, setUserRank] = useState<number | null>(null);
   const [weeklyExp, setWeeklyExp] = useState<number | null>(null);
   const [coins, setCoins] = useState<number | null>(null);
@@ -154,6 +152,7 @@ const Dashboard: React.FC = () => {
     if (messageResult.status === "fulfilled") {
       setMastery(messageResult.value.data.mastery || {});
       setStreakCount(Number(messageResult.value.data.streak || 0));
+      setReviewDueCount(Number(messageResult.value.data.reviewDueCount || 0));
     }
 
     if (historyFirstPageResult.status === "fulfilled") {
@@ -350,7 +349,7 @@ const Dashboard: React.FC = () => {
         return;
       }
 
-      const canonicalTopic = toCanonicalTopicSlug(topic);
+      const canonicalTopic = toSubcategoryName(categories, topic);
       if (!canonicalTopic) {
         return;
       }
@@ -364,10 +363,10 @@ const Dashboard: React.FC = () => {
     return [...canonicalScores.entries()]
       .sort((first, second) => first[1] - second[1])
       .slice(0, 3);
-  }, [mastery]);
+  }, [mastery, categories]);
 
   const lastAttempt = recentHistory[0] || null;
-  const lastTopicSlug = toCanonicalTopicSlug(lastAttempt?.topic);
+  const lastTopicSlug = toSubcategoryName(categories, lastAttempt?.topic);
   const lastTopicLabel = formatSubcategoryLabel(lastTopicSlug || lastAttempt?.topic);
   const weakTopicLabel = weakestTopics.length > 0 ? formatSubcategoryLabel(weakestTopics[0][0]) : null;
   const lifetimeExpText = formatTenths(lifetimeExp ?? 0);
@@ -375,7 +374,7 @@ const Dashboard: React.FC = () => {
   const weeklyExpText = formatTenths(weeklyExp ?? 0);
 
   const handlePracticeTopic = (topic: string) => {
-    const slug = toCanonicalTopicSlug(topic);
+    const slug = toSubcategoryName(categories, topic);
     if (!slug) {
       navigate("/topic-practice");
       return;
@@ -402,6 +401,8 @@ const Dashboard: React.FC = () => {
           </div>
         )}
 
+        <RegradeNotices />
+
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 items-start">
           <section className="rounded-xl border border-gray-200 bg-white p-5">
             <p className="text-xs uppercase tracking-wide text-gray-500 font-semibold">Continue Learning</p>
@@ -568,11 +569,22 @@ const Dashboard: React.FC = () => {
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
           <section className="rounded-xl border border-gray-200 bg-white p-5">
             <p className="text-xs uppercase tracking-wide text-gray-500 font-semibold">Streak and XP</p>
-            <div className="mt-3 grid grid-cols-2 gap-3">
+            <div className="mt-3 grid grid-cols-2 sm:grid-cols-3 gap-3">
               <div className="rounded-lg bg-gray-50 p-3 border border-gray-200">
                 <p className="text-xs text-gray-500">Current Streak</p>
                 <p className="text-2xl font-bold text-gray-900">{streakCount} day{streakCount === 1 ? "" : "s"}</p>
               </div>
+              <button
+                type="button"
+                onClick={() => navigate("/review")}
+                disabled={reviewDueCount === 0}
+                className="rounded-lg bg-gray-50 p-3 border border-gray-200 text-left transition enabled:hover:border-yellow-400 enabled:hover:bg-yellow-50 disabled:cursor-default"
+              >
+                <p className="text-xs text-gray-500">Due for Review</p>
+                <p className="text-2xl font-bold text-gray-900">
+                  {reviewDueCount} question{reviewDueCount === 1 ? "" : "s"}
+                </p>
+              </button>
               <div className="rounded-lg bg-gray-50 p-3 border border-gray-200">
                 <p className="text-xs text-gray-500">Lifetime XP</p>
                 <p className="text-2xl font-bold text-gray-900">{lifetimeExpText}</p>
@@ -8,16 +8,14 @@
 //                 Answers are organized by PLACEMENT field into separate drop zones.
 //
 //  Dependencies:  react
-//                 html-react-parser
-//                 dompurify
+//                 RichText component
 //                 models (Question)
 //
 ////////////////////////////////////////////////////////////////
 
 import React, { useEffect, useState } from "react";
-import parse from "html-react-parser";
-import DOMPurify from "dompurify";
 import { Question } from "../models";
+import RichText from "./RichText";
 import { formatSubcategoryLabel } from "../utils/topicLabels";
 
 type Props = {
@@ -76,7 +74,12 @@ const DragAndDrop: React.FC<Props> = ({
     const grouped: Record<string, string[]> = {};
     const answerObjects = current.answerObjects || [];
 
-    if (answerObjects.length > 0) {
+    if (current.placements && current.placements.length > 0) {
+      // Student-safe questions list their zones directly
+      current.placements.forEach((placement) => {
+        grouped[placement] = [];
+      });
+    } else if (answerObjects.length > 0) {
       // First, collect all unique PLACEMENT values
       const uniquePlacements = new Set<string>();
       answerObjects.forEach((answer) => {
@@ -113,7 +116,7 @@ const DragAndDrop: React.FC<Props> = ({
     }
 
     return grouped;
-  }, [current.answerObjects, current.dropZones, current.options]);
+  }, [current.placements, current.answerObjects, current.dropZones, current.options]);
 
   const placementKeys = Object.keys(answersByPlacement).sort();
 
@@ -199,7 +202,7 @@ const DragAndDrop: React.FC<Props> = ({
       </h2>
 
       <div className="question-rich-text text-base sm:text-lg md:text-xl font-medium mb-6">
-        {parse(DOMPurify.sanitize(current.QUESTION_TEXT))}
+        <RichText text={current.QUESTION_TEXT} />
       </div>
 
       {/* placement-based drop zones */}
@@ -9,16 +9,14 @@
 //                 Use DragAndDrop.tsx for the new placement-based approach.
 //
 //  Dependencies:  react
-//                 html-react-parser
-//                 dompurify
+//                 RichText component
 //                 models (Question)
 //
 ////////////////////////////////////////////////////////////////
 
 import React, { useEffect, useState } from "react";
-import parse from "html-react-parser";
-import DOMPurify from "dompurify";
 import { Question } from "../models";
+import RichText from "./RichText";
 import { formatSubcategoryLabel } from "../utils/topicLabels";
 
 type Props = {
@@ -101,8 +99,8 @@ const DragAndDropInline: React.FC<Props> = ({
               </div>
             );
           }
-          // Return non-blank text parts with HTML sanitization
-          return <span key={idx}>{parse(DOMPurify.sanitize(part))}</span>;
+          // Return non-blank text parts as inline rich text
+          return <span key={idx}><RichText text={part} inline /></span>;
         })}
       </div>
     );
@@ -4,20 +4,22 @@
 //  Year:          2025-2026
 //  Author(s):     KnightWise Team
 //  File:          FillInTheBlank.tsx
-//  Description:   Individual fill-in-the-blank question.
+//  Description:   Individual fill-in-the-blank question, with
+//                 one answer box, or one per blank for questions
+//                 with several named blanks.
 //
 //  Dependencies:  react
-//                 html-react-parser
-//                 dompurify
-//                 models (Question)
+//                 RichText component
+//                 models (Question, BlankScore)
+//                 blanks utils
 //
 ////////////////////////////////////////////////////////////////
 
 import React from "react";
-import parse from "html-react-parser";
-import DOMPurify from "dompurify";
-import { Question } from "../models";
+import { BlankScore, Question } from "../models";
+import RichText from "./RichText";
 import { formatSubcategoryLabel } from "../utils/topicLabels";
+import { allBlanksFilled, numberBlanks } from "../utils/blanks";
 
 type Props = {
   current: Question; // current question
@@ -35,8 +37,22 @@ type Props = {
   normalizedScore?: number | null; // normalized score (0-1)
   hideFeedback?: boolean; // suppress feedback box
   feedbackContent?: React.ReactNode; // custom feedback content
+  blankAnswers?: Record<string, string>; // typed answer per blank, for questions with blanks
+  setBlankAnswers?: (val: Record<string, string>) => void; // type into a blank
+  blankScores?: BlankScore[] | null; // each blank's score once graded
 };
 
+// Input styling, each blank is colored by its own score once graded
+const inputClass = (showFeedback: boolean, score: number) => `w-full p-3 sm:p-4 rounded-lg border text-sm sm:text-base md:text-xl transition ${
+  showFeedback
+    ? score >= 1
+      ? "bg-green-50 border-green-500"
+      : score > 0
+      ? "bg-yellow-50 border-yellow-500"
+      : "bg-red-50 border-red-500"
+    : "bg-white border-gray-300 hover:border-yellow-500 focus:border-yellow-500 focus:outline-none focus:ring-2 focus:ring-yellow-200"
+}`;
+
 const FillInTheBlank: React.FC<Props> = ({
   current,
   currentIndex,
@@ -53,131 +69,164 @@ const FillInTheBlank: React.FC<Props> = ({
   normalizedScore,
   hideFeedback,
   feedbackContent,
-}) => (
-  <div className="max-w-3xl mx-auto px-4 sm:px-6 md:px-8 mt-12 sm:mt-16 md:mt-20">
-    {/* top: section, category, subcategory, exam date */}
-    <div className="flex flex-col sm:flex-row justify-between mb-2 text-sm sm:text-lg md:text-2xl">
-      <p className="font-medium">
-        Question {currentIndex + 1} of {total}
-      </p>
-    </div>
+  blankAnswers = {},
+  setBlankAnswers,
+  blankScores,
+}) => {
+  const blankIds = current.blanks ?? [];
+  const hasBlanks = blankIds.length > 0;
+  const canSubmit = hasBlanks ? allBlanksFilled(blankIds, blankAnswers) : Boolean(selectedAnswer?.trim());
 
-    <h1 className="text-2xl sm:text-3xl md:text-5xl font-bold text-gray-900 mb-2">
-      {current.CATEGORY} <span className="text-yellow-600">&gt;</span>{" "}
-      {formatSubcategoryLabel(current.SUBCATEGORY)}
-      <span className="block text-sm sm:text-base md:text-xl text-gray-500 font-normal mt-1 sm:mt-0">
-        (Credit: {current.AUTHOR_EXAM_ID})
-      </span>
-    </h1>
+  return (
+    <div className="max-w-3xl mx-auto px-4 sm:px-6 md:px-8 mt-12 sm:mt-16 md:mt-20">
+      {/* top: section, category, subcategory, exam date */}
+      <div className="flex flex-col sm:flex-row justify-between mb-2 text-sm sm:text-lg md:text-2xl">
+        <p className="font-medium">
+          Question {currentIndex + 1} of {total}
+        </p>
+      </div>
 
-    {/* question */}
-    <h2 className="text-lg font-semibold mb-2">
-      Question {currentIndex + 1} of {total}
-    </h2>
+      <h1 className="text-2xl sm:text-3xl md:text-5xl font-bold text-gray-900 mb-2">
+        {current.CATEGORY} <span className="text-yellow-600">&gt;</span>{" "}
+        {formatSubcategoryLabel(current.SUBCATEGORY)}
+        <span className="block text-sm sm:text-base md:text-xl text-gray-500 font-normal mt-1 sm:mt-0">
+          (Credit: {current.AUTHOR_EXAM_ID})
+        </span>
+      </h1>
 
-    <div className="question-rich-text text-base sm:text-lg md:text-xl font-medium mb-4">
-      {/* sanitize html coming from the api before rendering */}
-      {parse(DOMPurify.sanitize(current.QUESTION_TEXT))}
-    </div>
+      {/* question */}
+      <h2 className="text-lg font-semibold mb-2">
+        Question {currentIndex + 1} of {total}
+      </h2>
 
-    {/* fill-in-the-blank input */}
-    <div className="mb-6">
-      <label className="block text-sm sm:text-base font-medium text-gray-700 mb-2">
-        Your Answer:
-      </label>
-      {/* swap styling based on feedback state and correctness */}
-      <input
-        type="text"
-        value={selectedAnswer || ""}
-        onChange={(e) => setSelectedAnswer(e.target.value)}
-        // lock input after submit so feedback matches the submitted answer
-        disabled={showFeedback}
-        placeholder="Type your answer here..."
-        className={`w-full p-3 sm:p-4 rounded-lg border text-sm sm:text-base md:text-xl transition ${
-          showFeedback
-            ? isCorrect
-              ? "bg-green-50 border-green-500"
-              : "bg-red-50 border-red-500"
-            : "bg-white border-gray-300 hover:border-yellow-500 focus:border-yellow-500 focus:outline-none focus:ring-2 focus:ring-yellow-200"
-        }`}
-      />
-    </div>
+      <div className="question-rich-text text-base sm:text-lg md:text-xl font-medium mb-4">
+        {/* sanitize html coming from the api before rendering */}
+        <RichText text={hasBlanks ? numberBlanks(current.QUESTION_TEXT, blankIds) : current.QUESTION_TEXT} />
+      </div>
 
-    {feedbackContent}
+      {/* one input per blank, numbered like the text */}
+      {hasBlanks ? (
+        <div className="mb-6 space-y-3">
+          {blankIds.map((id, i) => {
+            const score = blankScores?.find((blank) => blank.id === id)?.score ?? (isCorrect ? 1 : 0);
+            return (
+              <div key={id}>
+                <label htmlFor={`blank-${id}`} className="block text-sm sm:text-base font-medium text-gray-700 mb-1">
+                  Blank {i + 1}:
+                </label>
+                <input
+                  id={`blank-${id}`}
+                  type="text"
+                  value={blankAnswers[id] ?? ""}
+                  onChange={(e) => setBlankAnswers?.({ ...blankAnswers, [id]: e.target.value })}
+                  disabled={showFeedback}
+                  placeholder={`Type blank ${i + 1} here...`}
+                  className={`${inputClass(showFeedback, score)} font-mono`}
+                />
+              </div>
+            );
+          })}
+        </div>
+      ) : (
+        <div className="mb-6">
+          <label className="block text-sm sm:text-base font-medium text-gray-700 mb-2">
+            Your Answer:
+          </label>
+          {/* swap styling based on feedback state and correctness */}
+          <input
+            type="text"
+            value={selectedAnswer || ""}
+            onChange={(e) => setSelectedAnswer(e.target.value)}
+            // lock input after submit so feedback matches the submitted answer
+            disabled={showFeedback}
+            placeholder="Type your answer here..."
+            className={`w-full p-3 sm:p-4 rounded-lg border text-sm sm:text-base md:text-xl transition ${
+              showFeedback
+                ? isCorrect
+                  ? "bg-green-50 border-green-500"
+                  : "bg-red-50 border-red-500"
+                : "bg-white border-gray-300 hover:border-yellow-500 focus:border-yellow-500 focus:outline-none focus:ring-2 focus:ring-yellow-200"
+            }`}
+          />
+        </div>
+      )}
 
-    {/* button */}
-    {/* if it's the last question, show the result button, otherwise show submit/next */}
-    <div className="mt-6">
-      {/* switch styling between disabled/submit/next states */}
-      <button
-        onClick={showFeedback ? handleNext : handleSubmit}
-        disabled={!showFeedback && !selectedAnswer?.trim()}
-        className={`px-5 sm:px-6 py-2 sm:py-3 rounded shadow font-semibold text-sm sm:text-base md:text-lg ${
-          showFeedback
-            ? "bg-yellow-400 hover:bg-yellow-500 text-black"
-            : !selectedAnswer?.trim()
-            ? "bg-gray-300 text-gray-500 cursor-not-allowed"
-            : "bg-yellow-600 hover:bg-yellow-700 text-white"
-        }`}
-      >
-        {/* label toggles between submit and next/result */}
-        {showFeedback
-          ? currentIndex + 1 === total
-            ? "Result"
-            : "Next"
-          : "Submit"}
-      </button>
-    </div>
+      {feedbackContent}
 
-    {/* feedback */}
-    {/* reveal correctness and the expected answer after submit */}
-    {showFeedback && !hideFeedback && (() => {
-      // map score into status text and color.
-      const score = typeof normalizedScore === "number"
-        ? normalizedScore
-        : isCorrect
-        ? 1
-        : 0;
-      const statusClass = score >= 1
-        ? "text-green-600"
-        : score > 0.5
-        ? "text-yellow-600"
-        : "text-red-600";
-      const boxClass = score >= 1
-        ? "bg-green-50"
-        : score > 0.5
-        ? "bg-yellow-50"
-        : "bg-red-50";
-      const borderClass = score >= 1
-        ? "border-green-500"
-        : score > 0.5
-        ? "border-yellow-500"
-        : "border-red-500";
-      const statusText = score >= 1
-        ? "✓ Correct answer!"
-        : score > 0.5
-        ? "△ Close answer"
-        : "✗ Incorrect answer";
+      {/* button */}
+      {/* if it's the last question, show the result button, otherwise show submit/next */}
+      <div className="mt-6">
+        {/* switch styling between disabled/submit/next states */}
+        <button
+          onClick={showFeedback ? handleNext : handleSubmit}
+          disabled={!showFeedback && !canSubmit}
+          className={`px-5 sm:px-6 py-2 sm:py-3 rounded shadow font-semibold text-sm sm:text-base md:text-lg ${
+            showFeedback
+              ? "bg-yellow-400 hover:bg-yellow-500 text-black"
+              : !canSubmit
+              ? "bg-gray-300 text-gray-500 cursor-not-allowed"
+              : "bg-yellow-600 hover:bg-yellow-700 text-white"
+          }`}
+        >
+          {/* label toggles between submit and next/result */}
+          {showFeedback
+            ? currentIndex + 1 === total
+              ? "Result"
+              : "Next"
+            : "Submit"}
+        </button>
+      </div>
 
-      return (
-        <div className={`mt-6 p-4 ${boxClass} rounded border ${borderClass} text-sm sm:text-base md:text-lg`}>
-          <p className={`${statusClass} font-medium`}>{statusText}</p>
-          {/* only show the details when we have feedback text, points, or a score */}
-          {(feedbackText || pointsEarned !== null || normalizedScore !== null) && (
-            <div className="mt-3 text-gray-700">
-              {feedbackText && <p>{feedbackText}</p>}
-              {typeof pointsEarned === "number" && typeof pointsPossible === "number" && (
-                <p>Points: {pointsEarned} / {pointsPossible}</p>
-              )}
-              {typeof normalizedScore === "number" && (
-                <p>Closeness: {Math.round(normalizedScore * 100)}%</p>
-              )}
-            </div>
-          )}
-        </div>
-      );
-    })()}
-  </div>
-);
+      {/* feedback */}
+      {/* reveal correctness and the expected answer after submit */}
+      {showFeedback && !hideFeedback && (() => {
+        // map score into status text and color.
+        const score = typeof normalizedScore === "number"
+          ? normalizedScore
+          : isCorrect
+          ? 1
+          : 0;
+        const statusClass = score >= 1
+          ? "text-green-600"
+          : score > 0.5
+          ? "text-yellow-600"
+          : "text-red-600";
+        const boxClass = score >= 1
+          ? "bg-green-50"
+          : score > 0.5
+          ? "bg-yellow-50"
+          : "bg-red-50";
+        const borderClass = score >= 1
+          ? "border-green-500"
+          : score > 0.5
+          ? "border-yellow-500"
+          : "border-red-500";
+        const statusText = score >= 1
+          ? "✓ Correct answer!"
+          : score > 0.5
+          ? "△ Close answer"
+          : "✗ Incorrect answer";
+
+        return (
+          <div className={`mt-6 p-4 ${boxClass} rounded border ${borderClass} text-sm sm:text-base md:text-lg`}>
+            <p className={`${statusClass} font-medium`}>{statusText}</p>
+            {/* only show the details when we have feedback text, points, or a score */}
+            {(feedbackText || pointsEarned !== null || normalizedScore !== null) && (
+              <div className="mt-3 text-gray-700">
+                {feedbackText && <p>{feedbackText}</p>}
+                {typeof pointsEarned === "number" && typeof pointsPossible === "number" && (
+                  <p>Points: {pointsEarned} / {pointsPossible}</p>
+                )}
+                {typeof normalizedScore === "number" && (
+                  <p>Closeness: {Math.round(normalizedScore * 100)}%</p>
+                )}
+              </div>
+            )}
+          </div>
+        );
+      })()}
+    </div>
+  );
+};
 
 export default FillInTheBlank;
\ No newline at end of file
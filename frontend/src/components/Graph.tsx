@@ -11,6 +11,7 @@
 //                 chart.js
 //                 api instance
 //                 models (ProgressData)
+//                 taxonomyStore
 //                 topicLabels
 //
 ////////////////////////////////////////////////////////////////
@@ -30,13 +31,16 @@ import {
 } from "chart.js";
 import api from "../api";
 import { ProgressData } from '../models';
-import { ALL_TOPICS, formatSubcategoryLabel } from '../utils/topicLabels';
+import { useTaxonomyStore } from '../stores/taxonomyStore';
+import { formatSubcategoryLabel, getSubcategoryNames } from '../utils/topicLabels';
 
 // Register required chart elements
 ChartJS.register(RadialLinearScale, PointElement, LineElement, Filler, Tooltip, Legend);
 
 const Graph: React.FC = () => {
   const [progressData, setProgressData] = useState<ProgressData>({});
+  const { categories } = useTaxonomyStore();
+  const topics = getSubcategoryNames(categories);
 
   useEffect(() => {
     const token = localStorage.getItem("token");
@@ -65,11 +69,11 @@ const Graph: React.FC = () => {
 
   // Prepare radar chart data
   const chartData = {
-    labels: ALL_TOPICS.map(topic => formatSubcategoryLabel(topic)),
+    labels: topics.map(topic => formatSubcategoryLabel(topic)),
     datasets: [
       {
         label: "Mastery Level",
-        data: ALL_TOPICS.map(topic => {
+        data: topics.map(topic => {
           // Set the mastery level (percentage) for each topic
           const topicData = progressData[topic];
           if (topicData !== undefined && topicData.metric !== undefined) {
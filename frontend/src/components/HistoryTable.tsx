@@ -9,6 +9,7 @@
 //  Dependencies:  react
 //                 api instance
 //                 models (RawQuestion, HistoryEntry, HistoryResponse)
+//                 taxonomyStore
 //                 topicLabels
 //
 ////////////////////////////////////////////////////////////////
@@ -16,10 +17,13 @@
 import React, { useCallback, useEffect, useState } from 'react';
 import api from "../api";
 import { RawQuestion, HistoryEntry, HistoryResponse } from '../models';
+import { useTaxonomyStore } from '../stores/taxonomyStore';
 import { formatSubcategoryLabel } from '../utils/topicLabels';
 import { X, Check, SquareArrowOutUpRightIcon } from "lucide-react";
 
 const HistoryTable: React.FC = () => {
+  // Re-renders the topic column with display names once the taxonomy loads
+  useTaxonomyStore();
   const [history, setHistory]         = useState<HistoryEntry[]>([]);
   const [totalPages, setTotalPages]   = useState<number>(1);
   const [currentPage, setCurrentPage] = useState<number>(1);
@@ -8,20 +8,25 @@
 //
 //  Dependencies:  react
 //                 topicLabels
+//                 models (MockTestBlueprint)
 //
 ////////////////////////////////////////////////////////////////
 
 import React from "react";
 import { formatSubcategoryLabel } from "../utils/topicLabels";
+import { MockTestBlueprint } from "../models";
 
 interface MockTestInfoProps {
   availableTopics: string[];
   selectedTopics: string[];
+  blueprints: MockTestBlueprint[];
+  selectedBlueprintId: number | null;
   questionCount: number;
   timeLimitMinutes: number;
   isStarting: boolean;
   errorMessage: string;
   onToggleTopic: (topic: string) => void;
+  onSelectBlueprint: (blueprintId: number | null) => void;
   onSelectAll: () => void;
   onClearAll: () => void;
   onQuestionCountChange: (count: number) => void;
@@ -32,17 +37,25 @@ interface MockTestInfoProps {
 const MockTestInfo: React.FC<MockTestInfoProps> = ({
   availableTopics,
   selectedTopics,
+  blueprints,
+  selectedBlueprintId,
   questionCount,
   timeLimitMinutes,
   isStarting,
   errorMessage,
   onToggleTopic,
+  onSelectBlueprint,
   onSelectAll,
   onClearAll,
   onQuestionCountChange,
   onTimeLimitChange,
   onStart,
 }) => {
+  const selectedBlueprint = blueprints.find((blueprint) => blueprint.id === selectedBlueprintId) ?? null;
+  const isCustom = selectedBlueprint === null;
+  const shownQuestionCount = selectedBlueprint?.questionCount ?? questionCount;
+  const shownTimeLimit = selectedBlueprint?.timeLimitMinutes ?? timeLimitMinutes;
+
   return (
     <div className="flex justify-center items-center min-h-screen px-4 py-10 sm:px-6 md:px-10">
       <div className="w-full max-w-7xl rounded-3xl border border-yellow-200 bg-gradient-to-br from-amber-50 via-white to-yellow-100 p-6 shadow-xl sm:p-10">
@@ -51,24 +64,30 @@ const MockTestInfo: React.FC<MockTestInfoProps> = ({
             Build an Exam
           </h2>
           <p className="mx-auto mt-4 max-w-3xl text-base leading-relaxed text-gray-700 sm:text-lg">
-            Choose the topics you want to practice, how many questions to answer,
-            and a time limit.
+            Pick a prepared exam format, or choose the topics you want to practice,
+            how many questions to answer, and a time limit.
           </p>
         </div>
 
         <div className="grid gap-8 lg:grid-cols-[1.7fr_1fr]">
-          <section className="rounded-2xl bg-white/80 p-5 shadow-sm ring-1 ring-black/5 sm:p-6">
+          <section
+            className={[
+              "rounded-2xl bg-white/80 p-5 shadow-sm ring-1 ring-black/5 transition sm:p-6",
+              isCustom ? "" : "opacity-50",
+            ].join(" ")}
+          >
             <div className="mb-4 flex flex-col gap-3 sm:flex-row sm:items-center sm:justify-between">
               <div>
                 <h3 className="text-xl font-semibold text-gray-900">Topics</h3>
                 <p className="text-sm text-gray-600">
-                  {selectedTopics.length} selected
+                  {isCustom ? `${selectedTopics.length} selected` : "Set by the exam format"}
                 </p>
               </div>
               <div className="flex gap-3">
                 <button
                   type="button"
                   onClick={onSelectAll}
+                  disabled={!isCustom}
                   className="rounded-full border border-gray-300 px-4 py-2 text-sm font-medium text-gray-700 transition hover:border-yellow-500 hover:text-gray-900"
                 >
                   Select all
@@ -76,6 +95,7 @@ const MockTestInfo: React.FC<MockTestInfoProps> = ({
                 <button
                   type="button"
                   onClick={onClearAll}
+                  disabled={!isCustom}
                   className="rounded-full border border-gray-300 px-4 py-2 text-sm font-medium text-gray-700 transition hover:border-yellow-500 hover:text-gray-900"
                 >
                   Clear
@@ -92,6 +112,7 @@ const MockTestInfo: React.FC<MockTestInfoProps> = ({
                     key={topic}
                     type="button"
                     onClick={() => onToggleTopic(topic)}
+                    disabled={!isCustom}
                     className={[
                       "rounded-2xl border px-4 py-4 text-left transition",
                       isSelected
@@ -122,6 +143,28 @@ const MockTestInfo: React.FC<MockTestInfoProps> = ({
           <section className="rounded-2xl border border-amber-200 bg-white p-5 text-gray-900 shadow-sm sm:p-6">
             <h3 className="text-xl font-semibold text-gray-900">Exam settings</h3>
             <div className="mt-6 space-y-6">
+              <div>
+                <label htmlFor="mock-test-format" className="block text-sm font-medium text-gray-700">
+                  Exam format
+                </label>
+                <select
+                  id="mock-test-format"
+                  value={selectedBlueprintId ?? ""}
+                  onChange={(event) => onSelectBlueprint(event.target.value === "" ? null : Number(event.target.value))}
+                  className="mt-3 w-full rounded-xl border border-amber-300 bg-white px-4 py-3 text-base font-semibold text-gray-900 outline-none transition focus:border-amber-500"
+                >
+                  <option value="">Custom (choose topics)</option>
+                  {blueprints.map((blueprint) => (
+                    <option key={blueprint.id} value={blueprint.id}>
+                      {blueprint.name}
+                    </option>
+                  ))}
+                </select>
+                {selectedBlueprint?.description ? (
+                  <p className="mt-3 text-sm text-gray-600">{selectedBlueprint.description}</p>
+                ) : null}
+              </div>
+
               <div>
                 <label htmlFor="mock-test-question-count" className="block text-sm font-medium text-gray-700">
                   Question count
@@ -133,9 +176,10 @@ const MockTestInfo: React.FC<MockTestInfoProps> = ({
                     min={1}
                     max={50}
                     step={1}
-                    value={questionCount}
+                    value={shownQuestionCount}
+                    disabled={!isCustom}
                     onChange={(event) => onQuestionCountChange(Number(event.target.value))}
-                    className="w-28 rounded-xl border border-amber-300 bg-white px-4 py-3 text-lg font-semibold text-gray-900 outline-none transition focus:border-amber-500"
+                    className="w-28 rounded-xl border border-amber-300 bg-white px-4 py-3 text-lg font-semibold text-gray-900 outline-none transition focus:border-amber-500 disabled:bg-gray-100 disabled:text-gray-500"
                   />
                   <span className="pb-3 text-sm uppercase tracking-[0.2em] text-gray-600">
                     questions
@@ -157,9 +201,10 @@ const MockTestInfo: React.FC<MockTestInfoProps> = ({
                     min={5}
                     max={180}
                     step={5}
-                    value={timeLimitMinutes}
+                    value={shownTimeLimit}
+                    disabled={!isCustom}
                     onChange={(event) => onTimeLimitChange(Number(event.target.value))}
-                    className="w-28 rounded-xl border border-amber-300 bg-white px-4 py-3 text-lg font-semibold text-gray-900 outline-none transition focus:border-amber-500"
+                    className="w-28 rounded-xl border border-amber-300 bg-white px-4 py-3 text-lg font-semibold text-gray-900 outline-none transition focus:border-amber-500 disabled:bg-gray-100 disabled:text-gray-500"
                   />
                   <span className="pb-3 text-sm uppercase tracking-[0.2em] text-gray-600">
                     minutes
@@ -172,13 +217,17 @@ const MockTestInfo: React.FC<MockTestInfoProps> = ({
 
               <div className="rounded-2xl border border-amber-200 bg-white p-4 text-sm text-gray-700">
                 <p>
-                  Selected topics: <strong className="text-gray-900">{selectedTopics.length}</strong>
+                  {isCustom ? (
+                    <>Selected topics: <strong className="text-gray-900">{selectedTopics.length}</strong></>
+                  ) : (
+                    <>Exam format: <strong className="text-gray-900">{selectedBlueprint.name}</strong></>
+                  )}
                 </p>
                 <p className="mt-2">
-                  Question count: <strong className="text-gray-900">{questionCount}</strong>
+                  Question count: <strong className="text-gray-900">{shownQuestionCount}</strong>
                 </p>
                 <p className="mt-2">
-                  Estimated duration: <strong className="text-gray-900">{timeLimitMinutes} minutes</strong>
+                  Estimated duration: <strong className="text-gray-900">{shownTimeLimit} minutes</strong>
                 </p>
               </div>
 
@@ -191,10 +240,12 @@ const MockTestInfo: React.FC<MockTestInfoProps> = ({
               <button
                 type="button"
                 onClick={onStart}
-                disabled={isStarting || selectedTopics.length === 0}
+                disabled={isStarting || (isCustom && selectedTopics.length === 0)}
                 className="w-full rounded-2xl bg-yellow-400 px-6 py-4 text-base font-bold text-black transition hover:bg-yellow-300 disabled:cursor-not-allowed disabled:bg-yellow-200"
               >
-                {isStarting ? "Preparing test..." : "Start custom mock test"}
+                {isStarting
+                  ? "Preparing test..."
+                  : isCustom ? "Start custom mock test" : `Start ${selectedBlueprint.name}`}
               </button>
             </div>
           </section>
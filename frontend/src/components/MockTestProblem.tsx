@@ -7,16 +7,14 @@
 //  Description:   Individual Mock Test question.
 //
 //  Dependencies:  react
-//                 html-react-parser
-//                 dompurify
+//                 RichText component
 //                 models (Question)
 //
 ////////////////////////////////////////////////////////////////
 
 import React from "react";
-import parse from "html-react-parser";
-import DOMPurify from "dompurify";
 import { Question } from "../models";
+import RichText from "./RichText";
 
 type Props = {
   current: Question; // current question
@@ -65,7 +63,7 @@ const MockTestProblem: React.FC<Props> = ({
     </h2>
 
     <div className="question-rich-text text-base sm:text-lg md:text-xl font-medium mb-4">
-      {parse(DOMPurify.sanitize(current.QUESTION_TEXT))}
+      <RichText text={current.QUESTION_TEXT} />
     </div>
 
     {/* multiple choice */}
@@ -7,16 +7,14 @@
 //  Description:   Individual multiple choice question.
 //
 //  Dependencies:  react
-//                 html-react-parser
-//                 dompurify
+//                 RichText component
 //                 models (Question)
 //
 ////////////////////////////////////////////////////////////////
 
 import React from "react";
-import parse from "html-react-parser";
-import DOMPurify from "dompurify";
 import { Question } from "../models";
+import RichText from "./RichText";
 import { formatSubcategoryLabel } from "../utils/topicLabels";
 
 type Props = {
@@ -76,7 +74,7 @@ const MultipleChoice: React.FC<Props> = ({
     </h2>
 
     <div className="question-rich-text text-base sm:text-lg md:text-xl font-medium mb-4">
-      {parse(DOMPurify.sanitize(current.QUESTION_TEXT))}
+      <RichText text={current.QUESTION_TEXT} />
     </div>
 
     {/* multiple choice options */}
@@ -1,11 +1,14 @@
 import React, { useEffect, useMemo, useState } from "react";
 import { isAxiosError } from "axios";
-import parse from "html-react-parser";
-import DOMPurify from "dompurify";
 import { Eye, Pencil } from "lucide-react";
 import { useNavigate } from "react-router-dom";
 import api from "../api";
+import RichText from "./RichText";
 import { RawQuestion } from "../models";
+import { useTaxonomyStore } from "../stores/taxonomyStore";
+import { getSubcategoryNames } from "../utils/topicLabels";
+import { readNumericSettings } from "../utils/numericSettings";
+import { numberBlanks, readBlanks } from "../utils/blanks";
 
 type FilterMode = "recent" | "oldest" | "drafts" | "published";
 type QuestionStatus = "Draft" | "Published";
@@ -22,17 +25,6 @@ interface ProfessorQuestionItem {
   status: QuestionStatus;
 }
 
-const topicCategoryMap: Record<string, string[]> = {
-  "Introductory Programming": ["Input/Output", "Branching", "Loops", "Variables"],
-  "Simple Data Structures": ["Arrays", "Linked Lists", "Strings"],
-  "Object Oriented Programming": ["Classes", "Methods"],
-  "Intermediate Data Structures": ["Trees", "Stacks"],
-  "Complex Data Structures": ["Heaps", "Tries"],
-  "Intermediate Programming": ["Bitwise Operators", "Dynamic Memory", "Algorithm Analysis", "Recursion", "Sorting"],
-};
-
-const defaultSubcategories = Object.values(topicCategoryMap).flat();
-
 const normalizeQuestionType = (questionType?: string): string => {
   const normalized = (questionType || "").trim();
   switch (normalized.toLowerCase()) {
@@ -51,6 +43,11 @@ const normalizeQuestionType = (questionType?: string): string => {
     case "drag and drop":
     case "drag_and_drop":
       return "Drag and Drop";
+    case "code trace":
+    case "code_trace":
+      return "Code Trace";
+    case "numeric":
+      return "Numeric";
     default:
       return "Multiple Choice";
   }
@@ -75,6 +72,7 @@ const ProfessorDashboard: React.FC = () => {
   const [previewQuestion, setPreviewQuestion] = useState<RawQuestion | null>(null);
   const [previewLoadingId, setPreviewLoadingId] = useState<number | null>(null);
   const [previewError, setPreviewError] = useState("");
+  const { categories, isLoaded: isTaxonomyLoaded } = useTaxonomyStore();
 
   const isProfessor = localStorage.getItem("account_type") === "professor";
 
@@ -86,6 +84,11 @@ const ProfessorDashboard: React.FC = () => {
         return;
       }
 
+      // Published questions are fetched per subcategory, so wait for the list
+      if (!isTaxonomyLoaded) {
+        return;
+      }
+
       setIsLoading(true);
       setError("");
 
@@ -102,7 +105,7 @@ const ProfessorDashboard: React.FC = () => {
       const draftPromise = api.get<DraftListResponse>("/api/admin/drafts");
 
       const publishedPromise = Promise.allSettled(
-        Array.from(new Set(defaultSubcategories)).map((subcategory) =>
+        getSubcategoryNames(categories).map((subcategory) =>
           api.get<RawQuestion[]>(`/api/test/topic/${encodeURIComponent(subcategory)}`)
         )
       );
@@ -181,7 +184,7 @@ const ProfessorDashboard: React.FC = () => {
     };
 
     fetchProfessorQuestions();
-  }, [isProfessor]);
+  }, [isProfessor, isTaxonomyLoaded, categories]);
 
   const filteredQuestions = useMemo(() => {
     const sorted = [...questions];
@@ -227,10 +230,8 @@ const ProfessorDashboard: React.FC = () => {
   };
 
   const previewQuestionType = normalizeQuestionType(previewQuestion?.TYPE);
-  const previewQuestionHtml = useMemo(
-    () => DOMPurify.sanitize(String(previewQuestion?.QUESTION_TEXT || "")),
-    [previewQuestion?.QUESTION_TEXT]
-  );
+  const previewNumericUnit = readNumericSettings(previewQuestion?.NUMERIC_SETTINGS)?.unit;
+  const previewBlankIds = readBlanks(previewQuestion?.BLANKS)?.map((blank) => blank.id) ?? [];
   const previewAnswers = useMemo(() => {
     if (!Array.isArray(previewQuestion?.answers)) {
       return [];
@@ -374,9 +375,9 @@ const ProfessorDashboard: React.FC = () => {
 
                   <h2 className="text-lg font-semibold mb-2">Question 1 of 1</h2>
 
-                  <div className="text-base sm:text-lg md:text-xl font-medium mb-4 text-gray-800 leading-relaxed whitespace-pre-wrap [&_pre]:bg-gray-100 [&_pre]:border [&_pre]:border-gray-200 [&_pre]:rounded-md [&_pre]:p-3 [&_pre]:overflow-x-auto [&_code]:font-mono [&_code]:text-sm">
+                  <div className="text-base sm:text-lg md:text-xl font-medium mb-4 text-gray-800 leading-relaxed question-rich-text">
                     {previewQuestion.QUESTION_TEXT?.trim().length
-                      ? parse(previewQuestionHtml)
+                      ? <RichText text={numberBlanks(String(previewQuestion.QUESTION_TEXT), previewBlankIds)} />
                       : <span className="text-gray-500">Nothing to preview yet.</span>}
                   </div>
 
@@ -399,7 +400,7 @@ const ProfessorDashboard: React.FC = () => {
                     </div>
                   )}
 
-                  {previewQuestionType === "Fill in the Blanks" && (
+                  {previewQuestionType === "Fill in the Blanks" && previewBlankIds.length === 0 && (
                     <div className="mb-2">
                       <label className="block text-sm sm:text-base font-medium text-gray-700 mb-2">Your Answer:</label>
                       <input
@@ -411,6 +412,55 @@ const ProfessorDashboard: React.FC = () => {
                     </div>
                   )}
 
+                  {previewQuestionType === "Fill in the Blanks" && previewBlankIds.length > 0 && (
+                    <div className="mb-2 space-y-3">
+                      {previewBlankIds.map((blankId, blankIndex) => (
+                        <div key={blankId}>
+                          <label className="block text-sm sm:text-base font-medium text-gray-700 mb-2">Blank {blankIndex + 1}:</label>
+                          <input
+                            type="text"
+                            disabled
+                            placeholder="Type your answer here..."
+                            className="w-full p-3 sm:p-4 rounded-lg border text-sm sm:text-base md:text-lg bg-white border-gray-300"
+                          />
+                        </div>
+                      ))}
+                    </div>
+                  )}
+
+                  {previewQuestionType === "Numeric" && (
+                    <div className="mb-2">
+                      <label className="block text-sm sm:text-base font-medium text-gray-700 mb-2">Your Answer:</label>
+                      <div className="flex items-center gap-3">
+                        <input
+                          type="text"
+                          disabled
+                          placeholder="e.g. 42, 3.5, 1e6, 0x2A or 0b101010"
+                          className="flex-1 min-w-0 p-3 sm:p-4 rounded-lg border font-mono text-sm sm:text-base md:text-lg bg-white border-gray-300"
+                        />
+                        {previewNumericUnit && (
+                          <span className="text-sm sm:text-base font-medium text-gray-700">
+                            {previewNumericUnit}
+                          </span>
+                        )}
+                      </div>
+                    </div>
+                  )}
+
+                  {previewQuestionType === "Code Trace" && (
+                    <div className="mb-2">
+                      <pre className="mb-3 p-3 rounded-lg border border-gray-300 bg-gray-50 text-sm font-mono overflow-x-auto whitespace-pre">
+                        {previewQuestion.TRACE_CODE ?? ""}
+                      </pre>
+                      <textarea
+                        disabled
+                        rows={4}
+                        placeholder="Type the output, one line per line printed..."
+                        className="w-full p-3 sm:p-4 rounded-lg border font-mono text-sm sm:text-base bg-white border-gray-300"
+                      />
+                    </div>
+                  )}
+
                   {previewQuestionType === "Ranked Choice" && (
                     <div className="space-y-2 mb-2">
                       {previewAnswers.map((answer, index) => (
@@ -7,21 +7,22 @@
 //  Description:   Programming problem component with multi-language support.
 //
 //  Dependencies:  react
-//                 html-react-parser
-//                 dompurify
-//                 models (Question)
+//                 RichText component
+//                 models (Question, CodeJob)
 //                 topicLabels
+//                 codeJobs
+//                 codeLanguages
 //                 axios (isAxiosError)
 //
 ////////////////////////////////////////////////////////////////
 
 import React, { useEffect, useState } from "react";
 import Editor from "@monaco-editor/react";
-import parse from "html-react-parser";
-import DOMPurify from "dompurify";
-import { Question } from "../models";
-import api from "../api";
+import { CodeJob, Question } from "../models";
+import RichText from "./RichText";
 import { formatSubcategoryLabel } from "../utils/topicLabels";
+import { runCodeJob } from "../utils/codeJobs";
+import { LANGUAGE_IDS, MONACO_LANGUAGE_IDS, findCodeTemplate, getAnswerLanguages } from "../utils/codeLanguages";
 import { isAxiosError } from "axios";
 
 type Props = {
@@ -44,6 +45,8 @@ type Props = {
   passedTests?: number | null; // number of passed test cases
   totalTests?: number | null; // total number of test cases
   submissionsRemaining?: number | null; // number of submits until daily limit reached
+  codeJob?: CodeJob | null; // live grading progress of the current submission
+  feedbackContent?: React.ReactNode; // extra content above the buttons, e.g. hints or the explanation
 };
 
 const Programming: React.FC<Props> = ({
@@ -66,6 +69,8 @@ const Programming: React.FC<Props> = ({
   passedTests = null,
   totalTests = null,
   submissionsRemaining = null,
+  codeJob = null,
+  feedbackContent,
 }) => {
   const [consoleOutput, setConsoleOutput] = useState<string>("");
   const [isRunning, setIsRunning] = useState(false);
@@ -73,30 +78,42 @@ const Programming: React.FC<Props> = ({
   const [useSpaces, setUseSpaces] = useState<boolean>(true);
 
   const languages = current.problem?.languages || [];
-  const languageOptions = languages.length ? languages : ["C", "C++", "Python", "Java"];
+  const languageOptions = getAnswerLanguages(
+    current.codeTemplates,
+    languages.length ? languages : ["C", "C++", "Python", "Java"]
+  );
+  const functionSignature = findCodeTemplate(current.codeTemplates, selectedLanguage)?.functionSignature;
 
-  const languageIds: Record<string, number> = {
-    C: 50,
-    "C++": 54,
-    Java: 62,
-    Python: 71,
-  };
+  // Editor is empty or still holds starter code, so switching languages won't lose any work
+  const isEditorUntouched = () =>
+    editorContent.trim() === "" ||
+    (current.codeTemplates ?? []).some((template) => template.starterCode === editorContent);
 
-  const monacoLanguageIds: Record<string, string> = {
-    C: "cpp",
-    "C++": "cpp",
-    Java: "java",
-    Python: "python",
+  const handleLanguageChange = (language: string) => {
+    if (isEditorUntouched()) {
+      setEditorContent(findCodeTemplate(current.codeTemplates, language)?.starterCode ?? "");
+    }
+    setSelectedLanguage(language);
   };
 
   useEffect(() => {
     setConsoleOutput("");
     setIsRunning(false);
+
+    // Start each question in a language it accepts, with that language's starter code
+    const language = languageOptions.includes(selectedLanguage) ? selectedLanguage : languageOptions[0];
+    if (language !== selectedLanguage) {
+      setSelectedLanguage(language);
+    }
+    if (editorContent.trim() === "") {
+      setEditorContent(findCodeTemplate(current.codeTemplates, language)?.starterCode ?? "");
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [current.ID]);
 
   const handleRun = async () => {
     const code = editorContent.trim();
-    const languageId = languageIds[selectedLanguage];
+    const languageId = LANGUAGE_IDS[selectedLanguage];
 
     if (!code) {
       setConsoleOutput("Please enter code before running.");
@@ -112,19 +129,15 @@ const Programming: React.FC<Props> = ({
     setConsoleOutput("Running code...");
 
     try {
-      const token = localStorage.getItem("token");
-      const result = await api.post(
-        "/api/code/submitCode",
+      const data = await runCodeJob(
         {
           problemId: current.ID,
           code: editorContent,
           languageId,
           isTestRun: true,
         },
-        token ? { headers: { Authorization: `Bearer ${token}` } } : undefined
+        (job) => setConsoleOutput(job.status === "queued" ? "Waiting for the code runner..." : "Running code...")
       );
-
-      const data = result.data;
       // Join only non-empty console lines with spacing for readability.
       const formatConsoleLines = (lines: Array<string | undefined | null>) =>
         lines.filter((line): line is string => Boolean(line)).join("\n\n");
@@ -232,7 +245,7 @@ const Programming: React.FC<Props> = ({
       </h2>
 
       <div className="question-rich-text text-base sm:text-lg md:text-xl font-medium mb-6 p-4 bg-gray-50 rounded-lg border border-gray-300">
-        {parse(DOMPurify.sanitize(current.QUESTION_TEXT))}
+        <RichText text={current.QUESTION_TEXT} />
       </div>
 
       {/* code editor */}
@@ -246,7 +259,7 @@ const Programming: React.FC<Props> = ({
             {languageOptions.map((lang) => (
               <button
                 key={lang}
-                onClick={() => setSelectedLanguage(lang)}
+                onClick={() => handleLanguageChange(lang)}
                 className={`px-4 sm:px-6 py-2 rounded font-semibold text-sm transition ${
                   selectedLanguage === lang
                     ? "bg-yellow-400 text-black"
@@ -301,13 +314,23 @@ const Programming: React.FC<Props> = ({
           </div>
         </div>
 
+        {/* function to write, for function-signature problems */}
+        {functionSignature && (
+          <p className="mb-3 text-sm sm:text-base text-gray-700">
+            Write this function:{" "}
+            <code className="px-2 py-1 bg-gray-100 rounded border border-gray-300 font-mono text-xs sm:text-sm">
+              {functionSignature}
+            </code>
+          </p>
+        )}
+
         {/* editor */}
         <div className="border border-gray-400 rounded-lg overflow-hidden bg-gray-900 mb-4">
           <Editor
             height="320px"
             theme="vs-dark"
             value={editorContent}
-            language={monacoLanguageIds[selectedLanguage] || "plaintext"}
+            language={MONACO_LANGUAGE_IDS[selectedLanguage] || "plaintext"}
             onChange={(value) => setEditorContent(value ?? "")}
             options={{
               tabSize,
@@ -345,6 +368,40 @@ const Programming: React.FC<Props> = ({
         </div>
       </div>
 
+      {/* live grading progress, one box per test case */}
+      {codeJob && !answered && (
+        <div className="mb-6 p-4 bg-gray-50 rounded border border-gray-300 text-sm sm:text-base">
+          {codeJob.status === "failed" ? (
+            <p className="text-red-600">
+              {codeJob.error?.message ?? "Grading failed."} Your attempt wasn't used, so you can submit again.
+            </p>
+          ) : (
+            <p className="text-gray-700">
+              {codeJob.status === "queued"
+                ? "Waiting for the code runner..."
+                : `Running test cases: ${codeJob.testResults.filter(Boolean).length} / ${codeJob.totalTests} done`}
+            </p>
+          )}
+          <div className="mt-3 flex flex-wrap gap-2">
+            {codeJob.testResults.map((testResult, index) => (
+              <span
+                key={index}
+                title={testResult ? `Test ${index + 1}${testResult.hidden ? " (hidden)" : ""}: ${testResult.status}` : `Test ${index + 1}: waiting`}
+                className={`w-8 h-8 flex items-center justify-center rounded text-xs font-semibold ${
+                  testResult === null
+                    ? "bg-gray-200 text-gray-500 animate-pulse"
+                    : testResult.passed
+                    ? "bg-green-500 text-white"
+                    : "bg-red-500 text-white"
+                }`}
+              >
+                {index + 1}
+              </span>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* grading feedback */}
       {answered && (
         <div className="mb-6">
@@ -405,6 +462,8 @@ const Programming: React.FC<Props> = ({
         </div>
       )}
 
+      {feedbackContent}
+
       {/* submit/next buttons (next appears after submit) */}
       <div className="flex gap-4 justify-end mt-8 border-t pt-6">
         {!answered ? (
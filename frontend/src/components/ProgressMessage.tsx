@@ -7,12 +7,14 @@
 //  Description:   Progress tab message component.
 //
 //  Dependencies:  react
+//                 taxonomyStore
 //                 topicLabels
 //
 ////////////////////////////////////////////////////////////////
 
 import React from "react";
-import { ALL_TOPICS, formatSubcategoryLabel } from "../utils/topicLabels";
+import { useTaxonomyStore } from "../stores/taxonomyStore";
+import { formatSubcategoryLabel, getSubcategoryNames } from "../utils/topicLabels";
 
 interface ProgressMessageProps {
   history: { datetime: string; topic: string }[];
@@ -21,6 +23,7 @@ interface ProgressMessageProps {
 }
 
 const ProgressMessage: React.FC<ProgressMessageProps> = ({ history, mastery, streakCount }) => {
+  const { categories } = useTaxonomyStore();
   const today = new Date().toDateString();
 
   // Count how many problems were solved today
@@ -38,7 +41,7 @@ const ProgressMessage: React.FC<ProgressMessageProps> = ({ history, mastery, str
     : null;
 
   // Find an unattempted topic
-  const unattemptedTopics = ALL_TOPICS.filter((topic) => !(topic in mastery));
+  const unattemptedTopics = getSubcategoryNames(categories).filter((topic) => !(topic in mastery));
   const unattemptedTopic = unattemptedTopics.length > 0 ? unattemptedTopics[0] : null;
 
   return (
@@ -0,0 +1,165 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          QuestionBankTransfer.tsx
+//  Description:   Import and export panel for the question bank
+//                 (JSON bundle, QTI 2.1, Moodle GIFT). Imported
+//                 questions are created as drafts.
+//
+//  Dependencies:  react
+//                 api
+//                 axios (isAxiosError)
+//
+////////////////////////////////////////////////////////////////
+
+import React, { useRef, useState } from "react";
+import { isAxiosError } from "axios";
+import api from "../api";
+
+type QuestionBankFormat = "json" | "qti" | "gift";
+
+interface ImportRowError {
+  index: number;
+  errors: string[];
+}
+
+type Props = {
+  onImported: (questionIds: number[]) => void;
+};
+
+const FORMAT_OPTIONS: { value: QuestionBankFormat; label: string; accept: string }[] = [
+  { value: "json", label: "KnightWise bundle (.json)", accept: ".json,application/json" },
+  { value: "qti",  label: "QTI 2.1 (.zip, .xml)",      accept: ".zip,.xml,application/zip,application/xml" },
+  { value: "gift", label: "Moodle GIFT (.txt, .gift)", accept: ".txt,.gift,text/plain" },
+];
+
+const getUploadContentType = (format: QuestionBankFormat, file: File): string => {
+  if (format === "json") return "application/json";
+  if (format === "gift") return "text/plain";
+  return file.name.toLowerCase().endsWith(".zip") ? "application/zip" : "application/xml";
+};
+
+const getFileName = (contentDisposition: unknown, fallback: string): string => {
+  const match = typeof contentDisposition === "string" ? contentDisposition.match(/filename="?([^";]+)"?/) : null;
+  return match ? match[1] : fallback;
+};
+
+const QuestionBankTransfer: React.FC<Props> = ({ onImported }) => {
+  const fileInputRef = useRef<HTMLInputElement | null>(null);
+  const [format, setFormat] = useState<QuestionBankFormat>("json");
+  const [isBusy, setIsBusy] = useState(false);
+  const [message, setMessage] = useState("");
+  const [error, setError] = useState("");
+  const [rowErrors, setRowErrors] = useState<ImportRowError[]>([]);
+
+  const acceptedFiles = FORMAT_OPTIONS.find((option) => option.value === format)?.accept;
+
+  const resetStatus = () => {
+    setMessage("");
+    setError("");
+    setRowErrors([]);
+  };
+
+  const handleExport = async () => {
+    resetStatus();
+    setIsBusy(true);
+    try {
+      const response = await api.get<Blob>("/api/admin/questions/export", {
+        params: { format },
+        responseType: "blob",
+      });
+
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = getFileName(response.headers["content-disposition"], `knightwise-questions.${format}`);
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err: unknown) {
+      console.error("[QuestionBankTransfer] Failed to export questions", err);
+      setError("Failed to export questions.");
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleImport = async (event: React.ChangeEvent<HTMLInputElement>) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (!file) return;
+
+    resetStatus();
+    setIsBusy(true);
+    try {
+      const body = format === "qti" ? await file.arrayBuffer() : await file.text();
+      const response = await api.post<{ questionIds: number[] }>("/api/admin/questions/import", body, {
+        params: { format },
+        headers: { "Content-Type": getUploadContentType(format, file) },
+      });
+
+      const questionIds = response.data.questionIds ?? [];
+      setMessage(`Imported ${questionIds.length} question${questionIds.length === 1 ? "" : "s"} as drafts.`);
+      onImported(questionIds);
+    } catch (err: unknown) {
+      const data = isAxiosError(err) ? err.response?.data : undefined;
+      const responseMessage = data && typeof data === "object" ? (data as { message?: unknown }).message : undefined;
+      const responseErrors = data && typeof data === "object" ? (data as { errors?: unknown }).errors : undefined;
+
+      setError(typeof responseMessage === "string" ? responseMessage : "Failed to import questions.");
+      setRowErrors(Array.isArray(responseErrors) ? (responseErrors as ImportRowError[]) : []);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  return (
+    <div className="mb-6 p-4 border border-gray-300 rounded-lg bg-gray-50">
+      <h2 className="text-lg font-semibold text-gray-800 mb-3">Import / Export Questions</h2>
+      <div className="flex flex-wrap items-center gap-2">
+        <select
+          value={format}
+          onChange={(e) => setFormat(e.target.value as QuestionBankFormat)}
+          className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-yellow-500"
+          disabled={isBusy}
+        >
+          {FORMAT_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        <button
+          type="button"
+          onClick={() => fileInputRef.current?.click()}
+          className="px-4 py-2 rounded-lg font-semibold bg-yellow-500 text-black hover:bg-yellow-600 transition disabled:opacity-50"
+          disabled={isBusy}
+        >
+          Import as Drafts
+        </button>
+        <button
+          type="button"
+          onClick={handleExport}
+          className="px-4 py-2 rounded-lg font-semibold bg-gray-200 text-gray-700 hover:bg-gray-300 transition disabled:opacity-50"
+          disabled={isBusy}
+        >
+          Export My Questions
+        </button>
+        <input ref={fileInputRef} type="file" accept={acceptedFiles} onChange={handleImport} className="hidden" />
+      </div>
+
+      {message && <p className="text-green-600 mt-3">{message}</p>}
+      {error && <p className="text-red-500 mt-3">{error}</p>}
+      {rowErrors.length > 0 && (
+        <ul className="mt-2 text-sm text-red-600 list-disc pl-5 space-y-1">
+          {rowErrors.map((row) => (
+            <li key={row.index}>
+              Question {row.index + 1}: {row.errors.join("; ")}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default QuestionBankTransfer;
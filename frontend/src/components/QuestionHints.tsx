@@ -0,0 +1,105 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          QuestionHints.tsx
+//  Description:   Lets a student reveal a question's hints one at
+//                 a time before answering. Each hint shown takes
+//                 part of the points off their answer, so the cost
+//                 is on the button. Template questions pass the
+//                 instance shown, so the hints match its values.
+//
+//  Dependencies:  react
+//                 api
+//                 axios (isAxiosError)
+//                 lucide-react
+//                 RichText
+//
+////////////////////////////////////////////////////////////////
+
+import React, { useEffect, useState } from "react";
+import { isAxiosError } from "axios";
+import { Lightbulb } from "lucide-react";
+import api from "../api";
+import RichText from "./RichText";
+import { HintState } from "../models";
+
+type Props = {
+  questionId: number;
+  hintCount: number;
+  instance?: string;
+};
+
+const QuestionHints: React.FC<Props> = ({ questionId, hintCount, instance }) => {
+  const [state, setState] = useState<HintState | null>(null);
+  const [isRevealing, setIsRevealing] = useState(false);
+  const [error, setError] = useState("");
+
+  // Hints revealed before a reload still count, so show them again
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const res = await api.get<HintState>(`/api/test/questions/${questionId}/hints`, {
+          params: instance ? { instance } : undefined,
+        });
+        setState(res.data);
+      } catch (err: unknown) {
+        console.error("[QuestionHints] Failed to load hints", err);
+      }
+    };
+
+    load();
+  }, [questionId, instance]);
+
+  const handleReveal = async () => {
+    if (isRevealing) return;
+    setIsRevealing(true);
+    setError("");
+    try {
+      const res = await api.post<HintState>(`/api/test/questions/${questionId}/hints`, { instance });
+      setState(res.data);
+    } catch (err: unknown) {
+      setError((isAxiosError(err) && err.response?.data.message) || "Failed to show the hint.");
+    } finally {
+      setIsRevealing(false);
+    }
+  };
+
+  const hintsRevealed = state?.hintsRevealed ?? 0;
+  const hintsTotal = state?.hintsTotal ?? hintCount;
+  const penaltyPercent = state ? Math.round(state.penaltyPerHint * 100) : null;
+
+  return (
+    <div className="mt-4 rounded-lg border border-yellow-200 bg-yellow-50 p-3 text-gray-800">
+      {state && state.hints.length > 0 && (
+        <ol className="mb-3 list-decimal space-y-2 pl-5">
+          {state.hints.map((hint, index) => (
+            <li key={index} className="question-rich-text">
+              <RichText text={hint} />
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {hintsRevealed < hintsTotal ? (
+        <button
+          type="button"
+          onClick={handleReveal}
+          disabled={isRevealing}
+          className="inline-flex items-center gap-2 rounded-lg bg-yellow-400 px-3 py-2 text-sm font-semibold text-gray-900 hover:bg-yellow-500 disabled:opacity-60"
+        >
+          <Lightbulb size={16} />
+          Show hint {hintsRevealed + 1} of {hintsTotal}
+          {penaltyPercent !== null && <span className="font-normal">(-{penaltyPercent}% points)</span>}
+        </button>
+      ) : (
+        <p className="text-sm text-gray-600">All hints are shown.</p>
+      )}
+
+      {error && <p className="mt-2 text-sm text-red-500">{error}</p>}
+    </div>
+  );
+};
+
+export default QuestionHints;
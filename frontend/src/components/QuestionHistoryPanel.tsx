@@ -0,0 +1,355 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          QuestionHistoryPanel.tsx
+//  Description:   Version history for a question: lists saved
+//                 versions, diffs any two of them and rolls the
+//                 question back to an earlier one.
+//
+//  Dependencies:  react
+//                 api
+//                 axios (isAxiosError)
+//
+////////////////////////////////////////////////////////////////
+
+import React, { useCallback, useEffect, useState } from "react";
+import { isAxiosError } from "axios";
+import api from "../api";
+
+type ChangeType = "baseline" | "create" | "edit" | "import" | "rollback";
+
+interface QuestionVersionSummary {
+  version: number;
+  changeType: ChangeType;
+  sourceVersion: number | null;
+  editedBy: { id: number; username: string } | null;
+  createdAt: string;
+  responseCount: number;
+}
+
+interface VersionsResponse {
+  questionId: number;
+  currentVersion: number | null;
+  versions: QuestionVersionSummary[];
+}
+
+type DiffRow = Record<string, unknown>;
+
+interface ListDiff<Row = DiffRow> {
+  added: Row[];
+  removed: Row[];
+}
+
+interface VersionDiff {
+  changed: boolean;
+  fields: { field: string; from: unknown; to: unknown }[];
+  answers: ListDiff;
+  testCases: ListDiff;
+  codeTemplates: ListDiff;
+  tags: ListDiff<string>;
+  hints: ListDiff<string>;
+}
+
+type ListKey = "answers" | "testCases" | "codeTemplates" | "tags" | "hints";
+
+type Props = {
+  questionId: number;
+  onClose: () => void;
+  onRolledBack: (questionId: number) => void;
+};
+
+const CHANGE_LABELS: Record<ChangeType, string> = {
+  baseline: "Original content",
+  create: "Created",
+  edit: "Edited",
+  import: "Imported",
+  rollback: "Rolled back",
+};
+
+const FIELD_LABELS: Record<string, string> = {
+  type: "Type",
+  section: "Section",
+  category: "Category",
+  subcategory: "Subcategory",
+  authorExamId: "Credit",
+  pointsPossible: "Points",
+  questionText: "Question text",
+  explanation: "Explanation",
+  template: "Template",
+};
+
+const LIST_LABELS: { key: ListKey; label: string }[] = [
+  { key: "answers", label: "Answers" },
+  { key: "testCases", label: "Test cases" },
+  { key: "codeTemplates", label: "Code templates" },
+  { key: "tags", label: "Tags" },
+  { key: "hints", label: "Hints" },
+];
+
+// Templates are objects, shown as indented JSON
+const formatValue = (value: unknown): string => {
+  if (value === null || value === undefined || value === "") return "(empty)";
+  return typeof value === "object" ? JSON.stringify(value, null, 2) : String(value);
+};
+
+// One line per diff row, showing the parts a professor edits
+const describeRow = (key: ListKey, row: DiffRow | string): string => {
+  // Tags and hints are plain strings
+  if (typeof row === "string") {
+    return row;
+  }
+  if (key === "answers") {
+    const details = [
+      row.isCorrect ? "correct" : "",
+      row.rank ? `rank ${row.rank}` : "",
+      row.placement ? `placement ${row.placement}` : "",
+      row.rationale ? `why: ${row.rationale}` : "",
+    ].filter(Boolean);
+    return `${formatValue(row.text)}${details.length > 0 ? ` (${details.join(", ")})` : ""}`;
+  }
+  if (key === "testCases") {
+    return `${formatValue(row.input)} → ${formatValue(row.expectedOutput)}${row.isHidden ? " (hidden)" : ""}`;
+  }
+  return `Language ${formatValue(row.languageId)}${row.functionSignature ? `: ${row.functionSignature}` : ""}`;
+};
+
+const getErrorMessage = (err: unknown, fallback: string): string => {
+  const data = isAxiosError(err) ? err.response?.data : undefined;
+  const message = data && typeof data === "object" ? (data as { message?: unknown }).message : undefined;
+  return typeof message === "string" ? message : fallback;
+};
+
+const QuestionHistoryPanel: React.FC<Props> = ({ questionId, onClose, onRolledBack }) => {
+  const [history, setHistory] = useState<VersionsResponse | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [fromVersion, setFromVersion] = useState<number | null>(null);
+  const [toVersion, setToVersion] = useState<number | null>(null);
+  const [diff, setDiff] = useState<VersionDiff | null>(null);
+  const [isDiffing, setIsDiffing] = useState(false);
+  const [pendingRollback, setPendingRollback] = useState<number | null>(null);
+  const [isRollingBack, setIsRollingBack] = useState(false);
+  const [message, setMessage] = useState("");
+
+  const fetchHistory = useCallback(async () => {
+    setIsLoading(true);
+    setError("");
+    try {
+      const res = await api.get<VersionsResponse>(`/api/admin/problems/${questionId}/versions`);
+      const versions = res.data.versions ?? [];
+      setHistory(res.data);
+      // Compare the two newest versions by default
+      setToVersion(versions[0]?.version ?? null);
+      setFromVersion(versions[1]?.version ?? null);
+      setDiff(null);
+    } catch (err: unknown) {
+      console.error("[QuestionHistoryPanel] Failed to load versions", err);
+      setError(getErrorMessage(err, "Failed to load version history."));
+    } finally {
+      setIsLoading(false);
+    }
+  }, [questionId]);
+
+  useEffect(() => {
+    fetchHistory();
+  }, [fetchHistory]);
+
+  const handleCompare = async () => {
+    if (fromVersion === null || toVersion === null) return;
+
+    setIsDiffing(true);
+    setError("");
+    try {
+      const res = await api.get<{ diff: VersionDiff }>(`/api/admin/problems/${questionId}/versions/diff`, {
+        params: { from: fromVersion, to: toVersion },
+      });
+      setDiff(res.data.diff);
+    } catch (err: unknown) {
+      setError(getErrorMessage(err, "Failed to compare versions."));
+    } finally {
+      setIsDiffing(false);
+    }
+  };
+
+  const handleRollback = async (version: number) => {
+    setIsRollingBack(true);
+    setError("");
+    setMessage("");
+    try {
+      const res = await api.post<{ message: string; version: number }>(`/api/admin/problems/${questionId}/rollback`, { version });
+      setMessage(`${res.data.message}. Republish the question to make it live again.`);
+      setPendingRollback(null);
+      onRolledBack(questionId);
+      await fetchHistory();
+    } catch (err: unknown) {
+      setError(getErrorMessage(err, "Failed to roll back the question."));
+    } finally {
+      setIsRollingBack(false);
+    }
+  };
+
+  const versions = history?.versions ?? [];
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50" onClick={onClose}>
+      <div
+        className="bg-white rounded-2xl shadow-2xl max-w-3xl w-full max-h-[90vh] overflow-y-auto p-6 relative text-gray-900"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <button
+          type="button"
+          className="absolute top-3 right-3 text-gray-500 hover:text-gray-800 text-xl font-bold"
+          onClick={onClose}
+          aria-label="Close history"
+        >
+          ×
+        </button>
+        <h2 className="text-xl font-semibold text-gray-800 mb-4">Question #{questionId} History</h2>
+
+        {isLoading && <p className="text-gray-600">Loading versions...</p>}
+        {error && <p className="text-red-500 mb-3">{error}</p>}
+        {message && <p className="text-green-600 mb-3">{message}</p>}
+
+        {!isLoading && history && versions.length === 0 && (
+          <p className="text-gray-600">
+            No versions yet. The current content is saved as version 1 the first time this question is edited.
+          </p>
+        )}
+
+        {versions.length > 0 && (
+          <ul className="space-y-2 mb-6">
+            {versions.map((item) => (
+              <li key={item.version} className="border border-gray-200 rounded-lg p-3 bg-gray-50 flex flex-col md:flex-row md:items-center md:justify-between gap-2">
+                <div>
+                  <p className="font-semibold text-gray-800">
+                    Version {item.version}
+                    {item.version === history?.currentVersion && (
+                      <span className="ml-2 inline-flex items-center rounded-full bg-green-100 text-green-800 px-2.5 py-0.5 text-xs font-semibold">
+                        Current
+                      </span>
+                    )}
+                  </p>
+                  <p className="text-sm text-gray-600">
+                    {CHANGE_LABELS[item.changeType] ?? item.changeType}
+                    {item.changeType === "rollback" && item.sourceVersion !== null && ` to version ${item.sourceVersion}`}
+                    {item.editedBy && ` by ${item.editedBy.username}`}
+                    {" • "}
+                    {new Date(item.createdAt).toLocaleString()}
+                  </p>
+                  <p className="text-xs text-gray-500">Answered {item.responseCount} time{item.responseCount === 1 ? "" : "s"}</p>
+                </div>
+
+                {item.version !== history?.currentVersion && (
+                  <div className="flex gap-2">
+                    <button
+                      type="button"
+                      onClick={() => (pendingRollback === item.version ? handleRollback(item.version) : setPendingRollback(item.version))}
+                      className="bg-yellow-500 hover:bg-yellow-600 text-black font-semibold px-3 py-1.5 rounded-lg transition disabled:opacity-60"
+                      disabled={isRollingBack}
+                    >
+                      {pendingRollback === item.version ? "Confirm Restore" : "Restore"}
+                    </button>
+                    {pendingRollback === item.version && (
+                      <button
+                        type="button"
+                        onClick={() => setPendingRollback(null)}
+                        className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-semibold px-3 py-1.5 rounded-lg transition"
+                      >
+                        Cancel
+                      </button>
+                    )}
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {versions.length > 1 && (
+          <div className="border-t border-gray-200 pt-4">
+            <div className="flex flex-wrap items-center gap-2 mb-4">
+              <span className="text-gray-700">Compare</span>
+              <select
+                value={fromVersion ?? ""}
+                onChange={(e) => setFromVersion(Number(e.target.value))}
+                className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-yellow-500"
+              >
+                {versions.map((item) => (
+                  <option key={item.version} value={item.version}>Version {item.version}</option>
+                ))}
+              </select>
+              <span className="text-gray-700">with</span>
+              <select
+                value={toVersion ?? ""}
+                onChange={(e) => setToVersion(Number(e.target.value))}
+                className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-yellow-500"
+              >
+                {versions.map((item) => (
+                  <option key={item.version} value={item.version}>Version {item.version}</option>
+                ))}
+              </select>
+              <button
+                type="button"
+                onClick={handleCompare}
+                className="px-4 py-2 rounded-lg font-semibold bg-blue-500 text-white hover:bg-blue-600 transition disabled:opacity-50"
+                disabled={isDiffing || fromVersion === null || toVersion === null}
+              >
+                {isDiffing ? "Comparing..." : "Compare"}
+              </button>
+            </div>
+
+            {diff && !diff.changed && <p className="text-gray-600">These versions have the same content.</p>}
+
+            {diff && diff.changed && (
+              <div className="space-y-4 text-sm">
+                {diff.fields.length > 0 && (
+                  <table className="w-full text-left border border-gray-200">
+                    <thead className="bg-gray-100">
+                      <tr>
+                        <th className="p-2">Field</th>
+                        <th className="p-2">Version {fromVersion}</th>
+                        <th className="p-2">Version {toVersion}</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {diff.fields.map((change) => (
+                        <tr key={change.field} className="border-t border-gray-200 align-top">
+                          <td className="p-2 font-semibold">{FIELD_LABELS[change.field] ?? change.field}</td>
+                          <td className="p-2 text-red-700 whitespace-pre-wrap break-words">{formatValue(change.from)}</td>
+                          <td className="p-2 text-green-700 whitespace-pre-wrap break-words">{formatValue(change.to)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+
+                {LIST_LABELS.map(({ key, label }) => {
+                  const { added, removed } = diff[key];
+                  if (added.length === 0 && removed.length === 0) return null;
+
+                  return (
+                    <div key={key}>
+                      <h3 className="font-semibold text-gray-800 mb-1">{label}</h3>
+                      <ul className="space-y-1 font-mono">
+                        {removed.map((row, index) => (
+                          <li key={`removed-${index}`} className="text-red-700 bg-red-50 px-2 py-1 rounded">− {describeRow(key, row)}</li>
+                        ))}
+                        {added.map((row, index) => (
+                          <li key={`added-${index}`} className="text-green-700 bg-green-50 px-2 py-1 rounded">+ {describeRow(key, row)}</li>
+                        ))}
+                      </ul>
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default QuestionHistoryPanel;
@@ -0,0 +1,292 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          QuestionPreviewPanel.tsx
+//  Description:   Lets an author try their question the way a
+//                 student sees it. Sample answers are graded by
+//                 the real grader, but nothing is recorded.
+//                 Template questions are tried on one instance.
+//
+//  Dependencies:  react
+//                 api
+//                 axios (isAxiosError)
+//                 MultipleChoice, FillInTheBlank, SelectAllThatApply,
+//                 RankedChoice, DragAndDrop, Programming,
+//                 CodeTrace and NumericAnswer components
+//                 models (TemplateInstance, TemplatePreviewResponse)
+//                 questionPreview utils
+//                 codeLanguages
+//
+////////////////////////////////////////////////////////////////
+
+import React, { useEffect, useMemo, useState } from "react";
+import { isAxiosError } from "axios";
+import api from "../api";
+import MultipleChoice from "./MultipleChoice";
+import FillInTheBlank from "./FillInTheBlank";
+import SelectAllThatApply from "./SelectAllThatApply";
+import RankedChoice from "./RankedChoice";
+import DragAndDrop from "./DragAndDrop";
+import Programming from "./Programming";
+import CodeTrace from "./CodeTrace";
+import NumericAnswer from "./NumericAnswer";
+import { TemplateInstance, TemplatePreviewResponse } from "../models";
+import {
+  applyTemplateInstance,
+  PreviewGradeResult,
+  PreviewQuestion,
+  previewGrade,
+  toDragAndDropAnswer,
+  toPreviewQuestion,
+} from "../utils/questionPreview";
+import { LANGUAGE_IDS } from "../utils/codeLanguages";
+
+type Props = {
+  questionId: number;
+  onClose: () => void;
+};
+
+const getErrorMessage = (err: unknown, fallback: string): string => {
+  const data = isAxiosError(err) ? err.response?.data : undefined;
+  const message = data && typeof data === "object" ? (data as { message?: unknown }).message : undefined;
+  return typeof message === "string" ? message : fallback;
+};
+
+const QuestionPreviewPanel: React.FC<Props> = ({ questionId, onClose }) => {
+  const [rawQuestion, setRawQuestion] = useState<PreviewQuestion | null>(null);
+  const [instance, setInstance] = useState<TemplateInstance | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isGrading, setIsGrading] = useState(false);
+  const [error, setError] = useState("");
+  const [result, setResult] = useState<PreviewGradeResult | null>(null);
+  const [selectedAnswer, setSelectedAnswer] = useState<string | null>(null);
+  const [selectedAnswers, setSelectedAnswers] = useState<string[]>([]);
+  const [selectedOrder, setSelectedOrder] = useState<string[]>([]);
+  const [droppedAnswers, setDroppedAnswers] = useState<Record<string, string>>({});
+  const [blankAnswers, setBlankAnswers] = useState<Record<string, string>>({});
+  const [code, setCode] = useState("");
+  const [language, setLanguage] = useState("C");
+
+  useEffect(() => {
+    const load = async () => {
+      setIsLoading(true);
+      setError("");
+      try {
+        const res = await api.get<PreviewQuestion>(`/api/admin/problems/${questionId}`);
+        let nextInstance: TemplateInstance | null = null;
+        if (res.data.template) {
+          // Template questions are tried out on one generated instance, graded with its seed
+          const preview = await api.post<TemplatePreviewResponse>("/api/admin/templates/preview", {
+            question_id: questionId,
+            count: 1,
+          });
+          nextInstance = preview.data.instances[0] ?? null;
+        }
+        setInstance(nextInstance);
+        setRawQuestion(nextInstance ? applyTemplateInstance(res.data, nextInstance) : res.data);
+      } catch (err: unknown) {
+        console.error("[QuestionPreviewPanel] Failed to load question", err);
+        setError(getErrorMessage(err, "Failed to load the question."));
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    load();
+  }, [questionId]);
+
+  // Built once per load, so the shuffled options keep their order between tries
+  const question = useMemo(() => (rawQuestion ? toPreviewQuestion(rawQuestion) : null), [rawQuestion]);
+  const questionType = question?.QUESTION_TYPE;
+
+  const handleSubmit = async () => {
+    if (!question || isGrading) return;
+    setIsGrading(true);
+    setError("");
+    try {
+      const sample = questionType === "programming"
+        ? { code, languageId: LANGUAGE_IDS[language] }
+        : {
+            answer: questionType === "select_all_that_apply"
+              ? selectedAnswers
+              : questionType === "ranked_choice"
+                ? selectedOrder
+                : questionType === "drag_and_drop"
+                  ? toDragAndDropAnswer(droppedAnswers)
+                  : questionType === "fill_in_blank" && question.blanks?.length
+                    ? blankAnswers
+                    : questionType === "code_trace"
+                      ? selectedAnswer ?? ""
+                      : selectedAnswer?.trim() ?? "",
+          };
+      setResult(await previewGrade(question.ID, instance ? { ...sample, seed: instance.seed } : sample));
+    } catch (err: unknown) {
+      setError(getErrorMessage(err, "Failed to grade the sample answer."));
+    } finally {
+      setIsGrading(false);
+    }
+  };
+
+  // "Next" on the student components starts another try
+  const handleTryAgain = () => {
+    setResult(null);
+    setError("");
+    setSelectedAnswer(null);
+    setSelectedAnswers([]);
+    setSelectedOrder([]);
+    setDroppedAnswers({});
+    setBlankAnswers({});
+  };
+
+  const renderQuestion = () => {
+    if (!question) return null;
+
+    const shared = {
+      current: question,
+      currentIndex: 0,
+      total: 1,
+      handleSubmit,
+      handleNext: handleTryAgain,
+      isCorrect: result?.isCorrect ?? false,
+    };
+    const feedback = { showFeedback: result !== null, hideFeedback: true };
+
+    switch (questionType) {
+      case "multiple_choice":
+        return <MultipleChoice {...shared} {...feedback} selectedAnswer={selectedAnswer} setSelectedAnswer={setSelectedAnswer} />;
+      case "fill_in_blank":
+        return (
+          <FillInTheBlank
+            {...shared}
+            {...feedback}
+            selectedAnswer={selectedAnswer}
+            setSelectedAnswer={setSelectedAnswer}
+            blankAnswers={blankAnswers}
+            setBlankAnswers={setBlankAnswers}
+            blankScores={result?.blankScores}
+          />
+        );
+      case "code_trace":
+        return <CodeTrace {...shared} {...feedback} selectedAnswer={selectedAnswer} setSelectedAnswer={setSelectedAnswer} />;
+      case "numeric":
+        return <NumericAnswer {...shared} {...feedback} selectedAnswer={selectedAnswer} setSelectedAnswer={setSelectedAnswer} />;
+      case "select_all_that_apply":
+        return <SelectAllThatApply {...shared} {...feedback} selectedAnswers={selectedAnswers} setSelectedAnswers={setSelectedAnswers} />;
+      case "ranked_choice":
+        return <RankedChoice {...shared} {...feedback} selectedOrder={selectedOrder} setSelectedOrder={setSelectedOrder} />;
+      case "drag_and_drop":
+        return <DragAndDrop {...shared} {...feedback} droppedAnswers={droppedAnswers} setDroppedAnswers={setDroppedAnswers} />;
+      case "programming":
+        return (
+          <Programming
+            {...shared}
+            editorContent={code}
+            setEditorContent={setCode}
+            selectedLanguage={language}
+            setSelectedLanguage={setLanguage}
+            answered={result !== null}
+            isSubmitting={isGrading}
+            feedbackText={result?.feedback}
+            pointsEarned={result?.pointsEarned ?? null}
+            pointsPossible={result?.pointsPossible ?? null}
+            normalizedScore={result?.normalizedScore ?? null}
+            passedTests={result?.testResults ? result.testResults.filter((test) => test.passed).length : null}
+            totalTests={result?.testResults?.length ?? null}
+          />
+        );
+      default:
+        return <p className="text-gray-600">Questions of type "{question.TYPE}" can't be previewed.</p>;
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50" onClick={onClose}>
+      <div
+        className="bg-white rounded-2xl shadow-2xl max-w-6xl w-full max-h-[90vh] overflow-y-auto p-6 relative text-gray-900"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <button
+          type="button"
+          className="absolute top-3 right-3 text-gray-500 hover:text-gray-800 text-xl font-bold"
+          onClick={onClose}
+          aria-label="Close preview"
+        >
+          ×
+        </button>
+        <h2 className="text-xl font-semibold text-gray-800 mb-4">Try Question #{questionId}</h2>
+
+        {isLoading && <p className="text-gray-600">Loading question...</p>}
+
+        {question && (
+          <div className="grid gap-6 lg:grid-cols-[minmax(0,2fr)_minmax(0,1fr)]">
+            <div className="min-w-0 border border-gray-200 rounded-lg p-4">{renderQuestion()}</div>
+
+            <div className="border border-gray-200 rounded-lg p-4 bg-gray-50 h-fit">
+              <h3 className="font-semibold text-gray-800 mb-1">Try It</h3>
+              <p className="text-sm text-gray-600 mb-3">
+                Answer as a student would. It's graded exactly the same, but no response is saved and no coins are awarded.
+              </p>
+
+              {instance && (
+                <p className="text-xs text-gray-500 font-mono mb-3">
+                  Instance: {Object.entries(instance.values).map(([name, value]) => `${name} = ${value}`).join(", ")}
+                </p>
+              )}
+
+              {isGrading && <p className="text-gray-600">Grading...</p>}
+              {error && <p className="text-red-500 mb-3">{error}</p>}
+
+              {result && (
+                <div className="space-y-2">
+                  <p className={`text-lg font-semibold ${result.isCorrect ? "text-green-700" : "text-red-600"}`}>
+                    {result.isCorrect ? "Correct" : "Not correct"}
+                  </p>
+                  <p className="text-sm text-gray-800">
+                    Score: {(result.normalizedScore * 100).toFixed(0)}% • {result.pointsEarned} / {result.pointsPossible} points
+                  </p>
+                  <p className="text-sm text-gray-700 whitespace-pre-wrap">{result.feedback}</p>
+
+                  {(result.testResults ?? []).length > 0 && (
+                    <ul className="text-sm divide-y divide-gray-200 border-t border-gray-200 mt-2">
+                      {(result.testResults ?? []).map((test, index) => (
+                        <li key={test.testCaseId} className="py-2">
+                          <p className={test.passed ? "text-green-700" : "text-red-600"}>
+                            {test.passed ? "✓" : "✗"} Test {index + 1}{test.hidden ? " (hidden)" : ""} • {test.status}
+                          </p>
+                          {!test.passed && (
+                            <pre className="text-xs text-gray-700 whitespace-pre-wrap mt-1">
+                              {`Input: ${test.input ?? ""}\nExpected: ${test.expectedOutput ?? ""}\nGot: ${test.actualOutput ?? ""}`}
+                              {test.error ? `\nError: ${test.error}` : ""}
+                            </pre>
+                          )}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+
+                  <button
+                    type="button"
+                    onClick={handleTryAgain}
+                    className="bg-yellow-500 hover:bg-yellow-600 text-black font-semibold px-4 py-2 rounded-lg transition"
+                  >
+                    Try Again
+                  </button>
+                </div>
+              )}
+
+              {!result && !isGrading && !error && (
+                <p className="text-sm text-gray-500">Submit an answer to see its score and feedback here.</p>
+              )}
+            </div>
+          </div>
+        )}
+
+        {!isLoading && !question && error && <p className="text-red-500">{error}</p>}
+      </div>
+    </div>
+  );
+};
+
+export default QuestionPreviewPanel;
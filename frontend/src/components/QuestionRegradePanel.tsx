@@ -0,0 +1,233 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          QuestionRegradePanel.tsx
+//  Description:   Regrades a question's stored responses after
+//                 its answer key is fixed: shows a dry run of
+//                 which students gain or lose points, then
+//                 applies it.
+//
+//  Dependencies:  react
+//                 api
+//                 axios (isAxiosError)
+//
+////////////////////////////////////////////////////////////////
+
+import React, { useCallback, useEffect, useState } from "react";
+import { isAxiosError } from "axios";
+import api from "../api";
+
+interface RegradeStudent {
+  userId: number;
+  username: string | null;
+  responses: number;
+  pointsChange: number;
+  expChange: number;
+  coinsChange: number;
+}
+
+interface RegradeSummary {
+  questionId: number;
+  responses: number;
+  changed: number;
+  nowCorrect: number;
+  nowIncorrect: number;
+  pointsChange: number;
+  expChange: number;
+  coinsChange: number;
+  skipped: { responseId: number; reason: string }[];
+  students: RegradeStudent[];
+}
+
+type Props = {
+  questionId: number;
+  onClose: () => void;
+};
+
+// Gains get a plus sign, so they read apart from losses
+const formatChange = (value: number): string => (value > 0 ? `+${value}` : String(value));
+
+const changeColor = (value: number): string => {
+  if (value > 0) return "text-green-700";
+  return value < 0 ? "text-red-700" : "text-gray-600";
+};
+
+const getErrorMessage = (err: unknown, fallback: string): string => {
+  const data = isAxiosError(err) ? err.response?.data : undefined;
+  const message = data && typeof data === "object" ? (data as { message?: unknown }).message : undefined;
+  return typeof message === "string" ? message : fallback;
+};
+
+const QuestionRegradePanel: React.FC<Props> = ({ questionId, onClose }) => {
+  const [report, setReport] = useState<RegradeSummary | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [isConfirming, setIsConfirming] = useState(false);
+  const [isApplying, setIsApplying] = useState(false);
+  const [message, setMessage] = useState("");
+
+  const fetchReport = useCallback(async () => {
+    setIsLoading(true);
+    setError("");
+    try {
+      const res = await api.get<RegradeSummary>(`/api/admin/problems/${questionId}/regrade`);
+      setReport(res.data);
+    } catch (err: unknown) {
+      console.error("[QuestionRegradePanel] Failed to load regrade report", err);
+      setError(getErrorMessage(err, "Failed to check the stored responses."));
+    } finally {
+      setIsLoading(false);
+    }
+  }, [questionId]);
+
+  useEffect(() => {
+    fetchReport();
+  }, [fetchReport]);
+
+  const handleApply = async () => {
+    setIsApplying(true);
+    setError("");
+    setMessage("");
+    try {
+      const res = await api.post<RegradeSummary & { message: string }>(`/api/admin/problems/${questionId}/regrade`);
+      setMessage(
+        res.data.changed > 0
+          ? `${res.data.message}: ${res.data.changed} response${res.data.changed === 1 ? "" : "s"} from ${res.data.students.length} student${res.data.students.length === 1 ? "" : "s"}.`
+          : `${res.data.message}.`
+      );
+      setIsConfirming(false);
+      await fetchReport();
+    } catch (err: unknown) {
+      setError(getErrorMessage(err, "Failed to regrade the responses."));
+    } finally {
+      setIsApplying(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50" onClick={onClose}>
+      <div
+        className="bg-white rounded-2xl shadow-2xl max-w-3xl w-full max-h-[90vh] overflow-y-auto p-6 relative text-gray-900"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <button
+          type="button"
+          className="absolute top-3 right-3 text-gray-500 hover:text-gray-800 text-xl font-bold"
+          onClick={onClose}
+          aria-label="Close regrade"
+        >
+          ×
+        </button>
+        <h2 className="text-xl font-semibold text-gray-800 mb-2">Regrade Question #{questionId}</h2>
+        <p className="text-sm text-gray-600 mb-4">
+          Grades every stored answer again against the current answer key and grading policy. Students' lifetime exp and
+          coins move with the points they gain or lose, and they're told about the change. A loss never takes back exp the
+          daily cap kept a student from earning.
+        </p>
+
+        {isLoading && <p className="text-gray-600">Checking stored responses...</p>}
+        {error && <p className="text-red-500 mb-3">{error}</p>}
+        {message && <p className="text-green-600 mb-3">{message}</p>}
+
+        {!isLoading && report && (
+          <>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4">
+              <div className="border border-gray-200 rounded-lg p-3 bg-gray-50">
+                <p className="text-xs text-gray-500">Responses</p>
+                <p className="text-lg font-semibold">{report.responses}</p>
+              </div>
+              <div className="border border-gray-200 rounded-lg p-3 bg-gray-50">
+                <p className="text-xs text-gray-500">Would change</p>
+                <p className="text-lg font-semibold">{report.changed}</p>
+                <p className="text-xs text-gray-500">
+                  {report.nowCorrect} now correct, {report.nowIncorrect} now incorrect
+                </p>
+              </div>
+              <div className="border border-gray-200 rounded-lg p-3 bg-gray-50">
+                <p className="text-xs text-gray-500">Points</p>
+                <p className={`text-lg font-semibold ${changeColor(report.pointsChange)}`}>{formatChange(report.pointsChange)}</p>
+              </div>
+              <div className="border border-gray-200 rounded-lg p-3 bg-gray-50">
+                <p className="text-xs text-gray-500">Exp / Coins</p>
+                <p className={`text-lg font-semibold ${changeColor(report.expChange)}`}>
+                  {formatChange(report.expChange)} / {formatChange(report.coinsChange)}
+                </p>
+              </div>
+            </div>
+
+            {report.skipped.length > 0 && (
+              <div className="mb-4">
+                <h3 className="font-semibold text-gray-800 mb-1">
+                  Skipped ({report.skipped.length})
+                </h3>
+                <p className="text-xs text-gray-500 mb-1">These responses can't be regraded and are left as they are.</p>
+                <ul className="space-y-1 text-sm max-h-32 overflow-y-auto">
+                  {report.skipped.map((item) => (
+                    <li key={item.responseId} className="text-yellow-800 bg-yellow-50 px-2 py-1 rounded">
+                      Response #{item.responseId}: {item.reason}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {report.changed === 0 && (
+              <p className="text-gray-600 mb-4">Every stored response already grades the same under the current answer key.</p>
+            )}
+
+            {report.students.length > 0 && (
+              <table className="w-full text-left border border-gray-200 text-sm mb-4">
+                <thead className="bg-gray-100">
+                  <tr>
+                    <th className="p-2">Student</th>
+                    <th className="p-2">Responses</th>
+                    <th className="p-2">Points</th>
+                    <th className="p-2">Exp</th>
+                    <th className="p-2">Coins</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.students.map((student) => (
+                    <tr key={student.userId} className="border-t border-gray-200">
+                      <td className="p-2 font-semibold">{student.username ?? `User #${student.userId}`}</td>
+                      <td className="p-2">{student.responses}</td>
+                      <td className={`p-2 ${changeColor(student.pointsChange)}`}>{formatChange(student.pointsChange)}</td>
+                      <td className={`p-2 ${changeColor(student.expChange)}`}>{formatChange(student.expChange)}</td>
+                      <td className={`p-2 ${changeColor(student.coinsChange)}`}>{formatChange(student.coinsChange)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+
+            {report.changed > 0 && (
+              <div className="flex gap-2">
+                <button
+                  type="button"
+                  onClick={() => (isConfirming ? handleApply() : setIsConfirming(true))}
+                  className="bg-yellow-500 hover:bg-yellow-600 text-black font-semibold px-4 py-2 rounded-lg transition disabled:opacity-60"
+                  disabled={isApplying}
+                >
+                  {isApplying ? "Regrading..." : isConfirming ? "Confirm Regrade" : "Apply Regrade"}
+                </button>
+                {isConfirming && (
+                  <button
+                    type="button"
+                    onClick={() => setIsConfirming(false)}
+                    className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-semibold px-4 py-2 rounded-lg transition"
+                  >
+                    Cancel
+                  </button>
+                )}
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default QuestionRegradePanel;
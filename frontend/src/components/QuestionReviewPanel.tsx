@@ -0,0 +1,285 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          QuestionReviewPanel.tsx
+//  Description:   Review panel for a question: its content, the
+//                 workflow actions the user can take, and the
+//                 threaded review history.
+//
+//  Dependencies:  react
+//                 api
+//                 axios (isAxiosError)
+//                 models (RawQuestion)
+//                 questionReview utils
+//
+////////////////////////////////////////////////////////////////
+
+import React, { useCallback, useEffect, useState } from "react";
+import { isAxiosError } from "axios";
+import api from "../api";
+import { RawQuestion } from "../models";
+import {
+  QuestionReview,
+  ReviewAction,
+  ReviewStatus,
+  ReviewThreadEvent,
+  REVIEW_ACTION_LABELS,
+  REVIEW_EVENT_LABELS,
+  REVIEW_STATUS_BADGES,
+  REVIEW_STATUS_LABELS,
+  addReviewComment,
+  fetchQuestionReview,
+  runReviewAction,
+} from "../utils/questionReview";
+
+type Props = {
+  questionId: number;
+  onClose: () => void;
+  onStatusChanged: (questionId: number, status: ReviewStatus) => void;
+};
+
+const ACTION_STYLES: Record<ReviewAction, string> = {
+  submit: "bg-blue-500 hover:bg-blue-600 text-white",
+  request_changes: "bg-orange-500 hover:bg-orange-600 text-white",
+  approve: "bg-purple-600 hover:bg-purple-700 text-white",
+  publish: "bg-green-600 hover:bg-green-700 text-white",
+  retire: "bg-red-500 hover:bg-red-600 text-white",
+  withdraw: "bg-gray-200 hover:bg-gray-300 text-gray-800",
+  reopen: "bg-gray-200 hover:bg-gray-300 text-gray-800",
+};
+
+const getErrorMessage = (err: unknown, fallback: string): string => {
+  const data = isAxiosError(err) ? err.response?.data : undefined;
+  const message = data && typeof data === "object" ? (data as { message?: unknown }).message : undefined;
+  return typeof message === "string" ? message : fallback;
+};
+
+const getActorName = (event: ReviewThreadEvent): string => (
+  event.actor.username ?? (event.actor.role === "admin" ? "Admin" : "Former user")
+);
+
+const QuestionReviewPanel: React.FC<Props> = ({ questionId, onClose, onStatusChanged }) => {
+  const [review, setReview] = useState<QuestionReview | null>(null);
+  const [question, setQuestion] = useState<RawQuestion | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isBusy, setIsBusy] = useState(false);
+  const [error, setError] = useState("");
+  const [message, setMessage] = useState("");
+  const [comment, setComment] = useState("");
+  const [replyTo, setReplyTo] = useState<number | null>(null);
+  const [reply, setReply] = useState("");
+
+  const loadReview = useCallback(async () => {
+    try {
+      setReview(await fetchQuestionReview(questionId));
+    } catch (err: unknown) {
+      console.error("[QuestionReviewPanel] Failed to load review", err);
+      setError(getErrorMessage(err, "Failed to load the review."));
+    }
+  }, [questionId]);
+
+  useEffect(() => {
+    const load = async () => {
+      setIsLoading(true);
+      setError("");
+      await loadReview();
+      try {
+        const res = await api.get<RawQuestion>(`/api/admin/problems/${questionId}`);
+        setQuestion(res.data);
+      } catch (err: unknown) {
+        console.error("[QuestionReviewPanel] Failed to load question", err);
+      }
+      setIsLoading(false);
+    };
+
+    load();
+  }, [questionId, loadReview]);
+
+  const handleAction = async (action: ReviewAction) => {
+    setIsBusy(true);
+    setError("");
+    setMessage("");
+    try {
+      const result = await runReviewAction(questionId, action, comment);
+      setMessage(result.message);
+      setComment("");
+      onStatusChanged(questionId, result.status);
+      await loadReview();
+    } catch (err: unknown) {
+      setError(getErrorMessage(err, "Failed to update the review."));
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleComment = async (text: string, parentId?: number) => {
+    setIsBusy(true);
+    setError("");
+    setMessage("");
+    try {
+      await addReviewComment(questionId, text.trim(), parentId);
+      if (parentId === undefined) {
+        setComment("");
+      } else {
+        setReply("");
+        setReplyTo(null);
+      }
+      await loadReview();
+    } catch (err: unknown) {
+      setError(getErrorMessage(err, "Failed to add the comment."));
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const renderEvent = (event: ReviewThreadEvent, depth: number): React.ReactNode => (
+    <li key={event.id} className={depth > 0 ? "ml-6 border-l-2 border-gray-200 pl-3" : ""}>
+      <div className="py-2">
+        <p className="text-sm text-gray-800">
+          <span className="font-semibold">{getActorName(event)}</span>{" "}
+          {REVIEW_EVENT_LABELS[event.action] ?? event.action}
+          {event.questionVersion !== null && event.action !== "comment" && (
+            <span className="text-gray-500"> (version {event.questionVersion})</span>
+          )}
+          <span className="text-xs text-gray-500"> • {new Date(event.createdAt).toLocaleString()}</span>
+        </p>
+        {event.comment && <p className="text-sm text-gray-700 whitespace-pre-wrap mt-1">{event.comment}</p>}
+        {replyTo === event.id ? (
+          <div className="mt-2 flex flex-col gap-2">
+            <textarea
+              value={reply}
+              onChange={(e) => setReply(e.target.value)}
+              rows={2}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-yellow-500"
+              placeholder="Write a reply"
+            />
+            <div className="flex gap-2">
+              <button
+                type="button"
+                onClick={() => handleComment(reply, event.id)}
+                className="bg-yellow-500 hover:bg-yellow-600 text-black font-semibold px-3 py-1.5 rounded-lg transition disabled:opacity-60"
+                disabled={isBusy || !reply.trim()}
+              >
+                Reply
+              </button>
+              <button
+                type="button"
+                onClick={() => setReplyTo(null)}
+                className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-semibold px-3 py-1.5 rounded-lg transition"
+              >
+                Cancel
+              </button>
+            </div>
+          </div>
+        ) : (
+          <button
+            type="button"
+            onClick={() => {
+              setReplyTo(event.id);
+              setReply("");
+            }}
+            className="text-xs text-blue-600 hover:underline mt-1"
+          >
+            Reply
+          </button>
+        )}
+      </div>
+      {event.replies.length > 0 && <ul>{event.replies.map((child) => renderEvent(child, depth + 1))}</ul>}
+    </li>
+  );
+
+  const actions = review?.availableActions ?? [];
+  const needsComment = (action: ReviewAction) => action === "request_changes" && !comment.trim();
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50" onClick={onClose}>
+      <div
+        className="bg-white rounded-2xl shadow-2xl max-w-3xl w-full max-h-[90vh] overflow-y-auto p-6 relative text-gray-900"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <button
+          type="button"
+          className="absolute top-3 right-3 text-gray-500 hover:text-gray-800 text-xl font-bold"
+          onClick={onClose}
+          aria-label="Close review"
+        >
+          ×
+        </button>
+        <div className="flex items-center gap-2 mb-4">
+          <h2 className="text-xl font-semibold text-gray-800">Question #{questionId} Review</h2>
+          {review && (
+            <span className={`inline-flex items-center rounded-full px-2.5 py-0.5 text-xs font-semibold ${REVIEW_STATUS_BADGES[review.status]}`}>
+              {REVIEW_STATUS_LABELS[review.status]}
+            </span>
+          )}
+        </div>
+
+        {isLoading && <p className="text-gray-600">Loading review...</p>}
+        {error && <p className="text-red-500 mb-3">{error}</p>}
+        {message && <p className="text-green-600 mb-3">{message}</p>}
+
+        {question && (
+          <div className="mb-4 p-3 border border-gray-200 rounded-lg bg-gray-50">
+            <p className="text-xs text-gray-500 mb-1">{question.TYPE}</p>
+            <p className="text-gray-800 whitespace-pre-wrap">{question.QUESTION_TEXT}</p>
+            {(question.answers ?? []).length > 0 && (
+              <ul className="mt-2 text-sm space-y-1">
+                {(question.answers ?? []).map((answer, index) => (
+                  <li key={index} className={answer.IS_CORRECT_ANSWER ? "text-green-700" : "text-gray-700"}>
+                    {answer.IS_CORRECT_ANSWER ? "✓" : "•"} {answer.TEXT}
+                    {answer.PLACEMENT ? ` → ${answer.PLACEMENT}` : ""}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+
+        {review && (
+          <>
+            <textarea
+              value={comment}
+              onChange={(e) => setComment(e.target.value)}
+              rows={3}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-yellow-500"
+              placeholder="Add a comment, or a note to go with your action"
+            />
+            <div className="flex flex-wrap gap-2 mt-2 mb-6">
+              <button
+                type="button"
+                onClick={() => handleComment(comment)}
+                className="bg-yellow-500 hover:bg-yellow-600 text-black font-semibold px-4 py-2 rounded-lg transition disabled:opacity-60"
+                disabled={isBusy || !comment.trim()}
+              >
+                Comment
+              </button>
+              {actions.map((action) => (
+                <button
+                  key={action}
+                  type="button"
+                  onClick={() => handleAction(action)}
+                  className={`${ACTION_STYLES[action]} font-semibold px-4 py-2 rounded-lg transition disabled:opacity-60`}
+                  disabled={isBusy || needsComment(action)}
+                  title={needsComment(action) ? "Add a comment explaining the changes" : undefined}
+                >
+                  {REVIEW_ACTION_LABELS[action]}
+                </button>
+              ))}
+            </div>
+
+            <h3 className="font-semibold text-gray-800 mb-1">History</h3>
+            {review.thread.length === 0 ? (
+              <p className="text-sm text-gray-600">No review activity yet.</p>
+            ) : (
+              <ul className="divide-y divide-gray-100">{review.thread.map((event) => renderEvent(event, 0))}</ul>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default QuestionReviewPanel;
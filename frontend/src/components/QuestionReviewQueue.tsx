@@ -0,0 +1,115 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          QuestionReviewQueue.tsx
+//  Description:   Queue of questions other professors submitted
+//                 for review, filterable by review status.
+//
+//  Dependencies:  react
+//                 api
+//                 questionReview utils
+//
+////////////////////////////////////////////////////////////////
+
+import React, { useEffect, useState } from "react";
+import api from "../api";
+import { ReviewStatus, REVIEW_STATUS_LABELS } from "../utils/questionReview";
+
+type QueueStatus = Extract<ReviewStatus, "in_review" | "changes_requested" | "approved">;
+
+interface QueuedQuestion {
+  ID: number;
+  TYPE: string;
+  CATEGORY: string;
+  SUBCATEGORY: string;
+  QUESTION_TEXT: string;
+  OWNER_USERNAME: string | null;
+  CURRENT_VERSION: number | null;
+  SUBMITTED_AT: string | null;
+}
+
+type Props = {
+  reloadKey: number;
+  onOpen: (questionId: number) => void;
+};
+
+const QUEUE_STATUSES: QueueStatus[] = ["in_review", "changes_requested", "approved"];
+
+const QuestionReviewQueue: React.FC<Props> = ({ reloadKey, onOpen }) => {
+  const [status, setStatus] = useState<QueueStatus>("in_review");
+  const [questions, setQuestions] = useState<QueuedQuestion[]>([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    const fetchQueue = async () => {
+      setIsLoading(true);
+      setError("");
+      try {
+        const res = await api.get<{ questions: QueuedQuestion[] }>("/api/admin/reviews", { params: { status } });
+        setQuestions(Array.isArray(res.data?.questions) ? res.data.questions : []);
+      } catch (err: unknown) {
+        console.error("[QuestionReviewQueue] Failed to load review queue", err);
+        setError("Failed to load the review queue.");
+        setQuestions([]);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    fetchQueue();
+  }, [status, reloadKey]);
+
+  return (
+    <div className="space-y-4">
+      <div className="flex gap-2 flex-wrap">
+        {QUEUE_STATUSES.map((option) => (
+          <button
+            key={option}
+            type="button"
+            onClick={() => setStatus(option)}
+            className={`px-3 py-1.5 rounded-lg text-sm font-semibold transition ${
+              status === option ? "bg-gray-800 text-white" : "bg-gray-200 text-gray-700 hover:bg-gray-300"
+            }`}
+          >
+            {REVIEW_STATUS_LABELS[option]}
+          </button>
+        ))}
+      </div>
+
+      {isLoading && <p className="text-gray-600">Loading review queue...</p>}
+      {!isLoading && error && <p className="text-red-500">{error}</p>}
+      {!isLoading && !error && questions.length === 0 && (
+        <p className="text-gray-600">No questions from other professors are {REVIEW_STATUS_LABELS[status].toLowerCase()}.</p>
+      )}
+
+      {questions.map((question) => (
+        <div key={question.ID} className="border border-gray-200 rounded-lg p-4 bg-gray-50 flex flex-col md:flex-row md:items-start md:justify-between gap-3">
+          <div className="min-w-0">
+            <h2 className="text-xl font-semibold text-gray-800">Question #{question.ID}</h2>
+            <p className="text-sm text-gray-600 mt-1">
+              {question.CATEGORY || "No category"} • {question.SUBCATEGORY || "No subcategory"} • {question.TYPE}
+            </p>
+            <p className="text-sm text-gray-700 mt-1 truncate">{question.QUESTION_TEXT}</p>
+            <p className="text-xs text-gray-500 mt-1">
+              By {question.OWNER_USERNAME ?? "unknown author"}
+              {question.CURRENT_VERSION !== null && ` • version ${question.CURRENT_VERSION}`}
+              {question.SUBMITTED_AT && ` • submitted ${new Date(question.SUBMITTED_AT).toLocaleString()}`}
+            </p>
+          </div>
+          <button
+            type="button"
+            onClick={() => onOpen(question.ID)}
+            className="bg-blue-500 hover:bg-blue-600 text-white font-semibold px-4 py-2 rounded-lg transition shrink-0"
+          >
+            Open Review
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default QuestionReviewQueue;
@@ -0,0 +1,315 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          QuestionSearchPanel.tsx
+//  Description:   Question search form and paginated results,
+//                 shared by the professor drafts page and the
+//                 student question browser. Each page supplies
+//                 the buttons shown on a result.
+//
+//  Dependencies:  react
+//                 api
+//                 axios (isAxiosError)
+//                 models (QuestionSearchResponse, QuestionSearchResult)
+//                 taxonomyStore
+//                 topicLabels
+//                 questionReview
+//
+////////////////////////////////////////////////////////////////
+
+import React, { useEffect, useState } from "react";
+import { isAxiosError } from "axios";
+import api from "../api";
+import { QuestionSearchResponse, QuestionSearchResult } from "../models";
+import { useTaxonomyStore } from "../stores/taxonomyStore";
+import { formatSubcategoryLabel } from "../utils/topicLabels";
+import { REVIEW_STATUS_BADGES, REVIEW_STATUS_LABELS, isReviewStatus } from "../utils/questionReview";
+
+type Props = {
+  // author:  professors, also filters by publish state and their own questions
+  // student: published questions only
+  audience: "author" | "student";
+  renderActions: (question: QuestionSearchResult) => React.ReactNode;
+  reloadKey?: number;
+};
+
+interface SearchFilters {
+  q: string;
+  tag: string;
+  type: string;
+  section: string;
+  minPoints: string;
+  maxPoints: string;
+  state: string;
+  mine: boolean;
+}
+
+const EMPTY_FILTERS: SearchFilters = {
+  q: "",
+  tag: "",
+  type: "",
+  section: "",
+  minPoints: "",
+  maxPoints: "",
+  state: "",
+  mine: false,
+};
+
+const QUESTION_TYPE_FILTERS = [
+  "Multiple Choice",
+  "Fill in the Blanks",
+  "Numeric",
+  "Select All That Apply",
+  "Ranked Choice",
+  "Drag and Drop",
+  "Code Trace",
+  "Programming",
+];
+
+const inputClassName =
+  "w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-yellow-500";
+
+// Question text is stored as HTML, results only show its text
+const toPlainText = (html: string): string => (
+  new DOMParser().parseFromString(html, "text/html").body.textContent ?? ""
+);
+
+// Only the filters that are set, as GET /api/problems/search params
+const toSearchParams = (filters: SearchFilters, page: number, audience: Props["audience"]): Record<string, string> => {
+  const params: Record<string, string> = { page: String(page) };
+  (["q", "tag", "type", "section", "minPoints", "maxPoints"] as const).forEach((key) => {
+    const value = filters[key].trim();
+    if (value) {
+      params[key] = value;
+    }
+  });
+  if (audience === "author") {
+    if (filters.state) {
+      params.state = filters.state;
+    }
+    if (filters.mine) {
+      params.mine = "true";
+    }
+  }
+  return params;
+};
+
+const getErrorMessage = (err: unknown, fallback: string): string => {
+  const data = isAxiosError(err) ? err.response?.data : undefined;
+  const message = data && typeof data === "object" ? (data as { message?: unknown }).message : undefined;
+  return typeof message === "string" ? message : fallback;
+};
+
+const QuestionSearchPanel: React.FC<Props> = ({ audience, renderActions, reloadKey = 0 }) => {
+  const { sections } = useTaxonomyStore();
+  const [filters, setFilters] = useState<SearchFilters>(EMPTY_FILTERS);
+  // Filters only apply once submitted, so typing doesn't search on every key
+  const [appliedFilters, setAppliedFilters] = useState<SearchFilters>(EMPTY_FILTERS);
+  const [page, setPage] = useState(1);
+  const [results, setResults] = useState<QuestionSearchResponse | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let isCancelled = false;
+
+    const runSearch = async () => {
+      setIsLoading(true);
+      setError("");
+      try {
+        const res = await api.get<QuestionSearchResponse>("/api/problems/search", {
+          params: toSearchParams(appliedFilters, page, audience),
+        });
+        if (!isCancelled) {
+          setResults(res.data);
+        }
+      } catch (err: unknown) {
+        console.error("[QuestionSearchPanel] Search failed", err);
+        if (!isCancelled) {
+          setError(getErrorMessage(err, "Failed to search questions."));
+          setResults(null);
+        }
+      } finally {
+        if (!isCancelled) {
+          setIsLoading(false);
+        }
+      }
+    };
+
+    runSearch();
+    return () => {
+      isCancelled = true;
+    };
+  }, [appliedFilters, page, audience, reloadKey]);
+
+  const handleChange = (event: React.ChangeEvent<HTMLInputElement | HTMLSelectElement>) => {
+    const { name, value } = event.target;
+    const isCheckbox = event.target instanceof HTMLInputElement && event.target.type === "checkbox";
+    setFilters((current) => ({
+      ...current,
+      [name]: isCheckbox ? (event.target as HTMLInputElement).checked : value,
+    }));
+  };
+
+  const handleSubmit = (event: React.FormEvent) => {
+    event.preventDefault();
+    setPage(1);
+    setAppliedFilters(filters);
+  };
+
+  const handleClear = () => {
+    setFilters(EMPTY_FILTERS);
+    setPage(1);
+    setAppliedFilters(EMPTY_FILTERS);
+  };
+
+  const pagination = results?.pagination;
+
+  return (
+    <div className="space-y-4">
+      <form onSubmit={handleSubmit} className="space-y-3 border border-gray-200 rounded-lg p-4 bg-gray-50">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+          <input
+            name="q"
+            value={filters.q}
+            onChange={handleChange}
+            className={inputClassName}
+            placeholder="Search question text"
+            maxLength={200}
+          />
+          <input
+            name="tag"
+            value={filters.tag}
+            onChange={handleChange}
+            className={inputClassName}
+            placeholder="Tags, comma separated"
+          />
+        </div>
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+          <select name="type" value={filters.type} onChange={handleChange} className={inputClassName}>
+            <option value="">Any type</option>
+            {QUESTION_TYPE_FILTERS.map((type) => (
+              <option key={type} value={type}>{type}</option>
+            ))}
+          </select>
+          <select name="section" value={filters.section} onChange={handleChange} className={inputClassName}>
+            <option value="">Any section</option>
+            {sections.map((section) => (
+              <option key={section.name} value={section.name}>{section.displayName}</option>
+            ))}
+          </select>
+          <input
+            name="minPoints"
+            type="number"
+            min={0}
+            value={filters.minPoints}
+            onChange={handleChange}
+            className={inputClassName}
+            placeholder="Min points"
+          />
+          <input
+            name="maxPoints"
+            type="number"
+            min={0}
+            value={filters.maxPoints}
+            onChange={handleChange}
+            className={inputClassName}
+            placeholder="Max points"
+          />
+        </div>
+        {audience === "author" && (
+          <div className="flex flex-wrap items-center gap-4">
+            <select name="state" value={filters.state} onChange={handleChange} className={`${inputClassName} md:w-48`}>
+              <option value="">Any state</option>
+              <option value="draft">Drafts</option>
+              <option value="published">Published</option>
+              <option value="retired">Retired</option>
+            </select>
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input type="checkbox" name="mine" checked={filters.mine} onChange={handleChange} />
+              Only my questions
+            </label>
+          </div>
+        )}
+        <div className="flex gap-2">
+          <button
+            type="submit"
+            className="bg-yellow-500 hover:bg-yellow-600 text-black font-semibold px-4 py-2 rounded-lg transition"
+          >
+            Search
+          </button>
+          <button
+            type="button"
+            onClick={handleClear}
+            className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-semibold px-4 py-2 rounded-lg transition"
+          >
+            Clear
+          </button>
+        </div>
+      </form>
+
+      {isLoading && <p className="text-gray-600">Searching questions...</p>}
+      {!isLoading && error && <p className="text-red-500">{error}</p>}
+      {!isLoading && !error && results && results.questions.length === 0 && (
+        <p className="text-gray-600">No questions match this search.</p>
+      )}
+
+      {!isLoading && !error && results?.questions.map((question) => (
+        <div key={question.ID} className="border border-gray-200 rounded-lg p-4 bg-white flex flex-col md:flex-row md:items-start md:justify-between gap-3">
+          <div className="min-w-0">
+            <div className="flex items-center gap-2 flex-wrap">
+              <h2 className="text-lg font-semibold text-gray-800">Question #{question.ID}</h2>
+              {audience === "author" && isReviewStatus(question.REVIEW_STATUS) && (
+                <span className={`inline-flex items-center rounded-full px-2.5 py-0.5 text-xs font-semibold ${REVIEW_STATUS_BADGES[question.REVIEW_STATUS]}`}>
+                  {REVIEW_STATUS_LABELS[question.REVIEW_STATUS]}
+                </span>
+              )}
+            </div>
+            <p className="text-sm text-gray-600 mt-1">
+              {question.CATEGORY || "No category"} • {formatSubcategoryLabel(question.SUBCATEGORY) || "No subcategory"} • {question.TYPE} • {Number(question.POINTS_POSSIBLE)} pts
+            </p>
+            <p className="text-sm text-gray-700 mt-1 line-clamp-2">{toPlainText(question.QUESTION_TEXT)}</p>
+            {question.tags.length > 0 && (
+              <div className="flex flex-wrap gap-1 mt-2">
+                {question.tags.map((tag) => (
+                  <span key={tag} className="rounded-full bg-yellow-100 text-yellow-800 px-2 py-0.5 text-xs font-medium">
+                    {tag}
+                  </span>
+                ))}
+              </div>
+            )}
+          </div>
+          <div className="flex gap-2 shrink-0">{renderActions(question)}</div>
+        </div>
+      ))}
+
+      {pagination && pagination.totalPages > 1 && (
+        <div className="flex items-center justify-between">
+          <button
+            type="button"
+            onClick={() => setPage((current) => Math.max(1, current - 1))}
+            disabled={isLoading || pagination.page <= 1}
+            className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-semibold px-4 py-2 rounded-lg transition disabled:opacity-50"
+          >
+            Previous
+          </button>
+          <span className="text-sm text-gray-600">
+            Page {pagination.page} of {pagination.totalPages} • {pagination.totalQuestions} questions
+          </span>
+          <button
+            type="button"
+            onClick={() => setPage((current) => Math.min(pagination.totalPages, current + 1))}
+            disabled={isLoading || pagination.page >= pagination.totalPages}
+            className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-semibold px-4 py-2 rounded-lg transition disabled:opacity-50"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default QuestionSearchPanel;
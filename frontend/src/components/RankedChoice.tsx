@@ -7,16 +7,14 @@
 //  Description:   Ranked choice question component.
 //
 //  Dependencies:  react
-//                 html-react-parser
-//                 dompurify
+//                 RichText component
 //                 models (Question)
 //
 ////////////////////////////////////////////////////////////////
 
 import React, { useLayoutEffect, useMemo, useRef, useState } from "react";
-import parse from "html-react-parser";
-import DOMPurify from "dompurify";
 import { Question } from "../models";
+import RichText from "./RichText";
 import { formatSubcategoryLabel } from "../utils/topicLabels";
 
 type Props = {
@@ -162,7 +160,7 @@ const RankedChoice: React.FC<Props> = ({
       </h2>
 
       <div className="question-rich-text text-base sm:text-lg md:text-xl font-medium mb-4">
-        {parse(DOMPurify.sanitize(current.QUESTION_TEXT))}
+        <RichText text={current.QUESTION_TEXT} />
       </div>
 
       {/* ranked choice instruction */}
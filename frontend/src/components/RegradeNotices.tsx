@@ -0,0 +1,131 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          RegradeNotices.tsx
+//  Description:   Dashboard notice of answers regraded after a
+//                 question's answer key was fixed, and the exp
+//                 and coins each one gained or cost the student.
+//
+//  Dependencies:  react
+//                 api instance
+//                 topicLabels
+//                 numberFormat
+//
+////////////////////////////////////////////////////////////////
+
+import React, { useEffect, useState } from "react";
+import api from "../api";
+import { formatSubcategoryLabel } from "../utils/topicLabels";
+import { formatTenths } from "../utils/numberFormat";
+
+interface RegradeNotice {
+  id: number;
+  questionId: number;
+  topic: string;
+  answeredAt: string;
+  regradedAt: string;
+  wasCorrect: boolean;
+  isCorrect: boolean;
+  oldPoints: number;
+  newPoints: number;
+  expChange: number;
+  coinsChange: number;
+}
+
+interface RegradeNoticesResponse {
+  totalUnseen: number;
+  notices: RegradeNotice[];
+}
+
+const formatChange = (value: number): string => `${value > 0 ? "+" : ""}${formatTenths(value)}`;
+
+const describeNotice = (notice: RegradeNotice): string => {
+  if (notice.isCorrect !== notice.wasCorrect) {
+    return notice.isCorrect ? "now counts as correct" : "no longer counts as correct";
+  }
+  return `now scores ${formatTenths(notice.newPoints)} points instead of ${formatTenths(notice.oldPoints)}`;
+};
+
+const RegradeNotices: React.FC = () => {
+  const [notices, setNotices] = useState<RegradeNotice[]>([]);
+  const [totalUnseen, setTotalUnseen] = useState(0);
+  const [isDismissing, setIsDismissing] = useState(false);
+
+  useEffect(() => {
+    const fetchNotices = async () => {
+      try {
+        const res = await api.get<RegradeNoticesResponse>("/api/progress/regrades");
+        setNotices(res.data.notices ?? []);
+        setTotalUnseen(Number(res.data.totalUnseen || 0));
+      } catch (err: unknown) {
+        console.error("[RegradeNotices] Failed to load regrade notices", err);
+      }
+    };
+    void fetchNotices();
+  }, []);
+
+  const handleDismiss = async () => {
+    setIsDismissing(true);
+    try {
+      // Only the notices shown, any past the limit come up next time
+      await api.post("/api/progress/regrades/seen", { ids: notices.map((notice) => notice.id) });
+      setNotices([]);
+      setTotalUnseen(0);
+    } catch (err: unknown) {
+      console.error("[RegradeNotices] Failed to mark regrade notices seen", err);
+    } finally {
+      setIsDismissing(false);
+    }
+  };
+
+  if (notices.length === 0) {
+    return null;
+  }
+
+  const expChange = notices.reduce((sum, notice) => sum + notice.expChange, 0);
+  const coinsChange = notices.reduce((sum, notice) => sum + notice.coinsChange, 0);
+
+  return (
+    <section className="rounded-xl border border-blue-300 bg-blue-50 p-5">
+      <div className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-3">
+        <div>
+          <p className="text-xs uppercase tracking-wide text-blue-700 font-semibold">Answers Regraded</p>
+          <h2 className="text-xl font-bold text-gray-900 mt-1">
+            {notices.length === 1 ? "One of your answers was" : `${notices.length} of your answers were`} regraded
+          </h2>
+          <p className="text-gray-600 mt-1 text-sm">
+            A professor fixed the answer key of questions you answered. Overall:{" "}
+            <strong>{formatChange(expChange)} exp</strong> and <strong>{formatChange(coinsChange)} coins</strong>.
+          </p>
+        </div>
+        <button
+          type="button"
+          onClick={handleDismiss}
+          disabled={isDismissing}
+          className="px-4 py-2 rounded-lg bg-gray-900 text-white hover:bg-black disabled:opacity-60 self-start"
+        >
+          {isDismissing ? "Dismissing..." : "Got It"}
+        </button>
+      </div>
+
+      <ul className="mt-3 space-y-1 text-sm text-gray-800">
+        {notices.map((notice) => (
+          <li key={notice.id} className="rounded-lg bg-white border border-blue-100 px-3 py-2">
+            Your answer to {notice.topic ? <>a <strong>{formatSubcategoryLabel(notice.topic)}</strong> question</> : "a question"} from{" "}
+            {new Date(notice.answeredAt).toLocaleDateString()} {describeNotice(notice)}
+            {" "}({formatChange(notice.expChange)} exp, {formatChange(notice.coinsChange)} coins)
+          </li>
+        ))}
+      </ul>
+      {totalUnseen > notices.length && (
+        <p className="mt-2 text-xs text-gray-500">
+          {totalUnseen - notices.length} more will show once these are dismissed.
+        </p>
+      )}
+    </section>
+  );
+};
+
+export default RegradeNotices;
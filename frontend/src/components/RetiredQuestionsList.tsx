@@ -0,0 +1,91 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          RetiredQuestionsList.tsx
+//  Description:   List of retired questions. They're hidden from
+//                 students but keep their responses, and can be
+//                 reopened as drafts from the review panel.
+//
+//  Dependencies:  react
+//                 api
+//                 models (RawQuestion)
+//
+////////////////////////////////////////////////////////////////
+
+import React, { useEffect, useState } from "react";
+import api from "../api";
+import { RawQuestion } from "../models";
+
+type Props = {
+  reloadKey: number;
+  onOpen: (questionId: number) => void;
+};
+
+const RetiredQuestionsList: React.FC<Props> = ({ reloadKey, onOpen }) => {
+  const [questions, setQuestions] = useState<RawQuestion[]>([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    const fetchRetired = async () => {
+      setIsLoading(true);
+      setError("");
+      try {
+        const res = await api.get<{ retired: RawQuestion[] }>("/api/admin/retired");
+        const retired = Array.isArray(res.data?.retired) ? res.data.retired : [];
+        setQuestions([...retired].sort((first, second) => second.ID - first.ID));
+      } catch (err: unknown) {
+        console.error("[RetiredQuestionsList] Failed to load retired questions", err);
+        setError("Failed to load retired questions.");
+        setQuestions([]);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    fetchRetired();
+  }, [reloadKey]);
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-600">
+        Retired questions are no longer given to students. Their responses and stats are kept, and students can still see
+        them in their history. Open a question's review to reopen it as a draft.
+      </p>
+
+      {isLoading && <p className="text-gray-600">Loading retired questions...</p>}
+      {!isLoading && error && <p className="text-red-500">{error}</p>}
+      {!isLoading && !error && questions.length === 0 && (
+        <p className="text-gray-600">No retired questions found for this professor account.</p>
+      )}
+
+      {questions.map((question) => (
+        <div key={question.ID} className="border border-gray-200 rounded-lg p-4 bg-gray-50 flex flex-col md:flex-row md:items-start md:justify-between gap-3">
+          <div className="min-w-0">
+            <div className="flex items-center gap-2 flex-wrap">
+              <h2 className="text-xl font-semibold text-gray-800">Question #{question.ID}</h2>
+              <span className="inline-flex items-center rounded-full bg-gray-300 text-gray-800 px-2.5 py-0.5 text-xs font-semibold">
+                Retired
+              </span>
+            </div>
+            <p className="text-sm text-gray-600 mt-1">
+              {question.CATEGORY || "No category"} • {question.SUBCATEGORY || "No subcategory"} • {question.TYPE}
+            </p>
+            <p className="text-sm text-gray-700 mt-1 truncate">{question.QUESTION_TEXT}</p>
+          </div>
+          <button
+            type="button"
+            onClick={() => onOpen(question.ID)}
+            className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-semibold px-4 py-2 rounded-lg transition shrink-0"
+          >
+            Review
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default RetiredQuestionsList;
@@ -0,0 +1,35 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          RichText.tsx
+//  Description:   Renders question text: Markdown, HTML, images,
+//                 fenced code and LaTeX math. Used everywhere
+//                 question text is shown so students and authors
+//                 see it the same way.
+//
+//  Dependencies:  react
+//                 html-react-parser
+//                 katex stylesheet
+//                 richText
+//
+////////////////////////////////////////////////////////////////
+
+import React, { useMemo } from "react";
+import parse from "html-react-parser";
+import "katex/dist/katex.min.css";
+import { renderRichText } from "../utils/richText";
+
+type Props = {
+  text: string;
+  inline?: boolean; // no paragraphs, for text between inline elements
+};
+
+const RichText: React.FC<Props> = ({ text, inline = false }) => {
+  const html = useMemo(() => renderRichText(text, { inline }), [text, inline]);
+
+  return <>{parse(html)}</>;
+};
+
+export default RichText;
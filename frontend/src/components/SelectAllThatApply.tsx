@@ -7,16 +7,14 @@
 //  Description:   Select all that apply question component.
 //
 //  Dependencies:  react
-//                 html-react-parser
-//                 dompurify
+//                 RichText component
 //                 models (Question)
 //
 ////////////////////////////////////////////////////////////////
 
 import React from "react";
-import parse from "html-react-parser";
-import DOMPurify from "dompurify";
 import { Question } from "../models";
+import RichText from "./RichText";
 import { formatSubcategoryLabel } from "../utils/topicLabels";
 
 type Props = {
@@ -87,7 +85,7 @@ const SelectAllThatApply: React.FC<Props> = ({
 
       <div className="question-rich-text text-base sm:text-lg md:text-xl font-medium mb-4">
         {/* sanitize html coming from the api before rendering */}
-        {parse(DOMPurify.sanitize(current.QUESTION_TEXT))}
+        <RichText text={current.QUESTION_TEXT} />
       </div>
 
       {/* select all that apply instruction */}
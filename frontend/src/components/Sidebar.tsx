@@ -151,7 +151,11 @@ const Sidebar = () => {
         {menuItems.map((item) => {
           const isDisabled = item.path === "";
           const isActive = !isDisabled && (
-            (item.path === "/topic-practice" && location.pathname.includes("/topic")) ||
+            (item.path === "/topic-practice" && (
+              location.pathname.includes("/topic") ||
+              location.pathname.startsWith("/question-browser") ||
+              location.pathname.startsWith("/picked-practice")
+            )) ||
             location.pathname.startsWith(item.path)
           );
 
@@ -9,6 +9,7 @@
 //  Dependencies:  react
 //                 api instance
 //                 models (RawQuestion, HistoryEntry, HistoryResponse)
+//                 taxonomyStore
 //                 topicLabels
 //
 ////////////////////////////////////////////////////////////////
@@ -17,7 +18,8 @@ import React, { useCallback, useEffect, useState } from 'react';
 import { useNavigate } from "react-router-dom";
 import api from "../api";
 import { HistoryEntry, HistoryResponse, ProgressData} from '../models';
-import { ALL_TOPICS} from "../utils/topicLabels"
+import { useTaxonomyStore } from "../stores/taxonomyStore";
+import { formatSubcategoryLabel, getSubcategoryNames, toSubcategoryName } from "../utils/topicLabels";
 
 /*
 export interface HistoryEntry
@@ -88,6 +90,8 @@ interface AggregateData
 const StatsViewer: React.FC = () => {
 
   const navigate = useNavigate();
+  const { categories } = useTaxonomyStore();
+  const topics = getSubcategoryNames(categories);
   const   [history, setHistory]         = useState<HistoryEntry[]>([]);
   //var allHistory: HistoryEntry[] = [];
   const [progressData, setProgressData] = useState<ProgressData>({});
@@ -148,7 +152,7 @@ const StatsViewer: React.FC = () => {
     {
       let totalPerformance = 0;
       let totalTopicsAttempted = 0;
-      ALL_TOPICS.map((entry) => {
+      topics.map((entry) => {
         totalPerformance += progressData[entry] == null || progressData[entry] == undefined ? 0 : progressData[entry].metric;
         if (progressData[entry] != null && progressData[entry] != undefined) totalTopicsAttempted++;
       })
@@ -308,7 +312,7 @@ const StatsViewer: React.FC = () => {
   useEffect(() => {
     aggregateStats(topicChoice);
   // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [history, progressData, topicChoice]);
+  }, [history, progressData, topicChoice, categories]);
 
   /*
   useEffect(() => {
@@ -365,17 +369,8 @@ const StatsViewer: React.FC = () => {
           : `So Fast! You're a real speed demon!`
   }
 
-  const toCanonicalTopicSlug = (topic?: string): string | null => {
-    const value = String(topic || "").trim();
-    if (!value) {
-      return null;
-    }
-    const normalized = value === "Input/Output" ? "InputOutput" : value;
-    return (ALL_TOPICS as readonly string[]).includes(normalized) ? normalized : null;
-  };
-
   const handlePracticeTopic = (topic: string) => {
-    const slug = toCanonicalTopicSlug(topic);
+    const slug = toSubcategoryName(categories, topic);
     if (!slug) {
       navigate("/topic-practice");
       return;
@@ -418,8 +413,8 @@ const StatsViewer: React.FC = () => {
                 setTopicChoice(topic);
               }}>
                 <option key='0' value="All">All</option>
-                {ALL_TOPICS.map((topic, index) => (
-                    <option key={index+1} value={topic}>{topic}</option>
+                {topics.map((topic, index) => (
+                    <option key={index+1} value={topic}>{formatSubcategoryLabel(topic)}</option>
                 ))};
             </select>
           </div>
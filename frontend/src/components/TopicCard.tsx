@@ -19,58 +19,33 @@ import {
   Network,
   Binary,
   RefreshCcw,
+  BookOpen,
 } from "lucide-react";
+import { useTaxonomyStore } from "../stores/taxonomyStore";
 
-const topicGroups = [
-  {
-    title: "Introductory Programming",
-    topics: [
-      { title: "Input/Output", icon: <ArrowRightLeft size={60} /> },
-      { title: "Branching", icon: <GitBranch size={60} /> },
-      { title: "Loops", icon: <Repeat size={60} /> },
-      { title: "Variables", icon: <Braces size={60} /> },
-    ],
-  },
-  {
-    title: "Simple Data Structures",
-    topics: [
-      { title: "Arrays", icon: <TableProperties size={60} /> },
-      { title: "Linked Lists", icon: <Route size={60} /> },
-      { title: "Strings", icon: <Text size={60} /> },
-    ],
-  },
-  {
-    title: "Object Oriented Programming",
-    topics: [
-      { title: "Classes", icon: <Component size={60} /> },
-      { title: "Methods", icon: <FileCode size={60} /> },
-    ],
-  },
-  {
-    title: "Intermediate Data Structures",
-    topics: [
-      { title: "Trees", icon: <Workflow size={60} /> },
-      { title: "Stacks", icon: <Layers size={60} /> },
-    ],
-  },
-  {
-    title: "Complex Data Structures",
-    topics: [
-      { title: "Heaps", icon: <Boxes size={60} /> },
-      { title: "Tries", icon: <Network size={60} /> },
-    ],
-  },
-  {
-    title: "Intermediate Programming",
-    topics: [
-      { title: "Bitwise Operators", icon: <Binary size={60} /> },
-      { title: "Dynamic Memory", icon: <MemoryStick size={60} /> },
-      { title: "Algorithm Analysis", icon: <BarChart2 size={60} /> },
-      { title: "Recursion", icon: <RefreshCcw size={60} /> },
-      { title: "Sorting", icon: <ArrowUpDown size={60} /> },
-    ],
-  },
-];
+// Icons by subcategory name, subcategories added later get the default icon
+const topicIcons: Record<string, React.ReactNode> = {
+  "InputOutput": <ArrowRightLeft size={60} />,
+  "Branching": <GitBranch size={60} />,
+  "Loops": <Repeat size={60} />,
+  "Variables": <Braces size={60} />,
+  "Arrays": <TableProperties size={60} />,
+  "Linked Lists": <Route size={60} />,
+  "Strings": <Text size={60} />,
+  "Classes": <Component size={60} />,
+  "Methods": <FileCode size={60} />,
+  "Trees": <Workflow size={60} />,
+  "Stacks": <Layers size={60} />,
+  "Heaps": <Boxes size={60} />,
+  "Tries": <Network size={60} />,
+  "Bitwise Operators": <Binary size={60} />,
+  "Dynamic Memory": <MemoryStick size={60} />,
+  "Algorithm Analysis": <BarChart2 size={60} />,
+  "Recursion": <RefreshCcw size={60} />,
+  "Sorting": <ArrowUpDown size={60} />,
+};
+
+const defaultTopicIcon = <BookOpen size={60} />;
 
 const groupColorClasses: Record<string, string> = {
   "Introductory Programming": "bg-blue-50 border-blue-200 text-blue-900 hover:bg-blue-100",
@@ -84,36 +59,44 @@ const groupColorClasses: Record<string, string> = {
 const TopicCard: React.FC = () => {
   const [selectedTopic, setSelectedTopic] = useState<string | null>(null);
   const navigate = useNavigate();
+  const { categories, isLoaded, error } = useTaxonomyStore();
 
-  const handleClick = (topicTitle: string) => {
-    setSelectedTopic(topicTitle);
-    const topicSlug = topicTitle === "Input/Output" ? "InputOutput" : topicTitle;
-    navigate(`/topic-practice/${encodeURIComponent(topicSlug)}`);
+  const handleClick = (topicName: string) => {
+    setSelectedTopic(topicName);
+    navigate(`/topic-practice/${encodeURIComponent(topicName)}`);
   };
 
+  if (!isLoaded) {
+    return (
+      <p className="py-6 text-center text-gray-500">
+        {error ? "Topics could not be loaded, please refresh the page." : "Loading topics..."}
+      </p>
+    );
+  }
+
   return (
     <div className="w-full max-w-6xl mx-auto px-4 py-6">
-      {topicGroups.map((group, index) => (
+      {categories.filter((group) => group.subcategories.length > 0).map((group, index) => (
         <section
-          key={group.title}
+          key={group.name}
           className={`space-y-3 ${index === 0 ? "" : "border-t border-gray-300 pt-5 mt-5"}`}
         >
-          <h2 className="text-lg sm:text-xl font-semibold text-gray-600">{group.title}</h2>
+          <h2 className="text-lg sm:text-xl font-semibold text-gray-600">{group.displayName}</h2>
 
           <div className="grid grid-cols-2 gap-2 sm:grid-cols-3 sm:gap-3 lg:grid-cols-4">
-            {group.topics.map((topic) => (
+            {group.subcategories.map((topic) => (
               <button
-                key={topic.title}
-                onClick={() => handleClick(topic.title)}
+                key={topic.name}
+                onClick={() => handleClick(topic.name)}
                 className={`flex flex-col items-center justify-center p-4 border rounded-lg
-                  ${selectedTopic === topic.title
+                  ${selectedTopic === topic.name
                     ? "bg-yellow-500 border-yellow-500 text-black"
-                    : groupColorClasses[group.title] || "bg-white border-gray-200 text-gray-800 hover:bg-gray-100"}
+                    : groupColorClasses[group.name] || "bg-white border-gray-200 text-gray-800 hover:bg-gray-100"}
                   transition-all shadow-md text-sm sm:text-base font-semibold
                   h-28 w-full sm:h-36 md:h-44`}
               >
-                <div>{topic.icon}</div>
-                <span className="mt-2 text-center">{topic.title}</span>
+                <div>{topicIcons[topic.name] ?? defaultTopicIcon}</div>
+                <span className="mt-2 text-center">{topic.displayName}</span>
               </button>
             ))}
           </div>
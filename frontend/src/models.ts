@@ -100,6 +100,16 @@ export interface Answer
   IS_CORRECT_ANSWER:  boolean;
   RANK?:              number;
   PLACEMENT?:         string;  // for drag_and_drop: zone/category label
+  BLANK_ID?:          string | null; // for fill_in_blank with blanks: the blank this answer is for
+  RATIONALE?:         string | null; // Why this option is right or wrong, shown after answering
+}
+
+// Student-safe answer option from /api/test/*
+// id is opaque, submit it in place of the text
+export interface AnswerOption
+{
+  id:   string;
+  text: string;
 }
 
 // What API returns, before processing
@@ -114,7 +124,109 @@ export interface RawQuestion
   POINTS_POSSIBLE: number;
   QUESTION_TEXT:  string;
   OWNER_ID:       number;
-  answers?:       Answer[];
+  options?:       AnswerOption[]; // Shuffled options, no answer key
+  placements?:    string[];       // For drag_and_drop: unique drop zone labels
+  answers?:       Answer[];       // Answer key, only sent to professors
+  codeTemplates?: CodeTemplate[]; // For programming: starter code per language
+  traceCode?:     string;         // For code_trace: the code students read
+  traceLanguageId?: number | null; // For code_trace: Judge0 language of the code
+  TRACE_CODE?:    string | null;  // Code Trace code, as stored, only sent to professors
+  TRACE_LANGUAGE_ID?: number | null; // Code Trace language, as stored, only sent to professors
+  numericUnit?:   string | null;  // For numeric: unit shown next to the answer box
+  NUMERIC_SETTINGS?: NumericSettings | string | null; // Numeric tolerance and unit, as stored, only sent to professors
+  blanks?:        string[];       // For fill_in_blank: IDs of the blanks marked [[id]] in the text, empty for one blank
+  BLANKS?:        Blank[] | string | null; // Fill in the Blanks blanks, as stored, only sent to professors
+  GRADING_POLICY?: GradingPolicy | string | null; // How partly right answers score, as stored, only sent to professors
+  REVIEW_STATUS?: string;         // Review workflow state, only sent to professors
+  tags?:          string[];       // Free-form lowercased tags, only sent to professors
+  EXPLANATION?:   string | null;  // Worked explanation, only sent to professors
+  hints?:         string[];       // Hints in reveal order, only sent to professors
+  hintCount?:     number;         // Hints students can reveal, sent to everyone
+  instance?:      string;         // Signed instance of a template question, sent back with the answer
+  template?:      QuestionTemplate | null; // Template variables, only sent to professors
+}
+
+// How close a Numeric answer has to be, and partial credit further off
+export interface NumericSettings
+{
+  tolerance:     number;
+  toleranceType: "absolute" | "relative";
+  unit:          string | null;
+  creditBands:   { tolerance: number; credit: number }[];
+}
+
+// How a typed answer is matched against a blank's accepted answers
+export type BlankMatchMode = "exact" | "case-sensitive" | "fuzzy" | "regex";
+
+// One named blank of a Fill in the Blanks question, marked [[id]] in the question text
+export interface Blank
+{
+  id:        string;
+  matchMode: BlankMatchMode;
+  weight:    number;
+}
+
+// How a question's score is worked out from the parts of an answer
+export type ScoringMode = "partial" | "negative" | "all-or-nothing";
+
+// How far a Ranked Choice order is from the right one
+export type RankingMetric = "kendall" | "spearman";
+
+// A question's grading policy, settings left null use the question type's defaults
+export interface GradingPolicy
+{
+  scoring:        ScoringMode | null;
+  penalty:        number | null;
+  fuzzyThreshold: number | null;
+  rankingMetric:  RankingMetric | null;
+}
+
+// One blank's score from 0.0 to 1.0, sent back as blankScores when grading a question with blanks
+export interface BlankScore
+{
+  id:    string;
+  score: number;
+}
+
+// One variable of a question template, filled into {{ expression }} placeholders
+export type TemplateVariable =
+  | { name: string; type: "int"; min: number; max: number; step?: number }
+  | { name: string; type: "intArray"; min: number; max: number; length?: number; minLength?: number; maxLength?: number; distinct?: boolean; sorted?: "asc" | "desc" | null }
+  | { name: string; type: "bits"; length: number }
+  | { name: string; type: "choice"; values: (string | number)[] }
+  | { name: string; type: "expr"; expr: string };
+
+// Makes a question generate a fresh instance on every attempt
+export interface QuestionTemplate
+{
+  variables: TemplateVariable[];
+}
+
+// One filled in instance, from POST /api/admin/templates/preview
+export interface TemplateInstance
+{
+  seed:         string;
+  values:       Record<string, string>;
+  questionText: string;
+  traceCode:    string | null;
+  explanation:  string | null;
+  hints:        string[];
+  answers:      { id: string | null; text: string; isCorrect: boolean | null; rationale: string | null }[];
+}
+
+export interface TemplatePreviewResponse
+{
+  instances: TemplateInstance[];
+}
+
+// Starter code for one language of a programming question
+// Function-signature questions have a harness, kept on the server, for each language they accept
+export interface CodeTemplate
+{
+  languageId:        number;
+  functionSignature: string | null;
+  starterCode:       string | null;
+  hasHarness:        boolean;
 }
 
 // What components use after processing, has correct answer
@@ -130,13 +242,22 @@ export interface Question
   QUESTION_TEXT:  string;
   OWNER_ID:       number;
   options:        string[];
+  optionIds?:     Record<string, string>;                                        // Option text -> opaque option ID sent on submit
+  placements?:    string[];                                                      // For drag_and_drop: unique drop zone labels
   answerCorrect:  string;
-  QUESTION_TYPE: 'multiple_choice' | 'fill_in_blank' | 'select_all_that_apply' | 'ranked_choice' | 'drag_and_drop' | 'programming' | undefined;
+  QUESTION_TYPE: 'multiple_choice' | 'fill_in_blank' | 'select_all_that_apply' | 'ranked_choice' | 'drag_and_drop' | 'programming' | 'code_trace' | 'numeric' | undefined;
   correctOrder:   string[] | undefined;                                          // For ranked_choice: correct ordering of answers
   dropZones?:     { id: string; correctAnswer: string }[];                       // For drag_and_drop (old inline style): drop zones with correct answers
   answerObjects?: Answer[];                                                      // For drag_and_drop (placement-based): full answer objects with placement field
   problem?:       { description: string; languages: string[] };                  // For programming: problem metadata
   problemCode?:   { [language: string]: { code: string; output?: string } };     // For programming: code/output by language
+  codeTemplates?: CodeTemplate[];                                                // For programming: starter code per language
+  traceCode?:     string;                                                        // For code_trace: the code students read
+  traceLanguageId?: number | null;                                               // For code_trace: Judge0 language of the code
+  numericUnit?:   string | null;                                                 // For numeric: unit shown next to the answer box
+  blanks?:        string[];                                                      // For fill_in_blank: IDs of the blanks, empty for one blank
+  hintCount?:     number;                                                        // Hints the student can reveal before answering
+  instance?:      string;                                                        // Template questions: the instance shown, sent back with the answer
 }
 
 // History types
@@ -167,11 +288,13 @@ export interface HistoryResponse
 // Types allow union-like behavior to support varying JSON structure
 export type UserAnswer =
   | { type: 'MultipleChoice';     selected:   string }
-  | { type: 'FillInTheBlanks';    entered:    string }
+  | { type: 'FillInTheBlanks';    entered:    string | Record<string, string> }
   | { type: 'SelectAllThatApply'; selected:   string[] }
   | { type: 'RankedChoice';       order:      string[] }
   | { type: 'DragAndDrop';        placements: Record<string, string> }
-  | { type: 'Programming';        language:   string; code: string };
+  | { type: 'CodeTrace';          output:     string }
+  | { type: 'Numeric';            entered:    string }
+  | { type: 'Programming';        language:   string; code: string; passedTests?: number; totalTests?: number };
   
 // Payload written to localStorage by HistoryTable
 // Read by ProblemView component
@@ -194,11 +317,262 @@ export interface PopupPayload
 }
 
 // Test types
-export interface MockTestResponse 
+export interface MockTestResponse
 {
   questions: RawQuestion[];
 }
 
+// GET /api/progress/review response
+export interface ReviewQueueResponse
+{
+  totalDue:  number; // May be more than the questions returned
+  questions: (RawQuestion & {
+    review: { dueAt: string; intervalDays: number; repetitions: number };
+  })[];
+}
+
+// GET /api/test/questions response, questions picked from search
+export interface PickedPracticeResponse
+{
+  total:     number;
+  questions: RawQuestion[]; // In the order picked
+  skipped:   number[];      // Picked IDs that are no longer published, or over the programming limit
+}
+
+// POST /api/admin/assets response, an image uploaded for question text
+export interface QuestionAssetResponse
+{
+  fileName:  string;
+  url:       string; // API path, e.g. /api/assets/<fileName>
+  mimeType:  string;
+  sizeBytes: number;
+}
+
+// One result of GET /api/problems/search, no answers
+export interface QuestionSearchResult
+{
+  ID:              number;
+  TYPE:            string;
+  SECTION:         string;
+  CATEGORY:        string;
+  SUBCATEGORY:     string;
+  POINTS_POSSIBLE: number;
+  QUESTION_TEXT:   string;
+  OWNER_ID:        number | null;
+  IS_PUBLISHED:    number;
+  REVIEW_STATUS?:  string; // Only sent to professors and admins
+  tags:            string[];
+}
+
+// GET /api/problems/search response
+export interface QuestionSearchResponse
+{
+  questions: QuestionSearchResult[];
+  pagination: {
+    page:           number;
+    pageSize:       number;
+    totalQuestions: number;
+    totalPages:     number;
+  };
+}
+
+// GET /api/test/adaptive response
+export interface AdaptivePracticeResponse
+{
+  total:     number;
+  questions: RawQuestion[]; // Heaviest first, weak subcategories and past misses
+  focus: {
+    subcategory:      string;
+    metric:           number | null; // null if never practiced
+    responseCount:    number;
+    targetDifficulty: number;
+  }[];
+  seed:      string;
+}
+
+// Per-subcategory score in a finalized mock test session
+export interface MockTestSubcategoryScore
+{
+  correct:        number;
+  answered:       number;
+  total:          number;
+  pointsEarned:   number;
+  pointsPossible: number;
+}
+
+// Scored result of a finalized mock test session, built by the backend
+export interface MockTestSessionResult
+{
+  completionReason:  'completed' | 'time_limit';
+  totalQuestions:    number;
+  answeredQuestions: number;
+  correctQuestions:  number;
+  pointsEarned:      number;
+  pointsPossible:    number;
+  subcategories:     Record<string, MockTestSubcategoryScore>;
+  questions: {
+    questionId:     number;
+    subcategory:    string;
+    answered:       boolean;
+    isCorrect:      boolean;
+    pointsEarned:   number;
+    pointsPossible: number;
+    elapsedTime:    number | null;
+  }[];
+}
+
+// Stored mock test blueprint from /api/test/blueprints
+export interface MockTestBlueprint
+{
+  id:               number;
+  name:             string;
+  description:      string | null;
+  timeLimitMinutes: number;
+  targetPoints:     number | null;
+  rules: {
+    section:     string | null;
+    category:    string | null;
+    subcategory: string | null;
+    count:       number;
+  }[];
+  typeQuotas:       Record<string, { min: number; max: number | null }>;
+  questionCount:    number;
+  ownerId:          number | null;
+}
+
+export interface MockTestBlueprintsResponse
+{
+  blueprints: MockTestBlueprint[];
+}
+
+// Mock test session state from /api/test/sessions
+export interface MockTestSession
+{
+  sessionId:           number;
+  blueprintId:         number | null; // null for topic-based sessions
+  seed:                string;        // Reproduces the same question selection
+  startedAt:           string;
+  deadline:            string;
+  serverTime:          string;
+  isFinalized:         boolean;
+  isExpired:           boolean;
+  questions:           RawQuestion[];
+  answeredQuestionIds: number[];
+  result:              MockTestSessionResult | null;
+}
+
+// Hints revealed so far, from /api/test/questions/:id/hints
+// Each one takes penaltyPerHint of the points off the next answer
+export interface HintState
+{
+  questionId:     number;
+  hints:          string[];
+  hintsRevealed:  number;
+  hintsTotal:     number;
+  penaltyPerHint: number;
+}
+
+// Why an answer option is right or wrong, keyed by its opaque option ID
+export interface AnswerRationale
+{
+  id:        string;
+  text:      string;
+  rationale: string;
+}
+
+// What a student sees once they have answered a question
+export interface AnswerFeedback
+{
+  explanation:       string | null;
+  hints:             string[];
+  answerRationales?: AnswerRationale[];
+  hintsUsed?:        number;
+  hintPenalty?:      number; // 0.0 to 1.0 of the points taken off
+}
+
+// Result of a finished code job, from POST /api/code/submitCode
+// Graded submissions have the grading fields, test runs have stdout,
+// and code that failed to compile or run has status and error
+export interface CodeSubmissionResult
+{
+  success:         boolean;
+  isTestRun:       boolean;
+  allPassed?:      boolean;
+  passedTests?:    number;
+  totalTests?:     number;
+  pointsEarned?:   number;
+  pointsPossible?: number;
+  testResults?: {
+    testCaseId:     number;
+    hidden:         boolean; // Hidden cases never include input or output
+    weight:         number;
+    input:          string | null;
+    expectedOutput: string | null;
+    actualOutput:   string | null;
+    passed:         boolean;
+    status:         string;
+    executionTime:  string | null;
+    memory:         number | null;
+    error:          string | null;
+  }[];
+  status?:         string;
+  stdout?:         string | null;
+  stderr?:         string | null;
+  compile_output?: string | null;
+  error?:          string | null;
+  executionTime?:  string | null;
+  memory?:         number | null;
+  message?:        string;
+  hintsUsed?:      number;
+  hintPenalty?:    number;
+  explanation?:    string | null;
+  hints?:          string[];
+}
+
+export type CodeJobStatus = "queued" | "running" | "completed" | "failed";
+
+// Code job from /api/code/jobs/:id and its event stream
+export interface CodeJob
+{
+  id:          string;
+  status:      CodeJobStatus;
+  problemId:   number;
+  isTestRun:   boolean;
+  totalTests:  number;
+  testResults: ({ passed: boolean; status: string; hidden: boolean } | null)[]; // null until that test case finishes
+  result:      CodeSubmissionResult | null;
+  error:       { statusCode: number; message: string } | null;
+  createdAt:   string;
+  updatedAt:   string;
+}
+
+// Taxonomy types, from GET /api/taxonomy
+// name is what questions and responses store, displayName is what students see
+export interface TaxonomyEntry
+{
+  id:          number;
+  name:        string;
+  displayName: string;
+  sortOrder:   number;
+}
+
+export interface TaxonomySubcategory extends TaxonomyEntry
+{
+  categoryId: number;
+  difficulty: number;
+}
+
+export interface TaxonomyCategory extends TaxonomyEntry
+{
+  subcategories: TaxonomySubcategory[];
+}
+
+export interface TaxonomyResponse
+{
+  sections:   TaxonomyEntry[];
+  categories: TaxonomyCategory[];
+}
+
 // Progress types
 export interface ProgressData
 {
@@ -11,30 +11,53 @@
 //                 Layout component
 //                 MockTestInfo component
 //                 FillInTheBlank component
+//                 CodeTrace component
+//                 NumericAnswer component
 //                 SelectAllThatApply component
 //                 MockTestResult component
-//                 models (Question, MockTestResponse)
+//                 models (Question, MockTestSession, MockTestBlueprint, CodeJob, BlankScore)
 //                 axios (isAxiosError)
+//                 taxonomyStore
 //                 topicLabels
+//                 answerOptions
+//                 codeJobs
+//                 codeLanguages
+//                 blanks utils
 //
 ////////////////////////////////////////////////////////////////
 
-import React, { useEffect, useMemo, useState, useRef } from "react";
+import React, { useCallback, useEffect, useMemo, useState, useRef } from "react";
 import Layout from "../components/Layout";
 import MockTestInfo from "../components/MockTestInfo";
 import MockTestResult from "../components/MockTestResult";
 import MultipleChoice from "../components/MultipleChoice";
 import FillInTheBlank from "../components/FillInTheBlank";
+import CodeTrace from "../components/CodeTrace";
+import NumericAnswer from "../components/NumericAnswer";
 import SelectAllThatApply from "../components/SelectAllThatApply";
 import RankedChoice from "../components/RankedChoice";
 import DragAndDrop from "../components/DragAndDrop";
 import Programming from "../components/Programming";
 import api from "../api";
-import { Question, RawQuestion } from "../models";
+import {
+  BlankScore,
+  CodeJob,
+  MockTestBlueprint,
+  MockTestBlueprintsResponse,
+  MockTestSession,
+  MockTestSessionResult,
+  Question,
+  RawQuestion,
+} from "../models";
 import { isAxiosError } from "axios";
-import { ALL_TOPICS } from "../utils/topicLabels";
-
-const DEFAULT_SELECTED_TOPICS = ["InputOutput", "Branching", "Loops", "Variables"];
+import { useTaxonomyStore } from "../stores/taxonomyStore";
+import { getSubcategoryNames } from "../utils/topicLabels";
+import { buildOptionIdMap, toOptionIdAnswer } from "../utils/answerOptions";
+import { CodeJobError, runCodeJob } from "../utils/codeJobs";
+import { LANGUAGE_IDS } from "../utils/codeLanguages";
+import { allBlanksFilled } from "../utils/blanks";
+
+// Keep these in sync with shared/mockTestConfig.js, the backend clamps to the same limits
 const DEFAULT_QUESTION_COUNT = 12;
 const MIN_QUESTION_COUNT = 1;
 const MAX_QUESTION_COUNT = 50;
@@ -42,8 +65,6 @@ const DEFAULT_TIME_LIMIT_MINUTES = 30;
 const MIN_TIME_LIMIT_MINUTES = 5;
 const MAX_TIME_LIMIT_MINUTES = 180;
 
-const shuffleArray = <T,>(items: T[]): T[] => [...items].sort(() => 0.5 - Math.random());
-
 const clampTimeLimit = (minutes: number): number => {
   if (!Number.isFinite(minutes)) {
     return DEFAULT_TIME_LIMIT_MINUTES;
@@ -60,11 +81,6 @@ const clampQuestionCount = (count: number): number => {
   return Math.min(MAX_QUESTION_COUNT, Math.max(MIN_QUESTION_COUNT, Math.round(count)));
 };
 
-const toApiTopicSlug = (topic: string): string => {
-  const normalized = String(topic || "").trim();
-  return normalized === "Input/Output" ? "InputOutput" : normalized;
-};
-
 const normalizeQuestionType = (
   type?: string
 ): Question["QUESTION_TYPE"] => {
@@ -75,6 +91,8 @@ const normalizeQuestionType = (
       return "multiple_choice";
     case "fill in the blanks":
       return "fill_in_blank";
+    case "numeric":
+      return "numeric";
     case "select all that apply":
       return "select_all_that_apply";
     case "ranked choice":
@@ -83,23 +101,17 @@ const normalizeQuestionType = (
       return "drag_and_drop";
     case "programming":
       return "programming";
+    case "code trace":
+      return "code_trace";
     default:
       return undefined;
   }
 };
 
+// Questions arrive as student-safe projections: options are already
+// shuffled by the API and there is no answer key to carry along.
 const toQuestion = (question: RawQuestion): Question | null => {
-  const correctAnswer = question.answers?.find((answer) => answer.IS_CORRECT_ANSWER);
   const normalizedType = normalizeQuestionType(question.TYPE);
-  const allAnswerTexts = question.answers?.map((answer) => answer.TEXT) || [];
-
-  const correctOrder = normalizedType === "ranked_choice"
-    ? [...(question.answers || [])]
-      .sort((left, right) => (left.RANK ?? 0) - (right.RANK ?? 0))
-      .map((answer) => answer.TEXT)
-    : undefined;
-
-  const shuffledOptions = shuffleArray(allAnswerTexts);
 
   if (!normalizedType) {
     return null;
@@ -115,56 +127,48 @@ const toQuestion = (question: RawQuestion): Question | null => {
     POINTS_POSSIBLE: question.POINTS_POSSIBLE,
     QUESTION_TEXT: question.QUESTION_TEXT,
     OWNER_ID: question.OWNER_ID,
-    answerCorrect: normalizedType === "ranked_choice"
-      ? (correctOrder || []).join(", ")
-      : correctAnswer?.TEXT || "",
-    options: shuffledOptions,
+    answerCorrect: "",
+    options: (question.options || []).map((option) => option.text),
+    optionIds: buildOptionIdMap(question.options),
+    placements: normalizedType === "drag_and_drop" ? question.placements || [] : undefined,
     QUESTION_TYPE: normalizedType,
-    correctOrder,
-    answerObjects: normalizedType === "drag_and_drop" ? question.answers || [] : undefined,
-    dropZones: normalizedType === "drag_and_drop"
-      ? [...(question.answers || [])].map((answer, index) => ({
-          id: `zone-${index}`,
-          correctAnswer: answer.TEXT,
-        }))
-      : undefined,
+    correctOrder: undefined,
     problem: normalizedType === "programming"
       ? {
           description: question.QUESTION_TEXT,
           languages: ["C", "C++", "Java", "Python"],
         }
       : undefined,
-    problemCode: normalizedType === "programming"
-      ? (question.answers || []).reduce((accumulator, answer) => {
-          accumulator[answer.TEXT] = {
-            code: answer.IS_CORRECT_ANSWER ? "// Solution" : "// Code",
-            output: "",
-          };
-          return accumulator;
-        }, {} as { [language: string]: { code: string; output?: string } })
-      : undefined,
+    codeTemplates: question.codeTemplates,
+    traceCode: question.traceCode,
+    traceLanguageId: question.traceLanguageId,
+    numericUnit: question.numericUnit,
+    blanks: question.blanks,
   };
 };
 
 const MockTestPage: React.FC = () => {
-  const isProfessorAccount = localStorage.getItem("account_type") === "professor";
   const [step, setStep] = useState<"info" | "test" | "result">("info");
   const [questions, setQuestions] = useState<Question[]>([]);
-  const [selectedTopics, setSelectedTopics] = useState<string[]>(DEFAULT_SELECTED_TOPICS);
+  const { categories } = useTaxonomyStore();
+  const allTopics = useMemo(() => getSubcategoryNames(categories), [categories]);
+  const [selectedTopics, setSelectedTopics] = useState<string[]>([]);
   const [questionCount, setQuestionCount] = useState<number>(DEFAULT_QUESTION_COUNT);
   const [timeLimitMinutes, setTimeLimitMinutes] = useState<number>(DEFAULT_TIME_LIMIT_MINUTES);
+  const [blueprints, setBlueprints] = useState<MockTestBlueprint[]>([]);
+  const [selectedBlueprintId, setSelectedBlueprintId] = useState<number | null>(null); // null = custom topics
   const [timeRemainingSeconds, setTimeRemainingSeconds] = useState<number>(DEFAULT_TIME_LIMIT_MINUTES * 60);
   const [isPreparingTest, setIsPreparingTest] = useState(false);
   const [setupError, setSetupError] = useState("");
-  const [completionReason, setCompletionReason] = useState<"completed" | "time_limit">("completed");
+  const [sessionId, setSessionId] = useState<number | null>(null);
+  const [sessionResult, setSessionResult] = useState<MockTestSessionResult | null>(null);
   const [currentIndex, setCurrentIndex] = useState(0);
   const [selectedAnswer, setSelectedAnswer] = useState<string | null>(null);
   const [selectedAnswers, setSelectedAnswers] = useState<string[]>([]);
   const [selectedOrder, setSelectedOrder] = useState<string[]>([]);
   const [droppedAnswers, setDroppedAnswers] = useState<Record<string, string>>({});
-  const [subcategoryScores, setSubcategoryScores] = useState<
-    Record<string, { correct: number; total: number }>
-  >({});
+  const [blankAnswers, setBlankAnswers] = useState<Record<string, string>>({});
+  const [blankScores, setBlankScores] = useState<BlankScore[] | null>(null);
   const [showFeedback, setShowFeedback] = useState(false);
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [isCorrectAnswer, setIsCorrectAnswer] = useState(false);
@@ -177,13 +181,43 @@ const MockTestPage: React.FC = () => {
   const [passedTests, setPassedTests] = useState<number | null>(null);
   const [totalTests, setTotalTests] = useState<number | null>(null);
   const [progSubmitsRemaining, setProgSubmitsRemaining] = useState<number | null>(null);
-  const startTimeRef = useRef<number>(Date.now()); // Ref so we don't need to re-render on change
-  const programmingLanguageIds: Record<string, number> = {
-    C: 50,
-    "C++": 54,
-    Java: 62,
-    Python: 71,
-  };
+  const [codeJob, setCodeJob] = useState<CodeJob | null>(null);
+  // Session deadline on the local clock, corrected for server clock skew
+  const deadlineRef = useRef<number>(Date.now()); // Ref so we don't need to re-render on change
+  const isFinishingRef = useRef(false);
+
+  // Start with the first category's topics selected, once the taxonomy has loaded
+  useEffect(() => {
+    if (categories.length > 0) {
+      setSelectedTopics((current) => (current.length > 0 ? current : categories[0].subcategories.map((subcategory) => subcategory.name)));
+    }
+  }, [categories]);
+
+  // Load the stored blueprints students can pick instead of custom topics
+  useEffect(() => {
+    api.get<MockTestBlueprintsResponse>("/api/test/blueprints")
+      .then((response) => setBlueprints(response.data.blueprints))
+      .catch((error) => console.error("Failed to load mock test blueprints", error));
+  }, []);
+
+  // Finalize the session on the backend and show its scored result
+  const finishTest = useCallback(async () => {
+    if (sessionId === null || isFinishingRef.current) {
+      return;
+    }
+
+    isFinishingRef.current = true;
+    try {
+      const response = await api.post<MockTestSession>(`/api/test/sessions/${sessionId}/finalize`);
+      setSessionResult(response.data.result);
+    } catch (error) {
+      console.error("Failed to finalize mock test session", error);
+      setSessionResult(null);
+    } finally {
+      isFinishingRef.current = false;
+      setStep("result");
+    }
+  }, [sessionId]);
 
   useEffect(() => {
     if (step !== "test") {
@@ -191,27 +225,17 @@ const MockTestPage: React.FC = () => {
     }
 
     const intervalId = window.setInterval(() => {
-      setTimeRemainingSeconds((previous) => {
-        if (previous <= 1) {
-          window.clearInterval(intervalId);
-          setCompletionReason("time_limit");
-          setStep("result");
-          return 0;
-        }
+      const remaining = Math.max(0, Math.ceil((deadlineRef.current - Date.now()) / 1000));
+      setTimeRemainingSeconds(remaining);
 
-        return previous - 1;
-      });
+      if (remaining <= 0) {
+        window.clearInterval(intervalId);
+        void finishTest();
+      }
     }, 1000);
 
     return () => window.clearInterval(intervalId);
-  }, [step]);
-
-  const subcategoryTotals = useMemo(() => {
-    return questions.reduce<Record<string, number>>((accumulator, question) => {
-      accumulator[question.SUBCATEGORY] = (accumulator[question.SUBCATEGORY] || 0) + 1;
-      return accumulator;
-    }, {});
-  }, [questions]);
+  }, [step, finishTest]);
 
   const formattedTimeRemaining = useMemo(() => {
     const minutes = Math.floor(timeRemainingSeconds / 60);
@@ -223,8 +247,6 @@ const MockTestPage: React.FC = () => {
   const questionType = current?.QUESTION_TYPE || 'multiple_choice';
 
   useEffect(() => {
-    // On question change, start the timer
-    startTimeRef.current = Date.now(); 
     if (questionType === "ranked_choice" && current?.options) {
       setSelectedOrder(current.options);
     } else if (questionType === "drag_and_drop") {
@@ -234,9 +256,14 @@ const MockTestPage: React.FC = () => {
 
   const buildUserAnswer = () => {
     switch (questionType) {
-      case "multiple_choice":
       case "fill_in_blank":
+        // Questions with blanks are answered { blankId: text }
+        return current?.blanks?.length ? blankAnswers : selectedAnswer?.trim() || "";
+      case "multiple_choice":
+      case "numeric":
         return selectedAnswer?.trim() || "";
+      case "code_trace":
+        return selectedAnswer || "";
       case "select_all_that_apply":
         return selectedAnswers;
       case "ranked_choice":
@@ -266,7 +293,8 @@ const MockTestPage: React.FC = () => {
     setSelectedAnswers([]);
     setSelectedOrder([]);
     setDroppedAnswers({});
-    setSubcategoryScores({});
+    setBlankAnswers({});
+    setBlankScores(null);
     setShowFeedback(false);
     setIsSubmitting(false);
     setIsCorrectAnswer(false);
@@ -276,6 +304,7 @@ const MockTestPage: React.FC = () => {
     setNormalizedScore(null);
     setProgrammingAnswer("");
     setProgrammingLanguage("C");
+    setCodeJob(null);
   };
 
   const handleToggleTopic = (topic: string) => {
@@ -288,7 +317,7 @@ const MockTestPage: React.FC = () => {
   };
 
   const handleStart = async () => {
-    if (selectedTopics.length === 0) {
+    if (selectedBlueprintId === null && selectedTopics.length === 0) {
       setSetupError("Select at least one topic to build a mock test.");
       return;
     }
@@ -297,96 +326,35 @@ const MockTestPage: React.FC = () => {
     setSetupError("");
 
     try {
-      const settledTopicResponses = await Promise.allSettled(
-        selectedTopics.map(async (topic) => {
-          const topicSlug = toApiTopicSlug(topic);
-          const response = await api.get<RawQuestion[]>(`/api/test/topic/${encodeURIComponent(topicSlug)}`);
-          return { topic, questions: response.data };
-        })
+      // A blueprint brings its own question counts and time limit
+      const response = await api.post<MockTestSession>(
+        "/api/test/sessions",
+        selectedBlueprintId !== null
+          ? { blueprintId: selectedBlueprintId }
+          : {
+              topics: selectedTopics,
+              questionCount: clampQuestionCount(questionCount),
+              timeLimitMinutes: clampTimeLimit(timeLimitMinutes),
+            }
       );
+      const session = response.data;
 
-      const topicQuestions = new Map<string, RawQuestion[]>();
-
-      for (const response of settledTopicResponses) {
-        if (response.status !== "fulfilled") {
-          continue;
-        }
-
-        const shuffledQuestions = shuffleArray(Array.isArray(response.value.questions) ? response.value.questions : []);
-        if (shuffledQuestions.length > 0) {
-          topicQuestions.set(response.value.topic, shuffledQuestions);
-        }
-      }
-
-      const usedQuestionIds = new Set<number>();
-      const assembledQuestions: RawQuestion[] = [];
-      const overflowQuestions: RawQuestion[] = [];
-      const targetQuestionCount = clampQuestionCount(questionCount);
-
-      for (const topic of selectedTopics) {
-        if (assembledQuestions.length >= targetQuestionCount) {
-          break;
-        }
-
-        const questionsForTopic = topicQuestions.get(topic) || [];
-        const firstUnusedQuestion = questionsForTopic.find((question) => !usedQuestionIds.has(question.ID));
-
-        if (firstUnusedQuestion) {
-          assembledQuestions.push(firstUnusedQuestion);
-          usedQuestionIds.add(firstUnusedQuestion.ID);
-        }
-
-        for (const question of questionsForTopic) {
-          if (!usedQuestionIds.has(question.ID)) {
-            overflowQuestions.push(question);
-          }
-        }
-      }
-
-      for (const question of shuffleArray(overflowQuestions)) {
-        if (assembledQuestions.length >= targetQuestionCount) {
-          break;
-        }
-
-        if (usedQuestionIds.has(question.ID)) {
-          continue;
-        }
-
-        assembledQuestions.push(question);
-        usedQuestionIds.add(question.ID);
-      }
-
-      const preparedQuestions = shuffleArray(assembledQuestions)
+      // The backend already picked at most one programming question
+      const preparedQuestions = session.questions
         .map(toQuestion)
         .filter((question): question is Question => question !== null);
 
-      // Ensure that a user is served a maximum of 
-      // one programming question in the entire mock test.
-      let programmingQuestionUsed = false;
-      const filteredQuestions = preparedQuestions.filter(q => {
-        if (q.QUESTION_TYPE !== "programming") return true;
-        if (programmingQuestionUsed) return false;
-        programmingQuestionUsed = true;
-        return true;
-      });
-
-      if (filteredQuestions.length === 0) {
-        setSetupError("No published questions were available for the selected topics.");
+      if (preparedQuestions.length === 0) {
+        setSetupError("No published questions were available for this mock test.");
         return;
       }
 
       // Check and set how many programming submissions
       // the user has left for the day.
-      // The filtering for one programming question
-      // is already done at this point, so this
-      // is just done for the "come back tomorrow" message.
-      const token = localStorage.getItem("token");
+      // This is just done for the "come back tomorrow" message.
       try 
       {
-        const limitRes = await api.get(
-          "/api/code/canSubmit",
-          token ? { headers: { Authorization: `Bearer ${token}` } } : undefined
-        );
+        const limitRes = await api.get("/api/code/canSubmit");
         setProgSubmitsRemaining(limitRes.data.remaining);
       } 
       catch 
@@ -394,24 +362,34 @@ const MockTestPage: React.FC = () => {
         // Just set the questions normally
       }
 
-      setQuestions(filteredQuestions);
+      // Count down to the server's deadline, not our own start time
+      const clockSkew = Date.now() - new Date(session.serverTime).getTime();
+      deadlineRef.current = new Date(session.deadline).getTime() + clockSkew;
+
+      setQuestions(preparedQuestions);
       resetInteractionState();
-      setTimeRemainingSeconds(clampTimeLimit(timeLimitMinutes) * 60);
-      setCompletionReason("completed");
-      startTimeRef.current = Date.now(); // Reset timer on test start
+      setSessionId(session.sessionId);
+      setSessionResult(null);
+      setTimeRemainingSeconds(Math.max(0, Math.ceil((deadlineRef.current - Date.now()) / 1000)));
       setStep("test");
     } catch (error) {
-      console.error("Failed to prepare custom mock test", error);
-      setSetupError("Unable to prepare the mock test right now. Please try again.");
+      console.error("Failed to start mock test session", error);
+      if (isAxiosError(error) && error.response?.status === 404) {
+        setSetupError("No published questions were available for this mock test.");
+      } else {
+        setSetupError("Unable to prepare the mock test right now. Please try again.");
+      }
     } finally {
       setIsPreparingTest(false);
     }
   };
 
   const handleSubmit = async () => {
-    if (!current || isSubmitting) return;
+    if (!current || isSubmitting || sessionId === null) return;
 
-    const hasAnswer = questionType === "multiple_choice" || questionType === "fill_in_blank"
+    const hasAnswer = questionType === "fill_in_blank" && current.blanks?.length
+      ? allBlanksFilled(current.blanks, blankAnswers)
+      : questionType === "multiple_choice" || questionType === "fill_in_blank" || questionType === "numeric" || questionType === "code_trace"
       ? selectedAnswer?.trim()
       : questionType === "ranked_choice"
         ? selectedOrder.length === (current?.options.length || 0)
@@ -426,12 +404,9 @@ const MockTestPage: React.FC = () => {
     // Disable submit button (prevents spam)
     setIsSubmitting(true);
 
-    // Stop timer (compute elapsed time in seconds)
-    const elapsedTime = Math.round((Date.now() - startTimeRef.current) / 1000);
-
+    // Elapsed time is measured by the backend against the session
     if (questionType === "programming") {
-      const languageId = programmingLanguageIds[programmingLanguage];
-      const token = localStorage.getItem("token");
+      const languageId = LANGUAGE_IDS[programmingLanguage];
 
       setGradingFeedback("");
       setPointsEarned(null);
@@ -443,28 +418,26 @@ const MockTestPage: React.FC = () => {
         return;
       }
 
+      setCodeJob(null);
       try {
-        const result = await api.post(
-          "/api/code/submitCode",
+        const data = await runCodeJob(
           {
             problemId: current.ID,
             code: programmingAnswer,
             languageId,
             isTestRun: false,
-            elapsedTime,
+            sessionId,
           },
-          token ? { headers: { Authorization: `Bearer ${token}` } } : undefined
+          setCodeJob
         );
 
-        const data = result.data;
-
         // Decrement remaining submits
         // Backend counts all submits toward daily limit,
         // regardless of correct/incorrect/error,
-        // as long as the response is a 200.
+        // as long as the grading job finishes.
         setProgSubmitsRemaining(prev => prev !== null ? prev - 1 : null);
 
-        const isCorrect = data.success ? data.allPassed : false;
+        const isCorrect = data.success ? Boolean(data.allPassed) : false;
         setIsCorrectAnswer(isCorrect);
 
         // Set these outside if/else since backend always returns them
@@ -486,18 +459,16 @@ const MockTestPage: React.FC = () => {
           setPassedTests(0);
           setGradingFeedback(`${data.status || "Source code error"}${errorDetails ? `: ${errorDetails}` : "."}`);
         }
-
-        const subcategory = current.SUBCATEGORY;
-        setSubcategoryScores((prev) => ({
-          ...prev,
-          [subcategory]: {
-            correct: (prev[subcategory]?.correct || 0) + (isCorrect ? 1 : 0),
-            total: (prev[subcategory]?.total || 0) + 1,
-          },
-        }));
       } 
       catch (error: unknown)
       {
+        // Grading failed before anything was saved, let them submit again.
+        // The progress panel shows the error.
+        if (error instanceof CodeJobError)
+        {
+          setIsSubmitting(false);
+          return;
+        }
         if (isAxiosError(error))
         {
           // Daily submission limit reached.
@@ -508,6 +479,15 @@ const MockTestPage: React.FC = () => {
           {
             setGradingFeedback("Daily programming question submission limit exceeded. Come back tomorrow!");
           } 
+          else if (error.response?.status === 403)
+          {
+            void finishTest();
+            return;
+          }
+          else if (error.response?.status === 409)
+          {
+            setGradingFeedback("This question was already answered.");
+          }
           else
           {
             setGradingFeedback("Submission failed. Please try again later.");
@@ -525,25 +505,13 @@ const MockTestPage: React.FC = () => {
     }
 
     const userAnswer = buildUserAnswer();
-    const token = localStorage.getItem("token");
 
     try
     {
-      const submitConfig = token && !isProfessorAccount
-        ? { headers: { Authorization: `Bearer ${token}` } }
-        : undefined;
-
-      const result = await api.post(
-        "/api/test/submit",
-        {
-          problem_id: current.ID,
-          userAnswer,
-          category: current.CATEGORY,
-          topic: current.SUBCATEGORY,
-          elapsedTime,
-        },
-        submitConfig
-      );
+      const result = await api.post(`/api/test/sessions/${sessionId}/answers`, {
+        problem_id: current.ID,
+        userAnswer: toOptionIdAnswer(current, userAnswer),
+      });
 
       const isCorrect = result.data.isCorrect;
       setIsCorrectAnswer(isCorrect);
@@ -557,18 +525,16 @@ const MockTestPage: React.FC = () => {
       setNormalizedScore(
         typeof result.data.normalizedScore === "number" ? result.data.normalizedScore : null
       );
-
-      const subcategory = current.SUBCATEGORY;
-      setSubcategoryScores((prev) => ({
-        ...prev,
-        [subcategory]: {
-          correct: (prev[subcategory]?.correct || 0) + (isCorrect ? 1 : 0),
-          total: (prev[subcategory]?.total || 0) + 1,
-        },
-      }));
+      setBlankScores(Array.isArray(result.data.blankScores) ? result.data.blankScores : null);
     }
-    catch
+    catch (error: unknown)
     {
+      // Deadline passed on the server, the test is over
+      if (isAxiosError(error) && error.response?.status === 403)
+      {
+        void finishTest();
+        return;
+      }
       console.error("Failed to submit mock test response");
     }
 
@@ -578,13 +544,14 @@ const MockTestPage: React.FC = () => {
 
   const handleNext = () => {
     if (currentIndex + 1 === questions.length) {
-      setCompletionReason("completed");
-      setStep("result");
+      void finishTest();
     } else {
       setSelectedAnswer(null);
       setSelectedAnswers([]);
       setSelectedOrder([]);
       setDroppedAnswers({});
+      setBlankAnswers({});
+      setBlankScores(null);
       setShowFeedback(false);
       setIsSubmitting(false);
       setIsCorrectAnswer(false);
@@ -596,6 +563,7 @@ const MockTestPage: React.FC = () => {
       setProgrammingLanguage("C");
       setPassedTests(null);
       setTotalTests(null);
+      setCodeJob(null);
       setCurrentIndex((prev) => prev + 1);
     }
   };
@@ -603,6 +571,8 @@ const MockTestPage: React.FC = () => {
   const restartTest = () => {
     setStep("info");
     setQuestions([]);
+    setSessionId(null);
+    setSessionResult(null);
     resetInteractionState();
     setTimeRemainingSeconds(clampTimeLimit(timeLimitMinutes) * 60);
   };
@@ -611,16 +581,22 @@ const MockTestPage: React.FC = () => {
     <Layout>
       {step === "info" && (
         <MockTestInfo
-          availableTopics={[...ALL_TOPICS]}
+          availableTopics={allTopics}
           selectedTopics={selectedTopics}
+          blueprints={blueprints}
+          selectedBlueprintId={selectedBlueprintId}
           questionCount={questionCount}
           timeLimitMinutes={timeLimitMinutes}
           isStarting={isPreparingTest}
           errorMessage={setupError}
           onToggleTopic={handleToggleTopic}
+          onSelectBlueprint={(blueprintId) => {
+            setSetupError("");
+            setSelectedBlueprintId(blueprintId);
+          }}
           onSelectAll={() => {
             setSetupError("");
-            setSelectedTopics([...ALL_TOPICS]);
+            setSelectedTopics([...allTopics]);
           }}
           onClearAll={() => {
             setSetupError("");
@@ -720,6 +696,39 @@ const MockTestPage: React.FC = () => {
                 passedTests={passedTests}
                 totalTests={totalTests}
                 submissionsRemaining={progSubmitsRemaining}
+                codeJob={codeJob}
+              />
+            ) : questionType === 'code_trace' ? (
+              <CodeTrace
+                current={current}
+                currentIndex={currentIndex}
+                total={questions.length}
+                selectedAnswer={selectedAnswer}
+                setSelectedAnswer={setSelectedAnswer}
+                handleSubmit={handleSubmit}
+                handleNext={handleNext}
+                showFeedback={showFeedback}
+                isCorrect={isCorrectAnswer}
+                feedbackText={gradingFeedback}
+                pointsEarned={pointsEarned}
+                pointsPossible={pointsPossible}
+                normalizedScore={normalizedScore}
+              />
+            ) : questionType === 'numeric' ? (
+              <NumericAnswer
+                current={current}
+                currentIndex={currentIndex}
+                total={questions.length}
+                selectedAnswer={selectedAnswer}
+                setSelectedAnswer={setSelectedAnswer}
+                handleSubmit={handleSubmit}
+                handleNext={handleNext}
+                showFeedback={showFeedback}
+                isCorrect={isCorrectAnswer}
+                feedbackText={gradingFeedback}
+                pointsEarned={pointsEarned}
+                pointsPossible={pointsPossible}
+                normalizedScore={normalizedScore}
               />
             ) : questionType === 'select_all_that_apply' ? (
               <SelectAllThatApply
@@ -744,6 +753,9 @@ const MockTestPage: React.FC = () => {
                 total={questions.length}
                 selectedAnswer={selectedAnswer}
                 setSelectedAnswer={setSelectedAnswer}
+                blankAnswers={blankAnswers}
+                setBlankAnswers={setBlankAnswers}
+                blankScores={blankScores}
                 handleSubmit={handleSubmit}
                 handleNext={handleNext}
                 showFeedback={showFeedback}
@@ -759,9 +771,7 @@ const MockTestPage: React.FC = () => {
 
         {step === "result" && (
           <MockTestResult
-            subcategoryScores={subcategoryScores}
-            subcategoryTotals={subcategoryTotals}
-            completionReason={completionReason}
+            result={sessionResult}
             onRetry={restartTest}
           />
         )}
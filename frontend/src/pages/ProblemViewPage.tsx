@@ -14,6 +14,7 @@
 //
 //  Dependencies:  react
 //                 @monaco-editor/react
+//                 RichText component
 //                 models (Answer, UserAnswer, PopupPayload)
 //
 ////////////////////////////////////////////////////////////////
@@ -21,23 +22,7 @@
 import React, { useState, useEffect } from 'react';
 import Editor from '@monaco-editor/react';
 import { Answer, UserAnswer, PopupPayload } from '../models';
-
-const TEST_CASES_PER_PROG_QUESTION = 5;
-
-// Helper function, calculates number of test cases passed
-// Returns number of test cases passed and total number of test cases
-// This is very brittle and relies on every single programming question
-// having EXACTLY 5 test cases where each is worth equal point value.
-// However, this way we don't have to pass more info to and from the database/backend.
-const inferTestCaseData = (earned: number | null, possible: number | null): { passed: number, total: number } | null => {
-  if (earned === null || possible === null || possible === 0) 
-  {
-    return null;
-  }
-  const score  = earned / possible;
-  const passed = Math.round(score * TEST_CASES_PER_PROG_QUESTION);
-  return { passed, total: TEST_CASES_PER_PROG_QUESTION };
-};
+import RichText from '../components/RichText';
 
 // Helper function, normalize score from 0 to 1
 const normalizedScore = (earned: number | null, possible: number | null): number => {
@@ -113,9 +98,33 @@ const MultipleChoiceView: React.FC<{ answers: Answer[]; userAnswer: UserAnswer }
 };
 
 // Fill in the Blank view shows user input text and correct answer(s) 
+// Numeric answers are typed text too, so they share it
 const FillInTheBlanksView: React.FC<{ answers: Answer[]; userAnswer: UserAnswer }> = ({ answers, userAnswer }) => {
-  const entered = (userAnswer.type === 'FillInTheBlanks') ? userAnswer.entered : '—';
+  const entered = (userAnswer.type === 'FillInTheBlanks' || userAnswer.type === 'Numeric') ? userAnswer.entered : '—';
   const correct = answers.filter(a => a.IS_CORRECT_ANSWER).map(a => a.TEXT);
+
+  // Questions with blanks were answered { blankId: text }, shown a row per blank
+  if (typeof entered === 'object')
+  {
+    const blankIds = [...new Set(answers.filter(a => a.IS_CORRECT_ANSWER && a.BLANK_ID).map(a => a.BLANK_ID as string))];
+    return (
+      <div className="space-y-3">
+        {blankIds.map((id, i) => (
+          <div key={id} className="grid gap-3 md:grid-cols-2">
+            <div className="px-4 py-3 rounded-lg border border-gray-400 bg-gray-50">
+              <p className="text-xs font-semibold text-gray-500 mb-1">Your answer, blank {i + 1}</p>
+              <p className="text-base font-mono">{entered[id]?.trim() || <em className="text-gray-400">No answer entered</em>}</p>
+            </div>
+            <div className="px-4 py-3 rounded-lg border border-green-400 bg-green-50">
+              <p className="text-xs font-semibold text-green-600 mb-1">Correct answer, blank {i + 1}</p>
+              <p className="text-base font-mono text-green-800">{answers.find(a => a.IS_CORRECT_ANSWER && a.BLANK_ID === id)?.TEXT}</p>
+            </div>
+          </div>
+        ))}
+      </div>
+    );
+  }
+
   return (
     <div className="space-y-3">
       <div className="px-4 py-3 rounded-lg border border-gray-400 bg-gray-50">
@@ -130,6 +139,26 @@ const FillInTheBlanksView: React.FC<{ answers: Answer[]; userAnswer: UserAnswer
   );
 };
 
+// Code Trace view shows the typed output next to the expected output, line breaks kept
+const CodeTraceView: React.FC<{ answers: Answer[]; userAnswer: UserAnswer }> = ({ answers, userAnswer }) => {
+  const output = (userAnswer.type === 'CodeTrace') ? userAnswer.output : '';
+  const expected = answers.find(a => a.IS_CORRECT_ANSWER)?.TEXT ?? '';
+  return (
+    <div className="grid gap-3 md:grid-cols-2">
+      <div className="px-4 py-3 rounded-lg border border-gray-400 bg-gray-50">
+        <p className="text-xs font-semibold text-gray-500 mb-1">Your output</p>
+        {output.trim()
+          ? <pre className="text-sm font-mono whitespace-pre-wrap break-words">{output}</pre>
+          : <em className="text-gray-400">No output entered</em>}
+      </div>
+      <div className="px-4 py-3 rounded-lg border border-green-400 bg-green-50">
+        <p className="text-xs font-semibold text-green-600 mb-1">Expected output</p>
+        <pre className="text-sm font-mono text-green-800 whitespace-pre-wrap break-words">{expected}</pre>
+      </div>
+    </div>
+  );
+};
+
 // Select All That Apply view shows checkmark grid with selected vs correct
 const SelectAllView: React.FC<{ answers: Answer[]; userAnswer: UserAnswer }> = ({ answers, userAnswer }) => {
   const selected = (userAnswer.type === 'SelectAllThatApply') ? new Set(userAnswer.selected) : new Set<string>();
@@ -276,11 +305,7 @@ const DragAndDropView: React.FC<{ answers: Answer[]; userAnswer: UserAnswer }> =
 };
 
 // Programming view shows Monaco read-only editor and score
-const ProgrammingView: React.FC<{ userAnswer: UserAnswer; pointsEarned: number | null; pointsPossible: number | null }> = ({
-  userAnswer,
-  pointsEarned,
-  pointsPossible,
-}) => {
+const ProgrammingView: React.FC<{ userAnswer: UserAnswer }> = ({ userAnswer }) => {
   const language = (userAnswer.type === 'Programming') ? userAnswer.language : 'plaintext';
   const code     = (userAnswer.type === 'Programming') ? userAnswer.code     : '';
 
@@ -288,8 +313,12 @@ const ProgrammingView: React.FC<{ userAnswer: UserAnswer; pointsEarned: number |
   const monacoLanguageIds: Record<string, string> = { C: 'cpp', 'C++': 'cpp', Java: 'java', Python: 'python' };
   const monacoLang = monacoLanguageIds[language] ?? 'plaintext';
 
-  // Number of passed test cases inferred from points earned
-  const testCaseData = inferTestCaseData(pointsEarned, pointsPossible);
+  // Test cases passed, as stored by the grader
+  // Test cases can be weighted, so this can't be worked out from the points,
+  // older answers and code that didn't run don't have it
+  const testCaseData = (userAnswer.type === 'Programming' && userAnswer.passedTests !== undefined && userAnswer.totalTests !== undefined)
+    ? { passed: userAnswer.passedTests, total: userAnswer.totalTests }
+    : null;
 
   return (
     <div className="space-y-4">
@@ -464,10 +493,9 @@ const ProblemView: React.FC = () => {
       {/* Question text */}
       <div>
         <h2 className="text-sm font-semibold text-gray-500 uppercase tracking-wide mb-2">Question</h2>
-        <div
-          className="text-base text-gray-800 leading-relaxed prose prose-sm max-w-none"
-          dangerouslySetInnerHTML={{ __html: payload.questionText }}
-        />
+        <div className="question-rich-text text-base text-gray-800 leading-relaxed max-w-none">
+          <RichText text={payload.questionText} />
+        </div>
       </div>
 
       {/* Answer comparison */}
@@ -480,7 +508,7 @@ const ProblemView: React.FC = () => {
           <p className="text-gray-400 italic">No answer data available for this submission.</p>
         ) : payload.type === 'Multiple Choice' ? (
           <MultipleChoiceView answers={payload.answers} userAnswer={userAnswer} />
-        ) : payload.type === 'Fill in the Blanks' ? (
+        ) : payload.type === 'Fill in the Blanks' || payload.type === 'Numeric' ? (
           <FillInTheBlanksView answers={payload.answers} userAnswer={userAnswer} />
         ) : payload.type === 'Select All That Apply' ? (
           <SelectAllView answers={payload.answers} userAnswer={userAnswer} />
@@ -488,12 +516,10 @@ const ProblemView: React.FC = () => {
           <RankedChoiceView answers={payload.answers} userAnswer={userAnswer} />
         ) : payload.type === 'Drag and Drop' ? (
           <DragAndDropView answers={payload.answers} userAnswer={userAnswer} />
+        ) : payload.type === 'Code Trace' ? (
+          <CodeTraceView answers={payload.answers} userAnswer={userAnswer} />
         ) : payload.type === 'Programming' ? (
-          <ProgrammingView 
-            userAnswer      = {userAnswer}
-            pointsEarned    = {payload.pointsEarned}
-            pointsPossible  = {payload.pointsPossible}
-          />
+          <ProgrammingView userAnswer={userAnswer} />
         ) : (
           // Unkown question type fallback
           <div className="px-4 py-3 rounded-lg border border-gray-400 bg-gray-50 text-sm text-gray-600">
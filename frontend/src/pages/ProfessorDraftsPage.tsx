@@ -1,12 +1,37 @@
 import React, { useCallback, useEffect, useLayoutEffect, useMemo, useRef, useState } from "react";
-import { ArrowDown, Bold, Code, FileCode, GripVertical, Italic, List, ListOrdered, Pilcrow, Trash2, Underline } from "lucide-react";
-import parse from "html-react-parser";
-import DOMPurify from "dompurify";
+import { ArrowDown, Bold, Code, FileCode, GripVertical, ImagePlus, Italic, List, ListOrdered, Pilcrow, Sigma, Trash2, Underline } from "lucide-react";
 import { isAxiosError } from "axios";
 import { useLocation, useNavigate } from "react-router-dom";
 import Layout from "../components/Layout";
+import RichText from "../components/RichText";
+import QuestionBankTransfer from "../components/QuestionBankTransfer";
+import QuestionHistoryPanel from "../components/QuestionHistoryPanel";
+import QuestionPreviewPanel from "../components/QuestionPreviewPanel";
+import QuestionRegradePanel from "../components/QuestionRegradePanel";
+import QuestionReviewPanel from "../components/QuestionReviewPanel";
+import QuestionReviewQueue from "../components/QuestionReviewQueue";
+import QuestionSearchPanel from "../components/QuestionSearchPanel";
+import RetiredQuestionsList from "../components/RetiredQuestionsList";
 import api from "../api";
-import { RawQuestion } from "../models";
+import { Blank, BlankMatchMode, GradingPolicy, NumericSettings, QuestionAssetResponse, QuestionTemplate, RawQuestion, TemplateInstance, TemplatePreviewResponse } from "../models";
+import { useTaxonomyStore } from "../stores/taxonomyStore";
+import { formatSubcategoryLabel, getCategorySubcategoryMap, getSubcategoryNames } from "../utils/topicLabels";
+import { ReviewStatus, REVIEW_STATUS_BADGES, REVIEW_STATUS_LABELS, isReviewStatus, runReviewAction } from "../utils/questionReview";
+import { LANGUAGE_IDS, getLanguageLabel } from "../utils/codeLanguages";
+import { DEFAULT_NUMERIC_SETTINGS, MAX_CREDIT_BANDS, readNumericSettings } from "../utils/numericSettings";
+import { BLANK_ID_PATTERN, BLANK_MARKER, MATCH_MODE_LABELS, MAX_BLANKS, MAX_BLANK_WEIGHT, numberBlanks, readBlanks } from "../utils/blanks";
+import {
+  EMPTY_GRADING_POLICY,
+  MAX_PENALTY,
+  NEGATIVE_MARKING_TYPES,
+  RANKING_METRIC_DESCRIPTIONS,
+  RANKING_METRIC_LABELS,
+  SCORING_MODE_DESCRIPTIONS,
+  SCORING_MODE_LABELS,
+  defaultScoringMode,
+  policyForType,
+  readGradingPolicy,
+} from "../utils/gradingPolicy";
 
 interface DraftAnswer {
   id: string;
@@ -14,6 +39,8 @@ interface DraftAnswer {
   isCorrect: boolean;
   rank: number;
   placement: string;
+  rationale: string;
+  blank: string;
 }
 
 interface QuestionDraft {
@@ -29,6 +56,16 @@ interface QuestionDraft {
   updatedAt: string;
   publishedQuestionId?: number;
   pointsPossible: number;
+  tags: string[];
+  explanation: string;
+  hints: string[];
+  template: QuestionTemplate | null;
+  traceCode: string;
+  traceLanguageId: number;
+  numericSettings: NumericSettings;
+  blanks: Blank[];
+  gradingPolicy: GradingPolicy;
+  reviewStatus?: ReviewStatus;
 }
 
 interface PublishedQuestion {
@@ -65,35 +102,75 @@ const getPointsLabel = (value: number): string => {
   return opt ? opt.label : `${value} pts`;
 };
 
-const topicCategoryMap: Record<string, string[]> = {
-  "Introductory Programming": ["Input/Output", "Branching", "Loops", "Variables"],
-  "Simple Data Structures": ["Arrays", "Linked Lists", "Strings"],
-  "Object Oriented Programming": ["Classes", "Methods"],
-  "Intermediate Data Structures": ["Trees", "Stacks"],
-  "Complex Data Structures": ["Heaps", "Tries"],
-  "Intermediate Programming": ["Bitwise Operators", "Dynamic Memory", "Algorithm Analysis", "Recursion", "Sorting"],
-};
-
-
-
-const defaultSubcategories = Object.values(topicCategoryMap).flat();
-
-const defaultCategories = Object.keys(topicCategoryMap);
-
 const questionTypeOptions = [
   "Multiple Choice",
   "Fill in the Blanks",
   "Select All That Apply",
   "Ranked Choice",
   "Drag and Drop",
+  "Code Trace",
+  "Numeric",
 ];
 
+// Code Trace questions start out in Python, the language most intro courses trace
+const DEFAULT_TRACE_LANGUAGE_ID = LANGUAGE_IDS.Python;
+
+// Every answer is correct for these types: a ranking, a placement or an accepted output
+const isAllCorrectType = (questionType: string): boolean => (
+  questionType === "Ranked Choice" || questionType === "Drag and Drop" || questionType === "Code Trace"
+);
+
+// Answers to these types are sent in the order they're listed
+const isListOrderedType = (questionType: string): boolean => (
+  questionType === "Ranked Choice" || questionType === "Multiple Choice" || questionType === "Fill in the Blanks" ||
+  questionType === "Select All That Apply" || questionType === "Code Trace" || questionType === "Numeric"
+);
+
+// The tags field is comma separated, the server stores tags lowercased
+const parseTagInput = (value: string): string[] => Array.from(
+  new Set(
+    value
+      .split(",")
+      .map((tag) => tag.trim().replace(/\s+/g, " ").toLowerCase())
+      .filter(Boolean)
+  )
+);
+
+// The hints field has one hint per line, in the order students reveal them
+const parseHintInput = (value: string): string[] => (
+  value
+    .split("\n")
+    .map((hint) => hint.trim())
+    .filter(Boolean)
+);
+
+const isQuestionTemplate = (value: unknown): value is QuestionTemplate => (
+  typeof value === "object" &&
+  value !== null &&
+  Array.isArray((value as { variables?: unknown }).variables)
+);
+
+// The template field is JSON, blank for an ordinary question
+const parseTemplateInput = (value: string): QuestionTemplate | null => {
+  if (!value.trim()) return null;
+
+  const parsed: unknown = JSON.parse(value);
+  if (!isQuestionTemplate(parsed)) {
+    throw new SyntaxError("A template needs a variables list");
+  }
+  return parsed;
+};
+
+const TEMPLATE_INPUT_ERROR = 'The template must be JSON like {"variables": [{"name": "n", "type": "int", "min": 1, "max": 9}]}.';
+
 const createEmptyAnswer = (index: number): DraftAnswer => ({
   id: crypto.randomUUID(),
   text: "",
   isCorrect: index === 0,
   rank: index + 1,
   placement: "",
+  rationale: "",
+  blank: "",
 });
 
 const createDefaultAnswers = (): DraftAnswer[] => [createEmptyAnswer(0), createEmptyAnswer(1)];
@@ -155,6 +232,10 @@ const normalizeQuestionType = (questionType?: string): string => {
       return "Ranked Choice";
     case "drag_and_drop":
       return "Drag and Drop";
+    case "code_trace":
+      return "Code Trace";
+    case "numeric":
+      return "Numeric";
     default:
       return "Multiple Choice";
   }
@@ -189,11 +270,13 @@ const buildDraftFromPublishedQuestion = (
       id: crypto.randomUUID(),
       text: String(answer.TEXT || ""),
       isCorrect:
-        questionType === "Ranked Choice" || questionType === "Drag and Drop"
+        isAllCorrectType(questionType)
           ? true
           : parseAnswerCorrectness(answer.IS_CORRECT_ANSWER),
       rank: Number.isFinite(parsedRank) && parsedRank > 0 ? parsedRank : index + 1,
       placement: String(answer.PLACEMENT || "").trim(),
+      rationale: String(answer.RATIONALE || ""),
+      blank: String(answer.BLANK_ID || ""),
     };
   });
 
@@ -228,6 +311,15 @@ const buildDraftFromPublishedQuestion = (
     updatedAt: new Date().toISOString(),
     publishedQuestionId: question.ID,
     pointsPossible: normalizePointsPossible(question.POINTS_POSSIBLE),
+    tags: Array.isArray(question.tags) ? question.tags : [],
+    explanation: String(question.EXPLANATION || ""),
+    hints: Array.isArray(question.hints) ? question.hints : [],
+    template: isQuestionTemplate(question.template) ? question.template : null,
+    traceCode: String(question.TRACE_CODE || ""),
+    traceLanguageId: question.TRACE_LANGUAGE_ID ?? DEFAULT_TRACE_LANGUAGE_ID,
+    numericSettings: readNumericSettings(question.NUMERIC_SETTINGS) ?? DEFAULT_NUMERIC_SETTINGS,
+    blanks: readBlanks(question.BLANKS) ?? [],
+    gradingPolicy: readGradingPolicy(question.GRADING_POLICY) ?? EMPTY_GRADING_POLICY,
   };
 };
 
@@ -252,6 +344,8 @@ const loadDrafts = (): QuestionDraft[] => {
                   isCorrect?: unknown;
                   rank?: unknown;
                   placement?: unknown;
+                  rationale?: unknown;
+                  blank?: unknown;
                 };
 
                 return {
@@ -263,6 +357,8 @@ const loadDrafts = (): QuestionDraft[] => {
                       ? typedAnswer.rank
                       : index + 1,
                   placement: typeof typedAnswer.placement === "string" ? typedAnswer.placement : "",
+                  rationale: typeof typedAnswer.rationale === "string" ? typedAnswer.rationale : "",
+                  blank: typeof typedAnswer.blank === "string" ? typedAnswer.blank : "",
                 };
               })
           : [];
@@ -279,6 +375,15 @@ const loadDrafts = (): QuestionDraft[] => {
           updatedAt?: unknown;
           publishedQuestionId?: unknown;
           pointsPossible?: unknown;
+          tags?: unknown;
+          explanation?: unknown;
+          hints?: unknown;
+          template?: unknown;
+          traceCode?: unknown;
+          traceLanguageId?: unknown;
+          numericSettings?: unknown;
+          blanks?: unknown;
+          gradingPolicy?: unknown;
         };
 
         const safeDropSections = Array.isArray(typedItem.dropSections)
@@ -313,6 +418,19 @@ const loadDrafts = (): QuestionDraft[] => {
           updatedAt: typeof typedItem.updatedAt === "string" ? typedItem.updatedAt : new Date().toISOString(),
           publishedQuestionId: parsedPublishedQuestionId,
           pointsPossible: normalizePointsPossible(typedItem.pointsPossible),
+          tags: Array.isArray(typedItem.tags)
+            ? typedItem.tags.filter((tag): tag is string => typeof tag === "string")
+            : [],
+          explanation: typeof typedItem.explanation === "string" ? typedItem.explanation : "",
+          hints: Array.isArray(typedItem.hints)
+            ? typedItem.hints.filter((hint): hint is string => typeof hint === "string")
+            : [],
+          template: isQuestionTemplate(typedItem.template) ? typedItem.template : null,
+          traceCode: typeof typedItem.traceCode === "string" ? typedItem.traceCode : "",
+          traceLanguageId: typeof typedItem.traceLanguageId === "number" ? typedItem.traceLanguageId : DEFAULT_TRACE_LANGUAGE_ID,
+          numericSettings: readNumericSettings(typedItem.numericSettings as NumericSettings | null) ?? DEFAULT_NUMERIC_SETTINGS,
+          blanks: readBlanks(typedItem.blanks as Blank[] | null) ?? [],
+          gradingPolicy: readGradingPolicy(typedItem.gradingPolicy as GradingPolicy | null) ?? EMPTY_GRADING_POLICY,
         } as QuestionDraft;
       });
   } catch {
@@ -331,6 +449,7 @@ const buildDraftFromServerQuestion = (question: RawQuestion): QuestionDraft => {
     id: String(question.ID),
     title: mapped.title || `${question.CATEGORY || "Question"} #${question.ID}`,
     publishedQuestionId: undefined,
+    reviewStatus: isReviewStatus(question.REVIEW_STATUS) ? question.REVIEW_STATUS : "draft",
   };
 };
 
@@ -344,6 +463,15 @@ const emptyForm = {
   answers: createDefaultAnswers(),
   dropSections: createDefaultDropSections(),
   pointsPossible: String(DEFAULT_POINTS_POSSIBLE),
+  tags: "",
+  explanation: "",
+  hints: "",
+  template: "",
+  traceCode: "",
+  traceLanguageId: String(DEFAULT_TRACE_LANGUAGE_ID),
+  numericSettings: DEFAULT_NUMERIC_SETTINGS,
+  blanks: [] as Blank[],
+  gradingPolicy: EMPTY_GRADING_POLICY,
 };
 
 const ProfessorDraftsPage: React.FC = () => {
@@ -363,29 +491,53 @@ const ProfessorDraftsPage: React.FC = () => {
   const [draggedAnswerId, setDraggedAnswerId] = useState<string | null>(null);
   const answerRefs = useRef<Map<string, HTMLDivElement>>(new Map());
   const answerPositions = useRef<Map<string, DOMRect>>(new Map());
-  const [availableCategories, setAvailableCategories] = useState<string[]>(defaultCategories);
-  const [availableSubcategories, setAvailableSubcategories] = useState<string[]>(defaultSubcategories);
+  const { categories } = useTaxonomyStore();
   const [showQuestionPreview, setShowQuestionPreview] = useState(false);
   const questionTextRef = useRef<HTMLTextAreaElement | null>(null);
-  const [activeTab, setActiveTab] = useState<"drafts" | "published">("drafts");
+  const questionImageInputRef = useRef<HTMLInputElement | null>(null);
+  const [isUploadingImage, setIsUploadingImage] = useState(false);
+  const [activeTab, setActiveTab] = useState<"drafts" | "published" | "reviews" | "retired" | "search">("drafts");
   const [publishedQuestions, setPublishedQuestions] = useState<PublishedQuestion[]>([]);
   const [isLoadingPublished, setIsLoadingPublished] = useState(false);
   const [publishedLoadError, setPublishedLoadError] = useState("");
   const [pendingDeletePublishedId, setPendingDeletePublishedId] = useState<number | null>(null);
   const [publishedActionId, setPublishedActionId] = useState<number | null>(null);
+  const [draftsReloadKey, setDraftsReloadKey] = useState(0);
+  const [historyQuestionId, setHistoryQuestionId] = useState<number | null>(null);
+  const [reviewQuestionId, setReviewQuestionId] = useState<number | null>(null);
+  const [previewQuestionId, setPreviewQuestionId] = useState<number | null>(null);
+  const [regradeQuestionId, setRegradeQuestionId] = useState<number | null>(null);
+  const [templateInstances, setTemplateInstances] = useState<TemplateInstance[]>([]);
+  const [templateCheckError, setTemplateCheckError] = useState("");
+  const [isCheckingTemplate, setIsCheckingTemplate] = useState(false);
+  const [traceRunMessage, setTraceRunMessage] = useState("");
+  const [isRunningTrace, setIsRunningTrace] = useState(false);
+  const [reviewQueueReloadKey, setReviewQueueReloadKey] = useState(0);
+  const [retiredReloadKey, setRetiredReloadKey] = useState(0);
 
   const sortedDrafts = useMemo(
     () => [...drafts].sort((a, b) => b.updatedAt.localeCompare(a.updatedAt)),
     [drafts]
   );
 
+  const topicCategoryMap = useMemo(() => getCategorySubcategoryMap(categories), [categories]);
+
   const subcategoryOptions = useMemo(() => {
     const selectedCategory = form.category.trim();
     if (selectedCategory && topicCategoryMap[selectedCategory]) {
       return topicCategoryMap[selectedCategory];
     }
-    return availableSubcategories;
-  }, [form.category, availableSubcategories]);
+    return getSubcategoryNames(categories);
+  }, [form.category, topicCategoryMap, categories]);
+
+  // Whether the form is a Fill in the Blanks question with its blanks listed
+  const hasBlanks = form.questionType === "Fill in the Blanks" && form.blanks.length > 0;
+
+  // Negative marking needs an answer in parts, and scoring left unset is the type's default
+  const canNegativeMark = NEGATIVE_MARKING_TYPES.includes(form.questionType)
+    && (form.questionType !== "Fill in the Blanks" || hasBlanks);
+  const pickedScoring = form.gradingPolicy.scoring === "negative" && !canNegativeMark ? null : form.gradingPolicy.scoring;
+  const scoringMode = pickedScoring ?? defaultScoringMode(form.questionType);
 
   const linkedDraftByPublishedId = useMemo(() => {
     const map = new Map<number, QuestionDraft>();
@@ -402,38 +554,6 @@ const ProfessorDraftsPage: React.FC = () => {
     [drafts, editingId]
   );
 
-  const questionPreviewHtml = useMemo(
-    () => DOMPurify.sanitize(form.questionText),
-    [form.questionText]
-  );
-
-  useEffect(() => {
-    const fetchAvailableQuestionMetadata = async () => {
-      try {
-        const res = await api.get<{ questions?: Array<{ SECTION?: string; CATEGORY?: string; SUBCATEGORY?: string }> }>("/api/test/mocktest");
-        const questions = res.data?.questions || [];
-
-        // sectionsFromApi removed
-        const subcategoriesFromApi = questions
-          .map((question) => String(question.SUBCATEGORY || "").trim())
-          .filter(Boolean);
-
-        // setAvailableSections removed
-        const mappedCategoryNames = defaultCategories;
-        const mergedSubcategories = Array.from(new Set(subcategoriesFromApi));
-
-        setAvailableCategories(mappedCategoryNames);
-        setAvailableSubcategories(mergedSubcategories.length > 0 ? mergedSubcategories : defaultSubcategories);
-      } catch {
-        // setAvailableSections removed
-        setAvailableCategories(defaultCategories);
-        setAvailableSubcategories(defaultSubcategories);
-      }
-    };
-
-    fetchAvailableQuestionMetadata();
-  }, []);
-
   useEffect(() => {
     const fetchDrafts = async () => {
       if (!isProfessor || activeTab !== "drafts") {
@@ -492,7 +612,7 @@ const ProfessorDraftsPage: React.FC = () => {
     };
 
     fetchDrafts();
-  }, [activeTab, isProfessor]);
+  }, [activeTab, isProfessor, draftsReloadKey]);
 
   useEffect(() => {
     const fetchPublishedQuestions = async () => {
@@ -573,6 +693,163 @@ const ProfessorDraftsPage: React.FC = () => {
   const resetForm = () => {
     setForm(emptyForm);
     setEditingId(null);
+    setTemplateInstances([]);
+    setTemplateCheckError("");
+    setTraceRunMessage("");
+  };
+
+  // Fills in a few instances of the template, so authors can see what students will get
+  const handleCheckTemplate = async () => {
+    setTemplateInstances([]);
+    setTemplateCheckError("");
+
+    let template: QuestionTemplate | null;
+    try {
+      template = parseTemplateInput(form.template);
+    } catch {
+      setTemplateCheckError(TEMPLATE_INPUT_ERROR);
+      return;
+    }
+    if (!template) {
+      setTemplateCheckError("Add a template to check it.");
+      return;
+    }
+
+    const filledAnswers = form.answers.filter((answer) => answer.text.trim());
+    setIsCheckingTemplate(true);
+    try {
+      const response = await api.post<TemplatePreviewResponse>("/api/admin/templates/preview", {
+        type: form.questionType,
+        question_text: form.questionText,
+        answer_text: filledAnswers.map((answer) => answer.text.trim()),
+        answer_correctness: filledAnswers.map((answer) => (answer.isCorrect ? 1 : 0)),
+        answer_rationale: filledAnswers.map((answer) => answer.rationale.trim()),
+        explanation: form.explanation.trim(),
+        hints: parseHintInput(form.hints),
+        template,
+        trace_code: form.questionType === "Code Trace" ? form.traceCode : undefined,
+      });
+      setTemplateInstances(response.data.instances);
+    } catch (err: unknown) {
+      setTemplateCheckError((isAxiosError(err) && err.response?.data?.message) || "Failed to check the template.");
+    } finally {
+      setIsCheckingTemplate(false);
+    }
+  };
+
+  // Runs the code to trace and puts what it prints in as the expected output
+  const handleRunTraceCode = async () => {
+    setTraceRunMessage("");
+    if (!form.traceCode.trim()) {
+      setTraceRunMessage("Add code to run it.");
+      return;
+    }
+
+    setIsRunningTrace(true);
+    try {
+      const response = await api.post<{ output: string | null; status: string; error: string | null }>(
+        "/api/admin/code-trace/run",
+        { code: form.traceCode, languageId: Number(form.traceLanguageId) }
+      );
+      const { output, status, error: runError } = response.data;
+      if (output === null) {
+        setTraceRunMessage(`${status}${runError ? `: ${runError}` : ""}`);
+        return;
+      }
+
+      setForm((prev) => ({
+        ...prev,
+        answers: [
+          { ...(prev.answers[0] ?? createEmptyAnswer(0)), text: output, isCorrect: true, rank: 1, placement: "" },
+          ...prev.answers.slice(1),
+        ],
+      }));
+      setTraceRunMessage(output.trim() ? "Expected output filled in from the run." : "The code ran but printed nothing.");
+    } catch (err: unknown) {
+      setTraceRunMessage((isAxiosError(err) && err.response?.data?.message) || "Failed to run the code.");
+    } finally {
+      setIsRunningTrace(false);
+    }
+  };
+
+  const handleNumericSettingsChange = (changes: Partial<NumericSettings>) => {
+    setForm((prev) => ({
+      ...prev,
+      numericSettings: { ...prev.numericSettings, ...changes },
+    }));
+  };
+
+  const handleCreditBandChange = (bandIndex: number, field: "tolerance" | "credit", value: number) => {
+    handleNumericSettingsChange({
+      creditBands: form.numericSettings.creditBands.map((band, index) => (
+        index === bandIndex ? { ...band, [field]: value } : band
+      )),
+    });
+  };
+
+  // A new band starts out twice as wide as the widest one so far, at half credit
+  const handleAddCreditBand = () => {
+    const { tolerance, creditBands } = form.numericSettings;
+    const widest = Math.max(tolerance, ...creditBands.map((band) => band.tolerance));
+    handleNumericSettingsChange({
+      creditBands: [...creditBands, { tolerance: widest > 0 ? widest * 2 : 1, credit: 0.5 }],
+    });
+  };
+
+  const handleDeleteCreditBand = (bandIndex: number) => {
+    handleNumericSettingsChange({
+      creditBands: form.numericSettings.creditBands.filter((_, index) => index !== bandIndex),
+    });
+  };
+
+  const handleGradingPolicyChange = (changes: Partial<GradingPolicy>) => {
+    setForm((prev) => ({
+      ...prev,
+      gradingPolicy: { ...prev.gradingPolicy, ...changes },
+    }));
+  };
+
+  // Renaming a blank moves its answers along with it
+  const handleBlankChange = (blankIndex: number, changes: Partial<Blank>) => {
+    setForm((prev) => {
+      const previousId = prev.blanks[blankIndex]?.id;
+      return {
+        ...prev,
+        blanks: prev.blanks.map((blank, index) => (index === blankIndex ? { ...blank, ...changes } : blank)),
+        answers: changes.id === undefined
+          ? prev.answers
+          : prev.answers.map((answer) => (answer.blank === previousId ? { ...answer, blank: changes.id ?? "" } : answer)),
+      };
+    });
+  };
+
+  // The first blank added takes over the answers written for the single blank
+  const handleAddBlank = () => {
+    setForm((prev) => {
+      const takenIds = new Set(prev.blanks.map((blank) => blank.id));
+      let number = prev.blanks.length + 1;
+      while (takenIds.has(`blank${number}`)) number += 1;
+      const id = `blank${number}`;
+
+      return {
+        ...prev,
+        blanks: [...prev.blanks, { id, matchMode: "exact", weight: 1 }],
+        answers: prev.blanks.length === 0
+          ? prev.answers.map((answer) => ({ ...answer, blank: id }))
+          : prev.answers,
+      };
+    });
+  };
+
+  const handleDeleteBlank = (blankIndex: number) => {
+    setForm((prev) => {
+      const removedId = prev.blanks[blankIndex]?.id;
+      return {
+        ...prev,
+        blanks: prev.blanks.filter((_, index) => index !== blankIndex),
+        answers: prev.answers.map((answer) => (answer.blank === removedId ? { ...answer, blank: "" } : answer)),
+      };
+    });
   };
 
   const handleChange = (
@@ -589,7 +866,16 @@ const ProfessorDraftsPage: React.FC = () => {
         answers:
           value === "Ranked Choice"
             ? syncAnswerRanks(prev.answers.map((answer) => ({ ...answer, isCorrect: true })))
-            : value === "Fill in the Blanks"
+            : value === "Code Trace"
+              ? [
+                  {
+                    ...(prev.answers[0] ?? createEmptyAnswer(0)),
+                    isCorrect: true,
+                    rank: 1,
+                    placement: "",
+                  },
+                ]
+            : value === "Fill in the Blanks" || value === "Numeric"
               ? [
                   {
                     ...(prev.answers[0] ?? createEmptyAnswer(0)),
@@ -700,6 +986,47 @@ const ProfessorDraftsPage: React.FC = () => {
     );
   };
 
+  const insertMath = () => {
+    insertQuestionTextMarkup((selectedText) => `$${selectedText}$`);
+  };
+
+  // Uploads an image and links it at the cursor as Markdown. The text is
+  // updated from the latest state, since the author may keep typing.
+  const handleQuestionImageSelected = async (event: React.ChangeEvent<HTMLInputElement>) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (!file) {
+      return;
+    }
+
+    const textarea = questionTextRef.current;
+    const insertAt = textarea?.selectionEnd ?? form.questionText.length;
+    setIsUploadingImage(true);
+    setError("");
+    try {
+      const res = await api.post<QuestionAssetResponse>("/api/admin/assets", file, {
+        headers: { "Content-Type": file.type || "application/octet-stream" },
+      });
+      const altText = file.name.replace(/\.[^.]+$/, "").replace(/[[\]]/g, "");
+      const markdownImage = `\n![${altText}](${res.data.url})\n`;
+      setForm((prev) => {
+        const position = Math.min(insertAt, prev.questionText.length);
+        return {
+          ...prev,
+          questionText: `${prev.questionText.slice(0, position)}${markdownImage}${prev.questionText.slice(position)}`,
+        };
+      });
+    } catch (err: unknown) {
+      console.error("[ProfessorDraftsPage] Failed to upload question image", err);
+      const responseMessage = isAxiosError(err) && err.response?.data && typeof err.response.data === "object"
+        ? (err.response.data as { message?: unknown }).message
+        : undefined;
+      setError(typeof responseMessage === "string" ? responseMessage : "Failed to upload image.");
+    } finally {
+      setIsUploadingImage(false);
+    }
+  };
+
   const resolveAuthorExamId = useCallback((): string => {
     try {
       const rawUserData = localStorage.getItem("user_data");
@@ -739,9 +1066,9 @@ const ProfessorDraftsPage: React.FC = () => {
       is_published: isPublished ? 1 : 0,
       question_text: draft.questionText,
       answer_text: filteredAnswers.map((answer) => answer.text.trim()),
-      answer_correctness: filteredAnswers.map((answer) => ((draft.questionType === "Ranked Choice" || draft.questionType === "Drag and Drop") ? 1 : (answer.isCorrect ? 1 : 0))),
+      answer_correctness: filteredAnswers.map((answer) => (isAllCorrectType(draft.questionType) ? 1 : (answer.isCorrect ? 1 : 0))),
       answer_rank: filteredAnswers.map((answer, index) => {
-        if (draft.questionType === "Ranked Choice" || draft.questionType === "Multiple Choice" || draft.questionType === "Fill in the Blanks" || draft.questionType === "Select All That Apply") {
+        if (isListOrderedType(draft.questionType)) {
           return index + 1;
         }
 
@@ -749,6 +1076,17 @@ const ProfessorDraftsPage: React.FC = () => {
         return Number.isFinite(parsedRank) ? parsedRank : index + 1;
       }),
       answer_placement: filteredAnswers.map((answer) => answer.placement || ""),
+      answer_rationale: filteredAnswers.map((answer) => answer.rationale.trim()),
+      tags: draft.tags,
+      explanation: draft.explanation,
+      hints: draft.hints,
+      template: draft.template,
+      trace_code: draft.questionType === "Code Trace" ? draft.traceCode : null,
+      trace_language_id: draft.traceLanguageId,
+      numeric_settings: draft.questionType === "Numeric" ? draft.numericSettings : null,
+      blanks: draft.questionType === "Fill in the Blanks" && draft.blanks.length > 0 ? draft.blanks : null,
+      answer_blank: filteredAnswers.map((answer) => answer.blank || null),
+      grading_policy: policyForType(draft.gradingPolicy, draft.questionType, draft.blanks.length > 0),
     });
 
     return response?.data?.questionId;
@@ -772,7 +1110,7 @@ const ProfessorDraftsPage: React.FC = () => {
       question_text: String(question.QUESTION_TEXT || ""),
       answer_text: sourceAnswers.map((answer) => String(answer.TEXT || "").trim()),
       answer_correctness: sourceAnswers.map((answer) => (
-        normalizedQuestionType === "Ranked Choice" || normalizedQuestionType === "Drag and Drop"
+        isAllCorrectType(normalizedQuestionType)
           ? 1
           : (parseAnswerCorrectness(answer.IS_CORRECT_ANSWER) ? 1 : 0)
       )),
@@ -800,7 +1138,7 @@ const ProfessorDraftsPage: React.FC = () => {
       return;
     }
 
-    if (form.questionType !== "Ranked Choice" && form.questionType !== "Drag and Drop" && !nonEmptyAnswers.some((answer) => answer.isCorrect)) {
+    if (!isAllCorrectType(form.questionType) && !nonEmptyAnswers.some((answer) => answer.isCorrect)) {
       setError("At least one answer must be marked correct.");
       return;
     }
@@ -813,6 +1151,55 @@ const ProfessorDraftsPage: React.FC = () => {
       }
     }
 
+    if (form.questionType === "Code Trace" && !form.traceCode.trim()) {
+      setError("Code trace questions need code to trace.");
+      return;
+    }
+
+    if (form.questionType === "Numeric") {
+      const { tolerance, creditBands } = form.numericSettings;
+      if (!Number.isFinite(tolerance) || tolerance < 0) {
+        setError("The tolerance must be 0 or more.");
+        return;
+      }
+
+      if (creditBands.some((band) => !(band.tolerance > tolerance) || !(band.credit >= 0 && band.credit <= 1))) {
+        setError("Each credit band needs a tolerance wider than the full credit one and a credit between 0 and 1.");
+        return;
+      }
+    }
+
+    if (form.questionType === "Fill in the Blanks" && form.blanks.length > 0) {
+      const blankIds = form.blanks.map((blank) => blank.id);
+      if (blankIds.some((id) => !BLANK_ID_PATTERN.test(id)) || new Set(blankIds).size !== blankIds.length) {
+        setError("Each blank needs a unique ID that starts with a letter, like \"base\" or \"step2\".");
+        return;
+      }
+
+      const markedIds = Array.from(form.questionText.matchAll(BLANK_MARKER), (match) => match[1]);
+      const unmarkedId = blankIds.find((id) => !markedIds.includes(id));
+      if (unmarkedId) {
+        setError(`Mark where blank "${unmarkedId}" goes by writing [[${unmarkedId}]] in the question text.`);
+        return;
+      }
+
+      if (form.blanks.some((blank) => !(blank.weight > 0 && blank.weight <= MAX_BLANK_WEIGHT))) {
+        setError(`Each blank's weight must be more than 0 and at most ${MAX_BLANK_WEIGHT}.`);
+        return;
+      }
+
+      if (nonEmptyAnswers.some((answer) => !blankIds.includes(answer.blank))) {
+        setError("Pick the blank each answer is for.");
+        return;
+      }
+
+      const unansweredId = blankIds.find((id) => !nonEmptyAnswers.some((answer) => answer.blank === id && answer.isCorrect));
+      if (unansweredId) {
+        setError(`Blank "${unansweredId}" needs at least one correct answer.`);
+        return;
+      }
+    }
+
     if (form.questionType === "Drag and Drop") {
       const nonEmptyDropSections = form.dropSections.map((item) => item.trim()).filter(Boolean);
       if (nonEmptyDropSections.length === 0) {
@@ -827,6 +1214,26 @@ const ProfessorDraftsPage: React.FC = () => {
       }
     }
 
+    // Settings that don't apply to the question type are dropped, not saved
+    const gradingPolicy = policyForType(form.gradingPolicy, form.questionType, hasBlanks) ?? EMPTY_GRADING_POLICY;
+    if (gradingPolicy.penalty !== null && !(gradingPolicy.penalty > 0 && gradingPolicy.penalty <= MAX_PENALTY)) {
+      setError(`The penalty must be more than 0 and at most ${MAX_PENALTY}.`);
+      return;
+    }
+
+    if (gradingPolicy.fuzzyThreshold !== null && !(gradingPolicy.fuzzyThreshold >= 0 && gradingPolicy.fuzzyThreshold <= 1)) {
+      setError("The fuzzy match threshold must be between 0 and 1.");
+      return;
+    }
+
+    let template: QuestionTemplate | null;
+    try {
+      template = parseTemplateInput(form.template);
+    } catch {
+      setError(TEMPLATE_INPUT_ERROR);
+      return;
+    }
+
     const now = new Date().toISOString();
 
     if (editingId) {
@@ -844,16 +1251,27 @@ const ProfessorDraftsPage: React.FC = () => {
         answers: form.answers.map((answer, index) => ({
           ...answer,
           text: answer.text.trim(),
-          isCorrect: form.questionType === "Ranked Choice" || form.questionType === "Drag and Drop" ? true : answer.isCorrect,
-          rank: form.questionType === "Ranked Choice" || form.questionType === "Multiple Choice" || form.questionType === "Fill in the Blanks" || form.questionType === "Select All That Apply"
+          isCorrect: isAllCorrectType(form.questionType) ? true : answer.isCorrect,
+          rank: isListOrderedType(form.questionType)
             ? index + 1
             : (Number.isFinite(answer.rank) ? answer.rank : index + 1),
           placement: form.questionType === "Drag and Drop" ? answer.placement.trim() : "",
+          rationale: answer.rationale.trim(),
+          blank: form.questionType === "Fill in the Blanks" && form.blanks.length > 0 ? answer.blank : "",
         })),
         dropSections: form.dropSections.map((item) => item.trim()).filter(Boolean),
         updatedAt: now,
         publishedQuestionId: existingDraft?.publishedQuestionId,
         pointsPossible: normalizePointsPossible(form.pointsPossible),
+        tags: parseTagInput(form.tags),
+        explanation: form.explanation.trim(),
+        hints: parseHintInput(form.hints),
+        template,
+        traceCode: form.questionType === "Code Trace" ? form.traceCode : "",
+        traceLanguageId: Number(form.traceLanguageId),
+        numericSettings: form.questionType === "Numeric" ? form.numericSettings : DEFAULT_NUMERIC_SETTINGS,
+        blanks: form.questionType === "Fill in the Blanks" ? form.blanks : [],
+        gradingPolicy,
       };
 
       if (!Number.isFinite(draftQuestionId) || draftQuestionId <= 0) {
@@ -875,9 +1293,9 @@ const ProfessorDraftsPage: React.FC = () => {
           points_possible: normalizePointsPossible(nextDraftState.pointsPossible),
           question_text: nextDraftState.questionText,
           answer_text: filteredAnswers.map((answer) => answer.text.trim()),
-          answer_correctness: filteredAnswers.map((answer) => ((nextDraftState.questionType === "Ranked Choice" || nextDraftState.questionType === "Drag and Drop") ? 1 : (answer.isCorrect ? 1 : 0))),
+          answer_correctness: filteredAnswers.map((answer) => (isAllCorrectType(nextDraftState.questionType) ? 1 : (answer.isCorrect ? 1 : 0))),
           answer_rank: filteredAnswers.map((answer, index) => {
-            if (nextDraftState.questionType === "Ranked Choice" || nextDraftState.questionType === "Multiple Choice" || nextDraftState.questionType === "Fill in the Blanks" || nextDraftState.questionType === "Select All That Apply") {
+            if (isListOrderedType(nextDraftState.questionType)) {
               return index + 1;
             }
 
@@ -885,6 +1303,19 @@ const ProfessorDraftsPage: React.FC = () => {
             return Number.isFinite(parsedRank) ? parsedRank : index + 1;
           }),
           answer_placement: filteredAnswers.map((answer) => answer.placement || ""),
+          answer_rationale: filteredAnswers.map((answer) => answer.rationale),
+          tags: nextDraftState.tags,
+          explanation: nextDraftState.explanation,
+          hints: nextDraftState.hints,
+          template: nextDraftState.template,
+          trace_code: nextDraftState.questionType === "Code Trace" ? nextDraftState.traceCode : null,
+          trace_language_id: nextDraftState.traceLanguageId,
+          numeric_settings: nextDraftState.questionType === "Numeric" ? nextDraftState.numericSettings : null,
+          blanks: nextDraftState.questionType === "Fill in the Blanks" && nextDraftState.blanks.length > 0
+            ? nextDraftState.blanks
+            : null,
+          answer_blank: filteredAnswers.map((answer) => answer.blank || null),
+          grading_policy: policyForType(nextDraftState.gradingPolicy, nextDraftState.questionType, nextDraftState.blanks.length > 0),
         });
 
         nextDraftState.publishedQuestionId = undefined;
@@ -928,15 +1359,26 @@ const ProfessorDraftsPage: React.FC = () => {
       answers: form.answers.map((answer, index) => ({
         ...answer,
         text: answer.text.trim(),
-        isCorrect: form.questionType === "Ranked Choice" || form.questionType === "Drag and Drop" ? true : answer.isCorrect,
-        rank: form.questionType === "Ranked Choice" || form.questionType === "Multiple Choice" || form.questionType === "Fill in the Blanks" || form.questionType === "Select All That Apply"
+        isCorrect: isAllCorrectType(form.questionType) ? true : answer.isCorrect,
+        rank: isListOrderedType(form.questionType)
           ? index + 1
           : (Number.isFinite(answer.rank) ? answer.rank : index + 1),
         placement: form.questionType === "Drag and Drop" ? answer.placement.trim() : "",
+        rationale: answer.rationale.trim(),
+        blank: form.questionType === "Fill in the Blanks" && form.blanks.length > 0 ? answer.blank : "",
       })),
       dropSections: form.dropSections.map((item) => item.trim()).filter(Boolean),
       updatedAt: now,
       pointsPossible: normalizePointsPossible(form.pointsPossible),
+      tags: parseTagInput(form.tags),
+      explanation: form.explanation.trim(),
+      hints: parseHintInput(form.hints),
+      template,
+      traceCode: form.questionType === "Code Trace" ? form.traceCode : "",
+      traceLanguageId: Number(form.traceLanguageId),
+      numericSettings: form.questionType === "Numeric" ? form.numericSettings : DEFAULT_NUMERIC_SETTINGS,
+      blanks: form.questionType === "Fill in the Blanks" ? form.blanks : [],
+      gradingPolicy,
     };
 
     setPublishingDraftId("new");
@@ -989,7 +1431,19 @@ const ProfessorDraftsPage: React.FC = () => {
       answers: draft.answers.length > 0 ? draft.answers : createDefaultAnswers(),
       dropSections: draft.dropSections.length > 0 ? draft.dropSections : createDefaultDropSections(),
       pointsPossible: String(normalizePointsPossible(draft.pointsPossible)),
+      tags: draft.tags.join(", "),
+      explanation: draft.explanation,
+      hints: draft.hints.join("\n"),
+      template: draft.template ? JSON.stringify(draft.template, null, 2) : "",
+      traceCode: draft.traceCode,
+      traceLanguageId: String(draft.traceLanguageId),
+      numericSettings: draft.numericSettings,
+      blanks: draft.blanks,
+      gradingPolicy: draft.gradingPolicy,
     });
+    setTemplateInstances([]);
+    setTemplateCheckError("");
+    setTraceRunMessage("");
   }, []);
 
   const handleAnswerChange = (
@@ -1044,7 +1498,7 @@ const ProfessorDraftsPage: React.FC = () => {
         ...prev.answers,
         {
           ...createEmptyAnswer(prev.answers.length),
-          isCorrect: prev.questionType === "Ranked Choice" || prev.questionType === "Drag and Drop",
+          isCorrect: isAllCorrectType(prev.questionType),
         },
       ]),
     }));
@@ -1149,16 +1603,20 @@ const ProfessorDraftsPage: React.FC = () => {
     setError("");
     setSuccessMessage("");
 
+    // Server drafts are retired rather than deleted, so they can be reopened later
     const numericDraftId = Number(draftId);
-    if (Number.isFinite(numericDraftId) && numericDraftId > 0) {
+    const isServerDraft = Number.isFinite(numericDraftId) && numericDraftId > 0;
+    const isRetired = drafts.some((draft) => draft.id === draftId && draft.reviewStatus === "retired");
+    if (isServerDraft && !isRetired) {
       try {
         await api.delete(`/api/admin/problems/${numericDraftId}`);
       } catch (err: unknown) {
-        const message = buildDeleteErrorMessage(err, "Failed to delete draft on the server.", "draft");
+        const message = buildDeleteErrorMessage(err, "Failed to retire draft on the server.", "draft");
 
         setError(message);
         return;
       }
+      setRetiredReloadKey((key) => key + 1);
     }
 
     const updated = drafts.filter((draft) => draft.id !== draftId);
@@ -1169,7 +1627,7 @@ const ProfessorDraftsPage: React.FC = () => {
       resetForm();
     }
 
-    setSuccessMessage("Draft deleted.");
+    setSuccessMessage(isServerDraft ? "Draft retired. You can reopen it from the Retired tab." : "Draft deleted.");
   };
 
   const handlePublishDraft = async (draft: QuestionDraft) => {
@@ -1181,32 +1639,38 @@ const ProfessorDraftsPage: React.FC = () => {
       return;
     }
 
+    if (draft.reviewStatus === "in_review") {
+      setSuccessMessage("This draft is waiting for a reviewer.");
+      return;
+    }
+
     setPublishingDraftId(draft.id);
 
     try {
-      const draftQuestionId = Number(draft.id);
-      let publishedQuestionId: number | undefined;
+      let draftQuestionId = Number(draft.id);
 
-      if (Number.isFinite(draftQuestionId) && draftQuestionId > 0) {
-        await api.post(`/api/admin/problems/${draftQuestionId}/publish`);
-        publishedQuestionId = draftQuestionId;
-      } else {
-        publishedQuestionId = await createQuestionFromDraft(draft, true);
+      // Drafts go through review first, only approved ones can be published
+      if (draft.reviewStatus !== "approved") {
+        if (!Number.isFinite(draftQuestionId) || draftQuestionId <= 0) {
+          draftQuestionId = Number(await createQuestionFromDraft(draft, false));
+        }
+        await runReviewAction(draftQuestionId, "submit");
+        setDraftsReloadKey((key) => key + 1);
+        setSuccessMessage(`Question #${draftQuestionId} submitted for review.`);
+        return;
       }
 
+      await api.post(`/api/admin/problems/${draftQuestionId}/publish`);
+
       const updated = drafts.map((item) => (
         item.id === draft.id
-          ? { ...item, publishedQuestionId: typeof publishedQuestionId === "number" ? publishedQuestionId : undefined }
+          ? { ...item, publishedQuestionId: draftQuestionId, reviewStatus: "published" as const }
           : item
       ));
 
       setDrafts(updated);
       saveDrafts(updated);
-      setSuccessMessage(
-        typeof publishedQuestionId === "number"
-          ? `Draft published as question #${publishedQuestionId}.`
-          : "Draft published successfully."
-      );
+      setSuccessMessage(`Draft published as question #${draftQuestionId}.`);
     } catch (err: unknown) {
       const message =
         typeof err === "object" &&
@@ -1214,7 +1678,7 @@ const ProfessorDraftsPage: React.FC = () => {
         "response" in err &&
         typeof (err as { response?: { data?: { message?: string } } }).response?.data?.message === "string"
           ? (err as { response?: { data?: { message?: string } } }).response!.data!.message!
-          : "Failed to publish draft. Please try again.";
+          : "Failed to submit or publish draft. Please try again.";
 
       setError(message);
     } finally {
@@ -1283,14 +1747,15 @@ const ProfessorDraftsPage: React.FC = () => {
       ));
       setDrafts(updatedDrafts);
       saveDrafts(updatedDrafts);
-      setSuccessMessage(`Deleted published question #${questionId}.`);
+      setRetiredReloadKey((key) => key + 1);
+      setSuccessMessage(`Retired published question #${questionId}. Its responses are kept.`);
     } catch (err: unknown) {
       if (isAxiosError(err) && err.response?.status === 401) {
-        setError("Your session is invalid or expired. Please sign in again and retry deleting this question.");
+        setError("Your session is invalid or expired. Please sign in again and retry retiring this question.");
       } else if (isAxiosError(err) && err.response?.status === 403) {
-        setError("You can only delete published questions that belong to your professor account.");
+        setError("You can only retire published questions that belong to your professor account.");
       } else {
-        const message = buildDeleteErrorMessage(err, "Failed to delete published question.", "published");
+        const message = buildDeleteErrorMessage(err, "Failed to retire published question.", "published");
 
         setError(message);
       }
@@ -1410,6 +1875,39 @@ const ProfessorDraftsPage: React.FC = () => {
             >
               Published Questions
             </button>
+            <button
+              type="button"
+              onClick={() => setActiveTab("reviews")}
+              className={`px-4 py-2 rounded-lg font-semibold transition ${
+                activeTab === "reviews"
+                  ? "bg-yellow-500 text-black"
+                  : "bg-gray-200 text-gray-700 hover:bg-gray-300"
+              }`}
+            >
+              Review Queue
+            </button>
+            <button
+              type="button"
+              onClick={() => setActiveTab("retired")}
+              className={`px-4 py-2 rounded-lg font-semibold transition ${
+                activeTab === "retired"
+                  ? "bg-yellow-500 text-black"
+                  : "bg-gray-200 text-gray-700 hover:bg-gray-300"
+              }`}
+            >
+              Retired
+            </button>
+            <button
+              type="button"
+              onClick={() => setActiveTab("search")}
+              className={`px-4 py-2 rounded-lg font-semibold transition ${
+                activeTab === "search"
+                  ? "bg-yellow-500 text-black"
+                  : "bg-gray-200 text-gray-700 hover:bg-gray-300"
+              }`}
+            >
+              Search
+            </button>
           </div>
 
           {error && <p className="text-red-500 mb-4">{error}</p>}
@@ -1417,6 +1915,8 @@ const ProfessorDraftsPage: React.FC = () => {
 
           {activeTab === "drafts" && (
           <>
+          <QuestionBankTransfer onImported={() => setDraftsReloadKey((key) => key + 1)} />
+
           <form onSubmit={handleSaveDraft} className="space-y-4 mb-8">
             <div>
               <label className="block text-sm font-semibold text-gray-700 mb-1">Draft title</label>
@@ -1441,9 +1941,9 @@ const ProfessorDraftsPage: React.FC = () => {
                   required
                 >
                   <option value="">Select category</option>
-                  {availableCategories.map((category) => (
-                    <option key={category} value={category}>
-                      {category}
+                  {categories.map((category) => (
+                    <option key={category.name} value={category.name}>
+                      {category.displayName}
                     </option>
                   ))}
                 </select>
@@ -1460,7 +1960,7 @@ const ProfessorDraftsPage: React.FC = () => {
                   <option value="">Select subcategory</option>
                   {subcategoryOptions.map((subcategory) => (
                     <option key={subcategory} value={subcategory}>
-                      {subcategory}
+                      {formatSubcategoryLabel(subcategory)}
                     </option>
                   ))}
                 </select>
@@ -1482,6 +1982,17 @@ const ProfessorDraftsPage: React.FC = () => {
               </div>
             </div>
 
+            <div>
+              <label className="block text-xs font-semibold text-gray-500 mb-1 uppercase tracking-wide">Tags</label>
+              <input
+                name="tags"
+                value={form.tags}
+                onChange={handleChange}
+                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-yellow-500"
+                placeholder="Comma separated, e.g. recursion, big o"
+              />
+            </div>
+
             <div>
               <label className="block text-sm font-semibold text-gray-700 mb-1">Question Text</label>
               <div className="flex flex-wrap gap-2 mb-2">
@@ -1575,6 +2086,34 @@ const ProfessorDraftsPage: React.FC = () => {
                 >
                   <FileCode size={16} />
                 </button>
+                <button
+                  type="button"
+                  title="Math (LaTeX)"
+                  aria-label="Math (LaTeX)"
+                  onMouseDown={(event) => event.preventDefault()}
+                  onClick={insertMath}
+                  className="h-9 w-9 bg-gray-200 hover:bg-gray-300 rounded-md text-gray-800 transition flex items-center justify-center"
+                >
+                  <Sigma size={16} />
+                </button>
+                <button
+                  type="button"
+                  title="Insert Image"
+                  aria-label="Insert Image"
+                  onMouseDown={(event) => event.preventDefault()}
+                  onClick={() => questionImageInputRef.current?.click()}
+                  disabled={isUploadingImage}
+                  className="h-9 w-9 bg-gray-200 hover:bg-gray-300 rounded-md text-gray-800 transition flex items-center justify-center disabled:opacity-50"
+                >
+                  <ImagePlus size={16} />
+                </button>
+                <input
+                  ref={questionImageInputRef}
+                  type="file"
+                  accept="image/png,image/jpeg,image/gif,image/webp"
+                  onChange={handleQuestionImageSelected}
+                  className="hidden"
+                />
               </div>
               <textarea
                 ref={questionTextRef}
@@ -1587,7 +2126,11 @@ const ProfessorDraftsPage: React.FC = () => {
                 required
               />
               <div className="mt-2 flex items-center justify-between">
-                <p className="text-xs text-gray-500">Question text supports HTML formatting.</p>
+                <p className="text-xs text-gray-500">
+                  {isUploadingImage
+                    ? "Uploading image..."
+                    : "Question text supports Markdown, HTML, fenced code blocks and LaTeX math ($x^2$, or $$...$$ on its own line)."}
+                </p>
                 <button
                   type="button"
                   onClick={() => setShowQuestionPreview((prev) => !prev)}
@@ -1614,9 +2157,9 @@ const ProfessorDraftsPage: React.FC = () => {
 
                     <h2 className="text-lg font-semibold mb-2">Question 1 of 1</h2>
 
-                    <div className="text-base sm:text-lg md:text-xl font-medium mb-4 text-gray-800 leading-relaxed [&_pre]:bg-gray-100 [&_pre]:border [&_pre]:border-gray-200 [&_pre]:rounded-md [&_pre]:p-3 [&_pre]:overflow-x-auto [&_code]:font-mono [&_code]:text-sm">
+                    <div className="text-base sm:text-lg md:text-xl font-medium mb-4 text-gray-800 leading-relaxed question-rich-text">
                       {form.questionText.trim().length > 0
-                        ? parse(questionPreviewHtml)
+                        ? <RichText text={hasBlanks ? numberBlanks(form.questionText, form.blanks.map((blank) => blank.id)) : form.questionText} />
                         : <span className="text-gray-500">Nothing to preview yet.</span>}
                     </div>
 
@@ -1638,7 +2181,7 @@ const ProfessorDraftsPage: React.FC = () => {
                       </div>
                     )}
 
-                    {form.questionType === "Fill in the Blanks" && (
+                    {form.questionType === "Fill in the Blanks" && !hasBlanks && (
                       <div className="mb-2">
                         <label className="block text-sm sm:text-base font-medium text-gray-700 mb-2">Your Answer:</label>
                         <input
@@ -1650,6 +2193,56 @@ const ProfessorDraftsPage: React.FC = () => {
                       </div>
                     )}
 
+                    {hasBlanks && (
+                      <div className="mb-2 space-y-3">
+                        {form.blanks.map((_, blankIndex) => (
+                          <div key={blankIndex}>
+                            <label className="block text-sm sm:text-base font-medium text-gray-700 mb-2">Blank {blankIndex + 1}:</label>
+                            <input
+                              type="text"
+                              disabled
+                              placeholder="Type your answer here..."
+                              className="w-full p-3 sm:p-4 rounded-lg border text-sm sm:text-base md:text-lg bg-white border-gray-300"
+                            />
+                          </div>
+                        ))}
+                      </div>
+                    )}
+
+                    {form.questionType === "Code Trace" && (
+                      <div className="mb-2">
+                        <div className="mb-3 rounded-lg border border-gray-300 overflow-hidden">
+                          <div className="px-3 py-1 bg-gray-100 border-b border-gray-300 text-xs font-medium text-gray-600">
+                            {getLanguageLabel(Number(form.traceLanguageId))}
+                          </div>
+                          <pre className="p-3 bg-gray-50 text-sm font-mono overflow-x-auto whitespace-pre">{form.traceCode}</pre>
+                        </div>
+                        <textarea
+                          disabled
+                          rows={4}
+                          placeholder="Type the output, one line per line printed..."
+                          className="w-full p-3 sm:p-4 rounded-lg border font-mono text-sm sm:text-base bg-white border-gray-300"
+                        />
+                      </div>
+                    )}
+
+                    {form.questionType === "Numeric" && (
+                      <div className="mb-2">
+                        <label className="block text-sm sm:text-base font-medium text-gray-700 mb-2">Your Answer:</label>
+                        <div className="flex items-center gap-3">
+                          <input
+                            type="text"
+                            disabled
+                            placeholder="e.g. 42, 3.5, 1e6, 0x2A or 0b101010"
+                            className="flex-1 min-w-0 p-3 sm:p-4 rounded-lg border font-mono text-sm sm:text-base md:text-lg bg-white border-gray-300"
+                          />
+                          {form.numericSettings.unit && (
+                            <span className="text-sm sm:text-base md:text-lg font-medium text-gray-700">{form.numericSettings.unit}</span>
+                          )}
+                        </div>
+                      </div>
+                    )}
+
                     {form.questionType === "Ranked Choice" && (
                       <div className="space-y-2 mb-2">
                         {form.answers.filter((answer) => answer.text.trim()).map((answer, index) => (
@@ -1695,6 +2288,303 @@ const ProfessorDraftsPage: React.FC = () => {
               </select>
             </div>
 
+            {form.questionType === "Code Trace" && (
+              <div className="border border-gray-300 rounded-lg p-4 space-y-3">
+                <div className="flex flex-wrap items-center justify-between gap-2">
+                  <h2 className="text-lg font-semibold text-gray-800">Code to Trace</h2>
+                  <select
+                    name="traceLanguageId"
+                    value={form.traceLanguageId}
+                    onChange={handleChange}
+                    className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-yellow-500"
+                  >
+                    {Object.entries(LANGUAGE_IDS).map(([language, languageId]) => (
+                      <option key={languageId} value={String(languageId)}>
+                        {language}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <textarea
+                  name="traceCode"
+                  value={form.traceCode}
+                  onChange={handleChange}
+                  rows={10}
+                  spellCheck={false}
+                  className="w-full px-4 py-3 border border-gray-300 rounded-lg font-mono text-sm focus:outline-none focus:ring-2 focus:ring-yellow-500"
+                  placeholder="Students read this code and type what it prints."
+                />
+                <div className="flex flex-wrap items-center gap-3">
+                  <button
+                    type="button"
+                    onClick={handleRunTraceCode}
+                    disabled={isRunningTrace}
+                    className="bg-gray-200 hover:bg-gray-300 disabled:opacity-60 text-gray-800 font-semibold px-4 py-2 rounded-lg transition"
+                  >
+                    {isRunningTrace ? "Running..." : "Run code"}
+                  </button>
+                  <p className="text-sm text-gray-600">
+                    Fills in the first accepted output with what the code prints.
+                  </p>
+                </div>
+                {traceRunMessage && <p className="text-sm text-gray-700 whitespace-pre-wrap">{traceRunMessage}</p>}
+              </div>
+            )}
+
+            {form.questionType === "Numeric" && (
+              <div className="border border-gray-300 rounded-lg p-4 space-y-3">
+                <h2 className="text-lg font-semibold text-gray-800">Numeric Grading</h2>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                  <div>
+                    <label className="block text-sm font-semibold text-gray-700 mb-1">Tolerance</label>
+                    <input
+                      type="number"
+                      min={0}
+                      step="any"
+                      value={form.numericSettings.tolerance}
+                      onChange={(event) => handleNumericSettingsChange({ tolerance: Number(event.target.value) })}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-yellow-500"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-semibold text-gray-700 mb-1">Tolerance Type</label>
+                    <select
+                      value={form.numericSettings.toleranceType}
+                      onChange={(event) => handleNumericSettingsChange({
+                        toleranceType: event.target.value === "relative" ? "relative" : "absolute",
+                      })}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-yellow-500"
+                    >
+                      <option value="absolute">Absolute (± the tolerance)</option>
+                      <option value="relative">Relative (± a fraction of the answer)</option>
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-semibold text-gray-700 mb-1">Unit</label>
+                    <input
+                      value={form.numericSettings.unit ?? ""}
+                      onChange={(event) => handleNumericSettingsChange({ unit: event.target.value || null })}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-yellow-500"
+                      placeholder="e.g. ms (optional)"
+                    />
+                  </div>
+                </div>
+
+                <div className="flex items-center justify-between">
+                  <h3 className="text-sm font-semibold text-gray-700">Partial Credit Bands</h3>
+                  <button
+                    type="button"
+                    onClick={handleAddCreditBand}
+                    disabled={form.numericSettings.creditBands.length >= MAX_CREDIT_BANDS}
+                    className="bg-gray-200 hover:bg-gray-300 disabled:opacity-60 text-gray-800 font-semibold px-4 py-2 rounded-lg transition"
+                  >
+                    Add Band
+                  </button>
+                </div>
+                {form.numericSettings.creditBands.length === 0 ? (
+                  <p className="text-sm text-gray-600">
+                    Answers outside the tolerance get no credit. Add a band to give part credit to answers that are close.
+                  </p>
+                ) : (
+                  <div className="space-y-2">
+                    {form.numericSettings.creditBands.map((band, bandIndex) => (
+                      <div key={bandIndex} className="grid grid-cols-1 md:grid-cols-12 gap-2 items-center">
+                        <label className="md:col-span-5 flex items-center gap-2 text-sm text-gray-700">
+                          Within
+                          <input
+                            type="number"
+                            min={0}
+                            step="any"
+                            value={band.tolerance}
+                            onChange={(event) => handleCreditBandChange(bandIndex, "tolerance", Number(event.target.value))}
+                            className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-yellow-500"
+                          />
+                        </label>
+                        <label className="md:col-span-5 flex items-center gap-2 text-sm text-gray-700">
+                          Credit
+                          <input
+                            type="number"
+                            min={0}
+                            max={1}
+                            step={0.05}
+                            value={band.credit}
+                            onChange={(event) => handleCreditBandChange(bandIndex, "credit", Number(event.target.value))}
+                            className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-yellow-500"
+                          />
+                        </label>
+                        <div className="md:col-span-2 justify-self-end">
+                          <button
+                            type="button"
+                            onClick={() => handleDeleteCreditBand(bandIndex)}
+                            className="h-10 w-10 bg-red-500 hover:bg-red-600 text-white font-semibold rounded-lg transition flex items-center justify-center"
+                            aria-label="Delete credit band"
+                          >
+                            <Trash2 size={18} />
+                          </button>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            )}
+
+            {form.questionType === "Fill in the Blanks" && (
+              <div className="border border-gray-300 rounded-lg p-4 space-y-3">
+                <div className="flex items-center justify-between">
+                  <h2 className="text-lg font-semibold text-gray-800">Blanks</h2>
+                  <button
+                    type="button"
+                    onClick={handleAddBlank}
+                    disabled={form.blanks.length >= MAX_BLANKS}
+                    className="bg-gray-200 hover:bg-gray-300 disabled:opacity-60 text-gray-800 font-semibold px-4 py-2 rounded-lg transition"
+                  >
+                    Add Blank
+                  </button>
+                </div>
+                {form.blanks.length === 0 ? (
+                  <p className="text-sm text-gray-600">
+                    Students fill in one blank, matched ignoring case. Add blanks to ask for several parts, each graded on its own.
+                  </p>
+                ) : (
+                  <>
+                    <p className="text-sm text-gray-600">
+                      Write [[id]] in the question text where each blank goes. Students get credit for each blank in proportion to its weight.
+                    </p>
+                    <div className="space-y-2">
+                      {form.blanks.map((blank, blankIndex) => (
+                        <div key={blankIndex} className="grid grid-cols-1 md:grid-cols-12 gap-2 items-center">
+                          <input
+                            value={blank.id}
+                            onChange={(event) => handleBlankChange(blankIndex, { id: event.target.value.trim() })}
+                            className="md:col-span-4 px-3 py-2 border border-gray-300 rounded-lg font-mono text-sm focus:outline-none focus:ring-2 focus:ring-yellow-500"
+                            placeholder="Blank ID"
+                            aria-label={`Blank ${blankIndex + 1} ID`}
+                          />
+                          <select
+                            value={blank.matchMode}
+                            onChange={(event) => handleBlankChange(blankIndex, { matchMode: event.target.value as BlankMatchMode })}
+                            className="md:col-span-4 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-yellow-500"
+                            aria-label={`Blank ${blankIndex + 1} match mode`}
+                          >
+                            {(Object.keys(MATCH_MODE_LABELS) as BlankMatchMode[]).map((mode) => (
+                              <option key={mode} value={mode}>{MATCH_MODE_LABELS[mode]}</option>
+                            ))}
+                          </select>
+                          <label className="md:col-span-2 flex items-center gap-2 text-sm text-gray-700">
+                            Weight
+                            <input
+                              type="number"
+                              min={0}
+                              max={MAX_BLANK_WEIGHT}
+                              step="any"
+                              value={blank.weight}
+                              onChange={(event) => handleBlankChange(blankIndex, { weight: Number(event.target.value) })}
+                              className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-yellow-500"
+                            />
+                          </label>
+                          <div className="md:col-span-2 justify-self-end">
+                            <button
+                              type="button"
+                              onClick={() => handleDeleteBlank(blankIndex)}
+                              className="h-10 w-10 bg-red-500 hover:bg-red-600 text-white font-semibold rounded-lg transition flex items-center justify-center"
+                              aria-label="Delete blank"
+                            >
+                              <Trash2 size={18} />
+                            </button>
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  </>
+                )}
+              </div>
+            )}
+
+            {form.questionType !== "Programming" && (
+              <div className="border border-gray-300 rounded-lg p-4 space-y-3">
+                <h2 className="text-lg font-semibold text-gray-800">Grading Policy</h2>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                  <div>
+                    <label className="block text-sm font-semibold text-gray-700 mb-1">Scoring</label>
+                    <select
+                      value={pickedScoring ?? ""}
+                      onChange={(event) => handleGradingPolicyChange({
+                        scoring: (event.target.value || null) as GradingPolicy["scoring"],
+                      })}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-yellow-500"
+                    >
+                      <option value="">Default ({SCORING_MODE_LABELS[defaultScoringMode(form.questionType)]})</option>
+                      {(Object.keys(SCORING_MODE_LABELS) as (keyof typeof SCORING_MODE_LABELS)[])
+                        .filter((mode) => mode !== "negative" || canNegativeMark)
+                        .map((mode) => (
+                          <option key={mode} value={mode}>{SCORING_MODE_LABELS[mode]}</option>
+                        ))}
+                    </select>
+                  </div>
+                  {scoringMode === "negative" && (
+                    <div>
+                      <label className="block text-sm font-semibold text-gray-700 mb-1">Penalty per Wrong Part</label>
+                      <input
+                        type="number"
+                        min={0}
+                        max={MAX_PENALTY}
+                        step={0.05}
+                        value={form.gradingPolicy.penalty ?? ""}
+                        onChange={(event) => handleGradingPolicyChange({
+                          penalty: event.target.value === "" ? null : Number(event.target.value),
+                        })}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-yellow-500"
+                        placeholder="1 (a right part's credit)"
+                      />
+                    </div>
+                  )}
+                  {form.questionType === "Fill in the Blanks" && (
+                    <div>
+                      <label className="block text-sm font-semibold text-gray-700 mb-1">Fuzzy Match Threshold</label>
+                      <input
+                        type="number"
+                        min={0}
+                        max={1}
+                        step={0.05}
+                        value={form.gradingPolicy.fuzzyThreshold ?? ""}
+                        onChange={(event) => handleGradingPolicyChange({
+                          fuzzyThreshold: event.target.value === "" ? null : Number(event.target.value),
+                        })}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-yellow-500"
+                        placeholder="0 (any likeness)"
+                      />
+                    </div>
+                  )}
+                  {form.questionType === "Ranked Choice" && (
+                    <div>
+                      <label className="block text-sm font-semibold text-gray-700 mb-1">Ranking Metric</label>
+                      <select
+                        value={form.gradingPolicy.rankingMetric ?? "kendall"}
+                        onChange={(event) => handleGradingPolicyChange({
+                          rankingMetric: event.target.value === "spearman" ? "spearman" : null,
+                        })}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-yellow-500"
+                      >
+                        {(Object.keys(RANKING_METRIC_LABELS) as (keyof typeof RANKING_METRIC_LABELS)[]).map((metric) => (
+                          <option key={metric} value={metric}>{RANKING_METRIC_LABELS[metric]}</option>
+                        ))}
+                      </select>
+                    </div>
+                  )}
+                </div>
+                <p className="text-sm text-gray-600">{SCORING_MODE_DESCRIPTIONS[scoringMode]}</p>
+                {form.questionType === "Fill in the Blanks" && (
+                  <p className="text-sm text-gray-600">
+                    Fuzzy matches less alike than the threshold, from 0 to 1, get no credit. Other match modes are right or wrong.
+                  </p>
+                )}
+                {form.questionType === "Ranked Choice" && (
+                  <p className="text-sm text-gray-600">{RANKING_METRIC_DESCRIPTIONS[form.gradingPolicy.rankingMetric ?? "kendall"]}</p>
+                )}
+              </div>
+            )}
+
             <div className="border border-gray-300 rounded-lg p-4">
               <div className="flex items-center justify-between mb-3">
                 <h2 className="text-lg font-semibold text-gray-800">Answer Texts</h2>
@@ -1711,6 +2601,21 @@ const ProfessorDraftsPage: React.FC = () => {
                   Drag answers to reorder their rank.
                 </p>
               )}
+              {form.questionType === "Code Trace" && (
+                <p className="text-sm text-gray-600 mb-3">
+                  Each answer is an output that gets full credit. Spacing within lines and blank lines around the output don't matter.
+                </p>
+              )}
+              {form.questionType === "Fill in the Blanks" && form.blanks.length > 0 && (
+                <p className="text-sm text-gray-600 mb-3">
+                  Pick the blank each answer is for. With the regex match mode, the correct answers are patterns.
+                </p>
+              )}
+              {form.questionType === "Numeric" && (
+                <p className="text-sm text-gray-600 mb-3">
+                  Correct answers are numbers, written in decimal, hex (0x) or binary (0b). Students are graded against the closest one.
+                </p>
+              )}
 
               <div className="space-y-3">
                 {form.answers.map((answer, index) => (
@@ -1772,15 +2677,61 @@ const ProfessorDraftsPage: React.FC = () => {
                       key={answer.id}
                       className="grid grid-cols-1 md:grid-cols-12 gap-2 items-center rounded-lg p-2"
                     >
-                      {form.questionType === "Multiple Choice" || form.questionType === "Fill in the Blanks" || form.questionType === "Select All That Apply" ? (
+                      {form.questionType === "Code Trace" ? (
+                        <>
+                          <textarea
+                            value={answer.text}
+                            onChange={(event) => handleAnswerChange(answer.id, "text", event.target.value)}
+                            rows={4}
+                            spellCheck={false}
+                            className="md:col-span-10 px-3 py-2 border border-gray-300 rounded-lg font-mono text-sm focus:outline-none focus:ring-2 focus:ring-yellow-500"
+                            placeholder={`Accepted output ${index + 1}`}
+                          />
+
+                          <div className="md:col-span-2 justify-self-end flex items-center gap-2">
+                            <button
+                              type="button"
+                              onClick={() => (pendingDeleteAnswerId === answer.id ? handleDeleteAnswer(answer.id) : handleRequestDeleteAnswer(answer.id))}
+                              className="h-10 w-10 bg-red-500 hover:bg-red-600 text-white font-semibold rounded-lg transition flex items-center justify-center"
+                              aria-label={pendingDeleteAnswerId === answer.id ? "Confirm delete answer" : "Request delete answer"}
+                            >
+                              {pendingDeleteAnswerId === answer.id ? <Trash2 size={18} /> : "X"}
+                            </button>
+                            {pendingDeleteAnswerId === answer.id && (
+                              <button
+                                type="button"
+                                onClick={handleCancelDeleteAnswer}
+                                className="h-10 w-10 bg-gray-300 hover:bg-gray-400 text-gray-800 font-semibold rounded-lg transition flex items-center justify-center"
+                                aria-label="Cancel delete answer"
+                              >
+                                X
+                              </button>
+                            )}
+                          </div>
+                        </>
+                      ) : form.questionType === "Multiple Choice" || form.questionType === "Fill in the Blanks" || form.questionType === "Select All That Apply" || form.questionType === "Numeric" ? (
                         <>
                           <input
                             value={answer.text}
                             onChange={(event) => handleAnswerChange(answer.id, "text", event.target.value)}
-                            className="md:col-span-8 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-yellow-500"
+                            className={`${hasBlanks ? "md:col-span-5" : "md:col-span-8"} px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-yellow-500`}
                             placeholder={`Answer ${index + 1}`}
                           />
 
+                          {hasBlanks && (
+                            <select
+                              value={answer.blank}
+                              onChange={(event) => handleAnswerChange(answer.id, "blank", event.target.value)}
+                              className="md:col-span-3 px-3 py-2 border border-gray-300 rounded-lg font-mono text-sm focus:outline-none focus:ring-2 focus:ring-yellow-500"
+                              aria-label={`Blank for answer ${index + 1}`}
+                            >
+                              <option value="">Pick a blank</option>
+                              {form.blanks.map((blank, blankIndex) => (
+                                <option key={blankIndex} value={blank.id}>{blank.id || `Blank ${blankIndex + 1}`}</option>
+                              ))}
+                            </select>
+                          )}
+
                           <label className="md:col-span-2 flex items-center gap-2 text-sm text-gray-700">
                             <input
                               type="checkbox"
@@ -1810,6 +2761,13 @@ const ProfessorDraftsPage: React.FC = () => {
                               </button>
                             )}
                           </div>
+
+                          <input
+                            value={answer.rationale}
+                            onChange={(event) => handleAnswerChange(answer.id, "rationale", event.target.value)}
+                            className="md:col-span-12 px-3 py-2 border border-gray-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-yellow-500"
+                            placeholder="Why this answer is right or wrong (optional, shown after answering)"
+                          />
                         </>
                       ) : (
                         <>
@@ -1948,6 +2906,81 @@ const ProfessorDraftsPage: React.FC = () => {
               </div>
             )}
 
+            <div className="border border-gray-300 rounded-lg p-4 space-y-3">
+              <h2 className="text-lg font-semibold text-gray-800">Explanation &amp; Hints</h2>
+              <div>
+                <label className="block text-xs font-semibold text-gray-500 mb-1 uppercase tracking-wide">Worked Explanation</label>
+                <textarea
+                  name="explanation"
+                  value={form.explanation}
+                  onChange={handleChange}
+                  rows={4}
+                  className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-yellow-500"
+                  placeholder="Shown to students after they answer. Markdown and $LaTeX$ work here."
+                />
+              </div>
+              <div>
+                <label className="block text-xs font-semibold text-gray-500 mb-1 uppercase tracking-wide">Hints</label>
+                <textarea
+                  name="hints"
+                  value={form.hints}
+                  onChange={handleChange}
+                  rows={3}
+                  className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-yellow-500"
+                  placeholder="One hint per line, in the order students reveal them"
+                />
+                <p className="mt-1 text-xs text-gray-500">Each hint a student reveals takes part of the points off their answer.</p>
+              </div>
+            </div>
+
+            <div className="border border-gray-300 rounded-lg p-4 space-y-3">
+              <h2 className="text-lg font-semibold text-gray-800">Template (optional)</h2>
+              <p className="text-sm text-gray-600">
+                Generates a fresh instance on every attempt. Variables can be <code>int</code>, <code>intArray</code>, <code>bits</code>,{" "}
+                <code>choice</code> or <code>expr</code>, and fill in <code>{"{{ expression }}"}</code> placeholders in the question,
+                answers, explanation and hints, e.g. <code>{"{{ arr[i] }}"}</code> or <code>{"{{ bin(n, 8) }}"}</code>.
+              </p>
+              <textarea
+                name="template"
+                value={form.template}
+                onChange={handleChange}
+                rows={6}
+                spellCheck={false}
+                className="w-full px-4 py-3 border border-gray-300 rounded-lg font-mono text-sm focus:outline-none focus:ring-2 focus:ring-yellow-500"
+                placeholder={'{"variables": [{"name": "arr", "type": "intArray", "min": 0, "max": 9, "length": 5}, {"name": "i", "type": "int", "min": 0, "max": 4}]}'}
+              />
+              <button
+                type="button"
+                onClick={handleCheckTemplate}
+                disabled={isCheckingTemplate}
+                className="bg-gray-800 hover:bg-gray-900 text-white font-semibold px-4 py-2 rounded-lg transition disabled:opacity-60"
+              >
+                {isCheckingTemplate ? "Checking..." : "Check template"}
+              </button>
+              {templateCheckError && <p className="text-sm text-red-500">{templateCheckError}</p>}
+              {templateInstances.length > 0 && (
+                <ol className="space-y-3">
+                  {templateInstances.map((instance) => (
+                    <li key={instance.seed} className="rounded-lg border border-gray-200 bg-gray-50 p-3 text-sm">
+                      <p className="mb-1 font-mono text-xs text-gray-500">
+                        {Object.entries(instance.values).map(([name, value]) => `${name} = ${value}`).join(", ")}
+                      </p>
+                      <div className="question-rich-text">
+                        <RichText text={instance.questionText} />
+                      </div>
+                      <ul className="mt-2 list-disc pl-5">
+                        {instance.answers.map((answer, index) => (
+                          <li key={index} className={answer.isCorrect ? "font-semibold text-green-700" : undefined}>
+                            <RichText text={answer.text} inline />
+                          </li>
+                        ))}
+                      </ul>
+                    </li>
+                  ))}
+                </ol>
+              )}
+            </div>
+
             <div className="flex gap-3">
               <button
                 type="submit"
@@ -1998,6 +3031,11 @@ const ProfessorDraftsPage: React.FC = () => {
                           Published
                         </span>
                       )}
+                      {draft.reviewStatus && draft.reviewStatus !== "draft" && (
+                        <span className={`inline-flex items-center rounded-full px-2.5 py-0.5 text-xs font-semibold ${REVIEW_STATUS_BADGES[draft.reviewStatus]}`}>
+                          {REVIEW_STATUS_LABELS[draft.reviewStatus]}
+                        </span>
+                      )}
                     </div>
                     <p className="text-sm text-gray-600 mt-1">
                       {draft.category || "No category"} • {draft.subcategory || "No subcategory"} • {getPointsLabel(draft.pointsPossible)}
@@ -2027,6 +3065,31 @@ const ProfessorDraftsPage: React.FC = () => {
                     >
                       Edit
                     </button>
+                    {Number(draft.id) > 0 && (
+                      <>
+                        <button
+                          type="button"
+                          onClick={() => setReviewQuestionId(Number(draft.id))}
+                          className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-semibold px-4 py-2 rounded-lg transition"
+                        >
+                          Review
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => setPreviewQuestionId(Number(draft.id))}
+                          className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-semibold px-4 py-2 rounded-lg transition"
+                        >
+                          Try It
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => setHistoryQuestionId(Number(draft.id))}
+                          className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-semibold px-4 py-2 rounded-lg transition"
+                        >
+                          History
+                        </button>
+                      </>
+                    )}
                     <button
                       type="button"
                       onClick={() => handleDeleteDraft(draft.id)}
@@ -2038,13 +3101,24 @@ const ProfessorDraftsPage: React.FC = () => {
                       type="button"
                       onClick={() => handlePublishDraft(draft)}
                       className="bg-green-600 hover:bg-green-700 text-white font-semibold px-4 py-2 rounded-lg transition disabled:opacity-60"
-                      disabled={publishingDraftId === draft.id || typeof draft.publishedQuestionId === "number"}
+                      disabled={
+                        publishingDraftId === draft.id ||
+                        typeof draft.publishedQuestionId === "number" ||
+                        draft.reviewStatus === "in_review" ||
+                        draft.reviewStatus === "retired"
+                      }
                     >
                       {publishingDraftId === draft.id
-                        ? "Publishing..."
+                        ? "Saving..."
                         : typeof draft.publishedQuestionId === "number"
                           ? "Published"
-                          : "Publish"}
+                          : draft.reviewStatus === "approved"
+                            ? "Publish"
+                            : draft.reviewStatus === "in_review"
+                              ? "In Review"
+                              : draft.reviewStatus === "retired"
+                                ? "Retired"
+                                : "Submit for Review"}
                     </button>
                   </div>
                 </div>
@@ -2054,6 +3128,39 @@ const ProfessorDraftsPage: React.FC = () => {
           </>
           )}
 
+          {activeTab === "reviews" && (
+            <QuestionReviewQueue reloadKey={reviewQueueReloadKey} onOpen={setReviewQuestionId} />
+          )}
+
+          {activeTab === "retired" && (
+            <RetiredQuestionsList reloadKey={retiredReloadKey} onOpen={setReviewQuestionId} />
+          )}
+
+          {activeTab === "search" && (
+            <QuestionSearchPanel
+              audience="author"
+              reloadKey={draftsReloadKey}
+              renderActions={(question) => (
+                <>
+                  <button
+                    type="button"
+                    onClick={() => setPreviewQuestionId(question.ID)}
+                    className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-semibold px-4 py-2 rounded-lg transition"
+                  >
+                    Try It
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setReviewQuestionId(question.ID)}
+                    className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-semibold px-4 py-2 rounded-lg transition"
+                  >
+                    Review
+                  </button>
+                </>
+              )}
+            />
+          )}
+
           {activeTab === "published" && (
             <div className="space-y-4">
               {isLoadingPublished && (
@@ -2101,6 +3208,37 @@ const ProfessorDraftsPage: React.FC = () => {
                       >
                         {publishedActionId === question.id ? "Loading..." : linkedDraft ? "Open in Drafts" : "Create Draft"}
                       </button>
+                      <button
+                        type="button"
+                        onClick={() => setReviewQuestionId(question.id)}
+                        className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-semibold px-4 py-2 rounded-lg transition"
+                      >
+                        Review
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => setPreviewQuestionId(question.id)}
+                        className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-semibold px-4 py-2 rounded-lg transition"
+                      >
+                        Try It
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => setHistoryQuestionId(question.id)}
+                        className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-semibold px-4 py-2 rounded-lg transition"
+                      >
+                        History
+                      </button>
+                      {/* Programming answers are graded by their test runs, which a regrade doesn't redo */}
+                      {question.questionType !== "Programming" && (
+                        <button
+                          type="button"
+                          onClick={() => setRegradeQuestionId(question.id)}
+                          className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-semibold px-4 py-2 rounded-lg transition"
+                        >
+                          Regrade
+                        </button>
+                      )}
                       <button
                         type="button"
                         onClick={() => (
@@ -2111,7 +3249,7 @@ const ProfessorDraftsPage: React.FC = () => {
                         className="bg-red-500 hover:bg-red-600 text-white font-semibold px-4 py-2 rounded-lg transition disabled:opacity-60"
                         disabled={publishedActionId === question.id}
                       >
-                        {pendingDeletePublishedId === question.id ? "Confirm Delete" : "Delete Published"}
+                        {pendingDeletePublishedId === question.id ? "Confirm Retire" : "Retire Published"}
                       </button>
                       {pendingDeletePublishedId === question.id && (
                         <button
@@ -2155,6 +3293,41 @@ const ProfessorDraftsPage: React.FC = () => {
           )}
         </div>
       </div>
+
+      {historyQuestionId !== null && (
+        <QuestionHistoryPanel
+          questionId={historyQuestionId}
+          onClose={() => setHistoryQuestionId(null)}
+          onRolledBack={(questionId) => {
+            // Rolling back unpublishes the question, same as an edit
+            setPublishedQuestions((prev) => prev.filter((question) => question.id !== questionId));
+            setDraftsReloadKey((key) => key + 1);
+          }}
+        />
+      )}
+
+      {previewQuestionId !== null && (
+        <QuestionPreviewPanel questionId={previewQuestionId} onClose={() => setPreviewQuestionId(null)} />
+      )}
+
+      {regradeQuestionId !== null && (
+        <QuestionRegradePanel questionId={regradeQuestionId} onClose={() => setRegradeQuestionId(null)} />
+      )}
+
+      {reviewQuestionId !== null && (
+        <QuestionReviewPanel
+          questionId={reviewQuestionId}
+          onClose={() => setReviewQuestionId(null)}
+          onStatusChanged={(questionId, status) => {
+            if (status !== "published") {
+              setPublishedQuestions((prev) => prev.filter((question) => question.id !== questionId));
+            }
+            setDraftsReloadKey((key) => key + 1);
+            setReviewQueueReloadKey((key) => key + 1);
+            setRetiredReloadKey((key) => key + 1);
+          }}
+        />
+      )}
     </Layout>
   );
 };
@@ -10,7 +10,11 @@
 //  Dependencies:  react
 //                 api instance
 //                 Layout component
+//                 RichText component
+//                 taxonomyStore
 //                 topicLabels
+//                 numericSettings utils
+//                 blanks utils
 //                 models
 //                 storeCosmetics
 //                 userCustomizationStore
@@ -20,12 +24,14 @@
 import React, { useCallback, useEffect, useState, useMemo, useRef } from "react";
 import api from "../api";
 import Layout from "../components/Layout";
-import { ALL_TOPICS, formatSubcategoryLabel} from "../utils/topicLabels"
+import RichText from "../components/RichText";
+import { useTaxonomyStore } from "../stores/taxonomyStore";
+import { formatSubcategoryLabel, getSubcategoryNames } from "../utils/topicLabels";
+import { readNumericSettings } from "../utils/numericSettings";
+import { numberBlanks, readBlanks } from "../utils/blanks";
 import { RawQuestion} from '../models';
 import { getBackgroundUrlByItemName } from "../utils/storeCosmetics";
 import { useUserCustomizationStore, userCustomizationStore } from "../stores/userCustomizationStore";
-import parse from "html-react-parser";
-import DOMPurify from "dompurify";
 import { ChevronLeft, ChevronRight, Eye } from "lucide-react";
 
 interface Pagination {
@@ -122,6 +128,9 @@ const ProfessorStatisticsPage: React.FC = () =>
 {
     const removeHtmlTags = /(<([^>]+)>)/gi;
 
+    const { categories } = useTaxonomyStore();
+    const topics = getSubcategoryNames(categories);
+
     const scrollRef = useRef<HTMLInputElement | null>(null);
     // State to store the current scroll position
     const [, setScrollPos] = useState(0);
@@ -261,7 +270,8 @@ const ProfessorStatisticsPage: React.FC = () =>
             {
                 //console.log('in my question section...')
 
-                ALL_TOPICS.map((topic) => {
+                // Grouped by subcategory, only the ones with questions are sent
+                Object.keys(response.data.questions).map((topic) => {
                     if(response.data.questions[topic] !== undefined && response.data.questions[topic] !== null)
                     {
                         //console.log(topic)
@@ -399,7 +409,7 @@ const ProfessorStatisticsPage: React.FC = () =>
         }
         else {
             setTopicStats({medianAccuracy: 0, medianElapsedTime: 0, medianPerformanceMetric: 0, responseCount: 0});
-            ALL_TOPICS.map((topic) => {
+            topics.map((topic) => {
                 if(topic.toLowerCase() === topicChoice.toLowerCase() && aggregateStats?.subcategoryBreakdown[topicChoice] != undefined)
                 {
                     const topicData: StatData = {
@@ -709,6 +719,11 @@ const ProfessorStatisticsPage: React.FC = () =>
             case "drag and drop":
             case "drag_and_drop":
             return "Drag and Drop";
+            case "code trace":
+            case "code_trace":
+            return "Code Trace";
+            case "numeric":
+            return "Numeric";
             default:
             return "Multiple Choice";
         }
@@ -723,10 +738,8 @@ const ProfessorStatisticsPage: React.FC = () =>
         return false;
     };
     const previewQuestionType = normalizeQuestionType(previewQuestion?.TYPE);
-    const previewQuestionHtml = useMemo(
-        () => DOMPurify.sanitize(String(previewQuestion?.QUESTION_TEXT || "")),
-        [previewQuestion?.QUESTION_TEXT]
-    );
+    const previewNumericUnit = readNumericSettings(previewQuestion?.NUMERIC_SETTINGS)?.unit;
+    const previewBlankIds = readBlanks(previewQuestion?.BLANKS)?.map((blank) => blank.id) ?? [];
     const previewAnswers = useMemo(() => {
     if (!Array.isArray(previewQuestion?.answers)) {
         return [];
@@ -783,8 +796,8 @@ const ProfessorStatisticsPage: React.FC = () =>
                                     resolveTopicData(topic);
                                 }}>
                                 <option key='0' value="All">All</option>
-                                {ALL_TOPICS.map((topic, index) => (
-                                    <option key={index+1} value={topic}>{topic}</option>
+                                {topics.map((topic, index) => (
+                                    <option key={index+1} value={topic}>{formatSubcategoryLabel(topic)}</option>
                                 ))};
                             </select>
                         </div>
@@ -819,7 +832,7 @@ const ProfessorStatisticsPage: React.FC = () =>
 
                             }}>
                             <option key='0' value="My Questions">My Questions</option>
-                            {ALL_TOPICS.map((topic, index) => (
+                            {topics.map((topic, index) => (
                                 <option key={index+1} value={topic}>{formatSubcategoryLabel(topic)}</option>
                             ))};
                         </select>
@@ -953,9 +966,9 @@ const ProfessorStatisticsPage: React.FC = () =>
                 
                                     <h2 className="text-lg font-semibold mb-2">Question 1 of 1</h2>
                 
-                                    <div className="text-base sm:text-lg md:text-xl font-medium mb-4 text-gray-800 leading-relaxed whitespace-pre-wrap [&_pre]:bg-gray-100 [&_pre]:border [&_pre]:border-gray-200 [&_pre]:rounded-md [&_pre]:p-3 [&_pre]:overflow-x-auto [&_code]:font-mono [&_code]:text-sm">
+                                    <div className="text-base sm:text-lg md:text-xl font-medium mb-4 text-gray-800 leading-relaxed question-rich-text">
                                     {previewQuestion.QUESTION_TEXT?.trim().length
-                                        ? parse(previewQuestionHtml)
+                                        ? <RichText text={numberBlanks(String(previewQuestion.QUESTION_TEXT), previewBlankIds)} />
                                         : <span className="text-gray-500">Nothing to preview yet.</span>}
                                     </div>
                 
@@ -978,7 +991,7 @@ const ProfessorStatisticsPage: React.FC = () =>
                                     </div>
                                     )}
                 
-                                    {previewQuestionType === "Fill in the Blanks" && (
+                                    {previewQuestionType === "Fill in the Blanks" && previewBlankIds.length === 0 && (
                                     <div className="mb-2">
                                         <label className="block text-sm sm:text-base font-medium text-gray-700 mb-2">Your Answer:</label>
                                         <input
@@ -989,6 +1002,55 @@ const ProfessorStatisticsPage: React.FC = () =>
                                         />
                                     </div>
                                     )}
+
+                                    {previewQuestionType === "Fill in the Blanks" && previewBlankIds.length > 0 && (
+                                    <div className="mb-2 space-y-3">
+                                        {previewBlankIds.map((blankId, blankIndex) => (
+                                        <div key={blankId}>
+                                            <label className="block text-sm sm:text-base font-medium text-gray-700 mb-2">Blank {blankIndex + 1}:</label>
+                                            <input
+                                            type="text"
+                                            disabled
+                                            placeholder="Type your answer here..."
+                                            className="w-full p-3 sm:p-4 rounded-lg border text-sm sm:text-base md:text-lg bg-white border-gray-300"
+                                            />
+                                        </div>
+                                        ))}
+                                    </div>
+                                    )}
+                
+                                    {previewQuestionType === "Numeric" && (
+                                    <div className="mb-2">
+                                        <label className="block text-sm sm:text-base font-medium text-gray-700 mb-2">Your Answer:</label>
+                                        <div className="flex items-center gap-3">
+                                        <input
+                                        type="text"
+                                        disabled
+                                        placeholder="e.g. 42, 3.5, 1e6, 0x2A or 0b101010"
+                                        className="flex-1 min-w-0 p-3 sm:p-4 rounded-lg border font-mono text-sm sm:text-base md:text-lg bg-white border-gray-300"
+                                        />
+                                        {previewNumericUnit && (
+                                        <span className="text-sm sm:text-base font-medium text-gray-700">
+                                            {previewNumericUnit}
+                                        </span>
+                                        )}
+                                        </div>
+                                    </div>
+                                    )}
+
+                                    {previewQuestionType === "Code Trace" && (
+                                    <div className="mb-2">
+                                        <pre className="mb-3 p-3 rounded-lg border border-gray-300 bg-gray-50 text-sm font-mono overflow-x-auto whitespace-pre">
+                                        {previewQuestion.TRACE_CODE ?? ""}
+                                        </pre>
+                                        <textarea
+                                        disabled
+                                        rows={4}
+                                        placeholder="Type the output, one line per line printed..."
+                                        className="w-full p-3 sm:p-4 rounded-lg border font-mono text-sm sm:text-base bg-white border-gray-300"
+                                        />
+                                    </div>
+                                    )}
                 
                                     {previewQuestionType === "Ranked Choice" && (
                                     <div className="space-y-2 mb-2">
@@ -0,0 +1,107 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          QuestionBrowserPage.tsx
+//  Description:   Lets students search published questions and
+//                 pick specific ones to practice, which runs
+//                 them in TopicTestPage's picked mode.
+//
+//  Dependencies:  react
+//                 react-router-dom
+//                 Layout component
+//                 QuestionSearchPanel component
+//                 models (QuestionSearchResult)
+//
+////////////////////////////////////////////////////////////////
+
+import React, { useState } from "react";
+import { useNavigate } from "react-router-dom";
+import Layout from "../components/Layout";
+import QuestionSearchPanel from "../components/QuestionSearchPanel";
+import { QuestionSearchResult } from "../models";
+
+// Same limit as MAX_PICKED_QUESTIONS on the server
+const MAX_PICKED_QUESTIONS = 30;
+
+const QuestionBrowserPage: React.FC = () => {
+  const navigate = useNavigate();
+  const [picked, setPicked] = useState<QuestionSearchResult[]>([]);
+
+  const isPicked = (questionId: number) => picked.some((question) => question.ID === questionId);
+
+  const togglePicked = (question: QuestionSearchResult) => {
+    setPicked((current) => (
+      current.some((entry) => entry.ID === question.ID)
+        ? current.filter((entry) => entry.ID !== question.ID)
+        : [...current, question]
+    ));
+  };
+
+  const startPractice = () => {
+    navigate(`/picked-practice?ids=${picked.map((question) => question.ID).join(",")}`);
+  };
+
+  return (
+    <Layout>
+      <div className="bg-gray-100 min-h-full py-8 px-4">
+        <div className="max-w-6xl mx-auto bg-white rounded-lg shadow-md p-8 space-y-6">
+          <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+            <div>
+              <h1 className="text-3xl font-bold text-gray-800">Browse Questions</h1>
+              <p className="text-sm text-gray-600 mt-1">
+                Search for questions and pick the ones you want to practice, in the order you pick them.
+              </p>
+            </div>
+            <div className="flex items-center gap-3 shrink-0">
+              <span className="text-sm text-gray-700">
+                {picked.length} / {MAX_PICKED_QUESTIONS} picked
+              </span>
+              {picked.length > 0 && (
+                <button
+                  type="button"
+                  onClick={() => setPicked([])}
+                  className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-semibold px-4 py-2 rounded-lg transition"
+                >
+                  Clear
+                </button>
+              )}
+              <button
+                type="button"
+                onClick={startPractice}
+                disabled={picked.length === 0}
+                className="bg-yellow-500 hover:bg-yellow-600 text-black font-semibold px-4 py-2 rounded-lg transition disabled:opacity-50"
+              >
+                Start practice
+              </button>
+            </div>
+          </div>
+
+          <QuestionSearchPanel
+            audience="student"
+            renderActions={(question) => {
+              const selected = isPicked(question.ID);
+              return (
+                <button
+                  type="button"
+                  onClick={() => togglePicked(question)}
+                  disabled={!selected && picked.length >= MAX_PICKED_QUESTIONS}
+                  className={`font-semibold px-4 py-2 rounded-lg transition disabled:opacity-50 ${
+                    selected
+                      ? "bg-yellow-500 hover:bg-yellow-600 text-black"
+                      : "bg-gray-200 hover:bg-gray-300 text-gray-800"
+                  }`}
+                >
+                  {selected ? "Picked" : "Pick"}
+                </button>
+              );
+            }}
+          />
+        </div>
+      </div>
+    </Layout>
+  );
+};
+
+export default QuestionBrowserPage;
@@ -1,14 +1,37 @@
 // this page displays the available topics
 import React from "react";
+import { useNavigate } from "react-router-dom";
+import { Search, Sparkles } from "lucide-react";
 import Layout from "../components/Layout";
 import TopicCard from "../components/TopicCard";
 
-const TopicPage: React.FC = () => (
-  <Layout>
-    <h1 className="my-4 pt-4 text-center text-2xl font-bold sm:my-6 sm:pt-6 sm:text-4xl md:text-5xl">Choose your topics</h1>
-    <TopicCard />
-  </Layout>
-);
+const TopicPage: React.FC = () => {
+  const navigate = useNavigate();
 
-export default TopicPage;
+  return (
+    <Layout>
+      <h1 className="my-4 pt-4 text-center text-2xl font-bold sm:my-6 sm:pt-6 sm:text-4xl md:text-5xl">Choose your topics</h1>
+      {/* adaptive practice picks across all topics, weighted toward weak spots */}
+      <div className="w-full max-w-6xl mx-auto px-4">
+        <button
+          onClick={() => navigate("/adaptive-practice")}
+          className="flex w-full items-center justify-center gap-3 rounded-lg border border-yellow-400 bg-yellow-100 p-4 text-sm font-semibold text-gray-900 shadow-md transition-all hover:bg-yellow-200 sm:text-base"
+        >
+          <Sparkles size={28} />
+          <span>Adaptive practice: focus on your weakest topics</span>
+        </button>
+        {/* browse questions and pick specific ones to practice */}
+        <button
+          onClick={() => navigate("/question-browser")}
+          className="mt-3 flex w-full items-center justify-center gap-3 rounded-lg border border-gray-300 bg-white p-4 text-sm font-semibold text-gray-900 shadow-md transition-all hover:bg-gray-100 sm:text-base"
+        >
+          <Search size={28} />
+          <span>Browse questions: pick specific problems to practice</span>
+        </button>
+      </div>
+      <TopicCard />
+    </Layout>
+  );
+};
 
+export default TopicPage;
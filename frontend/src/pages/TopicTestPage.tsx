@@ -6,7 +6,10 @@
 //  File:          TopicTestPage.tsx
 //  Description:   Handles Topic Practice operations such as
 //                 submitting user responses and displaying
-//                 grading feedback.
+//                 grading feedback. Also runs adaptive
+//                 practice sets, the review queue and
+//                 questions picked from the question
+//                 browser, which span all topics.
 //
 //  Dependencies:  react
 //                 api instance
@@ -14,28 +17,58 @@
 //                 dompurify
 //                 Layout component
 //                 FillInTheBlank component
+//                 CodeTrace component
+//                 NumericAnswer component
 //                 SelectAllThatApply component
-//                 models (RawQuestion, Question)
+//                 models (RawQuestion, Question, AdaptivePracticeResponse, ReviewQueueResponse,
+//                         PickedPracticeResponse, CodeJob, AnswerFeedback, BlankScore)
+//                 taxonomyStore
+//                 topicLabels
 //                 axios (isAxiosError)
+//                 answerOptions
+//                 codeJobs
+//                 codeLanguages
+//                 blanks utils
+//                 QuestionHints and AnswerExplanation components
 //
 ////////////////////////////////////////////////////////////////
 
 // this page shows questions related to the chosen topic
 import React, { useEffect, useState, useRef } from "react";
-import { useParams, useNavigate } from "react-router-dom";
+import { useParams, useNavigate, useSearchParams } from "react-router-dom";
 import Layout from "../components/Layout";
 import MultipleChoice from "../components/MultipleChoice";
 import FillInTheBlank from "../components/FillInTheBlank";
+import CodeTrace from "../components/CodeTrace";
+import NumericAnswer from "../components/NumericAnswer";
 import SelectAllThatApply from "../components/SelectAllThatApply";
 import RankedChoice from "../components/RankedChoice";
 import DragAndDrop from "../components/DragAndDrop";
 import Programming from "../components/Programming";
+import QuestionHints from "../components/QuestionHints";
+import AnswerExplanation from "../components/AnswerExplanation";
 import api from "../api";
-import { RawQuestion, Question } from "../models";
+import { RawQuestion, Question, AdaptivePracticeResponse, ReviewQueueResponse, PickedPracticeResponse, CodeJob, AnswerFeedback, BlankScore } from "../models";
 import { isAxiosError } from "axios";
-
-const TopicTestPage: React.FC = () => {
+import { useTaxonomyStore } from "../stores/taxonomyStore";
+import { formatSubcategoryLabel } from "../utils/topicLabels";
+import { buildOptionIdMap, toOptionIdAnswer } from "../utils/answerOptions";
+import { CodeJobError, runCodeJob } from "../utils/codeJobs";
+import { LANGUAGE_IDS } from "../utils/codeLanguages";
+import { allBlanksFilled } from "../utils/blanks";
+
+interface TopicTestPageProps {
+  // topic:    every question in the :topicName subcategory
+  // adaptive: practice set from GET /api/test/adaptive
+  // review:   questions due from GET /api/progress/review
+  // picked:   questions picked in the question browser, from ?ids=
+  mode?: "topic" | "adaptive" | "review" | "picked";
+}
+
+const TopicTestPage: React.FC<TopicTestPageProps> = ({ mode = "topic" }) => {
   const { topicName } = useParams<{ topicName: string }>();
+  const [searchParams] = useSearchParams();
+  const pickedIds = searchParams.get("ids") ?? "";
   const isProfessorAccount = localStorage.getItem("account_type") === "professor";
   const [problems, setProblems] = useState<Question[]>([]);
   const [currentIndex, setCurrentIndex] = useState(0);
@@ -43,6 +76,8 @@ const TopicTestPage: React.FC = () => {
   const [selectedAnswers, setSelectedAnswers] = useState<string[]>([]);
   const [selectedOrder, setSelectedOrder] = useState<string[]>([]);
   const [droppedAnswers, setDroppedAnswers] = useState<Record<string, string>>({});
+  const [blankAnswers, setBlankAnswers] = useState<Record<string, string>>({});
+  const [blankScores, setBlankScores] = useState<BlankScore[] | null>(null);
   const [programmingAnswer, setProgrammingAnswer] = useState("");
   const [programmingLanguage, setProgrammingLanguage] = useState("C");
   const [answered, setAnswered] = useState(false);
@@ -58,20 +93,16 @@ const TopicTestPage: React.FC = () => {
   const [passedTests, setPassedTests] = useState<number | null>(null);
   const [totalTests, setTotalTests] = useState<number | null>(null);
   const [progSubmitsRemaining, setProgSubmitsRemaining] = useState<number | null>(null);
+  const [codeJob, setCodeJob] = useState<CodeJob | null>(null);
+  // Explanation, hints and rationales, once the question is answered
+  const [answerFeedback, setAnswerFeedback] = useState<AnswerFeedback | null>(null);
   const startTimeRef = useRef<number>(Date.now()); // Ref so we don't need to re-render on change
   const navigate = useNavigate();
-  const programmingLanguageIds: Record<string, number> = {
-    C: 50,
-    "C++": 54,
-    Java: 62,
-    Python: 71,
-  };
   const current = problems[currentIndex];
   const questionType = current?.QUESTION_TYPE || "multiple_choice";
 
-  const formatSubcategoryLabel = (subcategory?: string) => {
-    return subcategory === "InputOutput" ? "Input/Output" : String(subcategory || "");
-  };
+  // Subscribed so labels switch to display names once the taxonomy loads
+  useTaxonomyStore();
 
   const displayCurrent = current
     ? { ...current, SUBCATEGORY: formatSubcategoryLabel(current.SUBCATEGORY) }
@@ -87,6 +118,8 @@ const TopicTestPage: React.FC = () => {
         return "multiple_choice";
       case "fill in the blanks":
         return "fill_in_blank";
+      case "numeric":
+        return "numeric";
       case "select all that apply":
         return "select_all_that_apply";
       case "ranked choice":
@@ -95,6 +128,8 @@ const TopicTestPage: React.FC = () => {
         return "drag_and_drop";
       case "programming":
         return "programming";
+      case "code trace":
+        return "code_trace";
       default:
         return undefined;
     }
@@ -103,9 +138,20 @@ const TopicTestPage: React.FC = () => {
   const buildProfessorAnswerKeyFeedback = (question: Question, type: Question["QUESTION_TYPE"]) => {
     const allAnswers = question.answerObjects ?? [];
 
+    // Each blank has its own accepted answers
+    if (type === "fill_in_blank" && question.blanks?.length) {
+      const perBlank = question.blanks.map((id, i) => {
+        const accepted = allAnswers.find((answer) => answer.IS_CORRECT_ANSWER && answer.BLANK_ID === id)?.TEXT;
+        return `blank ${i + 1}: ${accepted || "(not available)"}`;
+      });
+      return `Correct answers: ${perBlank.join("; ")}.`;
+    }
+
     switch (type) {
       case "multiple_choice":
-      case "fill_in_blank": {
+      case "fill_in_blank":
+      case "numeric":
+      case "code_trace": {
         const firstCorrect = allAnswers.find((answer) => answer.IS_CORRECT_ANSWER)?.TEXT ?? question.answerCorrect;
         return `Correct answer: ${firstCorrect || "(not available)"}.`;
       }
@@ -143,36 +189,43 @@ const TopicTestPage: React.FC = () => {
   useEffect(() => {
     const fetchProblems = async () => {
       try {
-        const rawTopicName = (topicName || "").trim();
-        const normalizedTopicName = encodeURIComponent(rawTopicName);
-        const res = await api.get<RawQuestion[]>(`/api/test/topic/${normalizedTopicName}`);
-        const data = res.data;
+        let shuffledProblems: RawQuestion[];
+        if (mode === "adaptive") {
+          // Already ordered by the backend, weakest areas first
+          const res = await api.get<AdaptivePracticeResponse>("/api/test/adaptive");
+          shuffledProblems = res.data.questions;
+        } else if (mode === "review") {
+          // Already ordered by the backend, most overdue first
+          const res = await api.get<ReviewQueueResponse>("/api/progress/review");
+          shuffledProblems = res.data.questions;
+        } else if (mode === "picked") {
+          // Kept in the order the student picked them
+          const res = await api.get<PickedPracticeResponse>("/api/test/questions", { params: { ids: pickedIds } });
+          shuffledProblems = res.data.questions;
+        } else {
+          const rawTopicName = (topicName || "").trim();
+          const normalizedTopicName = encodeURIComponent(rawTopicName);
+          const res = await api.get<RawQuestion[]>(`/api/test/topic/${normalizedTopicName}`);
 
-        // shuffle problems
-        const shuffledProblems = data.sort(() => 0.5 - Math.random());
+          // shuffle problems
+          shuffledProblems = res.data.sort(() => 0.5 - Math.random());
+        }
 
-        // shuffle choices
         const withOptions = shuffledProblems
           .map((question) => {
-          // Extract answer data
-          const correctAnswer = question.answers?.find((a) => a.IS_CORRECT_ANSWER);
+          // Options arrive shuffled with opaque IDs and no answer key.
+          // Only professors get the raw answers, used for their local answer key feedback.
+          const answerKey = question.answers || [];
+          const correctAnswer = answerKey.find((a) => a.IS_CORRECT_ANSWER);
           const normalizedType = normalizeQuestionType(question.TYPE);
-          const allAnswerTexts = question.answers?.map((a) => a.TEXT) || [];
-          
+
           // For ranked_choice: sort answers by RANK field
-          const correctOrder = normalizedType === "ranked_choice"
-            ? [...(question.answers || [])]
+          const correctOrder = normalizedType === "ranked_choice" && answerKey.length > 0
+            ? [...answerKey]
               .sort((a, b) => (a.RANK ?? 0) - (b.RANK ?? 0))
               .map((a) => a.TEXT)
             : undefined;
-          
-          // Shuffle options shown to users; keep correctOrder separately for grading
-          const shuffledOptions = normalizedType === "ranked_choice"
-            ? [...allAnswerTexts].sort(() => 0.5 - Math.random())
-            : normalizedType === "drag_and_drop"
-            ? allAnswerTexts.sort(() => 0.5 - Math.random())
-            : allAnswerTexts.sort(() => 0.5 - Math.random());
-     
+
           // Transform RawQuestion to Question interface
           const newQuestion: Question = {
             ID:             question.ID,
@@ -187,18 +240,13 @@ const TopicTestPage: React.FC = () => {
             answerCorrect:  normalizedType === "ranked_choice"
               ? (correctOrder || []).join(", ")
               : correctAnswer?.TEXT || "",
-            options:        shuffledOptions,
+            options:        (question.options || []).map((option) => option.text),
+            optionIds:      buildOptionIdMap(question.options),
+            placements:     normalizedType === "drag_and_drop" ? question.placements || [] : undefined,
             QUESTION_TYPE:  normalizedType,
             correctOrder:   correctOrder,
-            // Keep answer objects for all question types to support local professor grading.
-            answerObjects:  question.answers || [],
-            // drag_and_drop (old inline style): map each answer to a drop zone with id and correctAnswer
-            dropZones:      normalizedType === "drag_and_drop"
-              ? [...(question.answers || [])].map((ans, idx) => ({
-                  id: `zone-${idx}`,
-                  correctAnswer: ans.TEXT,
-                }))
-              : undefined,
+            // Professor answer key, empty for students
+            answerObjects:  answerKey,
             // programming: use standard languages (C, C++, Java, Python)
             problem:        normalizedType === "programming"
               ? {
@@ -206,12 +254,13 @@ const TopicTestPage: React.FC = () => {
                   languages: ["C", "C++", "Java", "Python"],
                 }
               : undefined,
-            problemCode:    normalizedType === "programming"
-              ? (question.answers || []).reduce((acc, ans) => {
-                  acc[ans.TEXT] = { code: ans.IS_CORRECT_ANSWER ? "// Solution" : "// Code", output: "" };
-                  return acc;
-                }, {} as { [lang: string]: { code: string; output?: string } })
-              : undefined,
+            codeTemplates:  question.codeTemplates,
+            traceCode:      question.traceCode,
+            traceLanguageId: question.traceLanguageId,
+            numericUnit:    question.numericUnit,
+            blanks:         question.blanks,
+            hintCount:      question.hintCount ?? 0,
+            instance:       question.instance,
           };
           return newQuestion;
         })
@@ -254,14 +303,20 @@ const TopicTestPage: React.FC = () => {
       }
     };
 
-    if (topicName) fetchProblems();
-  }, [topicName]);
+    if (mode !== "topic" || topicName) fetchProblems();
+  }, [mode, topicName, pickedIds]);
 
   const buildUserAnswer = (questionType: Question["QUESTION_TYPE"]) => {
     switch (questionType) {
-      case "multiple_choice":
       case "fill_in_blank":
+        // Questions with blanks are answered { blankId: text }
+        return current?.blanks?.length ? blankAnswers : selectedAnswer?.trim() || "";
+      case "multiple_choice":
+      case "numeric":
         return selectedAnswer?.trim() || "";
+      case "code_trace":
+        // Line breaks are part of the answer, the grader normalizes spacing
+        return selectedAnswer || "";
       case "select_all_that_apply":
         return selectedAnswers;
       case "ranked_choice":
@@ -290,7 +345,9 @@ const TopicTestPage: React.FC = () => {
   // submit response and send to server
   const handleSubmit = async () => {
     // Gate submit until the current question has a valid response.
-    const hasAnswer = questionType === "multiple_choice" || questionType === "fill_in_blank"
+    const hasAnswer = questionType === "fill_in_blank" && current?.blanks?.length
+      ? allBlanksFilled(current.blanks, blankAnswers)
+      : questionType === "multiple_choice" || questionType === "fill_in_blank" || questionType === "numeric" || questionType === "code_trace"
       ? selectedAnswer?.trim()
       : questionType === "ranked_choice"
         ? selectedOrder.length === (current?.options.length || 0)
@@ -310,8 +367,7 @@ const TopicTestPage: React.FC = () => {
       setPointsEarned(null);
       setPointsPossible(null);
       setNormalizedScore(null);
-      const languageId = programmingLanguageIds[programmingLanguage];
-      const token = localStorage.getItem("token");
+      const languageId = LANGUAGE_IDS[programmingLanguage];
 
       if (!languageId) {
         setFeedback("Unsupported language.");
@@ -321,9 +377,9 @@ const TopicTestPage: React.FC = () => {
         return;
       }
 
+      setCodeJob(null);
       try {
-        const result = await api.post(
-          "/api/code/submitCode",
+        const data = await runCodeJob(
           {
             problemId: current.ID,
             code: programmingAnswer,
@@ -331,15 +387,13 @@ const TopicTestPage: React.FC = () => {
             isTestRun: false,
             elapsedTime,
           },
-          token ? { headers: { Authorization: `Bearer ${token}` } } : undefined
+          setCodeJob
         );
 
-        const data = result.data;
-
         // Decrement remaining submits
         // Backend counts all submits toward daily limit,
         // regardless of correct/incorrect/error,
-        // as long as the response is a 200.
+        // as long as the grading job finishes.
         setProgSubmitsRemaining(prev => prev !== null ? prev - 1 : null);
 
         setTotalTests(data.totalTests ?? 0);
@@ -354,6 +408,14 @@ const TopicTestPage: React.FC = () => {
           setPointsEarned(typeof data.pointsEarned === "number" ? data.pointsEarned : null);
           setPointsPossible(typeof data.pointsPossible === "number" ? data.pointsPossible : null);
           setPassedTests(passed);
+          if (data.explanation !== undefined) {
+            setAnswerFeedback({
+              explanation: data.explanation,
+              hints:       data.hints ?? [],
+              hintsUsed:   data.hintsUsed,
+              hintPenalty: data.hintPenalty,
+            });
+          }
         } else {
           // Include compiler/runtime errors when present.
           const errorDetails = data.compile_output || data.stderr || data.error || "";
@@ -363,6 +425,13 @@ const TopicTestPage: React.FC = () => {
           setIsCorrectAnswer(false);
         }
       } catch (error: unknown) {
+        // Grading failed before anything was saved, let them submit again.
+        // The progress panel shows the error.
+        if (error instanceof CodeJobError)
+        {
+          setIsSubmitting(false);
+          return;
+        }
         if (isAxiosError(error))
         {
           // Daily submission limit reached.
@@ -435,10 +504,12 @@ const TopicTestPage: React.FC = () => {
       // Sanitize data to ensure it can be safely serialized
       const payload = {
         problem_id: Number(current.ID),
-        userAnswer,
+        userAnswer: toOptionIdAnswer(current, userAnswer),
         category: String(current.CATEGORY || ""),
         topic: String(current.SUBCATEGORY || ""),
         elapsedTime,
+        // Template questions are graded against the instance shown
+        instance: current.instance,
       };
 
       // Ensure payload can be JSON serialized
@@ -473,6 +544,14 @@ const TopicTestPage: React.FC = () => {
       setNormalizedScore(
         typeof result.data.normalizedScore === "number" ? result.data.normalizedScore : null
       );
+      setBlankScores(Array.isArray(result.data.blankScores) ? result.data.blankScores : null);
+      setAnswerFeedback({
+        explanation:      result.data.explanation ?? null,
+        hints:            result.data.hints ?? [],
+        answerRationales: result.data.answerRationales,
+        hintsUsed:        result.data.hintsUsed,
+        hintPenalty:      result.data.hintPenalty,
+      });
       if (isCorrect) setCorrectCount((prev) => prev + 1);
       setAnswered(true);
       setIsSubmitting(false);
@@ -511,6 +590,8 @@ const TopicTestPage: React.FC = () => {
     setSelectedAnswers([]);
     setSelectedOrder([]);
     setDroppedAnswers({});
+    setBlankAnswers({});
+    setBlankScores(null);
     setProgrammingAnswer("");
     setProgrammingLanguage("C");
     setAnswered(false);
@@ -521,6 +602,8 @@ const TopicTestPage: React.FC = () => {
     setNormalizedScore(null);
     setPassedTests(null);
     setTotalTests(null);
+    setCodeJob(null);
+    setAnswerFeedback(null);
     if (currentIndex + 1 < problems.length) {
       setCurrentIndex((prev) => prev + 1);
     } else {
@@ -577,7 +660,7 @@ const TopicTestPage: React.FC = () => {
     return (
       <div className="mt-6">
         <div className={`p-4 ${boxClass} rounded border ${borderClass} text-sm sm:text-base md:text-lg`}>
-          <p className={statusClass}>{feedback}</p>
+          <p className={`${statusClass} whitespace-pre-wrap`}>{feedback}</p>
           {!isProfessorAccount && (derivedPointsEarned !== null || normalizedScore !== null) && (
             <div className="mt-2 text-gray-700">
               {typeof derivedPointsEarned === "number" && typeof derivedPointsPossible === "number" && (
@@ -593,6 +676,19 @@ const TopicTestPage: React.FC = () => {
     );
   })() : null;
 
+  // Hints before answering, the explanation after. Professors see the answer key instead.
+  const hintsOrExplanation = answered
+    ? answerFeedback && <AnswerExplanation feedback={answerFeedback} />
+    : !isProfessorAccount && current && (current.hintCount ?? 0) > 0
+      ? <QuestionHints key={current.ID} questionId={current.ID} hintCount={current.hintCount ?? 0} instance={current.instance} />
+      : null;
+  const questionExtras = (
+    <>
+      {sharedFeedback}
+      {hintsOrExplanation}
+    </>
+  );
+
   useEffect(() => {
     // On question change, start the timer
     startTimeRef.current = Date.now();
@@ -665,7 +761,7 @@ const TopicTestPage: React.FC = () => {
           showFeedback={answered}
           isCorrect={isCorrect}
           hideFeedback={true}
-          feedbackContent={sharedFeedback}
+          feedbackContent={questionExtras}
         />
       ) : questionType === "ranked_choice" ? (
         <RankedChoice
@@ -679,7 +775,7 @@ const TopicTestPage: React.FC = () => {
           showFeedback={answered}
           isCorrect={isCorrect}
           hideFeedback={true}
-          feedbackContent={sharedFeedback}
+          feedbackContent={questionExtras}
         />
       ) : questionType === "drag_and_drop" ? (
         <DragAndDrop
@@ -693,7 +789,7 @@ const TopicTestPage: React.FC = () => {
           showFeedback={answered}
           isCorrect={isCorrect}
           hideFeedback={true}
-          feedbackContent={sharedFeedback}
+          feedbackContent={questionExtras}
         />
       ) : questionType === "programming" ? (
         <Programming
@@ -716,6 +812,36 @@ const TopicTestPage: React.FC = () => {
           passedTests={passedTests}
           totalTests={totalTests}
           submissionsRemaining={progSubmitsRemaining}
+          codeJob={codeJob}
+          feedbackContent={hintsOrExplanation}
+        />
+      ) : questionType === "code_trace" ? (
+        <CodeTrace
+          current={displayCurrent}
+          currentIndex={currentIndex}
+          total={problems.length}
+          selectedAnswer={selectedAnswer}
+          setSelectedAnswer={setSelectedAnswer}
+          handleSubmit={handleSubmit}
+          handleNext={handleNext}
+          showFeedback={answered}
+          isCorrect={isCorrect}
+          hideFeedback={true}
+          feedbackContent={questionExtras}
+        />
+      ) : questionType === "numeric" ? (
+        <NumericAnswer
+          current={displayCurrent}
+          currentIndex={currentIndex}
+          total={problems.length}
+          selectedAnswer={selectedAnswer}
+          setSelectedAnswer={setSelectedAnswer}
+          handleSubmit={handleSubmit}
+          handleNext={handleNext}
+          showFeedback={answered}
+          isCorrect={isCorrect}
+          hideFeedback={true}
+          feedbackContent={questionExtras}
         />
       ) : questionType === "select_all_that_apply" ? (
         <SelectAllThatApply
@@ -729,7 +855,7 @@ const TopicTestPage: React.FC = () => {
           showFeedback={answered}
           isCorrect={isCorrect}
           hideFeedback={true}
-          feedbackContent={sharedFeedback}
+          feedbackContent={questionExtras}
         />
       ) : (
         <FillInTheBlank
@@ -738,12 +864,15 @@ const TopicTestPage: React.FC = () => {
           total={problems.length}
           selectedAnswer={selectedAnswer}
           setSelectedAnswer={setSelectedAnswer}
+          blankAnswers={blankAnswers}
+          setBlankAnswers={setBlankAnswers}
+          blankScores={blankScores}
           handleSubmit={handleSubmit}
           handleNext={handleNext}
           showFeedback={answered}
           isCorrect={isCorrect}
           hideFeedback={true}
-          feedbackContent={sharedFeedback}
+          feedbackContent={questionExtras}
         />
       )}
       </div>
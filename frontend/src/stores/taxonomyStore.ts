@@ -0,0 +1,118 @@
+import { useEffect, useSyncExternalStore } from "react";
+import api from "../api";
+import type { TaxonomyCategory, TaxonomyEntry, TaxonomyResponse } from "../models";
+
+interface TaxonomyState {
+  sections: TaxonomyEntry[];
+  categories: TaxonomyCategory[];
+  isLoaded: boolean;
+  isLoading: boolean;
+  error: string | null;
+}
+
+let state: TaxonomyState = {
+  sections: [],
+  categories: [],
+  isLoaded: false,
+  isLoading: false,
+  error: null,
+};
+
+let stateVersion = 0;
+let loadInFlight: Promise<void> | null = null;
+
+const listeners = new Set<() => void>();
+
+const emit = () => {
+  listeners.forEach((listener) => listener());
+};
+
+const setState = (partial: Partial<TaxonomyState>) => {
+  state = {
+    ...state,
+    ...partial,
+  };
+  stateVersion += 1;
+  emit();
+};
+
+const refresh = async (): Promise<void> => {
+  if (loadInFlight) {
+    return loadInFlight;
+  }
+
+  setState({ isLoading: true, error: null });
+
+  const request = (async () => {
+    try {
+      const response = await api.get<TaxonomyResponse>("/api/taxonomy");
+      setState({
+        sections: response.data.sections,
+        categories: response.data.categories,
+        isLoaded: true,
+        isLoading: false,
+        error: null,
+      });
+    } catch (error) {
+      const message = error instanceof Error ? error.message : "Failed to load topics.";
+      setState({ isLoading: false, error: message });
+    }
+  })();
+
+  loadInFlight = request;
+
+  try {
+    await request;
+  } finally {
+    if (loadInFlight === request) {
+      loadInFlight = null;
+    }
+  }
+};
+
+// The taxonomy rarely changes, so it is fetched once per page load.
+// A failed load (e.g. before sign in) is retried on the next call.
+const load = async (): Promise<void> => {
+  if (state.isLoaded) {
+    return;
+  }
+
+  return refresh();
+};
+
+const subscribe = (listener: () => void): (() => void) => {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+};
+
+const getSnapshot = (): number => {
+  return stateVersion;
+};
+
+const getStateSnapshot = (): TaxonomyState => {
+  return state;
+};
+
+export const taxonomyStore = {
+  subscribe,
+  getSnapshot,
+  getStateSnapshot,
+  load,
+  refresh,
+};
+
+export const useTaxonomyStore = () => {
+  useSyncExternalStore(
+    taxonomyStore.subscribe,
+    taxonomyStore.getSnapshot,
+    taxonomyStore.getSnapshot
+  );
+
+  useEffect(() => {
+    void taxonomyStore.load();
+  }, []);
+
+  return taxonomyStore.getStateSnapshot();
+};
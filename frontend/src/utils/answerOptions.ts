@@ -0,0 +1,53 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          answerOptions.ts
+//  Description:   Helpers for the student-safe answer options
+//                 served by /api/test/*. Components work with
+//                 option texts, the API expects option IDs.
+//
+//  Dependencies:  models (AnswerOption, Question)
+//
+////////////////////////////////////////////////////////////////
+
+import { AnswerOption, Question } from "../models";
+
+export type SubmittedAnswer =
+  | string
+  | string[]
+  | Record<string, string>
+  | { language: string; code: string };
+
+export const buildOptionIdMap = (options?: AnswerOption[]): Record<string, string> => {
+  return (options ?? []).reduce<Record<string, string>>((accumulator, option) => {
+    accumulator[option.text] = option.id;
+    return accumulator;
+  }, {});
+};
+
+// Swaps option texts chosen in the UI for the option IDs the API grades against.
+// Texts without an ID (e.g. Fill in the Blanks input) are sent as-is.
+export const toOptionIdAnswer = (question: Question, userAnswer: SubmittedAnswer): SubmittedAnswer => {
+  const optionIds = question.optionIds ?? {};
+  const toId = (text: string) => optionIds[text] ?? text;
+
+  switch (question.QUESTION_TYPE) {
+    case "multiple_choice":
+      return typeof userAnswer === "string" ? toId(userAnswer) : userAnswer;
+    case "select_all_that_apply":
+    case "ranked_choice":
+      return Array.isArray(userAnswer) ? userAnswer.map(toId) : userAnswer;
+    case "drag_and_drop":
+      return Object.entries(userAnswer as Record<string, string>).reduce<Record<string, string>>(
+        (accumulator, [text, placement]) => {
+          accumulator[toId(text)] = placement;
+          return accumulator;
+        },
+        {}
+      );
+    default:
+      return userAnswer;
+  }
+};
@@ -0,0 +1,73 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          blanks.ts
+//  Description:   Reading a Fill in the Blanks question's stored
+//                 blanks and showing where each one goes in the
+//                 question text.
+//
+//  Dependencies:  models (Blank, BlankMatchMode)
+//
+////////////////////////////////////////////////////////////////
+
+import { Blank, BlankMatchMode } from "../models";
+
+// Most blanks a question can have, matches the API
+export const MAX_BLANKS = 10;
+
+// Most a blank can weigh, matches the API
+export const MAX_BLANK_WEIGHT = 100;
+
+// Where a blank goes in the question text, e.g. "prev.next = [[link]];"
+export const BLANK_MARKER = /\[\[([A-Za-z][\w-]{0,31})\]\]/g;
+
+// What a blank's ID can be, the same as inside BLANK_MARKER
+export const BLANK_ID_PATTERN = /^[A-Za-z][\w-]{0,31}$/;
+
+// Match modes with the labels authors pick from
+export const MATCH_MODE_LABELS: Record<BlankMatchMode, string> = {
+  exact: "Exact (ignores case)",
+  "case-sensitive": "Case-sensitive",
+  fuzzy: "Fuzzy (partial credit)",
+  regex: "Regex",
+};
+
+/**
+ * Reads Question.BLANKS, or null for a question with one blank
+ */
+export const readBlanks = (raw: Blank[] | string | null | undefined): Blank[] | null => {
+  if (!raw) return null;
+  let blanks: Partial<Blank>[] | null = null;
+  try {
+    blanks = typeof raw === "string" ? JSON.parse(raw) : raw;
+  } catch {
+    return null;
+  }
+  if (!Array.isArray(blanks) || blanks.length === 0) return null;
+
+  return blanks.map((blank) => ({
+    id: typeof blank?.id === "string" ? blank.id.trim() : "",
+    matchMode: blank?.matchMode && blank.matchMode in MATCH_MODE_LABELS ? blank.matchMode : "exact",
+    weight: blank?.weight === undefined || blank?.weight === null ? 1 : Number(blank.weight),
+  }));
+};
+
+/**
+ * Swaps each [[id]] in the question text for the number students see it as,
+ * in the order the blanks are listed, the same numbers the grader's feedback uses
+ */
+export const numberBlanks = (text: string, blankIds: string[]): string => (
+  text.replace(BLANK_MARKER, (marker, id: string) => {
+    const index = blankIds.indexOf(id);
+    return index === -1 ? marker : `[blank ${index + 1}]`;
+  })
+);
+
+/**
+ * Whether every blank has something typed in it
+ */
+export const allBlanksFilled = (blankIds: string[], entered: Record<string, string>): boolean => (
+  blankIds.every((id) => Boolean(entered[id]?.trim()))
+);
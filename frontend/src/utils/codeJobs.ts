@@ -0,0 +1,119 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          codeJobs.ts
+//  Description:   Submits code as a background job and follows
+//                 it to the end, over the job's event stream or
+//                 by polling if the stream isn't available.
+//
+//  Dependencies:  api
+//                 models (CodeJob, CodeSubmissionResult)
+//
+////////////////////////////////////////////////////////////////
+
+import api, { getAuthHeaders, resolveApiUrl } from "../api";
+import { CodeJob, CodeSubmissionResult } from "../models";
+
+const POLL_INTERVAL_MS = 1000;
+
+export interface CodeSubmission {
+  problemId:    number;
+  code:         string;
+  languageId:   number;
+  isTestRun:    boolean;
+  elapsedTime?: number;
+  sessionId?:   number | null;
+}
+
+// A job that ran but couldn't finish, e.g. the code runner was down.
+// Nothing was saved, so the student can submit again.
+export class CodeJobError extends Error {
+  statusCode: number;
+
+  constructor(message: string, statusCode: number) {
+    super(message);
+    this.name = "CodeJobError";
+    this.statusCode = statusCode;
+  }
+}
+
+const isFinished = (job: CodeJob) => job.status === "completed" || job.status === "failed";
+
+/**
+ * Reads the job's event stream until its "done" event.
+ * Returns null if the stream can't be opened or ends early.
+ */
+const streamJob = async (jobId: string, onUpdate: (job: CodeJob) => void): Promise<CodeJob | null> => {
+  const response = await fetch(resolveApiUrl(`/api/code/jobs/${jobId}/events`), {
+    headers: { Accept: "text/event-stream", ...getAuthHeaders() },
+  });
+  if (!response.ok || !response.body) return null;
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) return null;
+    buffer += decoder.decode(value, { stream: true });
+
+    // Events are separated by a blank line; keep any partial event for the next chunk
+    const events = buffer.split("\n\n");
+    buffer = events.pop() ?? "";
+
+    for (const event of events) {
+      const type = event.match(/^event: (.*)$/m)?.[1];
+      const data = event.match(/^data: (.*)$/m)?.[1];
+      if (!type || !data) continue; // Keep-alive comment
+
+      const job = JSON.parse(data) as CodeJob;
+      onUpdate(job);
+      if (type === "done") {
+        await reader.cancel();
+        return job;
+      }
+    }
+  }
+};
+
+/**
+ * Polls the job until it finishes
+ */
+const pollJob = async (jobId: string, onUpdate: (job: CodeJob) => void): Promise<CodeJob> => {
+  for (;;) {
+    const { data: job } = await api.get<CodeJob>(`/api/code/jobs/${jobId}`);
+    onUpdate(job);
+    if (isFinished(job)) return job;
+    await new Promise((resolve) => setTimeout(resolve, POLL_INTERVAL_MS));
+  }
+};
+
+/**
+ * Submits code and waits for its job to finish, reporting each update.
+ * Request errors (limits, closed sessions) are thrown as axios errors,
+ * a job that fails is thrown as a CodeJobError.
+ */
+export const runCodeJob = async (
+  submission: CodeSubmission,
+  onUpdate: (job: CodeJob) => void = () => {}
+): Promise<CodeSubmissionResult> => {
+  const { data } = await api.post<{ jobId: string }>("/api/code/submitCode", submission);
+
+  let job: CodeJob | null = null;
+  try {
+    job = await streamJob(data.jobId, onUpdate);
+  } catch (error) {
+    console.warn("Code job stream unavailable, polling instead:", error);
+  }
+  if (!job) {
+    job = await pollJob(data.jobId, onUpdate);
+  }
+
+  if (job.status === "failed" || !job.result) {
+    throw new CodeJobError(job.error?.message ?? "Code execution failed.", job.error?.statusCode ?? 500);
+  }
+  return job.result;
+};
@@ -0,0 +1,56 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          codeLanguages.ts
+//  Description:   Languages programming questions can be
+//                 answered in, and helpers for picking a
+//                 question's starter code and labeling
+//                 Code Trace code.
+//
+//  Dependencies:  models (CodeTemplate)
+//
+////////////////////////////////////////////////////////////////
+
+import { CodeTemplate } from "../models";
+
+// Judge0 language IDs, keyed by the label on the language buttons
+export const LANGUAGE_IDS: Record<string, number> = {
+  C: 50,
+  "C++": 54,
+  Java: 62,
+  Python: 71,
+};
+
+// Monaco editor language for each label
+export const MONACO_LANGUAGE_IDS: Record<string, string> = {
+  C: "cpp",
+  "C++": "cpp",
+  Java: "java",
+  Python: "python",
+};
+
+/**
+ * Label for a Judge0 language ID, or null if it's not one we run
+ */
+export const getLanguageLabel = (languageId: number | null | undefined) =>
+  Object.keys(LANGUAGE_IDS).find((language) => LANGUAGE_IDS[language] === languageId) ?? null;
+
+/**
+ * Finds a question's template for a language label
+ */
+export const findCodeTemplate = (templates: CodeTemplate[] | undefined, language: string) =>
+  templates?.find((template) => template.languageId === LANGUAGE_IDS[language]);
+
+/**
+ * Languages a question can be answered in.
+ * Function-signature questions only run in languages with a harness.
+ */
+export const getAnswerLanguages = (templates: CodeTemplate[] | undefined, fallback: string[]) => {
+  const harnessed = (templates ?? []).filter((template) => template.hasHarness);
+  if (harnessed.length === 0) return fallback;
+  return Object.keys(LANGUAGE_IDS).filter((language) =>
+    harnessed.some((template) => template.languageId === LANGUAGE_IDS[language])
+  );
+};
@@ -0,0 +1,100 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          gradingPolicy.ts
+//  Description:   Reading a question's stored grading policy and
+//                 the policies authors can pick from, with what
+//                 each one does to a student's score.
+//
+//  Dependencies:  models (GradingPolicy, ScoringMode, RankingMetric)
+//
+////////////////////////////////////////////////////////////////
+
+import { GradingPolicy, RankingMetric, ScoringMode } from "../models";
+
+// Most a wrong part can cost under negative marking, matches the API
+export const MAX_PENALTY = 1;
+
+// Types with parts that can each be wrong, the only ones negative marking works on, matches the API.
+// Fill in the Blanks questions also need several blanks.
+export const NEGATIVE_MARKING_TYPES = ["Select All That Apply", "Drag and Drop", "Fill in the Blanks"];
+
+// How each type is scored without a policy, matches the API
+export const defaultScoringMode = (type: string): ScoringMode =>
+  type === "Select All That Apply" ? "negative" : "partial";
+
+// Scoring modes with the labels and explanations authors pick from
+export const SCORING_MODE_LABELS: Record<ScoringMode, string> = {
+  partial: "Partial credit",
+  negative: "Negative marking",
+  "all-or-nothing": "All or nothing",
+};
+
+export const SCORING_MODE_DESCRIPTIONS: Record<ScoringMode, string> = {
+  partial: "Credit for each part answered right, wrong parts cost nothing.",
+  negative: "Credit for each part answered right, less the penalty for each part answered wrong. Parts left empty cost nothing, and the score never goes below 0.",
+  "all-or-nothing": "Full credit for a fully correct answer, none for anything less.",
+};
+
+// Ranking metrics with the labels and explanations authors pick from
+export const RANKING_METRIC_LABELS: Record<RankingMetric, string> = {
+  kendall: "Kendall tau (pairs in order)",
+  spearman: "Spearman (distance from place)",
+};
+
+export const RANKING_METRIC_DESCRIPTIONS: Record<RankingMetric, string> = {
+  kendall: "Credit for each pair of items in the right order, so each swap of neighbours costs the same.",
+  spearman: "Credit by how far each item is from its place, squared, so one item far out of place costs more than a few swaps of neighbours.",
+};
+
+// A policy that leaves everything to the question type's defaults
+export const EMPTY_GRADING_POLICY: GradingPolicy = {
+  scoring: null,
+  penalty: null,
+  fuzzyThreshold: null,
+  rankingMetric: null,
+};
+
+/**
+ * Reads Question.GRADING_POLICY, or null if there is none
+ */
+export const readGradingPolicy = (raw: GradingPolicy | string | null | undefined): GradingPolicy | null => {
+  if (!raw) return null;
+  let policy: Partial<GradingPolicy> | null = null;
+  try {
+    policy = typeof raw === "string" ? JSON.parse(raw) : raw;
+  } catch {
+    return null;
+  }
+  if (!policy || typeof policy !== "object") return null;
+
+  const toNumber = (value: unknown) => (value === undefined || value === null || value === "" ? null : Number(value));
+  return {
+    scoring: policy.scoring && policy.scoring in SCORING_MODE_LABELS ? policy.scoring : null,
+    penalty: toNumber(policy.penalty),
+    fuzzyThreshold: toNumber(policy.fuzzyThreshold),
+    rankingMetric: policy.rankingMetric && policy.rankingMetric in RANKING_METRIC_LABELS ? policy.rankingMetric : null,
+  };
+};
+
+/**
+ * Drops settings that don't apply to a question type, so a policy
+ * set before its type changed still saves. Null if nothing is left.
+ */
+export const policyForType = (policy: GradingPolicy, type: string, hasBlanks: boolean): GradingPolicy | null => {
+  if (type === "Programming") return null;
+
+  const canNegative = NEGATIVE_MARKING_TYPES.includes(type) && (type !== "Fill in the Blanks" || hasBlanks);
+  const scoring = policy.scoring === "negative" && !canNegative ? null : policy.scoring;
+  const negative = (scoring ?? defaultScoringMode(type)) === "negative";
+  const kept: GradingPolicy = {
+    scoring,
+    penalty: negative ? policy.penalty : null,
+    fuzzyThreshold: type === "Fill in the Blanks" ? policy.fuzzyThreshold : null,
+    rankingMetric: type === "Ranked Choice" ? policy.rankingMetric : null,
+  };
+
+  return Object.values(kept).some((value) => value !== null) ? kept : null;
+};
@@ -0,0 +1,48 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          numericSettings.ts
+//  Description:   Reading a Numeric question's stored settings,
+//                 which may arrive as JSON text or an object.
+//
+//  Dependencies:  models (NumericSettings)
+//
+////////////////////////////////////////////////////////////////
+
+import { NumericSettings } from "../models";
+
+// Most partial credit bands a question can have, matches the API
+export const MAX_CREDIT_BANDS = 5;
+
+// Settings of a Numeric question that has none stored: exact answers only
+export const DEFAULT_NUMERIC_SETTINGS: NumericSettings = {
+  tolerance: 0,
+  toleranceType: "absolute",
+  unit: null,
+  creditBands: [],
+};
+
+/**
+ * Reads Question.NUMERIC_SETTINGS, or null if there are none
+ */
+export const readNumericSettings = (raw: NumericSettings | string | null | undefined): NumericSettings | null => {
+  if (!raw) return null;
+  let settings: Partial<NumericSettings> | null = null;
+  try {
+    settings = typeof raw === "string" ? JSON.parse(raw) : raw;
+  } catch {
+    return null;
+  }
+  if (!settings || typeof settings !== "object") return null;
+
+  return {
+    tolerance: Number(settings.tolerance ?? 0),
+    toleranceType: settings.toleranceType === "relative" ? "relative" : "absolute",
+    unit: typeof settings.unit === "string" && settings.unit.trim() ? settings.unit.trim() : null,
+    creditBands: Array.isArray(settings.creditBands)
+      ? settings.creditBands.map((band) => ({ tolerance: Number(band.tolerance), credit: Number(band.credit) }))
+      : [],
+  };
+};
@@ -0,0 +1,153 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          questionPreview.ts
+//  Description:   Turns a professor's copy of a question into
+//                 what students see, and grades sample answers
+//                 through POST /api/admin/problems/:id/preview-grade.
+//
+//  Dependencies:  api
+//                 models (RawQuestion, Question, CodeTemplate, TemplateInstance)
+//                 numericSettings utils
+//                 blanks utils
+//
+////////////////////////////////////////////////////////////////
+
+import api from "../api";
+import { BlankScore, CodeTemplate, Question, RawQuestion, TemplateInstance } from "../models";
+import { readNumericSettings } from "./numericSettings";
+import { readBlanks } from "./blanks";
+
+// GET /api/admin/problems/:id sends templates as database rows, harness included
+interface CodeTemplateRow {
+  LANGUAGE_ID: number;
+  FUNCTION_SIGNATURE: string | null;
+  STARTER_CODE: string | null;
+  HARNESS: string | null;
+}
+
+export type PreviewQuestion = Omit<RawQuestion, "codeTemplates"> & { codeTemplates?: CodeTemplateRow[] };
+
+export interface PreviewTestResult {
+  testCaseId: number;
+  hidden: boolean;
+  weight: number;
+  input: string | null;
+  expectedOutput: string | null;
+  actualOutput: string | null;
+  passed: boolean;
+  status: string;
+  error: string | null;
+}
+
+export interface PreviewGradeResult {
+  questionId: number;
+  type: string;
+  isCorrect: boolean;
+  normalizedScore: number;
+  pointsEarned: number;
+  pointsPossible: number;
+  feedback: string;
+  blankScores?: BlankScore[];
+  seed?: string;
+  testResults?: PreviewTestResult[];
+}
+
+// Student answer components keyed by Question.TYPE
+const QUESTION_TYPES: Record<string, Question["QUESTION_TYPE"]> = {
+  "multiple choice": "multiple_choice",
+  "fill in the blanks": "fill_in_blank",
+  numeric: "numeric",
+  "select all that apply": "select_all_that_apply",
+  "ranked choice": "ranked_choice",
+  "drag and drop": "drag_and_drop",
+  programming: "programming",
+  "code trace": "code_trace",
+};
+
+const shuffle = <T,>(items: T[]): T[] => {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+/**
+ * Builds the question a student would get, options shuffled like /api/test does.
+ * Options are answer texts, which the grader accepts in place of option IDs.
+ */
+export const toPreviewQuestion = (raw: PreviewQuestion): Question => {
+  const questionType = QUESTION_TYPES[(raw.TYPE || "").trim().toLowerCase()];
+  const answers = raw.answers ?? [];
+  const codeTemplates: CodeTemplate[] = (raw.codeTemplates ?? []).map((template) => ({
+    languageId: template.LANGUAGE_ID,
+    functionSignature: template.FUNCTION_SIGNATURE,
+    starterCode: template.STARTER_CODE,
+    hasHarness: Boolean(template.HARNESS),
+  }));
+
+  return {
+    ID: raw.ID,
+    TYPE: raw.TYPE,
+    SECTION: raw.SECTION,
+    CATEGORY: raw.CATEGORY,
+    SUBCATEGORY: raw.SUBCATEGORY,
+    AUTHOR_EXAM_ID: raw.AUTHOR_EXAM_ID,
+    POINTS_POSSIBLE: raw.POINTS_POSSIBLE,
+    QUESTION_TEXT: raw.QUESTION_TEXT,
+    OWNER_ID: raw.OWNER_ID,
+    options: questionType === "fill_in_blank" || questionType === "numeric" || questionType === "code_trace" ? [] : shuffle(answers.map((answer) => answer.TEXT)),
+    placements: questionType === "drag_and_drop"
+      ? [...new Set(answers.map((answer) => answer.PLACEMENT?.trim() ?? "").filter(Boolean))]
+      : undefined,
+    answerCorrect: "",
+    QUESTION_TYPE: questionType,
+    correctOrder: undefined,
+    problem: questionType === "programming"
+      ? { description: raw.QUESTION_TEXT, languages: ["C", "C++", "Java", "Python"] }
+      : undefined,
+    codeTemplates,
+    traceCode: raw.TRACE_CODE ?? "",
+    traceLanguageId: raw.TRACE_LANGUAGE_ID ?? null,
+    numericUnit: readNumericSettings(raw.NUMERIC_SETTINGS)?.unit ?? null,
+    blanks: (readBlanks(raw.BLANKS) ?? []).map((blank) => blank.id),
+  };
+};
+
+/**
+ * Puts a generated instance's text into a template question.
+ * Instance answers come in the same order as the question's.
+ */
+export const applyTemplateInstance = (raw: PreviewQuestion, instance: TemplateInstance): PreviewQuestion => ({
+  ...raw,
+  QUESTION_TEXT: instance.questionText,
+  TRACE_CODE: instance.traceCode,
+  answers: raw.answers?.map((answer, index) => ({
+    ...answer,
+    TEXT: instance.answers[index]?.text ?? answer.TEXT,
+  })),
+});
+
+/**
+ * Turns drag and drop state, keyed "placement_index", into { answerText: placement }
+ */
+export const toDragAndDropAnswer = (droppedAnswers: Record<string, string>): Record<string, string> =>
+  Object.entries(droppedAnswers).reduce((acc, [key, answer]) => {
+    const placement = key.split("_").slice(0, -1).join("_").trim();
+    if (answer && answer.trim() && placement) {
+      acc[answer] = placement;
+    }
+    return acc;
+  }, {} as Record<string, string>);
+
+export const previewGrade = async (
+  questionId: number,
+  sample: ({ answer: unknown } | { code: string; languageId: number }) & { seed?: string }
+): Promise<PreviewGradeResult> => {
+  const res = await api.post<PreviewGradeResult>(`/api/admin/problems/${questionId}/preview-grade`, sample);
+  return res.data;
+};
@@ -0,0 +1,110 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          questionReview.ts
+//  Description:   Types, labels and API calls for the question
+//                 review workflow (draft -> in review -> changes
+//                 requested or approved -> published -> retired).
+//
+//  Dependencies:  api
+//
+////////////////////////////////////////////////////////////////
+
+import api from "../api";
+
+export type ReviewStatus = "draft" | "in_review" | "changes_requested" | "approved" | "published" | "retired";
+
+export type ReviewAction = "submit" | "request_changes" | "approve" | "publish" | "retire" | "withdraw" | "reopen";
+
+export interface ReviewThreadEvent {
+  id: number;
+  action: ReviewAction | "edit" | "comment";
+  fromStatus: ReviewStatus | null;
+  toStatus: ReviewStatus | null;
+  comment: string | null;
+  questionVersion: number | null;
+  actor: { id: number | null; username: string | null; role: string | null };
+  createdAt: string;
+  replies: ReviewThreadEvent[];
+}
+
+export interface QuestionReview {
+  questionId: number;
+  status: ReviewStatus;
+  ownerId: number | null;
+  currentVersion: number | null;
+  availableActions: ReviewAction[];
+  thread: ReviewThreadEvent[];
+}
+
+export const REVIEW_STATUS_LABELS: Record<ReviewStatus, string> = {
+  draft: "Draft",
+  in_review: "In Review",
+  changes_requested: "Changes Requested",
+  approved: "Approved",
+  published: "Published",
+  retired: "Retired",
+};
+
+export const REVIEW_STATUS_BADGES: Record<ReviewStatus, string> = {
+  draft: "bg-gray-200 text-gray-700",
+  in_review: "bg-blue-100 text-blue-800",
+  changes_requested: "bg-orange-100 text-orange-800",
+  approved: "bg-purple-100 text-purple-800",
+  published: "bg-green-100 text-green-800",
+  retired: "bg-gray-300 text-gray-800",
+};
+
+export const REVIEW_ACTION_LABELS: Record<ReviewAction, string> = {
+  submit: "Submit for Review",
+  request_changes: "Request Changes",
+  approve: "Approve",
+  publish: "Publish",
+  retire: "Retire",
+  withdraw: "Withdraw to Draft",
+  reopen: "Reopen as Draft",
+};
+
+// Past-tense descriptions for the review history
+export const REVIEW_EVENT_LABELS: Record<ReviewThreadEvent["action"], string> = {
+  submit: "submitted for review",
+  request_changes: "requested changes",
+  approve: "approved",
+  publish: "published",
+  retire: "retired",
+  withdraw: "withdrew to draft",
+  reopen: "reopened as a draft",
+  edit: "edited, sending it back to draft",
+  comment: "commented",
+};
+
+export const isReviewStatus = (value: unknown): value is ReviewStatus => (
+  typeof value === "string" && value in REVIEW_STATUS_LABELS
+);
+
+export const fetchQuestionReview = async (questionId: number): Promise<QuestionReview> => {
+  const res = await api.get<QuestionReview>(`/api/admin/problems/${questionId}/review`);
+  return res.data;
+};
+
+export const runReviewAction = async (
+  questionId: number,
+  action: ReviewAction,
+  comment?: string
+): Promise<{ message: string; status: ReviewStatus }> => {
+  const res = await api.post<{ message: string; status: ReviewStatus }>(`/api/admin/problems/${questionId}/review`, {
+    action,
+    comment: comment?.trim() || undefined,
+  });
+  return res.data;
+};
+
+export const addReviewComment = async (questionId: number, comment: string, parentId?: number): Promise<number> => {
+  const res = await api.post<{ commentId: number }>(`/api/admin/problems/${questionId}/review/comments`, {
+    comment,
+    parentId: parentId ?? null,
+  });
+  return res.data.commentId;
+};
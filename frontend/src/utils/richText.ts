@@ -0,0 +1,82 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          richText.ts
+//  Description:   Turns question text into safe HTML. Question
+//                 text is Markdown (fenced code, images, lists)
+//                 with LaTeX math between $...$ or $$...$$.
+//                 Plain HTML still works, since Markdown passes
+//                 it through, so older questions are unchanged.
+//
+//  Dependencies:  marked
+//                 katex
+//                 dompurify
+//                 api (resolveApiUrl)
+//
+////////////////////////////////////////////////////////////////
+
+import { Marked } from "marked";
+import katex from "katex";
+import DOMPurify from "dompurify";
+import { resolveApiUrl } from "../api";
+
+const markdown = new Marked({ gfm: true });
+
+// Math is swapped for placeholders before Markdown runs, so "_" and "*"
+// inside formulas aren't read as emphasis and math inside HTML blocks
+// (e.g. <p>$x^2$</p>) still renders. Code is matched first and kept as is,
+// so a "$" in code is never math.
+const MATH_OR_CODE =
+  /(```[\s\S]*?```|~~~[\s\S]*?~~~|`[^`\n]+`|<pre[\s\S]*?<\/pre>|<code[\s\S]*?<\/code>)|\$\$([\s\S]+?)\$\$|\$(?!\s)((?:\\\$|[^$\n])+?)(?<!\s)\$(?!\d)/g;
+
+// Invisible separator, Markdown and DOMPurify leave it alone
+const PLACEHOLDER_MARK = "\u2063";
+const PLACEHOLDER = new RegExp(`${PLACEHOLDER_MARK}MATH(\\d+)${PLACEHOLDER_MARK}`, "g");
+
+// Uploaded images are linked by API path, so question text doesn't depend
+// on where the API is hosted
+const ASSET_PATH_PREFIX = "/api/assets/";
+
+const renderMath = (tex: string, displayMode: boolean): string => (
+  // Bad LaTeX shows in red instead of breaking the question
+  katex.renderToString(tex, { displayMode, throwOnError: false, output: "htmlAndMathml" })
+);
+
+/**
+ * Renders question text (Markdown, HTML and LaTeX) to sanitized HTML.
+ * inline skips block elements like paragraphs, for text shown between
+ * other inline content such as drag and drop blanks.
+ */
+export const renderRichText = (text: string, options: { inline?: boolean } = {}): string => {
+  const math: string[] = [];
+  const withPlaceholders = text.replace(MATH_OR_CODE, (match, code?: string, block?: string, inline?: string) => {
+    if (code !== undefined) {
+      return match;
+    }
+    math.push(block !== undefined ? renderMath(block.trim(), true) : renderMath(inline ?? "", false));
+    return `${PLACEHOLDER_MARK}MATH${math.length - 1}${PLACEHOLDER_MARK}`;
+  });
+
+  const html = options.inline
+    ? markdown.parseInline(withPlaceholders, { async: false })
+    : markdown.parse(withPlaceholders, { async: false });
+
+  const fragment = DOMPurify.sanitize(
+    html.replace(PLACEHOLDER, (_, index: string) => math[Number(index)] ?? ""),
+    // KaTeX's MathML keeps the LaTeX source in an annotation for screen readers
+    { RETURN_DOM_FRAGMENT: true, ADD_TAGS: ["semantics", "annotation"], ADD_ATTR: ["encoding"] }
+  );
+  fragment.querySelectorAll("img").forEach((image) => {
+    const src = image.getAttribute("src") ?? "";
+    if (src.startsWith(ASSET_PATH_PREFIX)) {
+      image.setAttribute("src", resolveApiUrl(src));
+    }
+    image.setAttribute("loading", "lazy");
+  });
+
+  const container = document.createElement("div");
+  container.appendChild(fragment);
+  return container.innerHTML;
+};
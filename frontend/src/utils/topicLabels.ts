@@ -4,40 +4,62 @@
 //  Year:          2026
 //  Author(s):     KnightWise Team
 //  File:          topicLabels.ts
-//  Description:   Contains topic label constants and
-//                 helpers for topic label displaying.
+//  Description:   Helpers for reading topic lists from the
+//                 taxonomy and displaying topic labels.
+//
+//  Dependencies:  taxonomyStore
 //
 ////////////////////////////////////////////////////////////////
 
-// This is used in matching data received from the API,
-// so canonical names (InputOutput) must be used.
+import { taxonomyStore } from "../stores/taxonomyStore";
+import type { TaxonomyCategory } from "../models";
+
+// Subcategory names are what the API matches on (InputOutput),
+// display names are only for showing (Input/Output).
 // When displaying, use formatSubcategoryLabel().
-export const ALL_TOPICS = [
-  "InputOutput", // Canonical name, display name is Input/Output
-  "Branching",
-  "Loops",
-  "Variables",
-  "Arrays",
-  "Linked Lists",
-  "Strings",
-  "Classes",
-  "Methods",
-  "Trees",
-  "Stacks",
-  "Heaps",
-  "Tries",
-  "Bitwise Operators",
-  "Dynamic Memory",
-  "Algorithm Analysis",
-  "Recursion",
-  "Sorting",
-] as const;
+export const getSubcategoryNames = (categories: TaxonomyCategory[]): string[] => {
+  return categories.flatMap((category) => category.subcategories.map((subcategory) => subcategory.name));
+};
+
+// Category name -> its subcategory names, both in display order
+export const getCategorySubcategoryMap = (categories: TaxonomyCategory[]): Record<string, string[]> => {
+  return Object.fromEntries(
+    categories.map((category) => [category.name, category.subcategories.map((subcategory) => subcategory.name)])
+  );
+};
+
+// Finds the subcategory name for either its name or display name, in any case
+export const toSubcategoryName = (categories: TaxonomyCategory[], value?: string): string | null => {
+  const key = String(value || "").trim().toLowerCase();
+  if (!key) {
+    return null;
+  }
 
+  for (const category of categories) {
+    const match = category.subcategories.find(
+      (subcategory) => subcategory.name.toLowerCase() === key || subcategory.displayName.toLowerCase() === key
+    );
+    if (match) {
+      return match.name;
+    }
+  }
+
+  return null;
+};
+
+// Falls back to the stored name until the taxonomy has loaded
 export const formatSubcategoryLabel = (subcategory?: string): string => {
   const value = String(subcategory || "").trim();
   if (!value) {
     return "";
   }
 
-  return value === "InputOutput" ? "Input/Output" : value;
-};
\ No newline at end of file
+  for (const category of taxonomyStore.getStateSnapshot().categories) {
+    const match = category.subcategories.find((entry) => entry.name === value);
+    if (match) {
+      return match.displayName;
+    }
+  }
+
+  return value;
+};
@@ -30,44 +30,19 @@ const WEIGHT_SUBCATEGORY = 0.15;
 // Weight for question type difficulty.
 const WEIGHT_TYPE = 0.1;
 
-// Subcategory difficulty scalars (0.0 - 1.0)
-// Currently strings match Question.SUBCATEGORY
-// If/when subcategories become enums, update keys to match
-const SUBCATEGORY_DIFFICULTY = Object.freeze({
-  // Introductory Programming
-  'Variables':          0.3,
-  'InputOutput':        0.3,
-  'Branching':          0.3,
-  'Loops':              0.3,
-  // Simple Data Structures
-  'Arrays':             0.5,
-  'Linked Lists':       0.5,
-  'Strings':            0.5,
-  // Object Oriented Programming
-  'Methods':            0.6,
-  'Classes':            0.6,
-  // Intermediate Data Structures
-  'Trees':              0.7,
-  'Stacks':             0.7,
-  // Complex Data Structures
-  'Heaps':              0.8,
-  'Tries':              0.8,
-  // Intermediate Programming
-  'Recursion':          0.9,
-  'Sorting':            0.9,
-  'Algorithm Analysis': 0.9,
-  'Dynamic Memory':     0.9,
-  'Bitwise Operators':  0.9,
-});
+// Subcategory difficulty scalars (0.0 - 1.0) are stored in
+// Subcategory.DIFFICULTY, and edited through /api/admin/taxonomy
 
 // Question type difficulty scalars (0.0 - 1.0)
 // Strings must exactly match Question.TYPE
 const TYPE_DIFFICULTY = Object.freeze({
   'Multiple Choice':       0.2,
   'Fill in the Blanks':    0.4,
+  'Numeric':               0.4,
   'Select All That Apply': 0.5,
   'Ranked Choice':         0.6,
   'Drag and Drop':         0.7,
+  'Code Trace':            0.8,
   'Programming':           1.0,
 });
 
@@ -82,9 +57,11 @@ const TYPE_DIFFICULTY = Object.freeze({
 const MAX_ELAPSED_TIME_BY_TYPE = Object.freeze({
   'Multiple Choice':       120,   // 2 minutes
   'Fill in the Blanks':    180,   // 3 minutes
+  'Numeric':               180,   // 3 minutes
   'Select All That Apply': 180,   // 3 minutes
   'Ranked Choice':         240,   // 4 minutes 
   'Drag and Drop':         300,   // 5 minutes
+  'Code Trace':            360,   // 6 minutes
   'Programming':           1500,  // 25 minutes
 });
 
@@ -92,18 +69,58 @@ const MAX_ELAPSED_TIME_BY_TYPE = Object.freeze({
 // (Ideally we never use this but database string inconsistencies may cause this)
 const DEFAULT_ELAPSED_TIME_CEILING = 300;
 
-// Fallback difficulty scalar for unknown subcategories/types
+// Fallback difficulty scalar for unknown subcategories/types, and for new subcategories
 // (Ideally we never use this but database string inconsistencies may cause this)
 const DEFAULT_DIFFICULTY = 0.5;
 
+// Adaptive practice (GET /api/test/adaptive)
+
+// Practice set size, default and upper bound
+const ADAPTIVE_DEFAULT_QUESTION_COUNT = 10;
+const ADAPTIVE_MAX_QUESTION_COUNT     = 30;
+
+// A question answered fully correct this many times in a row,
+// most recently within the cooldown, counts as mastered
+// and is left out until the cooldown runs out.
+const ADAPTIVE_MASTERY_STREAK        = 2;
+const ADAPTIVE_MASTERY_COOLDOWN_DAYS = 7;
+
+// Weight multiplier for questions missed before and not mastered since
+const ADAPTIVE_MISSED_WEIGHT = 3;
+
+// Weakness (1 - topic metric) assumed for subcategories with no responses yet.
+// Slightly above neutral so new topics get explored.
+const ADAPTIVE_UNSEEN_WEAKNESS = 0.6;
+
+// Floor for any question's weight, so strong topics still come up now and then
+const ADAPTIVE_MIN_WEIGHT = 0.05;
+
+// Target question type difficulty per subcategory moves between
+// these bounds with the student's recent accuracy in it.
+// New students start on the easiest types and climb from there.
+const ADAPTIVE_MIN_TARGET_DIFFICULTY = TYPE_DIFFICULTY['Multiple Choice'];
+const ADAPTIVE_MAX_TARGET_DIFFICULTY = TYPE_DIFFICULTY['Programming'];
+
+// How many of the most recent responses in a subcategory count as "recent accuracy"
+const ADAPTIVE_RECENT_WINDOW = 5;
+
 module.exports = {
   WEIGHT_ACCURACY,
   WEIGHT_TIME,
   WEIGHT_SUBCATEGORY,
   WEIGHT_TYPE,
-  SUBCATEGORY_DIFFICULTY,
   TYPE_DIFFICULTY,
   MAX_ELAPSED_TIME_BY_TYPE,
   DEFAULT_ELAPSED_TIME_CEILING,
   DEFAULT_DIFFICULTY,
+  ADAPTIVE_DEFAULT_QUESTION_COUNT,
+  ADAPTIVE_MAX_QUESTION_COUNT,
+  ADAPTIVE_MASTERY_STREAK,
+  ADAPTIVE_MASTERY_COOLDOWN_DAYS,
+  ADAPTIVE_MISSED_WEIGHT,
+  ADAPTIVE_UNSEEN_WEAKNESS,
+  ADAPTIVE_MIN_WEIGHT,
+  ADAPTIVE_MIN_TARGET_DIFFICULTY,
+  ADAPTIVE_MAX_TARGET_DIFFICULTY,
+  ADAPTIVE_RECENT_WINDOW,
 };
@@ -23,8 +23,13 @@ const COINS_PER_POINT = 2;
 // Max amount of exp a user can receive in a day
 const DAILY_EXP_CAP = 9000;
 
+// Share of a question's points earned that each revealed hint costs,
+// points earned never go below 0
+const HINT_PENALTY_SHARE = 0.25;
+
 module.exports = {
   EXP_PER_POINT,
   COINS_PER_POINT,
   DAILY_EXP_CAP,
+  HINT_PENALTY_SHARE,
 };
\ No newline at end of file
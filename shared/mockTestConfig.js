@@ -0,0 +1,36 @@
+////////////////////////////////////////////////////////////////
+//
+//  Project:       KnightWise
+//  Year:          2026
+//  Author(s):     KnightWise Team
+//  File:          mockTestConfig.js
+//  Description:   Shared config file for mock test session
+//                 defaults and limits (question count, time limit).
+//
+//  Note:          This file is intentionally .js rather than .ts,
+//                 for CommonJS compatibility with our backend Jest.
+//
+////////////////////////////////////////////////////////////////
+
+// Number of questions in a mock test if none is requested
+const DEFAULT_QUESTION_COUNT = 12;
+
+// Allowed range for requested number of questions
+const MIN_QUESTION_COUNT = 1;
+const MAX_QUESTION_COUNT = 50;
+
+// Time limit of a mock test if none is requested, in minutes
+const DEFAULT_TIME_LIMIT_MINUTES = 30;
+
+// Allowed range for requested time limit, in minutes
+const MIN_TIME_LIMIT_MINUTES = 5;
+const MAX_TIME_LIMIT_MINUTES = 180;
+
+module.exports = {
+  DEFAULT_QUESTION_COUNT,
+  MIN_QUESTION_COUNT,
+  MAX_QUESTION_COUNT,
+  DEFAULT_TIME_LIMIT_MINUTES,
+  MIN_TIME_LIMIT_MINUTES,
+  MAX_TIME_LIMIT_MINUTES,
+};